@@ -128,6 +128,44 @@ async function refreshAllDeceasedCache(fetchAllFn) {
   }
 }
 
+// ----------------- Per-branch caches -----------------
+// List caches are partitioned per branch so one facility never reads another's
+// rows. Cross-branch (super-admin) views live under the 'all' partition.
+
+function _branchKey(branchId, key) {
+  return `branch:${branchId ?? 'all'}:${key}`;
+}
+
+/** Get a cached value for one branch. Returns undefined if missing. */
+function getBranchCached(branchId, key) {
+  try {
+    return cache.get(_branchKey(branchId, key));
+  } catch (err) {
+    console.error('getBranchCached error:', err);
+    return undefined;
+  }
+}
+
+/** Cache a value for one branch. */
+function setBranchCached(branchId, key, value, ttl = CACHE_TTL_SECONDS) {
+  try {
+    cache.set(_branchKey(branchId, key), value, ttl);
+    return value;
+  } catch (err) {
+    console.error('setBranchCached error:', err);
+    return null;
+  }
+}
+
+/** Drop a branch's cached value, plus the cross-branch copy that includes it. */
+function invalidateBranchCache(branchId, key) {
+  try {
+    cache.del([_branchKey(branchId, key), _branchKey('all', key)]);
+  } catch (err) {
+    console.error('invalidateBranchCache error:', err);
+  }
+}
+
 /** For debug: clear entire cache */
 function clearAllCache() {
   try {
@@ -146,5 +184,8 @@ module.exports = {
   getAllDeceasedCached,
   setAllDeceasedCached,
   refreshAllDeceasedCache,
+  getBranchCached,
+  setBranchCached,
+  invalidateBranchCache,
   clearAllCache,
 };
@@ -56,6 +56,84 @@ async function getConnection() {
   }
 }
 
+/* ===============================
+   ✅ RELEASE CONNECTION (safe on null)
+   =============================== */
+function releaseConnection(connection) {
+  if (connection) connection.release();
+}
+
+/* ===============================
+   ✅ TRANSACTIONS
+   Every statement in `work` runs on one pooled connection, so the whole
+   unit commits or rolls back together. Deadlocks / lock wait timeouts
+   roll back and re-run `work` (keep side effects like file writes outside).
+
+     await withTransaction(async (tx) => {
+       const row = await tx.queryOne('SELECT ... FOR UPDATE', [id]);
+       await tx.query('UPDATE ...', [...]);
+       await tx.savepoint('charges', async () => { ... });
+     });
+   =============================== */
+const RETRYABLE_TX_ERRORS = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+
+function createTransactionContext(connection) {
+  const query = async (sql, params = []) => {
+    const [rows] = await connection.execute(sql, params);
+    return rows;
+  };
+
+  return {
+    connection,
+    query,
+    queryOne: async (sql, params = []) => (await query(sql, params))[0] || null,
+
+    // Run `fn` inside a savepoint; on failure only its statements are undone
+    savepoint: async (name, fn) => {
+      if (!/^\w+$/.test(name))
+        throw new Error(`Invalid savepoint name: ${name}`);
+      await connection.query(`SAVEPOINT ${name}`);
+      try {
+        const result = await fn();
+        await connection.query(`RELEASE SAVEPOINT ${name}`);
+        return result;
+      } catch (err) {
+        await connection.query(`ROLLBACK TO SAVEPOINT ${name}`);
+        throw err;
+      }
+    },
+  };
+}
+
+async function withTransaction(work, { retries = 3, retryDelayMs = 50 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+      const result = await work(createTransactionContext(connection));
+      await connection.commit();
+      return result;
+    } catch (err) {
+      try {
+        await connection.rollback();
+      } catch (rollbackErr) {
+        console.error('❌ Rollback failed:', rollbackErr.message);
+      }
+
+      if (RETRYABLE_TX_ERRORS.includes(err.code) && attempt <= retries) {
+        console.warn(
+          `⚠️ Transaction ${err.code}, retrying (${attempt}/${retries})`,
+        );
+        await new Promise((r) => setTimeout(r, retryDelayMs * attempt));
+        continue;
+      }
+      throw err;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
 /* ===============================
    ✅ CLOSE POOL CLEANLY
    =============================== */
@@ -90,5 +168,7 @@ module.exports = {
   safeQuery,
   safeQueryOne,
   getConnection,
+  releaseConnection,
+  withTransaction,
   closeDB,
 };
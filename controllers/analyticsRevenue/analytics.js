@@ -3,6 +3,10 @@ const {
   safeQuery,
   safeQueryOne,
 } = require('../../configurations/sqlConfig/db');
+const {
+  branchCondition,
+  deceasedBranchCondition,
+} = require('../../middlewares/tenancy/branchScope');
 
 // === Advanced Analytics Controller ===
 const getMortuaryAnalytics = asyncHandler(async (req, res) => {
@@ -38,6 +42,20 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
       },
     };
 
+    // Every query is limited to the caller's branch (all branches for super-admins)
+    // and skips deceased / coffin rows sitting in the recycle bin
+    const liveOnly = (scope, alias) => ({
+      sql: `${alias ? `${alias}.` : ''}deleted_at IS NULL AND ${scope.sql}`,
+      params: scope.params,
+    });
+    const inBranch = liveOnly(branchCondition(req));
+    const deceasedInBranch = deceasedBranchCondition(req);
+    const coffinInBranch = liveOnly(branchCondition(req, 'c.branch_id'), 'c');
+    const joinedDeceasedInBranch = liveOnly(
+      branchCondition(req, 'd.branch_id'),
+      'd',
+    );
+
     // Execute queries in parallel with individual error handling
     const queries = [
       // 1. Basic Summary Statistics
@@ -45,12 +63,12 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
         `
         SELECT 
           COUNT(*) as total_cases,
-          COUNT(CASE WHEN status = 'Released' THEN 1 END) as released_cases,
-          COUNT(CASE WHEN status = 'Under Care' THEN 1 END) as under_care_cases,
-          COUNT(CASE WHEN status = 'Pending' THEN 1 END) as pending_cases,
-          COUNT(CASE WHEN status = 'Received' THEN 1 END) as received_cases,
+          COUNT(CASE WHEN status = 'Dispatched' THEN 1 END) as released_cases,
+          COUNT(CASE WHEN status IN ('In Storage', 'Autopsy', 'Embalmed', 'Coffined') THEN 1 END) as under_care_cases,
+          COUNT(CASE WHEN status = 'Release Approved' THEN 1 END) as pending_cases,
+          COUNT(CASE WHEN status = 'Admitted' THEN 1 END) as received_cases,
           COALESCE(SUM(total_mortuary_charge), 0) as total_revenue,
-          COALESCE(SUM(CASE WHEN status = 'Released' THEN total_mortuary_charge ELSE 0 END), 0) as collected_revenue,
+          COALESCE(SUM(CASE WHEN status = 'Dispatched' THEN total_mortuary_charge ELSE 0 END), 0) as collected_revenue,
           COALESCE(SUM(COALESCE(embalming_cost, 0)), 0) as embalming_revenue,
           COUNT(CASE WHEN burial_type = 'Burial' THEN 1 END) as burial_cases,
           COUNT(CASE WHEN burial_type = 'Cremation' THEN 1 END) as cremation_cases,
@@ -61,14 +79,15 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           COUNT(CASE WHEN rate_category = 'standard' THEN 1 END) as standard_cases,
           COUNT(CASE WHEN rate_category = 'basic' THEN 1 END) as basic_cases,
           COALESCE(SUM(CASE WHEN MONTH(date_admitted) = MONTH(CURDATE()) AND YEAR(date_admitted) = YEAR(CURDATE()) THEN total_mortuary_charge ELSE 0 END), 0) as current_month_revenue,
-          COALESCE(AVG(CASE WHEN status = 'Released' AND dispatch_date IS NOT NULL THEN DATEDIFF(dispatch_date, date_admitted) END), 0) as avg_processing_time,
+          COALESCE(AVG(CASE WHEN status = 'Dispatched' AND dispatch_date IS NOT NULL THEN DATEDIFF(dispatch_date, date_admitted) END), 0) as avg_processing_time,
           -- New metrics
           COUNT(CASE WHEN DATEDIFF(CURDATE(), date_admitted) > 30 THEN 1 END) as long_stay_cases,
           COUNT(CASE WHEN balance > 0 THEN 1 END) as pending_payments,
           COALESCE(SUM(balance), 0) as total_outstanding
         FROM deceased
+        WHERE ${inBranch.sql}
       `,
-        [],
+        inBranch.params,
         'summary_stats',
       ),
 
@@ -81,8 +100,9 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           COUNT(CASE WHEN MONTH(check_in_time) = MONTH(CURDATE()) THEN 1 END) as monthly_visitors,
           COALESCE(AVG(TIMESTAMPDIFF(HOUR, check_in_time, COALESCE(check_out_time, NOW()))), 0) as avg_visit_duration
         FROM visitors
+        WHERE ${deceasedInBranch.sql}
       `,
-        [],
+        deceasedInBranch.params,
         'visitor_stats',
       ),
 
@@ -104,11 +124,12 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           (COUNT(dc.coffin_id) * COALESCE(c.exact_price, 0)) as total_revenue
         FROM coffins c
         LEFT JOIN deceased_coffin dc ON c.coffin_id = dc.coffin_id
+        WHERE ${coffinInBranch.sql}
         GROUP BY c.coffin_id, c.type, c.material, c.category, c.exact_price, c.quantity, c.image_url, c.status, c.supplier
         ORDER BY sold DESC
         LIMIT 10
       `,
-        [],
+        coffinInBranch.params,
         'coffin_sales',
       ),
 
@@ -122,10 +143,11 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           COALESCE(AVG(amount), 0) as avg_service_price
         FROM extra_charges ec
         JOIN deceased d ON ec.deceased_id = d.deceased_id
+        WHERE ${joinedDeceasedInBranch.sql}
         GROUP BY charge_type
         ORDER BY revenue DESC
       `,
-        [],
+        joinedDeceasedInBranch.params,
         'extra_services',
       ),
 
@@ -147,9 +169,9 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           -- Monthly dispatches
           COUNT(CASE WHEN dispatch_date >= DATE_SUB(CURDATE(), INTERVAL 30 DAY) THEN 1 END) as monthly_dispatches
         FROM vehicle_dispatch
-        WHERE dispatch_date IS NOT NULL
+        WHERE dispatch_date IS NOT NULL AND ${deceasedInBranch.sql}
       `,
-        [],
+        deceasedInBranch.params,
         'dispatch_stats',
       ),
 
@@ -161,11 +183,11 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           COUNT(*) as dispatch_count,
           COALESCE(AVG(distance_km), 0) as avg_distance
         FROM vehicle_dispatch
-        WHERE dispatch_time IS NOT NULL
+        WHERE dispatch_time IS NOT NULL AND ${deceasedInBranch.sql}
         GROUP BY HOUR(dispatch_time)
         ORDER BY hour
       `,
-        [],
+        deceasedInBranch.params,
         'dispatch_times',
       ),
 
@@ -180,11 +202,11 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           COALESCE(SUM(balance), 0) as outstanding,
           COALESCE(AVG(DATEDIFF(COALESCE(dispatch_date, CURDATE()), date_admitted)), 0) as avg_processing_days
         FROM deceased 
-        WHERE date_admitted >= DATE_SUB(NOW(), INTERVAL 12 MONTH)
+        WHERE date_admitted >= DATE_SUB(NOW(), INTERVAL 12 MONTH) AND ${inBranch.sql}
         GROUP BY DATE_FORMAT(date_admitted, '%Y-%m'), DATE_FORMAT(date_admitted, '%b %Y')
         ORDER BY DATE_FORMAT(date_admitted, '%Y-%m')
       `,
-        [],
+        inBranch.params,
         'monthly_revenue',
       ),
 
@@ -196,11 +218,11 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           COUNT(*) as admissions,
           COALESCE(AVG(DATEDIFF(COALESCE(dispatch_date, CURDATE()), date_admitted)), 0) as avg_processing_days
         FROM deceased 
-        WHERE date_admitted >= DATE_SUB(NOW(), INTERVAL 90 DAY)
+        WHERE date_admitted >= DATE_SUB(NOW(), INTERVAL 90 DAY) AND ${inBranch.sql}
         GROUP BY DAYNAME(date_admitted)
         ORDER BY FIELD(day, 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday')
       `,
-        [],
+        inBranch.params,
         'weekly_data',
       ),
 
@@ -213,10 +235,11 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           COALESCE(SUM(quantity), 0) as total_quantity,
           COALESCE(SUM(exact_price * quantity), 0) as total_value
         FROM coffins
+        WHERE ${inBranch.sql}
         GROUP BY status
         ORDER BY total_value DESC
       `,
-        [],
+        inBranch.params,
         'coffin_inventory',
       ),
 
@@ -231,11 +254,12 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           COALESCE(AVG(distance_km), 0) as avg_trip_distance
         FROM vehicle_dispatch
         WHERE vehicle_plate IS NOT NULL AND vehicle_plate != ''
+          AND ${deceasedInBranch.sql}
         GROUP BY vehicle_plate
         ORDER BY total_trips DESC
         LIMIT 5
       `,
-        [],
+        deceasedInBranch.params,
         'vehicle_performance',
       ),
 
@@ -249,11 +273,11 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           COALESCE(AVG(total_mortuary_charge), 0) as avg_revenue_per_case,
           COALESCE(AVG(DATEDIFF(COALESCE(dispatch_date, CURDATE()), date_admitted)), 0) as avg_processing_days
         FROM deceased
-        WHERE burial_type IS NOT NULL
+        WHERE burial_type IS NOT NULL AND ${inBranch.sql}
         GROUP BY burial_type
         ORDER BY total_revenue DESC
       `,
-        [],
+        inBranch.params,
         'service_revenue',
       ),
 
@@ -264,27 +288,35 @@ const getMortuaryAnalytics = asyncHandler(async (req, res) => {
           'admissions' as activity_type,
           COUNT(*) as count
         FROM deceased 
-        WHERE date_admitted >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)
+        WHERE date_admitted >= DATE_SUB(CURDATE(), INTERVAL 7 DAY) AND ${inBranch.sql}
         UNION ALL
         SELECT 
           'releases' as activity_type,
           COUNT(*) as count
         FROM deceased 
-        WHERE dispatch_date >= DATE_SUB(CURDATE(), INTERVAL 7 DAY) AND status = 'Released'
+        WHERE dispatch_date >= DATE_SUB(CURDATE(), INTERVAL 7 DAY) AND status = 'Dispatched'
+          AND ${inBranch.sql}
         UNION ALL
         SELECT 
           'visitors' as activity_type,
           COUNT(*) as count
         FROM visitors 
         WHERE DATE(check_in_time) >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)
+          AND ${deceasedInBranch.sql}
         UNION ALL
         SELECT 
           'dispatches' as activity_type,
           COUNT(*) as count
         FROM vehicle_dispatch 
         WHERE dispatch_date >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)
+          AND ${deceasedInBranch.sql}
       `,
-        [],
+        [
+          ...inBranch.params,
+          ...inBranch.params,
+          ...deceasedInBranch.params,
+          ...deceasedInBranch.params,
+        ],
         'recent_activity',
       ),
     ];
@@ -766,6 +798,7 @@ const getComprehensiveVehicleAnalytics = asyncHandler(async (req, res) => {
     const currentYear = year ? parseInt(year) : new Date().getFullYear();
 
     // Simple query focusing on cumulative kilometers
+    const deceasedInBranch = deceasedBranchCondition(req);
     const kilometersQuery = `
       SELECT 
         vehicle_plate,
@@ -803,6 +836,7 @@ const getComprehensiveVehicleAnalytics = asyncHandler(async (req, res) => {
 
       FROM vehicle_dispatch
       WHERE vehicle_plate IS NOT NULL AND vehicle_plate != ''
+        AND ${deceasedInBranch.sql}
       GROUP BY vehicle_plate
       ORDER BY total_kilometers DESC
     `;
@@ -812,8 +846,43 @@ const getComprehensiveVehicleAnalytics = asyncHandler(async (req, res) => {
       currentYear,
       currentMonth,
       currentYear,
+      ...deceasedInBranch.params,
     ]);
 
+    // Hearse bookings per vehicle: what is scheduled vs. what was driven
+    const bookingBranch = branchCondition(req);
+    const bookingRows = await safeQuery(
+      `
+      SELECT
+        vehicle_plate,
+        COUNT(CASE WHEN status IN ('Pending', 'Assigned') AND start_time >= NOW() THEN 1 END) as upcoming_bookings,
+        COUNT(CASE WHEN status = 'In Transit' THEN 1 END) as in_transit_bookings,
+        COALESCE(SUM(CASE
+          WHEN status != 'Cancelled' AND MONTH(start_time) = ? AND YEAR(start_time) = ?
+          THEN TIMESTAMPDIFF(MINUTE, start_time, end_time)
+          ELSE 0
+        END), 0) as booked_minutes_month,
+        COALESCE(SUM(postponement_count), 0) as postponements
+      FROM hearse_bookings
+      WHERE vehicle_plate IS NOT NULL AND ${bookingBranch.sql}
+      GROUP BY vehicle_plate
+    `,
+      [currentMonth, currentYear, ...bookingBranch.params],
+    );
+    const bookingsByPlate = new Map(
+      bookingRows.map((row) => [row.vehicle_plate, row]),
+    );
+    const bookingSummary = (plate) => {
+      const row = bookingsByPlate.get(plate) || {};
+      return {
+        upcoming: Number(row.upcoming_bookings) || 0,
+        inTransit: Number(row.in_transit_bookings) || 0,
+        bookedHoursMonth:
+          Math.round((Number(row.booked_minutes_month) || 0) / 6) / 10,
+        postponements: Number(row.postponements) || 0,
+      };
+    };
+
     // Process results - focus on kilometers data
     const vehiclesData = results.map((vehicle) => ({
       vehiclePlate: vehicle.vehicle_plate,
@@ -836,6 +905,7 @@ const getComprehensiveVehicleAnalytics = asyncHandler(async (req, res) => {
         lastTrip: vehicle.last_trip_date,
         isActive: vehicle.active_trips > 0,
       },
+      bookings: bookingSummary(vehicle.vehicle_plate),
     }));
 
     // Calculate fleet totals
@@ -851,6 +921,10 @@ const getComprehensiveVehicleAnalytics = asyncHandler(async (req, res) => {
       ),
       activeVehicles: results.filter((v) => v.active_trips > 0).length,
       totalTrips: results.reduce((sum, v) => sum + (v.total_trips || 0), 0),
+      upcomingBookings: bookingRows.reduce(
+        (sum, row) => sum + (Number(row.upcoming_bookings) || 0),
+        0,
+      ),
     };
 
     // Find top performers
@@ -58,7 +58,8 @@ function classifyPlace(description) {
 // Centralized Data Fetching Logic (MariaDB version)
 // ----------------------
 const fetchAnalyticsData = async (dateCondition = '', yearFilter = null) => {
-  const deceasedDateCondition = dateCondition ? `AND ${dateCondition}` : '';
+  // Records in the recycle bin are left out of every count
+  const deceasedDateCondition = `AND deleted_at IS NULL${dateCondition ? ` AND ${dateCondition}` : ''}`;
   const postmortemDateCondition = yearFilter
     ? `AND YEAR(date) = '${yearFilter}'`
     : '';
@@ -134,7 +135,7 @@ const fetchAnalyticsData = async (dateCondition = '', yearFilter = null) => {
   const claimedBodies = kinStats.claimed || 0;
 
   const [occupancyRow] = await safeQuery(
-    `SELECT COUNT(*) AS current_occupancy FROM deceased WHERE dispatch_date IS NULL`,
+    `SELECT COUNT(*) AS current_occupancy FROM deceased WHERE dispatch_date IS NULL AND deleted_at IS NULL`,
   );
 
   const monthlyTrendsRaw = await safeQuery(
@@ -0,0 +1,109 @@
+const asyncHandler = require('express-async-handler');
+const { safeQuery } = require('../../configurations/sqlConfig/db');
+const { branchCondition } = require('../../middlewares/tenancy/branchScope');
+const { verifyAuditChain } = require('../../services/audit/auditLog');
+
+const parseJSON = (value) => {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+// ----------------- Query Audit Log -----------------
+// Filters: entity, entity_id, user (actor id), action, from, to (dates)
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { entity, entity_id, user, action, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+  const branch = branchCondition(req, 'a.branch_id');
+  const conditions = [branch.sql];
+  const params = [...branch.params];
+
+  const addFilter = (sql, value) => {
+    if (value === undefined || value === '') return;
+    conditions.push(sql);
+    params.push(value);
+  };
+  addFilter('a.entity = ?', entity);
+  addFilter('a.entity_id = ?', entity_id);
+  addFilter('a.actor_id = ?', user);
+  addFilter('a.action = ?', action);
+  // Bare dates cover the whole day
+  addFilter('a.created_at >= ?', from);
+  addFilter(
+    'a.created_at <= ?',
+    to && to.length === 10 ? `${to} 23:59:59` : to,
+  );
+
+  const where = conditions.join(' AND ');
+
+  try {
+    const [{ total }] = await safeQuery(
+      `SELECT COUNT(*) AS total FROM audit_log a WHERE ${where}`,
+      params,
+    );
+    const rows = await safeQuery(
+      `SELECT a.*, u.name AS actor_name, u.username AS actor_username
+       FROM audit_log a
+       LEFT JOIN users u ON u.id = a.actor_id
+       WHERE ${where}
+       ORDER BY a.id DESC
+       LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+      params,
+    );
+
+    res.status(200).json({
+      success: true,
+      data: rows.map((row) => ({
+        ...row,
+        before_data: parseJSON(row.before_data),
+        after_data: parseJSON(row.after_data),
+        changes: parseJSON(row.changes),
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    console.error('❌ [AUDIT] Error fetching audit log:', err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: err.message,
+    });
+  }
+});
+
+// ----------------- Verify Hash Chain -----------------
+const verifyAuditLog = asyncHandler(async (req, res) => {
+  try {
+    const result = await verifyAuditChain({
+      fromId: req.query.from_id,
+      limit: Math.min(parseInt(req.query.limit, 10) || 10000, 100000),
+    });
+
+    if (!result.valid) {
+      console.error(
+        `🚨 [AUDIT] Hash chain broken at entry ${result.broken_at}: ${result.reason}`,
+      );
+    }
+
+    res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    console.error('❌ [AUDIT] Error verifying audit log:', err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify audit log',
+      error: err.message,
+    });
+  }
+});
+
+module.exports = { getAuditLogs, verifyAuditLog };
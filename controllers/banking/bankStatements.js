@@ -0,0 +1,239 @@
+const asyncHandler = require('express-async-handler');
+const ExcelJS = require('exceljs');
+const {
+  branchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
+const {
+  importStatement,
+  proposeMatches,
+  confirmLine,
+  ignoreLine,
+  listStatements,
+  getStatement,
+  reconciliationReport,
+} = require('../../services/banking/bankReconciliation');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const sendError = errorResponder('BANKING');
+
+async function reconciliationWorkbook(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Lee Funeral Home - MMS';
+  workbook.created = new Date();
+
+  const { statement, summary } = report;
+  const overview = workbook.addWorksheet('Summary');
+  overview.columns = [
+    { header: 'Item', key: 'item', width: 28 },
+    { header: 'Lines', key: 'count', width: 10 },
+    { header: `Amount (${statement.currency})`, key: 'amount', width: 18 },
+  ];
+  overview.getRow(1).font = { bold: true };
+  overview.addRow({
+    item: `Account ${statement.account_number || 'unknown'}`,
+  });
+  overview.addRow({
+    item: `Period ${statement.period_from || '?'} to ${statement.period_to || '?'}`,
+  });
+  overview.addRow({ item: 'Money in', amount: summary.credits });
+  overview.addRow({ item: 'Money out', amount: summary.debits });
+  ['matched', 'proposed', 'unmatched', 'ignored'].forEach((status) =>
+    overview.addRow({
+      item: status[0].toUpperCase() + status.slice(1),
+      count: summary[status].count,
+      amount: summary[status].amount,
+    }),
+  );
+  overview.addRow({
+    item: 'Not yet reconciled',
+    amount: summary.unreconciled,
+  }).font = { bold: true };
+  overview.getColumn('amount').numFmt = '#,##0.00';
+
+  const columns = [
+    { header: 'Date', key: 'posted_on', width: 12 },
+    { header: 'Reference', key: 'reference', width: 18 },
+    { header: 'Bank Ref', key: 'bank_ref', width: 18 },
+    { header: 'Payer', key: 'payer_name', width: 24 },
+    { header: 'Description', key: 'description', width: 40 },
+    { header: 'Amount', key: 'amount', width: 14 },
+    { header: 'Status', key: 'status', width: 11 },
+    { header: 'Receipt', key: 'receipt_number', width: 14 },
+    { header: 'Deceased', key: 'matched_deceased_id', width: 16 },
+    { header: 'Note', key: 'note', width: 30 },
+  ];
+  [
+    ['Matched', report.matched],
+    ['Unmatched', report.unmatched],
+    ['Ignored', report.ignored],
+    ['Money Out', report.debits],
+  ].forEach(([name, lines]) => {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns;
+    sheet.getRow(1).font = { bold: true };
+    lines.forEach((line) =>
+      sheet.addRow({ ...line, amount: parseFloat(line.amount) }),
+    );
+    sheet.getColumn('amount').numFmt = '#,##0.00';
+  });
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// ----------------- Import -----------------
+// Accepts a multipart `file` or the statement text as `statement` in a JSON
+// body. `format` (csv, ofx, mt940) is guessed from the file when omitted.
+const importBankStatement = asyncHandler(async (req, res) => {
+  const text = req.file
+    ? req.file.buffer.toString('utf8')
+    : req.body?.statement;
+  if (!text) {
+    return res.status(400).json({
+      success: false,
+      message:
+        'Upload a statement file as "file" or send its text as "statement"',
+    });
+  }
+
+  try {
+    const statement = await importStatement(req, {
+      text,
+      fileName: req.file?.originalname || req.body?.file_name,
+      format: req.body?.format,
+      currency: req.body?.currency,
+      branchId: getWriteBranchId(req),
+    });
+    res.status(201).json({
+      success: true,
+      message: `Imported ${statement.lines_imported} lines; ${statement.proposed} have a suggested match`,
+      data: statement,
+    });
+  } catch (err) {
+    sendError(res, err, 'Import bank statement');
+  }
+});
+
+// ----------------- Statements -----------------
+const getBankStatements = asyncHandler(async (req, res) => {
+  try {
+    const data = await listStatements({
+      branch: branchCondition(req, 's.branch_id'),
+      limit: req.query.limit,
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load bank statements');
+  }
+});
+
+const getBankStatement = asyncHandler(async (req, res) => {
+  try {
+    const data = await getStatement(req.params.id, {
+      branch: branchCondition(req, 's.branch_id'),
+      status: req.query.status,
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load bank statement');
+  }
+});
+
+const rematchBankStatement = asyncHandler(async (req, res) => {
+  try {
+    const proposed = await proposeMatches(req.params.id, {
+      branch: branchCondition(req, 's.branch_id'),
+    });
+    res.status(200).json({
+      success: true,
+      message: `${proposed} lines have a suggested match`,
+      data: { proposed },
+    });
+  } catch (err) {
+    sendError(res, err, 'Match bank statement');
+  }
+});
+
+const getReconciliationReport = asyncHandler(async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!['json', 'xlsx'].includes(format)) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'format must be json or xlsx' });
+  }
+
+  try {
+    const report = await reconciliationReport(req.params.id, {
+      branch: branchCondition(req, 's.branch_id'),
+    });
+
+    if (format === 'xlsx') {
+      const buffer = await reconciliationWorkbook(report);
+      res.setHeader(
+        'Content-Type',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      );
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="reconciliation-${report.statement.id}.xlsx"`,
+      );
+      res.setHeader('Content-Length', buffer.length);
+      return res.send(buffer);
+    }
+
+    res.status(200).json({ success: true, data: report });
+  } catch (err) {
+    sendError(res, err, 'Build reconciliation report');
+  }
+});
+
+// ----------------- Lines -----------------
+const confirmStatementLine = asyncHandler(async (req, res) => {
+  const { invoice_id, deceased_id, payment_id, note } = req.body || {};
+
+  try {
+    const line = await confirmLine(req, req.params.id, {
+      invoice_id,
+      deceased_id,
+      payment_id,
+      note,
+      branch: branchCondition(req, 's.branch_id'),
+      bodyBranch: branchCondition(req, 'd.branch_id'),
+    });
+    res.status(200).json({
+      success: true,
+      message: line.payment
+        ? `Payment posted as receipt ${line.payment.receipt_number}`
+        : `Line matched to payment ${line.payment_id}`,
+      data: line,
+    });
+  } catch (err) {
+    sendError(res, err, 'Confirm statement line');
+  }
+});
+
+const ignoreStatementLine = asyncHandler(async (req, res) => {
+  try {
+    const line = await ignoreLine(req, req.params.id, {
+      note: req.body?.note,
+      branch: branchCondition(req, 's.branch_id'),
+    });
+    res
+      .status(200)
+      .json({ success: true, message: 'Line ignored', data: line });
+  } catch (err) {
+    sendError(res, err, 'Ignore statement line');
+  }
+});
+
+module.exports = {
+  importBankStatement,
+  getBankStatements,
+  getBankStatement,
+  rematchBankStatement,
+  getReconciliationReport,
+  confirmStatementLine,
+  ignoreStatementLine,
+};
@@ -0,0 +1,58 @@
+const asyncHandler = require('express-async-handler');
+const { safeQuery } = require('../../configurations/sqlConfig/db');
+const {
+  getBranchCached,
+  setBranchCached,
+} = require('../../cachemanager/cachemanager');
+
+// ✅ List branches (for the super-admin branch switcher)
+const getBranches = asyncHandler(async (req, res) => {
+  const rows = await safeQuery('SELECT * FROM branches ORDER BY name');
+  res.json({ success: true, count: rows.length, data: rows });
+});
+
+// ✅ Cross-branch overview: caseload and money per branch side by side
+const getBranchOverview = asyncHandler(async (req, res) => {
+  let data = getBranchCached('all', 'branchOverview');
+
+  if (!data) {
+    data = await safeQuery(`
+      SELECT
+        b.id AS branch_id,
+        b.name AS branch_name,
+        (SELECT COUNT(*) FROM deceased d
+          WHERE d.branch_id = b.id AND d.deleted_at IS NULL
+            AND d.status != 'Dispatched') AS bodies_in_care,
+        (SELECT COUNT(*) FROM deceased d
+          WHERE d.branch_id = b.id AND d.deleted_at IS NULL
+            AND d.date_admitted >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)) AS admissions_30d,
+        (SELECT COALESCE(SUM(d.balance), 0) FROM deceased d
+          WHERE d.branch_id = b.id AND d.deleted_at IS NULL) AS outstanding_balance,
+        (SELECT COUNT(*) FROM invoices i
+          WHERE i.branch_id = b.id AND i.deleted_at IS NULL) AS invoice_count,
+        (SELECT COALESCE(SUM(i.total_amount), 0) FROM invoices i
+          WHERE i.branch_id = b.id AND i.deleted_at IS NULL) AS invoiced_total,
+        (SELECT COALESCE(SUM(c.quantity), 0) FROM coffins c
+          WHERE c.branch_id = b.id AND c.deleted_at IS NULL) AS coffins_in_stock,
+        (SELECT COUNT(*) FROM users u
+          WHERE u.branch_id = b.id AND u.is_active = 1) AS active_staff
+      FROM branches b
+      ORDER BY b.name
+    `);
+    setBranchCached('all', 'branchOverview', data, 120);
+  }
+
+  const totals = data.reduce(
+    (acc, row) => {
+      acc.bodies_in_care += Number(row.bodies_in_care) || 0;
+      acc.outstanding_balance += Number(row.outstanding_balance) || 0;
+      acc.invoiced_total += Number(row.invoiced_total) || 0;
+      return acc;
+    },
+    { bodies_in_care: 0, outstanding_balance: 0, invoiced_total: 0 },
+  );
+
+  res.json({ success: true, count: data.length, totals, data });
+});
+
+module.exports = { getBranches, getBranchOverview };
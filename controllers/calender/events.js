@@ -3,6 +3,10 @@ const asyncHandler = require('express-async-handler');
 const { v4: uuidv4 } = require('uuid');
 const { safeQuery } = require('../../configurations/sqlConfig/db');
 const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  branchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
 
 // ----------------------------------------------------
 //   CREATE EVENTS (single OR multiple) - FIXED VERSION
@@ -17,6 +21,7 @@ const createEvents = asyncHandler(async (req, res) => {
   }
 
   const createdAt = getKenyaTimeISO();
+  const branchId = getWriteBranchId(req);
   const output = [];
 
   for (const ev of events) {
@@ -35,8 +40,8 @@ const createEvents = asyncHandler(async (req, res) => {
 
     // FIXED: Use the correct database schema with all fields
     await safeQuery(
-      `INSERT INTO events (title, description, start, end, category, priority, status, staff, created_at, updated_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO events (title, description, start, end, category, priority, status, staff, branch_id, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         data.title,
         data.description,
@@ -46,6 +51,7 @@ const createEvents = asyncHandler(async (req, res) => {
         data.priority,
         data.status,
         data.staff,
+        branchId,
         data.createdAt,
         data.updatedAt,
       ],
@@ -73,6 +79,7 @@ const getEventsByMonth = asyncHandler(async (req, res) => {
   console.log('🔍 Fetching events for:', year, month);
 
   try {
+    const branch = branchCondition(req);
     // FIXED: Query using the correct field names from your database
     const rows = await safeQuery(
       `SELECT 
@@ -88,9 +95,9 @@ const getEventsByMonth = asyncHandler(async (req, res) => {
                 created_at,
                 updated_at
              FROM events 
-             WHERE YEAR(start) = ? AND MONTH(start) = ?
+             WHERE YEAR(start) = ? AND MONTH(start) = ? AND ${branch.sql}
              ORDER BY start ASC`,
-      [parseInt(year), parseInt(month)],
+      [parseInt(year), parseInt(month), ...branch.params],
     );
 
     console.log(`📅 Found ${rows.length} events for ${year}-${month}`);
@@ -136,12 +143,13 @@ const updateEvent = asyncHandler(async (req, res) => {
   const data = req.body;
 
   const updatedAt = getKenyaTimeISO();
+  const branch = branchCondition(req);
 
   // FIXED: Update all fields including category, priority, staff
-  await safeQuery(
+  const result = await safeQuery(
     `UPDATE events 
          SET title=?, description=?, start=?, end=?, category=?, priority=?, status=?, staff=?, updated_at=?
-         WHERE id=?`,
+         WHERE id=? AND ${branch.sql}`,
     [
       data.title || '',
       data.description || '',
@@ -153,8 +161,12 @@ const updateEvent = asyncHandler(async (req, res) => {
       data.staff || 'Unassigned',
       updatedAt,
       eventId,
+      ...branch.params,
     ],
   );
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ success: false, message: 'Event not found' });
+  }
 
   return res.json({
     success: true,
@@ -168,7 +180,14 @@ const updateEvent = asyncHandler(async (req, res) => {
 const deleteEvent = asyncHandler(async (req, res) => {
   const { eventId } = req.params;
 
-  await safeQuery(`DELETE FROM events WHERE id=?`, [eventId]);
+  const branch = branchCondition(req);
+  const result = await safeQuery(
+    `DELETE FROM events WHERE id=? AND ${branch.sql}`,
+    [eventId, ...branch.params],
+  );
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ success: false, message: 'Event not found' });
+  }
 
   return res.json({
     success: true,
@@ -180,10 +199,15 @@ const deleteEvent = asyncHandler(async (req, res) => {
 //   GET ALL EVENTS
 // ----------------------------------------------------
 const getAllEvents = asyncHandler(async (req, res) => {
-  const rows = await safeQuery(`
+  const branch = branchCondition(req);
+  const rows = await safeQuery(
+    `
         SELECT * FROM events 
+        WHERE ${branch.sql}
         ORDER BY start ASC
-    `);
+    `,
+    branch.params,
+  );
 
   return res.json({
     success: true,
@@ -3,12 +3,46 @@ const {
   safeQuery,
   getConnection,
   releaseConnection,
+  withTransaction,
 } = require('../../configurations/sqlConfig/db');
+const { AppError } = require('../../middlewares/errorHandler/errorHandler');
+const {
+  LIFECYCLE,
+  transitionStatus,
+} = require('../../services/lifecycle/bodyLifecycle');
+const { softDelete } = require('../../services/recycleBin/softDelete');
+const {
+  lockCoffin,
+  postMovement,
+  stockAnalytics,
+} = require('../../services/coffins/coffinStock');
+const { openOrderSummary } = require('../../services/coffins/purchasing');
+const { settleCoffinChoice } = require('../../services/portal/serviceChoices');
+const {
+  SUPPORTED_CURRENCIES,
+  toCurrencyCode,
+  normaliseCurrency,
+  getRate,
+  convert,
+} = require('../../services/currency/currency');
 const NodeCache = require('node-cache');
 const ExcelJS = require('exceljs');
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
+const {
+  getBranchCached,
+  setBranchCached,
+  invalidateBranchCache,
+} = require('../../cachemanager/cachemanager');
+const {
+  branchCondition,
+  deceasedBranchCondition,
+  canAccessBranch,
+  getWriteBranchId,
+  getBranchCacheId,
+} = require('../../middlewares/tenancy/branchScope');
+const { actorOf } = require('../../utilities/helpers/helpers');
 
 // Cache Setup with memory leak protection
 const coffinCache = new NodeCache({
@@ -43,12 +77,36 @@ const generateCoffinId = () => {
   return `COF-${timestamp}-${random}`;
 };
 
-// Current exchange rate
-const EXCHANGE_RATES = {
-  USD: 150, // 1 USD = 150 KES
-  KES: 1,
+// Stock lists and analytics are cached per branch (cachemanager)
+const COFFIN_LIST_TTL = 300;
+const clearCoffinBranchCaches = (branchId) => {
+  invalidateBranchCache(branchId, 'allCoffins');
+  invalidateBranchCache(branchId, 'coffinAnalytics');
 };
 
+// After a stock movement posted outside this controller
+const clearCoffinCaches = (coffinId, branchId) => {
+  coffinCache.del(`coffin_${coffinId}`);
+  clearCoffinBranchCaches(branchId);
+};
+
+// Coffins store their KES price (`exact_price`), a USD price for the
+// catalogue and the KES rate of their own currency on the day they were priced
+async function coffinPricing(price, currency) {
+  const code = normaliseCurrency(currency);
+  const { rate } = await getRate(code);
+  const priceKES = price * rate;
+
+  let priceUSD = null;
+  try {
+    priceUSD = (await convert(priceKES, 'KES', 'USD')).amount;
+  } catch (err) {
+    if (err.code !== 'RATE_MISSING') throw err;
+  }
+
+  return { currency: code, priceKES, priceUSD, exchangeRate: rate };
+}
+
 // Memory management - cleanup function
 const cleanupResources = () => {
   try {
@@ -272,8 +330,10 @@ const validateCoffinData = (data) => {
     errors.push('Price cannot be negative');
   }
 
-  if (!data.currency || !['KES', 'USD'].includes(data.currency)) {
-    errors.push('Valid currency (KES or USD) is required');
+  if (!toCurrencyCode(data.currency)) {
+    errors.push(
+      `Valid currency (${SUPPORTED_CURRENCIES.join(', ')}) is required`,
+    );
   }
 
   if (
@@ -283,6 +343,14 @@ const validateCoffinData = (data) => {
     errors.push('Quantity must be a non-negative number');
   }
 
+  if (
+    data.unit_cost !== undefined &&
+    data.unit_cost !== '' &&
+    !(parseFloat(data.unit_cost) >= 0)
+  ) {
+    errors.push('Unit cost must be a non-negative number');
+  }
+
   // Prevent excessively long inputs
   if (data.type && data.type.length > 255) {
     errors.push('Coffin type too long (max 255 characters)');
@@ -300,8 +368,6 @@ const validateCoffinData = (data) => {
    =============================== */
 
 const createCoffin = expressAsyncHandler(async (req, res) => {
-  let connection;
-
   // Memory protection - limit files
 
   if (req.files && req.files.length > 10) {
@@ -331,6 +397,7 @@ const createCoffin = expressAsyncHandler(async (req, res) => {
       size,
       created_by,
       category,
+      unit_cost,
     } = req.body;
 
     // Validate input
@@ -342,19 +409,9 @@ const createCoffin = expressAsyncHandler(async (req, res) => {
       });
     }
 
-    // Calculate prices based on currency
-    const price = parseFloat(exact_price);
-    let priceKES, priceUSD, exchangeRateUsed;
-
-    if (currency === 'USD') {
-      priceUSD = price;
-      priceKES = price * EXCHANGE_RATES.USD;
-      exchangeRateUsed = EXCHANGE_RATES.USD;
-    } else {
-      priceKES = price;
-      priceUSD = price / EXCHANGE_RATES.USD;
-      exchangeRateUsed = EXCHANGE_RATES.USD;
-    }
+    // Calculate prices from today's exchange rate
+    const pricing = await coffinPricing(parseFloat(exact_price), currency);
+    const { priceKES, priceUSD } = pricing;
 
     // Generate coffin ID if not provided
     const finalCoffinId = coffin_id || generateCoffinId();
@@ -397,53 +454,49 @@ const createCoffin = expressAsyncHandler(async (req, res) => {
       userId = 1; // fallback default user ID
     }
 
-    connection = await getConnection();
-
-    try {
-      await connection.beginTransaction();
-
+    // Coffin, images and opening stock commit together
+    const stock = parseInt(quantity) || 1;
+    const coffinDbId = await withTransaction(async (tx) => {
       // Check for duplicate custom ID
       if (coffin_id) {
-        const existingCoffins = await safeQuery(
+        const existingCoffin = await tx.queryOne(
           'SELECT coffin_id FROM coffins WHERE custom_id = ?',
           [coffin_id],
         );
-        if (existingCoffins.length > 0) {
-          await connection.rollback();
-          return res.status(400).json({
-            success: false,
-            error: 'Custom ID already exists. Use a different ID.',
-          });
+        if (existingCoffin) {
+          throw new AppError(
+            'Custom ID already exists. Use a different ID.',
+            400,
+          );
         }
       }
 
-      // Insert coffin with currency and pricing fields
+      // Insert coffin with currency and pricing fields; stock comes in
+      // through the journal below
       const insertCoffinSql = `
         INSERT INTO coffins 
         (custom_id, type, material, exact_price, currency, price_usd, exchange_rate, 
-         quantity, supplier, origin, color, size, category, created_by, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+         quantity, supplier, origin, color, size, category, created_by, branch_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, NOW())
       `;
 
-      const result = await safeQuery(insertCoffinSql, [
+      const result = await tx.query(insertCoffinSql, [
         finalCoffinId,
         type.trim(),
         material.trim(),
         priceKES,
-        currency,
+        pricing.currency,
         priceUSD,
-        exchangeRateUsed,
-        parseInt(quantity) || 1,
+        pricing.exchangeRate,
         supplier ? supplier.trim() : null,
         origin ? origin.trim() : null,
         color ? color.trim() : null,
         size ? size.trim() : null,
         category || 'locally_made',
         userId,
+        getWriteBranchId(req),
       ]);
 
-      const coffinDbId = result.insertId;
-
       // Insert coffin images in batches to prevent memory issues
       if (image_urls.length > 0) {
         const batchSize = 5;
@@ -458,62 +511,78 @@ const createCoffin = expressAsyncHandler(async (req, res) => {
           `;
 
           // Flatten values: [coffin_id, image_url, coffin_id, image_url...]
-          const flatParams = batch.flatMap((url) => [coffinDbId, url]);
+          const flatParams = batch.flatMap((url) => [result.insertId, url]);
 
-          await safeQuery(insertImagesSql, flatParams);
+          await tx.query(insertImagesSql, flatParams);
         }
       }
 
-      await connection.commit();
+      const coffin = await lockCoffin(tx, result.insertId);
+      await postMovement(tx, coffin, {
+        kind: 'receipt',
+        quantity: stock,
+        unitCost:
+          unit_cost !== undefined && unit_cost !== ''
+            ? parseFloat(unit_cost)
+            : null,
+        reason: 'Entered with the coffin',
+        actor: userId,
+      });
 
-      // Clear cache
-      coffinCache.del('allCoffins');
-      coffinCache.del('coffinAnalytics');
+      return result.insertId;
+    });
 
-      // Explicitly clean up request data
-      req.body = null;
-      if (req.files) {
-        req.files.length = 0;
-      }
+    // Clear cache
+    clearCoffinBranchCaches(getWriteBranchId(req));
 
-      res.status(201).json({
-        success: true,
-        message:
-          '✅ Coffin created successfully with high-quality processed images',
-        coffin_id: finalCoffinId,
-        database_id: coffinDbId,
-        images: {
-          count: image_urls.length,
-          urls: image_urls,
-          format: IMAGE_CONFIG.FORMAT,
-          dimensions: `${IMAGE_CONFIG.TARGET_WIDTH}x${IMAGE_CONFIG.TARGET_HEIGHT}`,
-          quality: IMAGE_CONFIG.QUALITY,
-        },
-        pricing: {
-          price_kes: priceKES.toFixed(2),
-          price_usd: priceUSD.toFixed(2),
-          exchange_rate: exchangeRateUsed,
-          original_currency: currency,
-        },
-        data: {
-          coffin_id: finalCoffinId,
-          type,
-          material,
-          category: category || 'locally_made',
-          exact_price: priceKES.toFixed(2),
-          currency,
-          quantity: quantity || 1,
-          created_by: userId,
-          images: image_urls,
-        },
-      });
-    } catch (error) {
-      await connection.rollback();
-      throw error;
+    // Explicitly clean up request data
+    req.body = null;
+    if (req.files) {
+      req.files.length = 0;
     }
+
+    res.status(201).json({
+      success: true,
+      message:
+        '✅ Coffin created successfully with high-quality processed images',
+      coffin_id: finalCoffinId,
+      database_id: coffinDbId,
+      images: {
+        count: image_urls.length,
+        urls: image_urls,
+        format: IMAGE_CONFIG.FORMAT,
+        dimensions: `${IMAGE_CONFIG.TARGET_WIDTH}x${IMAGE_CONFIG.TARGET_HEIGHT}`,
+        quality: IMAGE_CONFIG.QUALITY,
+      },
+      pricing: {
+        price_kes: priceKES.toFixed(2),
+        price_usd: priceUSD === null ? null : priceUSD.toFixed(2),
+        exchange_rate: pricing.exchangeRate,
+        original_currency: pricing.currency,
+      },
+      data: {
+        coffin_id: finalCoffinId,
+        type,
+        material,
+        category: category || 'locally_made',
+        exact_price: priceKES.toFixed(2),
+        currency: pricing.currency,
+        quantity: stock,
+        created_by: userId,
+        images: image_urls,
+      },
+    });
   } catch (err) {
     console.error('❌ DATABASE ERROR inserting coffin:', err);
 
+    // Unsupported currency or no exchange rate entered
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({
+        success: false,
+        code: err.code,
+        error: err.message,
+      });
+    }
     // Specific error handling
     if (err.code === 'ER_DUP_ENTRY') {
       return res.status(400).json({
@@ -539,10 +608,6 @@ const createCoffin = expressAsyncHandler(async (req, res) => {
       error: 'Server error: ' + err.message,
     });
   } finally {
-    if (connection) {
-      await releaseConnection(connection);
-    }
-
     // Force garbage collection if available
     if (global.gc) {
       global.gc();
@@ -556,14 +621,16 @@ const createCoffin = expressAsyncHandler(async (req, res) => {
 
 const getAllCoffins = expressAsyncHandler(async (req, res) => {
   try {
-    let coffins = coffinCache.get('allCoffins');
+    const cacheId = getBranchCacheId(req);
+    let coffins = getBranchCached(cacheId, 'allCoffins');
 
     if (!coffins) {
+      const branch = branchCondition(req, 'c.branch_id');
       const sql = `
   SELECT 
     c.coffin_id, c.custom_id, c.type, c.material, c.exact_price, c.currency, 
     c.price_usd, c.exchange_rate, c.quantity, c.supplier, c.origin, c.color, 
-    c.size, c.category, c.created_at, c.updated_at,
+    c.size, c.category, c.branch_id, c.created_at, c.updated_at,
     u.name as created_by_name,
     (SELECT GROUP_CONCAT(ci.image_url)
        FROM coffin_images ci
@@ -571,11 +638,12 @@ const getAllCoffins = expressAsyncHandler(async (req, res) => {
     ) as image_urls
   FROM coffins c
   LEFT JOIN users u ON c.created_by = u.id
+  WHERE c.deleted_at IS NULL AND ${branch.sql}
   ORDER BY c.created_at DESC
   LIMIT 1000
 `;
 
-      coffins = await safeQuery(sql);
+      coffins = await safeQuery(sql, branch.params);
 
       // Process coffins
       coffins = coffins.map((coffin) => {
@@ -604,7 +672,7 @@ const getAllCoffins = expressAsyncHandler(async (req, res) => {
         };
       });
 
-      coffinCache.set('allCoffins', coffins);
+      setBranchCached(cacheId, 'allCoffins', coffins, COFFIN_LIST_TTL);
     }
 
     res.status(200).json({
@@ -656,7 +724,7 @@ const getCoffinById = expressAsyncHandler(async (req, res) => {
         FROM coffins c
         LEFT JOIN users u ON c.created_by = u.id
         LEFT JOIN coffin_images ci ON c.coffin_id = ci.coffin_id
-        WHERE c.coffin_id = ?
+        WHERE c.coffin_id = ? AND c.deleted_at IS NULL
         GROUP BY c.coffin_id
       `;
 
@@ -678,6 +746,13 @@ const getCoffinById = expressAsyncHandler(async (req, res) => {
       coffinCache.set(cacheKey, coffin, 300);
     }
 
+    if (!canAccessBranch(req, coffin.branch_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coffin not found',
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: coffin,
@@ -695,8 +770,6 @@ const getCoffinById = expressAsyncHandler(async (req, res) => {
    ✅ UPDATE COFFIN WITH MULTIPLE IMAGES (MEMORY SAFE)
    =============================== */
 const updateCoffin = expressAsyncHandler(async (req, res) => {
-  let connection;
-
   try {
     const { id } = req.params;
 
@@ -729,10 +802,11 @@ const updateCoffin = expressAsyncHandler(async (req, res) => {
       });
     }
 
-    // Check if coffin exists
+    // Check if coffin exists in the caller's branch
+    const branch = branchCondition(req);
     const existingCoffin = await safeQuery(
-      'SELECT * FROM coffins WHERE coffin_id = ?',
-      [parseInt(id)],
+      `SELECT * FROM coffins WHERE coffin_id = ? AND deleted_at IS NULL AND ${branch.sql}`,
+      [parseInt(id), ...branch.params],
     );
 
     if (existingCoffin.length === 0) {
@@ -742,11 +816,18 @@ const updateCoffin = expressAsyncHandler(async (req, res) => {
       });
     }
 
-    connection = await getConnection();
-
-    try {
-      await connection.beginTransaction();
+    if (
+      quantity !== undefined &&
+      (isNaN(parseInt(quantity)) || parseInt(quantity) < 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a non-negative number',
+      });
+    }
 
+    // Images, details and any stock correction commit together
+    await withTransaction(async (tx) => {
       // Handle new image uploads with memory protection
       if (req.files && req.files.length > 0) {
         const image_urls = await safeFileOperation(() => {
@@ -754,41 +835,45 @@ const updateCoffin = expressAsyncHandler(async (req, res) => {
         });
 
         // Delete old images and insert new ones in batches
-        await safeQuery('DELETE FROM coffin_images WHERE coffin_id = ?', [id]);
+        await tx.query('DELETE FROM coffin_images WHERE coffin_id = ?', [id]);
 
         if (image_urls.length > 0) {
           const batchSize = 5;
           for (let i = 0; i < image_urls.length; i += batchSize) {
             const batch = image_urls.slice(i, i + batchSize);
-            const imageValues = batch.map((url) => [parseInt(id), url]);
-
             const insertImagesSql = `
               INSERT INTO coffin_images (coffin_id, image_url, created_at)
-              VALUES ?
+              VALUES ${batch.map(() => '(?, ?, NOW())').join(', ')}
             `;
-            await safeQuery(insertImagesSql, [imageValues]);
+            await tx.query(
+              insertImagesSql,
+              batch.flatMap((url) => [parseInt(id), url]),
+            );
           }
         }
       }
 
-      // Calculate prices if currency or price changed
+      // Calculate prices if currency or price changed. Without a new price,
+      // the stored one is taken back to its own currency first.
       let updateFields = {};
       if (exact_price !== undefined || currency !== undefined) {
+        const coffin = existingCoffin[0];
         const currentPrice =
           exact_price !== undefined
             ? parseFloat(exact_price)
-            : existingCoffin[0].exact_price;
-        const currentCurrency = currency || existingCoffin[0].currency;
-
-        if (currentCurrency === 'USD') {
-          updateFields.price_usd = currentPrice;
-          updateFields.exact_price = currentPrice * EXCHANGE_RATES.USD;
-        } else {
-          updateFields.exact_price = currentPrice;
-          updateFields.price_usd = currentPrice / EXCHANGE_RATES.USD;
-        }
-        updateFields.exchange_rate = EXCHANGE_RATES.USD;
-        updateFields.currency = currentCurrency;
+            : parseFloat(coffin.exact_price) /
+              (toCurrencyCode(coffin.currency) === 'KES'
+                ? 1
+                : parseFloat(coffin.exchange_rate) || 1);
+        const pricing = await coffinPricing(
+          currentPrice,
+          currency || coffin.currency,
+        );
+
+        updateFields.exact_price = pricing.priceKES;
+        updateFields.price_usd = pricing.priceUSD;
+        updateFields.exchange_rate = pricing.exchangeRate;
+        updateFields.currency = pricing.currency;
       }
 
       // Build dynamic update query
@@ -819,10 +904,6 @@ const updateCoffin = expressAsyncHandler(async (req, res) => {
         updateFieldsSql.push('exchange_rate = ?');
         updateValues.push(updateFields.exchange_rate);
       }
-      if (quantity !== undefined) {
-        updateFieldsSql.push('quantity = ?');
-        updateValues.push(parseInt(quantity));
-      }
       if (supplier !== undefined) {
         updateFieldsSql.push('supplier = ?');
         updateValues.push(supplier ? supplier.trim() : null);
@@ -854,35 +935,47 @@ const updateCoffin = expressAsyncHandler(async (req, res) => {
           WHERE coffin_id = ?
         `;
 
-        await safeQuery(updateSql, updateValues);
+        await tx.query(updateSql, updateValues);
       }
 
-      await connection.commit();
+      // A new quantity is a correction in the stock journal
+      if (quantity !== undefined) {
+        const coffin = await lockCoffin(tx, parseInt(id));
+        const change = parseInt(quantity) - (parseInt(coffin.quantity) || 0);
+        if (change) {
+          await postMovement(tx, coffin, {
+            kind: 'adjustment',
+            quantity: change,
+            reason: 'Quantity edited on the coffin record',
+            actor: actorOf(req),
+          });
+        }
+      }
+    });
 
-      // Clear relevant caches
-      coffinCache.del('allCoffins');
-      coffinCache.del(`coffin_${id}`);
-      coffinCache.del('coffinAnalytics');
+    // Clear relevant caches
+    coffinCache.del(`coffin_${id}`);
+    clearCoffinBranchCaches(existingCoffin[0].branch_id);
 
-      res.status(200).json({
-        success: true,
-        message: '✅ Coffin updated successfully',
-      });
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    }
+    res.status(200).json({
+      success: true,
+      message: '✅ Coffin updated successfully',
+    });
   } catch (error) {
     console.error('❌ Error updating coffin:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        code: error.code,
+        message: error.message,
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to update coffin',
       error: error.message,
     });
   } finally {
-    if (connection) {
-      await releaseConnection(connection);
-    }
     if (global.gc) global.gc();
   }
 });
@@ -892,8 +985,6 @@ const updateCoffin = expressAsyncHandler(async (req, res) => {
    =============================== */
 
 const deleteCoffin = expressAsyncHandler(async (req, res) => {
-  let connection;
-
   try {
     const { id } = req.params;
 
@@ -907,10 +998,11 @@ const deleteCoffin = expressAsyncHandler(async (req, res) => {
 
     const coffinId = parseInt(id);
 
-    // Check if coffin exists
+    // Check if coffin exists in the caller's branch
+    const branch = branchCondition(req);
     const coffin = await safeQuery(
-      'SELECT * FROM coffins WHERE coffin_id = ?',
-      [coffinId],
+      `SELECT * FROM coffins WHERE coffin_id = ? AND deleted_at IS NULL AND ${branch.sql}`,
+      [coffinId, ...branch.params],
     );
 
     if (coffin.length === 0) {
@@ -942,49 +1034,17 @@ const deleteCoffin = expressAsyncHandler(async (req, res) => {
       });
     }
 
-    connection = await getConnection();
-
-    try {
-      await connection.beginTransaction();
-
-      // Delete coffin images in batches
-      const images = await safeQuery(
-        'SELECT image_id FROM coffin_images WHERE coffin_id = ?',
-        [coffinId],
-      );
+    // Soft delete: images stay until the recycle bin purges the coffin
+    await withTransaction((tx) => softDelete(tx, req, 'coffin', coffinId));
 
-      if (images.length > 0) {
-        const batchSize = 50;
-        for (let i = 0; i < images.length; i += batchSize) {
-          const batch = images.slice(i, i + batchSize);
-          const placeholders = batch.map(() => '?').join(','); // create ?,?,?
-          const imageIds = batch.map((img) => img.image_id);
+    // Clear caches
+    coffinCache.del(`coffin_${coffinId}`);
+    clearCoffinBranchCaches(coffin[0].branch_id);
 
-          await safeQuery(
-            `DELETE FROM coffin_images WHERE image_id IN (${placeholders})`,
-            imageIds,
-          );
-        }
-      }
-
-      // Delete coffin
-      await safeQuery('DELETE FROM coffins WHERE coffin_id = ?', [coffinId]);
-
-      await connection.commit();
-
-      // Clear caches
-      coffinCache.del('allCoffins');
-      coffinCache.del(`coffin_${coffinId}`);
-      coffinCache.del('coffinAnalytics');
-
-      res.status(200).json({
-        success: true,
-        message: '✅ Coffin deleted successfully',
-      });
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    }
+    res.status(200).json({
+      success: true,
+      message: '✅ Coffin deleted successfully',
+    });
   } catch (error) {
     console.error('❌ Error deleting coffin:', error);
     res.status(500).json({
@@ -993,14 +1053,15 @@ const deleteCoffin = expressAsyncHandler(async (req, res) => {
       error: error.message,
     });
   } finally {
-    if (connection) await releaseConnection(connection);
     if (global.gc) global.gc();
   }
 });
 
 const exportCoffinsToExcel = expressAsyncHandler(async (req, res) => {
   try {
-    const coffins = await safeQuery(`
+    const branch = branchCondition(req, 'c.branch_id');
+    const coffins = await safeQuery(
+      `
       SELECT 
         c.coffin_id, c.custom_id, c.type, c.material, c.exact_price, c.currency,
         c.price_usd, c.quantity, c.supplier, c.origin, c.color, c.size, 
@@ -1008,9 +1069,12 @@ const exportCoffinsToExcel = expressAsyncHandler(async (req, res) => {
         u.name as created_by_name
       FROM coffins c
       LEFT JOIN users u ON c.created_by = u.id
+      WHERE c.deleted_at IS NULL AND ${branch.sql}
       ORDER BY c.created_at DESC
       LIMIT 5000
-    `);
+    `,
+      branch.params,
+    );
 
     const workbook = new ExcelJS.Workbook();
     workbook.creator = 'Lee Funeral Home - MMS';
@@ -1654,8 +1718,6 @@ const exportCoffinsToExcel = expressAsyncHandler(async (req, res) => {
    ✅ ASSIGN COFFIN (MEMORY SAFE)
    =============================== */
 const assignCoffin = expressAsyncHandler(async (req, res) => {
-  let connection;
-
   try {
     const {
       deceased_id,
@@ -1673,29 +1735,6 @@ const assignCoffin = expressAsyncHandler(async (req, res) => {
       });
     }
 
-    connection = await getConnection();
-    await connection.beginTransaction();
-
-    // Lock coffin row
-    const [coffin] = await safeQuery(
-      'SELECT quantity, type, material FROM coffins WHERE coffin_id = ? FOR UPDATE',
-      [coffin_id],
-    );
-
-    if (!coffin) {
-      await connection.rollback();
-      return res
-        .status(404)
-        .json({ success: false, message: 'Coffin not found' });
-    }
-
-    if (coffin.quantity <= 0) {
-      await connection.rollback();
-      return res
-        .status(400)
-        .json({ success: false, message: 'Coffin out of stock' });
-    }
-
     // Use provided username or default to 'system'
     const username = assigned_by || 'system';
 
@@ -1705,37 +1744,83 @@ const assignCoffin = expressAsyncHandler(async (req, res) => {
         : new Date().toISOString().split('T')[0];
 
     const rfid = generateRFID(deceased_name);
+    const branch = branchCondition(req);
+
+    // Stock, assignment and the body's coffin status change together
+    const { coffin, assignmentId } = await withTransaction(async (tx) => {
+      // Lock coffin row (stock must come from the caller's branch)
+      const coffin = await tx.queryOne(
+        `SELECT * FROM coffins WHERE coffin_id = ? AND deleted_at IS NULL AND ${branch.sql} FOR UPDATE`,
+        [coffin_id, ...branch.params],
+      );
+      if (!coffin) throw new AppError('Coffin not found', 404);
+      if (coffin.quantity <= 0) throw new AppError('Coffin out of stock', 400);
 
-    // Insert assignment
-    const insertSql = `
-      INSERT INTO deceased_coffin (deceased_id, coffin_id, assigned_by_username, assigned_date, rfid)
-      VALUES (?, ?, ?, ?, ?)
-    `;
-    const result = await safeQuery(insertSql, [
-      deceased_id,
-      coffin_id,
-      username,
-      finalAssignedDate,
-      rfid,
-    ]);
+      const deceased = await tx.queryOne(
+        `SELECT deceased_id FROM deceased WHERE deceased_id = ? AND deleted_at IS NULL AND ${branch.sql} FOR UPDATE`,
+        [deceased_id, ...branch.params],
+      );
+      if (!deceased) throw new AppError('Deceased record not found', 404);
+
+      // Insert assignment
+      const result = await tx.query(
+        `
+        INSERT INTO deceased_coffin (deceased_id, coffin_id, assigned_by_username, assigned_date, rfid)
+        VALUES (?, ?, ?, ?, ?)
+        `,
+        [deceased_id, coffin_id, username, finalAssignedDate, rfid],
+      );
 
-    // Update coffin stock
-    await safeQuery(
-      'UPDATE coffins SET quantity = quantity - 1, updated_at = NOW() WHERE coffin_id = ?',
-      [coffin_id],
-    );
+      // Take it out of stock through the journal, at today's cost and price
+      await lockCoffin(tx, coffin.coffin_id);
+      await postMovement(tx, coffin, {
+        kind: 'assignment',
+        quantity: -1,
+        unitPrice: coffin.exact_price,
+        reason: `Assigned to ${deceased_id}`,
+        actor: username,
+        refs: { assignmentId: result.insertId, deceasedId: deceased_id },
+      });
+
+      await tx.query(
+        'UPDATE deceased SET coffin_status = ? WHERE deceased_id = ?',
+        ['Assigned', deceased_id],
+      );
 
-    await connection.commit();
+      await transitionStatus(tx, {
+        deceasedId: deceased_id,
+        to: LIFECYCLE.COFFINED,
+        onlyFrom: [LIFECYCLE.IN_STORAGE, LIFECYCLE.AUTOPSY, LIFECYCLE.EMBALMED],
+        reason: `Coffin ${coffin_id} assigned`,
+        actor: username,
+      });
+
+      // Answers the family's choice from the portal, if they made one
+      await settleCoffinChoice(tx, {
+        deceasedId: deceased_id,
+        coffinId: coffin.coffin_id,
+        assignmentId: result.insertId,
+      });
+
+      return { coffin, assignmentId: result.insertId };
+    });
+
+    clearCoffinBranchCaches(coffin.branch_id);
+    coffinCache.del(`coffin_${coffin_id}`);
 
     res.status(201).json({
       success: true,
       message: '✅ Coffin assigned successfully',
-      assignment_id: result.insertId,
+      assignment_id: assignmentId,
       rfid,
       coffin_details: { type: coffin.type, material: coffin.material },
     });
   } catch (error) {
-    if (connection) await connection.rollback();
+    if (error.isOperational) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
     console.error('❌ Error assigning coffin:', error);
     res.status(500).json({
       success: false,
@@ -1743,7 +1828,6 @@ const assignCoffin = expressAsyncHandler(async (req, res) => {
       error: error.message,
     });
   } finally {
-    if (connection) connection.release();
     if (global.gc) global.gc();
   }
 });
@@ -1757,9 +1841,11 @@ const getRecentlyAssignedCoffins = expressAsyncHandler(async (req, res) => {
     const safeLimit = Math.min(parseInt(limit) || 10, 100); // Cap at 100
 
     const cacheKey = `recent_assignments_${safeLimit}`;
-    let assignments = coffinCache.get(cacheKey);
+    const cacheId = getBranchCacheId(req);
+    let assignments = getBranchCached(cacheId, cacheKey);
 
     if (!assignments) {
+      const branch = deceasedBranchCondition(req, 'dc.deceased_id');
       const sql = `
         SELECT 
           dc.id AS assignment_id,
@@ -1775,12 +1861,13 @@ const getRecentlyAssignedCoffins = expressAsyncHandler(async (req, res) => {
         FROM deceased_coffin dc
         LEFT JOIN deceased d ON dc.deceased_id = d.deceased_id
         LEFT JOIN coffins c ON dc.coffin_id = c.coffin_id
+        WHERE ${branch.sql}
         ORDER BY dc.assigned_date DESC, dc.created_at DESC
         LIMIT ?
       `;
 
-      assignments = await safeQuery(sql, [safeLimit]);
-      coffinCache.set(cacheKey, assignments, 60); // Cache for 1 minute
+      assignments = await safeQuery(sql, [...branch.params, safeLimit]);
+      setBranchCached(cacheId, cacheKey, assignments, 60); // Cache for 1 minute
     }
 
     res.status(200).json({
@@ -1831,17 +1918,18 @@ const getCoffinAnalytics = expressAsyncHandler(async (req, res) => {
     const month = monthNames[generationTimestamp.getMonth()]; // getMonth() returns 0-11
     const year = generationTimestamp.getFullYear();
 
-    // Optional: include user or report type
-    const username = req.user?.username || 'System';
-
     // Build the filename
     const filename = `Lee-Funeral-Coffin-Inventory-${month}-${day}-${year}.xlsx`;
 
     // Check cache first
-    let analytics = coffinCache.get('coffinAnalytics');
+    const cacheId = getBranchCacheId(req);
+    let analytics = getBranchCached(cacheId, 'coffinAnalytics');
 
     if (!analytics) {
-      const [overview] = await safeQuery(`
+      const branch = branchCondition(req);
+      const assignedInBranch = deceasedBranchCondition(req, 'dc.deceased_id');
+      const [overview] = await safeQuery(
+        `
         SELECT 
           COUNT(*) AS total_coffins,
           SUM(quantity) AS total_in_stock,
@@ -1851,44 +1939,60 @@ const getCoffinAnalytics = expressAsyncHandler(async (req, res) => {
           COUNT(DISTINCT type) as unique_types,
           COUNT(DISTINCT material) as unique_materials
         FROM coffins
-      `);
+        WHERE deleted_at IS NULL AND ${branch.sql}
+      `,
+        branch.params,
+      );
 
       // Get analytics in chunks to prevent memory issues
-      const [typeBreakdown] = await safeQuery(`
+      const [typeBreakdown] = await safeQuery(
+        `
         SELECT 
           type,
           COUNT(*) AS total_models,
           SUM(quantity) AS total_stock,
           SUM(exact_price * quantity) AS total_value
         FROM coffins
+        WHERE deleted_at IS NULL AND ${branch.sql}
         GROUP BY type
         ORDER BY total_stock DESC
         LIMIT 20
-      `);
+      `,
+        branch.params,
+      );
 
-      const [materialBreakdown] = await safeQuery(`
+      const [materialBreakdown] = await safeQuery(
+        `
         SELECT 
           material,
           COUNT(*) AS total_models,
           SUM(quantity) AS total_stock,
           SUM(exact_price * quantity) AS total_value
         FROM coffins
+        WHERE deleted_at IS NULL AND ${branch.sql}
         GROUP BY material
         ORDER BY total_value DESC
         LIMIT 20
-      `);
+      `,
+        branch.params,
+      );
 
-      const [categoryBreakdown] = await safeQuery(`
+      const [categoryBreakdown] = await safeQuery(
+        `
         SELECT 
           category,
           COUNT(*) as count,
           SUM(quantity) as total_stock,
           SUM(exact_price * quantity) as total_value
         FROM coffins
+        WHERE deleted_at IS NULL AND ${branch.sql}
         GROUP BY category
-      `);
+      `,
+        branch.params,
+      );
 
-      const recentAssignments = await safeQuery(`
+      const recentAssignments = await safeQuery(
+        `
         SELECT 
           dc.id AS assignment_id,
           dc.deceased_id,
@@ -1901,9 +2005,12 @@ const getCoffinAnalytics = expressAsyncHandler(async (req, res) => {
         LEFT JOIN deceased d ON dc.deceased_id = d.deceased_id
         LEFT JOIN coffins c ON dc.coffin_id = c.coffin_id
         LEFT JOIN users u ON dc.assigned_by = u.id
+        WHERE ${assignedInBranch.sql}
         ORDER BY dc.assigned_date DESC
         LIMIT 5
-      `);
+      `,
+        assignedInBranch.params,
+      );
 
       analytics = {
         overview: {
@@ -1921,11 +2028,22 @@ const getCoffinAnalytics = expressAsyncHandler(async (req, res) => {
         by_material: materialBreakdown,
         by_category: categoryBreakdown,
         recent_assignments: recentAssignments,
+        // Journal movements, margins and stock takes over the last 30 days
+        stock: await stockAnalytics({
+          branch: branchCondition(req, 'c.branch_id'),
+          stockTakeBranch: branchCondition(req, 'st.branch_id'),
+          since: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+            .toISOString()
+            .slice(0, 10),
+        }),
+        purchasing: await openOrderSummary({
+          branch: branchCondition(req, 'po.branch_id'),
+        }),
         last_updated: new Date().toISOString(),
       };
 
       // Cache for 5 mins
-      coffinCache.set('coffinAnalytics', analytics, 300);
+      setBranchCached(cacheId, 'coffinAnalytics', analytics, COFFIN_LIST_TTL);
     }
 
     res.status(200).json({
@@ -2038,6 +2156,7 @@ module.exports = {
   getRecentlyAssignedCoffins,
   getCoffinAnalytics,
   exportCoffinsToExcel,
+  clearCoffinCaches,
   healthCheck,
   getMemoryUsage,
   manualCleanup,
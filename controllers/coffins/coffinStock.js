@@ -0,0 +1,301 @@
+const asyncHandler = require('express-async-handler');
+const {
+  branchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
+const {
+  MOVEMENT_KINDS,
+  listMovements,
+  recordManualMovement,
+  returnAssignment,
+  recordStockTake,
+  listStockTakes,
+  getStockTake,
+} = require('../../services/coffins/coffinStock');
+const {
+  PO_STATUSES,
+  listSuppliers,
+  getSupplier,
+  saveSupplier,
+  createPurchaseOrder,
+  getPurchaseOrder,
+  listPurchaseOrders,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+} = require('../../services/coffins/purchasing');
+const { clearCoffinCaches } = require('./coffinControl');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const sendError = errorResponder('COFFIN-STOCK');
+
+// ----------------- Movements -----------------
+const getCoffinMovements = asyncHandler(async (req, res) => {
+  const { kind, from, to } = req.query;
+  if (kind && !MOVEMENT_KINDS.includes(kind)) {
+    return res.status(400).json({
+      success: false,
+      message: `kind must be one of ${MOVEMENT_KINDS.join(', ')}`,
+    });
+  }
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'from and to must be yyyy-mm-dd' });
+  }
+
+  try {
+    const data = await listMovements(req.params.id, {
+      branch: branchCondition(req, 'c.branch_id'),
+      kind,
+      from,
+      to,
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load coffin movements');
+  }
+});
+
+// { kind: 'damage' | 'adjustment', quantity, reason }
+const addCoffinMovement = asyncHandler(async (req, res) => {
+  const { kind, quantity, reason } = req.body || {};
+
+  try {
+    const coffin = await recordManualMovement(req, req.params.id, {
+      kind,
+      quantity,
+      reason,
+      branch: branchCondition(req, 'c.branch_id'),
+    });
+    clearCoffinCaches(coffin.coffin_id, coffin.branch_id);
+    res.status(201).json({
+      success: true,
+      message: `Stock of ${coffin.custom_id} is now ${coffin.quantity}`,
+      data: coffin,
+    });
+  } catch (err) {
+    sendError(res, err, 'Record coffin movement');
+  }
+});
+
+// { reason, damaged? } - the coffin comes back into stock, or is written off
+const returnCoffinAssignment = asyncHandler(async (req, res) => {
+  const { reason, damaged } = req.body || {};
+
+  try {
+    const data = await returnAssignment(req, req.params.id, {
+      reason,
+      damaged: damaged === true || damaged === 'true',
+      branch: branchCondition(req, 'c.branch_id'),
+    });
+    clearCoffinCaches(data.coffin_id, data.coffin_branch_id);
+    res.status(200).json({
+      success: true,
+      message: data.damaged
+        ? 'Coffin returned and written off as damaged'
+        : 'Coffin returned to stock',
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Return coffin');
+  }
+});
+
+// ----------------- Stock Takes -----------------
+// { counts: [{ coffin_id, counted }], note? }
+const addStockTake = asyncHandler(async (req, res) => {
+  const { counts, note } = req.body || {};
+
+  try {
+    const data = await recordStockTake(req, {
+      counts,
+      note,
+      branch: branchCondition(req, 'c.branch_id'),
+      branchId: getWriteBranchId(req),
+    });
+    data.lines.forEach((line) =>
+      clearCoffinCaches(line.coffin_id, line.branch_id),
+    );
+    res.status(201).json({
+      success: true,
+      message: `${data.stock_take_number}: ${data.with_variance} of ${data.coffins_counted} coffin(s) off, ${data.units_variance} unit(s) overall`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Record stock take');
+  }
+});
+
+const getStockTakes = asyncHandler(async (req, res) => {
+  try {
+    const data = await listStockTakes({
+      branch: branchCondition(req, 'st.branch_id'),
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load stock takes');
+  }
+});
+
+const getStockTakeById = asyncHandler(async (req, res) => {
+  try {
+    const data = await getStockTake(req.params.id, {
+      branch: branchCondition(req, 'st.branch_id'),
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load stock take');
+  }
+});
+
+// ----------------- Suppliers -----------------
+const getSuppliers = asyncHandler(async (req, res) => {
+  try {
+    const data = await listSuppliers({ all: req.query.all === 'true' });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load suppliers');
+  }
+});
+
+const getSupplierById = asyncHandler(async (req, res) => {
+  try {
+    const data = await getSupplier(req.params.id);
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load supplier');
+  }
+});
+
+const addSupplier = asyncHandler(async (req, res) => {
+  try {
+    const data = await saveSupplier(req, null, req.body || {});
+    res
+      .status(201)
+      .json({ success: true, message: `${data.name} added`, data });
+  } catch (err) {
+    sendError(res, err, 'Add supplier');
+  }
+});
+
+const updateSupplier = asyncHandler(async (req, res) => {
+  try {
+    const data = await saveSupplier(req, req.params.id, req.body || {});
+    res
+      .status(200)
+      .json({ success: true, message: `${data.name} updated`, data });
+  } catch (err) {
+    sendError(res, err, 'Update supplier');
+  }
+});
+
+// ----------------- Purchase Orders -----------------
+// { supplier_id, expected_on?, notes?, lines: [{ coffin_id, quantity, unit_cost }] }
+const addPurchaseOrder = asyncHandler(async (req, res) => {
+  try {
+    const data = await createPurchaseOrder(req, req.body || {}, {
+      branch: branchCondition(req, 'c.branch_id'),
+      branchId: getWriteBranchId(req),
+    });
+    res.status(201).json({
+      success: true,
+      message: `${data.po_number} raised with ${data.supplier_name}`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Raise purchase order');
+  }
+});
+
+const getPurchaseOrders = asyncHandler(async (req, res) => {
+  const { status, supplier_id } = req.query;
+  if (status && !PO_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of ${PO_STATUSES.join(', ')}`,
+    });
+  }
+
+  try {
+    const data = await listPurchaseOrders({
+      branch: branchCondition(req, 'po.branch_id'),
+      status,
+      supplierId: supplier_id,
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load purchase orders');
+  }
+});
+
+const getPurchaseOrderById = asyncHandler(async (req, res) => {
+  try {
+    const data = await getPurchaseOrder(req.params.id, {
+      branch: branchCondition(req, 'po.branch_id'),
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load purchase order');
+  }
+});
+
+// { lines: [{ line_id, quantity }], delivery_note? }
+const receivePurchaseOrderDelivery = asyncHandler(async (req, res) => {
+  const { lines, delivery_note } = req.body || {};
+
+  try {
+    const data = await receivePurchaseOrder(req, req.params.id, {
+      lines,
+      delivery_note,
+      branch: branchCondition(req, 'po.branch_id'),
+    });
+    data.lines.forEach((line) =>
+      clearCoffinCaches(line.coffin_id, data.branch_id),
+    );
+    res.status(200).json({
+      success: true,
+      message: `${data.po_number} is ${data.status}`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Receive purchase order');
+  }
+});
+
+const cancelPurchaseOrderById = asyncHandler(async (req, res) => {
+  try {
+    const data = await cancelPurchaseOrder(req, req.params.id, {
+      reason: req.body?.reason,
+      branch: branchCondition(req, 'po.branch_id'),
+    });
+    res.status(200).json({
+      success: true,
+      message: `${data.po_number} cancelled`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Cancel purchase order');
+  }
+});
+
+module.exports = {
+  getCoffinMovements,
+  addCoffinMovement,
+  returnCoffinAssignment,
+  addStockTake,
+  getStockTakes,
+  getStockTakeById,
+  getSuppliers,
+  getSupplierById,
+  addSupplier,
+  updateSupplier,
+  addPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  receivePurchaseOrderDelivery,
+  cancelPurchaseOrderById,
+};
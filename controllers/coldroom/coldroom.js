@@ -1,7 +1,85 @@
 const asyncHandler = require('express-async-handler');
-const { safeQuery } = require('../../configurations/sqlConfig/db');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { AppError } = require('../../middlewares/errorHandler/errorHandler');
+const {
+  branchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
+const { emitToBranch } = require('../../middlewares/tenancy/branchRooms');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  TEMPERATURE_CLASSES,
+  ROOM_STATUSES,
+  TRAY_STATUSES,
+  MOVEMENT_TYPES,
+  lockTray,
+  lockOccupiedTray,
+  assertTrayFree,
+  occupyTray,
+  vacateTray,
+  recordMovement,
+  releaseBodyFromTray,
+  getOccupancyMap,
+} = require('../../services/coldroom/trayRegistry');
+const {
+  LIFECYCLE,
+  normaliseStatus,
+  transitionStatus,
+} = require('../../services/lifecycle/bodyLifecycle');
+const { actorOf } = require('../../utilities/helpers/helpers');
 
-// Assign a cold room to a deceased
+// ----------------- Helpers -----------------
+const sendError = (res, err, label) => {
+  if (err.isOperational) {
+    return res.status(err.statusCode).json({
+      error: err.message,
+      ...(err.occupiedBy ? { occupied_by: err.occupiedBy } : {}),
+    });
+  }
+  if (err.code === 'ER_DUP_ENTRY') {
+    return res.status(409).json({ error: 'That record already exists' });
+  }
+  console.error(`[COLD ROOM] Error ${label}:`, err.message, err);
+  res.status(500).json({ error: 'Database error: ' + err.message });
+};
+
+// Push the branch's fresh occupancy map to its own front-desk screens
+const broadcastOccupancy = async (req, branchId) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  try {
+    const map = await getOccupancyMap(branchId ?? null);
+    emitToBranch(io, branchId ?? null, 'coldroom_occupancy', {
+      branch_id: branchId ?? null,
+      ...map,
+    });
+  } catch (err) {
+    console.error('[COLD ROOM] Occupancy broadcast failed:', err.message);
+  }
+};
+
+const lockDeceased = async (tx, req, deceasedId) => {
+  const branch = branchCondition(req);
+  const deceased = await tx.queryOne(
+    `SELECT deceased_id, branch_id, status FROM deceased
+     WHERE deceased_id = ? AND deleted_at IS NULL AND ${branch.sql} FOR UPDATE`,
+    [deceasedId, ...branch.params],
+  );
+  if (!deceased) throw new AppError('Deceased record not found', 404);
+  return deceased;
+};
+
+// Trays are looked up in the body's own branch
+const trayLookup = (deceased, cold_room_number, tray_number) => ({
+  branchId: deceased.branch_id ?? null,
+  roomNumber: cold_room_number,
+  trayNumber: tray_number,
+});
+
+// ----------------- Assign Cold Room -----------------
 const assignColdRoom = asyncHandler(async (req, res) => {
   const { deceased_id, cold_room_number, tray_number } = req.body;
 
@@ -13,50 +91,483 @@ const assignColdRoom = asyncHandler(async (req, res) => {
   }
 
   try {
-    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const now = getKenyaTimeISO();
 
-    // Start transaction
-    await safeQuery('START TRANSACTION');
+    const tray = await withTransaction(async (tx) => {
+      // 1️⃣ Lock the body, then the tray, so status and tray change together
+      const deceased = await lockDeceased(tx, req, deceased_id);
+      if (normaliseStatus(deceased.status) === LIFECYCLE.DISPATCHED) {
+        throw new AppError('Deceased has already been dispatched', 409);
+      }
 
-    // 1️⃣ Insert / update cold room assignment
-    // Assuming table `cold_room_assignments` exists with columns:
-    // id (auto), deceased_id, cold_room_number, tray_number, date_assigned
-    const upsertSql = `
-      INSERT INTO cold_room_assignments (deceased_id, cold_room_number, tray_number, date_assigned)
-      VALUES (?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE 
-        cold_room_number = VALUES(cold_room_number),
-        tray_number = VALUES(tray_number),
-        date_assigned = VALUES(date_assigned)
-    `;
-    await safeQuery(upsertSql, [
-      deceased_id,
-      cold_room_number,
-      tray_number,
-      now,
-    ]);
+      const current = await lockOccupiedTray(tx, deceased_id);
+      if (current) {
+        throw new AppError(
+          `Deceased is already on tray ${current.tray_number} in cold room ${current.room_number}; use transfer instead`,
+          409,
+        );
+      }
 
-    // 2️⃣ Update deceased status to "UnderCare"
-    await safeQuery(
-      `UPDATE deceased SET status = ?, updated_at = ? WHERE deceased_id = ?`,
-      ['UnderCare', now, deceased_id],
-    );
+      const target = await lockTray(
+        tx,
+        trayLookup(deceased, cold_room_number, tray_number),
+      );
+      assertTrayFree(target, deceased_id);
+
+      // 2️⃣ Place the body and log the movement
+      await occupyTray(tx, target, deceased_id, now);
+      await recordMovement(tx, {
+        deceasedId: deceased_id,
+        type: MOVEMENT_TYPES.ASSIGN,
+        to: target,
+        performedBy: actorOf(req),
+        now,
+      });
 
-    // Commit transaction
-    await safeQuery('COMMIT');
+      // 3️⃣ Newly admitted bodies (or ones back from autopsy) are now in storage
+      await transitionStatus(tx, {
+        deceasedId: deceased_id,
+        to: LIFECYCLE.IN_STORAGE,
+        onlyFrom: [LIFECYCLE.ADMITTED, LIFECYCLE.AUTOPSY],
+        reason: `Placed on tray ${target.tray_number} in cold room ${target.room_number}`,
+        actor: actorOf(req),
+      });
+
+      return target;
+    });
+
+    await broadcastOccupancy(req, tray.branch_id);
 
     res.status(200).json({
-      message: `Cold room assigned successfully to deceased ${deceased_id} and status set to UnderCare.`,
+      message: `Cold room assigned successfully to deceased ${deceased_id}.`,
       data: { deceased_id, cold_room_number, tray_number, date_assigned: now },
     });
   } catch (err) {
-    // Rollback transaction on error
-    await safeQuery('ROLLBACK');
-    console.error('[COLD ROOM] Error assigning cold room:', err.message, err);
-    res.status(500).json({ error: 'Database error: ' + err.message });
+    sendError(res, err, 'assigning cold room');
+  }
+});
+
+// ----------------- Transfer Between Trays -----------------
+const transferColdRoom = asyncHandler(async (req, res) => {
+  const { deceased_id, cold_room_number, tray_number, reason } = req.body;
+
+  if (!deceased_id || !cold_room_number || !tray_number) {
+    return res.status(400).json({
+      error: 'deceased_id, cold_room_number, and tray_number are required.',
+    });
+  }
+
+  try {
+    const now = getKenyaTimeISO();
+
+    const { from, to } = await withTransaction(async (tx) => {
+      const deceased = await lockDeceased(tx, req, deceased_id);
+
+      const current = await lockOccupiedTray(tx, deceased_id);
+      if (!current) {
+        throw new AppError(
+          'Deceased is not on a tray; assign a cold room first',
+          409,
+        );
+      }
+
+      const target = await lockTray(
+        tx,
+        trayLookup(deceased, cold_room_number, tray_number),
+      );
+      if (target.id === current.id) {
+        throw new AppError('Deceased is already on that tray', 400);
+      }
+      assertTrayFree(target, deceased_id);
+
+      await vacateTray(tx, current, now);
+      await occupyTray(tx, target, deceased_id, now);
+      await recordMovement(tx, {
+        deceasedId: deceased_id,
+        type: MOVEMENT_TYPES.TRANSFER,
+        from: current,
+        to: target,
+        reason,
+        performedBy: actorOf(req),
+        now,
+      });
+
+      return { from: current, to: target };
+    });
+
+    await broadcastOccupancy(req, to.branch_id);
+
+    res.status(200).json({
+      message: `Deceased ${deceased_id} moved to tray ${to.tray_number} in cold room ${to.room_number}.`,
+      data: {
+        deceased_id,
+        from: {
+          cold_room_number: from.room_number,
+          tray_number: from.tray_number,
+        },
+        to: { cold_room_number: to.room_number, tray_number: to.tray_number },
+        transferred_at: now,
+      },
+    });
+  } catch (err) {
+    sendError(res, err, 'transferring body');
+  }
+});
+
+// ----------------- Release From Cold Room -----------------
+const releaseColdRoom = asyncHandler(async (req, res) => {
+  const { deceased_id, reason } = req.body;
+
+  if (!deceased_id) {
+    return res.status(400).json({ error: 'deceased_id is required.' });
+  }
+
+  try {
+    const now = getKenyaTimeISO();
+
+    const tray = await withTransaction(async (tx) => {
+      await lockDeceased(tx, req, deceased_id);
+
+      const freed = await releaseBodyFromTray(tx, {
+        deceasedId: deceased_id,
+        reason,
+        performedBy: actorOf(req),
+        now,
+      });
+      if (!freed) throw new AppError('Deceased is not on a tray', 409);
+      return freed;
+    });
+
+    await broadcastOccupancy(req, tray.branch_id);
+
+    res.status(200).json({
+      message: `Tray ${tray.tray_number} in cold room ${tray.room_number} released.`,
+      data: {
+        deceased_id,
+        cold_room_number: tray.room_number,
+        tray_number: tray.tray_number,
+        released_at: now,
+      },
+    });
+  } catch (err) {
+    sendError(res, err, 'releasing tray');
+  }
+});
+
+// ----------------- Movement History -----------------
+const getColdRoomMovements = asyncHandler(async (req, res) => {
+  const { deceased_id } = req.params;
+  const branch = branchCondition(req);
+
+  try {
+    const [deceased] = await safeQuery(
+      `SELECT deceased_id FROM deceased WHERE deceased_id = ? AND ${branch.sql}`,
+      [deceased_id, ...branch.params],
+    );
+    if (!deceased) {
+      return res.status(404).json({ error: 'Deceased record not found' });
+    }
+
+    const movements = await safeQuery(
+      `SELECT * FROM cold_room_movements WHERE deceased_id = ? ORDER BY created_at DESC, id DESC`,
+      [deceased_id],
+    );
+
+    res.status(200).json({ data: movements, count: movements.length });
+  } catch (err) {
+    sendError(res, err, 'fetching movements');
+  }
+});
+
+// ----------------- Occupancy Map -----------------
+const getColdRoomOccupancy = asyncHandler(async (req, res) => {
+  try {
+    const branchId = req.branchScope?.branchId ?? null;
+    const map = await getOccupancyMap(branchId);
+    res.status(200).json({
+      branch_id: branchId,
+      generated_at: getKenyaTimeISO(),
+      ...map,
+    });
+  } catch (err) {
+    sendError(res, err, 'building occupancy map');
+  }
+});
+
+// ----------------- Registry: Rooms -----------------
+const getColdRooms = asyncHandler(async (req, res) => {
+  const branch = branchCondition(req, 'r.branch_id');
+
+  try {
+    const rooms = await safeQuery(
+      `
+      SELECT r.*,
+             COUNT(t.id) AS tray_count,
+             SUM(t.deceased_id IS NOT NULL) AS occupied,
+             SUM(t.deceased_id IS NULL AND t.status = 'Available') AS available
+      FROM cold_rooms r
+      LEFT JOIN cold_room_trays t ON t.cold_room_id = r.id
+      WHERE ${branch.sql}
+      GROUP BY r.id
+      ORDER BY r.room_number
+      `,
+      branch.params,
+    );
+
+    res.status(200).json({
+      data: rooms.map((room) => ({
+        ...room,
+        occupied: Number(room.occupied) || 0,
+        available: Number(room.available) || 0,
+      })),
+      count: rooms.length,
+    });
+  } catch (err) {
+    sendError(res, err, 'listing cold rooms');
+  }
+});
+
+const insertTrays = async (tx, roomId, fromNumber, toNumber, now) => {
+  for (let n = fromNumber; n <= toNumber; n++) {
+    await tx.query(
+      `INSERT INTO cold_room_trays (cold_room_id, tray_number, status, created_at, updated_at)
+       VALUES (?, ?, 'Available', ?, ?)`,
+      [roomId, String(n), now, now],
+    );
+  }
+};
+
+const createColdRoom = asyncHandler(async (req, res) => {
+  const {
+    room_number,
+    name,
+    temperature_class = 'Chilled',
+    capacity,
+  } = req.body;
+  const trays = parseInt(capacity, 10);
+
+  if (!room_number || !Number.isInteger(trays) || trays < 1) {
+    return res.status(400).json({
+      error: 'room_number and a positive capacity are required.',
+    });
+  }
+  if (!TEMPERATURE_CLASSES.includes(temperature_class)) {
+    return res.status(400).json({
+      error: `temperature_class must be one of: ${TEMPERATURE_CLASSES.join(', ')}`,
+    });
+  }
+
+  try {
+    const now = getKenyaTimeISO();
+    const branchId = getWriteBranchId(req);
+
+    // Trays are numbered 1..capacity when the room is created
+    const roomId = await withTransaction(async (tx) => {
+      const result = await tx.query(
+        `INSERT INTO cold_rooms (branch_id, room_number, name, temperature_class, capacity, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, 'Active', ?, ?)`,
+        [
+          branchId,
+          String(room_number),
+          name || null,
+          temperature_class,
+          trays,
+          now,
+          now,
+        ],
+      );
+      await insertTrays(tx, result.insertId, 1, trays, now);
+      return result.insertId;
+    });
+
+    await broadcastOccupancy(req, branchId);
+
+    res.status(201).json({
+      message: `Cold room ${room_number} created with ${trays} trays.`,
+      data: {
+        id: roomId,
+        branch_id: branchId,
+        room_number: String(room_number),
+        name: name || null,
+        temperature_class,
+        capacity: trays,
+      },
+    });
+  } catch (err) {
+    sendError(res, err, 'creating cold room');
+  }
+});
+
+const updateColdRoom = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, temperature_class, status, capacity } = req.body;
+
+  if (temperature_class && !TEMPERATURE_CLASSES.includes(temperature_class)) {
+    return res.status(400).json({
+      error: `temperature_class must be one of: ${TEMPERATURE_CLASSES.join(', ')}`,
+    });
+  }
+  if (status && !ROOM_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `status must be one of: ${ROOM_STATUSES.join(', ')}`,
+    });
+  }
+  const newCapacity =
+    capacity === undefined ? undefined : parseInt(capacity, 10);
+  if (
+    newCapacity !== undefined &&
+    (!Number.isInteger(newCapacity) || newCapacity < 1)
+  ) {
+    return res
+      .status(400)
+      .json({ error: 'capacity must be a positive number' });
+  }
+
+  try {
+    const now = getKenyaTimeISO();
+    const branch = branchCondition(req);
+
+    const room = await withTransaction(async (tx) => {
+      const existing = await tx.queryOne(
+        `SELECT * FROM cold_rooms WHERE id = ? AND ${branch.sql} FOR UPDATE`,
+        [id, ...branch.params],
+      );
+      if (!existing) throw new AppError('Cold room not found', 404);
+
+      const trays = await tx.query(
+        `SELECT id, tray_number, deceased_id FROM cold_room_trays
+         WHERE cold_room_id = ? FOR UPDATE`,
+        [id],
+      );
+      const occupied = trays.filter((t) => t.deceased_id);
+
+      if (status && status !== 'Active' && occupied.length > 0) {
+        throw new AppError(
+          `Move the ${occupied.length} bodies out before marking the room ${status.toLowerCase()}`,
+          409,
+        );
+      }
+
+      if (newCapacity !== undefined && newCapacity !== trays.length) {
+        if (newCapacity > trays.length) {
+          const highest = trays.reduce(
+            (max, t) => Math.max(max, parseInt(t.tray_number, 10) || 0),
+            0,
+          );
+          await insertTrays(
+            tx,
+            id,
+            highest + 1,
+            highest + (newCapacity - trays.length),
+            now,
+          );
+        } else {
+          // Shrink by dropping the highest-numbered empty trays
+          const removable = trays
+            .filter((t) => !t.deceased_id)
+            .sort(
+              (a, b) =>
+                (parseInt(b.tray_number, 10) || 0) -
+                (parseInt(a.tray_number, 10) || 0),
+            )
+            .slice(0, trays.length - newCapacity);
+          if (removable.length < trays.length - newCapacity) {
+            throw new AppError(
+              `Only ${trays.length - occupied.length} trays are empty; capacity can't go below ${occupied.length}`,
+              409,
+            );
+          }
+          for (const tray of removable) {
+            await tx.query('DELETE FROM cold_room_trays WHERE id = ?', [
+              tray.id,
+            ]);
+          }
+        }
+      }
+
+      await tx.query(
+        `UPDATE cold_rooms
+         SET name = ?, temperature_class = ?, status = ?, capacity = ?, updated_at = ?
+         WHERE id = ?`,
+        [
+          name ?? existing.name,
+          temperature_class || existing.temperature_class,
+          status || existing.status,
+          newCapacity ?? existing.capacity,
+          now,
+          id,
+        ],
+      );
+
+      return tx.queryOne('SELECT * FROM cold_rooms WHERE id = ?', [id]);
+    });
+
+    await broadcastOccupancy(req, room.branch_id);
+
+    res.status(200).json({ message: 'Cold room updated', data: room });
+  } catch (err) {
+    sendError(res, err, 'updating cold room');
+  }
+});
+
+// ----------------- Registry: Trays -----------------
+const updateTrayStatus = asyncHandler(async (req, res) => {
+  const { trayId } = req.params;
+  const { status } = req.body;
+
+  if (!TRAY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `status must be one of: ${TRAY_STATUSES.join(', ')}`,
+    });
+  }
+
+  try {
+    const now = getKenyaTimeISO();
+    const branch = branchCondition(req, 'r.branch_id');
+
+    const tray = await withTransaction(async (tx) => {
+      const existing = await tx.queryOne(
+        `SELECT t.*, r.branch_id, r.room_number FROM cold_room_trays t
+         JOIN cold_rooms r ON t.cold_room_id = r.id
+         WHERE t.id = ? AND ${branch.sql} FOR UPDATE`,
+        [trayId, ...branch.params],
+      );
+      if (!existing) throw new AppError('Tray not found', 404);
+      if (status === 'Maintenance' && existing.deceased_id) {
+        throw new AppError('Tray is occupied; transfer the body first', 409);
+      }
+
+      await tx.query(
+        'UPDATE cold_room_trays SET status = ?, updated_at = ? WHERE id = ?',
+        [status, now, trayId],
+      );
+      return { ...existing, status };
+    });
+
+    await broadcastOccupancy(req, tray.branch_id);
+
+    res.status(200).json({
+      message: `Tray ${tray.tray_number} in cold room ${tray.room_number} set to ${status}`,
+      data: {
+        id: tray.id,
+        cold_room_number: tray.room_number,
+        tray_number: tray.tray_number,
+        status,
+      },
+    });
+  } catch (err) {
+    sendError(res, err, 'updating tray');
   }
 });
 
 module.exports = {
   assignColdRoom,
+  transferColdRoom,
+  releaseColdRoom,
+  getColdRoomMovements,
+  getColdRoomOccupancy,
+  getColdRooms,
+  createColdRoom,
+  updateColdRoom,
+  updateTrayStatus,
 };
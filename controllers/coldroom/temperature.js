@@ -0,0 +1,186 @@
+const asyncHandler = require('express-async-handler');
+const { safeQuery } = require('../../configurations/sqlConfig/db');
+const { branchCondition } = require('../../middlewares/tenancy/branchScope');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  MAX_BATCH_SIZE,
+  getLimits,
+  normalisePayload,
+  ingestReadings,
+  dispatchTemperatureEvents,
+  getComplianceReport,
+} = require('../../services/coldroom/temperatureMonitor');
+const { actorOf } = require('../../utilities/helpers/helpers');
+
+// ----------------- Ingest Sensor Readings -----------------
+// Accepts a single reading, `{ readings: [] }` or MQTT-style `{ messages: [] }`
+const ingestTemperatureReadings = asyncHandler(async (req, res) => {
+  const readings = normalisePayload(req.body);
+
+  if (readings.length === 0) {
+    return res.status(400).json({ error: 'No readings supplied.' });
+  }
+  if (readings.length > MAX_BATCH_SIZE) {
+    return res.status(413).json({
+      error: `A batch may hold at most ${MAX_BATCH_SIZE} readings.`,
+    });
+  }
+
+  try {
+    const { stored, rejected, events } = await ingestReadings(readings, {
+      branchId: req.branchScope?.branchId ?? null,
+    });
+
+    // Alerting must not fail the sensor's request once readings are stored
+    dispatchTemperatureEvents(events, req.app.get('io')).catch((err) =>
+      console.error('[TEMPERATURE] Alert dispatch failed:', err.message),
+    );
+
+    res.status(stored > 0 ? 201 : 400).json({
+      message: `${stored} reading(s) stored, ${rejected.length} rejected.`,
+      stored,
+      rejected,
+      alarms: events.map((e) => ({
+        event: e.type,
+        cold_room_id: e.room.id,
+        excursion_id: e.excursion.id,
+        severity: e.excursion.severity,
+      })),
+    });
+  } catch (err) {
+    console.error('[TEMPERATURE] Error ingesting readings:', err.message, err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// ----------------- Time Series -----------------
+const getRoomTemperatureReadings = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+  const branch = branchCondition(req);
+
+  try {
+    const [room] = await safeQuery(
+      `SELECT * FROM cold_rooms WHERE id = ? AND ${branch.sql}`,
+      [id, ...branch.params],
+    );
+    if (!room) return res.status(404).json({ error: 'Cold room not found' });
+
+    let query = `
+      SELECT id, sensor_id, temperature_c, humidity, recorded_at
+      FROM cold_room_temperature_readings
+      WHERE cold_room_id = ?
+    `;
+    const params = [id];
+    if (from) {
+      query += ' AND recorded_at >= ?';
+      params.push(from);
+    }
+    if (to) {
+      query += ' AND recorded_at <= ?';
+      params.push(to);
+    }
+    query += ` ORDER BY recorded_at DESC LIMIT ${limit}`;
+
+    const readings = await safeQuery(query, params);
+
+    res.status(200).json({
+      cold_room_id: room.id,
+      room_number: room.room_number,
+      limits: getLimits(room),
+      count: readings.length,
+      data: readings.reverse(),
+    });
+  } catch (err) {
+    console.error('[TEMPERATURE] Error fetching readings:', err.message, err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// ----------------- Alarms -----------------
+const getTemperatureAlarms = asyncHandler(async (req, res) => {
+  const branch = branchCondition(req, 'r.branch_id');
+  const includeClosed = req.query.status === 'all';
+
+  try {
+    const alarms = await safeQuery(
+      `
+      SELECT e.*, r.room_number, r.name AS room_name, r.branch_id
+      FROM cold_room_temperature_excursions e
+      JOIN cold_rooms r ON e.cold_room_id = r.id
+      WHERE ${branch.sql} ${includeClosed ? '' : 'AND e.ended_at IS NULL'}
+      ORDER BY e.started_at DESC
+      LIMIT 200
+      `,
+      branch.params,
+    );
+
+    res.status(200).json({ count: alarms.length, data: alarms });
+  } catch (err) {
+    console.error('[TEMPERATURE] Error fetching alarms:', err.message, err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+const acknowledgeTemperatureAlarm = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const branch = branchCondition(req, 'r.branch_id');
+  const acknowledgedBy = actorOf(req);
+
+  try {
+    const result = await safeQuery(
+      `
+      UPDATE cold_room_temperature_excursions e
+      JOIN cold_rooms r ON e.cold_room_id = r.id
+      SET e.acknowledged_by = ?, e.acknowledged_at = ?, e.acknowledgement_note = ?
+      WHERE e.id = ? AND e.acknowledged_at IS NULL AND ${branch.sql}
+      `,
+      [
+        acknowledgedBy,
+        getKenyaTimeISO(),
+        req.body?.note || null,
+        id,
+        ...branch.params,
+      ],
+    );
+
+    if (result.affectedRows === 0) {
+      return res
+        .status(404)
+        .json({ error: 'Alarm not found or already acknowledged' });
+    }
+
+    res.status(200).json({ message: 'Alarm acknowledged' });
+  } catch (err) {
+    console.error('[TEMPERATURE] Error acknowledging alarm:', err.message, err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// ----------------- Monthly Compliance Report -----------------
+const getTemperatureCompliance = asyncHandler(async (req, res) => {
+  const month = req.query.month || getKenyaTimeISO().slice(0, 7); // YYYY-MM
+
+  try {
+    const report = await getComplianceReport(
+      month,
+      req.branchScope?.branchId ?? null,
+    );
+    if (!report) {
+      return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+    }
+    res.status(200).json(report);
+  } catch (err) {
+    console.error('[TEMPERATURE] Error building compliance:', err.message, err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+module.exports = {
+  ingestTemperatureReadings,
+  getRoomTemperatureReadings,
+  getTemperatureAlarms,
+  acknowledgeTemperatureAlarm,
+  getTemperatureCompliance,
+};
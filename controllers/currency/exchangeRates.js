@@ -0,0 +1,125 @@
+const asyncHandler = require('express-async-handler');
+const { withTransaction } = require('../../configurations/sqlConfig/db');
+const {
+  SUPPORTED_CURRENCIES,
+  listRates,
+  getRate,
+  convert,
+  setRate,
+  parseRatesCSV,
+} = require('../../services/currency/currency');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const sendError = errorResponder('CURRENCY');
+
+// ----------------- Exchange Rates -----------------
+const getExchangeRates = asyncHandler(async (req, res) => {
+  const { currency, from, to, limit, at } = req.query;
+
+  try {
+    const data = await listRates({ currency, from, to, limit });
+
+    // The rate each currency used on `at` (default today)
+    const current = {};
+    for (const code of SUPPORTED_CURRENCIES) {
+      try {
+        current[code] = await getRate(code, at);
+      } catch (err) {
+        if (err.code !== 'RATE_MISSING') throw err;
+        current[code] = null;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      base: 'KES',
+      currencies: SUPPORTED_CURRENCIES,
+      current,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Fetch exchange rates');
+  }
+});
+
+const convertAmount = asyncHandler(async (req, res) => {
+  const { amount, from, to = 'KES', date } = req.query;
+  const value = parseFloat(amount);
+
+  if (!Number.isFinite(value)) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'amount must be a number' });
+  }
+
+  try {
+    const data = await convert(value, from, to, date);
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Convert amount');
+  }
+});
+
+const createExchangeRate = asyncHandler(async (req, res) => {
+  try {
+    const rate = await withTransaction((tx) =>
+      setRate(tx, req, req.body || {}),
+    );
+    res
+      .status(201)
+      .json({ success: true, message: 'Exchange rate saved', data: rate });
+  } catch (err) {
+    sendError(res, err, 'Save exchange rate');
+  }
+});
+
+// Accepts a multipart `file` or the CSV text as `csv` in a JSON body. The
+// import is all-or-nothing: any invalid line rejects the whole file.
+const importExchangeRates = asyncHandler(async (req, res) => {
+  const text = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+
+  if (!text) {
+    return res.status(400).json({
+      success: false,
+      message: 'Upload a CSV file as "file" or send its text as "csv"',
+    });
+  }
+
+  const { rows, errors } = parseRatesCSV(text);
+  if (errors.length || !rows.length) {
+    return res.status(422).json({
+      success: false,
+      code: 'RATE_IMPORT_INVALID',
+      message: errors.length
+        ? `${errors.length} line(s) could not be imported`
+        : 'The file has no rates',
+      errors,
+    });
+  }
+
+  try {
+    const saved = await withTransaction(async (tx) => {
+      const out = [];
+      for (const row of rows) {
+        out.push(await setRate(tx, req, row, { source: 'csv' }));
+      }
+      return out;
+    });
+    res.status(201).json({
+      success: true,
+      message: `${saved.length} exchange rate(s) imported`,
+      data: saved,
+    });
+  } catch (err) {
+    sendError(res, err, 'Import exchange rates');
+  }
+});
+
+module.exports = {
+  getExchangeRates,
+  convertAmount,
+  createExchangeRate,
+  importExchangeRates,
+};
@@ -1,5 +1,13 @@
 const asyncHandler = require('express-async-handler');
-const { safeQuery } = require('../../configurations/sqlConfig/db');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  LIFECYCLE,
+  transitionStatus,
+} = require('../../services/lifecycle/bodyLifecycle');
+const { recordAudit } = require('../../services/audit/auditLog');
 const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
 const { v4: uuidv4 } = require('uuid');
 const {
@@ -7,6 +15,10 @@ const {
   mergeDeceasedCached,
   refreshAllDeceasedCache,
 } = require('../../cachemanager/cachemanager'); // 🧠 cache utilities
+const {
+  branchCondition,
+  deceasedBranchCondition,
+} = require('../../middlewares/tenancy/branchScope');
 
 // ---------------- Register Postmortem ----------------
 const registerAutopsy = asyncHandler(async (req, res) => {
@@ -30,10 +42,11 @@ const registerAutopsy = asyncHandler(async (req, res) => {
     });
   }
 
-  // ✅ Validate deceased exists
+  // ✅ Validate deceased exists in the caller's branch
+  const branch = branchCondition(req);
   const deceasedRows = await safeQuery(
-    'SELECT deceased_id, full_name, mortuary_id FROM deceased WHERE deceased_id = ?',
-    [deceased_id],
+    `SELECT deceased_id, full_name, mortuary_id FROM deceased WHERE deceased_id = ? AND ${branch.sql}`,
+    [deceased_id, ...branch.params],
   );
   if (deceasedRows.length === 0) {
     return res
@@ -67,24 +80,34 @@ const registerAutopsy = asyncHandler(async (req, res) => {
     });
   }
 
-  // ✅ Insert postmortem
-  await safeQuery(
-    `INSERT INTO postmortem 
+  // ✅ Insert postmortem and move the body into Autopsy together
+  await withTransaction(async (tx) => {
+    await tx.query(
+      `INSERT INTO postmortem 
       (autopsy_id, deceased_id, summary, findings, cause_of_death, pathologist_id, mortuary_name, date, user_id, created_at)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [
-      autopsy_id,
-      deceased_id,
-      summary,
-      JSON.stringify(findings),
-      cause_of_death,
-      userInfo.id,
-      deceasedRecord.mortuary_id || 'Nairobi City Mortuary',
-      date,
-      userInfo.id,
-      created_at,
-    ],
-  );
+      [
+        autopsy_id,
+        deceased_id,
+        summary,
+        JSON.stringify(findings),
+        cause_of_death,
+        userInfo.id,
+        deceasedRecord.mortuary_id || 'Nairobi City Mortuary',
+        date,
+        userInfo.id,
+        created_at,
+      ],
+    );
+
+    await transitionStatus(tx, {
+      deceasedId: deceased_id,
+      to: LIFECYCLE.AUTOPSY,
+      onlyFrom: [LIFECYCLE.ADMITTED, LIFECYCLE.IN_STORAGE],
+      reason: `Postmortem ${autopsy_id}`,
+      actor: userInfo.username,
+    });
+  });
 
   // ✅ Immediately update cache after successful insert
   mergeDeceasedCached(deceased_id, {
@@ -124,37 +147,55 @@ const updatePostmortem = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'Postmortem ID is required' });
 
   const updated_at = getKenyaTimeISO();
-  const result = await safeQuery(
-    `UPDATE postmortem 
-       SET summary = ?, notes = ?, cause_of_death = ?,
-           staff_username = ?, external_name = ?, external_mobile = ?, 
-           external_id_number = ?, updated_at = ?
-       WHERE id = ?`,
-    [
-      summary || null,
-      findings ? JSON.stringify(findings) : null,
-      cause_of_death || null,
-      staff_username || null,
-      external_name || null,
-      external_mobile || null,
-      external_id_number || null,
-      updated_at,
+  const branch = deceasedBranchCondition(req);
+  const postmortem = await withTransaction(async (tx) => {
+    // Postmortems of another branch's bodies are reported as missing
+    const before = await tx.queryOne(
+      `SELECT * FROM postmortem WHERE id = ? AND ${branch.sql} FOR UPDATE`,
+      [id, ...branch.params],
+    );
+    if (!before) return null;
+
+    await tx.query(
+      `UPDATE postmortem 
+         SET summary = ?, notes = ?, cause_of_death = ?,
+             staff_username = ?, external_name = ?, external_mobile = ?, 
+             external_id_number = ?, updated_at = ?
+         WHERE id = ?`,
+      [
+        summary || null,
+        findings ? JSON.stringify(findings) : null,
+        cause_of_death || null,
+        staff_username || null,
+        external_name || null,
+        external_mobile || null,
+        external_id_number || null,
+        updated_at,
+        id,
+      ],
+    );
+    const after = await tx.queryOne('SELECT * FROM postmortem WHERE id = ?', [
       id,
-    ],
-  );
+    ]);
+
+    await recordAudit(tx, req, {
+      entity: 'postmortem',
+      entityId: id,
+      action: 'update',
+      before,
+      after,
+    });
+    return after;
+  });
 
-  if (result.affectedRows === 0) {
+  if (!postmortem) {
     return res
       .status(404)
       .json({ message: 'Postmortem examination not found' });
   }
 
   // ✅ Auto-update deceased cache as well
-  const [postmortem] = await safeQuery(
-    'SELECT deceased_id FROM postmortem WHERE id = ?',
-    [id],
-  );
-  if (postmortem?.deceased_id) {
+  if (postmortem.deceased_id) {
     mergeDeceasedCached(postmortem.deceased_id, {
       last_updated_postmortem: updated_at,
       cause_of_death,
@@ -1,6 +1,8 @@
 const asyncHandler = require('express-async-handler');
-const NodeCache = require('node-cache');
-const { safeQuery } = require('../../configurations/sqlConfig/db');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
 const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
 const fs = require('fs');
 const path = require('path');
@@ -14,7 +16,28 @@ const {
   mergeDeceasedCached,
   deleteDeceasedCached,
   refreshAllDeceasedCache,
+  getBranchCached,
+  setBranchCached,
+  invalidateBranchCache,
 } = require('../../cachemanager/cachemanager');
+const {
+  branchCondition,
+  deceasedBranchCondition,
+  canAccessBranch,
+  getWriteBranchId,
+  getBranchCacheId,
+} = require('../../middlewares/tenancy/branchScope');
+const { hasPermission } = require('../../middlewares/auth/permissions');
+const {
+  LIFECYCLE,
+  changeStatus,
+  recordAdmission,
+  describeLifecycle,
+} = require('../../services/lifecycle/bodyLifecycle');
+const { recordAudit } = require('../../services/audit/auditLog');
+const { softDelete } = require('../../services/recycleBin/softDelete');
+const { getStorageCharges } = require('../../services/tariffs/tariffEngine');
+const { actorOf } = require('../../utilities/helpers/helpers');
 
 // ----------------- Helpers & Constants -----------------
 const Colors = {
@@ -95,7 +118,7 @@ function sanitize(value) {
 }
 
 // ----------------- Setup -----------------
-const cache = new NodeCache({ stdTTL: 3600, checkperiod: 120 });
+// Per-branch list cache key (see cachemanager getBranchCached)
 const ALL_DECEASED_CACHE_KEY = 'all_deceased';
 
 // const deceasedCache = new Map(); // Removed unused local map
@@ -135,6 +158,7 @@ const registerDeceased = asyncHandler(async (req, res) => {
         : 'UNKNOWN';
 
     const deceased_id = generateUniqueDeceasedId(full_name);
+    const branch_id = getWriteBranchId(req);
 
     const insertValues = [
       sanitize(deceased_id),
@@ -152,6 +176,8 @@ const registerDeceased = asyncHandler(async (req, res) => {
       sanitize(national_id),
       sanitize(created_at),
       sanitize(location),
+      sanitize(branch_id),
+      LIFECYCLE.ADMITTED,
     ];
 
     const insertQuery = `
@@ -159,26 +185,21 @@ const registerDeceased = asyncHandler(async (req, res) => {
         deceased_id, admission_number, cause_of_death, date_admitted,
         date_of_birth, date_of_death, date_registered, full_name,
         gender, mortuary_id, place_of_death, county,
-        national_id, created_at, location
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        national_id, created_at, location, branch_id, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
-    await safeQuery(insertQuery, insertValues);
-
-    // Refresh cache in background
-    safeQuery(`
-      SELECT 
-        d.*,
-        CASE WHEN p.deceased_id IS NOT NULL THEN 1 ELSE 0 END AS has_autopsy
-      FROM deceased d
-      LEFT JOIN postmortem p ON d.deceased_id = p.deceased_id
-      ORDER BY d.date_of_death DESC
-    `)
-      .then((data) => cache.set(ALL_DECEASED_CACHE_KEY, data))
-      .catch((err) => {
-        console.error(' Failed to update cache after registration:', err);
-        logError(err);
+    // Every body starts its lifecycle as Admitted, with an audit row
+    await withTransaction(async (tx) => {
+      await tx.query(insertQuery, insertValues);
+      await recordAdmission(tx, {
+        deceasedId: deceased_id,
+        actor: actorOf(req),
       });
+    });
+
+    // Next list request for this branch repopulates the cache
+    invalidateBranchCache(branch_id, ALL_DECEASED_CACHE_KEY);
 
     res
       .status(200)
@@ -193,17 +214,19 @@ const registerDeceased = asyncHandler(async (req, res) => {
 });
 
 // ----------------- Get All Deceased -----------------
-let isPopulatingCache = false;
-let cachePromise = null;
+// One in-flight query per branch partition so concurrent misses share it
+const pendingCacheLoads = new Map();
 
 const getAllRegisteredDeceased = asyncHandler(async (req, res) => {
   try {
-    let deceasedRecords = cache.get(ALL_DECEASED_CACHE_KEY);
+    const cacheId = getBranchCacheId(req);
+    let deceasedRecords = getBranchCached(cacheId, ALL_DECEASED_CACHE_KEY);
 
     if (!deceasedRecords) {
-      if (!isPopulatingCache) {
-        isPopulatingCache = true;
-        cachePromise = safeQuery(`
+      if (!pendingCacheLoads.has(cacheId)) {
+        const branch = branchCondition(req, 'd.branch_id');
+        const cachePromise = safeQuery(
+          `
           SELECT 
             d.*,
             CASE WHEN p.deceased_id IS NOT NULL THEN 1 ELSE 0 END AS has_autopsy,
@@ -215,20 +238,23 @@ const getAllRegisteredDeceased = asyncHandler(async (req, res) => {
           FROM deceased d
           LEFT JOIN postmortem p ON d.deceased_id = p.deceased_id
           LEFT JOIN next_of_kin k ON d.deceased_id = k.deceased_id
+          WHERE d.deleted_at IS NULL AND ${branch.sql}
           ORDER BY d.date_of_death DESC
-        `)
+        `,
+          branch.params,
+        )
           .then((data) => {
-            cache.set(ALL_DECEASED_CACHE_KEY, data);
-            isPopulatingCache = false;
+            setBranchCached(cacheId, ALL_DECEASED_CACHE_KEY, data);
             return data;
           })
           .catch((err) => {
-            isPopulatingCache = false;
             logError(err);
             throw err;
-          });
+          })
+          .finally(() => pendingCacheLoads.delete(cacheId));
+        pendingCacheLoads.set(cacheId, cachePromise);
       }
-      deceasedRecords = await cachePromise;
+      deceasedRecords = await pendingCacheLoads.get(cacheId);
     }
 
     res.status(200).json({
@@ -269,13 +295,14 @@ const getDeceasedById = asyncHandler(async (req, res) => {
         u.role AS registered_by_role
       FROM deceased d
       LEFT JOIN users u ON d.registered_by_user_id = u.id
-      WHERE d.deceased_id = ? OR d.id = ?
+      WHERE (d.deceased_id = ? OR d.id = ?) AND d.deleted_at IS NULL
       `,
       [id, id],
     );
 
     const deceased = deceasedRows[0];
-    if (!deceased) {
+    // Records from another branch are reported as missing, not forbidden
+    if (!deceased || !canAccessBranch(req, deceased.branch_id)) {
       return res.status(404).json({ message: 'Deceased record not found' });
     }
 
@@ -321,7 +348,7 @@ const getDeceasedById = asyncHandler(async (req, res) => {
     c.notes AS coffin_notes
   FROM deceased_coffin dc
   LEFT JOIN coffins c ON dc.coffin_id = c.coffin_id
-  WHERE dc.deceased_id = ?
+  WHERE dc.deceased_id = ? AND dc.returned_at IS NULL
   ORDER BY dc.assigned_date DESC, dc.created_at DESC
   LIMIT 1
 `,
@@ -364,7 +391,7 @@ const getDeceasedById = asyncHandler(async (req, res) => {
       ),
       documents: safeFetch(
         'documents',
-        `SELECT * FROM documents WHERE deceased_id = ?`,
+        `SELECT * FROM documents WHERE deceased_id = ? AND deleted_at IS NULL`,
         [deceasedNumericId],
       ),
       postmortem: safeFetch(
@@ -435,17 +462,9 @@ const getDeceasedById = asyncHandler(async (req, res) => {
 
     /** ✅ 8. Financial Calculations */
     const postmortem = postRows[0] || null;
-    const daysSpent = deceased.date_admitted
-      ? Math.floor(
-          (Date.now() - new Date(deceased.date_admitted)) /
-            (1000 * 60 * 60 * 24),
-        )
-      : 0;
-    const rate =
-      deceased.currency === 'USD'
-        ? parseFloat(deceased.usd_charge_rate || 0)
-        : 800;
-    const coldRoomCharges = daysSpent * rate;
+    const storage = await getStorageCharges(deceased);
+    const daysSpent = Math.floor(storage.days);
+    const coldRoomCharges = storage.total;
     const otherCharges = chargesRows.reduce(
       (sum, c) => sum + (parseFloat(c.amount) || 0),
       0,
@@ -543,6 +562,7 @@ const getDeceasedById = asyncHandler(async (req, res) => {
       financial_details: {
         days_spent: daysSpent,
         cold_room_charges: coldRoomCharges,
+        storage_breakdown: storage.breakdown,
         other_charges: otherCharges,
         extra_charges: extraCharges,
         total_charges: totalCharges,
@@ -591,10 +611,15 @@ const updateCoffinStatus = asyncHandler(async (req, res) => {
       .json({ message: 'Missing required fields', success: false });
 
   try {
-    await safeQuery(
-      'UPDATE deceased SET coffin_status = ? WHERE deceased_id = ?',
-      [coffin_status, deceased_id],
+    const branch = branchCondition(req);
+    const result = await safeQuery(
+      `UPDATE deceased SET coffin_status = ? WHERE deceased_id = ? AND ${branch.sql}`,
+      [coffin_status, deceased_id, ...branch.params],
     );
+    if (result.affectedRows === 0)
+      return res
+        .status(404)
+        .json({ message: 'Deceased record not found', success: false });
     res
       .status(200)
       .json({ message: 'Coffin status updated successfully', success: true });
@@ -616,10 +641,15 @@ const updateDeceasedDispatchDate = asyncHandler(async (req, res) => {
       .json({ message: 'Missing required fields', success: false });
 
   try {
-    await safeQuery(
-      'UPDATE deceased SET dispatch_date = ? WHERE deceased_id = ?',
-      [dispatch_date, deceased_id],
+    const branch = branchCondition(req);
+    const result = await safeQuery(
+      `UPDATE deceased SET dispatch_date = ? WHERE deceased_id = ? AND ${branch.sql}`,
+      [dispatch_date, deceased_id, ...branch.params],
     );
+    if (result.affectedRows === 0)
+      return res
+        .status(404)
+        .json({ message: 'Deceased record not found', success: false });
     res
       .status(200)
       .json({ message: 'Dispatch date updated successfully', success: true });
@@ -631,20 +661,94 @@ const updateDeceasedDispatchDate = asyncHandler(async (req, res) => {
 });
 
 // ----------------- Update Deceased Status -----------------
-function updateDeceasedStatus(cid, status, callback) {
-  safeQuery(`UPDATE deceased_status_log SET status = ? WHERE cid = ?`, [
-    status,
-    cid,
-  ])
-    .then(() =>
-      callback({ success: true, message: 'Status updated successfully' }),
-    )
-    .catch((err) => {
-      console.error(' DB Error:', err.message);
-      logError(err);
-      callback({ success: false, message: 'Database update failed' });
+// The only HTTP path that moves a body through its lifecycle
+const updateDeceasedStatus = asyncHandler(async (req, res) => {
+  const deceased_id = req.params.deceased_id || req.query.id;
+  const { status, reason } = req.body;
+
+  if (!deceased_id || !status) {
+    return res.status(400).json({
+      success: false,
+      message: 'deceased_id and status are required',
     });
-}
+  }
+
+  // Approving a release is a separate, narrower permission
+  if (
+    status === LIFECYCLE.RELEASE_APPROVED &&
+    !(await hasPermission(req.user, 'release:approve'))
+  ) {
+    return res.status(403).json({
+      success: false,
+      code: 'FORBIDDEN',
+      message: 'Missing permission: release:approve',
+    });
+  }
+
+  try {
+    const result = await changeStatus({
+      deceasedId: deceased_id,
+      to: status,
+      reason,
+      actor: actorOf(req),
+      branch: branchCondition(req),
+    });
+
+    deleteDeceasedCached(deceased_id);
+    // Clear the body's own branch list, not the partition the caller views
+    if (result) {
+      invalidateBranchCache(result.branch_id, ALL_DECEASED_CACHE_KEY);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result
+        ? `Status changed from ${result.from} to ${result.to}`
+        : `Status is already ${status}`,
+      data: result,
+    });
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({
+        success: false,
+        code: err.code,
+        message: err.message,
+      });
+    }
+    console.error(' Error updating status:', err);
+    logError(err);
+    res.status(500).json({ message: 'Internal Server Error', success: false });
+  }
+});
+
+// ----------------- Deceased Lifecycle -----------------
+const getDeceasedLifecycle = asyncHandler(async (req, res) => {
+  const { deceased_id } = req.params;
+  const branch = branchCondition(req);
+
+  try {
+    const [deceased] = await safeQuery(
+      `SELECT * FROM deceased
+       WHERE deceased_id = ? AND deleted_at IS NULL AND ${branch.sql}`,
+      [deceased_id, ...branch.params],
+    );
+    if (!deceased) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Deceased record not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      deceased_id,
+      ...(await describeLifecycle(deceased)),
+    });
+  } catch (err) {
+    console.error(' Error fetching lifecycle:', err);
+    logError(err);
+    res.status(500).json({ message: 'Internal Server Error', success: false });
+  }
+});
 
 // ----------------- Update Global Mortuary Rate -----------------
 function updateMortuaryRateForAll(newRate) {
@@ -691,6 +795,15 @@ const updateDeceasedRecord = asyncHandler(async (req, res) => {
       total_mortuary_charge,
     } = req.body;
 
+    // Status only changes through the lifecycle endpoint
+    if (status !== undefined) {
+      return res.status(400).json({
+        success: false,
+        code: 'STATUS_READ_ONLY',
+        message: 'Use PUT /deceased/:deceased_id/status to change status',
+      });
+    }
+
     // Build dynamic update query based on provided fields
     const updateFields = [];
     const updateValues = [];
@@ -716,7 +829,6 @@ const updateDeceasedRecord = asyncHandler(async (req, res) => {
     addField('dispatch_date', dispatch_date);
     addField('county', county);
     addField('location', location);
-    addField('status', status);
     addField('total_mortuary_charge', total_mortuary_charge);
 
     // Add last_charge_update if financial fields are being updated
@@ -732,21 +844,38 @@ const updateDeceasedRecord = asyncHandler(async (req, res) => {
       });
     }
 
-    // Add deceased_id to values array
-    updateValues.push(id);
+    const branch = branchCondition(req);
 
-    const updateQuery = `
-      UPDATE deceased 
-      SET ${updateFields.join(', ')}
-      WHERE deceased_id = ? OR id = ?
-    `;
+    // Update and audit the before/after snapshot together
+    const updated = await withTransaction(async (tx) => {
+      const before = await tx.queryOne(
+        `SELECT * FROM deceased
+         WHERE (deceased_id = ? OR id = ?) AND deleted_at IS NULL
+           AND ${branch.sql}
+         FOR UPDATE`,
+        [id, id, ...branch.params],
+      );
+      if (!before) return null;
 
-    // Add id again for the OR condition
-    updateValues.push(id);
+      await tx.query(
+        `UPDATE deceased SET ${updateFields.join(', ')} WHERE id = ?`,
+        [...updateValues, before.id],
+      );
+      const after = await tx.queryOne('SELECT * FROM deceased WHERE id = ?', [
+        before.id,
+      ]);
 
-    const result = await safeQuery(updateQuery, updateValues);
+      await recordAudit(tx, req, {
+        entity: 'deceased',
+        entityId: before.deceased_id,
+        action: 'update',
+        before,
+        after,
+      });
+      return after;
+    });
 
-    if (result.affectedRows === 0) {
+    if (!updated) {
       return res.status(404).json({
         success: false,
         message: 'Deceased record not found',
@@ -755,7 +884,6 @@ const updateDeceasedRecord = asyncHandler(async (req, res) => {
 
     // Clear cache for this record
     deleteDeceasedCached(id);
-    cache.del(ALL_DECEASED_CACHE_KEY);
 
     // Fetch updated record
     const updatedRecord = await safeQuery(
@@ -770,6 +898,7 @@ const updateDeceasedRecord = asyncHandler(async (req, res) => {
     `,
       [id, id],
     );
+    invalidateBranchCache(updatedRecord[0]?.branch_id, ALL_DECEASED_CACHE_KEY);
 
     res.status(200).json({
       success: true,
@@ -787,6 +916,54 @@ const updateDeceasedRecord = asyncHandler(async (req, res) => {
   }
 });
 
+// ----------------- Delete Deceased Record -----------------
+// Soft delete: the record moves to the recycle bin and can be restored
+const deleteDeceasedRecord = asyncHandler(async (req, res) => {
+  const { deceased_id } = req.params;
+
+  try {
+    const deleted = await withTransaction(async (tx) => {
+      const tray = await tx.queryOne(
+        'SELECT id FROM cold_room_trays WHERE deceased_id = ? LIMIT 1',
+        [deceased_id],
+      );
+      if (tray) {
+        const err = new AppError(
+          'Release the body from its cold room tray before deleting the record',
+          409,
+        );
+        err.code = 'ON_TRAY';
+        throw err;
+      }
+      return softDelete(tx, req, 'deceased', deceased_id);
+    });
+
+    deleteDeceasedCached(deceased_id);
+    invalidateBranchCache(deleted.branch_id, ALL_DECEASED_CACHE_KEY);
+
+    res.status(200).json({
+      success: true,
+      message: 'Deceased record moved to the recycle bin',
+    });
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({
+        success: false,
+        code: err.code,
+        message:
+          err.statusCode === 404 ? 'Deceased record not found' : err.message,
+      });
+    }
+    console.error('❌ Error deleting deceased record:', err);
+    logError(err);
+    res.status(500).json({
+      success: false,
+      message: 'Internal Server Error',
+      error: err.message,
+    });
+  }
+});
+
 const exportDeceasedToExcel = asyncHandler(async (req, res) => {
   try {
     const { period = 'all', startDate, endDate } = req.query;
@@ -849,6 +1026,9 @@ const exportDeceasedToExcel = asyncHandler(async (req, res) => {
         periodLabel = 'All Records';
     }
 
+    const branch = branchCondition(req, 'd.branch_id');
+    const deceasedInBranch = deceasedBranchCondition(req);
+
     // Get deceased records with proper extra charges aggregation
     const deceasedQuery = `
       SELECT 
@@ -910,14 +1090,17 @@ const exportDeceasedToExcel = asyncHandler(async (req, res) => {
         ) as visitor_count
       FROM deceased d
       LEFT JOIN users u ON d.registered_by_user_id = u.id
-      LEFT JOIN deceased_coffin dc ON d.deceased_id = dc.deceased_id
+      LEFT JOIN deceased_coffin dc ON d.deceased_id = dc.deceased_id AND dc.returned_at IS NULL
       LEFT JOIN coffins c ON dc.coffin_id = c.coffin_id
-      ${dateCondition}
+      ${dateCondition ? `${dateCondition} AND` : 'WHERE'} d.deleted_at IS NULL AND ${branch.sql}
       ORDER BY d.date_registered DESC
       LIMIT 10000
     `;
 
-    const deceased = await safeQuery(deceasedQuery, dateParams);
+    const deceased = await safeQuery(deceasedQuery, [
+      ...dateParams,
+      ...branch.params,
+    ]);
 
     // Get detailed extra charges
     const extraChargesDetailsQuery = `
@@ -932,13 +1115,14 @@ const exportDeceasedToExcel = asyncHandler(async (req, res) => {
       FROM extra_charges ec
       WHERE ec.status != 'Cancelled'
       ${dateCondition ? `AND ec.deceased_id IN (SELECT deceased_id FROM deceased ${dateCondition})` : ''}
+      AND ${deceasedBranchCondition(req, 'ec.deceased_id').sql}
       ORDER BY ec.deceased_id, ec.service_date DESC
     `;
 
-    const extraChargesDetails = await safeQuery(
-      extraChargesDetailsQuery,
-      dateParams,
-    );
+    const extraChargesDetails = await safeQuery(extraChargesDetailsQuery, [
+      ...dateParams,
+      ...deceasedInBranch.params,
+    ]);
 
     // Get visitor statistics
     let visitorQuery = `
@@ -949,13 +1133,13 @@ const exportDeceasedToExcel = asyncHandler(async (req, res) => {
         visitor_type,
         COUNT(*) as count_by_type
       FROM visitors 
-      WHERE 1=1
+      WHERE ${deceasedInBranch.sql}
     `;
 
-    let visitorParams = [];
+    let visitorParams = [...deceasedInBranch.params];
     if (dateCondition) {
       visitorQuery += ` AND check_in_time BETWEEN ? AND ?`;
-      visitorParams = [...dateParams];
+      visitorParams.push(...dateParams);
     }
     visitorQuery += ` GROUP BY visitor_type`;
 
@@ -969,13 +1153,13 @@ const exportDeceasedToExcel = asyncHandler(async (req, res) => {
         relationship,
         COUNT(*) as count_by_relationship
       FROM next_of_kin 
-      WHERE 1=1
+      WHERE ${deceasedInBranch.sql}
     `;
 
-    let nextOfKinParams = [];
+    let nextOfKinParams = [...deceasedInBranch.params];
     if (dateCondition) {
       nextOfKinQuery += ` AND created_at BETWEEN ? AND ?`;
-      nextOfKinParams = [...dateParams];
+      nextOfKinParams.push(...dateParams);
     }
     nextOfKinQuery += ` GROUP BY relationship ORDER BY count_by_relationship DESC LIMIT 10`;
 
@@ -1140,7 +1324,7 @@ const exportDeceasedToExcel = asyncHandler(async (req, res) => {
       {
         label: 'RECORDS ANALYZED',
         value: totalRecords.toLocaleString(),
-        sublabel: `Active: ${deceased.filter((d) => d.status === 'Active').length} | Dispatched: ${dispatchedCount}`,
+        sublabel: `In care: ${deceased.filter((d) => d.status !== LIFECYCLE.DISPATCHED).length} | Dispatched: ${dispatchedCount}`,
         color: Colors.infoBlue,
         bgColor: Colors.cssVars.gray100,
       },
@@ -1443,7 +1627,7 @@ const exportDeceasedToExcel = asyncHandler(async (req, res) => {
       if (hasExtraCharges) {
         rowBgColor = Colors.cssVars.warning + '20'; // Light yellow with transparency
       }
-      if (record.status === 'Dispatched') {
+      if (record.status === LIFECYCLE.DISPATCHED) {
         rowBgColor = Colors.successGreen + '15'; // Light green for dispatched
       }
 
@@ -1505,9 +1689,7 @@ const exportDeceasedToExcel = asyncHandler(async (req, res) => {
 
           case 13: // Status
             cell.alignment = { horizontal: 'center' };
-            if (record.status === 'Active') {
-              cell.font.color = { argb: hexToExcelColor(Colors.successGreen) };
-            } else if (record.status === 'Dispatched') {
+            if (record.status === LIFECYCLE.DISPATCHED) {
               cell.font.color = { argb: hexToExcelColor(Colors.infoBlue) };
             }
             break;
@@ -1662,7 +1844,9 @@ module.exports = {
   updateCoffinStatus,
   updateDeceasedDispatchDate,
   updateDeceasedStatus,
+  getDeceasedLifecycle,
   updateMortuaryRateForAll,
   updateDeceasedRecord,
+  deleteDeceasedRecord,
   exportDeceasedToExcel,
 };
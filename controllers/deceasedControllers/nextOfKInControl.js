@@ -2,6 +2,10 @@
 const asyncHandler = require('express-async-handler');
 const { safeQuery } = require('../../configurations/sqlConfig/db');
 const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  deceasedBranchCondition,
+} = require('../../middlewares/tenancy/branchScope');
+const { actorOf } = require('../../utilities/helpers/helpers');
 
 // ----------------- WhatsApp Notification Helper -----------------
 const createWhatsAppNotificationForKin = async (deceased_id, kin_id) => {
@@ -74,7 +78,8 @@ const getNextOfKinByDeceasedId = asyncHandler(async (req, res) => {
 
   try {
     const rows = await safeQuery(
-      `SELECT id, full_name, relationship, contact, email, created_at 
+      `SELECT id, full_name, relationship, contact, email, created_at,
+              verified_at, verified_by, verification_method
        FROM next_of_kin WHERE deceased_id = ?`,
       [deceased_id],
     );
@@ -93,4 +98,64 @@ const getNextOfKinByDeceasedId = asyncHandler(async (req, res) => {
   }
 });
 
-module.exports = { nextOfKinRegister, getNextOfKinByDeceasedId };
+// ----------------- Verify Next of Kin -----------------
+// Release approval requires at least one verified next of kin
+const VERIFICATION_METHODS = [
+  'National ID',
+  'Passport',
+  'Court Order',
+  'Other',
+];
+
+const verifyNextOfKin = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { method = 'National ID', id_number, notes } = req.body;
+
+  if (!VERIFICATION_METHODS.includes(method)) {
+    return res.status(400).json({
+      message: `method must be one of: ${VERIFICATION_METHODS.join(', ')}`,
+    });
+  }
+  if (method !== 'Other' && !id_number) {
+    return res
+      .status(400)
+      .json({ message: 'id_number of the document checked is required' });
+  }
+
+  try {
+    const branch = deceasedBranchCondition(req);
+    const result = await safeQuery(
+      `UPDATE next_of_kin
+       SET verified_at = ?, verified_by = ?, verification_method = ?,
+           verified_id_number = ?, verification_notes = ?
+       WHERE id = ? AND ${branch.sql}`,
+      [
+        getKenyaTimeISO(),
+        actorOf(req),
+        method,
+        id_number || null,
+        notes || null,
+        id,
+        ...branch.params,
+      ],
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Next of kin not found' });
+    }
+
+    res.status(200).json({ message: 'Next of kin verified', kin_id: id });
+  } catch (error) {
+    console.error('Error verifying next of kin:', error.message);
+    res.status(500).json({
+      message: 'Failed to verify next of kin',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = {
+  nextOfKinRegister,
+  getNextOfKinByDeceasedId,
+  verifyNextOfKin,
+};
@@ -1,11 +1,30 @@
 const asyncHandler = require('express-async-handler');
-const { safeQuery } = require('../../configurations/sqlConfig/db');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
 const { AppError } = require('../../middlewares/errorHandler/errorHandler');
+const { DateTime } = require('luxon');
+const {
+  resolveWindow,
+  lockFleet,
+  findFleetConflicts,
+  describeConflicts,
+} = require('../../services/fleet/fleetAvailability');
+const {
+  LIFECYCLE,
+  transitionStatus,
+} = require('../../services/lifecycle/bodyLifecycle');
+const { actorOf } = require('../../utilities/helpers/helpers');
 
-const assignVehicleDispatch = asyncHandler(async (req, res) => {
-  console.log('[DISPATCH] Request received:', req.body);
-
-  const {
+/**
+ * Insert a vehicle_dispatch row and move the deceased to Dispatched.
+ * Shared by the dispatch endpoint and hearse bookings going In Transit.
+ * `actor` is the staff member dispatching (see actorOf); the driver goes in
+ * the transition reason. Pass `tx` to run inside an existing withTransaction().
+ */
+const createVehicleDispatch = async (
+  {
     deceased_id,
     vehicle_plate,
     driver_name,
@@ -16,20 +35,10 @@ const assignVehicleDispatch = asyncHandler(async (req, res) => {
     dispatch_time,
     distance_km,
     created_at,
-  } = req.body;
-
-  // ✅ Validate required fields
-  if (
-    !deceased_id ||
-    !vehicle_plate ||
-    !driver_name ||
-    !driver_contact ||
-    !distance_km
-  ) {
-    console.warn('[DISPATCH] Missing required fields:', req.body);
-    return res.status(400).json({ error: 'Missing required fields.' });
-  }
-
+    actor = null,
+  },
+  tx = null,
+) => {
   // Use provided dispatch_date/time or default to today
   const today = new Date();
   const formattedDate = dispatch_date || today.toISOString().split('T')[0]; // YYYY-MM-DD
@@ -48,17 +57,9 @@ const assignVehicleDispatch = asyncHandler(async (req, res) => {
     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
-  // SQL for updating deceased status
-  const updateDeceasedSql = `
-    UPDATE deceased SET status = ?, updated_at = ? WHERE deceased_id = ?
-  `;
-
-  try {
-    // Start transaction
-    await safeQuery('START TRANSACTION');
-
+  const run = async (db) => {
     // 1️⃣ Insert vehicle dispatch
-    const dispatchResult = await safeQuery(insertSql, [
+    const dispatchResult = await db.query(insertSql, [
       deceased_id,
       vehicle_plate,
       driver_name,
@@ -72,27 +73,102 @@ const assignVehicleDispatch = asyncHandler(async (req, res) => {
       createdAt,
     ]);
 
-    console.log(
-      '[DISPATCH] Inserted vehicle dispatch ID:',
-      dispatchResult.insertId,
-    );
+    // 2️⃣ The body leaves with the vehicle (needs release approval and a cleared balance)
+    await transitionStatus(db, {
+      deceasedId: deceased_id,
+      to: LIFECYCLE.DISPATCHED,
+      reason: `Vehicle dispatch ${dispatchResult.insertId} (${vehicle_plate}, driver ${driver_name})`,
+      actor,
+      extra: { dispatch_date: formattedDate },
+    });
+
+    return dispatchResult.insertId;
+  };
+
+  // Join the caller's transaction when given one, otherwise open our own
+  return tx ? run(tx) : withTransaction(run);
+};
 
-    // 2️⃣ Update deceased status
-    await safeQuery(updateDeceasedSql, ['Ready', createdAt, deceased_id]);
+const assignVehicleDispatch = asyncHandler(async (req, res) => {
+  const {
+    deceased_id,
+    vehicle_plate,
+    driver_name,
+    driver_contact,
+    dispatch_date,
+    dispatch_time,
+    distance_km,
+  } = req.body;
 
-    console.log('[DISPATCH] Deceased status updated to Ready');
+  // ✅ Validate required fields
+  if (
+    !deceased_id ||
+    !vehicle_plate ||
+    !driver_name ||
+    !driver_contact ||
+    !distance_km
+  ) {
+    return res.status(400).json({ error: 'Missing required fields.' });
+  }
+
+  try {
+    // ✅ Reject vehicles / drivers already committed to a booking or trip
+    const window = resolveWindow(
+      dispatch_date
+        ? `${dispatch_date}T${dispatch_time || '00:00'}`
+        : DateTime.now().setZone('Africa/Nairobi').toISO(),
+      null,
+    );
+    if (window.error) {
+      return res.status(400).json({ error: window.error });
+    }
 
-    // Commit transaction
-    await safeQuery('COMMIT');
+    const [driver] = await safeQuery(
+      'SELECT id FROM drivers WHERE name = ? OR phone = ? LIMIT 1',
+      [driver_name, driver_contact],
+    );
+    // Check and dispatch under the fleet lock so two requests can't both pass
+    const { conflicts, dispatchId } = await withTransaction(async (tx) => {
+      await lockFleet(tx, {
+        vehiclePlate: vehicle_plate,
+        driverId: driver?.id,
+      });
+      const found = await findFleetConflicts(
+        {
+          start: window.start,
+          end: window.end,
+          vehiclePlate: vehicle_plate,
+          driverId: driver?.id,
+          driverName: driver_name,
+        },
+        tx,
+      );
+      if (found.length > 0) return { conflicts: found };
+      return {
+        conflicts: [],
+        dispatchId: await createVehicleDispatch(
+          { ...req.body, actor: actorOf(req) },
+          tx,
+        ),
+      };
+    });
+    if (conflicts.length > 0) {
+      return res
+        .status(409)
+        .json({ error: describeConflicts(conflicts), conflicts });
+    }
 
     res.status(201).json({
       message:
-        '✅ Vehicle dispatched successfully and deceased status set to Ready',
-      dispatch_id: dispatchResult.insertId,
+        '✅ Vehicle dispatched successfully and deceased status set to Dispatched',
+      dispatch_id: dispatchId,
     });
   } catch (err) {
-    // Rollback transaction on error
-    await safeQuery('ROLLBACK');
+    if (err.isOperational) {
+      return res
+        .status(err.statusCode)
+        .json({ error: err.message, code: err.code });
+    }
     console.error('[DISPATCH] DB error:', err.message, err);
     res.status(500).json({ error: 'Database error: ' + err.message });
   }
@@ -100,4 +176,5 @@ const assignVehicleDispatch = asyncHandler(async (req, res) => {
 
 module.exports = {
   assignVehicleDispatch,
+  createVehicleDispatch,
 };
@@ -1,6 +1,18 @@
 const asyncHandler = require('express-async-handler');
-const { safeQuery } = require('../../configurations/sqlConfig/db');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { AppError } = require('../../middlewares/errorHandler/errorHandler');
+const { branchCondition } = require('../../middlewares/tenancy/branchScope');
+const {
+  LIFECYCLE,
+  transitionStatus,
+} = require('../../services/lifecycle/bodyLifecycle');
 const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  consumeChemicals,
+} = require('../../services/inventory/chemicalInventory');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
@@ -28,7 +40,6 @@ const registerEmbalming = asyncHandler(async (req, res) => {
   const {
     deceased_id,
     embalmed_by,
-    branch_id,
     height_cm,
     weight_kg,
     embalming_cost,
@@ -40,124 +51,141 @@ const registerEmbalming = asyncHandler(async (req, res) => {
     updated_at,
   } = req.body;
 
-  if (!deceased_id || !embalmed_by || !branch_id) {
+  if (!deceased_id || !embalmed_by) {
     return res.status(400).json({
       success: false,
-      message:
-        'Missing required fields: deceased_id, embalmed_by, or branch_id',
+      message: 'Missing required fields: deceased_id or embalmed_by',
     });
   }
 
   try {
-    const deceased = await safeQuery(
-      'SELECT * FROM deceased WHERE deceased_id = ?',
-      [deceased_id],
-    );
-    if (deceased.length === 0)
-      return res
-        .status(404)
-        .json({ success: false, message: 'Deceased record not found.' });
-
     const embalming_uid = generateEmbalmingUID();
 
-    const insertQuery = `
-      INSERT INTO embalming_records (
-        embalming_uid, deceased_id, embalmed_by, branch_id,
-        height_cm, weight_kg, embalming_cost,
-        start_time, end_time, notes, created_at, updated_at
-      )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    const insertValues = [
-      embalming_uid,
-      deceased_id,
-      embalmed_by,
-      branch_id,
-      height_cm || null,
-      weight_kg || null,
-      embalming_cost || null,
-      start_time || null,
-      end_time || null,
-      notes || null,
-      created_at || getKenyaTimeISO(),
-      updated_at || getKenyaTimeISO(),
-    ];
+    // Record, chemical usage, stock and body status commit together
+    const branch = branchCondition(req);
+    const registered = await withTransaction(async (tx) => {
+      const deceased = await tx.queryOne(
+        `SELECT id, branch_id FROM deceased
+         WHERE deceased_id = ? AND ${branch.sql} FOR UPDATE`,
+        [deceased_id, ...branch.params],
+      );
+      if (!deceased) throw new AppError('Deceased record not found.', 404);
+      // The record and its chemical usage belong to the body's branch
+      const branch_id = deceased.branch_id;
 
-    const result = await safeQuery(insertQuery, insertValues);
-    const embalmingRecordId = result.insertId;
+      const insertQuery = `
+        INSERT INTO embalming_records (
+          embalming_uid, deceased_id, embalmed_by, branch_id,
+          height_cm, weight_kg, embalming_cost,
+          start_time, end_time, notes, created_at, updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
 
-    // ✅ Loop only once and handle everything inside
-    for (const chem of chemicalUsage) {
-      const quantityUsed = chem.amount_used || chem.quantity_used || 0;
+      const insertValues = [
+        embalming_uid,
+        deceased_id,
+        embalmed_by,
+        branch_id,
+        height_cm || null,
+        weight_kg || null,
+        embalming_cost || null,
+        start_time || null,
+        end_time || null,
+        notes || null,
+        created_at || getKenyaTimeISO(),
+        updated_at || getKenyaTimeISO(),
+      ];
 
-      // Insert for main viewing
-      await safeQuery(
-        `
-        INSERT INTO chemical_usage (
-          embalming_id, branch_id, chemical_id, chemical_name,
-          amount_used, unit, used_by, used_at, updated_at
-        )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `,
-        [
-          embalmingRecordId,
-          branch_id,
-          chem.chemical_id,
-          chem.chemical_name || null,
-          quantityUsed,
-          chem.unit || 'L',
-          embalmed_by,
-          getKenyaTimeISO(),
-          getKenyaTimeISO(),
-        ],
-      );
+      const result = await tx.query(insertQuery, insertValues);
+      const recordId = result.insertId;
 
-      // Insert analytics record
-      await safeQuery(
-        `
-        INSERT INTO embalming_chemical_usage (
-          embalming_id, chemical_id, branch_id,
-          quantity_used, unit, created_at, updated_at
-        )
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-        `,
-        [
-          embalmingRecordId,
-          chem.chemical_id,
-          branch_id,
-          quantityUsed,
-          chem.unit || 'L',
-          getKenyaTimeISO(),
-          getKenyaTimeISO(),
-        ],
-      );
+      // ✅ Loop only once and handle everything inside
+      for (const chem of chemicalUsage) {
+        const quantityUsed = chem.amount_used || chem.quantity_used || 0;
 
-      // Deduct stock
-      const updateStock = await safeQuery(
-        `
-        UPDATE chemicals
-        SET quantity_available = quantity_available - ?
-        WHERE id = ? AND branch_id = ? AND quantity_available >= ?
-        `,
-        [quantityUsed, chem.chemical_id, branch_id, quantityUsed],
-      );
+        // Insert for main viewing
+        await tx.query(
+          `
+          INSERT INTO chemical_usage (
+            embalming_id, branch_id, chemical_id, chemical_name,
+            amount_used, unit, used_by, used_at, updated_at
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `,
+          [
+            recordId,
+            branch_id,
+            chem.chemical_id,
+            chem.chemical_name || null,
+            quantityUsed,
+            chem.unit || 'L',
+            embalmed_by,
+            getKenyaTimeISO(),
+            getKenyaTimeISO(),
+          ],
+        );
 
-      if (updateStock.affectedRows === 0) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for chemical_id ${chem.chemical_id}`,
-        });
+        // Insert analytics record
+        await tx.query(
+          `
+          INSERT INTO embalming_chemical_usage (
+            embalming_id, chemical_id, branch_id,
+            quantity_used, unit, created_at, updated_at
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          `,
+          [
+            recordId,
+            chem.chemical_id,
+            branch_id,
+            quantityUsed,
+            chem.unit || 'L',
+            getKenyaTimeISO(),
+            getKenyaTimeISO(),
+          ],
+        );
       }
-    }
+
+      // Reserve and take the stock, soonest-expiring batches first
+      const chemicalCost = await consumeChemicals(tx, {
+        embalmingId: recordId,
+        branchId: branch_id,
+        usage: chemicalUsage
+          .map((chem) => ({
+            chemical_id: chem.chemical_id,
+            quantity: chem.amount_used || chem.quantity_used || 0,
+          }))
+          .filter((line) => line.quantity > 0),
+        actor: embalmed_by,
+      });
+
+      // Bodies in storage (or back from autopsy) move to Embalmed
+      await transitionStatus(tx, {
+        deceasedId: deceased_id,
+        to: LIFECYCLE.EMBALMED,
+        onlyFrom: [LIFECYCLE.IN_STORAGE, LIFECYCLE.AUTOPSY],
+        reason: `Embalming ${embalming_uid}`,
+        actor: embalmed_by,
+        extra: { is_embalmed: 1 },
+      });
+
+      return { recordId, chemicalCost };
+    });
 
     res.status(201).json({
       success: true,
       message: 'Embalming record registered successfully.',
-      embalming_record_id: embalmingRecordId,
+      embalming_record_id: registered.recordId,
       embalming_uid,
+      chemical_cost: registered.chemicalCost,
     });
   } catch (error) {
+    if (error.isOperational) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, code: error.code, message: error.message });
+    }
     logError(error);
     console.error(error);
     throw new Error('Failed to register embalming record.');
@@ -179,9 +207,10 @@ const updateEmbalming = asyncHandler(async (req, res) => {
     updated_at,
   } = req.body;
 
+  const branch = branchCondition(req);
   const record = await safeQuery(
-    'SELECT * FROM embalming_records WHERE id = ?',
-    [id],
+    `SELECT * FROM embalming_records WHERE id = ? AND ${branch.sql}`,
+    [id, ...branch.params],
   );
   if (record.length === 0)
     return res
@@ -216,8 +245,8 @@ const updateEmbalming = asyncHandler(async (req, res) => {
    GET ALL EMBALMING RECORDS
 =========================================================== */
 const getAllEmbalming = asyncHandler(async (req, res) => {
-  const { branch_id } = req.query;
-  let query = `
+  const branch = branchCondition(req, 'e.branch_id');
+  const query = `
     SELECT 
       e.*, d.full_name AS deceased_name,
       b.name AS branch_name,
@@ -226,17 +255,10 @@ const getAllEmbalming = asyncHandler(async (req, res) => {
     LEFT JOIN deceased d ON e.deceased_id = d.deceased_id
     LEFT JOIN branches b ON e.branch_id = b.id
     LEFT JOIN users u ON e.embalmed_by = u.id
-    WHERE 1=1
+    WHERE ${branch.sql}
+    ORDER BY e.created_at DESC
   `;
-  const params = [];
-
-  if (branch_id) {
-    query += ' AND e.branch_id = ?';
-    params.push(branch_id);
-  }
-
-  query += ' ORDER BY e.created_at DESC';
-  const records = await safeQuery(query, params);
+  const records = await safeQuery(query, branch.params);
 
   res.status(200).json({ success: true, count: records.length, data: records });
 });
@@ -246,6 +268,7 @@ const getAllEmbalming = asyncHandler(async (req, res) => {
 =========================================================== */
 const getEmbalmingById = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const branch = branchCondition(req, 'e.branch_id');
 
   const record = await safeQuery(
     `
@@ -257,9 +280,9 @@ const getEmbalmingById = asyncHandler(async (req, res) => {
     LEFT JOIN deceased d ON e.deceased_id = d.deceased_id
     LEFT JOIN branches b ON e.branch_id = b.id
     LEFT JOIN users u ON e.embalmed_by = u.id
-    WHERE e.id = ?
+    WHERE e.id = ? AND ${branch.sql}
     `,
-    [id],
+    [id, ...branch.params],
   );
 
   if (record.length === 0)
@@ -1,6 +1,10 @@
 const asyncHandler = require('express-async-handler');
 const { safeQuery } = require('../../configurations/sqlConfig/db');
 const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  SUPPORTED_CURRENCIES,
+  toCurrencyCode,
+} = require('../../services/currency/currency');
 
 /**
  * @desc Update billing currency and amount for a deceased record
@@ -16,12 +20,12 @@ const currencyUpdate = asyncHandler(async (req, res) => {
     });
   }
 
-  // only allow specific currencies
-  const allowedCurrencies = ['KSH', 'USD'];
-  if (!allowedCurrencies.includes(currency.toUpperCase())) {
-    return res
-      .status(400)
-      .json({ message: 'Invalid currency. Allowed: KSH, USD' });
+  // ISO codes only; the old 'KSH' is stored as 'KES'
+  const code = toCurrencyCode(currency);
+  if (!code) {
+    return res.status(400).json({
+      message: `Invalid currency. Allowed: ${SUPPORTED_CURRENCIES.join(', ')}`,
+    });
   }
 
   const date = getKenyaTimeISO();
@@ -34,19 +38,14 @@ const currencyUpdate = asyncHandler(async (req, res) => {
       WHERE deceased_id = ?
     `;
 
-    await safeQuery(updateQuery, [
-      amount,
-      currency.toUpperCase(),
-      date,
-      deceasedId,
-    ]);
+    await safeQuery(updateQuery, [amount, code, date, deceasedId]);
 
     res.status(200).json({
-      message: `Billing updated successfully for ${currency.toUpperCase()}`,
+      message: `Billing updated successfully for ${code}`,
       data: {
         deceasedId,
         amount,
-        currency: currency.toUpperCase(),
+        currency: code,
         updated_at: date,
       },
     });
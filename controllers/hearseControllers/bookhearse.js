@@ -0,0 +1,674 @@
+const asyncHandler = require('express-async-handler');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  branchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
+const {
+  ACTIVE_BOOKING_STATUSES,
+  parseKenyaTime,
+  toSqlDateTime,
+  resolveWindow,
+  lockFleet,
+  findFleetConflicts,
+  describeConflicts,
+} = require('../../services/fleet/fleetAvailability');
+const { createVehicleDispatch } = require('../drivers/assignDriverDispstch');
+const { actorOf } = require('../../utilities/helpers/helpers');
+
+// ----------------- Helpers -----------------
+const generateBookingId = () => {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `HB-${timestamp}-${random}`;
+};
+
+// Allowed status moves; postponing keeps the current status
+const STATUS_TRANSITIONS = {
+  Pending: ['Assigned', 'Cancelled'],
+  Assigned: ['Pending', 'In Transit', 'Cancelled'],
+  'In Transit': ['Completed'],
+  Completed: [],
+  Cancelled: [],
+};
+
+const findBooking = async (req, bookingId) => {
+  const branch = branchCondition(req, 'b.branch_id');
+  const [booking] = await safeQuery(
+    `
+    SELECT b.*, dr.name AS driver_name, dr.phone AS driver_phone
+    FROM hearse_bookings b
+    LEFT JOIN drivers dr ON b.driver_id = dr.id
+    WHERE b.booking_id = ? AND ${branch.sql}
+    `,
+    [bookingId, ...branch.params],
+  );
+  return booking || null;
+};
+
+const findActiveDriver = async (req, driverId) => {
+  const branch = branchCondition(req);
+  const [driver] = await safeQuery(
+    `SELECT * FROM drivers WHERE id = ? AND is_active = 1 AND ${branch.sql}`,
+    [driverId, ...branch.params],
+  );
+  return driver || null;
+};
+
+const conflictResponse = (res, conflicts) =>
+  res.status(409).json({
+    success: false,
+    message: describeConflicts(conflicts),
+    conflicts,
+  });
+
+// ----------------- Make Hearse Booking -----------------
+const makeHearseBooking = asyncHandler(async (req, res) => {
+  const {
+    deceased_id,
+    client_name,
+    client_phone,
+    pickup_location,
+    destination,
+    start_time,
+    end_time,
+    vehicle_plate,
+    driver_id,
+    distance_km,
+    notes,
+  } = req.body;
+
+  if (
+    !client_name ||
+    !client_phone ||
+    !pickup_location ||
+    !destination ||
+    !start_time
+  ) {
+    return res.status(400).json({
+      success: false,
+      message:
+        'client_name, client_phone, pickup_location, destination and start_time are required',
+    });
+  }
+
+  const window = resolveWindow(start_time, end_time);
+  if (window.error) {
+    return res.status(400).json({ success: false, message: window.error });
+  }
+
+  if (deceased_id) {
+    const branch = branchCondition(req);
+    const [deceased] = await safeQuery(
+      `SELECT deceased_id FROM deceased WHERE deceased_id = ? AND deleted_at IS NULL AND ${branch.sql}`,
+      [deceased_id, ...branch.params],
+    );
+    if (!deceased) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Deceased record not found' });
+    }
+  }
+
+  let driver = null;
+  if (driver_id) {
+    driver = await findActiveDriver(req, driver_id);
+    if (!driver) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Driver not found or inactive' });
+    }
+  }
+
+  const booking_id = generateBookingId();
+  const status = vehicle_plate && driver ? 'Assigned' : 'Pending';
+
+  // Check and insert under the fleet lock so two requests can't both pass
+  const conflicts = await withTransaction(async (tx) => {
+    if (vehicle_plate || driver) {
+      await lockFleet(tx, {
+        vehiclePlate: vehicle_plate,
+        driverId: driver?.id,
+      });
+      const found = await findFleetConflicts(
+        {
+          start: window.start,
+          end: window.end,
+          vehiclePlate: vehicle_plate,
+          driverId: driver?.id,
+          driverName: driver?.name,
+        },
+        tx,
+      );
+      if (found.length > 0) return found;
+    }
+
+    const now = getKenyaTimeISO();
+    await tx.query(
+      `
+      INSERT INTO hearse_bookings (
+        booking_id, deceased_id, client_name, client_phone, pickup_location,
+        destination, start_time, end_time, vehicle_plate, driver_id, distance_km,
+        status, notes, branch_id, created_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        booking_id,
+        deceased_id || null,
+        client_name,
+        client_phone,
+        pickup_location,
+        destination,
+        window.start,
+        window.end,
+        vehicle_plate || null,
+        driver?.id || null,
+        distance_km || null,
+        status,
+        notes || null,
+        getWriteBranchId(req),
+        req.user?.id || null,
+        now,
+        now,
+      ],
+    );
+    return [];
+  });
+  if (conflicts.length > 0) return conflictResponse(res, conflicts);
+
+  res.status(201).json({
+    success: true,
+    message: '✅ Hearse booked successfully',
+    data: await findBooking(req, booking_id),
+  });
+});
+
+// ----------------- Get All Hearse Bookings -----------------
+const getAllHearseBookings = asyncHandler(async (req, res) => {
+  const { status, driver_id, from, to } = req.query;
+  const branch = branchCondition(req, 'b.branch_id');
+
+  let sql = `
+    SELECT b.*, dr.name AS driver_name, dr.phone AS driver_phone,
+           d.full_name AS deceased_name
+    FROM hearse_bookings b
+    LEFT JOIN drivers dr ON b.driver_id = dr.id
+    LEFT JOIN deceased d ON b.deceased_id = d.deceased_id
+    WHERE ${branch.sql}
+  `;
+  const params = [...branch.params];
+
+  if (status) {
+    sql += ' AND b.status = ?';
+    params.push(status);
+  }
+  if (driver_id) {
+    sql += ' AND b.driver_id = ?';
+    params.push(driver_id);
+  }
+  if (from) {
+    sql += ' AND b.start_time >= ?';
+    params.push(from);
+  }
+  if (to) {
+    sql += ' AND b.start_time <= ?';
+    params.push(to);
+  }
+  sql += ' ORDER BY b.start_time ASC';
+
+  const bookings = await safeQuery(sql, params);
+  res.json({ success: true, count: bookings.length, data: bookings });
+});
+
+// ----------------- Assign Driver To Booking -----------------
+const assignDriverToBooking = asyncHandler(async (req, res) => {
+  const { booking_id } = req.params;
+  const { driver_id, vehicle_plate } = req.body;
+
+  if (!driver_id) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'driver_id is required' });
+  }
+
+  const booking = await findBooking(req, booking_id);
+  if (!booking) {
+    return res
+      .status(404)
+      .json({ success: false, message: 'Booking not found' });
+  }
+  if (!['Pending', 'Assigned'].includes(booking.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot assign a driver to a ${booking.status} booking`,
+    });
+  }
+
+  const driver = await findActiveDriver(req, driver_id);
+  if (!driver) {
+    return res
+      .status(404)
+      .json({ success: false, message: 'Driver not found or inactive' });
+  }
+
+  const plate = vehicle_plate || booking.vehicle_plate;
+  if (!plate) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'vehicle_plate is required' });
+  }
+
+  const conflicts = await withTransaction(async (tx) => {
+    await lockFleet(tx, { vehiclePlate: plate, driverId: driver.id });
+    const found = await findFleetConflicts(
+      {
+        start: toSqlDateTime(parseKenyaTime(booking.start_time)),
+        end: toSqlDateTime(parseKenyaTime(booking.end_time)),
+        vehiclePlate: plate,
+        driverId: driver.id,
+        driverName: driver.name,
+        excludeBookingId: booking_id,
+      },
+      tx,
+    );
+    if (found.length > 0) return found;
+
+    await tx.query(
+      `UPDATE hearse_bookings
+       SET driver_id = ?, vehicle_plate = ?, status = 'Assigned', updated_at = ?
+       WHERE booking_id = ?`,
+      [driver.id, plate, getKenyaTimeISO(), booking_id],
+    );
+    return [];
+  });
+  if (conflicts.length > 0) return conflictResponse(res, conflicts);
+
+  res.json({
+    success: true,
+    message: `✅ ${driver.name} assigned to booking ${booking_id}`,
+    data: await findBooking(req, booking_id),
+  });
+});
+
+// ----------------- Update Booking Status -----------------
+const updateBookingStatus = asyncHandler(async (req, res) => {
+  const { booking_id } = req.params;
+  const { status } = req.body;
+
+  if (!Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${Object.keys(STATUS_TRANSITIONS).join(', ')}`,
+    });
+  }
+
+  const booking = await findBooking(req, booking_id);
+  if (!booking) {
+    return res
+      .status(404)
+      .json({ success: false, message: 'Booking not found' });
+  }
+
+  if (!STATUS_TRANSITIONS[booking.status].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot move booking from ${booking.status} to ${status}`,
+    });
+  }
+
+  if (
+    status === 'In Transit' &&
+    (!booking.driver_id || !booking.vehicle_plate)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: 'Assign a driver and vehicle before starting the trip',
+    });
+  }
+
+  // Dispatch row, body status and booking status move together
+  try {
+    await withTransaction(async (tx) => {
+      let dispatchId = booking.dispatch_id;
+
+      // Body pickups create the matching vehicle_dispatch record
+      if (status === 'In Transit' && booking.deceased_id && !dispatchId) {
+        const start = parseKenyaTime(booking.start_time);
+        dispatchId = await createVehicleDispatch(
+          {
+            deceased_id: booking.deceased_id,
+            vehicle_plate: booking.vehicle_plate,
+            driver_name: booking.driver_name,
+            driver_contact: booking.driver_phone,
+            status: 'In Transit',
+            notes: `Hearse booking ${booking_id}`,
+            dispatch_date: start.toFormat('yyyy-LL-dd'),
+            dispatch_time: start.toFormat('HH:mm'),
+            distance_km: parseFloat(booking.distance_km) || 0,
+            actor: actorOf(req),
+          },
+          tx,
+        );
+      } else if (dispatchId && ['Completed', 'Cancelled'].includes(status)) {
+        await tx.query('UPDATE vehicle_dispatch SET status = ? WHERE id = ?', [
+          status,
+          dispatchId,
+        ]);
+      }
+
+      await tx.query(
+        `UPDATE hearse_bookings
+       SET status = ?, dispatch_id = ?, updated_at = ?
+       WHERE booking_id = ?`,
+        [status, dispatchId || null, getKenyaTimeISO(), booking_id],
+      );
+    });
+  } catch (err) {
+    // Lifecycle guards (release approval, unpaid balance) block the trip
+    if (err.isOperational) {
+      return res
+        .status(err.statusCode)
+        .json({ success: false, code: err.code, message: err.message });
+    }
+    throw err;
+  }
+
+  res.json({
+    success: true,
+    message: `✅ Booking ${booking_id} marked ${status}`,
+    data: await findBooking(req, booking_id),
+  });
+});
+
+// ----------------- Postpone Hearse Booking -----------------
+const postponeHearseBooking = asyncHandler(async (req, res) => {
+  const { booking_id } = req.params;
+  const { new_start_time, new_end_time, reason } = req.body;
+
+  if (!new_start_time || !reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'new_start_time and reason are required',
+    });
+  }
+
+  const booking = await findBooking(req, booking_id);
+  if (!booking) {
+    return res
+      .status(404)
+      .json({ success: false, message: 'Booking not found' });
+  }
+  if (!['Pending', 'Assigned'].includes(booking.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot postpone a ${booking.status} booking`,
+    });
+  }
+
+  // Keep the original duration unless a new end is given
+  const previousStart = parseKenyaTime(booking.start_time);
+  const previousEnd = parseKenyaTime(booking.end_time);
+  const newStart = parseKenyaTime(new_start_time);
+  const window = resolveWindow(
+    new_start_time,
+    new_end_time ||
+      (newStart && newStart.plus(previousEnd.diff(previousStart)).toISO()),
+  );
+  if (window.error) {
+    return res.status(400).json({ success: false, message: window.error });
+  }
+
+  // History row and booking move together, under the fleet lock
+  const conflicts = await withTransaction(async (tx) => {
+    await lockFleet(tx, {
+      vehiclePlate: booking.vehicle_plate,
+      driverId: booking.driver_id,
+    });
+    const found = await findFleetConflicts(
+      {
+        start: window.start,
+        end: window.end,
+        vehiclePlate: booking.vehicle_plate,
+        driverId: booking.driver_id,
+        driverName: booking.driver_name,
+        excludeBookingId: booking_id,
+      },
+      tx,
+    );
+    if (found.length > 0) return found;
+
+    const now = getKenyaTimeISO();
+    await tx.query(
+      `
+      INSERT INTO hearse_booking_postponements (
+        booking_id, previous_start_time, previous_end_time,
+        new_start_time, new_end_time, reason, postponed_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        booking_id,
+        toSqlDateTime(previousStart),
+        toSqlDateTime(previousEnd),
+        window.start,
+        window.end,
+        reason,
+        req.user?.id || null,
+        now,
+      ],
+    );
+
+    await tx.query(
+      `UPDATE hearse_bookings
+       SET start_time = ?, end_time = ?, postponement_count = postponement_count + 1,
+           updated_at = ?
+       WHERE booking_id = ?`,
+      [window.start, window.end, now, booking_id],
+    );
+    return [];
+  });
+  if (conflicts.length > 0) return conflictResponse(res, conflicts);
+
+  const history = await safeQuery(
+    `SELECT * FROM hearse_booking_postponements
+     WHERE booking_id = ? ORDER BY created_at DESC`,
+    [booking_id],
+  );
+
+  res.json({
+    success: true,
+    message: `✅ Booking ${booking_id} postponed`,
+    data: { ...(await findBooking(req, booking_id)), postponements: history },
+  });
+});
+
+// ----------------- Register Driver -----------------
+const registerDriver = asyncHandler(async (req, res) => {
+  const { name, phone, license_number } = req.body;
+
+  if (!name || !phone) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'name and phone are required' });
+  }
+
+  const now = getKenyaTimeISO();
+  const result = await safeQuery(
+    `INSERT INTO drivers (name, phone, license_number, branch_id, is_active, created_at, updated_at)
+     VALUES (?, ?, ?, ?, 1, ?, ?)`,
+    [name, phone, license_number || null, getWriteBranchId(req), now, now],
+  );
+
+  res.status(201).json({
+    success: true,
+    message: '✅ Driver registered successfully',
+    data: { id: result.insertId, name, phone, license_number },
+  });
+});
+
+// ----------------- Get All Drivers -----------------
+const getAllDrivers = asyncHandler(async (req, res) => {
+  const branch = branchCondition(req, 'dr.branch_id');
+  const active = ACTIVE_BOOKING_STATUSES.map(() => '?').join(', ');
+
+  const drivers = await safeQuery(
+    `
+    SELECT
+      dr.*,
+      (SELECT b.booking_id FROM hearse_bookings b
+        WHERE b.driver_id = dr.id AND b.status = 'In Transit'
+        LIMIT 1) AS current_booking_id,
+      (SELECT MIN(b.start_time) FROM hearse_bookings b
+        WHERE b.driver_id = dr.id AND b.status IN (${active})
+          AND b.start_time >= NOW()) AS next_booking_at,
+      (SELECT COUNT(*) FROM hearse_bookings b
+        WHERE b.driver_id = dr.id AND b.status = 'Completed') AS completed_trips
+    FROM drivers dr
+    WHERE ${branch.sql}
+    ORDER BY dr.is_active DESC, dr.name
+    `,
+    [...ACTIVE_BOOKING_STATUSES, ...branch.params],
+  );
+
+  const data = drivers.map((driver) => ({
+    ...driver,
+    availability: !driver.is_active
+      ? 'inactive'
+      : driver.current_booking_id
+        ? 'on_trip'
+        : 'available',
+  }));
+
+  res.json({ success: true, count: data.length, data });
+});
+
+// ----------------- Get Bookings By Driver -----------------
+const getBookingsByDriver = asyncHandler(async (req, res) => {
+  const { driver_id } = req.params;
+  const { status } = req.query;
+
+  const driver = await findActiveDriver(req, driver_id);
+  if (!driver) {
+    return res
+      .status(404)
+      .json({ success: false, message: 'Driver not found or inactive' });
+  }
+
+  let sql = `
+    SELECT b.*, d.full_name AS deceased_name
+    FROM hearse_bookings b
+    LEFT JOIN deceased d ON b.deceased_id = d.deceased_id
+    WHERE b.driver_id = ?
+  `;
+  const params = [driver.id];
+  if (status) {
+    sql += ' AND b.status = ?';
+    params.push(status);
+  }
+  sql += ' ORDER BY b.start_time DESC';
+
+  const bookings = await safeQuery(sql, params);
+  res.json({ success: true, driver, count: bookings.length, data: bookings });
+});
+
+// ----------------- Driver Dashboard -----------------
+const getDriverDashboard = asyncHandler(async (req, res) => {
+  const { driver_id } = req.params;
+
+  const driver = await findActiveDriver(req, driver_id);
+  if (!driver) {
+    return res
+      .status(404)
+      .json({ success: false, message: 'Driver not found or inactive' });
+  }
+
+  const active = ACTIVE_BOOKING_STATUSES.map(() => '?').join(', ');
+
+  const [currentTrip] = await safeQuery(
+    `SELECT * FROM hearse_bookings WHERE driver_id = ? AND status = 'In Transit'
+     ORDER BY start_time LIMIT 1`,
+    [driver.id],
+  );
+
+  const today = await safeQuery(
+    `SELECT * FROM hearse_bookings
+     WHERE driver_id = ? AND DATE(start_time) = CURDATE() AND status IN (${active})
+     ORDER BY start_time`,
+    [driver.id, ...ACTIVE_BOOKING_STATUSES],
+  );
+
+  const upcoming = await safeQuery(
+    `SELECT * FROM hearse_bookings
+     WHERE driver_id = ? AND DATE(start_time) > CURDATE()
+       AND start_time <= DATE_ADD(CURDATE(), INTERVAL 7 DAY)
+       AND status IN (${active})
+     ORDER BY start_time`,
+    [driver.id, ...ACTIVE_BOOKING_STATUSES],
+  );
+
+  const [stats] = await safeQuery(
+    `
+    SELECT
+      COUNT(CASE WHEN status = 'Completed' THEN 1 END) AS completed_trips,
+      COUNT(CASE WHEN status = 'Completed'
+        AND MONTH(start_time) = MONTH(CURDATE())
+        AND YEAR(start_time) = YEAR(CURDATE()) THEN 1 END) AS completed_this_month,
+      COALESCE(SUM(CASE WHEN status = 'Completed'
+        AND MONTH(start_time) = MONTH(CURDATE())
+        AND YEAR(start_time) = YEAR(CURDATE()) THEN distance_km END), 0) AS km_this_month,
+      COALESCE(SUM(CASE WHEN status = 'Completed'
+        THEN TIMESTAMPDIFF(MINUTE, start_time, end_time) END), 0) AS minutes_on_duty,
+      COALESCE(SUM(postponement_count), 0) AS postponements,
+      COUNT(CASE WHEN status = 'Cancelled' THEN 1 END) AS cancelled_trips
+    FROM hearse_bookings
+    WHERE driver_id = ?
+    `,
+    [driver.id],
+  );
+
+  // Ad-hoc dispatches the driver did outside of bookings
+  const [adhoc] = await safeQuery(
+    `SELECT COUNT(*) AS trips, COALESCE(SUM(distance_km + COALESCE(round_trip_km, 0)), 0) AS km
+     FROM vehicle_dispatch
+     WHERE driver_name = ?
+       AND id NOT IN (SELECT dispatch_id FROM hearse_bookings WHERE dispatch_id IS NOT NULL)`,
+    [driver.name],
+  );
+
+  res.json({
+    success: true,
+    data: {
+      driver,
+      availability: currentTrip ? 'on_trip' : 'available',
+      current_trip: currentTrip || null,
+      today,
+      upcoming,
+      stats: {
+        completed_trips: Number(stats.completed_trips) || 0,
+        completed_this_month: Number(stats.completed_this_month) || 0,
+        km_this_month: parseFloat(stats.km_this_month) || 0,
+        hours_on_duty:
+          Math.round((Number(stats.minutes_on_duty) || 0) / 6) / 10,
+        postponements: Number(stats.postponements) || 0,
+        cancelled_trips: Number(stats.cancelled_trips) || 0,
+        adhoc_dispatches: Number(adhoc.trips) || 0,
+        adhoc_km: parseFloat(adhoc.km) || 0,
+      },
+    },
+  });
+});
+
+module.exports = {
+  makeHearseBooking,
+  getAllHearseBookings,
+  assignDriverToBooking,
+  getDriverDashboard,
+  updateBookingStatus,
+  postponeHearseBooking,
+  registerDriver,
+  getAllDrivers,
+  getBookingsByDriver,
+};
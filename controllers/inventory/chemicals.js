@@ -0,0 +1,269 @@
+const asyncHandler = require('express-async-handler');
+const ExcelJS = require('exceljs');
+const {
+  branchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
+const {
+  listChemicals,
+  getChemical,
+  saveChemical,
+  receiveGoods,
+  listGoodsReceived,
+  getGoodsReceived,
+  writeOffBatch,
+  stockAlerts,
+  consumptionReport,
+} = require('../../services/inventory/chemicalInventory');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const XLSX_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const sendError = errorResponder('INVENTORY');
+
+const badDates = (res, { from, to }) => {
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    res
+      .status(400)
+      .json({ success: false, message: 'from and to must be yyyy-mm-dd' });
+    return true;
+  }
+  return false;
+};
+
+// ----------------- Chemicals -----------------
+const getChemicals = asyncHandler(async (req, res) => {
+  try {
+    const data = await listChemicals({
+      branch: branchCondition(req, 'c.branch_id'),
+      low: req.query.low === 'true',
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load chemicals');
+  }
+});
+
+// With the batches still holding stock, soonest expiry first
+const getChemicalById = asyncHandler(async (req, res) => {
+  try {
+    const data = await getChemical(req.params.id, {
+      branch: branchCondition(req, 'c.branch_id'),
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load chemical');
+  }
+});
+
+// Stock only comes in through goods-received notes, so it is not accepted here
+const addChemical = asyncHandler(async (req, res) => {
+  try {
+    const data = await saveChemical(req, null, req.body, {
+      branchId: getWriteBranchId(req),
+    });
+    res
+      .status(201)
+      .json({ success: true, message: `${data.name} added`, data });
+  } catch (err) {
+    sendError(res, err, 'Add chemical');
+  }
+});
+
+const updateChemical = asyncHandler(async (req, res) => {
+  try {
+    const data = await saveChemical(req, req.params.id, req.body, {
+      branch: branchCondition(req, 'c.branch_id'),
+    });
+    res
+      .status(200)
+      .json({ success: true, message: `${data.name} updated`, data });
+  } catch (err) {
+    sendError(res, err, 'Update chemical');
+  }
+});
+
+// ----------------- Goods Received -----------------
+// { supplier?, supplier_invoice?, received_at?, notes?,
+//   lines: [{ chemical_id, quantity, unit_cost, lot_number?, expiry_date? }] }
+const addGoodsReceived = asyncHandler(async (req, res) => {
+  try {
+    const data = await receiveGoods(req, req.body, {
+      branch: branchCondition(req, 'c.branch_id'),
+      branchId: getWriteBranchId(req),
+    });
+    res.status(201).json({
+      success: true,
+      message: `${data.grn_number} received: ${data.batches.length} batch(es)`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Receive goods');
+  }
+});
+
+const getGoodsReceivedNotes = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  if (badDates(res, { from, to })) return;
+
+  try {
+    const data = await listGoodsReceived({
+      branch: branchCondition(req, 'g.branch_id'),
+      from,
+      to,
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load goods-received notes');
+  }
+});
+
+const getGoodsReceivedNote = asyncHandler(async (req, res) => {
+  try {
+    const data = await getGoodsReceived(req.params.id, {
+      branch: branchCondition(req, 'g.branch_id'),
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load goods-received note');
+  }
+});
+
+// { quantity?, reason }; without a quantity the whole batch is written off
+const writeOffChemicalBatch = asyncHandler(async (req, res) => {
+  const { quantity, reason } = req.body || {};
+
+  try {
+    const data = await writeOffBatch(req, req.params.id, {
+      quantity,
+      reason,
+      branch: branchCondition(req, 'b.branch_id'),
+    });
+    res.status(200).json({
+      success: true,
+      message: `Batch written off; ${data.quantity_remaining} left`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Write off batch');
+  }
+});
+
+// ----------------- Alerts -----------------
+const getStockAlerts = asyncHandler(async (req, res) => {
+  try {
+    const data = await stockAlerts({
+      branch: branchCondition(req, 'c.branch_id'),
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load stock alerts');
+  }
+});
+
+// ----------------- Cost Report -----------------
+async function consumptionWorkbook(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Lee Funeral Home - MMS';
+  workbook.created = new Date();
+
+  const perEmbalming = workbook.addWorksheet('Per Embalming');
+  perEmbalming.columns = [
+    { header: 'Embalming', key: 'embalming_uid', width: 20 },
+    { header: 'Deceased ID', key: 'deceased_id', width: 16 },
+    { header: 'Name', key: 'full_name', width: 28 },
+    { header: 'Date', key: 'embalmed_at', width: 20 },
+    { header: 'Chemical', key: 'chemical_name', width: 24 },
+    { header: 'Quantity', key: 'quantity', width: 12 },
+    { header: 'Unit', key: 'unit', width: 8 },
+    { header: 'Cost', key: 'cost', width: 14 },
+    { header: 'Uncosted Qty', key: 'uncosted_quantity', width: 14 },
+  ];
+  perEmbalming.getRow(1).font = { bold: true };
+  report.embalmings.forEach((embalming) => {
+    embalming.chemicals.forEach((line) =>
+      perEmbalming.addRow({ ...embalming, ...line }),
+    );
+    const total = perEmbalming.addRow({
+      embalming_uid: embalming.embalming_uid,
+      chemical_name: 'Total',
+      cost: embalming.chemical_cost,
+    });
+    total.font = { bold: true };
+  });
+  perEmbalming.getColumn('cost').numFmt = '#,##0.00';
+
+  const perChemical = workbook.addWorksheet('Per Chemical');
+  perChemical.columns = [
+    { header: 'Chemical', key: 'chemical_name', width: 24 },
+    { header: 'Unit', key: 'unit', width: 8 },
+    { header: 'Embalmings', key: 'embalmings', width: 12 },
+    { header: 'Quantity', key: 'quantity', width: 12 },
+    { header: 'Cost', key: 'cost', width: 14 },
+  ];
+  perChemical.getRow(1).font = { bold: true };
+  report.chemicals.forEach((row) => perChemical.addRow(row));
+  const total = perChemical.addRow({
+    chemical_name: 'Total',
+    embalmings: report.embalmings.length,
+    cost: report.total_cost,
+  });
+  total.font = { bold: true };
+  perChemical.addRow({
+    chemical_name: 'Average per embalming',
+    cost: report.average_cost,
+  });
+  perChemical.getColumn('cost').numFmt = '#,##0.00';
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// ?from=&to=&format=json|xlsx
+const getConsumptionReport = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!['json', 'xlsx'].includes(format)) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'format must be json or xlsx' });
+  }
+  if (badDates(res, { from, to })) return;
+
+  try {
+    const report = await consumptionReport({
+      branch: branchCondition(req, 'm.branch_id'),
+      from,
+      to,
+    });
+    if (format === 'xlsx') {
+      const buffer = await consumptionWorkbook(report);
+      res.setHeader('Content-Type', XLSX_TYPE);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="chemical-consumption-${from || 'start'}-to-${to || 'today'}.xlsx"`,
+      );
+      res.setHeader('Content-Length', buffer.length);
+      return res.send(buffer);
+    }
+    res.status(200).json({ success: true, data: report });
+  } catch (err) {
+    sendError(res, err, 'Build consumption report');
+  }
+});
+
+module.exports = {
+  getChemicals,
+  getChemicalById,
+  addChemical,
+  updateChemical,
+  addGoodsReceived,
+  getGoodsReceivedNotes,
+  getGoodsReceivedNote,
+  writeOffChemicalBatch,
+  getStockAlerts,
+  getConsumptionReport,
+};
@@ -1,26 +1,142 @@
 // controllers/invoiceController.js
 const asyncHandler = require('express-async-handler');
 const NodeCache = require('node-cache');
-const { safeQuery } = require('../../configurations/sqlConfig/db');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
 const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
 const fs = require('fs');
 const path = require('path');
 const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
 const { AppError } = require('../../middlewares/errorHandler/errorHandler');
 const crypto = require('crypto');
+const {
+  branchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
+const { recordAudit } = require('../../services/audit/auditLog');
+const { softDelete } = require('../../services/recycleBin/softDelete');
+const {
+  ACCOUNT_SUMMARY_SQL,
+  postSource,
+  getAccountSummary,
+  syncDeceasedBalance,
+} = require('../../services/ledger/ledger');
+const {
+  recordPayment,
+  loadPayment,
+  paymentPosition,
+  paymentAllocations,
+  refreshInvoice,
+  releaseInvoiceAllocations,
+  applyAccountCredit,
+} = require('../../services/payments/paymentAllocation');
+const {
+  sessionForPayment,
+} = require('../../services/payments/cashierSessions');
+const {
+  toCurrencyCode,
+  normaliseCurrency,
+  kesEquivalent,
+  formatMoney,
+} = require('../../services/currency/currency');
+const {
+  toServiceType,
+  loadTaxCodes,
+  applyTax,
+} = require('../../services/tax/taxCodes');
+const {
+  submitInvoice,
+  assertNotFiscalised,
+} = require('../../services/etims/fiscalInvoices');
+const { isEtimsConfigured } = require('../../services/etims/etims');
+const {
+  planPayerSplit,
+  createPayerInvoices,
+  splitExistingInvoice,
+  assertNotSplit,
+  assertNotConsolidated,
+  deletePayerInvoices,
+  bodyPayerPosition,
+} = require('../../services/payers/payerBilling');
 
 const invoiceCache = new NodeCache({ stdTTL: 3600, checkperiod: 600 });
 
 const generateStampHash = () => crypto.randomBytes(16).toString('hex');
 
+const KRA_PIN_PATTERN = /^[AP]\d{9}[A-Z]$/i;
+
+// Invoices are converted to KES once, at the invoice date, and keep that rate
+const invoiceFx = async (total, currency, date) => {
+  const code = normaliseCurrency(currency);
+  const fx = await kesEquivalent(total, code, date);
+  return {
+    currency: code,
+    exchange_rate: fx.exchange_rate,
+    rate_date: fx.rate_date,
+    total_kes: fx.amount_kes,
+  };
+};
+
+// "1 USD = 129.5000 KES on 2026-10-19"
+const describeRate = (currency, rate, rateDate) =>
+  `1 ${currency} = ${Number(rate).toFixed(4)} KES on ${rateDate}`;
+
+// Logo, company name and contact details shared by invoices and statements
+const drawLetterhead = (doc, headerTop) => {
+  // Logo and Company Name on LEFT side
+  const logoPath = path.join(__dirname, '../../public/logo/lee.png');
+  if (fs.existsSync(logoPath)) {
+    doc.image(logoPath, 50, headerTop, { width: 50 });
+  }
+
+  // Company Name below logo
+  doc
+    .fontSize(16)
+    .font('Helvetica-Bold')
+    .fillColor('#0f172a')
+    .text('LEE FUNERAL HOME', 50, headerTop + 55);
+
+  // Contact Info on RIGHT side
+  doc
+    .fontSize(8)
+    .font('Helvetica')
+    .fillColor('#0f172a')
+    .text(
+      'Nairobi — Argwings Kodhek Road, Next To Nairobi Hospital',
+      300,
+      headerTop + 10,
+    )
+    .text('info@lf.services | paulvbrussel@lf.services', 300, headerTop + 25)
+    .text(
+      '+254 722 401 861 | +254 704 201 532 | +254 722 514 584',
+      300,
+      headerTop + 40,
+    );
+};
+
+// Receipts reuse this layout: `document_label: 'Receipt'`, with an optional
+// `document_date` and a `reference_line` under the details; quotations add
+// their `terms` above the footer note. Invoices signed by eTIMS carry its
+// control number, signature and QR code.
 const generateInvoicePDFBuffer = async (invoice) => {
+  const label = invoice.document_label || 'Invoice';
+  const fiscalQR = invoice.fiscal_qr_url
+    ? await QRCode.toBuffer(invoice.fiscal_qr_url, { margin: 1, width: 140 })
+    : null;
+  const taxBreakdown =
+    (typeof invoice.tax_breakdown === 'string'
+      ? JSON.parse(invoice.tax_breakdown)
+      : invoice.tax_breakdown) || null;
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({
         size: 'A4',
         margin: 50,
         info: {
-          Title: `Invoice ${invoice.invoice_number}`,
+          Title: `${label} ${invoice.invoice_number}`,
           Author: 'Lee Funeral Home',
         },
       });
@@ -29,42 +145,13 @@ const generateInvoicePDFBuffer = async (invoice) => {
       doc.on('data', buffers.push.bind(buffers));
       doc.on('end', () => resolve(Buffer.concat(buffers)));
 
+      const currency = toCurrencyCode(invoice.currency) || 'KES';
+      const money = (n) => formatMoney(parseFloat(n), currency);
+      const showKES = currency !== 'KES' && invoice.total_kes != null;
+
       // ===== HEADER SECTION WITH WHITE BACKGROUND =====
       const headerTop = 40;
-
-      // Logo and Company Name on LEFT side
-      const logoPath = path.join(__dirname, '../../public/logo/lee.png');
-      if (fs.existsSync(logoPath)) {
-        doc.image(logoPath, 50, headerTop, { width: 50 });
-      }
-
-      // Company Name below logo
-      doc
-        .fontSize(16)
-        .font('Helvetica-Bold')
-        .fillColor('#0f172a')
-        .text('LEE FUNERAL HOME', 50, headerTop + 55);
-
-      // Contact Info on RIGHT side
-      doc
-        .fontSize(8)
-        .font('Helvetica')
-        .fillColor('#0f172a')
-        .text(
-          'Nairobi — Argwings Kodhek Road, Next To Nairobi Hospital',
-          300,
-          headerTop + 10,
-        )
-        .text(
-          'info@lf.services | paulvbrussel@lf.services',
-          300,
-          headerTop + 25,
-        )
-        .text(
-          '+254 722 401 861 | +254 704 201 532 | +254 722 514 584',
-          300,
-          headerTop + 40,
-        );
+      drawLetterhead(doc, headerTop);
 
       // ===== INVOICE DETAILS SECTION =====
       const detailsTop = headerTop + 100;
@@ -78,21 +165,27 @@ const generateInvoicePDFBuffer = async (invoice) => {
         .fontSize(11)
         .font('Helvetica-Bold')
         .fillColor('#1a5276')
-        .text('INVOICE DETAILS', leftColumn, detailsTop);
+        .text(`${label.toUpperCase()} DETAILS`, leftColumn, detailsTop);
 
       doc
         .font('Helvetica')
         .fillColor('#2c3e50')
         .text(
-          `Invoice #: ${invoice.invoice_number}`,
+          `${label} #: ${invoice.invoice_number}`,
           leftColumn,
           detailsTop + 20,
         )
         .text(
-          `Date: ${new Date().toLocaleDateString()}`,
+          `Date: ${invoice.document_date || new Date().toLocaleDateString()}`,
           leftColumn,
           detailsTop + 35,
-        );
+        )
+        .text(`Currency: ${currency}`, leftColumn, detailsTop + 50);
+      if (invoice.reference_line) {
+        doc.text(invoice.reference_line, leftColumn, detailsTop + 65, {
+          width: 240,
+        });
+      }
 
       // Client Information
       doc
@@ -109,9 +202,10 @@ const generateInvoicePDFBuffer = async (invoice) => {
           detailsTop + 20,
         )
         .text(
-          `Next of Kin: ${invoice.nok || 'N/A'}`,
+          `${invoice.nok_label || 'Next of Kin'}: ${invoice.nok || 'N/A'}`,
           rightColumn,
           detailsTop + 35,
+          { width: 245, height: 12, ellipsis: true },
         )
         .text(
           `ID Number: ${invoice.id_number || 'N/A'}`,
@@ -135,6 +229,7 @@ const generateInvoicePDFBuffer = async (invoice) => {
         .font('Helvetica-Bold')
         .fillColor('#ffffff')
         .text('SERVICE DESCRIPTION', 55, tableTop + 8)
+        .text(taxBreakdown ? 'TAX' : '', 345, tableTop + 8)
         .text('QTY', 380, tableTop + 8)
         .text('UNIT PRICE', 430, tableTop + 8)
         .text('AMOUNT', 500, tableTop + 8);
@@ -150,65 +245,90 @@ const generateInvoicePDFBuffer = async (invoice) => {
           .fontSize(9)
           .font('Helvetica')
           .fillColor('#2c3e50')
-          .text(item.service, 55, currentY + 8, { width: 300 })
+          .text(item.service, 55, currentY + 8, {
+            width: taxBreakdown ? 280 : 300,
+          })
+          .text(taxBreakdown ? item.tax_category || '' : '', 345, currentY + 8)
           .text(item.qty.toString(), 380, currentY + 8)
-          .text(
-            `KES ${parseFloat(item.amount).toLocaleString()}`,
-            430,
-            currentY + 8,
-          )
-          .text(
-            `KES ${(item.qty * item.amount).toLocaleString()}`,
-            500,
-            currentY + 8,
-          );
+          .text(money(item.amount), 430, currentY + 8)
+          .text(money(item.qty * item.amount), 500, currentY + 8);
 
         currentY += 25;
       });
 
+      // Which tax code letter means what, for the codes on this invoice
+      if (taxBreakdown) {
+        doc
+          .fontSize(7)
+          .font('Helvetica')
+          .fillColor('#7f8c8d')
+          .text(
+            `Prices include VAT. Tax codes: ${taxBreakdown
+              .map((b) => `${b.category} = ${b.label}`)
+              .join(', ')}`,
+            55,
+            currentY + 4,
+          );
+        currentY += 10;
+      }
+
       // ===== TOTALS SECTION =====
       const totalsTop = currentY + 20;
+      const totalRows = [
+        [
+          taxBreakdown ? 'NET (EXCL. VAT):' : 'SUBTOTAL:',
+          money(
+            taxBreakdown
+              ? invoice.subtotal
+              : invoice.subtotal || invoice.total_amount,
+          ),
+        ],
+      ];
+      if (taxBreakdown) {
+        taxBreakdown
+          .filter((b) => b.rate > 0)
+          .forEach((b) =>
+            totalRows.push([
+              `${b.label.toUpperCase()} (${b.category}):`,
+              money(b.tax_amount),
+            ]),
+          );
+      } else if (invoice.tax_amount > 0) {
+        totalRows.push([
+          `TAX (${invoice.tax_rate}%):`,
+          money(invoice.tax_amount),
+        ]);
+      }
+      totalRows.push(['TOTAL:', money(invoice.total_amount)]);
+      if (showKES) {
+        totalRows.push(['KES EQUIV.:', formatMoney(invoice.total_kes, 'KES')]);
+      }
+      // Shares billed to insurers, employers etc. on their own invoices
+      if (invoice.payer_shares?.length) {
+        let familyPays = parseFloat(invoice.total_amount);
+        invoice.payer_shares.forEach((share) => {
+          totalRows.push([
+            `LESS ${share.payer_name.slice(0, 12).toUpperCase()}:`,
+            money(-share.amount),
+          ]);
+          familyPays -= share.amount;
+        });
+        totalRows.push(['FAMILY PAYS:', money(familyPays)]);
+      }
+      const badgeTop = totalsTop + totalRows.length * 20;
 
       // Summary Box
       doc
-        .rect(350, totalsTop - 10, 195, invoice.tax_amount > 0 ? 80 : 60)
+        .rect(350, totalsTop - 10, 195, totalRows.length * 20 + 20)
         .fill('#f8f9f9')
         .stroke('#bdc3c7');
 
-      doc
-        .fontSize(10)
-        .font('Helvetica-Bold')
-        .fillColor('#2c3e50')
-        .text('SUBTOTAL:', 360, totalsTop)
-        .text(
-          `KES ${parseFloat(invoice.subtotal || invoice.total_amount).toLocaleString()}`,
-          460,
-          totalsTop,
-        );
-
-      if (invoice.tax_amount > 0) {
-        doc
-          .text(`TAX (${invoice.tax_rate}%):`, 360, totalsTop + 20)
-          .text(
-            `KES ${invoice.tax_amount.toLocaleString()}`,
-            460,
-            totalsTop + 20,
-          )
-          .text('TOTAL:', 360, totalsTop + 40)
-          .text(
-            `KES ${invoice.total_amount.toLocaleString()}`,
-            460,
-            totalsTop + 40,
-          );
-      } else {
+      doc.fontSize(10).font('Helvetica-Bold').fillColor('#2c3e50');
+      totalRows.forEach(([label, value], i) => {
         doc
-          .text('TOTAL:', 360, totalsTop + 20)
-          .text(
-            `KES ${invoice.total_amount.toLocaleString()}`,
-            460,
-            totalsTop + 20,
-          );
-      }
+          .text(label, 360, totalsTop + i * 20)
+          .text(value, 460, totalsTop + i * 20);
+      });
 
       // Payment Status Badge
       if (invoice.payment_status) {
@@ -221,23 +341,17 @@ const generateInvoicePDFBuffer = async (invoice) => {
             ? '#d5f4e6'
             : '#fadbd8';
 
-        doc
-          .rect(360, totalsTop + (invoice.tax_amount > 0 ? 60 : 40), 80, 20)
-          .fill(statusBg);
+        doc.rect(360, badgeTop, 80, 20).fill(statusBg);
 
         doc
           .fontSize(8)
           .font('Helvetica-Bold')
           .fillColor(statusColor)
-          .text(
-            invoice.payment_status.toUpperCase(),
-            370,
-            totalsTop + (invoice.tax_amount > 0 ? 65 : 45),
-          );
+          .text(invoice.payment_status.toUpperCase(), 370, badgeTop + 5);
       }
 
       // ===== FOOTER SECTION =====
-      const footerTop = totalsTop + 100;
+      const footerTop = badgeTop + 60;
 
       doc
         .strokeColor('#ecf0f1')
@@ -261,6 +375,14 @@ const generateInvoicePDFBuffer = async (invoice) => {
         .text(`Verification: ${stamp}`, 50, footerTop + 10)
         .text(`Generated: ${new Date().toLocaleString()}`, 50, footerTop + 20);
 
+      if (showKES) {
+        doc.text(
+          `Billed in ${currency}. Exchange rate: ${describeRate(currency, invoice.exchange_rate, invoice.rate_date)}`,
+          50,
+          footerTop + 30,
+        );
+      }
+
       // Signature Area
       const signaturePath = path.join(
         __dirname,
@@ -279,6 +401,14 @@ const generateInvoicePDFBuffer = async (invoice) => {
         .text('Authorized Signature', 450, footerTop + 25)
         .text('Lee Funeral Home', 450, footerTop + 35);
 
+      if (invoice.terms) {
+        doc
+          .fontSize(7)
+          .font('Helvetica')
+          .fillColor('#2c3e50')
+          .text(invoice.terms, 50, footerTop + 42, { width: 380 });
+      }
+
       // Footer Note
       doc
         .fontSize(7)
@@ -290,6 +420,307 @@ const generateInvoicePDFBuffer = async (invoice) => {
           { align: 'center', width: 495 },
         );
 
+      // KRA eTIMS block: scanning the QR code verifies the invoice with KRA
+      if (invoice.fiscal_control_number) {
+        const fiscalTop = footerTop + 80;
+        if (fiscalQR) doc.image(fiscalQR, 50, fiscalTop, { width: 70 });
+        doc
+          .fontSize(8)
+          .font('Helvetica-Bold')
+          .fillColor('#2c3e50')
+          .text('KRA eTIMS', 130, fiscalTop)
+          .font('Helvetica')
+          .text(
+            `CU Invoice No: ${invoice.fiscal_control_number}`,
+            130,
+            fiscalTop + 12,
+          )
+          .text(
+            `Internal Data: ${invoice.fiscal_internal_data || 'N/A'}`,
+            130,
+            fiscalTop + 24,
+          )
+          .text(
+            `Receipt Signature: ${invoice.fiscal_signature}`,
+            130,
+            fiscalTop + 36,
+          )
+          .text(
+            `Signed: ${invoice.fiscal_signed_at || ''}`,
+            130,
+            fiscalTop + 48,
+          );
+      }
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+};
+
+// ----------------- eTIMS -----------------
+const FISCAL_FIELDS = [
+  'fiscal_status',
+  'fiscal_control_number',
+  'fiscal_signature',
+  'fiscal_internal_data',
+  'fiscal_qr_url',
+  'fiscal_signed_at',
+  'fiscal_error',
+];
+const fiscalFields = (invoice) =>
+  Object.fromEntries(FISCAL_FIELDS.map((key) => [key, invoice[key] ?? null]));
+
+// PDF data for an invoice redrawn later, from its row and its body
+const invoicePDFData = async (invoice) => {
+  const [deceased] = invoice.deceased_id
+    ? await safeQuery('SELECT * FROM deceased WHERE id = ?', [
+        invoice.deceased_id,
+      ])
+    : [];
+  return {
+    ...invoice,
+    items:
+      typeof invoice.items === 'string'
+        ? JSON.parse(invoice.items)
+        : invoice.items,
+    deceased_name: deceased?.full_name || invoice.customer_name || 'Unknown',
+    nok: invoice.customer_name || 'N/A',
+    id_number: deceased?.deceased_id || 'N/A',
+    dod: deceased?.date_of_death || 'N/A',
+    document_date: invoice.created_at,
+    payer_shares: invoice.payer_id ? [] : await payerShares(invoice.id),
+    ...(invoice.payer_id
+      ? {
+          nok_label: 'Bill To',
+          reference_line: [
+            invoice.member_number && `Member No: ${invoice.member_number}`,
+            invoice.due_date && `Due: ${String(invoice.due_date).slice(0, 10)}`,
+          ]
+            .filter(Boolean)
+            .join(' | '),
+        }
+      : {}),
+  };
+};
+
+// What payers are billed for on their own invoices split from this one
+const payerShares = async (invoiceId) =>
+  invoiceId
+    ? (
+        await safeQuery(
+          `SELECT p.name AS payer_name, i.total_amount AS amount
+           FROM invoices i JOIN payers p ON p.id = i.payer_id
+           WHERE i.parent_invoice_id = ? AND i.deleted_at IS NULL
+           ORDER BY i.id`,
+          [invoiceId],
+        )
+      ).map((s) => ({ ...s, amount: parseFloat(s.amount) }))
+    : [];
+
+/**
+ * Send an invoice to eTIMS and redraw its PDF with the control number and
+ * QR code. `pdfData` is what the PDF was first drawn from, when at hand;
+ * otherwise it is rebuilt from the invoice row.
+ */
+const fiscaliseInvoice = async (
+  req,
+  invoiceId,
+  { manual = false, pdfData } = {},
+) => {
+  const signed = await submitInvoice(req, invoiceId, { manual });
+  if (signed.pdf_url) {
+    const data = pdfData
+      ? { ...pdfData, ...fiscalFields(signed) }
+      : await invoicePDFData(signed);
+    await fs.promises.writeFile(
+      signed.pdf_url,
+      await generateInvoicePDFBuffer(data),
+    );
+  }
+  invoiceCache.del(signed.invoice_number);
+  return signed;
+};
+
+// New invoices go to eTIMS straight away. Creating the invoice never fails
+// because of eTIMS: a failed send is retried by the background sweep.
+const fiscaliseNewInvoice = async (req, invoiceId, pdfData) => {
+  if (!isEtimsConfigured()) return { fiscal_status: 'Pending' };
+  try {
+    return fiscalFields(await fiscaliseInvoice(req, invoiceId, { pdfData }));
+  } catch (err) {
+    console.warn(
+      `⚠️ [ETIMS] Invoice ${invoiceId} not signed yet: ${err.message}`,
+    );
+    return { fiscal_status: 'Failed', fiscal_error: err.message };
+  }
+};
+
+// Account statement PDF built from services/ledger getStatement()
+const generateStatementPDFBuffer = async (statement) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: `Statement ${statement.account || statement.deceased_id}`,
+          Author: 'Lee Funeral Home',
+        },
+      });
+      const buffers = [];
+
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+      const money = (n) => formatMoney(n, statement.currency);
+      // Foreign-currency accounts get a KES column and KES closing balance
+      const showKES = statement.currency !== 'KES';
+      const kesMovement = (entry) =>
+        entry.debit_kes === null || entry.credit_kes === null
+          ? '—'
+          : (entry.debit_kes - entry.credit_kes).toLocaleString();
+
+      // ===== HEADER SECTION WITH WHITE BACKGROUND =====
+      const headerTop = 40;
+      drawLetterhead(doc, headerTop);
+
+      // ===== STATEMENT DETAILS SECTION =====
+      const detailsTop = headerTop + 100;
+
+      doc
+        .fontSize(11)
+        .font('Helvetica-Bold')
+        .fillColor('#1a5276')
+        .text('ACCOUNT STATEMENT', 50, detailsTop);
+
+      doc
+        .font('Helvetica')
+        .fillColor('#2c3e50')
+        .text(
+          `${statement.holder_label || 'Deceased'}: ${statement.full_name || 'N/A'}`,
+          50,
+          detailsTop + 20,
+        )
+        .text(
+          `Account: ${statement.account || statement.deceased_id}`,
+          50,
+          detailsTop + 35,
+        )
+        .text(
+          `Period: ${statement.period.from || 'Admission'} to ${statement.period.to || 'Today'}`,
+          300,
+          detailsTop + 20,
+        )
+        .text(
+          `Opening balance: ${money(statement.opening_balance)}`,
+          300,
+          detailsTop + 35,
+        );
+
+      // ===== ENTRIES TABLE =====
+      const cols = showKES
+        ? { description: 145, debit: 270, credit: 335, balance: 400, kes: 470 }
+        : { description: 205, debit: 330, credit: 400, balance: 470 };
+      const drawTableHeader = (top) => {
+        doc.rect(50, top, 495, 25).fill('#1a5276');
+        doc
+          .fontSize(9)
+          .font('Helvetica-Bold')
+          .fillColor('#ffffff')
+          .text('DATE', 55, top + 8)
+          .text('DESCRIPTION', 120, top + 8)
+          .text('DEBIT', cols.debit, top + 8)
+          .text('CREDIT', cols.credit, top + 8)
+          .text('BALANCE', cols.balance, top + 8);
+        if (showKES) doc.text('KES EQUIV.', cols.kes, top + 8);
+        return top + 25;
+      };
+
+      let currentY = drawTableHeader(detailsTop + 65);
+      statement.entries.forEach((entry, index) => {
+        if (currentY > 760) {
+          doc.addPage();
+          currentY = drawTableHeader(50);
+        }
+
+        doc
+          .rect(50, currentY, 495, 22)
+          .fill(index % 2 === 0 ? '#f8f9f9' : '#ffffff');
+        doc
+          .fontSize(8)
+          .font('Helvetica')
+          .fillColor('#2c3e50')
+          .text(entry.date, 55, currentY + 7)
+          .text(entry.description || entry.type, 120, currentY + 7, {
+            width: cols.description,
+            height: 10,
+            ellipsis: true,
+          })
+          .text(
+            entry.debit ? entry.debit.toLocaleString() : '',
+            cols.debit,
+            currentY + 7,
+          )
+          .text(
+            entry.credit ? entry.credit.toLocaleString() : '',
+            cols.credit,
+            currentY + 7,
+          )
+          .text(entry.balance.toLocaleString(), cols.balance, currentY + 7);
+        if (showKES) doc.text(kesMovement(entry), cols.kes, currentY + 7);
+
+        currentY += 22;
+      });
+
+      // ===== TOTALS SECTION =====
+      if (currentY > 680) {
+        doc.addPage();
+        currentY = 50;
+      }
+      const totalsTop = currentY + 20;
+
+      doc
+        .rect(300, totalsTop - 10, 245, showKES ? 88 : 70)
+        .fill('#f8f9f9')
+        .stroke('#bdc3c7');
+      doc
+        .fontSize(10)
+        .font('Helvetica-Bold')
+        .fillColor('#2c3e50')
+        .text('TOTAL DEBITS:', 310, totalsTop)
+        .text(money(statement.totals.debit), 420, totalsTop)
+        .text('TOTAL CREDITS:', 310, totalsTop + 18)
+        .text(money(statement.totals.credit), 420, totalsTop + 18)
+        .text('BALANCE DUE:', 310, totalsTop + 36)
+        .text(money(statement.closing_balance), 420, totalsTop + 36);
+      if (showKES) {
+        doc
+          .text('BALANCE (KES):', 310, totalsTop + 54)
+          .text(
+            statement.closing_balance_kes === null
+              ? 'No rate on file'
+              : formatMoney(statement.closing_balance_kes, 'KES'),
+            420,
+            totalsTop + 54,
+          );
+      }
+
+      doc
+        .fontSize(7)
+        .font('Helvetica')
+        .fillColor('#7f8c8d')
+        .text(`Generated: ${statement.generated_at}`, 50, totalsTop + 100);
+      if (showKES && statement.exchange_rate) {
+        const { rate, rate_date } = statement.exchange_rate;
+        doc.text(
+          `KES equivalents use the rate on each entry's date; the balance uses ${describeRate(statement.currency, rate, rate_date)}`,
+          50,
+          totalsTop + 110,
+        );
+      }
+
       doc.end();
     } catch (err) {
       reject(err);
@@ -299,6 +730,7 @@ const generateInvoicePDFBuffer = async (invoice) => {
 
 // Get all deceased with financial summary
 const getAllDeceasedWithFinancials = asyncHandler(async (req, res, next) => {
+  const branch = branchCondition(req, 'd.branch_id');
   const sql = `
     SELECT 
       d.id,
@@ -313,21 +745,19 @@ const getAllDeceasedWithFinancials = asyncHandler(async (req, res, next) => {
       d.mortuary_charge,
       d.total_mortuary_charge,
       d.status,
-      COALESCE(SUM(DISTINCT p.amount), 0) AS total_payments,
-      COALESCE(SUM(DISTINCT ec.amount), 0) AS total_extra_charges,
-      COALESCE(d.total_mortuary_charge, 0) 
-        + COALESCE(SUM(DISTINCT ec.amount), 0) AS total_charges,
-      (COALESCE(d.total_mortuary_charge, 0) 
-        + COALESCE(SUM(DISTINCT ec.amount), 0)
-        - COALESCE(SUM(DISTINCT p.amount), 0)) AS balance
+      COALESCE(l.payments, 0) - COALESCE(l.refunds, 0) AS total_payments,
+      (SELECT COALESCE(SUM(ec.amount), 0) FROM extra_charges ec
+        WHERE ec.deceased_id = d.deceased_id AND ec.status != 'Cancelled') AS total_extra_charges,
+      COALESCE(l.waivers, 0) AS total_waivers,
+      COALESCE(l.charges, 0) AS total_charges,
+      COALESCE(l.balance, 0) AS balance
     FROM deceased d
-    LEFT JOIN payments p ON d.id = p.deceased_id
-    LEFT JOIN extra_charges ec ON d.id = ec.deceased_id
-    GROUP BY d.id
+    LEFT JOIN (${ACCOUNT_SUMMARY_SQL}) l ON l.deceased_id = d.deceased_id
+    WHERE d.deleted_at IS NULL AND ${branch.sql}
     ORDER BY d.date_registered DESC;
   `;
 
-  const deceased = await safeQuery(sql);
+  const deceased = await safeQuery(sql, branch.params);
   res.json({ status: 'success', data: deceased });
 });
 
@@ -336,8 +766,12 @@ const getDeceasedFinancialDetails = asyncHandler(async (req, res, next) => {
   const { deceased_id } = req.params;
 
   // Fetch deceased using numeric ID
-  const deceasedSql = 'SELECT * FROM deceased WHERE id = ?';
-  const [deceased] = await safeQuery(deceasedSql, [deceased_id]);
+  const branch = branchCondition(req);
+  const deceasedSql = `SELECT * FROM deceased WHERE id = ? AND deleted_at IS NULL AND ${branch.sql}`;
+  const [deceased] = await safeQuery(deceasedSql, [
+    deceased_id,
+    ...branch.params,
+  ]);
 
   if (!deceased) {
     return next(new AppError('Deceased not found', 404));
@@ -349,7 +783,7 @@ const getDeceasedFinancialDetails = asyncHandler(async (req, res, next) => {
   const payments = await safeQuery(paymentsSql, [deceased_id]);
 
   const invoicesSql =
-    'SELECT * FROM invoices WHERE deceased_id = ? ORDER BY created_at DESC';
+    'SELECT * FROM invoices WHERE deceased_id = ? AND deleted_at IS NULL ORDER BY created_at DESC';
   const invoices = await safeQuery(invoicesSql, [deceased_id]);
 
   // Fix: use string deceased_id for extra_charges
@@ -358,17 +792,15 @@ const getDeceasedFinancialDetails = asyncHandler(async (req, res, next) => {
     'SELECT * FROM extra_charges WHERE deceased_id = ? ORDER BY created_at DESC';
   const extraCharges = await safeQuery(chargesSql, [stringDeceasedId]);
 
-  const totalPayments = payments.reduce(
-    (sum, payment) => sum + parseFloat(payment.amount),
-    0,
-  );
   const totalExtraCharges = extraCharges.reduce(
     (sum, charge) => sum + parseFloat(charge.amount),
     0,
   );
-  const totalCharges =
-    (deceased.total_mortuary_charge || 0) + totalExtraCharges;
-  const balance = totalCharges - totalPayments;
+  // Totals and balance come from the body's ledger account
+  const account = await getAccountSummary(stringDeceasedId);
+  // What insurers, employers etc. were billed and have yet to pay is part
+  // of the balance but not the family's to pay
+  const payers = await bodyPayerPosition(deceased);
 
   const financialSummary = {
     deceased,
@@ -381,46 +813,172 @@ const getDeceasedFinancialDetails = asyncHandler(async (req, res, next) => {
     totals: {
       mortuary_charges: deceased.total_mortuary_charge || 0,
       extra_charges: totalExtraCharges,
-      total_charges: totalCharges,
-      total_payments: totalPayments,
-      balance: balance,
+      total_charges: account.charges,
+      total_waivers: account.waivers,
+      total_payments: account.payments - account.refunds,
+      total_refunds: account.refunds,
+      balance: account.balance,
+      billed_to_payers: payers.billed_to_payers,
+      payer_balance: payers.payer_outstanding,
+      family_balance:
+        Math.round((account.balance - payers.payer_outstanding) * 100) / 100,
     },
+    payers: payers.payers,
   };
 
   res.json({ status: 'success', data: financialSummary });
 });
 
-// Create payment
+// Create payment. `amount` is what the family handed over, in `currency`
+// (default: the body's billing currency); see recordPayment() for how it is
+// converted and allocated. It goes into the caller's open cashier session;
+// cash cannot be taken without one.
 const createPayment = asyncHandler(async (req, res, next) => {
-  const { deceased_id, amount, payment_method, reference_code, description } =
-    req.body;
+  const {
+    deceased_id,
+    amount,
+    currency,
+    payment_method,
+    reference_code,
+    description,
+    allocations,
+    invoice_id,
+    extra_charge_id,
+    deposit,
+  } = req.body;
 
   if (!deceased_id || !amount || !payment_method) {
     return next(new AppError('Missing required payment fields', 400));
   }
+  if (allocations !== undefined && !Array.isArray(allocations)) {
+    return next(new AppError('allocations must be an array', 400));
+  }
 
-  const sql = `
-    INSERT INTO payments 
-    (deceased_id, amount, payment_method, reference_code, description, payment_date)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `;
+  const branch = branchCondition(req);
 
-  const result = await safeQuery(sql, [
-    deceased_id,
-    amount,
-    payment_method,
-    reference_code || `PAY-${Date.now()}`,
-    description || 'Mortuary Services Payment',
-    getKenyaTimeISO(),
-  ]);
+  // Payment row, its allocations and the body's balance commit together
+  const outcome = await withTransaction(async (tx) => {
+    const deceased = await tx.queryOne(
+      `SELECT id, deceased_id, branch_id, currency FROM deceased
+       WHERE id = ? AND deleted_at IS NULL AND ${branch.sql} FOR UPDATE`,
+      [deceased_id, ...branch.params],
+    );
+    if (!deceased) throw new AppError('Deceased not found', 404);
+
+    return recordPayment(tx, req, deceased, {
+      amount: parseFloat(amount),
+      currency,
+      method: payment_method,
+      sessionId: await sessionForPayment(tx, req, payment_method),
+      reference: reference_code,
+      description,
+      allocations,
+      invoiceId: invoice_id,
+      extraChargeId: extra_charge_id,
+      deposit,
+    });
+  });
 
   res.status(201).json({
     status: 'success',
     message: 'Payment recorded successfully',
-    payment_id: result.insertId,
+    ...outcome,
+    receipt_url: `/invoices/payment/${outcome.payment_id}/receipt`,
   });
 });
 
+// Receipt PDF for one payment, laid out like an invoice: one line per
+// invoice or charge it settled, plus anything refunded or still on account
+const downloadPaymentReceipt = asyncHandler(async (req, res, next) => {
+  const { payment_id } = req.params;
+
+  const branch = branchCondition(req, 'd.branch_id');
+  // One snapshot so the allocations and the position agree
+  const receipt = await withTransaction(async (tx) => {
+    const payment = await loadPayment(tx, payment_id, { branch });
+    if (!payment) return null;
+    return {
+      payment,
+      position: await paymentPosition(tx, payment),
+      allocations: await paymentAllocations(tx, payment.payment_id),
+      deceased: await tx.queryOne(
+        'SELECT date_of_death, balance FROM deceased WHERE id = ?',
+        [payment.deceased_row_id],
+      ),
+    };
+  });
+  if (!receipt) {
+    return next(new AppError('Payment not found', 404));
+  }
+
+  const { payment, position, allocations, deceased } = receipt;
+  const currency = payment.currency;
+  const paidCurrency = toCurrencyCode(payment.paid_currency) || currency;
+  const paidAmount =
+    payment.paid_amount != null
+      ? parseFloat(payment.paid_amount)
+      : position.amount;
+
+  const items = allocations.map((a) => ({
+    service: a.invoice_id
+      ? `Payment towards invoice ${a.invoice_number || a.invoice_id}`
+      : `Payment towards ${a.charge_type || `charge ${a.extra_charge_id}`}`,
+    qty: 1,
+    amount: parseFloat(a.amount),
+  }));
+  if (position.refunded > 0) {
+    items.push({ service: 'Refunded', qty: 1, amount: position.refunded });
+  }
+  if (position.unallocated > 0) {
+    items.push({
+      service: 'Held on account (deposit)',
+      qty: 1,
+      amount: position.unallocated,
+    });
+  }
+  if (!items.length) {
+    items.push({
+      service: payment.description || 'Payment',
+      qty: 1,
+      amount: position.amount,
+    });
+  }
+
+  // KES equivalent at the payment date
+  let fx = {};
+  try {
+    fx = await invoiceFx(position.amount, currency, payment.payment_date);
+  } catch (err) {
+    if (err.code !== 'RATE_MISSING') throw err;
+  }
+
+  const buffer = await generateInvoicePDFBuffer({
+    ...fx,
+    currency,
+    document_label: 'Receipt',
+    document_date: String(payment.payment_date).slice(0, 10),
+    invoice_number: payment.receipt_number || `PAY-${payment.payment_id}`,
+    reference_line: `Received ${formatMoney(paidAmount, paidCurrency)} by ${payment.payment_method || 'N/A'}${payment.reference_code ? ` (ref ${payment.reference_code})` : ''}`,
+    deceased_name: payment.full_name,
+    nok: 'N/A',
+    id_number: payment.account_id,
+    dod: deceased?.date_of_death || 'N/A',
+    items,
+    total_amount: position.amount,
+    subtotal: position.amount,
+    tax_amount: 0,
+    tax_rate: 0,
+    payment_status: position.reversed ? 'Reversed' : 'Paid',
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="receipt-${payment.receipt_number || payment.payment_id}.pdf"`,
+  );
+  res.send(buffer);
+});
+
 // Create extra charge - FIXED foreign key constraint
 const createExtraCharge = asyncHandler(async (req, res, next) => {
   const { deceased_id, charge_type, amount, description, notes, service_date } =
@@ -430,170 +988,318 @@ const createExtraCharge = asyncHandler(async (req, res, next) => {
     return next(new AppError('Missing required charge fields', 400));
   }
 
-  // First verify the deceased exists
-  const deceasedSql = 'SELECT deceased_id FROM deceased WHERE id = ?';
-  const [deceased] = await safeQuery(deceasedSql, [deceased_id]);
+  const branch = branchCondition(req);
 
-  if (!deceased) {
-    return next(new AppError('Deceased not found', 404));
-  }
+  // The charge row and its ledger journal commit together
+  const { chargeId, balance } = await withTransaction(async (tx) => {
+    // First verify the deceased exists in the caller's branch
+    const deceased = await tx.queryOne(
+      `SELECT id, deceased_id, branch_id, currency FROM deceased
+       WHERE id = ? AND deleted_at IS NULL AND ${branch.sql} FOR UPDATE`,
+      [deceased_id, ...branch.params],
+    );
+    if (!deceased) throw new AppError('Deceased not found', 404);
+
+    const result = await tx.query(
+      `
+      INSERT INTO extra_charges 
+      (deceased_id, charge_type, amount, description, notes, service_date, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        deceased.deceased_id, // Use deceased_id string instead of numeric id
+        charge_type,
+        amount,
+        description,
+        notes || '',
+        service_date || getKenyaTimeISO(),
+        getKenyaTimeISO(),
+      ],
+    );
 
-  const sql = `
-    INSERT INTO extra_charges 
-    (deceased_id, charge_type, amount, description, notes, service_date, created_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `;
+    await postSource(tx, {
+      deceased,
+      sourceType: 'extra_charge',
+      sourceId: result.insertId,
+      amount: parseFloat(amount),
+      description: description || charge_type,
+      postedBy: req.user?.id != null ? String(req.user.id) : null,
+    });
 
-  const result = await safeQuery(sql, [
-    deceased.deceased_id, // Use deceased_id string instead of numeric id
-    charge_type,
-    amount,
-    description,
-    notes || '',
-    service_date || getKenyaTimeISO(),
-    getKenyaTimeISO(),
-  ]);
+    return {
+      chargeId: result.insertId,
+      balance: await syncDeceasedBalance(tx, deceased),
+    };
+  });
 
   res.status(201).json({
     status: 'success',
     message: 'Extra charge added successfully',
-    charge_id: result.insertId,
+    charge_id: chargeId,
+    balance,
   });
 });
 
-// Create system invoice - FIXED database schema
-const createSystemInvoice = asyncHandler(async (req, res, next) => {
-  const { deceased_id } = req.body;
+// Invoice everything a body has not been billed for yet: storage,
+// embalming and outstanding extra charges. Also raised when an accepted
+// quotation is converted.
+const raiseSystemInvoice = async (req, deceased_id) => {
+  const branch = branchCondition(req);
+  const stamp_hash = generateStampHash();
+  const invoice_number = `SYS-INV-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+  let pdfPath = null;
 
-  if (!deceased_id) {
-    return next(new AppError('Deceased ID is required', 400));
-  }
+  // Reading charges, inserting the invoice and flagging charges as invoiced
+  // happen on one connection so a charge can't be billed twice
+  let outcome;
+  try {
+    outcome = await withTransaction(async (tx) => {
+      const deceased = await tx.queryOne(
+        `SELECT * FROM deceased WHERE id = ? AND deleted_at IS NULL AND ${branch.sql} FOR UPDATE`,
+        [deceased_id, ...branch.params],
+      );
+      if (!deceased) throw new AppError('Deceased not found', 404);
 
-  const deceasedSql = 'SELECT * FROM deceased WHERE id = ?';
-  const [deceased] = await safeQuery(deceasedSql, [deceased_id]);
+      const extraCharges = await tx.query(
+        'SELECT * FROM extra_charges WHERE deceased_id = ? AND status != "Paid" FOR UPDATE',
+        [deceased.deceased_id], // Use deceased_id string
+      );
 
-  if (!deceased) {
-    return next(new AppError('Deceased not found', 404));
-  }
+      const systemItems = [];
+      let systemTotal = 0;
 
-  const chargesSql =
-    'SELECT * FROM extra_charges WHERE deceased_id = ? AND status != "Paid"';
-  const extraCharges = await safeQuery(chargesSql, [deceased.deceased_id]); // Use deceased_id string
+      if (deceased.mortuary_charge && deceased.mortuary_charge > 0) {
+        systemItems.push({
+          service: 'Basic Mortuary Services',
+          service_type: 'mortuary',
+          qty: 1,
+          amount: parseFloat(deceased.mortuary_charge),
+        });
+        systemTotal += parseFloat(deceased.mortuary_charge);
+      }
 
-  const systemItems = [];
-  let systemTotal = 0;
+      if (deceased.embalming_cost && deceased.embalming_cost > 0) {
+        systemItems.push({
+          service: 'Embalming Services',
+          service_type: 'embalming',
+          qty: 1,
+          amount: parseFloat(deceased.embalming_cost),
+        });
+        systemTotal += parseFloat(deceased.embalming_cost);
+      }
 
-  if (deceased.mortuary_charge && deceased.mortuary_charge > 0) {
-    systemItems.push({
-      service: 'Basic Mortuary Services',
-      qty: 1,
-      amount: parseFloat(deceased.mortuary_charge),
-    });
-    systemTotal += parseFloat(deceased.mortuary_charge);
-  }
+      extraCharges.forEach((charge) => {
+        systemItems.push({
+          service: charge.charge_type,
+          service_type: toServiceType(charge.charge_type),
+          qty: 1,
+          amount: parseFloat(charge.amount),
+          description: charge.description,
+        });
+        systemTotal += parseFloat(charge.amount);
+      });
 
-  if (deceased.embalming_cost && deceased.embalming_cost > 0) {
-    systemItems.push({
-      service: 'Embalming Services',
-      qty: 1,
-      amount: parseFloat(deceased.embalming_cost),
-    });
-    systemTotal += parseFloat(deceased.embalming_cost);
-  }
+      if (systemItems.length === 0) {
+        systemItems.push(
+          {
+            service: 'Mortuary Services',
+            service_type: 'mortuary',
+            qty: 1,
+            amount: 15000,
+          },
+          {
+            service: 'Basic Care and Maintenance',
+            service_type: 'mortuary',
+            qty: 1,
+            amount: 5000,
+          },
+        );
+        systemTotal = 20000;
+      }
 
-  extraCharges.forEach((charge) => {
-    systemItems.push({
-      service: charge.charge_type,
-      qty: 1,
-      amount: parseFloat(charge.amount),
-      description: charge.description,
-    });
-    systemTotal += parseFloat(charge.amount);
-  });
+      // VAT is inside the prices; work out how much per line and code
+      const taxed = applyTax(systemItems, await loadTaxCodes(tx));
+      const kin = await tx.queryOne(
+        'SELECT full_name FROM next_of_kin WHERE deceased_id = ? ORDER BY id LIMIT 1',
+        [deceased.deceased_id],
+      );
 
-  if (systemItems.length === 0) {
-    systemItems.push(
-      { service: 'Mortuary Services', qty: 1, amount: 15000 },
-      { service: 'Basic Care and Maintenance', qty: 1, amount: 5000 },
-    );
-    systemTotal = 20000;
-  }
+      // Charges are held in the body's billing currency
+      const created_at = getKenyaTimeISO();
+      const fx = await invoiceFx(
+        systemTotal,
+        toCurrencyCode(deceased.currency) || 'KES',
+        created_at,
+      );
 
-  const stamp_hash = generateStampHash();
-  const invoice_number = `SYS-INV-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+      // Insurers, employers etc. covering the body get invoices for their share
+      const split = await planPayerSplit(tx.query, deceased, {
+        total: systemTotal,
+        currency: fx.currency,
+        date: created_at,
+      });
 
-  const invoiceData = {
-    deceased_name: deceased.full_name,
-    nok: 'N/A',
-    id_number: deceased.deceased_id,
-    dod: deceased.date_of_death,
-    address: `${deceased.location}, ${deceased.county}`,
-    phone: 'N/A',
-    items: systemItems,
-    total_amount: systemTotal,
-    subtotal: systemTotal,
-    tax_amount: 0,
-    tax_rate: 0,
-    mortuary_name: 'Professional Mortuary Services',
-    mortuary_phone: '+254 740 045 355',
-    stamp_hash,
-    signature_url: '/uploads/signature/signature.png',
-    created_at: getKenyaTimeISO(),
-    invoice_number,
-    deceased_id: deceased.id,
-  };
+      const invoiceData = {
+        ...fx,
+        payer_shares: split.shares,
+        deceased_name: deceased.full_name,
+        nok: kin?.full_name || 'N/A',
+        id_number: deceased.deceased_id,
+        dod: deceased.date_of_death,
+        address: `${deceased.location}, ${deceased.county}`,
+        phone: 'N/A',
+        items: taxed.items,
+        total_amount: systemTotal,
+        subtotal: taxed.subtotal,
+        tax_amount: taxed.tax_amount,
+        tax_breakdown: taxed.tax_breakdown,
+        mortuary_name: 'Professional Mortuary Services',
+        mortuary_phone: '+254 740 045 355',
+        stamp_hash,
+        signature_url: '/uploads/signature/signature.png',
+        created_at,
+        invoice_number,
+        deceased_id: deceased.id,
+      };
+
+      const pdfBuffer = await generateInvoicePDFBuffer(invoiceData);
+
+      const baseInvoicesDir = path.join(__dirname, '../../uploads/invoices');
+      const deceasedFolderName = `${deceased.full_name.replace(/[^a-zA-Z0-9]/g, '_')}_${deceased.id}`;
+      const deceasedInvoicesDir = path.join(
+        baseInvoicesDir,
+        deceasedFolderName,
+      );
 
-  const pdfBuffer = await generateInvoicePDFBuffer(invoiceData);
+      if (!fs.existsSync(deceasedInvoicesDir)) {
+        fs.mkdirSync(deceasedInvoicesDir, { recursive: true });
+      }
 
-  const baseInvoicesDir = path.join(__dirname, '../../uploads/invoices');
-  if (!fs.existsSync(baseInvoicesDir)) {
-    fs.mkdirSync(baseInvoicesDir, { recursive: true });
-  }
+      // Same path on retry, so re-running the transaction overwrites it
+      pdfPath = path.join(deceasedInvoicesDir, `${invoice_number}.pdf`);
+      await fs.promises.writeFile(pdfPath, pdfBuffer);
+
+      // FIXED: Use correct database schema for invoices table
+      const result = await tx.query(
+        `
+        INSERT INTO invoices 
+        (deceased_id, invoice_number, items, total_amount, subtotal, tax_amount, tax_breakdown,
+         currency, exchange_rate, rate_date, total_kes, customer_name, fiscal_status,
+         pdf_url, stamp_hash, signature_url, created_at, branch_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Pending', ?, ?, ?, ?, ?)
+        `,
+        [
+          deceased.id,
+          invoice_number,
+          JSON.stringify(invoiceData.items),
+          invoiceData.total_amount,
+          taxed.subtotal,
+          taxed.tax_amount,
+          JSON.stringify(taxed.tax_breakdown),
+          fx.currency,
+          fx.exchange_rate,
+          fx.rate_date,
+          fx.total_kes,
+          kin?.full_name || deceased.full_name,
+          pdfPath,
+          invoiceData.stamp_hash,
+          invoiceData.signature_url,
+          invoiceData.created_at,
+          deceased.branch_id ?? getWriteBranchId(req),
+        ],
+      );
 
-  const deceasedFolderName = `${deceased.full_name.replace(/[^a-zA-Z0-9]/g, '_')}_${deceased.id}`;
-  const deceasedInvoicesDir = path.join(baseInvoicesDir, deceasedFolderName);
+      if (extraCharges.length > 0) {
+        await tx.query(
+          'UPDATE extra_charges SET status = "Invoiced" WHERE deceased_id = ? AND status = "Pending"',
+          [deceased.deceased_id],
+        );
+      }
 
-  if (!fs.existsSync(deceasedInvoicesDir)) {
-    fs.mkdirSync(deceasedInvoicesDir, { recursive: true });
-  }
+      const payerInvoices = await createPayerInvoices(
+        tx,
+        req,
+        {
+          ...invoiceData,
+          id: result.insertId,
+          branch_id: deceased.branch_id ?? getWriteBranchId(req),
+        },
+        split,
+      );
 
-  const pdfPath = path.join(deceasedInvoicesDir, `${invoice_number}.pdf`);
-  await fs.promises.writeFile(pdfPath, pdfBuffer);
+      // Deposits and overpayments already on account settle it first
+      const settlement = await applyAccountCredit(
+        tx,
+        req,
+        deceased,
+        result.insertId,
+      );
+      await syncDeceasedBalance(tx, deceased);
+
+      return {
+        invoiceData,
+        invoiceId: result.insertId,
+        deceasedFolderName,
+        settlement,
+        payerInvoices,
+      };
+    });
+  } catch (err) {
+    // Don't leave a PDF behind for an invoice that was never stored
+    if (pdfPath) await fs.promises.unlink(pdfPath).catch(() => {});
+    throw err;
+  }
 
-  // FIXED: Use correct database schema for invoices table
-  const insertSql = `
-    INSERT INTO invoices 
-    (deceased_id, invoice_number, items, total_amount, pdf_url, stamp_hash, signature_url, created_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-  `;
+  const fiscal = await fiscaliseNewInvoice(
+    req,
+    outcome.invoiceId,
+    outcome.invoiceData,
+  );
+  invoiceCache.set(invoice_number, { ...outcome.invoiceData, ...fiscal });
 
-  const result = await safeQuery(insertSql, [
-    deceased.id,
+  return {
     invoice_number,
-    JSON.stringify(invoiceData.items),
-    invoiceData.total_amount,
-    pdfPath,
-    invoiceData.stamp_hash,
-    invoiceData.signature_url,
-    invoiceData.created_at,
-  ]);
+    pdf_url: pdfPath,
+    invoice_id: outcome.invoiceId,
+    deceased_folder: outcome.deceasedFolderName,
+    system_generated: true,
+    currency: outcome.invoiceData.currency,
+    total_amount: outcome.invoiceData.total_amount,
+    total_kes: outcome.invoiceData.total_kes,
+    subtotal: outcome.invoiceData.subtotal,
+    tax_amount: outcome.invoiceData.tax_amount,
+    tax_breakdown: outcome.invoiceData.tax_breakdown,
+    amount_paid: outcome.settlement?.amount_paid ?? 0,
+    amount_covered: outcome.settlement?.amount_covered ?? 0,
+    payment_status: outcome.settlement?.payment_status ?? 'Unpaid',
+    payer_invoices: outcome.payerInvoices.map(payerInvoiceSummary),
+    ...fiscal,
+  };
+};
 
-  if (extraCharges.length > 0) {
-    const updateChargesSql =
-      'UPDATE extra_charges SET status = "Invoiced" WHERE deceased_id = ? AND status = "Pending"';
-    await safeQuery(updateChargesSql, [deceased.deceased_id]);
-  }
+const payerInvoiceSummary = (invoice) => ({
+  invoice_id: invoice.id,
+  invoice_number: invoice.invoice_number,
+  payer_id: invoice.payer_id,
+  payer_name: invoice.customer_name,
+  total_amount: invoice.total_amount,
+  due_date: invoice.due_date,
+  capped: invoice.capped,
+});
 
-  invoiceCache.set(invoice_number, invoiceData);
+// Create system invoice - FIXED database schema
+const createSystemInvoice = asyncHandler(async (req, res, next) => {
+  const { deceased_id } = req.body;
 
+  if (!deceased_id) {
+    return next(new AppError('Deceased ID is required', 400));
+  }
+
+  const invoice = await raiseSystemInvoice(req, deceased_id);
   res.status(201).json({
     status: 'success',
     message: 'System invoice created successfully',
-    invoice_number,
-    pdf_url: pdfPath,
-    invoice_id: result.insertId,
-    deceased_folder: deceasedFolderName,
-    system_generated: true,
+    ...invoice,
   });
 });
 
@@ -604,9 +1310,6 @@ const createInvoice = asyncHandler(async (req, res, next) => {
     invoice_number,
     items,
     total_amount,
-    subtotal,
-    tax_amount,
-    tax_rate,
     mortuary_name,
     mortuary_phone,
     signature_url,
@@ -617,30 +1320,81 @@ const createInvoice = asyncHandler(async (req, res, next) => {
     dod,
     address,
     phone,
+    currency,
+    customer_pin,
   } = req.body;
 
   if (!deceased_name || !invoice_number || !items || !total_amount) {
     return next(new AppError('Missing required invoice fields', 400));
   }
+  if (!Array.isArray(items)) {
+    return next(new AppError('items must be an array', 400));
+  }
+  // KRA PIN of a business customer, printed on the eTIMS invoice
+  if (customer_pin && !KRA_PIN_PATTERN.test(String(customer_pin).trim())) {
+    return next(
+      new AppError('customer_pin must be a KRA PIN such as P051234567X', 400),
+    );
+  }
+
+  // Invoices for a registered body inherit its branch
+  // and default to its billing currency
+  let branch_id = getWriteBranchId(req);
+  let billingCurrency = 'KES';
+  let deceased = null;
+  if (deceased_id) {
+    const branch = branchCondition(req);
+    [deceased] = await safeQuery(
+      `SELECT id, deceased_id, branch_id, currency FROM deceased WHERE id = ? AND deleted_at IS NULL AND ${branch.sql}`,
+      [deceased_id, ...branch.params],
+    );
+    if (!deceased) {
+      return next(new AppError('Deceased not found', 404));
+    }
+    branch_id = deceased.branch_id ?? branch_id;
+    billingCurrency = toCurrencyCode(deceased.currency) || 'KES';
+  }
+
+  const invoiceDate = created_at || getKenyaTimeISO();
+  const fx = await invoiceFx(
+    total_amount,
+    currency || billingCurrency,
+    invoiceDate,
+  );
+
+  // Line prices include VAT; a line may name its `service_type` or
+  // `tax_category`, otherwise the configured tax code applies
+  const taxed = applyTax(items, await loadTaxCodes());
+
+  // Share of a registered body's invoice billed to its payers
+  const split = deceased
+    ? await planPayerSplit(safeQuery, deceased, {
+        total: parseFloat(total_amount),
+        currency: fx.currency,
+        date: invoiceDate,
+      })
+    : null;
 
   const stamp_hash = generateStampHash();
   const invoiceData = {
+    ...fx,
+    payer_shares: split?.shares || [],
     deceased_name,
     nok: nok || 'N/A',
     id_number: id_number || 'N/A',
     dod: dod || 'N/A',
     address: address || 'N/A',
     phone: phone || 'N/A',
-    items,
+    items: taxed.items,
     total_amount,
-    subtotal: subtotal || total_amount,
-    tax_amount: tax_amount || 0,
-    tax_rate: tax_rate || 0,
+    subtotal: taxed.subtotal,
+    tax_amount: taxed.tax_amount,
+    tax_breakdown: taxed.tax_breakdown,
     mortuary_name: mortuary_name || 'Professional Mortuary Services',
     mortuary_phone: mortuary_phone || '+254 740 045 355',
     stamp_hash,
     signature_url,
-    created_at: created_at || getKenyaTimeISO(),
+    created_at: invoiceDate,
     invoice_number,
   };
 
@@ -664,42 +1418,92 @@ const createInvoice = asyncHandler(async (req, res, next) => {
   // FIXED: Use correct database schema for invoices table
   const sql = `
     INSERT INTO invoices 
-    (deceased_id, invoice_number, items, total_amount, pdf_url, stamp_hash, signature_url, created_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    (deceased_id, invoice_number, items, total_amount, subtotal, tax_amount, tax_breakdown,
+     currency, exchange_rate, rate_date, total_kes, customer_name, customer_pin, fiscal_status,
+     pdf_url, stamp_hash, signature_url, created_at, branch_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Pending', ?, ?, ?, ?, ?)
   `;
 
-  const result = await safeQuery(sql, [
-    deceased_id || null,
-    invoice_number,
-    JSON.stringify(items),
-    total_amount,
-    pdfPath,
-    stamp_hash,
-    signature_url || null,
-    created_at || getKenyaTimeISO(),
-  ]);
+  // The invoice and any account credit applied to it commit together
+  const { invoiceId, settlement, payerInvoices } = await withTransaction(
+    async (tx) => {
+      const result = await tx.query(sql, [
+        deceased_id || null,
+        invoice_number,
+        JSON.stringify(taxed.items),
+        total_amount,
+        taxed.subtotal,
+        taxed.tax_amount,
+        JSON.stringify(taxed.tax_breakdown),
+        fx.currency,
+        fx.exchange_rate,
+        fx.rate_date,
+        fx.total_kes,
+        (nok && nok !== 'N/A' ? nok : deceased_name).slice(0, 150),
+        customer_pin ? String(customer_pin).trim().toUpperCase() : null,
+        pdfPath,
+        stamp_hash,
+        signature_url || null,
+        invoiceDate,
+        branch_id,
+      ]);
+
+      const payerInvoices = await createPayerInvoices(
+        tx,
+        req,
+        {
+          ...invoiceData,
+          id: result.insertId,
+          deceased_id: deceased_id || null,
+          branch_id,
+        },
+        split,
+      );
 
-  invoiceCache.set(invoice_number, invoiceData);
+      return {
+        invoiceId: result.insertId,
+        payerInvoices,
+        settlement: deceased
+          ? await applyAccountCredit(tx, req, deceased, result.insertId)
+          : await refreshInvoice(tx, result.insertId),
+      };
+    },
+  );
+
+  const fiscal = await fiscaliseNewInvoice(req, invoiceId, invoiceData);
+  invoiceCache.set(invoice_number, { ...invoiceData, ...fiscal });
 
   res.status(201).json({
     status: 'success',
     message: 'Invoice created successfully',
     invoice_number,
     pdf_url: pdfPath,
-    invoice_id: result.insertId,
+    invoice_id: invoiceId,
     deceased_folder: deceasedFolderName,
+    currency: fx.currency,
+    total_kes: fx.total_kes,
+    subtotal: taxed.subtotal,
+    tax_amount: taxed.tax_amount,
+    tax_breakdown: taxed.tax_breakdown,
+    amount_paid: settlement?.amount_paid ?? 0,
+    amount_covered: settlement?.amount_covered ?? 0,
+    payment_status: settlement?.payment_status ?? 'Unpaid',
+    payer_invoices: payerInvoices.map(payerInvoiceSummary),
+    ...fiscal,
   });
 });
 
 // Get all invoices - FIXED to match actual schema
 const getAllInvoices = asyncHandler(async (req, res, next) => {
+  const branch = branchCondition(req, 'i.branch_id');
   const sql = `
     SELECT i.*, d.full_name as deceased_name, d.deceased_id 
     FROM invoices i
     LEFT JOIN deceased d ON i.deceased_id = d.id
+    WHERE i.deleted_at IS NULL AND ${branch.sql}
     ORDER BY i.created_at DESC
   `;
-  const invoices = await safeQuery(sql);
+  const invoices = await safeQuery(sql, branch.params);
 
   // Parse JSON items and add deceased information
   const parsedInvoices = invoices.map((invoice) => ({
@@ -719,14 +1523,15 @@ const getAllInvoices = asyncHandler(async (req, res, next) => {
 const getInvoicesByDeceased = asyncHandler(async (req, res, next) => {
   const { deceased_id } = req.params;
 
+  const branch = branchCondition(req, 'i.branch_id');
   const sql = `
     SELECT i.*, d.full_name as deceased_name, d.deceased_id 
     FROM invoices i
     LEFT JOIN deceased d ON i.deceased_id = d.id
-    WHERE i.deceased_id = ? 
+    WHERE i.deceased_id = ? AND i.deleted_at IS NULL AND ${branch.sql}
     ORDER BY i.created_at DESC
   `;
-  const invoices = await safeQuery(sql, [deceased_id]);
+  const invoices = await safeQuery(sql, [deceased_id, ...branch.params]);
 
   const parsedInvoices = invoices.map((invoice) => ({
     ...invoice,
@@ -745,14 +1550,15 @@ const getInvoicesByDeceased = asyncHandler(async (req, res, next) => {
 const getInvoiceById = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
+  const branch = branchCondition(req, 'i.branch_id');
   const sql = `
     SELECT i.*, d.full_name as deceased_name, d.deceased_id, d.date_of_death as dod,
            d.location, d.county, d.national_id
     FROM invoices i
     LEFT JOIN deceased d ON i.deceased_id = d.id
-    WHERE i.id = ?
+    WHERE i.id = ? AND i.deleted_at IS NULL AND ${branch.sql}
   `;
-  const invoices = await safeQuery(sql, [id]);
+  const invoices = await safeQuery(sql, [id, ...branch.params]);
 
   if (invoices.length === 0) {
     return next(new AppError('Invoice not found', 404));
@@ -778,13 +1584,17 @@ const updateInvoice = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
   const { items, total_amount, signature_url } = req.body;
 
+  const branch = branchCondition(req);
   const [currentInvoice] = await safeQuery(
-    'SELECT * FROM invoices WHERE id = ?',
-    [id],
+    `SELECT * FROM invoices WHERE id = ? AND deleted_at IS NULL AND ${branch.sql}`,
+    [id, ...branch.params],
   );
   if (!currentInvoice) {
     return next(new AppError('Invoice not found', 404));
   }
+  // A signed invoice is on KRA's records as it is
+  assertNotFiscalised(currentInvoice);
+  await assertNotSplit(safeQuery, currentInvoice);
 
   // Get deceased info for PDF generation
   const deceasedSql = 'SELECT * FROM deceased WHERE id = ?';
@@ -792,10 +1602,31 @@ const updateInvoice = asyncHandler(async (req, res, next) => {
 
   const stamp_hash = generateStampHash();
 
+  // An edited invoice keeps the rate of its original invoice date. Invoices
+  // from before exchange rates existed are converted at that date now.
+  const newTotal = total_amount || currentInvoice.total_amount;
+  const currency = toCurrencyCode(currentInvoice.currency) || 'KES';
+  const fx = currentInvoice.exchange_rate
+    ? {
+        currency,
+        exchange_rate: parseFloat(currentInvoice.exchange_rate),
+        rate_date: currentInvoice.rate_date,
+      }
+    : await invoiceFx(newTotal, currency, currentInvoice.created_at);
+
+  const taxed = applyTax(
+    items || JSON.parse(currentInvoice.items),
+    await loadTaxCodes(),
+  );
   const updatedInvoice = {
     ...currentInvoice,
-    items: items || JSON.parse(currentInvoice.items),
-    total_amount: total_amount || currentInvoice.total_amount,
+    ...fx,
+    items: taxed.items,
+    subtotal: taxed.subtotal,
+    tax_amount: taxed.tax_amount,
+    tax_breakdown: taxed.tax_breakdown,
+    total_amount: newTotal,
+    total_kes: Math.round(newTotal * fx.exchange_rate * 100) / 100,
     signature_url: signature_url || currentInvoice.signature_url,
     stamp_hash,
     updated_at: getKenyaTimeISO(),
@@ -819,18 +1650,41 @@ const updateInvoice = asyncHandler(async (req, res, next) => {
 
   const updateSql = `
     UPDATE invoices 
-    SET items = ?, total_amount = ?, signature_url = ?, stamp_hash = ?, updated_at = ?
+    SET items = ?, total_amount = ?, subtotal = ?, tax_amount = ?, tax_breakdown = ?,
+        currency = ?, exchange_rate = ?, rate_date = ?, total_kes = ?,
+        signature_url = ?, stamp_hash = ?, updated_at = ?
     WHERE id = ?
   `;
 
-  await safeQuery(updateSql, [
-    JSON.stringify(updatedInvoice.items),
-    updatedInvoice.total_amount,
-    updatedInvoice.signature_url,
-    updatedInvoice.stamp_hash,
-    updatedInvoice.updated_at,
-    id,
-  ]);
+  await withTransaction(async (tx) => {
+    await tx.query(updateSql, [
+      JSON.stringify(updatedInvoice.items),
+      updatedInvoice.total_amount,
+      updatedInvoice.subtotal,
+      updatedInvoice.tax_amount,
+      JSON.stringify(updatedInvoice.tax_breakdown),
+      updatedInvoice.currency,
+      updatedInvoice.exchange_rate,
+      updatedInvoice.rate_date,
+      updatedInvoice.total_kes,
+      updatedInvoice.signature_url,
+      updatedInvoice.stamp_hash,
+      updatedInvoice.updated_at,
+      id,
+    ]);
+    // A new total can move the invoice between Partial, Paid and Overpaid
+    await refreshInvoice(tx, id);
+    const after = await tx.queryOne('SELECT * FROM invoices WHERE id = ?', [
+      id,
+    ]);
+    await recordAudit(tx, req, {
+      entity: 'invoice',
+      entityId: id,
+      action: 'update',
+      before: currentInvoice,
+      after,
+    });
+  });
 
   invoiceCache.set(currentInvoice.invoice_number, updatedInvoice);
 
@@ -841,26 +1695,30 @@ const updateInvoice = asyncHandler(async (req, res, next) => {
   });
 });
 
-// Delete invoice
+// Delete invoice (soft: the row and its PDF stay in the recycle bin until purged)
 const deleteInvoice = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
-  const [invoice] = await safeQuery('SELECT * FROM invoices WHERE id = ?', [
-    id,
-  ]);
-  if (!invoice) {
-    return next(new AppError('Invoice not found', 404));
-  }
-
-  try {
-    if (fs.existsSync(invoice.pdf_url)) {
-      await fs.promises.unlink(invoice.pdf_url);
+  // Payments allocated to it go back on account for the body's next invoice.
+  // Payer invoices split from it go with it; deleting a payer invoice puts
+  // its share back on the body's invoice.
+  const invoice = await withTransaction(async (tx) => {
+    const current = await tx.queryOne(
+      `SELECT invoice_number, fiscal_status, fiscal_control_number,
+              parent_invoice_id, consolidated_invoice_id
+       FROM invoices WHERE id = ?`,
+      [id],
+    );
+    assertNotFiscalised(current);
+    assertNotConsolidated(current);
+    const deleted = await softDelete(tx, req, 'invoice', id);
+    await releaseInvoiceAllocations(tx, req, id);
+    await deletePayerInvoices(tx, req, id);
+    if (deleted.parent_invoice_id) {
+      await refreshInvoice(tx, deleted.parent_invoice_id);
     }
-  } catch (error) {
-    console.log('PDF file not found, continuing with database deletion');
-  }
-
-  await safeQuery('DELETE FROM invoices WHERE id = ?', [id]);
+    return deleted;
+  });
   invoiceCache.del(invoice.invoice_number);
 
   res.json({
@@ -869,14 +1727,58 @@ const deleteInvoice = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Split an invoice raised before the body's payers were set up. The
+// body's PDF is redrawn with what each payer covers.
+const splitInvoice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { master, invoices } = await withTransaction((tx) =>
+    splitExistingInvoice(tx, req, id, {
+      branch: branchCondition(req, 'i.branch_id'),
+    }),
+  );
+
+  const [current] = await safeQuery('SELECT * FROM invoices WHERE id = ?', [
+    master.id,
+  ]);
+  if (current.pdf_url) {
+    await fs.promises.writeFile(
+      current.pdf_url,
+      await generateInvoicePDFBuffer(await invoicePDFData(current)),
+    );
+  }
+  invoiceCache.del(current.invoice_number);
+
+  res.status(201).json({
+    status: 'success',
+    message: `Invoice ${current.invoice_number} split with ${invoices.length} payer(s)`,
+    invoice_id: current.id,
+    amount_covered: parseFloat(current.amount_covered),
+    payment_status: current.payment_status,
+    payer_invoices: invoices.map(payerInvoiceSummary),
+  });
+});
+
 // Download PDF
 const downloadInvoice = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
+  const branch = branchCondition(req);
   const [invoice] = await safeQuery(
-    'SELECT pdf_url FROM invoices WHERE id = ?',
-    [id],
+    `SELECT * FROM invoices WHERE id = ? AND deleted_at IS NULL AND ${branch.sql}`,
+    [id, ...branch.params],
   );
+  // Payer invoices are drawn when asked for, from the invoice row
+  if (invoice?.payer_id && !invoice.pdf_url) {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="invoice-${invoice.invoice_number}.pdf"`,
+    );
+    return res.send(
+      await generateInvoicePDFBuffer(await invoicePDFData(invoice)),
+    );
+  }
   if (!invoice || !invoice.pdf_url) {
     return next(new AppError('Invoice or PDF not found', 404));
   }
@@ -974,9 +1876,15 @@ const handleDeleteExtraCharge = async (chargeId) => {
 
 // Export all functions at the bottom
 module.exports = {
+  generateInvoicePDFBuffer,
+  invoicePDFData,
+  generateStatementPDFBuffer,
+  fiscaliseInvoice,
+  raiseSystemInvoice,
   getAllDeceasedWithFinancials,
   getDeceasedFinancialDetails,
   createPayment,
+  downloadPaymentReceipt,
   createExtraCharge,
   createSystemInvoice,
   createInvoice,
@@ -985,6 +1893,7 @@ module.exports = {
   getInvoiceById,
   updateInvoice,
   deleteInvoice,
+  splitInvoice,
   downloadInvoice,
   handleViewInvoice,
 };
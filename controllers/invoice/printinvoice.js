@@ -2,6 +2,10 @@
 const asyncHandler = require('express-async-handler');
 const { safeQuery } = require('../../configurations/sqlConfig/db');
 const { AppError } = require('../../middlewares/errorHandler/errorHandler');
+const {
+  toCurrencyCode,
+  formatMoney,
+} = require('../../services/currency/currency');
 const escpos = require('escpos');
 escpos.USB = require('escpos-usb');
 escpos.Network = require('escpos-network');
@@ -17,7 +21,7 @@ const printInvoice = asyncHandler(async (req, res, next) => {
            d.location, d.county, d.national_id
     FROM invoices i
     LEFT JOIN deceased d ON i.deceased_id = d.id
-    WHERE i.id = ?
+    WHERE i.id = ? AND i.deleted_at IS NULL
   `;
   const invoices = await safeQuery(sql, [id]);
 
@@ -31,6 +35,13 @@ const printInvoice = asyncHandler(async (req, res, next) => {
       ? JSON.parse(invoice.items)
       : invoice.items;
 
+  // Foreign-currency invoices also print their KES total at the invoice rate
+  invoice.currency = toCurrencyCode(invoice.currency) || 'KES';
+  invoice.kes_line =
+    invoice.currency !== 'KES' && invoice.total_kes != null
+      ? `KES EQUIV: ${formatMoney(invoice.total_kes, 'KES')} @ ${invoice.exchange_rate}`
+      : null;
+
   try {
     // Try to print using different methods
     const printResult = await attemptPrint(invoice);
@@ -112,15 +123,18 @@ const attemptUSBPrint = async (invoice) => {
         invoice.items.forEach((item, index) => {
           printer
             .text(`${item.service}`)
-            .text(`  Qty: ${item.qty} x KES ${item.amount}`)
-            .text(`  Total: KES ${(item.qty * item.amount).toFixed(2)}`);
+            .text(`  Qty: ${item.qty} x ${invoice.currency} ${item.amount}`)
+            .text(
+              `  Total: ${invoice.currency} ${(item.qty * item.amount).toFixed(2)}`,
+            );
         });
 
         printer
           .text('----------------------------')
           .align('rt')
           .style('b')
-          .text(`TOTAL: KES ${invoice.total_amount}`)
+          .text(`TOTAL: ${invoice.currency} ${invoice.total_amount}`)
+          .text(invoice.kes_line || ' ')
           .align('lt')
           .style('normal')
           .text(' ')
@@ -206,15 +220,18 @@ const printNetworkInvoice = (printer, invoice) => {
   invoice.items.forEach((item) => {
     printer
       .text(`${item.service}`)
-      .text(`  Qty: ${item.qty} x KES ${item.amount}`)
-      .text(`  Total: KES ${(item.qty * item.amount).toFixed(2)}`);
+      .text(`  Qty: ${item.qty} x ${invoice.currency} ${item.amount}`)
+      .text(
+        `  Total: ${invoice.currency} ${(item.qty * item.amount).toFixed(2)}`,
+      );
   });
 
   printer
     .text('----------------------------')
     .align('rt')
     .style('b')
-    .text(`TOTAL: KES ${invoice.total_amount}`)
+    .text(`TOTAL: ${invoice.currency} ${invoice.total_amount}`)
+    .text(invoice.kes_line || ' ')
     .cut()
     .close();
 };
@@ -291,13 +308,15 @@ const generateBluetoothPrintText = (invoice) => {
 
   invoice.items.forEach((item) => {
     text += `${item.service}\n`;
-    text += `  Qty: ${item.qty} x KES ${item.amount}\n`;
-    text += `  Total: KES ${(item.qty * item.amount).toFixed(2)}\n`;
+    text += `  Qty: ${item.qty} x ${invoice.currency} ${item.amount}\n`;
+    text += `  Total: ${invoice.currency} ${(item.qty * item.amount).toFixed(2)}\n`;
   });
 
   text += '------------------------------\n';
   text += '\x1B\x61\x02'; // Right align
-  text += `TOTAL: KES ${invoice.total_amount}\n\n`;
+  text += `TOTAL: ${invoice.currency} ${invoice.total_amount}\n`;
+  if (invoice.kes_line) text += `${invoice.kes_line}\n`;
+  text += '\n';
   text += '\x1B\x61\x01'; // Center align
   text += 'Thank you!\n\n\n\n';
   text += '\x1B\x69'; // Cut paper
@@ -355,12 +374,14 @@ const generatePrintText = (invoice) => {
   invoice.items.forEach((item) => {
     text += `${item.service}\n`;
     text += `  Quantity: ${item.qty}\n`;
-    text += `  Unit Price: KES ${item.amount}\n`;
-    text += `  Line Total: KES ${(item.qty * item.amount).toFixed(2)}\n\n`;
+    text += `  Unit Price: ${invoice.currency} ${item.amount}\n`;
+    text += `  Line Total: ${invoice.currency} ${(item.qty * item.amount).toFixed(2)}\n\n`;
   });
 
   text += '------------------------------\n';
-  text += `TOTAL AMOUNT: KES ${invoice.total_amount}\n\n`;
+  text += `TOTAL AMOUNT: ${invoice.currency} ${invoice.total_amount}\n`;
+  if (invoice.kes_line) text += `${invoice.kes_line}\n`;
+  text += '\n';
   text += 'Thank you for your business!\n';
 
   return text;
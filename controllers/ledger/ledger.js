@@ -0,0 +1,222 @@
+const asyncHandler = require('express-async-handler');
+const ExcelJS = require('exceljs');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { branchCondition } = require('../../middlewares/tenancy/branchScope');
+const {
+  getAccountSummary,
+  getStatement,
+  getTrialBalance,
+} = require('../../services/ledger/ledger');
+const {
+  requestAdjustment,
+} = require('../../services/payments/paymentAllocation');
+const { generateStatementPDFBuffer } = require('../invoice/invoice');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const sendError = errorResponder('LEDGER');
+
+// Accepts either the string deceased_id or the numeric row id
+async function findDeceased(db, req, id, { lock = false } = {}) {
+  const branch = branchCondition(req, 'branch_id');
+  const rows = await db(
+    `SELECT id, deceased_id, full_name, branch_id, currency FROM deceased
+     WHERE (deceased_id = ? OR id = ?) AND deleted_at IS NULL AND ${branch.sql}
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [id, id, ...branch.params],
+  );
+  return rows[0] || null;
+}
+
+async function statementWorkbook(statement) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Lee Funeral Home - MMS';
+  workbook.created = new Date();
+
+  const worksheet = workbook.addWorksheet('Statement');
+  worksheet.columns = [
+    { header: 'Date', key: 'date', width: 14 },
+    { header: 'Type', key: 'type', width: 12 },
+    { header: 'Description', key: 'description', width: 44 },
+    { header: 'Reference', key: 'reference', width: 18 },
+    { header: 'Debit', key: 'debit', width: 14 },
+    { header: 'Credit', key: 'credit', width: 14 },
+    { header: 'Balance', key: 'balance', width: 14 },
+  ];
+  // Foreign-currency accounts also show each movement in KES
+  const showKES = statement.currency !== 'KES';
+  if (showKES) {
+    worksheet.columns = [
+      ...worksheet.columns,
+      { header: 'Debit (KES)', key: 'debit_kes', width: 16 },
+      { header: 'Credit (KES)', key: 'credit_kes', width: 16 },
+    ];
+  }
+  worksheet.getRow(1).font = { bold: true };
+
+  worksheet.addRow({
+    date: statement.period.from || '',
+    description: 'Opening balance',
+    balance: statement.opening_balance,
+  });
+  statement.entries.forEach((entry) =>
+    worksheet.addRow({
+      date: entry.date,
+      type: entry.type,
+      description: entry.description,
+      reference: entry.reference,
+      debit: entry.debit || null,
+      credit: entry.credit || null,
+      balance: entry.balance,
+      debit_kes: entry.debit_kes || null,
+      credit_kes: entry.credit_kes || null,
+    }),
+  );
+  const totals = worksheet.addRow({
+    description: `Closing balance (${statement.currency})`,
+    debit: statement.totals.debit,
+    credit: statement.totals.credit,
+    balance: statement.closing_balance,
+  });
+  totals.font = { bold: true };
+
+  if (showKES) {
+    const rate = statement.exchange_rate;
+    worksheet.addRow({
+      description: rate
+        ? `Closing balance (KES at ${rate.rate} on ${rate.rate_date})`
+        : 'Closing balance (KES): no rate on file',
+      balance: statement.closing_balance_kes,
+    }).font = { bold: true };
+  }
+
+  [
+    'debit',
+    'credit',
+    'balance',
+    ...(showKES ? ['debit_kes', 'credit_kes'] : []),
+  ].forEach((key) => {
+    worksheet.getColumn(key).numFmt = '#,##0.00';
+  });
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// ----------------- Account Statement -----------------
+const getAccountStatement = asyncHandler(async (req, res) => {
+  const { deceased_id } = req.params;
+  const { from, to } = req.query;
+  const format = String(req.query.format || 'json').toLowerCase();
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'from and to must be yyyy-mm-dd' });
+  }
+  if (!['json', 'pdf', 'xlsx'].includes(format)) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'format must be json, pdf or xlsx' });
+  }
+
+  try {
+    const deceased = await findDeceased(safeQuery, req, deceased_id);
+    if (!deceased) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Deceased record not found' });
+    }
+
+    const statement = await getStatement(deceased, { from, to });
+    const filename = `statement-${deceased.deceased_id}`;
+
+    if (format === 'pdf') {
+      const buffer = await generateStatementPDFBuffer(statement);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${filename}.pdf"`,
+      );
+      return res.send(buffer);
+    }
+
+    if (format === 'xlsx') {
+      const buffer = await statementWorkbook(statement);
+      res.setHeader(
+        'Content-Type',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      );
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${filename}.xlsx"`,
+      );
+      res.setHeader('Content-Length', buffer.length);
+      return res.send(buffer);
+    }
+
+    res.status(200).json({
+      success: true,
+      summary: await getAccountSummary(deceased.deceased_id),
+      data: statement,
+    });
+  } catch (err) {
+    sendError(res, err, 'Build statement');
+  }
+});
+
+// ----------------- Refunds -----------------
+// A refund is only requested here; it is posted once someone else approves
+// it through PUT /payment-adjustments/:id/approve
+const createRefund = asyncHandler(async (req, res) => {
+  const { deceased_id } = req.params;
+  const { payment_id, amount, method, reason } = req.body || {};
+
+  try {
+    const refund = await withTransaction(async (tx) => {
+      const deceased = await findDeceased(tx.query, req, deceased_id, {
+        lock: true,
+      });
+      if (!deceased) return null;
+      return requestAdjustment(tx, req, deceased, 'refund', {
+        payment_id,
+        amount,
+        method,
+        reason,
+      });
+    });
+
+    if (!refund) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Deceased record not found' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Refund ${refund.adjustment_number} is waiting for approval`,
+      data: refund,
+    });
+  } catch (err) {
+    sendError(res, err, 'Request refund');
+  }
+});
+
+// ----------------- Trial Balance -----------------
+const getLedgerTrialBalance = asyncHandler(async (req, res) => {
+  try {
+    const trialBalance = await getTrialBalance({
+      branchId: req.branchScope?.branchId ?? null,
+    });
+    res.status(200).json({ success: true, data: trialBalance });
+  } catch (err) {
+    sendError(res, err, 'Build trial balance');
+  }
+});
+
+module.exports = { getAccountStatement, createRefund, getLedgerTrialBalance };
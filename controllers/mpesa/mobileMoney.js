@@ -0,0 +1,184 @@
+const asyncHandler = require('express-async-handler');
+const { safeQuery } = require('../../configurations/sqlConfig/db');
+const { branchCondition } = require('../../middlewares/tenancy/branchScope');
+const {
+  requestStkPush,
+  handleStkCallback,
+  handleC2BConfirmation,
+  resolveException,
+  dismissException,
+  listTransactions,
+} = require('../../services/mpesa/mobileMoney');
+const {
+  isCallbackTokenValid,
+  registerC2BUrls,
+} = require('../../services/mpesa/daraja');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const sendError = errorResponder('MPESA');
+
+// ----------------- STK Push -----------------
+const createStkPush = asyncHandler(async (req, res) => {
+  const { phone, amount } = req.body || {};
+
+  try {
+    const request = await requestStkPush(req, req.params.id, {
+      phone,
+      amount,
+      branch: branchCondition(req, 'i.branch_id'),
+    });
+    res.status(202).json({
+      success: true,
+      message: request.message,
+      data: request,
+    });
+  } catch (err) {
+    sendError(res, err, 'Send M-Pesa request');
+  }
+});
+
+// Polled by the till screen until the customer answers the prompt
+const getStkStatus = asyncHandler(async (req, res) => {
+  const branch = branchCondition(req, 'branch_id');
+
+  try {
+    const [txn] = await safeQuery(
+      `SELECT id, status, trans_id, phone, amount, invoice_id, payment_id,
+              result_desc, exception_reason, completed_at
+       FROM mpesa_transactions
+       WHERE checkout_request_id = ? AND ${branch.sql}`,
+      [req.params.checkout_request_id, ...branch.params],
+    );
+    if (!txn) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'M-Pesa request not found' });
+    }
+    res.status(200).json({ success: true, data: txn });
+  } catch (err) {
+    sendError(res, err, 'Load M-Pesa request');
+  }
+});
+
+// ----------------- Daraja Callbacks -----------------
+// Daraja cannot log in, so these routes are unguarded and authenticated by
+// the secret token in the URL they were registered with.
+const callback = (context, handle) =>
+  asyncHandler(async (req, res) => {
+    if (!isCallbackTokenValid(req.params.token)) {
+      console.warn(`⚠️ [MPESA] ${context} with an invalid token rejected`);
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Forbidden' });
+    }
+
+    try {
+      await handle(req, req.body);
+      res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    } catch (err) {
+      if (err.isOperational) {
+        console.warn(`⚠️ [MPESA] ${context}: ${err.message}`);
+        return res
+          .status(err.statusCode)
+          .json({ ResultCode: 1, ResultDesc: err.message });
+      }
+      console.error(`❌ [MPESA] ${context}:`, err.message);
+      res.status(500).json({ ResultCode: 1, ResultDesc: 'Internal error' });
+    }
+  });
+
+const stkCallback = callback('STK callback', handleStkCallback);
+const c2bConfirmation = callback('C2B confirmation', handleC2BConfirmation);
+
+// Every payment is accepted; ones we cannot match go to the exception queue
+// rather than bouncing the customer's money
+const c2bValidation = callback('C2B validation', async () => {});
+
+const registerC2B = asyncHandler(async (req, res) => {
+  try {
+    const data = await registerC2BUrls(req.body || {});
+    res
+      .status(200)
+      .json({ success: true, message: 'C2B URLs registered', data });
+  } catch (err) {
+    sendError(res, err, 'Register C2B URLs');
+  }
+});
+
+// ----------------- Transactions & Exceptions -----------------
+const getTransactions = asyncHandler(async (req, res) => {
+  const { status, kind, from, to, limit } = req.query;
+
+  try {
+    const data = await listTransactions({
+      status,
+      kind,
+      from,
+      to,
+      limit,
+      branch: branchCondition(req, 'branch_id'),
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load M-Pesa transactions');
+  }
+});
+
+const getExceptions = asyncHandler(async (req, res) => {
+  try {
+    const data = await listTransactions({
+      status: 'Exception',
+      branch: branchCondition(req, 'branch_id'),
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load M-Pesa exceptions');
+  }
+});
+
+const resolveMpesaException = asyncHandler(async (req, res) => {
+  const { deceased_id, invoice_id, note } = req.body || {};
+
+  try {
+    const txn = await resolveException(req, req.params.id, {
+      deceased_id,
+      invoice_id,
+      note,
+      branch: branchCondition(req, 'branch_id'),
+    });
+    res.status(200).json({
+      success: true,
+      message: `Payment posted as receipt ${txn.payment.receipt_number}`,
+      data: txn,
+    });
+  } catch (err) {
+    sendError(res, err, 'Resolve M-Pesa exception');
+  }
+});
+
+const dismissMpesaException = asyncHandler(async (req, res) => {
+  try {
+    const txn = await dismissException(req, req.params.id, {
+      note: req.body?.note,
+      branch: branchCondition(req, 'branch_id'),
+    });
+    res
+      .status(200)
+      .json({ success: true, message: 'Exception dismissed', data: txn });
+  } catch (err) {
+    sendError(res, err, 'Dismiss M-Pesa exception');
+  }
+});
+
+module.exports = {
+  createStkPush,
+  getStkStatus,
+  stkCallback,
+  c2bValidation,
+  c2bConfirmation,
+  registerC2B,
+  getTransactions,
+  getExceptions,
+  resolveMpesaException,
+  dismissMpesaException,
+};
@@ -1,7 +1,13 @@
 // controllers/burialNotificationController.js
 const asyncHandler = require('express-async-handler');
+const PDFDocument = require('pdfkit');
 const { safeQuery } = require('../../configurations/sqlConfig/db');
+const { AppError } = require('../../middlewares/errorHandler/errorHandler');
 const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  branchCondition,
+  orAllBranches,
+} = require('../../middlewares/tenancy/branchScope');
 
 // Generate unique notification number
 function generateNotificationNumber() {
@@ -10,23 +16,29 @@ function generateNotificationNumber() {
   return `BN-${date}-${randomDigits}`;
 }
 
-// ----------------- Generate or Fetch Detailed Burial Notification -----------------
-const handleBurialNotification = asyncHandler(async (req, res) => {
-  const { deceased_id } = req.query;
-  if (!deceased_id)
-    return res
-      .status(400)
-      .json({ message: 'deceased_id query parameter is required' });
-
+// The notification for a body with its mortuary and next of kin. Issues one
+// when the body has none, unless `create` is false (then null is returned).
+// Bodies outside `branch` are reported as missing.
+async function loadBurialNotification(
+  deceased_id,
+  { create = true, branch } = {},
+) {
   // Fetch deceased info
+  const scope = orAllBranches(branch);
   const deceasedRows = await safeQuery(
-    `SELECT * FROM deceased WHERE deceased_id = ?`,
-    [deceased_id],
+    `SELECT * FROM deceased WHERE deceased_id = ? AND ${scope.sql}`,
+    [deceased_id, ...scope.params],
   );
-  if (!deceasedRows.length)
-    return res.status(404).json({ message: 'Deceased not found' });
+  if (!deceasedRows.length) throw new AppError('Deceased not found', 404);
   const deceased = deceasedRows[0];
 
+  // Check if burial notification already exists
+  let notificationRows = await safeQuery(
+    `SELECT * FROM burial_notifications WHERE deceased_id = ? LIMIT 1`,
+    [deceased_id],
+  );
+  if (!notificationRows.length && !create) return null;
+
   // Fetch the single mortuary details
   const mortuariesRows = await safeQuery(
     `SELECT mortuary_id, name, address, phone, hours FROM mortuaries LIMIT 1`,
@@ -41,12 +53,6 @@ const handleBurialNotification = asyncHandler(async (req, res) => {
         hours: 'Unknown',
       };
 
-  // Check if burial notification already exists
-  let notificationRows = await safeQuery(
-    `SELECT * FROM burial_notifications WHERE deceased_id = ? LIMIT 1`,
-    [deceased_id],
-  );
-
   // Generate notification if it doesn't exist
   if (!notificationRows.length) {
     const notification_number = generateNotificationNumber();
@@ -69,8 +75,7 @@ const handleBurialNotification = asyncHandler(async (req, res) => {
     [deceased_id],
   );
 
-  // Format response with full mortuary details
-  const data = {
+  return {
     notification_number: bn.notification_number,
     issued_at: bn.issued_at,
     status: bn.status,
@@ -90,11 +95,116 @@ const handleBurialNotification = asyncHandler(async (req, res) => {
     },
     next_of_kin: nextOfKinRows.length ? nextOfKinRows : [],
   };
+}
+
+// Printable copy of loadBurialNotification() data
+function generateBurialNotificationPDF(data) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: `Burial Notification ${data.notification_number}`,
+          Author: data.deceased.mortuary.name,
+        },
+      });
+      const buffers = [];
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+      const { deceased } = data;
+      const { mortuary } = deceased;
+      const row = (label, value) =>
+        doc
+          .font('Helvetica-Bold')
+          .text(`${label}: `, { continued: true })
+          .font('Helvetica')
+          .text(value ? String(value).slice(0, 60) : 'N/A');
 
-  res.status(200).json({
-    message: 'Burial notification generated/fetched successfully',
-    data,
+      doc
+        .fontSize(16)
+        .font('Helvetica-Bold')
+        .text(mortuary.name, { align: 'center' })
+        .fontSize(9)
+        .font('Helvetica')
+        .text(`${mortuary.address} | ${mortuary.phone}`, { align: 'center' })
+        .moveDown()
+        .fontSize(14)
+        .font('Helvetica-Bold')
+        .text('BURIAL NOTIFICATION', { align: 'center' })
+        .fontSize(10)
+        .font('Helvetica')
+        .text(`No. ${data.notification_number}`, { align: 'center' })
+        .text(`Issued ${String(data.issued_at).slice(0, 16)}`, {
+          align: 'center',
+        })
+        .moveDown();
+
+      doc.fontSize(12).font('Helvetica-Bold').text('Deceased').moveDown(0.3);
+      doc.fontSize(10);
+      row('Full name', deceased.full_name);
+      row('Gender', deceased.gender);
+      row('Date of birth', deceased.date_of_birth);
+      row('Date of death', deceased.date_of_death);
+      row('Place of death', deceased.place_of_death);
+      row('Cause of death', deceased.cause_of_death);
+      row('County', deceased.county);
+      row('Location', deceased.location);
+      row('Admission number', deceased.admission_number);
+      row('Date admitted', deceased.date_admitted);
+      doc.moveDown();
+
+      doc.fontSize(12).font('Helvetica-Bold').text('Next of kin').moveDown(0.3);
+      doc.fontSize(10).font('Helvetica');
+      if (!data.next_of_kin.length) doc.text('None recorded');
+      data.next_of_kin.forEach((kin) =>
+        doc.text(
+          `${kin.full_name} (${kin.relationship || 'relationship not recorded'})`,
+        ),
+      );
+
+      doc
+        .moveDown(2)
+        .fontSize(8)
+        .fillColor('#64748B')
+        .text(
+          `Issued by ${mortuary.name}. Office hours: ${mortuary.hours || 'N/A'}.`,
+          { align: 'center' },
+        );
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
   });
+}
+
+// ----------------- Generate or Fetch Detailed Burial Notification -----------------
+const handleBurialNotification = asyncHandler(async (req, res) => {
+  const { deceased_id } = req.query;
+  if (!deceased_id)
+    return res
+      .status(400)
+      .json({ message: 'deceased_id query parameter is required' });
+
+  try {
+    const data = await loadBurialNotification(deceased_id, {
+      branch: branchCondition(req),
+    });
+    res.status(200).json({
+      message: 'Burial notification generated/fetched successfully',
+      data,
+    });
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    throw err;
+  }
 });
 
-module.exports = { handleBurialNotification };
+module.exports = {
+  handleBurialNotification,
+  loadBurialNotification,
+  generateBurialNotificationPDF,
+};
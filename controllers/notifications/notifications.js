@@ -1,6 +1,9 @@
 const db = require('../../configurations/sqlConfig/db');
 const { safeQuery } = require('../../configurations/sqlConfig/db'); // your safe query wrapper
 const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps'); // Kenya timezone helper
+const {
+  deceasedBranchCondition,
+} = require('../../middlewares/tenancy/branchScope');
 
 async function handleDeceasedNotifications() {
   console.log({ message: '📢 Running notifications cron Jobs...' });
@@ -67,15 +70,15 @@ async function handleDeceasedNotifications() {
       console.log(`---------------------------------------`);
     }
 
-    // Notify balance for all deceased with status = 'Received'
+    // Notify balance for all newly admitted deceased
     const receivedDeceased = await safeQuery(`
       SELECT deceased_id, full_name, total_mortuary_charge, date_of_birth, status
       FROM deceased
-      WHERE status = 'Received'
+      WHERE status = 'Admitted' AND deleted_at IS NULL
     `);
 
     console.log(
-      `💰 Found ${receivedDeceased.length} deceased body(ies) with status 'Received'`,
+      `💰 Found ${receivedDeceased.length} deceased body(ies) with status 'Admitted'`,
     );
 
     for (const person of receivedDeceased) {
@@ -122,10 +125,15 @@ async function insertNotification(deceased_id, type, message) {
 
 async function getAllNotifications(req, res) {
   try {
-    const notifications = await safeQuery(`
+    const branch = deceasedBranchCondition(req);
+    const notifications = await safeQuery(
+      `
       SELECT * FROM notifications
+      WHERE ${branch.sql}
       ORDER BY created_at DESC
-    `);
+    `,
+      branch.params,
+    );
 
     res.status(200).json({
       success: true,
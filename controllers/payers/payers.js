@@ -0,0 +1,293 @@
+const asyncHandler = require('express-async-handler');
+const { withTransaction } = require('../../configurations/sqlConfig/db');
+const {
+  branchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
+const {
+  PAYER_KINDS,
+  listPayers,
+  getPayer,
+  savePayer,
+  addContract,
+  listBodyPayers,
+  setBodyPayers,
+  payerStatement,
+  consolidateInvoices,
+  listConsolidated,
+  getConsolidated,
+} = require('../../services/payers/payerBilling');
+const {
+  generateInvoicePDFBuffer,
+  generateStatementPDFBuffer,
+} = require('../invoice/invoice');
+const { round2 } = require('../../utilities/helpers/helpers');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const sendError = errorResponder('PAYERS');
+
+const sendPDF = (res, buffer, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(buffer);
+};
+
+// Accepts either the string deceased_id or the numeric row id
+async function findDeceased(tx, req, id) {
+  const branch = branchCondition(req, 'branch_id');
+  return tx.queryOne(
+    `SELECT id, deceased_id, full_name, branch_id FROM deceased
+     WHERE (deceased_id = ? OR id = ?) AND deleted_at IS NULL AND ${branch.sql}
+     FOR UPDATE`,
+    [id, id, ...branch.params],
+  );
+}
+
+// ----------------- Payers -----------------
+const getPayers = asyncHandler(async (req, res) => {
+  const { kind } = req.query;
+  if (kind && !PAYER_KINDS.includes(kind)) {
+    return res.status(400).json({
+      success: false,
+      message: `kind must be one of ${PAYER_KINDS.join(', ')}`,
+    });
+  }
+
+  try {
+    const data = await listPayers({ all: req.query.all === 'true', kind });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load payers');
+  }
+});
+
+const getPayerById = asyncHandler(async (req, res) => {
+  try {
+    const data = await getPayer(req.params.id);
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load payer');
+  }
+});
+
+const addPayer = asyncHandler(async (req, res) => {
+  try {
+    const data = await savePayer(req, null, req.body || {});
+    res
+      .status(201)
+      .json({ success: true, message: `Payer ${data.name} added`, data });
+  } catch (err) {
+    sendError(res, err, 'Add payer');
+  }
+});
+
+const updatePayer = asyncHandler(async (req, res) => {
+  try {
+    const data = await savePayer(req, req.params.id, req.body || {});
+    res
+      .status(200)
+      .json({ success: true, message: `Payer ${data.name} saved`, data });
+  } catch (err) {
+    sendError(res, err, 'Save payer');
+  }
+});
+
+const addPayerContract = asyncHandler(async (req, res) => {
+  try {
+    const data = await addContract(req, req.params.id, req.body || {});
+    res.status(201).json({ success: true, message: 'Contract added', data });
+  } catch (err) {
+    sendError(res, err, 'Add contract');
+  }
+});
+
+// ----------------- Body Payer Splits -----------------
+const getBodyPayers = asyncHandler(async (req, res) => {
+  try {
+    const data = await withTransaction(async (tx) => {
+      const deceased = await findDeceased(tx, req, req.params.deceased_id);
+      return deceased ? listBodyPayers(tx.query, deceased.deceased_id) : null;
+    });
+    if (!data) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Deceased not found' });
+    }
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load body payers');
+  }
+});
+
+// Replaces the body's splits; invoices raised from now on are split by them
+const updateBodyPayers = asyncHandler(async (req, res) => {
+  try {
+    const data = await withTransaction(async (tx) => {
+      const deceased = await findDeceased(tx, req, req.params.deceased_id);
+      return deceased
+        ? setBodyPayers(tx, req, deceased, req.body?.splits)
+        : null;
+    });
+    if (!data) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Deceased not found' });
+    }
+    res.status(200).json({
+      success: true,
+      message: data.length
+        ? `Charges split with ${data.length} payer(s)`
+        : 'Family pays all charges',
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Save body payers');
+  }
+});
+
+// ----------------- Statements -----------------
+const getPayerStatement = asyncHandler(async (req, res) => {
+  const { from, to, format } = req.query;
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be yyyy-mm-dd dates',
+    });
+  }
+
+  try {
+    const statement = await payerStatement(req.params.id, {
+      from,
+      to,
+      branch: branchCondition(req, 'i.branch_id'),
+    });
+    if (format === 'pdf') {
+      return sendPDF(
+        res,
+        await generateStatementPDFBuffer(statement),
+        `statement-${statement.account}.pdf`,
+      );
+    }
+    res.status(200).json({ success: true, data: statement });
+  } catch (err) {
+    sendError(res, err, 'Load payer statement');
+  }
+});
+
+// ----------------- Consolidated Invoices -----------------
+const createConsolidatedInvoice = asyncHandler(async (req, res) => {
+  try {
+    const data = await consolidateInvoices(
+      req,
+      req.params.id,
+      req.body?.period,
+      {
+        branch: branchCondition(req, 'i.branch_id'),
+        branchId: getWriteBranchId(req),
+      },
+    );
+    res.status(201).json({
+      success: true,
+      message: `Consolidated invoice ${data.invoice_number} covers ${data.invoice_count} invoice(s)`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Consolidate invoices');
+  }
+});
+
+const getConsolidatedInvoices = asyncHandler(async (req, res) => {
+  try {
+    const data = await listConsolidated({
+      payerId: req.query.payer_id || null,
+      branch: branchCondition(req, 'c.branch_id'),
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load consolidated invoices');
+  }
+});
+
+const getConsolidatedInvoice = asyncHandler(async (req, res) => {
+  try {
+    const data = await getConsolidated(req.params.id, {
+      branch: branchCondition(req, 'c.branch_id'),
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load consolidated invoice');
+  }
+});
+
+// One line per invoice on it, in the invoice layout; VAT is the sum of the
+// invoices' own breakdowns
+const downloadConsolidatedInvoice = asyncHandler(async (req, res) => {
+  try {
+    const consolidated = await getConsolidated(req.params.id, {
+      branch: branchCondition(req, 'c.branch_id'),
+    });
+
+    const breakdown = {};
+    for (const invoice of consolidated.invoices) {
+      for (const b of invoice.tax_breakdown) {
+        const bucket = (breakdown[b.category] = breakdown[b.category] || {
+          ...b,
+          taxable_amount: 0,
+          tax_amount: 0,
+        });
+        bucket.taxable_amount = round2(
+          bucket.taxable_amount + b.taxable_amount,
+        );
+        bucket.tax_amount = round2(bucket.tax_amount + b.tax_amount);
+      }
+    }
+    const taxBreakdown = Object.values(breakdown).sort((a, b) =>
+      a.category.localeCompare(b.category),
+    );
+
+    const buffer = await generateInvoicePDFBuffer({
+      currency: consolidated.currency,
+      document_label: 'Consolidated Invoice',
+      document_date: String(consolidated.created_at).slice(0, 10),
+      invoice_number: consolidated.invoice_number,
+      reference_line: `Period: ${consolidated.period} | Due: ${String(consolidated.due_date).slice(0, 10)}`,
+      deceased_name: `${consolidated.invoice_count} bodies`,
+      nok_label: 'Bill To',
+      nok: consolidated.payer_name,
+      id_number: consolidated.kra_pin || 'N/A',
+      dod: 'N/A',
+      items: consolidated.invoices.map((i) => ({
+        service: `${i.invoice_number} ${i.full_name || i.deceased_id || ''}${i.member_number ? ` (${i.member_number})` : ''}`,
+        qty: 1,
+        amount: parseFloat(i.total_amount) - parseFloat(i.amount_credited || 0),
+      })),
+      total_amount: consolidated.total_amount,
+      subtotal: round2(taxBreakdown.reduce((s, b) => s + b.taxable_amount, 0)),
+      tax_amount: round2(taxBreakdown.reduce((s, b) => s + b.tax_amount, 0)),
+      tax_breakdown: taxBreakdown.length ? taxBreakdown : null,
+      terms: `Settle each invoice listed by ${String(consolidated.due_date).slice(0, 10)}, quoting its number.`,
+    });
+    sendPDF(res, buffer, `consolidated-${consolidated.invoice_number}.pdf`);
+  } catch (err) {
+    sendError(res, err, 'Download consolidated invoice');
+  }
+});
+
+module.exports = {
+  getPayers,
+  getPayerById,
+  addPayer,
+  updatePayer,
+  addPayerContract,
+  getBodyPayers,
+  updateBodyPayers,
+  getPayerStatement,
+  createConsolidatedInvoice,
+  getConsolidatedInvoices,
+  getConsolidatedInvoice,
+  downloadConsolidatedInvoice,
+};
@@ -1,6 +1,7 @@
 // controllers/deceased/paymentController.js
 const asyncHandler = require('express-async-handler');
 const { safeQuery } = require('../../configurations/sqlConfig/db');
+const { branchCondition } = require('../../middlewares/tenancy/branchScope');
 const fs = require('fs');
 const path = require('path');
 
@@ -22,12 +23,14 @@ const getPaymentHistoryByDeceased = asyncHandler(async (req, res) => {
   }
 
   try {
+    const branch = branchCondition(req, 'd.branch_id');
     const payments = await safeQuery(
-      `SELECT payment_id, reference_code, payment_method, payment_date, amount, description
-       FROM payments
-       WHERE deceased_id = ?
-       ORDER BY payment_date DESC`,
-      [deceased_id],
+      `SELECT p.payment_id, p.reference_code, p.payment_method, p.payment_date, p.amount, p.description
+       FROM payments p
+       JOIN deceased d ON d.id = p.deceased_id
+       WHERE p.deceased_id = ? AND ${branch.sql}
+       ORDER BY p.payment_date DESC`,
+      [deceased_id, ...branch.params],
     );
 
     if (!payments.length) {
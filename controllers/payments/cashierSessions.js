@@ -0,0 +1,176 @@
+const asyncHandler = require('express-async-handler');
+const {
+  branchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
+const { hasPermission } = require('../../middlewares/auth/permissions');
+const {
+  SESSION_STATUSES,
+  openSession,
+  closeSession,
+  signOffSession,
+  getSession,
+  currentSession,
+  listSessions,
+  zReport,
+} = require('../../services/payments/cashierSessions');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const sendError = errorResponder('CASH-UP');
+
+// ----------------- Sessions -----------------
+const openCashierSession = asyncHandler(async (req, res) => {
+  const { opening_float, currency, notes } = req.body || {};
+
+  try {
+    const data = await openSession(req, {
+      openingFloat: opening_float,
+      currency,
+      notes,
+      branchId: getWriteBranchId(req),
+    });
+    res.status(201).json({
+      success: true,
+      message: `Session ${data.session_number} opened`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Open cashier session');
+  }
+});
+
+// The caller's open session with what it should hold so far
+const getCurrentSession = asyncHandler(async (req, res) => {
+  try {
+    const data = await currentSession(req);
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load current session');
+  }
+});
+
+const getCashierSessions = asyncHandler(async (req, res) => {
+  const { status, cashier_id, from, to } = req.query;
+  if (status && !SESSION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of ${SESSION_STATUSES.join(', ')}`,
+    });
+  }
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'from and to must be yyyy-mm-dd' });
+  }
+
+  try {
+    const data = await listSessions({
+      branch: branchCondition(req, 's.branch_id'),
+      status,
+      cashierId: cashier_id,
+      from,
+      to,
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load cashier sessions');
+  }
+});
+
+const getCashierSession = asyncHandler(async (req, res) => {
+  try {
+    const data = await getSession(req.params.id, {
+      branch: branchCondition(req, 's.branch_id'),
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load cashier session');
+  }
+});
+
+// { counts: [{ method, currency?, counted }], note? }. A supervisor may
+// close another cashier's session, e.g. one left open overnight
+const closeCashierSession = asyncHandler(async (req, res) => {
+  const { counts, note } = req.body || {};
+
+  try {
+    const data = await closeSession(req, req.params.id, {
+      counts,
+      note,
+      branch: branchCondition(req, 's.branch_id'),
+      supervisor: await hasPermission(req.user, 'cashup:sign-off'),
+    });
+    res.status(200).json({
+      success: true,
+      message: `Session ${data.session_number} closed with a cash variance of ${data.cash_variance}`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Close cashier session');
+  }
+});
+
+const signOffCashierSession = asyncHandler(async (req, res) => {
+  try {
+    const data = await signOffSession(req, req.params.id, {
+      note: req.body?.note,
+      branch: branchCondition(req, 's.branch_id'),
+    });
+    res.status(200).json({
+      success: true,
+      message: `Session ${data.session_number} signed off; its payments are locked`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Sign off cashier session');
+  }
+});
+
+// ----------------- Z-Report -----------------
+const getZReport = asyncHandler(async (req, res) => {
+  try {
+    const session = await getSession(req.params.id, {
+      branch: branchCondition(req, 's.branch_id'),
+    });
+    res.status(200).json({ success: true, data: zReport(session) });
+  } catch (err) {
+    sendError(res, err, 'Build Z-report');
+  }
+});
+
+// Queued on the counter's thermal printer; the print service is loaded on
+// first use so servers without a printer attached still start
+const printZReport = asyncHandler(async (req, res) => {
+  try {
+    const session = await getSession(req.params.id, {
+      branch: branchCondition(req, 's.branch_id'),
+    });
+    const slip = zReport(session);
+    const {
+      queueThermalPrint,
+    } = require('../../services/printservices/printHandler');
+    await queueThermalPrint(slip);
+    res.status(202).json({
+      success: true,
+      message: `Z-report for ${session.session_number} sent to the printer`,
+      data: slip,
+    });
+  } catch (err) {
+    sendError(res, err, 'Print Z-report');
+  }
+});
+
+module.exports = {
+  openCashierSession,
+  getCurrentSession,
+  getCashierSessions,
+  getCashierSession,
+  closeCashierSession,
+  signOffCashierSession,
+  getZReport,
+  printZReport,
+};
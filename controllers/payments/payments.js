@@ -0,0 +1,238 @@
+const asyncHandler = require('express-async-handler');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  branchCondition,
+  deceasedBranchCondition,
+} = require('../../middlewares/tenancy/branchScope');
+const {
+  ADJUSTMENT_KINDS,
+  ADJUSTMENT_STATUSES,
+  loadPayment,
+  paymentPosition,
+  paymentAllocations,
+  allocatePayment,
+  requestAdjustment,
+  decideAdjustment,
+} = require('../../services/payments/paymentAllocation');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const sendError = errorResponder('PAYMENTS');
+
+const notFound = (res, what) =>
+  res.status(404).json({ success: false, message: `${what} not found` });
+
+// The body a payment belongs to, in the shape the ledger expects
+const payerOf = (payment) => ({
+  id: payment.deceased_row_id,
+  deceased_id: payment.account_id,
+  branch_id: payment.branch_id,
+  currency: payment.billing_currency,
+});
+
+// ----------------- Payments -----------------
+const getPayment = asyncHandler(async (req, res) => {
+  const branch = branchCondition(req, 'd.branch_id');
+
+  try {
+    const data = await withTransaction(async (tx) => {
+      const payment = await loadPayment(tx, req.params.payment_id, {
+        branch,
+      });
+      if (!payment) return null;
+      return {
+        payment,
+        position: await paymentPosition(tx, payment),
+        allocations: await paymentAllocations(tx, payment.payment_id),
+        adjustments: await tx.query(
+          `SELECT * FROM payment_adjustments
+           WHERE payment_id = ? ORDER BY requested_at, id`,
+          [payment.payment_id],
+        ),
+      };
+    });
+    if (!data) return notFound(res, 'Payment');
+
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load payment');
+  }
+});
+
+// Allocate what is still on account. Without `allocations` it goes to the
+// body's oldest open invoices.
+const allocatePaymentToInvoices = asyncHandler(async (req, res) => {
+  const { allocations } = req.body || {};
+  if (allocations !== undefined && !Array.isArray(allocations)) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'allocations must be an array' });
+  }
+  const branch = branchCondition(req, 'd.branch_id');
+
+  try {
+    const outcome = await withTransaction(async (tx) => {
+      const payment = await loadPayment(tx, req.params.payment_id, {
+        lock: true,
+        branch,
+      });
+      if (!payment) return null;
+      return allocatePayment(tx, req, payment, allocations);
+    });
+    if (!outcome) return notFound(res, 'Payment');
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment allocated',
+      data: outcome,
+    });
+  } catch (err) {
+    sendError(res, err, 'Allocate payment');
+  }
+});
+
+// ----------------- Reversals & Credit Notes -----------------
+const requestReversal = asyncHandler(async (req, res) => {
+  const branch = branchCondition(req, 'd.branch_id');
+
+  try {
+    const reversal = await withTransaction(async (tx) => {
+      const payment = await loadPayment(tx, req.params.payment_id, {
+        lock: true,
+        branch,
+      });
+      if (!payment) return null;
+      return requestAdjustment(tx, req, payerOf(payment), 'reversal', {
+        payment_id: payment.payment_id,
+        reason: req.body?.reason,
+      });
+    });
+    if (!reversal) return notFound(res, 'Payment');
+
+    res.status(201).json({
+      success: true,
+      message: `Reversal ${reversal.adjustment_number} is waiting for approval`,
+      data: reversal,
+    });
+  } catch (err) {
+    sendError(res, err, 'Request reversal');
+  }
+});
+
+const requestCreditNote = asyncHandler(async (req, res) => {
+  const { amount, reason } = req.body || {};
+  const branch = branchCondition(req, 'i.branch_id');
+
+  try {
+    const creditNote = await withTransaction(async (tx) => {
+      const deceased = await tx.queryOne(
+        `SELECT d.id, d.deceased_id, d.branch_id, d.currency
+         FROM invoices i
+         JOIN deceased d ON d.id = i.deceased_id
+         WHERE i.id = ? AND i.deleted_at IS NULL AND ${branch.sql}
+         FOR UPDATE`,
+        [req.params.id, ...branch.params],
+      );
+      if (!deceased) return null;
+      return requestAdjustment(tx, req, deceased, 'credit_note', {
+        invoice_id: req.params.id,
+        amount,
+        reason,
+      });
+    });
+    if (!creditNote) return notFound(res, 'Invoice');
+
+    res.status(201).json({
+      success: true,
+      message: `Credit note ${creditNote.adjustment_number} is waiting for approval`,
+      data: creditNote,
+    });
+  } catch (err) {
+    sendError(res, err, 'Request credit note');
+  }
+});
+
+// ----------------- Approvals -----------------
+const getAdjustments = asyncHandler(async (req, res) => {
+  const { status, kind, deceased_id } = req.query;
+  const branch = deceasedBranchCondition(req, 'deceased_id');
+  const where = [branch.sql];
+  const params = [...branch.params];
+
+  if (status) {
+    if (!ADJUSTMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${ADJUSTMENT_STATUSES.join(', ')}`,
+      });
+    }
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (kind) {
+    if (!ADJUSTMENT_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `kind must be one of ${ADJUSTMENT_KINDS.join(', ')}`,
+      });
+    }
+    where.push('kind = ?');
+    params.push(kind);
+  }
+  if (deceased_id) {
+    where.push('deceased_id = ?');
+    params.push(deceased_id);
+  }
+
+  try {
+    const adjustments = await safeQuery(
+      `SELECT * FROM payment_adjustments
+       WHERE ${where.join(' AND ')}
+       ORDER BY requested_at DESC, id DESC
+       LIMIT 500`,
+      params,
+    );
+    res
+      .status(200)
+      .json({ success: true, count: adjustments.length, data: adjustments });
+  } catch (err) {
+    sendError(res, err, 'Load payment adjustments');
+  }
+});
+
+const decide = (approve) =>
+  asyncHandler(async (req, res) => {
+    try {
+      const adjustment = await withTransaction((tx) =>
+        decideAdjustment(tx, req, req.params.id, {
+          approve,
+          note: req.body?.note,
+          branch: deceasedBranchCondition(req, 'deceased_id'),
+        }),
+      );
+      res.status(200).json({
+        success: true,
+        message: `${adjustment.adjustment_number} ${adjustment.status.toLowerCase()}`,
+        data: adjustment,
+      });
+    } catch (err) {
+      sendError(res, err, approve ? 'Approve adjustment' : 'Reject adjustment');
+    }
+  });
+
+const approveAdjustment = decide(true);
+const rejectAdjustment = decide(false);
+
+module.exports = {
+  getPayment,
+  allocatePaymentToInvoices,
+  requestReversal,
+  requestCreditNote,
+  getAdjustments,
+  approveAdjustment,
+  rejectAdjustment,
+};
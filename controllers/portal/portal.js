@@ -1,184 +1,91 @@
 const asyncHandler = require('express-async-handler');
 const { safeQuery } = require('../../configurations/sqlConfig/db');
-const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
 const fs = require('fs');
 const path = require('path');
+const {
+  requestCode,
+  verifyCode,
+  endSession,
+  portalView,
+} = require('../../services/portal/portalAuth');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const sendError = errorResponder('PORTAL');
+
 // -----------------------------------
 // Login / Portal Access
 // -----------------------------------
-const getPortalDeceasedById = asyncHandler(async (req, res) => {
-  const { identifier } = req.body;
-
+// { identifier: phone or admission number, channel? }
+const requestPortalCode = asyncHandler(async (req, res) => {
+  const { identifier, channel } = req.body || {};
   if (!identifier) {
     return res.status(400).json({
+      success: false,
       message: 'Identifier is required (phone number or admission number).',
     });
   }
 
-  // Detect input type
-  const isPhone = /^[0-9]{10,15}$/.test(identifier);
-  const isAdm = /^[A-Z0-9-]{3,20}$/i.test(identifier);
-
-  if (!isPhone && !isAdm) {
-    return res.status(400).json({
-      message: 'Use a valid phone number (10–15 digits) or admission number.',
+  try {
+    const { outcome, ...data } = await requestCode({
+      identifier,
+      channel,
+      ip: req.ip,
     });
-  }
-
-  let deceased_id = null;
-  let deceasedRows = [];
-
-  // -------------------------------
-  // 1️⃣ ADMISSION NUMBER LOGIN
-  // -------------------------------
-  if (isAdm) {
-    deceased_id = identifier.toUpperCase();
-
-    deceasedRows = await safeQuery(
-      `SELECT d.*, p.status AS portal_status
-       FROM deceased d
-       LEFT JOIN portal_tracking p ON d.deceased_id = p.deceased_id
-       WHERE d.deceased_id = ?`,
-      [deceased_id],
-    );
-  }
-
-  // -------------------------------
-  // 2️⃣ PHONE NUMBER LOGIN (find most recent kin)
-  // -------------------------------
-  if (isPhone) {
-    deceasedRows = await safeQuery(
-      `SELECT d.*, p.status AS portal_status
-       FROM deceased d
-       LEFT JOIN portal_tracking p ON d.deceased_id = p.deceased_id
-       WHERE EXISTS (
-         SELECT 1 FROM next_of_kin k
-         WHERE k.deceased_id = d.deceased_id
-         AND k.contact = ?
-       )
-       ORDER BY d.date_admitted DESC
-       LIMIT 1`,
-      [identifier],
-    );
-
-    if (deceasedRows.length > 0) {
-      deceased_id = deceasedRows[0].deceased_id;
+    if (outcome !== 'sent') {
+      console.log(`ℹ️ [PORTAL] Code request ${data.request_id}: ${outcome}`);
     }
-  }
-
-  if (!deceasedRows.length) {
-    return res.status(404).json({
-      message: 'No deceased found matching this identifier.',
+    // Same answer whether or not anything matched
+    res.status(200).json({
+      success: true,
+      message:
+        "If the details match our records, a code has been sent to the next of kin's phone.",
+      data,
     });
+  } catch (err) {
+    sendError(res, err, 'Request portal code');
   }
+});
 
-  const deceased = deceasedRows[0];
+// { request_id, code }
+const verifyPortalCode = asyncHandler(async (req, res) => {
+  const { request_id, code } = req.body || {};
 
-  // Block completed records
-  if (deceased.portal_status === 'completed' || deceased.has_certificate) {
-    return res.status(403).json({
-      message: 'Access denied. This record is already completed.',
+  try {
+    const data = await verifyCode({
+      requestId: request_id,
+      code: String(code ?? '').trim(),
+      ip: req.ip,
     });
+    res.status(200).json({ success: true, message: 'Access granted.', data });
+  } catch (err) {
+    sendError(res, err, 'Verify portal code');
   }
+});
 
-  // Limit concurrent logins to 2
-  const activeSessions = await safeQuery(
-    `SELECT COUNT(*) AS count FROM portal_sessions 
-     WHERE deceased_id = ? AND active = TRUE`,
-    [deceased_id],
-  );
-
-  if (activeSessions[0].count >= 2) {
-    return res.status(403).json({
-      message: 'Too many people are viewing this profile right now.',
-    });
+const getPortalDeceased = asyncHandler(async (req, res) => {
+  try {
+    const deceased = await portalView(req.portal);
+    res.status(200).json({ success: true, deceased });
+  } catch (err) {
+    sendError(res, err, 'Load portal record');
   }
+});
 
-  // -------------------------------
-  //  Get MOST RECENT next-of-kin for display
-  // -------------------------------
-  const [kin] = await safeQuery(
-    `SELECT full_name, relationship, contact
-     FROM next_of_kin
-     WHERE deceased_id = ?
-     ORDER BY created_at DESC
-     LIMIT 1`,
-    [deceased_id],
-  );
-
-  // Register a session (no name needed)
-  await safeQuery(
-    `INSERT INTO portal_sessions (deceased_id, logged_in_at)
-     VALUES (?, ?)`,
-    [deceased_id, getKenyaTimeISO()],
-  );
-
-  // Fetch full deceased portal profile
-  const rows = await safeQuery(
-    `SELECT d.deceased_id, d.full_name AS deceased_name, d.date_of_death,
-            d.cause_of_death, d.total_mortuary_charge, d.coffin_status,
-            d.dispatch_date, d.date_admitted,
-            TIMESTAMPDIFF(DAY, d.date_admitted, NOW()) AS days_in_morgue,
-            p.status AS portal_status, p.remarks AS portal_remarks,
-            a.findings AS autopsy_findings
-     FROM deceased d
-     LEFT JOIN portal_tracking p ON d.deceased_id = p.deceased_id
-     LEFT JOIN postmortem a ON d.deceased_id = a.deceased_id
-     WHERE d.deceased_id = ?
-     LIMIT 1`,
-    [deceased_id],
-  );
-
-  const rec = rows[0];
-  const [mort] = await safeQuery(
-    `SELECT name, phone, address FROM mortuaries LIMIT 1`,
-  );
-
-  // -------------------------------
-  //  SEND PORTAL DATA
-  // -------------------------------
-  res.status(200).json({
-    message: 'Access granted.',
-    deceased: {
-      deceased_id: rec.deceased_id,
-      deceased_name: rec.deceased_name,
-      date_of_death: rec.date_of_death,
-      cause_of_death: rec.cause_of_death,
-      total_mortuary_charge: rec.total_mortuary_charge,
-      coffin_status: rec.coffin_status,
-      date_admitted: rec.date_admitted,
-      dispatch_date: rec.dispatch_date,
-      days_in_morgue: rec.days_in_morgue,
-      status: rec.portal_status || 'pending',
-      remarks: rec.portal_remarks || null,
-      kin: {
-        full_name: kin?.full_name || 'Next-of-kin not recorded',
-        relationship: kin?.relationship || null,
-        contact: kin?.contact || identifier,
-      },
-      autopsy_findings: rec.autopsy_findings || 'N/A',
-      mortuary: {
-        name: mort?.name || 'N/A',
-        phone: mort?.phone || 'N/A',
-        address: mort?.address || 'N/A',
-      },
-    },
-  });
+const logoutPortal = asyncHandler(async (req, res) => {
+  try {
+    await endSession(req.portal.session_key);
+    res.status(200).json({ success: true, message: 'Signed out.' });
+  } catch (err) {
+    sendError(res, err, 'Sign out of portal');
+  }
 });
 
 // ------------------- Download Autopsy PDF -------------------
+// Only for the body the portal session was opened for
 const downloadAutopsyPDF = asyncHandler(async (req, res) => {
-  const { deceased_id, next_of_kin_name } = req.body;
-
-  if (!deceased_id || !next_of_kin_name)
-    return res.status(400).json({ message: 'Required fields missing' });
-
-  const kinCheck = await safeQuery(
-    `SELECT full_name FROM next_of_kin WHERE deceased_id = ? AND LOWER(full_name) = LOWER(?)`,
-    [deceased_id, next_of_kin_name],
-  );
-  if (!kinCheck.length)
-    return res.status(403).json({ message: 'Access denied' });
+  const { deceased_id } = req.portal;
 
   const pdfPath = path.join(
     __dirname,
@@ -197,7 +104,8 @@ const getMinisterDeceasedRecords = asyncHandler(async (req, res) => {
             p.status, p.remarks, d.created_at
      FROM deceased d
      LEFT JOIN portal_tracking p ON d.deceased_id = p.deceased_id
-     WHERE (p.status IS NULL OR p.status != 'completed')
+     WHERE d.deleted_at IS NULL
+       AND (p.status IS NULL OR p.status != 'completed')
        AND (d.has_certificate IS NULL OR d.has_certificate = 0)
      ORDER BY d.created_at DESC`,
   );
@@ -211,7 +119,10 @@ const getMinisterDeceasedRecords = asyncHandler(async (req, res) => {
 });
 
 module.exports = {
-  getPortalDeceasedById,
+  requestPortalCode,
+  verifyPortalCode,
+  getPortalDeceased,
+  logoutPortal,
   downloadAutopsyPDF,
   getMinisterDeceasedRecords,
 };
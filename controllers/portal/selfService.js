@@ -0,0 +1,299 @@
+const asyncHandler = require('express-async-handler');
+const { branchCondition } = require('../../middlewares/tenancy/branchScope');
+const {
+  getAccount,
+  startPayment,
+  getPaymentStatus,
+  listDocuments,
+  invoicePdf,
+  releaseFormPdf,
+  burialNotificationPdf,
+} = require('../../services/portal/familyAccount');
+const {
+  createDocumentRequest,
+  listDocumentRequests,
+  cancelDocumentRequest,
+  listFamilyRequests,
+  saveFamilyUploads,
+} = require('../../services/portal/familyDocuments');
+const {
+  coffinCatalogue,
+  currentCoffinChoice,
+  chooseCoffin,
+  listPendingCoffinChoices,
+  viewingSlots,
+  listViewings,
+  bookViewing,
+  cancelViewing,
+} = require('../../services/portal/serviceChoices');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const sendError = errorResponder('PORTAL');
+
+// { filename, buffer } or { filename, filePath } as a PDF download
+const sendPdf = (res, { filename, buffer, filePath }) => {
+  if (filePath) return res.download(filePath, filename);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  return res.send(buffer);
+};
+
+// ----------------- Balance and Payments -----------------
+const getPortalAccount = asyncHandler(async (req, res) => {
+  try {
+    const data = await getAccount(req.portal);
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load account');
+  }
+});
+
+// { invoice_id?, phone?, amount? } - an M-Pesa prompt to the phone
+const payPortalBalance = asyncHandler(async (req, res) => {
+  const { invoice_id, phone, amount } = req.body || {};
+
+  try {
+    const data = await startPayment(req, req.portal, {
+      invoiceId: invoice_id,
+      phone,
+      amount,
+    });
+    res.status(202).json({
+      success: true,
+      message: `Enter your M-Pesa PIN on ${data.phone} to pay KES ${data.amount}`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Start payment');
+  }
+});
+
+const getPortalPayment = asyncHandler(async (req, res) => {
+  try {
+    const data = await getPaymentStatus(req.portal, req.params.id);
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load payment');
+  }
+});
+
+// ----------------- Documents -----------------
+const getPortalDocuments = asyncHandler(async (req, res) => {
+  try {
+    const [documents, requests] = await Promise.all([
+      listDocuments(req.portal),
+      listFamilyRequests(req.portal),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: { ...documents, requested: requests },
+    });
+  } catch (err) {
+    sendError(res, err, 'Load documents');
+  }
+});
+
+const downloadPortalInvoice = asyncHandler(async (req, res) => {
+  try {
+    sendPdf(res, await invoicePdf(req.portal, req.params.id));
+  } catch (err) {
+    sendError(res, err, 'Download invoice');
+  }
+});
+
+const downloadPortalReleaseForm = asyncHandler(async (req, res) => {
+  try {
+    sendPdf(res, await releaseFormPdf(req.portal, req.params.id));
+  } catch (err) {
+    sendError(res, err, 'Download release form');
+  }
+});
+
+const downloadPortalBurialNotification = asyncHandler(async (req, res) => {
+  try {
+    sendPdf(res, await burialNotificationPdf(req.portal));
+  } catch (err) {
+    sendError(res, err, 'Download burial notification');
+  }
+});
+
+// multipart: files[], request_id?
+const uploadPortalDocuments = asyncHandler(async (req, res) => {
+  try {
+    const data = await saveFamilyUploads(req.portal, req.files, {
+      requestId: req.body?.request_id,
+    });
+    res.status(201).json({
+      success: true,
+      message: `${data.files.length} file(s) received. Thank you.`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Upload documents');
+  }
+});
+
+// ----------------- Coffin -----------------
+const getPortalCoffins = asyncHandler(async (req, res) => {
+  try {
+    const [coffins, choice] = await Promise.all([
+      coffinCatalogue(req.portal),
+      currentCoffinChoice(req.portal),
+    ]);
+    res.status(200).json({
+      success: true,
+      count: coffins.length,
+      data: coffins,
+      choice,
+    });
+  } catch (err) {
+    sendError(res, err, 'Load coffins');
+  }
+});
+
+// { coffin_id, note? }
+const choosePortalCoffin = asyncHandler(async (req, res) => {
+  const { coffin_id, note } = req.body || {};
+
+  try {
+    const data = await chooseCoffin(req.portal, { coffinId: coffin_id, note });
+    res.status(201).json({
+      success: true,
+      message: `${data.type} chosen. The mortuary will confirm it with you.`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Choose coffin');
+  }
+});
+
+// ----------------- Viewing -----------------
+const getPortalViewingSlots = asyncHandler(async (req, res) => {
+  try {
+    const data = await viewingSlots(req.portal, req.query.date);
+    res.status(200).json({ success: true, date: req.query.date, data });
+  } catch (err) {
+    sendError(res, err, 'Load viewing slots');
+  }
+});
+
+const getPortalViewings = asyncHandler(async (req, res) => {
+  try {
+    const data = await listViewings(req.portal);
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load viewings');
+  }
+});
+
+// { date, time, visitors?, room_id?, waitlist? }
+const bookPortalViewing = asyncHandler(async (req, res) => {
+  const { date, time, visitors, room_id, waitlist } = req.body || {};
+
+  try {
+    const data = await bookViewing(req.portal, {
+      date,
+      time,
+      visitors,
+      roomId: room_id,
+      waitlist,
+    });
+    res.status(201).json({
+      success: true,
+      message:
+        data.status === 'waitlisted'
+          ? `You are on the waitlist for ${date} at ${time}. We will message you if a room frees up.`
+          : `Viewing requested for ${date} at ${time}. The mortuary will confirm it.`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Book viewing');
+  }
+});
+
+const cancelPortalViewing = asyncHandler(async (req, res) => {
+  try {
+    await cancelViewing(req.portal, req.params.id);
+    res.status(200).json({ success: true, message: 'Viewing cancelled' });
+  } catch (err) {
+    sendError(res, err, 'Cancel viewing');
+  }
+});
+
+// ----------------- Staff -----------------
+// { title, category?, note? }
+const addDocumentRequest = asyncHandler(async (req, res) => {
+  try {
+    const data = await createDocumentRequest(
+      req,
+      req.params.deceasedId,
+      req.body || {},
+      { branch: branchCondition(req, 'd.branch_id') },
+    );
+    res.status(201).json({
+      success: true,
+      message: `Family asked for: ${data.title}`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Request document');
+  }
+});
+
+const getDocumentRequests = asyncHandler(async (req, res) => {
+  try {
+    const data = await listDocumentRequests(req.params.deceasedId, {
+      branch: branchCondition(req, 'd.branch_id'),
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load document requests');
+  }
+});
+
+const cancelDocumentRequestById = asyncHandler(async (req, res) => {
+  try {
+    const data = await cancelDocumentRequest(req, req.params.id, {
+      branch: branchCondition(req, 'd.branch_id'),
+    });
+    res
+      .status(200)
+      .json({ success: true, message: 'Document request cancelled', data });
+  } catch (err) {
+    sendError(res, err, 'Cancel document request');
+  }
+});
+
+const getPendingCoffinChoices = asyncHandler(async (req, res) => {
+  try {
+    const data = await listPendingCoffinChoices({
+      branch: branchCondition(req, 'd.branch_id'),
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load coffin choices');
+  }
+});
+
+module.exports = {
+  getPortalAccount,
+  payPortalBalance,
+  getPortalPayment,
+  getPortalDocuments,
+  downloadPortalInvoice,
+  downloadPortalReleaseForm,
+  downloadPortalBurialNotification,
+  uploadPortalDocuments,
+  getPortalCoffins,
+  choosePortalCoffin,
+  getPortalViewingSlots,
+  getPortalViewings,
+  bookPortalViewing,
+  cancelPortalViewing,
+  addDocumentRequest,
+  getDocumentRequests,
+  cancelDocumentRequestById,
+  getPendingCoffinChoices,
+};
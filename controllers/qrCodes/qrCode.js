@@ -1,8 +1,12 @@
 const QRCode = require('qrcode');
 const { safeQuery } = require('../../configurations/sqlConfig/db');
 const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { AppError } = require('../../middlewares/errorHandler/errorHandler');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
 
-async function generateQRCodeForDeceased(deceasedId) {
+// Bodies outside `branch` are reported as missing
+async function generateQRCodeForDeceased(deceasedId, branch) {
+  const scope = orAllBranches(branch);
   try {
     console.log(
       '🟡 STEP 1: Starting QR generation for deceased ID:',
@@ -11,12 +15,12 @@ async function generateQRCodeForDeceased(deceasedId) {
 
     // Fetch deceased information from the database
     const deceasedRows = await safeQuery(
-      `SELECT * FROM deceased WHERE deceased_id = ?`,
-      [deceasedId],
+      `SELECT * FROM deceased WHERE deceased_id = ? AND ${scope.sql}`,
+      [deceasedId, ...scope.params],
     );
 
     if (deceasedRows.length === 0) {
-      throw new Error('Deceased not found');
+      throw new AppError('Deceased not found', 404);
     }
 
     const deceased = deceasedRows[0];
@@ -0,0 +1,258 @@
+const asyncHandler = require('express-async-handler');
+const {
+  branchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
+const {
+  QUOTE_STATUSES,
+  listPackages,
+  setPackage,
+  estimateQuote,
+  createQuote,
+  listQuotes,
+  getQuote,
+  decideQuote,
+  convertQuote,
+  linkQuoteInvoice,
+} = require('../../services/quotes/quotations');
+const { kesEquivalent } = require('../../services/currency/currency');
+const {
+  generateInvoicePDFBuffer,
+  raiseSystemInvoice,
+} = require('../invoice/invoice');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const sendError = errorResponder('QUOTES');
+
+// ----------------- Service Packages -----------------
+const getServicePackages = asyncHandler(async (req, res) => {
+  try {
+    const data = await listPackages({ all: req.query.all === 'true' });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load service packages');
+  }
+});
+
+const updateServicePackage = asyncHandler(async (req, res) => {
+  try {
+    const data = await setPackage(req, req.params.code, req.body || {});
+    res.status(200).json({
+      success: true,
+      message: `Package ${data.code} saved`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Save service package');
+  }
+});
+
+// ----------------- Quotes -----------------
+// Price a quote without saving it, e.g. while the family compares packages
+const previewQuote = asyncHandler(async (req, res) => {
+  try {
+    const data = await estimateQuote(req.body || {}, {
+      branchId: getWriteBranchId(req),
+      coffinBranch: branchCondition(req, 'branch_id'),
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Price quote');
+  }
+});
+
+const addQuote = asyncHandler(async (req, res) => {
+  try {
+    const data = await createQuote(req, req.body || {}, {
+      branchId: getWriteBranchId(req),
+      coffinBranch: branchCondition(req, 'branch_id'),
+    });
+    res.status(201).json({
+      success: true,
+      message: `Quote ${data.quote_number} valid until ${data.valid_until}`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Create quote');
+  }
+});
+
+const getQuotes = asyncHandler(async (req, res) => {
+  const { status, search, limit } = req.query;
+  if (status && !QUOTE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of ${QUOTE_STATUSES.join(', ')}`,
+    });
+  }
+
+  try {
+    const data = await listQuotes({
+      branch: branchCondition(req, 'q.branch_id'),
+      status,
+      search,
+      limit,
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load quotes');
+  }
+});
+
+const getQuoteById = asyncHandler(async (req, res) => {
+  try {
+    const data = await getQuote(req.params.id, {
+      branch: branchCondition(req, 'q.branch_id'),
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load quote');
+  }
+});
+
+// Quotes use the invoice layout, labelled "Quotation" with their validity
+const downloadQuote = asyncHandler(async (req, res) => {
+  try {
+    const quote = await getQuote(req.params.id, {
+      branch: branchCondition(req, 'q.branch_id'),
+    });
+
+    // KES equivalent today, for foreign-currency quotes
+    let fx = {};
+    if (quote.currency !== 'KES') {
+      try {
+        const kes = await kesEquivalent(quote.total_amount, quote.currency);
+        fx = {
+          total_kes: kes.amount_kes,
+          exchange_rate: kes.exchange_rate,
+          rate_date: kes.rate_date,
+        };
+      } catch (err) {
+        if (err.code !== 'RATE_MISSING') throw err;
+      }
+    }
+
+    const validUntil = String(quote.valid_until).slice(0, 10);
+    const buffer = await generateInvoicePDFBuffer({
+      ...fx,
+      currency: quote.currency,
+      document_label: 'Quotation',
+      document_date: String(quote.created_at).slice(0, 10),
+      invoice_number: quote.quote_number,
+      reference_line: `Valid until: ${validUntil}${quote.package_name ? ` | Package: ${quote.package_name}` : ''}`,
+      deceased_name: quote.deceased_name || 'To be confirmed',
+      nok: quote.client_name,
+      id_number: quote.client_phone || 'N/A',
+      dod: 'N/A',
+      items: quote.items,
+      total_amount: quote.total_amount,
+      subtotal: quote.subtotal,
+      tax_amount: quote.tax_amount,
+      tax_breakdown: quote.tax_breakdown,
+      payment_status: quote.status === 'Open' ? null : quote.status,
+      terms:
+        `This is an estimate, valid until ${validUntil}. ` +
+        (quote.storage_days > 0
+          ? `Storage is quoted for ${quote.storage_days} days from ${String(quote.expected_admission).slice(0, 10)} and billed for the days the body actually stays. `
+          : '') +
+        'Coffin prices are held once the quote is accepted, subject to stock.',
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="quote-${quote.quote_number}.pdf"`,
+    );
+    res.send(buffer);
+  } catch (err) {
+    sendError(res, err, 'Download quote');
+  }
+});
+
+const acceptQuote = asyncHandler(async (req, res) => {
+  try {
+    const data = await decideQuote(req, req.params.id, {
+      accept: true,
+      note: req.body?.note,
+      branch: branchCondition(req, 'q.branch_id'),
+    });
+    res.status(200).json({ success: true, message: 'Quote accepted', data });
+  } catch (err) {
+    sendError(res, err, 'Accept quote');
+  }
+});
+
+const declineQuote = asyncHandler(async (req, res) => {
+  try {
+    const data = await decideQuote(req, req.params.id, {
+      accept: false,
+      note: req.body?.note,
+      branch: branchCondition(req, 'q.branch_id'),
+    });
+    res.status(200).json({ success: true, message: 'Quote declined', data });
+  } catch (err) {
+    sendError(res, err, 'Decline quote');
+  }
+});
+
+// Bill an accepted quote to the registered body and raise its system
+// invoice. The conversion stands even if the invoice fails; raise it again
+// with POST /invoices/system-invoice.
+const convertQuoteToInvoice = asyncHandler(async (req, res) => {
+  try {
+    const converted = await convertQuote(req, req.params.id, {
+      deceasedId: req.body?.deceased_id,
+      branch: branchCondition(req, 'q.branch_id'),
+      bodyBranch: branchCondition(req, 'd.branch_id'),
+    });
+
+    let invoice = null;
+    let invoiceError = null;
+    if (converted.charges.length > 0) {
+      try {
+        invoice = await raiseSystemInvoice(req, converted.deceased.id);
+        await linkQuoteInvoice(converted.quote.id, invoice.invoice_id);
+      } catch (err) {
+        console.error(
+          `❌ [QUOTES] Invoice for quote ${converted.quote.quote_number}:`,
+          err.message,
+        );
+        invoiceError = err.message;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: invoice
+        ? `Quote ${converted.quote.quote_number} billed on invoice ${invoice.invoice_number}`
+        : `Quote ${converted.quote.quote_number} billed to ${converted.deceased.deceased_id}`,
+      data: {
+        quote: {
+          ...converted.quote,
+          invoice_id: invoice?.invoice_id ?? null,
+        },
+        charges: converted.charges,
+        balance: converted.balance,
+        invoice,
+        ...(invoiceError ? { invoice_error: invoiceError } : {}),
+      },
+    });
+  } catch (err) {
+    sendError(res, err, 'Convert quote');
+  }
+});
+
+module.exports = {
+  getServicePackages,
+  updateServicePackage,
+  previewQuote,
+  addQuote,
+  getQuotes,
+  getQuoteById,
+  downloadQuote,
+  acceptQuote,
+  declineQuote,
+  convertQuoteToInvoice,
+};
@@ -0,0 +1,433 @@
+const asyncHandler = require('express-async-handler');
+const ExcelJS = require('exceljs');
+const { withTransaction } = require('../../configurations/sqlConfig/db');
+const { branchCondition } = require('../../middlewares/tenancy/branchScope');
+const {
+  AGING_BUCKETS,
+  agingReport,
+  payerAgingReport,
+  debtorDetail,
+  addFollowup,
+  pauseReminders,
+  sendReminder,
+} = require('../../services/receivables/receivables');
+const {
+  PLAN_STATUSES,
+  createPlan,
+  getPlan,
+  listPlans,
+  cancelPlan,
+  setReleaseAllowed,
+} = require('../../services/receivables/paymentPlans');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const XLSX_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const sendError = errorResponder('RECEIVABLES');
+
+const sendWorkbook = (res, buffer, filename) => {
+  res.setHeader('Content-Type', XLSX_TYPE);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.send(buffer);
+};
+
+// Only json and xlsx; anything else is answered with a 400 by the caller
+const formatOf = (req) => String(req.query.format || 'json').toLowerCase();
+
+// Accepts either the string deceased_id or the numeric row id
+async function findDeceased(tx, req, id) {
+  const branch = branchCondition(req, 'branch_id');
+  return tx.queryOne(
+    `SELECT id, deceased_id, full_name, branch_id, currency, balance FROM deceased
+     WHERE (deceased_id = ? OR id = ?) AND deleted_at IS NULL AND ${branch.sql}
+     FOR UPDATE`,
+    [id, id, ...branch.params],
+  );
+}
+
+// ----------------- Excel -----------------
+function newWorkbook() {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Lee Funeral Home - MMS';
+  workbook.created = new Date();
+  return workbook;
+}
+
+function addSheet(workbook, name, columns, rows, moneyKeys) {
+  const worksheet = workbook.addWorksheet(name);
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+  rows.forEach((row) => worksheet.addRow(row));
+  moneyKeys.forEach((key) => {
+    worksheet.getColumn(key).numFmt = '#,##0.00';
+  });
+  return worksheet;
+}
+
+const bucketColumns = () =>
+  AGING_BUCKETS.map(({ key, label }) => ({
+    header: `${label} days`,
+    key,
+    width: 14,
+  }));
+
+async function agingWorkbook(report) {
+  const workbook = newWorkbook();
+  const moneyKeys = [
+    'balance',
+    'payer_outstanding',
+    'family_balance',
+    ...AGING_BUCKETS.map((b) => b.key),
+  ];
+
+  addSheet(
+    workbook,
+    `Aging ${report.as_of}`,
+    [
+      { header: 'Deceased ID', key: 'deceased_id', width: 16 },
+      { header: 'Name', key: 'full_name', width: 28 },
+      { header: 'Status', key: 'status', width: 18 },
+      { header: 'Held', key: 'held', width: 8 },
+      { header: 'Currency', key: 'currency', width: 10 },
+      { header: 'Balance', key: 'balance', width: 14 },
+      { header: 'Payers Owe', key: 'payer_outstanding', width: 14 },
+      { header: 'Family Owes', key: 'family_balance', width: 14 },
+      ...bucketColumns(),
+      { header: 'Oldest (days)', key: 'oldest_days', width: 14 },
+      { header: 'Next of Kin', key: 'kin_name', width: 24 },
+      { header: 'Contact', key: 'kin_contact', width: 16 },
+      { header: 'Plan', key: 'plan_number', width: 12 },
+      { header: 'Last Payment', key: 'last_payment_at', width: 20 },
+      { header: 'Last Reminder', key: 'last_reminder_at', width: 20 },
+    ],
+    report.rows.map((row) => ({
+      ...row,
+      held: row.held_for_payment ? 'Yes' : '',
+    })),
+    moneyKeys,
+  );
+  addSheet(
+    workbook,
+    'Totals',
+    [
+      { header: 'Currency', key: 'currency', width: 10 },
+      { header: 'Bodies', key: 'bodies', width: 10 },
+      { header: 'Held', key: 'held_for_payment', width: 10 },
+      { header: 'Balance', key: 'balance', width: 14 },
+      { header: 'Payers Owe', key: 'payer_outstanding', width: 14 },
+      { header: 'Family Owes', key: 'family_balance', width: 14 },
+      ...bucketColumns(),
+    ],
+    report.totals,
+    moneyKeys,
+  );
+  return workbook.xlsx.writeBuffer();
+}
+
+async function payerAgingWorkbook(report) {
+  const workbook = newWorkbook();
+  addSheet(
+    workbook,
+    `Payer Aging ${report.as_of}`,
+    [
+      { header: 'Payer', key: 'payer_name', width: 30 },
+      { header: 'Kind', key: 'kind', width: 10 },
+      { header: 'Currency', key: 'currency', width: 10 },
+      { header: 'Invoices', key: 'invoices', width: 10 },
+      { header: 'Outstanding', key: 'outstanding', width: 14 },
+      ...bucketColumns(),
+      { header: 'Oldest (days)', key: 'oldest_days', width: 14 },
+    ],
+    report.rows,
+    ['outstanding', ...AGING_BUCKETS.map((b) => b.key)],
+  );
+  return workbook.xlsx.writeBuffer();
+}
+
+async function plansWorkbook(plans) {
+  const workbook = newWorkbook();
+  addSheet(
+    workbook,
+    'Payment Plans',
+    [
+      { header: 'Plan', key: 'plan_number', width: 12 },
+      { header: 'Deceased ID', key: 'deceased_id', width: 16 },
+      { header: 'Name', key: 'full_name', width: 28 },
+      { header: 'Status', key: 'status', width: 12 },
+      { header: 'Currency', key: 'currency', width: 10 },
+      { header: 'Total', key: 'total_amount', width: 14 },
+      { header: 'Paid', key: 'amount_paid', width: 14 },
+      { header: 'Overdue', key: 'overdue_amount', width: 14 },
+      { header: 'Instalments', key: 'instalment_count', width: 12 },
+      { header: 'Frequency', key: 'frequency', width: 12 },
+      { header: 'Next Due', key: 'next_due_date', width: 14 },
+      { header: 'Release Allowed', key: 'release', width: 16 },
+      { header: 'Created', key: 'created_at', width: 20 },
+    ],
+    plans.map((plan) => ({
+      ...plan,
+      total_amount: parseFloat(plan.total_amount),
+      amount_paid: parseFloat(plan.amount_paid),
+      overdue_amount: parseFloat(plan.overdue_amount),
+      next_due_date: plan.next_due_date
+        ? String(plan.next_due_date).slice(0, 10)
+        : '',
+      release: plan.release_allowed ? 'Yes' : '',
+    })),
+    ['total_amount', 'amount_paid', 'overdue_amount'],
+  );
+  return workbook.xlsx.writeBuffer();
+}
+
+// ----------------- Aging -----------------
+const getAgingReport = asyncHandler(async (req, res) => {
+  const format = formatOf(req);
+  if (!['json', 'xlsx'].includes(format)) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'format must be json or xlsx' });
+  }
+
+  try {
+    const report = await agingReport({
+      branch: branchCondition(req, 'd.branch_id'),
+      held: req.query.held === 'true',
+      minDays: parseInt(req.query.min_days, 10) || null,
+      search: req.query.search ? String(req.query.search).trim() : null,
+    });
+    if (format === 'xlsx') {
+      return sendWorkbook(
+        res,
+        await agingWorkbook(report),
+        `receivables-aging-${report.as_of}.xlsx`,
+      );
+    }
+    res.status(200).json({ success: true, data: report });
+  } catch (err) {
+    sendError(res, err, 'Build aging report');
+  }
+});
+
+const getPayerAgingReport = asyncHandler(async (req, res) => {
+  const format = formatOf(req);
+  if (!['json', 'xlsx'].includes(format)) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'format must be json or xlsx' });
+  }
+
+  try {
+    const report = await payerAgingReport({
+      branch: branchCondition(req, 'i.branch_id'),
+    });
+    if (format === 'xlsx') {
+      return sendWorkbook(
+        res,
+        await payerAgingWorkbook(report),
+        `payer-aging-${report.as_of}.xlsx`,
+      );
+    }
+    res.status(200).json({ success: true, data: report });
+  } catch (err) {
+    sendError(res, err, 'Build payer aging report');
+  }
+});
+
+// ----------------- Follow-ups -----------------
+const getDebtor = asyncHandler(async (req, res) => {
+  try {
+    const data = await debtorDetail(req.params.deceased_id, {
+      branch: branchCondition(req, 'd.branch_id'),
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load receivable');
+  }
+});
+
+// Calls, visits, promises to pay and notes; reminders are logged when sent
+const logFollowup = asyncHandler(async (req, res) => {
+  try {
+    const data = await withTransaction(async (tx) => {
+      const deceased = await findDeceased(tx, req, req.params.deceased_id);
+      return deceased ? addFollowup(req, deceased, req.body || {}) : null;
+    });
+    if (!data) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Deceased not found' });
+    }
+    res.status(201).json({ success: true, message: 'Follow-up logged', data });
+  } catch (err) {
+    sendError(res, err, 'Log follow-up');
+  }
+});
+
+const remindNextOfKin = asyncHandler(async (req, res) => {
+  try {
+    const data = await sendReminder(req, req.params.deceased_id, {
+      branch: branchCondition(req, 'd.branch_id'),
+      message: req.body?.message,
+    });
+    const sent = data.filter((f) => f.status === 'Sent');
+    res.status(sent.length ? 200 : 502).json({
+      success: sent.length > 0,
+      message: sent.length
+        ? `Reminder sent by ${sent.map((f) => f.channel).join(' and ')}`
+        : 'The reminder could not be sent',
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Send reminder');
+  }
+});
+
+// { paused_until: "yyyy-mm-dd" } pauses automatic reminders, null resumes them
+const updateReminderPause = asyncHandler(async (req, res) => {
+  try {
+    const deceased = await withTransaction((tx) =>
+      findDeceased(tx, req, req.params.deceased_id),
+    );
+    if (!deceased) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Deceased not found' });
+    }
+    const data = await pauseReminders(req, deceased, {
+      until: req.body?.paused_until,
+      reason: req.body?.reason,
+    });
+    res.status(200).json({
+      success: true,
+      message: data.paused_until
+        ? `Reminders paused until ${data.paused_until}`
+        : 'Reminders resumed',
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Pause reminders');
+  }
+});
+
+// ----------------- Payment Plans -----------------
+const addPaymentPlan = asyncHandler(async (req, res) => {
+  try {
+    const data = await withTransaction(async (tx) => {
+      const deceased = await findDeceased(tx, req, req.params.deceased_id);
+      return deceased ? createPlan(tx, req, deceased, req.body || {}) : null;
+    });
+    if (!data) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Deceased not found' });
+    }
+    res.status(201).json({
+      success: true,
+      message: `Payment plan ${data.plan_number} agreed: ${data.instalment_count} instalment(s)`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Create payment plan');
+  }
+});
+
+const getPaymentPlans = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const format = formatOf(req);
+  if (status && !PLAN_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of ${PLAN_STATUSES.join(', ')}`,
+    });
+  }
+  if (!['json', 'xlsx'].includes(format)) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'format must be json or xlsx' });
+  }
+
+  try {
+    const data = await listPlans({
+      branch: branchCondition(req, 'p.branch_id'),
+      status,
+      deceasedId: req.query.deceased_id || null,
+    });
+    if (format === 'xlsx') {
+      return sendWorkbook(res, await plansWorkbook(data), 'payment-plans.xlsx');
+    }
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load payment plans');
+  }
+});
+
+const getPaymentPlan = asyncHandler(async (req, res) => {
+  try {
+    const data = await getPlan(req.params.id, {
+      branch: branchCondition(req, 'p.branch_id'),
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load payment plan');
+  }
+});
+
+const cancelPaymentPlan = asyncHandler(async (req, res) => {
+  try {
+    const data = await cancelPlan(req, req.params.id, {
+      reason: req.body?.reason,
+      branch: branchCondition(req, 'p.branch_id'),
+    });
+    res.status(200).json({
+      success: true,
+      message: `Payment plan ${data.plan_number} cancelled`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Cancel payment plan');
+  }
+});
+
+// { allow: true } lets the body be dispatched while the plan is kept up
+const updatePlanRelease = asyncHandler(async (req, res) => {
+  const allow = req.body?.allow;
+  if (typeof allow !== 'boolean') {
+    return res
+      .status(400)
+      .json({ success: false, message: 'allow must be true or false' });
+  }
+
+  try {
+    const data = await setReleaseAllowed(req, req.params.id, {
+      allow,
+      branch: branchCondition(req, 'p.branch_id'),
+    });
+    res.status(200).json({
+      success: true,
+      message: allow
+        ? `Body may be released under plan ${data.plan_number}`
+        : `Release under plan ${data.plan_number} withdrawn`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Update plan release');
+  }
+});
+
+module.exports = {
+  getAgingReport,
+  getPayerAgingReport,
+  getDebtor,
+  logFollowup,
+  remindNextOfKin,
+  updateReminderPause,
+  addPaymentPlan,
+  getPaymentPlans,
+  getPaymentPlan,
+  cancelPaymentPlan,
+  updatePlanRelease,
+};
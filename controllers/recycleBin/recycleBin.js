@@ -0,0 +1,92 @@
+const asyncHandler = require('express-async-handler');
+const { withTransaction } = require('../../configurations/sqlConfig/db');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  deleteDeceasedCached,
+  invalidateBranchCache,
+} = require('../../cachemanager/cachemanager');
+const {
+  RETENTION_DAYS,
+  SOFT_DELETE_ENTITIES,
+  restore,
+  listDeleted,
+} = require('../../services/recycleBin/softDelete');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { actorOf } = require('../../utilities/helpers/helpers');
+
+// Branch list caches that must be rebuilt once a row is back
+const LIST_CACHE_KEYS = {
+  deceased: ['all_deceased'],
+  coffin: ['allCoffins', 'coffinAnalytics'],
+};
+
+const sendError = errorResponder('RECYCLE BIN');
+
+// ----------------- Recycle Bin Listing -----------------
+const getRecycleBin = asyncHandler(async (req, res) => {
+  const { entity } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+
+  try {
+    const items = await listDeleted({
+      entity,
+      branchId: req.branchScope?.branchId ?? null,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      retention_days: RETENTION_DAYS,
+      entities: Object.keys(SOFT_DELETE_ENTITIES),
+      count: items.length,
+      data: items,
+    });
+  } catch (err) {
+    sendError(res, err, 'Load recycle bin');
+  }
+});
+
+// ----------------- Restore -----------------
+const restoreFromRecycleBin = asyncHandler(async (req, res) => {
+  const { entity, id } = req.params;
+
+  try {
+    const row = await withTransaction(async (tx) => {
+      const restored = await restore(tx, req, entity, id);
+
+      if (entity === 'document') {
+        await tx.query(
+          `INSERT INTO document_history 
+          (document_id, action, user, details, timestamp) 
+         VALUES (?, ?, ?, ?, ?)`,
+          [
+            id,
+            'RESTORED',
+            actorOf(req) || 'System',
+            `Document restored from recycle bin: ${restored.file_name}`,
+            getKenyaTimeISO(),
+          ],
+        );
+      }
+      return restored;
+    });
+
+    if (entity === 'deceased') deleteDeceasedCached(id);
+    for (const key of LIST_CACHE_KEYS[entity] || []) {
+      invalidateBranchCache(row.branch_id, key);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${entity} restored`,
+      entity,
+      id,
+    });
+  } catch (err) {
+    sendError(res, err, 'Restore record');
+  }
+});
+
+module.exports = { getRecycleBin, restoreFromRecycleBin };
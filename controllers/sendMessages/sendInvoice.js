@@ -3,6 +3,7 @@
 const asyncHandler = require('express-async-handler');
 const { safeQuery } = require('../../configurations/sqlConfig/db');
 const { AppError } = require('../../middlewares/errorHandler/errorHandler');
+const { branchCondition } = require('../../middlewares/tenancy/branchScope');
 
 const { sendWhatsAppMessage } = require('./sendWatsAppMessage');
 
@@ -21,7 +22,7 @@ const sendInvoiceWhatsApp = asyncHandler(async (req, res) => {
   }
 
   // Fetch invoice
-  const invoice = await getInvoiceById(invoice_id);
+  const invoice = await getInvoiceById(invoice_id, branchCondition(req));
   if (!invoice) {
     return res
       .status(404)
@@ -29,7 +30,7 @@ const sendInvoiceWhatsApp = asyncHandler(async (req, res) => {
   }
 
   // Fetch deceased
-  const deceased = await getDeceasedById(deceased_id);
+  const deceased = await getDeceasedById(deceased_id, branchCondition(req));
   if (!deceased) {
     return res
       .status(404)
@@ -77,7 +78,10 @@ const getNextOfKinByDeceased = asyncHandler(async (req, res) => {
   const deceasedNumericId = req.params.id;
 
   // Fetch the deceased row first
-  const deceased = await getDeceasedById(deceasedNumericId);
+  const deceased = await getDeceasedById(
+    deceasedNumericId,
+    branchCondition(req),
+  );
   if (!deceased) {
     throw new AppError('Deceased not found', 404);
   }
@@ -91,19 +95,21 @@ const getNextOfKinByDeceased = asyncHandler(async (req, res) => {
 });
 
 // ------------------------------------------------------
-// DATABASE HELPERS
+// DATABASE HELPERS (rows outside `branch` come back as null)
 // ------------------------------------------------------
-const getInvoiceById = async (id) => {
-  const rows = await safeQuery('SELECT * FROM invoices WHERE id = ? LIMIT 1', [
-    id,
-  ]);
+const getInvoiceById = async (id, branch) => {
+  const rows = await safeQuery(
+    `SELECT * FROM invoices WHERE id = ? AND deleted_at IS NULL AND ${branch.sql} LIMIT 1`,
+    [id, ...branch.params],
+  );
   return rows[0] || null;
 };
 
-const getDeceasedById = async (id) => {
-  const rows = await safeQuery('SELECT * FROM deceased WHERE id = ? LIMIT 1', [
-    id,
-  ]);
+const getDeceasedById = async (id, branch) => {
+  const rows = await safeQuery(
+    `SELECT * FROM deceased WHERE id = ? AND ${branch.sql} LIMIT 1`,
+    [id, ...branch.params],
+  );
   return rows[0] || null;
 };
 
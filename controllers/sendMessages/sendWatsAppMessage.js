@@ -1,5 +1,6 @@
 const fs = require('fs');
 const axios = require('axios');
+const { formatMoney } = require('../../services/currency/currency');
 
 async function sendWhatsAppMessage(phone, pdfPath, invoice, deceased) {
   try {
@@ -12,7 +13,7 @@ async function sendWhatsAppMessage(phone, pdfPath, invoice, deceased) {
       filename: `Invoice-${invoice.invoice_number}.pdf`,
       mimeType: 'application/pdf',
       file: pdfBase64,
-      caption: `Invoice for ${deceased.full_name}: KES ${invoice.amount}`,
+      caption: `Invoice for ${deceased.full_name}: ${formatMoney(invoice.amount, invoice.currency)}`,
     };
 
     const response = await axios.post(
@@ -0,0 +1,215 @@
+const asyncHandler = require('express-async-handler');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  branchCondition,
+  deceasedBranchCondition,
+} = require('../../middlewares/tenancy/branchScope');
+const {
+  WAIVER_STATUSES,
+  loadTariffs,
+  findTariff,
+  getStorageCharges,
+  createTariff,
+  requestWaiver,
+  decideWaiver,
+} = require('../../services/tariffs/tariffEngine');
+const {
+  updateMortuaryCharges,
+} = require('../../helpers/aurtoChargeCalculations');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const sendError = errorResponder('TARIFFS');
+
+async function findDeceased(req, deceasedId) {
+  const branch = branchCondition(req, 'branch_id');
+  const rows = await safeQuery(
+    `SELECT deceased_id, branch_id, rate_category, currency, usd_charge_rate,
+            date_admitted, created_at, status
+     FROM deceased
+     WHERE deceased_id = ? AND deleted_at IS NULL AND ${branch.sql}`,
+    [deceasedId, ...branch.params],
+  );
+  return rows[0] || null;
+}
+
+// ----------------- Tariffs -----------------
+const getTariffs = asyncHandler(async (req, res) => {
+  const { category, currency, at } = req.query;
+
+  try {
+    let tariffs = await loadTariffs({
+      category,
+      currency,
+      branchId: req.branchScope?.branchId ?? null,
+    });
+
+    // Only the version in force on `at` for each category / currency
+    if (at) {
+      const keys = new Set(
+        tariffs.map((t) => `${t.rate_category}|${t.currency}`),
+      );
+      tariffs = [...keys]
+        .map((key) => {
+          const [rateCategory, cur] = key.split('|');
+          return findTariff(tariffs, {
+            category: rateCategory,
+            currency: cur,
+            branchId: req.branchScope?.branchId ?? null,
+            date: at,
+          });
+        })
+        .filter((t, i, list) => t && list.indexOf(t) === i);
+    }
+
+    res
+      .status(200)
+      .json({ success: true, count: tariffs.length, data: tariffs });
+  } catch (err) {
+    sendError(res, err, 'Load tariffs');
+  }
+});
+
+const addTariff = asyncHandler(async (req, res) => {
+  try {
+    const { tariff, superseded } = await withTransaction((tx) =>
+      createTariff(tx, req, req.body || {}),
+    );
+
+    res.status(201).json({
+      success: true,
+      message: superseded
+        ? `Tariff created; tariff ${superseded} now ends ${tariff.effective_from}`
+        : 'Tariff created',
+      data: tariff,
+    });
+  } catch (err) {
+    sendError(res, err, 'Create tariff');
+  }
+});
+
+// ----------------- Storage Charges -----------------
+const getDeceasedStorageCharges = asyncHandler(async (req, res) => {
+  const { deceased_id } = req.params;
+
+  try {
+    const deceased = await findDeceased(req, deceased_id);
+    if (!deceased) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Deceased record not found' });
+    }
+
+    const charges = await getStorageCharges(deceased, {
+      until: req.query.until,
+    });
+    res.status(200).json({ success: true, deceased_id, data: charges });
+  } catch (err) {
+    sendError(res, err, 'Calculate storage charges');
+  }
+});
+
+// ----------------- Waivers -----------------
+const getWaivers = asyncHandler(async (req, res) => {
+  const { status, deceased_id } = req.query;
+  const branch = deceasedBranchCondition(req, 'deceased_id');
+  const where = [branch.sql];
+  const params = [...branch.params];
+
+  if (status) {
+    if (!WAIVER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${WAIVER_STATUSES.join(', ')}`,
+      });
+    }
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (deceased_id) {
+    where.push('deceased_id = ?');
+    params.push(deceased_id);
+  }
+
+  try {
+    const waivers = await safeQuery(
+      `SELECT * FROM charge_waivers
+       WHERE ${where.join(' AND ')}
+       ORDER BY requested_at DESC, id DESC
+       LIMIT 500`,
+      params,
+    );
+    res
+      .status(200)
+      .json({ success: true, count: waivers.length, data: waivers });
+  } catch (err) {
+    sendError(res, err, 'Load waivers');
+  }
+});
+
+const addWaiver = asyncHandler(async (req, res) => {
+  const { deceased_id } = req.params;
+
+  try {
+    const deceased = await findDeceased(req, deceased_id);
+    if (!deceased) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Deceased record not found' });
+    }
+
+    const waiver = await withTransaction((tx) =>
+      requestWaiver(tx, req, deceased_id, req.body || {}),
+    );
+    res.status(201).json({
+      success: true,
+      message: 'Waiver requested; it applies once approved',
+      data: waiver,
+    });
+  } catch (err) {
+    sendError(res, err, 'Request waiver');
+  }
+});
+
+const decide = (approve) =>
+  asyncHandler(async (req, res) => {
+    try {
+      const waiver = await withTransaction((tx) =>
+        decideWaiver(tx, req, req.params.id, {
+          approve,
+          note: req.body?.note,
+          branch: deceasedBranchCondition(req, 'deceased_id'),
+        }),
+      );
+
+      // Reflect the waiver in the balance now rather than on the next run
+      if (approve) {
+        await updateMortuaryCharges({ deceasedId: waiver.deceased_id });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Waiver ${waiver.status.toLowerCase()}`,
+        data: waiver,
+      });
+    } catch (err) {
+      sendError(res, err, approve ? 'Approve waiver' : 'Reject waiver');
+    }
+  });
+
+const approveWaiver = decide(true);
+const rejectWaiver = decide(false);
+
+module.exports = {
+  getTariffs,
+  addTariff,
+  getDeceasedStorageCharges,
+  getWaivers,
+  addWaiver,
+  approveWaiver,
+  rejectWaiver,
+};
@@ -0,0 +1,86 @@
+const asyncHandler = require('express-async-handler');
+const { safeQuery } = require('../../configurations/sqlConfig/db');
+const { branchCondition } = require('../../middlewares/tenancy/branchScope');
+const {
+  TAX_CATEGORIES,
+  listTaxCodes,
+  setTaxCode,
+} = require('../../services/tax/taxCodes');
+const { fiscaliseInvoice } = require('../invoice/invoice');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const sendError = errorResponder('TAX');
+
+// ----------------- Tax Codes -----------------
+const getTaxCodes = asyncHandler(async (req, res) => {
+  try {
+    const data = await listTaxCodes();
+    res.status(200).json({
+      success: true,
+      categories: TAX_CATEGORIES,
+      count: data.length,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Load tax codes');
+  }
+});
+
+const updateTaxCode = asyncHandler(async (req, res) => {
+  const { tax_category, description } = req.body || {};
+
+  try {
+    const data = await setTaxCode(req, req.params.service_type, {
+      tax_category,
+      description,
+    });
+    res.status(200).json({
+      success: true,
+      message: `${data.service_type} is now taxed as ${data.label}`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Save tax code');
+  }
+});
+
+// ----------------- eTIMS -----------------
+// Send (or re-send) one invoice to eTIMS, e.g. after the control unit was
+// down or for an invoice raised before eTIMS was set up
+const fiscaliseInvoiceNow = asyncHandler(async (req, res) => {
+  const branch = branchCondition(req);
+
+  try {
+    const [invoice] = await safeQuery(
+      `SELECT id FROM invoices WHERE id = ? AND deleted_at IS NULL AND ${branch.sql}`,
+      [req.params.id, ...branch.params],
+    );
+    if (!invoice) {
+      return res
+        .status(404)
+        .json({ success: false, message: 'Invoice not found' });
+    }
+
+    const signed = await fiscaliseInvoice(req, invoice.id, { manual: true });
+    res.status(200).json({
+      success: true,
+      message: `Invoice signed by eTIMS: ${signed.fiscal_control_number}`,
+      data: {
+        invoice_id: signed.id,
+        invoice_number: signed.invoice_number,
+        fiscal_status: signed.fiscal_status,
+        fiscal_control_number: signed.fiscal_control_number,
+        fiscal_signature: signed.fiscal_signature,
+        fiscal_internal_data: signed.fiscal_internal_data,
+        fiscal_qr_url: signed.fiscal_qr_url,
+        fiscal_signed_at: signed.fiscal_signed_at,
+      },
+    });
+  } catch (err) {
+    sendError(res, err, 'Send invoice to eTIMS');
+  }
+});
+
+module.exports = { getTaxCodes, updateTaxCode, fiscaliseInvoiceNow };
@@ -0,0 +1,132 @@
+const asyncHandler = require('express-async-handler');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  PERMISSIONS,
+  SUPER_ROLES,
+  getRolePermissions,
+  invalidateRolePermissions,
+} = require('../../middlewares/auth/permissions');
+const { sendAuthError } = require('../../middlewares/auth/authMiddleware');
+
+// Grants only a super role may hand out: they lift the caller's own branch limit
+const SUPER_ONLY_PERMISSIONS = ['branches:view-all'];
+
+// ✅ List the permission catalogue
+const getPermissionCatalogue = asyncHandler(async (req, res) => {
+  const data = Object.entries(PERMISSIONS).map(([name, description]) => ({
+    name,
+    description,
+  }));
+
+  res.json({ success: true, count: data.length, data });
+});
+
+// ✅ List every role with its granted permissions
+const getAllRolePermissions = asyncHandler(async (req, res) => {
+  const rows = await safeQuery(
+    'SELECT role, permission FROM role_permissions ORDER BY role, permission',
+  );
+
+  const roles = {};
+  for (const { role, permission } of rows) {
+    (roles[role] = roles[role] || []).push(permission);
+  }
+
+  res.json({ success: true, data: roles, super_roles: SUPER_ROLES });
+});
+
+// ✅ Get one role's permissions
+const getPermissionsForRole = asyncHandler(async (req, res) => {
+  const { role } = req.params;
+
+  if (SUPER_ROLES.includes(role)) {
+    return res.json({
+      success: true,
+      role,
+      permissions: Object.keys(PERMISSIONS),
+      implicit: true,
+    });
+  }
+
+  const permissions = await getRolePermissions(role);
+  res.json({ success: true, role, permissions: [...permissions] });
+});
+
+// ✅ Replace a role's permissions
+const setPermissionsForRole = asyncHandler(async (req, res) => {
+  const { role } = req.params;
+  const { permissions } = req.body;
+
+  if (SUPER_ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `${role} holds every permission and cannot be edited`,
+    });
+  }
+
+  if (!Array.isArray(permissions)) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'permissions must be an array' });
+  }
+
+  const unknown = permissions.filter(
+    (p) => !Object.prototype.hasOwnProperty.call(PERMISSIONS, p),
+  );
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown permissions: ${unknown.join(', ')}`,
+    });
+  }
+
+  if (!SUPER_ROLES.includes(req.user?.role)) {
+    const current = await getRolePermissions(role);
+    const escalating = SUPER_ONLY_PERMISSIONS.filter(
+      (p) => permissions.includes(p) && !current.has(p),
+    );
+    if (escalating.length > 0) {
+      return sendAuthError(
+        res,
+        403,
+        'FORBIDDEN',
+        `Only ${SUPER_ROLES.join(' or ')} can grant ${escalating.join(', ')}`,
+      );
+    }
+  }
+
+  const grantedBy = req.user?.id ? String(req.user.id) : 'system';
+  const now = getKenyaTimeISO();
+  const unique = [...new Set(permissions)];
+
+  // Replace the grants as one unit so a failure never leaves the role half-granted
+  await withTransaction(async (tx) => {
+    await tx.query('DELETE FROM role_permissions WHERE role = ?', [role]);
+    if (unique.length === 0) return;
+    await tx.query(
+      `INSERT INTO role_permissions (role, permission, granted_by, created_at)
+       VALUES ${unique.map(() => '(?, ?, ?, ?)').join(', ')}`,
+      unique.flatMap((permission) => [role, permission, grantedBy, now]),
+    );
+  });
+
+  invalidateRolePermissions(role);
+
+  res.json({
+    success: true,
+    message: `Permissions updated for role ${role}`,
+    role,
+    permissions: unique,
+  });
+});
+
+module.exports = {
+  getPermissionCatalogue,
+  getAllRolePermissions,
+  getPermissionsForRole,
+  setPermissionsForRole,
+};
@@ -2,8 +2,15 @@ const asyncHandler = require('express-async-handler');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const validator = require('validator');
-const { pool } = require('../../configurations/sqlConfig/db');
+const { pool, withTransaction } = require('../../configurations/sqlConfig/db');
 const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../../services/audit/auditLog');
+const { SUPER_ROLES } = require('../../middlewares/auth/permissions');
+const { sendAuthError } = require('../../middlewares/auth/authMiddleware');
+const {
+  branchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'supersecretjwtkey';
 const REFRESH_SECRET = process.env.REFRESH_SECRET || 'supersecretrefreshkey';
@@ -49,7 +56,7 @@ function generateAccessToken(user) {
 // Generate Refresh Token
 function generateRefreshToken(user) {
   return jwt.sign(
-    { id: user.id },
+    { id: user.id, role: user.role, branch_id: user.branch_id },
     REFRESH_SECRET,
     { expiresIn: '7d' }, // 7 days
   );
@@ -58,7 +65,9 @@ function generateRefreshToken(user) {
 // ✅ Get All Users
 const getAllUsers = asyncHandler(async (req, res) => {
   try {
-    const users = await safeExecute(`
+    const branch = branchCondition(req, 'u.branch_id');
+    const users = await safeExecute(
+      `
       SELECT 
         u.id, u.name, u.username, u.email, u.role, 
         u.created_at, u.updated_at, u.branch_id, u.is_active,
@@ -66,8 +75,11 @@ const getAllUsers = asyncHandler(async (req, res) => {
         (SELECT MAX(timestamp) FROM attendance_logs WHERE user_id = u.id AND action = 'login') as last_login
       FROM users u
       LEFT JOIN branches b ON u.branch_id = b.id
+      WHERE ${branch.sql}
       ORDER BY u.created_at DESC
-    `);
+    `,
+      branch.params,
+    );
 
     res.json({
       success: true,
@@ -83,13 +95,12 @@ const getAllUsers = asyncHandler(async (req, res) => {
   }
 });
 
-// ✅ Register User with branch_id = 1 by default
+// ✅ Register User in the caller's branch
 
 const registerUser = asyncHandler(async (req, res) => {
   const { name, username, email, role, password } = req.body;
 
-  // Use branch_id = 1 by default
-  const branch_id = 1;
+  const branch_id = getWriteBranchId(req);
 
   // Validate required fields
   if (!name || !username || !role || !password) {
@@ -98,6 +109,16 @@ const registerUser = asyncHandler(async (req, res) => {
       .json({ success: false, message: 'All fields are required.' });
   }
 
+  // Only a super role may create another super role account
+  if (SUPER_ROLES.includes(role) && !SUPER_ROLES.includes(req.user?.role)) {
+    return sendAuthError(
+      res,
+      403,
+      'FORBIDDEN',
+      `Only ${SUPER_ROLES.join(' or ')} can create ${role} accounts`,
+    );
+  }
+
   // Check if username or email already exists
   const existing = await safeExecute(
     'SELECT 1 FROM users WHERE username = ? OR email = ?',
@@ -159,10 +180,11 @@ const updateUserPassword = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Check if user exists
+    // Check if user exists; users of other branches are reported as missing
+    const branch = branchCondition(req);
     const [user] = await safeExecute(
-      'SELECT id, role FROM users WHERE id = ?',
-      [id],
+      `SELECT id, role FROM users WHERE id = ? AND ${branch.sql}`,
+      [id, ...branch.params],
     );
     if (!user) {
       return res.status(404).json({
@@ -205,10 +227,11 @@ const toggleUserStatus = asyncHandler(async (req, res) => {
   const currentUser = req.user;
 
   try {
-    // Check if user exists
+    // Check if user exists; users of other branches are reported as missing
+    const branch = branchCondition(req);
     const [user] = await safeExecute(
-      'SELECT id, role, is_active FROM users WHERE id = ?',
-      [id],
+      `SELECT id, role, is_active FROM users WHERE id = ? AND ${branch.sql}`,
+      [id, ...branch.params],
     );
     if (!user) {
       return res.status(404).json({
@@ -259,9 +282,11 @@ const deleteUser = asyncHandler(async (req, res) => {
   }
 
   try {
-    const users = await safeExecute('SELECT id, role FROM users WHERE id = ?', [
-      userId,
-    ]);
+    const branch = branchCondition(req);
+    const users = await safeExecute(
+      `SELECT * FROM users WHERE id = ? AND ${branch.sql}`,
+      [userId, ...branch.params],
+    );
     const user = users[0];
 
     if (!user) {
@@ -283,7 +308,16 @@ const deleteUser = asyncHandler(async (req, res) => {
     }
 
     // Delete user
-    await safeExecute('DELETE FROM users WHERE id = ?', [userId]);
+    await withTransaction(async (tx) => {
+      await tx.query('DELETE FROM users WHERE id = ?', [userId]);
+      await recordAudit(tx, req, {
+        entity: 'user',
+        entityId: userId,
+        action: 'delete',
+        before: user,
+        after: null,
+      });
+    });
 
     res
       .status(200)
@@ -0,0 +1,296 @@
+const asyncHandler = require('express-async-handler');
+const {
+  branchCondition,
+  deceasedBranchCondition,
+  getWriteBranchId,
+} = require('../../middlewares/tenancy/branchScope');
+const {
+  listRooms,
+  createRoom,
+  updateRoom,
+  roomAvailability,
+  createBooking,
+  cancelBooking,
+  checkIn,
+  markNoShow,
+  daySchedule,
+  listWaitlist,
+  noShowReport,
+  findBodyForVisitor,
+} = require('../../services/visitors/viewingSchedule');
+const { checkinQr } = require('../../services/visitors/visitorMessages');
+const { safeQueryOne } = require('../../configurations/sqlConfig/db');
+const {
+  errorResponder,
+} = require('../../middlewares/errorHandler/errorHandler');
+
+const sendError = errorResponder('VIEWING');
+
+// ----------------- Rooms -----------------
+const getViewingRooms = asyncHandler(async (req, res) => {
+  try {
+    const data = await listRooms({
+      branch: branchCondition(req, 'r.branch_id'),
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load viewing rooms');
+  }
+});
+
+// { name, capacity?, open_time?, close_time?, open_days?, slot_minutes?, buffer_minutes? }
+const addViewingRoom = asyncHandler(async (req, res) => {
+  try {
+    const data = await createRoom(req.body || {}, {
+      branchId: getWriteBranchId(req),
+    });
+    res.status(201).json({
+      success: true,
+      message: `Viewing room ${data.name} added`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Add viewing room');
+  }
+});
+
+const editViewingRoom = asyncHandler(async (req, res) => {
+  try {
+    const data = await updateRoom(req.params.id, req.body || {}, {
+      branch: branchCondition(req, 'r.branch_id'),
+    });
+    res
+      .status(200)
+      .json({ success: true, message: 'Viewing room updated', data });
+  } catch (err) {
+    sendError(res, err, 'Update viewing room');
+  }
+});
+
+// ----------------- Schedule -----------------
+const getViewingSchedule = asyncHandler(async (req, res) => {
+  try {
+    const data = await daySchedule({
+      branch: branchCondition(req, 'r.branch_id'),
+      date: req.query.date,
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load viewing schedule');
+  }
+});
+
+const getViewingWaitlist = asyncHandler(async (req, res) => {
+  try {
+    const data = await listWaitlist({
+      branch: branchCondition(req, 'ob.branch_id'),
+    });
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    sendError(res, err, 'Load viewing waitlist');
+  }
+});
+
+// ?from=&to= (defaults to the last 30 days)
+const getViewingNoShows = asyncHandler(async (req, res) => {
+  try {
+    const data = await noShowReport({
+      branch: branchCondition(req, 'ob.branch_id'),
+      from: req.query.from,
+      to: req.query.to,
+    });
+    res.status(200).json({ success: true, data });
+  } catch (err) {
+    sendError(res, err, 'Load no-show report');
+  }
+});
+
+// ----------------- Staff Bookings -----------------
+// { deceased_id, full_name, contact, email?, relationship?, date, time,
+//   room_id?, visitors?, waitlist?, override?, override_reason? }
+const bookViewingForVisitor = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+
+  try {
+    const data = await createBooking(
+      req,
+      {
+        deceasedId: body.deceased_id,
+        fullName: body.full_name,
+        contact: body.contact,
+        email: body.email,
+        relationship: body.relationship,
+        date: body.date,
+        time: body.time,
+        roomId: body.room_id,
+        visitors: body.visitors,
+        waitlist: Boolean(body.waitlist),
+      },
+      {
+        source: 'staff',
+        override: body.override === true || body.override === 'true',
+        overrideReason: body.override_reason,
+        branch: branchCondition(req, 'd.branch_id'),
+      },
+    );
+    res.status(201).json({
+      success: true,
+      message:
+        data.status === 'waitlisted'
+          ? `${data.full_name} added to the waitlist`
+          : `Viewing booked in ${data.room_name} for ${data.start_time}`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Book viewing');
+  }
+});
+
+// { code } - typed in or scanned from the visitor's QR
+const checkInViewing = asyncHandler(async (req, res) => {
+  try {
+    const data = await checkIn(
+      req,
+      { code: req.body?.code },
+      { branch: deceasedBranchCondition(req, 'ob.deceased_id') },
+    );
+    res.status(200).json({
+      success: true,
+      message: `${data.full_name} checked in for ${data.room_name || 'the viewing'}`,
+      data,
+    });
+  } catch (err) {
+    sendError(res, err, 'Check in visitor');
+  }
+});
+
+const getViewingQr = asyncHandler(async (req, res) => {
+  try {
+    const branch = deceasedBranchCondition(req, 'deceased_id');
+    const booking = await safeQueryOne(
+      `SELECT checkin_code FROM online_bookings WHERE id = ? AND ${branch.sql}`,
+      [req.params.id, ...branch.params],
+    );
+    if (!booking?.checkin_code) {
+      return res.status(404).json({
+        success: false,
+        code: 'VIEWING_NOT_FOUND',
+        message: 'Booking not found',
+      });
+    }
+    res.setHeader('Content-Type', 'image/png');
+    res.send(await checkinQr(booking.checkin_code));
+  } catch (err) {
+    sendError(res, err, 'Generate check-in QR');
+  }
+});
+
+const markViewingNoShow = asyncHandler(async (req, res) => {
+  try {
+    const data = await markNoShow(req, req.params.id, {
+      branch: deceasedBranchCondition(req, 'ob.deceased_id'),
+    });
+    res
+      .status(200)
+      .json({ success: true, message: 'Booking marked as a no-show', data });
+  } catch (err) {
+    sendError(res, err, 'Mark no-show');
+  }
+});
+
+// ----------------- Self-Booking (public) -----------------
+// ?date=&branch_id=
+const getViewingAvailability = asyncHandler(async (req, res) => {
+  try {
+    const data = await roomAvailability({
+      branchId: req.query.branch_id ? Number(req.query.branch_id) : null,
+      date: req.query.date,
+    });
+    res.status(200).json({ success: true, date: req.query.date, data });
+  } catch (err) {
+    sendError(res, err, 'Load viewing availability');
+  }
+});
+
+// Only what the visitor needs back: no override or staff fields
+const visitorView = (booking) => ({
+  id: booking.id,
+  deceased_name: booking.deceased_name,
+  room_name: booking.room_name,
+  start_time: booking.start_time,
+  end_time: booking.end_time,
+  visitors_count: booking.visitors_count,
+  status: booking.status,
+  checkin_code: booking.checkin_code,
+});
+
+// { admission_number, deceased_name, full_name, contact, email?,
+//   relationship?, date, time, room_id?, visitors?, waitlist? }
+const selfBookViewing = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+
+  try {
+    const deceasedId = await findBodyForVisitor(
+      body.admission_number,
+      body.deceased_name,
+    );
+    const booking = await createBooking(
+      null,
+      {
+        deceasedId,
+        fullName: body.full_name,
+        contact: body.contact,
+        email: body.email,
+        relationship: body.relationship,
+        date: body.date,
+        time: body.time,
+        roomId: body.room_id,
+        visitors: body.visitors,
+        waitlist: Boolean(body.waitlist),
+      },
+      { source: 'web' },
+    );
+    res.status(201).json({
+      success: true,
+      message:
+        booking.status === 'waitlisted'
+          ? 'You are on the waitlist. We will message you if a room frees up.'
+          : 'Viewing requested. We will message you once the mortuary confirms it.',
+      data: visitorView(booking),
+    });
+  } catch (err) {
+    sendError(res, err, 'Book viewing');
+  }
+});
+
+// { code, contact }
+const cancelSelfBooking = asyncHandler(async (req, res) => {
+  const { code, contact } = req.body || {};
+
+  try {
+    const booking = await cancelBooking({ code, contact });
+    res.status(200).json({
+      success: true,
+      message: 'Viewing cancelled',
+      data: visitorView(booking),
+    });
+  } catch (err) {
+    sendError(res, err, 'Cancel viewing');
+  }
+});
+
+module.exports = {
+  getViewingRooms,
+  addViewingRoom,
+  editViewingRoom,
+  getViewingSchedule,
+  getViewingWaitlist,
+  getViewingNoShows,
+  bookViewingForVisitor,
+  checkInViewing,
+  getViewingQr,
+  markViewingNoShow,
+  getViewingAvailability,
+  selfBookViewing,
+  cancelSelfBooking,
+};
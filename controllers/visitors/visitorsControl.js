@@ -1,11 +1,30 @@
 // backend/controllers/visitorController.js
 const expressAsyncHandler = require('express-async-handler');
 const { safeQuery } = require('../../configurations/sqlConfig/db');
+const {
+  branchCondition,
+  deceasedBranchCondition,
+} = require('../../middlewares/tenancy/branchScope');
+const {
+  walkIn,
+  confirmBooking,
+  rejectBooking,
+  checkIn,
+  markNoShow,
+} = require('../../services/visitors/viewingSchedule');
 
-// Register walk-in visitor
+// Register walk-in visitor; with a room_id they also take the room for a slot
 const registerVisitor = expressAsyncHandler(async (req, res) => {
-  const { full_name, contact, relationship, deceased_id, purpose_of_visit } =
-    req.body;
+  const {
+    full_name,
+    contact,
+    relationship,
+    deceased_id,
+    purpose_of_visit,
+    room_id,
+    visitors,
+    override,
+  } = req.body;
 
   // Enhanced validation with specific field names
   const missingFields = [];
@@ -40,6 +59,43 @@ const registerVisitor = expressAsyncHandler(async (req, res) => {
     });
   }
 
+  if (room_id) {
+    try {
+      const result = await walkIn(
+        req,
+        {
+          deceasedId: deceased_id,
+          fullName: full_name,
+          contact,
+          relationship,
+          purpose: purpose_of_visit,
+          roomId: room_id,
+          visitors,
+        },
+        {
+          override: override === true || override === 'true',
+          branch: branchCondition(req, 'd.branch_id'),
+        },
+      );
+      return res.status(201).json({
+        message: `✅ Visitor registered and checked in to ${result.room}`,
+        id: result.visitor_id,
+        booking_id: result.booking_id,
+      });
+    } catch (err) {
+      if (err.isOperational) {
+        return res
+          .status(err.statusCode)
+          .json({ code: err.code, message: err.message });
+      }
+      console.error('❌ Error registering walk-in viewing:', err.message);
+      return res.status(500).json({
+        message: 'Error registering visitor',
+        error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+      });
+    }
+  }
+
   const sql = `
     INSERT INTO visitors (
       full_name,
@@ -125,11 +181,19 @@ const getOnlineBookings = expressAsyncHandler(async (req, res) => {
       ob.visit_time,
       ob.deceased_id,
       ob.status,
+      ob.room_id,
+      r.name as room_name,
+      ob.start_time,
+      ob.end_time,
+      ob.visitors_count,
+      ob.booked_via,
+      ob.checkin_code,
       ob.created_at,
       d.full_name as deceased_name,
       d.admission_number
     FROM online_bookings ob
     LEFT JOIN deceased d ON ob.deceased_id = d.deceased_id
+    LEFT JOIN viewing_rooms r ON ob.room_id = r.id
     WHERE ob.status IN ('pending', 'confirmed')
     ORDER BY ob.created_at DESC
   `;
@@ -150,73 +214,46 @@ const getOnlineBookings = expressAsyncHandler(async (req, res) => {
   }
 });
 
-// Process online booking (confirm, reject, checkin)
+// Process online booking (confirm, reject, checkin, no-show)
 const processBooking = expressAsyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { action } = req.body;
+  const { action, reason } = req.body;
 
-  if (!['confirm', 'reject', 'checkin'].includes(action)) {
+  if (!['confirm', 'reject', 'checkin', 'no-show'].includes(action)) {
     return res.status(400).json({
-      message: 'Invalid action. Must be: confirm, reject, or checkin',
+      message: 'Invalid action. Must be: confirm, reject, checkin or no-show',
     });
   }
 
   try {
-    let sql, message;
+    const branch = deceasedBranchCondition(req, 'ob.deceased_id');
+    let data, message;
 
     if (action === 'confirm') {
-      sql = 'UPDATE online_bookings SET status = "confirmed" WHERE id = ?';
+      data = await confirmBooking(req, id, { branch });
       message = 'Booking confirmed successfully';
     } else if (action === 'reject') {
-      sql = 'UPDATE online_bookings SET status = "rejected" WHERE id = ?';
+      data = await rejectBooking(req, id, { branch, reason });
       message = 'Booking rejected successfully';
     } else if (action === 'checkin') {
-      // Move to visitors table and mark as checked in
-      const booking = await safeQuery(
-        'SELECT * FROM online_bookings WHERE id = ? AND status = "confirmed"',
-        [id],
-      );
-
-      if (booking.length === 0) {
-        return res.status(404).json({
-          message: 'Confirmed booking not found',
-        });
-      }
-
-      const visitorData = booking[0];
-
-      // Insert into visitors table
-      await safeQuery(
-        `INSERT INTO visitors (
-          full_name, contact, relationship, reason_for_visit, 
-          deceased_id, check_in_time, visitor_type
-        ) VALUES (?, ?, ?, ?, ?, NOW(), 'online')`,
-        [
-          visitorData.full_name,
-          visitorData.contact,
-          visitorData.relationship,
-          visitorData.purpose_of_visit,
-          visitorData.deceased_id,
-        ],
-      );
-
-      // Update booking status
-      sql = 'UPDATE online_bookings SET status = "checked-in" WHERE id = ?';
+      // Records the visitor in the visitors table, linked to the booking
+      data = await checkIn(req, { id }, { branch });
       message = 'Visitor checked in successfully';
-    }
-
-    const result = await safeQuery(sql, [id]);
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        message: 'Booking not found',
-      });
+    } else {
+      data = await markNoShow(req, id, { branch });
+      message = 'Booking marked as a no-show';
     }
 
     res.status(200).json({
       message,
+      data,
     });
   } catch (err) {
+    if (err.isOperational) {
+      return res
+        .status(err.statusCode)
+        .json({ code: err.code, message: err.message });
+    }
     console.error('❌ Error processing booking:', err.message);
     res.status(500).json({
       message: 'Error processing booking',
@@ -1,6 +1,16 @@
 const fs = require('fs');
 const path = require('path');
-const { safeQuery } = require('../configurations/sqlConfig/db');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../configurations/sqlConfig/db');
+const {
+  loadTariffs,
+  loadApprovedWaivers,
+  calculateStorageCharges,
+} = require('../services/tariffs/tariffEngine');
+const { reconcile, syncDeceasedBalance } = require('../services/ledger/ledger');
+const { toCurrencyCode, convert } = require('../services/currency/currency');
 
 // Ensure logs folder
 const logDir = path.resolve(__dirname, '../logs');
@@ -41,57 +51,61 @@ async function saveChargeHistory(
   );
 }
 
-async function updateMortuaryCharges() {
+// Pass `deceasedId` to recalculate a single body (e.g. after a waiver is approved)
+async function updateMortuaryCharges({ deceasedId } = {}) {
   const now = getKenyanDateTime();
   console.log(`[${now}] 🔄 Recalculating mortuary charges...`);
 
   try {
-    const deceasedList = await safeQuery(`
-      SELECT deceased_id, rate_category, created_at, date_admitted, last_charge_update,
+    const deceasedList = await safeQuery(
+      `
+      SELECT id, deceased_id, branch_id, rate_category, created_at, date_admitted, last_charge_update,
              total_mortuary_charge, currency, usd_charge_rate, embalming_cost
       FROM deceased
-      WHERE created_at IS NOT NULL AND (status IS NULL OR status != 'Complete')
-    `);
+      WHERE created_at IS NOT NULL AND deleted_at IS NULL
+        AND (status IS NULL OR status NOT IN ('Dispatched', 'Complete'))
+        ${deceasedId ? 'AND deceased_id = ?' : ''}
+    `,
+      deceasedId ? [deceasedId] : [],
+    );
+
+    // Every tariff version, so each day is priced with the rate in force then
+    const tariffs = await loadTariffs();
 
     for (const d of deceasedList) {
       const {
         deceased_id,
-        rate_category,
         created_at,
-        date_admitted,
         last_charge_update,
-        total_mortuary_charge,
         currency,
-        usd_charge_rate,
         embalming_cost,
       } = d;
 
-      const cur = currency || 'KES';
+      const cur = toCurrencyCode(currency) || 'KES';
       console.log(`\n🧾 Processing: ${deceased_id}`);
 
-      // ------------------ RATES ------------------
-      const baseRate =
-        cur === 'USD'
-          ? parseFloat(usd_charge_rate || 130)
-          : rate_category === 'premium'
-            ? 5000
-            : 3000;
-
       // ------------------ STORAGE CHARGES (TOTAL) ------------------
-      // Calculate total storage charge from admission date (or creation date if missing)
-      const admissionDate = date_admitted
-        ? new Date(date_admitted)
-        : new Date(created_at);
-      const totalDays = getFractionalDays(admissionDate, new Date());
-      const totalStorageCharge = totalDays * baseRate;
+      // Priced day by day from admission (or creation) by the tariff engine
+      const waivers = await loadApprovedWaivers(deceased_id);
+      const storage = calculateStorageCharges(d, { tariffs, waivers });
+      const totalStorageCharge = storage.total;
+
+      if (storage.missing_tariff_days > 0) {
+        console.warn(
+          `  ⚠️ No ${cur} tariff for ${storage.missing_tariff_days} day(s) of ${deceased_id}; those days are uncharged`,
+        );
+      }
 
       // ------------------ DAILY LOGGING (INCREMENTAL) ------------------
       // Only for history/audit purposes
-      const lastUpdate = last_charge_update
-        ? new Date(last_charge_update)
-        : new Date(created_at);
-      const incrementalDays = getFractionalDays(lastUpdate, new Date());
-      const incrementalCharge = incrementalDays * baseRate;
+      const lastUpdate = last_charge_update || created_at;
+      const previousStorage = calculateStorageCharges(d, {
+        tariffs,
+        waivers,
+        until: lastUpdate,
+      });
+      const incrementalDays = getFractionalDays(lastUpdate, now);
+      const incrementalCharge = totalStorageCharge - previousStorage.total;
 
       // Log if significant charge accumulated (e.g. > 0.01 currency unit)
       if (incrementalCharge > 0.01) {
@@ -120,27 +134,42 @@ async function updateMortuaryCharges() {
         [deceased_id],
       );
 
+      // Priced in the coffin's own currency when it matches the body's,
+      // otherwise its KES price converted at the rate on the admission day
+      const rateDate = d.date_admitted || created_at;
       let coffinCharges = 0;
+      let missingRate = null;
 
       for (const c of coffinRows) {
         const qty = parseInt(c.quantity || 1);
-        let price = 0;
-
-        if (c.coffin_currency === 'KES') {
-          if (cur === 'KES') price = parseFloat(c.exact_price);
-          else price = parseFloat(c.exact_price) / (c.exchange_rate || 130);
-        } else if (c.coffin_currency === 'USD') {
-          if (cur === 'USD') price = parseFloat(c.price_usd);
-          else price = parseFloat(c.price_usd) * (c.exchange_rate || 130);
+        const priceKES = parseFloat(c.exact_price || 0);
+        let price;
+
+        if (toCurrencyCode(c.coffin_currency) === cur) {
+          price = cur === 'KES' ? priceKES : priceKES / (c.exchange_rate || 1);
+        } else {
+          try {
+            price = (await convert(priceKES, 'KES', cur, rateDate)).amount;
+          } catch (err) {
+            if (err.code !== 'RATE_MISSING') throw err;
+            missingRate = err.message;
+            break;
+          }
         }
 
         coffinCharges += price * qty;
       }
 
+      // Leave the body as it is rather than post a coffin charge of 0
+      if (missingRate) {
+        console.warn(`  ⚠️ ${missingRate}; skipping ${deceased_id}`);
+        continue;
+      }
+
       // ------------------ EXTRA CHARGES ------------------
       const extraRows = await safeQuery(
         `
-        SELECT amount
+        SELECT id, charge_type, description, amount
         FROM extra_charges
         WHERE deceased_id = ? AND status != 'Cancelled'
       `,
@@ -156,11 +185,14 @@ async function updateMortuaryCharges() {
       const embalming = parseFloat(embalming_cost || 0);
 
       // ------------------ PAYMENTS ------------------
+      // Older rows reference the numeric deceased.id; a reversed payment is due 0
       const paymentsRows = await safeQuery(
         `
-        SELECT amount FROM payments WHERE deceased_id = ?
+        SELECT payment_id, CASE WHEN status = 'Reversed' THEN 0 ELSE amount END AS amount,
+               payment_method, reference_code, payment_date
+        FROM payments WHERE deceased_id IN (?, ?)
       `,
-        [deceased_id],
+        [deceased_id, String(d.id)],
       );
 
       const totalPayments = paymentsRows.reduce(
@@ -172,19 +204,69 @@ async function updateMortuaryCharges() {
       // Re-sum everything to ensure correctness
       const newTotal =
         totalStorageCharge + coffinCharges + extraCharges + embalming;
-      const balance = newTotal - totalPayments;
 
-      await safeQuery(
-        `
-        UPDATE deceased
-        SET total_mortuary_charge = ?, last_charge_update = ?, balance = ?
-        WHERE deceased_id = ?
-      `,
-        [newTotal, now, balance, deceased_id],
-      );
+      // ------------------ LEDGER ------------------
+      // Post whatever the ledger is missing; its receivable account is the balance
+      const balance = await withTransaction(async (tx) => {
+        await tx.queryOne(
+          'SELECT id FROM deceased WHERE deceased_id = ? FOR UPDATE',
+          [deceased_id],
+        );
+
+        await reconcile(tx, d, [
+          {
+            sourceType: 'storage',
+            sourceId: deceased_id,
+            amount: storage.gross,
+            description: 'Storage charges',
+          },
+          {
+            sourceType: 'storage_waiver',
+            sourceId: deceased_id,
+            amount: storage.waived + storage.discount,
+            description: 'Storage waivers and discounts',
+          },
+          {
+            sourceType: 'coffin',
+            sourceId: deceased_id,
+            amount: coffinCharges,
+            description: 'Coffin',
+          },
+          {
+            sourceType: 'embalming',
+            sourceId: deceased_id,
+            amount: embalming,
+            description: 'Embalming',
+          },
+          ...extraRows.map((e) => ({
+            sourceType: 'extra_charge',
+            sourceId: e.id,
+            amount: parseFloat(e.amount || 0),
+            description: e.description || e.charge_type,
+          })),
+          ...paymentsRows.map((p) => ({
+            sourceType: 'payment',
+            sourceId: p.payment_id,
+            amount: parseFloat(p.amount || 0),
+            description:
+              `Payment ${p.payment_method || ''} ${p.reference_code || ''}`.trim(),
+            postedAt: p.payment_date,
+          })),
+        ]);
+
+        await tx.query(
+          `
+          UPDATE deceased
+          SET total_mortuary_charge = ?, last_charge_update = ?
+          WHERE deceased_id = ?
+        `,
+          [newTotal, now, deceased_id],
+        );
+        return syncDeceasedBalance(tx, d);
+      });
 
       console.log(
-        `  Storage (${totalDays.toFixed(2)} days): ${totalStorageCharge.toFixed(2)} ${cur}`,
+        `  Storage (${storage.days.toFixed(2)} days): ${totalStorageCharge.toFixed(2)} ${cur}`,
       );
       console.log(`  Coffin:         ${coffinCharges.toFixed(2)} ${cur}`);
       console.log(`  Extras:         ${extraCharges.toFixed(2)} ${cur}`);
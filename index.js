@@ -21,6 +21,12 @@ const {
   createActiveMonitoringAssist,
 } = require('./controllers/ActiveMonitoringAssist/active');
 const { getKenyaTimeISO } = require('./utilities/timeStamps/timeStamps');
+const { joinBranchRoom } = require('./middlewares/tenancy/branchRooms');
+const {
+  guard,
+  seedRolePermissions,
+} = require('./middlewares/auth/permissions');
+const { seedDefaultTariffs } = require('./services/tariffs/tariffEngine');
 
 const app = express();
 
@@ -106,151 +112,178 @@ app.use(
   }),
 );
 // ----------------- Request Analytics Routes -----------------
-app.get('/api/v1/restpoint/analytics/requests', (req, res) => {
-  try {
-    const fileAnalytics = {
-      totalRequests: requestStats.totalRequests,
-      requestsByMethod: requestStats.requestsByMethod,
-      requestsByStatus: requestStats.requestsByStatus,
-      requestsByEndpoint: requestStats.requestsByEndpoint,
-      requestsByHour: requestStats.requestsByHour,
-      uniqueIPs: Object.keys(requestStats.requestsByIP).length,
-      // Calculate average response time across all endpoints
-      averageResponseTime:
-        Object.values(requestStats.responseTimes).reduce(
-          (acc, curr) => acc + curr.average,
-          0,
-        ) / (Object.keys(requestStats.responseTimes).length || 1),
-    };
+app.get(
+  '/api/v1/restpoint/analytics/requests',
+  guard('system:monitor'),
+  (req, res) => {
+    try {
+      const fileAnalytics = {
+        totalRequests: requestStats.totalRequests,
+        requestsByMethod: requestStats.requestsByMethod,
+        requestsByStatus: requestStats.requestsByStatus,
+        requestsByEndpoint: requestStats.requestsByEndpoint,
+        requestsByHour: requestStats.requestsByHour,
+        uniqueIPs: Object.keys(requestStats.requestsByIP).length,
+        // Calculate average response time across all endpoints
+        averageResponseTime:
+          Object.values(requestStats.responseTimes).reduce(
+            (acc, curr) => acc + curr.average,
+            0,
+          ) / (Object.keys(requestStats.responseTimes).length || 1),
+      };
 
-    res.json({
-      success: true,
-      data: {
-        fileAnalytics: fileAnalytics,
-        realTimeStats: {
-          totalRequests: requestStats.totalRequests,
-          requestsByMethod: requestStats.requestsByMethod,
-          requestsByIP: requestStats.requestsByIP,
-          uniqueIPs: Object.keys(requestStats.requestsByIP).length,
-          uptime: Math.floor((new Date() - requestStats.startTime) / 1000),
+      res.json({
+        success: true,
+        data: {
+          fileAnalytics: fileAnalytics,
+          realTimeStats: {
+            totalRequests: requestStats.totalRequests,
+            requestsByMethod: requestStats.requestsByMethod,
+            requestsByIP: requestStats.requestsByIP,
+            uniqueIPs: Object.keys(requestStats.requestsByIP).length,
+            uptime: Math.floor((new Date() - requestStats.startTime) / 1000),
+          },
         },
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error('Request analytics error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get request analytics',
-      error: error.message,
-    });
-  }
-});
-
-app.get('/api/v1/restpoint/analytics/requests/recent', (req, res) => {
-  // Not implemented with in-memory stats for now, or could read from winston file
-  res.json({ success: true, message: 'Use logs endpoint for recent requests' });
-});
-
-app.get('/api/v1/restpoint/analytics/requests/ips', (req, res) => {
-  try {
-    const topIPs = Object.entries(requestStats.requestsByIP)
-      .sort(([, a], [, b]) => b - a)
-      .slice(0, 20)
-      .map(([ip, count]) => ({ ip, requests: count }));
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('Request analytics error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get request analytics',
+        error: error.message,
+      });
+    }
+  },
+);
 
+app.get(
+  '/api/v1/restpoint/analytics/requests/recent',
+  guard('system:monitor'),
+  (req, res) => {
+    // Not implemented with in-memory stats for now, or could read from winston file
     res.json({
       success: true,
-      data: {
-        totalUniqueIPs: Object.keys(requestStats.requestsByIP).length,
-        topIPs: topIPs,
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error('IP analytics error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get IP analytics',
-      error: error.message,
+      message: 'Use logs endpoint for recent requests',
     });
-  }
-});
-
-app.get('/api/v1/restpoint/analytics/requests/logs', (req, res) => {
-  // Winston logs are in JSON format, can be read similarly if needed
-  res.json({ success: true, message: 'Check server logs directly' });
-});
+  },
+);
 
-// ----------------- Performance Monitoring Routes -----------------
-app.get('/api/v1/restpoint/performance', async (req, res) => {
-  try {
-    const stats = await updatePerformanceStats();
-    const performanceStats = getPerformanceStats();
-
-    // Calculate requests per minute
-    const uptimeMinutes = (new Date() - requestStats.startTime) / (1000 * 60);
-    const requestsPerMinute =
-      requestStats.totalRequests / Math.max(uptimeMinutes, 1);
-
-    // Get top endpoints
-    const topEndpoints = Object.entries(requestStats.requestsByEndpoint)
-      .sort(([, a], [, b]) => b - a)
-      .slice(0, 10)
-      .reduce((obj, [key, value]) => {
-        obj[key] = value;
-        return obj;
-      }, {});
+app.get(
+  '/api/v1/restpoint/analytics/requests/ips',
+  guard('system:monitor'),
+  (req, res) => {
+    try {
+      const topIPs = Object.entries(requestStats.requestsByIP)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 20)
+        .map(([ip, count]) => ({ ip, requests: count }));
 
-    res.json({
-      success: true,
-      data: {
-        ...stats,
-        requests: {
-          total: requestStats.totalRequests,
-          perMinute: Math.round(requestsPerMinute * 100) / 100,
-          byMethod: requestStats.requestsByMethod,
-          byEndpoint: topEndpoints,
-          byHour: requestStats.requestsByHour,
-          uptime: Math.floor((new Date() - requestStats.startTime) / 1000),
+      res.json({
+        success: true,
+        data: {
+          totalUniqueIPs: Object.keys(requestStats.requestsByIP).length,
+          topIPs: topIPs,
         },
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error('Performance endpoint error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get performance stats',
-      error: error.message,
-    });
-  }
-});
-
-app.get('/api/v1/restpoint/performance/live', async (req, res) => {
-  try {
-    const stats = await updatePerformanceStats();
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('IP analytics error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get IP analytics',
+        error: error.message,
+      });
+    }
+  },
+);
 
-    res.setHeader('Content-Type', 'text/plain');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+app.get(
+  '/api/v1/restpoint/analytics/requests/logs',
+  guard('system:monitor'),
+  (req, res) => {
+    // Winston logs are in JSON format, can be read similarly if needed
+    res.json({ success: true, message: 'Check server logs directly' });
+  },
+);
 
-    res.write(
-      `data: ${JSON.stringify({
+// ----------------- Performance Monitoring Routes -----------------
+app.get(
+  '/api/v1/restpoint/performance',
+  guard('system:monitor'),
+  async (req, res) => {
+    try {
+      const stats = await updatePerformanceStats();
+      const performanceStats = getPerformanceStats();
+
+      // Calculate requests per minute
+      const uptimeMinutes = (new Date() - requestStats.startTime) / (1000 * 60);
+      const requestsPerMinute =
+        requestStats.totalRequests / Math.max(uptimeMinutes, 1);
+
+      // Get top endpoints
+      const topEndpoints = Object.entries(requestStats.requestsByEndpoint)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 10)
+        .reduce((obj, [key, value]) => {
+          obj[key] = value;
+          return obj;
+        }, {});
+
+      res.json({
         success: true,
-        data: stats,
+        data: {
+          ...stats,
+          requests: {
+            total: requestStats.totalRequests,
+            perMinute: Math.round(requestsPerMinute * 100) / 100,
+            byMethod: requestStats.requestsByMethod,
+            byEndpoint: topEndpoints,
+            byHour: requestStats.requestsByHour,
+            uptime: Math.floor((new Date() - requestStats.startTime) / 1000),
+          },
+        },
         timestamp: new Date().toISOString(),
-      })}\n\n`,
-    );
-  } catch (error) {
-    res.write(
-      `data: ${JSON.stringify({
+      });
+    } catch (error) {
+      console.error('Performance endpoint error:', error);
+      res.status(500).json({
         success: false,
+        message: 'Failed to get performance stats',
         error: error.message,
-      })}\n\n`,
-    );
-  }
-});
+      });
+    }
+  },
+);
+
+app.get(
+  '/api/v1/restpoint/performance/live',
+  guard('system:monitor'),
+  async (req, res) => {
+    try {
+      const stats = await updatePerformanceStats();
+
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      res.write(
+        `data: ${JSON.stringify({
+          success: true,
+          data: stats,
+          timestamp: new Date().toISOString(),
+        })}\n\n`,
+      );
+    } catch (error) {
+      res.write(
+        `data: ${JSON.stringify({
+          success: false,
+          error: error.message,
+        })}\n\n`,
+      );
+    }
+  },
+);
 
 // ----------------- DB Initialization -----------------
 async function startDB(retries = 5, delay = 5000) {
@@ -287,6 +320,9 @@ io.on('connection', (socket) => {
   console.log(`🟢 Client connected via Socket.IO → Socket ID: ${socket.id}`);
   console.log('----------------------------------------------------------');
 
+  // Staff sockets get branch events (cold room occupancy, alarms) for their branch only
+  joinBranchRoom(socket);
+
   // Send current performance stats immediately when client connects
   socket.emit('performance_stats', getPerformanceStats());
 
@@ -506,23 +542,27 @@ const { activeMonitoringAssist } = createActiveMonitoringAssist(
   broadcastActiveMonitoringAlert,
 );
 
-app.get('/api/v1/restpoint/notifications', async (req, res) => {
-  try {
-    const notifications = await safeQuery(
-      `SELECT * FROM notifications ORDER BY created_at DESC`,
-    );
-    res.status(200).json({
-      success: true,
-      count: notifications.length,
-      data: notifications,
-    });
-  } catch (err) {
-    logMainServerError(err, 'Fetching notifications failed');
-    res
-      .status(500)
-      .json({ success: false, message: 'Error fetching notifications' });
-  }
-});
+app.get(
+  '/api/v1/restpoint/notifications',
+  guard('notifications:read'),
+  async (req, res) => {
+    try {
+      const notifications = await safeQuery(
+        `SELECT * FROM notifications ORDER BY created_at DESC`,
+      );
+      res.status(200).json({
+        success: true,
+        count: notifications.length,
+        data: notifications,
+      });
+    } catch (err) {
+      logMainServerError(err, 'Fetching notifications failed');
+      res
+        .status(500)
+        .json({ success: false, message: 'Error fetching notifications' });
+    }
+  },
+);
 
 // ----------------- Import Routes -----------------
 const routeBase = '/api/v1/restpoint';
@@ -534,6 +574,7 @@ app.use(routeBase, require('./routes/userRoutes'));
 app.use(routeBase, require('./routes/analyticsRoutes'));
 app.use(routeBase, require('./routes/deviceRoutes'));
 app.use(routeBase, require('./routes/driverDispatchRoutes'));
+app.use(routeBase, require('./routes/bookhearse'));
 app.use(routeBase, require('./routes/notifications'));
 app.use(routeBase, require('./routes/burilNotifcationRoute'));
 app.use(routeBase, require('./routes/portal'));
@@ -548,6 +589,22 @@ app.use(routeBase, require('./routes/embalming'));
 app.use(routeBase, require('./routes/invoiceRoutes'));
 app.use(routeBase, require('./routes/eventsroutes'));
 app.use(routeBase, require('./routes/sendWatsApp'));
+app.use(routeBase, require('./routes/branchRoutes'));
+app.use(routeBase, require('./routes/auditRoutes'));
+app.use(routeBase, require('./routes/recycleBinRoutes'));
+app.use(routeBase, require('./routes/tariffRoutes'));
+app.use(routeBase, require('./routes/ledgerRoutes'));
+app.use(routeBase, require('./routes/currencyRoutes'));
+app.use(routeBase, require('./routes/paymentRoutes'));
+app.use(routeBase, require('./routes/mobileMoneyRoutes'));
+app.use(routeBase, require('./routes/bankStatementRoutes'));
+app.use(routeBase, require('./routes/taxRoutes'));
+app.use(routeBase, require('./routes/quoteRoutes'));
+app.use(routeBase, require('./routes/payerRoutes'));
+app.use(routeBase, require('./routes/receivableRoutes'));
+app.use(routeBase, require('./routes/cashierSessionRoutes'));
+app.use(routeBase, require('./routes/chemicalRoutes'));
+app.use(routeBase, require('./routes/coffinStockRoutes'));
 
 // -404
 app.use((req, res) => res.status(404).json({ message: ' Route not found' }));
@@ -555,6 +612,8 @@ app.use((req, res) => res.status(404).json({ message: ' Route not found' }));
 // start  server
 (async () => {
   await startDB();
+  await seedRolePermissions();
+  await seedDefaultTariffs();
   await initBackgroundTasks(io);
 
   // Initialize performance
@@ -0,0 +1,46 @@
+const { recordAudit } = require('../../services/audit/auditLog');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const ACTION_BY_METHOD = { POST: 'create', DELETE: 'delete' };
+
+// '/invoices/:id/status' -> 'invoices'
+function entityFromRoute(req) {
+  const path = req.route?.path || req.path || '';
+  const segment = String(path)
+    .split('/')
+    .find((s) => s && !s.startsWith(':'));
+  return segment || 'unknown';
+}
+
+function entityIdFromParams(params = {}) {
+  const value = params.id ?? Object.values(params)[0];
+  return value ?? null;
+}
+
+/**
+ * Middleware: after a successful mutating request, log the route, actor and
+ * request body. Controllers that record a before/after diff themselves call
+ * recordAudit(), which marks the request so it isn't logged twice.
+ */
+function auditTrail(req, res, next) {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  res.on('finish', () => {
+    if (req.auditRecorded || res.statusCode >= 400) return;
+
+    const body = req.body && typeof req.body === 'object' ? req.body : null;
+    recordAudit(null, req, {
+      entity: entityFromRoute(req),
+      entityId: entityIdFromParams(req.params),
+      action: ACTION_BY_METHOD[req.method] || 'update',
+      before: null,
+      after: body && Object.keys(body).length ? body : null,
+    }).catch((err) =>
+      console.error('❌ [AUDIT] Failed to record request:', err.message),
+    );
+  });
+
+  next();
+}
+
+module.exports = { auditTrail };
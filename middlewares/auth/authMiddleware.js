@@ -12,6 +12,21 @@ function createRefreshToken(payload) {
   return jwt.sign(payload, REFRESH_SECRET, { expiresIn: '7d' });
 }
 
+// Decoded access token payload; throws when invalid or expired
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+// Single response shape for every 401 / 403 raised by auth & permission checks
+function sendAuthError(res, statusCode, code, message) {
+  return res.status(statusCode).json({
+    success: false,
+    status: 'fail',
+    code,
+    message,
+  });
+}
+
 async function authMiddleware(req, res, next) {
   try {
     const authHeader = req.headers['authorization'];
@@ -21,7 +36,7 @@ async function authMiddleware(req, res, next) {
     if (!token) {
       const refreshToken = req.cookies?.refresh_token;
       if (!refreshToken)
-        return res.status(401).json({ message: 'No token provided' });
+        return sendAuthError(res, 401, 'AUTH_REQUIRED', 'No token provided');
 
       try {
         const decodedRefresh = jwt.verify(refreshToken, REFRESH_SECRET);
@@ -35,18 +50,21 @@ async function authMiddleware(req, res, next) {
         req.user = decodedRefresh;
         return next();
       } catch (err) {
-        return res
-          .status(403)
-          .json({ message: 'Refresh token expired, please login again' });
+        return sendAuthError(
+          res,
+          401,
+          'REFRESH_EXPIRED',
+          'Refresh token expired, please login again',
+        );
       }
     }
 
     // Verify access token
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     req.user = decoded;
     next();
   } catch (err) {
-    return res.status(403).json({ message: 'Invalid or expired token' });
+    return sendAuthError(res, 401, 'TOKEN_INVALID', 'Invalid or expired token');
   }
 }
 
@@ -54,4 +72,6 @@ module.exports = {
   authMiddleware,
   createAccessToken,
   createRefreshToken,
+  verifyAccessToken,
+  sendAuthError,
 };
@@ -0,0 +1,316 @@
+const NodeCache = require('node-cache');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { authMiddleware, sendAuthError } = require('./authMiddleware');
+const { resolveBranchScope } = require('../tenancy/branchScope');
+const { auditTrail } = require('../audit/auditTrail');
+
+// ----------------- Permission Catalogue -----------------
+// Every guarded route names one of these. Role -> permission grants live in
+// the `role_permissions` table and are editable through /roles/:role/permissions.
+const PERMISSIONS = {
+  'deceased:read': 'View deceased records',
+  'deceased:create': 'Register deceased and admissions',
+  'deceased:update': 'Edit deceased records and status',
+  'deceased:export': 'Export deceased records to Excel',
+  'deceased:delete': 'Move deceased records to the recycle bin',
+  'kin:manage': 'Register and edit next of kin',
+  'kin:verify': 'Verify next-of-kin identity documents',
+  'autopsy:manage': 'Record and update postmortems',
+  'coldroom:read': 'View cold rooms, tray occupancy and movements',
+  'coldroom:manage': 'Assign, transfer and release cold room trays',
+  'coldroom:configure': 'Add cold rooms and change capacity or tray status',
+  'coldroom:telemetry': 'Submit cold room temperature sensor readings',
+  'embalming:read': 'View embalming records',
+  'embalming:manage': 'Record and update embalming',
+  'inventory:manage':
+    'Receive embalming chemicals, set reorder levels and write off batches',
+  'coffin:read': 'View coffin catalogue and assignments',
+  'coffin:manage': 'Create and edit coffins',
+  'coffin:delete': 'Delete coffins',
+  'coffin:assign': 'Assign coffins to deceased',
+  'purchasing:manage':
+    'Manage suppliers, raise coffin purchase orders and receive deliveries',
+  'dispatch:manage': 'Dispatch vehicles and drivers',
+  'invoice:read': 'View invoices and financials',
+  'invoice:create': 'Create invoices',
+  'invoice:update': 'Edit invoices',
+  'invoice:delete': 'Delete invoices',
+  'payment:create': 'Record payments and extra charges',
+  'payment:refund': 'Request refunds, credit notes and payment reversals',
+  'refund:approve': 'Approve refunds, credit notes and payment reversals',
+  'cashup:sign-off':
+    "Sign off cashiers' end-of-day cash-ups and close sessions left open",
+  'tariff:manage': 'Create storage tariffs and rate changes',
+  'waiver:request': 'Request storage charge waivers and discounts',
+  'waiver:approve': 'Approve or reject storage charge waivers',
+  'currency:manage': 'Enter and import exchange rates',
+  'tax:manage': 'Set VAT codes per service type',
+  'quote:create': "Prepare quotations and record the family's decision",
+  'package:manage': 'Define service packages and their prices',
+  'payer:manage':
+    'Manage insurer, employer and SHA payer accounts, contracts and billing splits',
+  'receivables:manage':
+    'Follow up unpaid balances, send payment reminders and set up payment plans',
+  'mobile-money:manage':
+    'Register M-Pesa callbacks and resolve unmatched M-Pesa payments',
+  'bank:reconcile': 'Import bank statements and confirm payment matches',
+  'documents:read': 'View and download documents',
+  'documents:upload': 'Upload and categorise documents',
+  'documents:share': 'Share documents externally',
+  'documents:delete': 'Delete documents',
+  'release:read': 'View release forms',
+  'release:create': 'Generate release forms',
+  'release:approve': 'Approve a body for release',
+  'release:delete': 'Delete release forms',
+  'visitors:read': 'View visitors and bookings',
+  'visitors:manage': 'Register visitors and process bookings',
+  'visitors:configure':
+    'Add viewing rooms and set their hours, slot length and buffer time',
+  'events:read': 'View calendar events',
+  'events:manage': 'Create, edit and delete calendar events',
+  'notifications:read': 'View notifications',
+  'notifications:send': 'Send WhatsApp and email messages',
+  'tags:print': 'Print body tags and QR codes',
+  'analytics:read': 'View mortuary and fleet analytics',
+  'mortuary:manage': 'Manage mortuary registration and rates',
+  'system:monitor': 'View devices, request and performance stats',
+  'users:manage': 'Register, edit and remove users',
+  'roles:manage': 'Edit role permissions',
+  'audit:read': 'View and verify the audit log',
+  'recycle:read': 'View deleted records in the recycle bin',
+  'recycle:restore': 'Restore deleted records from the recycle bin',
+  'branches:view-all': 'View and switch between every branch',
+};
+
+// Roles that implicitly hold every permission and cannot be locked out
+const SUPER_ROLES = ['it-administrator', 'superadmin'];
+
+// Seeded into `role_permissions` once per permission (see seedRolePermissions)
+const DEFAULT_ROLE_PERMISSIONS = {
+  // Branch admins run one facility; only super roles see across branches by default
+  admin: Object.keys(PERMISSIONS).filter((p) => p !== 'branches:view-all'),
+  'mortuary-staff': [
+    'deceased:read',
+    'deceased:create',
+    'deceased:update',
+    'kin:manage',
+    'autopsy:manage',
+    'coldroom:read',
+    'coldroom:manage',
+    'embalming:read',
+    'embalming:manage',
+    'coffin:read',
+    'coffin:assign',
+    'dispatch:manage',
+    'invoice:read',
+    'documents:read',
+    'documents:upload',
+    'release:read',
+    'release:create',
+    'visitors:read',
+    'visitors:manage',
+    'events:read',
+    'notifications:read',
+    'tags:print',
+  ],
+  receptionist: [
+    'deceased:read',
+    'deceased:create',
+    'coldroom:read',
+    'kin:manage',
+    'kin:verify',
+    'coffin:read',
+    'invoice:read',
+    'invoice:create',
+    'quote:create',
+    'payment:create',
+    'receivables:manage',
+    'waiver:request',
+    'documents:read',
+    'documents:upload',
+    'visitors:read',
+    'visitors:manage',
+    'events:read',
+    'events:manage',
+    'notifications:read',
+  ],
+  // Service account used by cold room sensor gateways
+  'sensor-gateway': ['coldroom:telemetry'],
+};
+
+const permissionCache = new NodeCache({ stdTTL: 300, checkperiod: 60 });
+
+/** Load the permission set for a role (cached for 5 minutes). */
+async function getRolePermissions(role) {
+  const cacheKey = `role:${role}`;
+  const cached = permissionCache.get(cacheKey);
+  if (cached) return cached;
+
+  const rows = await safeQuery(
+    'SELECT permission FROM role_permissions WHERE role = ?',
+    [role],
+  );
+  const permissions = new Set(rows.map((r) => r.permission));
+  permissionCache.set(cacheKey, permissions);
+  return permissions;
+}
+
+/** Drop cached grants after an admin edits them. */
+function invalidateRolePermissions(role) {
+  if (role) permissionCache.del(`role:${role}`);
+  else permissionCache.flushAll();
+}
+
+async function hasPermission(user, permission) {
+  if (!user || !user.role) return false;
+  if (SUPER_ROLES.includes(user.role)) return true;
+  const permissions = await getRolePermissions(user.role);
+  return permissions.has(permission);
+}
+
+/** Middleware: 403 unless the authenticated user's role holds `permission`. */
+function requirePermission(permission) {
+  if (!Object.prototype.hasOwnProperty.call(PERMISSIONS, permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return sendAuthError(
+        res,
+        401,
+        'AUTH_REQUIRED',
+        'Authentication required',
+      );
+    }
+
+    try {
+      if (await hasPermission(req.user, permission)) return next();
+    } catch (err) {
+      console.error('❌ Permission lookup failed:', err.message);
+      return res.status(500).json({
+        success: false,
+        status: 'error',
+        code: 'PERMISSION_LOOKUP_FAILED',
+        message: 'Unable to verify permissions',
+      });
+    }
+
+    return sendAuthError(
+      res,
+      403,
+      'FORBIDDEN',
+      `Missing permission: ${permission}`,
+    );
+  };
+}
+
+/** Middleware: attach `req.branchScope` so controllers only touch the caller's branch. */
+async function attachBranchScope(req, res, next) {
+  let canViewAll;
+  try {
+    canViewAll = await hasPermission(req.user, 'branches:view-all');
+  } catch (err) {
+    console.error('❌ Branch scope lookup failed:', err.message);
+    return res.status(500).json({
+      success: false,
+      status: 'error',
+      code: 'PERMISSION_LOOKUP_FAILED',
+      message: 'Unable to verify permissions',
+    });
+  }
+
+  const requested = req.query?.branch_id ?? req.headers['x-branch-id'];
+  const { scope, error } = resolveBranchScope(req.user, requested, canViewAll);
+  if (error) {
+    return sendAuthError(res, error.statusCode, error.code, error.message);
+  }
+
+  req.branchScope = scope;
+  next();
+}
+
+/**
+ * Declarative route guard: authenticate, check a permission, scope the
+ * request to the caller's branch, then audit it if it changes data.
+ *   router.delete('/invoices/:id', guard('invoice:delete'), deleteInvoice);
+ */
+function guard(permission) {
+  return permission
+    ? [
+        authMiddleware,
+        requirePermission(permission),
+        attachBranchScope,
+        auditTrail,
+      ]
+    : [authMiddleware, auditTrail];
+}
+
+/**
+ * Grant the defaults for every permission not seeded before. Each seeded
+ * permission is recorded in `permission_seeds`, so a grant an admin removes
+ * stays removed while permissions added in later releases still reach
+ * existing installs. Installs that predate `permission_seeds` count the
+ * permissions already in `role_permissions` as seeded.
+ */
+async function seedRolePermissions() {
+  try {
+    const added = await withTransaction(async (tx) => {
+      let seeded = await tx.query('SELECT permission FROM permission_seeds');
+      if (seeded.length === 0) {
+        seeded = await tx.query(
+          'SELECT DISTINCT permission FROM role_permissions',
+        );
+      }
+      const seededSet = new Set(seeded.map((row) => row.permission));
+
+      const now = getKenyaTimeISO();
+      let count = 0;
+      for (const [role, permissions] of Object.entries(
+        DEFAULT_ROLE_PERMISSIONS,
+      )) {
+        for (const permission of permissions) {
+          if (seededSet.has(permission)) continue;
+          const result = await tx.query(
+            `INSERT IGNORE INTO role_permissions (role, permission, granted_by, created_at)
+             VALUES (?, ?, ?, ?)`,
+            [role, permission, 'system', now],
+          );
+          count += result.affectedRows || 0;
+        }
+      }
+
+      for (const permission of Object.keys(PERMISSIONS)) {
+        await tx.query(
+          'INSERT IGNORE INTO permission_seeds (permission, seeded_at) VALUES (?, ?)',
+          [permission, now],
+        );
+      }
+      return count;
+    });
+
+    if (added > 0) {
+      invalidateRolePermissions();
+      console.log(`🔐 Seeded ${added} default role permission(s)`);
+    }
+  } catch (err) {
+    console.error('❌ Failed to seed role permissions:', err.message);
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  SUPER_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  getRolePermissions,
+  invalidateRolePermissions,
+  hasPermission,
+  requirePermission,
+  attachBranchScope,
+  guard,
+  seedRolePermissions,
+};
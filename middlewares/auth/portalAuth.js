@@ -0,0 +1,84 @@
+const { rateLimit } = require('express-rate-limit');
+const { sendAuthError } = require('./authMiddleware');
+const { loadSession } = require('../../services/portal/portalAuth');
+
+// Per-IP limits on the portal login routes. The service also caps codes per
+// identifier and per phone, which holds when requests come from many IPs.
+const limitHandler = (req, res, next, options) =>
+  sendAuthError(res, options.statusCode, 'RATE_LIMITED', options.message);
+
+const otpRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 5,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  message: 'Too many code requests from this device. Try again later',
+  handler: limitHandler,
+});
+
+const otpVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  message: 'Too many attempts from this device. Try again later',
+  handler: limitHandler,
+});
+
+// M-Pesa prompts go to a phone, so they are capped like codes
+const paymentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 5,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  message: 'Too many payment requests from this device. Try again later',
+  handler: limitHandler,
+});
+
+// Public viewing self-bookings look records up by admission number and name
+const selfBookingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  message: 'Too many booking requests from this device. Try again later',
+  handler: limitHandler,
+});
+
+// Portal tokens are only accepted here, and staff tokens never are
+async function portalSession(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) {
+    return sendAuthError(
+      res,
+      401,
+      'PORTAL_AUTH_REQUIRED',
+      'Sign in to the family portal',
+    );
+  }
+
+  try {
+    const session = await loadSession(token);
+    if (!session) {
+      return sendAuthError(
+        res,
+        401,
+        'PORTAL_SESSION_INVALID',
+        'Portal session has expired, please sign in again',
+      );
+    }
+    req.portal = session;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  portalSession,
+  otpRequestLimiter,
+  otpVerifyLimiter,
+  paymentLimiter,
+  selfBookingLimiter,
+};
@@ -9,6 +9,34 @@ class AppError extends Error {
   }
 }
 
+// AppError with a machine-readable `code` clients can branch on
+const codedError = (message, code, statusCode = 400) => {
+  const err = new AppError(message, statusCode);
+  err.code = code;
+  return err;
+};
+
+// Per-controller reply for caught errors: operational errors go back with
+// their status and code, anything else is logged under `tag` as a 500.
+//   const sendError = errorResponder('PAYMENTS');
+//   catch (err) { sendError(res, err, 'Record payment'); }
+const errorResponder = (tag) => (res, err, context) => {
+  if (err.isOperational) {
+    return res.status(err.statusCode).json({
+      success: false,
+      code: err.code,
+      message: err.message,
+      ...(err.details ? { errors: err.details } : {}),
+    });
+  }
+  console.error(`❌ [${tag}] ${context}:`, err.message);
+  return res.status(500).json({
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: err.message,
+  });
+};
+
 // GLOBAL ERROR HANDLER MIDDLEWARE
 const globalErrorHandler = (err, req, res, next) => {
   err.statusCode = err.statusCode || 500;
@@ -22,5 +50,7 @@ const globalErrorHandler = (err, req, res, next) => {
 
 module.exports = {
   AppError,
+  codedError,
+  errorResponder,
   globalErrorHandler,
 };
@@ -0,0 +1,58 @@
+// ----------------- Branch Rooms -----------------
+// Socket.IO rooms that keep branch data inside its branch, like
+// branchCondition() does for queries:
+//   branch:<id>  -> staff signed in to that branch
+//   branch:all   -> staff holding `branches:view-all`
+// Sockets without a valid staff token join neither and get no branch events.
+const { verifyAccessToken } = require('../auth/authMiddleware');
+const { hasPermission } = require('../auth/permissions');
+
+const ALL_BRANCHES_ROOM = 'branch:all';
+
+const branchRoom = (branchId) => `branch:${branchId}`;
+
+function handshakeToken(socket) {
+  const { auth = {}, headers = {} } = socket.handshake || {};
+  if (auth.token) return String(auth.token).replace(/^Bearer\s+/i, '');
+  return headers.authorization?.split(' ')[1] || null;
+}
+
+/** Put a newly connected staff socket in its branch room. */
+async function joinBranchRoom(socket) {
+  const token = handshakeToken(socket);
+  if (!token) return null;
+
+  try {
+    const user = verifyAccessToken(token);
+    if (await hasPermission(user, 'branches:view-all')) {
+      socket.join(ALL_BRANCHES_ROOM);
+      return ALL_BRANCHES_ROOM;
+    }
+    if (user.branch_id === undefined || user.branch_id === null) return null;
+    const room = branchRoom(user.branch_id);
+    socket.join(room);
+    return room;
+  } catch (err) {
+    console.warn(`⚠️ Socket ${socket.id} not joined to a branch:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Emit to the branch's staff and to cross-branch staff. Rows without a
+ * branch only reach cross-branch staff.
+ */
+function emitToBranch(io, branchId, event, payload) {
+  const rooms =
+    branchId === undefined || branchId === null
+      ? [ALL_BRANCHES_ROOM]
+      : [branchRoom(branchId), ALL_BRANCHES_ROOM];
+  io.to(rooms).emit(event, payload);
+}
+
+module.exports = {
+  ALL_BRANCHES_ROOM,
+  branchRoom,
+  joinBranchRoom,
+  emitToBranch,
+};
@@ -0,0 +1,125 @@
+// ----------------- Branch Scope -----------------
+// Every guarded request carries `req.branchScope`:
+//   branchId      -> branch reads are limited to (null = all branches)
+//   writeBranchId -> branch new rows are stamped with
+//   canViewAll    -> caller holds `branches:view-all`
+// Attached by `guard()` in middlewares/auth/permissions.js.
+
+function parseBranchId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const id = parseInt(value, 10);
+  return Number.isNaN(id) ? undefined : id;
+}
+
+/**
+ * Work out which branch a caller may see. Returns `{ scope }` or
+ * `{ error: { statusCode, code, message } }`.
+ * Cross-branch callers may narrow with `?branch_id=` or `x-branch-id`.
+ */
+function resolveBranchScope(user, requested, canViewAll) {
+  const userBranchId = parseBranchId(user?.branch_id) ?? null;
+  const requestedBranchId = parseBranchId(requested);
+
+  if (requestedBranchId === undefined) {
+    return {
+      error: {
+        statusCode: 400,
+        code: 'BRANCH_INVALID',
+        message: 'branch_id must be a number',
+      },
+    };
+  }
+
+  if (canViewAll) {
+    return {
+      scope: {
+        branchId: requestedBranchId,
+        writeBranchId: requestedBranchId ?? userBranchId,
+        canViewAll: true,
+      },
+    };
+  }
+
+  if (userBranchId === null) {
+    return {
+      error: {
+        statusCode: 403,
+        code: 'BRANCH_REQUIRED',
+        message: 'Your account is not assigned to a branch',
+      },
+    };
+  }
+
+  if (requestedBranchId !== null && requestedBranchId !== userBranchId) {
+    return {
+      error: {
+        statusCode: 403,
+        code: 'BRANCH_FORBIDDEN',
+        message: 'You can only access records for your own branch',
+      },
+    };
+  }
+
+  return {
+    scope: {
+      branchId: userBranchId,
+      writeBranchId: userBranchId,
+      canViewAll: false,
+    },
+  };
+}
+
+/** Condition matching every branch, for callers that aren't branch-scoped. */
+function allBranches() {
+  return { sql: '1 = 1', params: [] };
+}
+
+/** The branch condition a service was given, or allBranches() without one. */
+function orAllBranches(branch) {
+  return branch || allBranches();
+}
+
+/** SQL predicate limiting `column` to the caller's branch, e.g. `WHERE ${b.sql}`. */
+function branchCondition(req, column = 'branch_id') {
+  const branchId = req.branchScope?.branchId ?? null;
+  if (branchId === null) return allBranches();
+  return { sql: `${column} = ?`, params: [branchId] };
+}
+
+/** Same as branchCondition for tables that only carry a deceased string id. */
+function deceasedBranchCondition(req, column = 'deceased_id') {
+  const branchId = req.branchScope?.branchId ?? null;
+  if (branchId === null) return allBranches();
+  return {
+    sql: `${column} IN (SELECT deceased_id FROM deceased WHERE branch_id = ?)`,
+    params: [branchId],
+  };
+}
+
+/** True when a row stamped with `rowBranchId` is visible to the caller. */
+function canAccessBranch(req, rowBranchId) {
+  const branchId = req.branchScope?.branchId ?? null;
+  if (branchId === null) return true;
+  return Number(rowBranchId) === branchId;
+}
+
+/** Branch new records are created under. */
+function getWriteBranchId(req) {
+  return req.branchScope?.writeBranchId ?? null;
+}
+
+/** Cache partition for the caller's view ('all' for cross-branch callers). */
+function getBranchCacheId(req) {
+  return req.branchScope?.branchId ?? 'all';
+}
+
+module.exports = {
+  resolveBranchScope,
+  allBranches,
+  orAllBranches,
+  branchCondition,
+  deceasedBranchCondition,
+  canAccessBranch,
+  getWriteBranchId,
+  getBranchCacheId,
+};
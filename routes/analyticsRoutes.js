@@ -1,11 +1,20 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const {
   getMortuaryAnalytics,
   getComprehensiveVehicleAnalytics,
 } = require('../controllers/analyticsRevenue/analytics');
 // Basic analytics endpoint
-router.get('/analytics/mortuary-analytics', getMortuaryAnalytics);
-router.get('/vehicle-analytics', getComprehensiveVehicleAnalytics);
+router.get(
+  '/analytics/mortuary-analytics',
+  guard('analytics:read'),
+  getMortuaryAnalytics,
+);
+router.get(
+  '/vehicle-analytics',
+  guard('analytics:read'),
+  getComprehensiveVehicleAnalytics,
+);
 
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getAuditLogs,
+  verifyAuditLog,
+} = require('../controllers/audit/auditLog');
+
+router.get('/audit-logs', guard('audit:read'), getAuditLogs);
+router.get('/audit-logs/verify', guard('audit:read'), verifyAuditLog);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const multer = require('multer');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  importBankStatement,
+  getBankStatements,
+  getBankStatement,
+  rematchBankStatement,
+  getReconciliationReport,
+  confirmStatementLine,
+  ignoreStatementLine,
+} = require('../controllers/banking/bankStatements');
+
+// A month of transactions is well under this; keep it in memory
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+router.post(
+  '/bank-statements/import',
+  guard('bank:reconcile'),
+  statementUpload.single('file'),
+  importBankStatement,
+);
+router.get('/bank-statements', guard('invoice:read'), getBankStatements);
+router.get('/bank-statements/:id', guard('invoice:read'), getBankStatement);
+router.get(
+  '/bank-statements/:id/reconciliation',
+  guard('invoice:read'),
+  getReconciliationReport,
+);
+router.post(
+  '/bank-statements/:id/rematch',
+  guard('bank:reconcile'),
+  rematchBankStatement,
+);
+router.put(
+  '/bank-statements/lines/:id/confirm',
+  guard('bank:reconcile'),
+  confirmStatementLine,
+);
+router.put(
+  '/bank-statements/lines/:id/ignore',
+  guard('bank:reconcile'),
+  ignoreStatementLine,
+);
+
+module.exports = router;
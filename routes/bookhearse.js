@@ -1,4 +1,5 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const {
   makeHearseBooking,
   getAllHearseBookings,
@@ -6,19 +7,37 @@ const {
   getDriverDashboard,
   updateBookingStatus,
   postponeHearseBooking,
+  registerDriver,
   getAllDrivers,
   getBookingsByDriver,
 } = require('../controllers/hearseControllers/bookhearse');
 
 const router = express.Router();
 
-router.post('/hearse', makeHearseBooking);
-router.get('/hearse-bookings', getAllHearseBookings);
-router.put('/hearse-bookings/:booking_id/assign-driver', assignDriverToBooking);
-router.put('/hearse-bookings/:booking_id/status', updateBookingStatus);
-router.put('/hearse-bookings/:booking_id/postpone', postponeHearseBooking);
-router.get('/all-drivers', getAllDrivers);
-router.get('/driver/:driver_id', getBookingsByDriver);
-router.get('/driver/:driver_id/dashboard', getDriverDashboard);
+router.post('/hearse', guard('dispatch:manage'), makeHearseBooking);
+router.get('/hearse-bookings', guard('dispatch:manage'), getAllHearseBookings);
+router.put(
+  '/hearse-bookings/:booking_id/assign-driver',
+  guard('dispatch:manage'),
+  assignDriverToBooking,
+);
+router.put(
+  '/hearse-bookings/:booking_id/status',
+  guard('dispatch:manage'),
+  updateBookingStatus,
+);
+router.put(
+  '/hearse-bookings/:booking_id/postpone',
+  guard('dispatch:manage'),
+  postponeHearseBooking,
+);
+router.post('/drivers', guard('dispatch:manage'), registerDriver);
+router.get('/all-drivers', guard('dispatch:manage'), getAllDrivers);
+router.get('/driver/:driver_id', guard('dispatch:manage'), getBookingsByDriver);
+router.get(
+  '/driver/:driver_id/dashboard',
+  guard('dispatch:manage'),
+  getDriverDashboard,
+);
 
 module.exports = router;
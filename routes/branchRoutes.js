@@ -0,0 +1,12 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getBranches,
+  getBranchOverview,
+} = require('../controllers/branches/branches');
+
+router.get('/branches', guard('branches:view-all'), getBranches);
+router.get('/branches/overview', guard('branches:view-all'), getBranchOverview);
+
+module.exports = router;
@@ -1,11 +1,16 @@
 // routes/burialNotificationRoutes.js
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const {
   handleBurialNotification,
 } = require('../controllers/notifications/burilNotification');
 
 // ----------------- Generate Burial Notification -----------------
-router.get('/generate-burial-notification', handleBurialNotification);
+router.get(
+  '/generate-burial-notification',
+  guard('release:create'),
+  handleBurialNotification,
+);
 
 module.exports = router;
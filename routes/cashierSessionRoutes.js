@@ -0,0 +1,44 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  openCashierSession,
+  getCurrentSession,
+  getCashierSessions,
+  getCashierSession,
+  closeCashierSession,
+  signOffCashierSession,
+  getZReport,
+  printZReport,
+} = require('../controllers/payments/cashierSessions');
+
+router.post(
+  '/cashier-sessions/open',
+  guard('payment:create'),
+  openCashierSession,
+);
+router.get(
+  '/cashier-sessions/current',
+  guard('payment:create'),
+  getCurrentSession,
+);
+router.get('/cashier-sessions', guard('invoice:read'), getCashierSessions);
+router.get('/cashier-sessions/:id', guard('invoice:read'), getCashierSession);
+router.put(
+  '/cashier-sessions/:id/close',
+  guard('payment:create'),
+  closeCashierSession,
+);
+router.put(
+  '/cashier-sessions/:id/sign-off',
+  guard('cashup:sign-off'),
+  signOffCashierSession,
+);
+router.get('/cashier-sessions/:id/z-report', guard('invoice:read'), getZReport);
+router.post(
+  '/cashier-sessions/:id/z-report/print',
+  guard('invoice:read'),
+  printZReport,
+);
+
+module.exports = router;
@@ -3,7 +3,20 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 
-const { safeQuery } = require('../configurations/sqlConfig/db');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../configurations/sqlConfig/db');
+const { AppError } = require('../middlewares/errorHandler/errorHandler');
+const { branchCondition } = require('../middlewares/tenancy/branchScope');
+const { getKenyaTimeISO } = require('../utilities/timeStamps/timeStamps');
+const { releaseBodyFromTray } = require('../services/coldroom/trayRegistry');
+const {
+  LIFECYCLE,
+  transitionStatus,
+} = require('../services/lifecycle/bodyLifecycle');
+const { guard } = require('../middlewares/auth/permissions');
+const { softDelete } = require('../services/recycleBin/softDelete');
 
 const router = express.Router();
 
@@ -79,7 +92,12 @@ async function generateReleasePDF(data) {
 
       // 4. AUTHORIZATION TEXT - Clear legal section
       const authY = maxColumnEndY + 20;
-      const authEndY = drawAuthorizationText(doc, data.recipientName, authY);
+      const authEndY = drawAuthorizationText(
+        doc,
+        data.recipientName,
+        data.deceasedName,
+        authY,
+      );
 
       // 5. SIGNATURE AREA - Organized side-by-side
       const signatureY = authEndY + 30; // Added more vertical space
@@ -357,7 +375,7 @@ function drawCleanInfoPair(doc, label, value, x, y, width) {
 }
 
 // 📌 Authorization Text (Legal Clause)
-function drawAuthorizationText(doc, recipientName, startY) {
+function drawAuthorizationText(doc, recipientName, deceasedName, startY) {
   // Section Header
   let currentY = drawSectionHeader(
     doc,
@@ -369,7 +387,7 @@ function drawAuthorizationText(doc, recipientName, startY) {
   currentY += 10;
 
   const authText = [
-    `I, **${recipientName}**, hereby confirm that I am the **legal next-of-kin** or duly authorized representative with the legal capacity to execute this release. I authorize LEE Funeral Services to release the remains of the deceased, **${data.deceasedName}**, as specified in this document.`,
+    `I, **${recipientName}**, hereby confirm that I am the **legal next-of-kin** or duly authorized representative with the legal capacity to execute this release. I authorize LEE Funeral Services to release the remains of the deceased, **${deceasedName}**, as specified in this document.`,
     ``,
     `I understand and accept that upon execution of this document and release of the remains, **LEE Funeral Services is irrevocably released from any further liability** concerning the custody, handling, or transportation of the remains. I confirm all necessary final arrangements and payments have been settled in full.`,
   ];
@@ -664,7 +682,7 @@ function generateDocumentId(deceasedName) {
 }
 
 // --- POST ENDPOINT ---
-router.post('/generate-pdf', async (req, res) => {
+router.post('/generate-pdf', guard('release:create'), async (req, res) => {
   try {
     // Example data based on your request
     const {
@@ -676,6 +694,7 @@ router.post('/generate-pdf', async (req, res) => {
       recipientSignature, // Base64 signature string
       releaseDate = '11/23/2025',
       releaseTime = '7:56:05 PM',
+      deceasedId, // deceased.deceased_id; records the release when given
     } = req.body;
 
     if (!deceasedName?.trim() || !recipientName?.trim()) {
@@ -715,6 +734,59 @@ router.post('/generate-pdf', async (req, res) => {
 
     const pdfBuffer = await generateReleasePDF(data);
 
+    // With a deceasedId the release is recorded and the body checked out in
+    // one transaction, so a stored release always matches the body's status
+    if (deceasedId) {
+      const branch = branchCondition(req);
+      await withTransaction(async (tx) => {
+        const deceased = await tx.queryOne(
+          `SELECT id, deceased_id, status FROM deceased
+           WHERE deceased_id = ? AND ${branch.sql} FOR UPDATE`,
+          [deceasedId, ...branch.params],
+        );
+        if (!deceased) throw new AppError('Deceased not found', 404);
+
+        const now = getKenyaTimeISO();
+        await tx.query(
+          `INSERT INTO releases
+           (document_id, deceased_id, deceased_name, recipient_name, recipient_relation,
+            recipient_phone, recipient_id, recipient_signature, pdf_data,
+            liability_accepted, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            documentId,
+            deceased.deceased_id,
+            data.deceasedName,
+            data.recipientName,
+            data.recipientRelation || null,
+            data.recipientPhone || null,
+            data.recipientId || null,
+            recipientSignature || null,
+            pdfBuffer,
+            1,
+            now,
+          ],
+        );
+
+        // Lifecycle refuses unless release was approved and the balance is clear
+        await transitionStatus(tx, {
+          deceasedId: deceased.deceased_id,
+          to: LIFECYCLE.DISPATCHED,
+          reason: `Released under ${documentId}`,
+          actor: req.user?.id ? String(req.user.id) : null,
+          extra: { dispatch_date: now.slice(0, 10) },
+        });
+
+        // A released body no longer holds a cold room tray
+        await releaseBodyFromTray(tx, {
+          deceasedId: deceased.deceased_id,
+          reason: `Released under ${documentId}`,
+          performedBy: req.user?.id ? String(req.user.id) : null,
+          now,
+        });
+      });
+    }
+
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader(
       'Content-Disposition',
@@ -722,6 +794,11 @@ router.post('/generate-pdf', async (req, res) => {
     );
     res.send(pdfBuffer);
   } catch (error) {
+    if (error.isOperational) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, code: error.code, error: error.message });
+    }
     console.error('PDF Generation Error:', error);
     res.status(500).json({
       success: false,
@@ -731,7 +808,7 @@ router.post('/generate-pdf', async (req, res) => {
 });
 
 // GET all release forms with filtering by deceased ID
-router.get('/release-forms', async (req, res) => {
+router.get('/release-forms', guard('release:read'), async (req, res) => {
   try {
     const { search, limit = 20, deceasedId } = req.query;
 
@@ -740,7 +817,7 @@ router.get('/release-forms', async (req, res) => {
              recipient_relation, recipient_phone, recipient_id,
              recipient_signature, liability_accepted, created_at, updated_at
       FROM releases 
-      WHERE 1=1
+      WHERE deleted_at IS NULL
     `;
     const params = [];
 
@@ -781,7 +858,7 @@ router.get('/release-forms', async (req, res) => {
 });
 
 // GET all release forms with filtering by deceased name (since deceased_id column doesn't exist)
-router.get('/release-forms', async (req, res) => {
+router.get('/release-forms', guard('release:read'), async (req, res) => {
   try {
     const { search, limit = 20, deceasedId, deceasedName } = req.query;
 
@@ -790,7 +867,7 @@ router.get('/release-forms', async (req, res) => {
              recipient_relation, recipient_phone, recipient_id,
              recipient_signature, liability_accepted, created_at, updated_at
       FROM releases 
-      WHERE 1=1
+      WHERE deleted_at IS NULL
     `;
     const params = [];
 
@@ -837,131 +914,146 @@ router.get('/release-forms', async (req, res) => {
 });
 
 // GET release forms by deceased name (alternative endpoint)
-router.get('/release-forms/deceased/:deceasedName', async (req, res) => {
-  try {
-    const { deceasedName } = req.params;
-    const { limit = 20 } = req.query;
+router.get(
+  '/release-forms/deceased/:deceasedName',
+  guard('release:read'),
+  async (req, res) => {
+    try {
+      const { deceasedName } = req.params;
+      const { limit = 20 } = req.query;
 
-    const result = await safeQuery(
-      `SELECT id, document_id, timestamp, deceased_name, recipient_name, 
+      const result = await safeQuery(
+        `SELECT id, document_id, timestamp, deceased_name, recipient_name, 
               recipient_relation, recipient_phone, recipient_id,
               recipient_signature, liability_accepted, created_at, updated_at
        FROM releases 
-       WHERE deceased_name = ?
+       WHERE deceased_name = ? AND deleted_at IS NULL
        ORDER BY created_at DESC 
        LIMIT ?`,
-      [deceasedName, parseInt(limit)],
-    );
-
-    res.json({
-      success: true,
-      data: {
-        forms: result,
-        total: result.length,
-      },
-    });
-  } catch (error) {
-    console.error('Get Release Forms by Deceased Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve release forms for this deceased',
-    });
-  }
-});
+        [deceasedName, parseInt(limit)],
+      );
 
-// DELETE release form
-router.delete('/release-forms/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+      res.json({
+        success: true,
+        data: {
+          forms: result,
+          total: result.length,
+        },
+      });
+    } catch (error) {
+      console.error('Get Release Forms by Deceased Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve release forms for this deceased',
+      });
+    }
+  },
+);
+
+// DELETE release form (soft: restorable from the recycle bin)
+router.delete(
+  '/release-forms/:id',
+  guard('release:delete'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    const result = await safeQuery('DELETE FROM releases WHERE id = ?', [id]);
+      await withTransaction((tx) => softDelete(tx, req, 'release', id));
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
+      res.json({
+        success: true,
+        message: 'Release form deleted successfully',
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Release form not found',
+        });
+      }
+      console.error('Delete Release Form Error:', error);
+      res.status(500).json({
         success: false,
-        error: 'Release form not found',
+        error: 'Failed to delete release form',
       });
     }
-
-    res.json({
-      success: true,
-      message: 'Release form deleted successfully',
-    });
-  } catch (error) {
-    console.error('Delete Release Form Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete release form',
-    });
-  }
-});
+  },
+);
 
 // Download PDF
-router.get('/release-forms/:id/download', async (req, res) => {
-  try {
-    const { id } = req.params;
+router.get(
+  '/release-forms/:id/download',
+  guard('release:read'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    const result = await safeQuery(
-      `SELECT pdf_data, deceased_name, document_id FROM releases WHERE id = ?`,
-      [id],
-    );
+      const result = await safeQuery(
+        `SELECT pdf_data, deceased_name, document_id FROM releases WHERE id = ? AND deleted_at IS NULL`,
+        [id],
+      );
+
+      if (result.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found',
+        });
+      }
+
+      const document = result[0];
 
-    if (result.length === 0) {
-      return res.status(404).json({
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="release_${document.deceased_name.replace(/\s+/g, '_')}_${document.document_id}.pdf"`,
+      );
+      res.setHeader('X-Document-ID', document.document_id);
+
+      res.send(document.pdf_data);
+    } catch (error) {
+      console.error('PDF Download Error:', error);
+      res.status(500).json({
         success: false,
-        error: 'Document not found',
+        error: 'Failed to download document',
       });
     }
+  },
+);
 
-    const document = result[0];
+// View PDF in browser
+router.get(
+  '/release-forms/:id/view',
+  guard('release:read'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader(
-      'Content-Disposition',
-      `attachment; filename="release_${document.deceased_name.replace(/\s+/g, '_')}_${document.document_id}.pdf"`,
-    );
-    res.setHeader('X-Document-ID', document.document_id);
+      const result = await safeQuery(
+        `SELECT pdf_data FROM releases WHERE id = ? AND deleted_at IS NULL`,
+        [id],
+      );
 
-    res.send(document.pdf_data);
-  } catch (error) {
-    console.error('PDF Download Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to download document',
-    });
-  }
-});
+      if (result.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found',
+        });
+      }
 
-// View PDF in browser
-router.get('/release-forms/:id/view', async (req, res) => {
-  try {
-    const { id } = req.params;
+      const document = result[0];
 
-    const result = await safeQuery(
-      `SELECT pdf_data FROM releases WHERE id = ?`,
-      [id],
-    );
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', 'inline; filename="view.pdf"');
 
-    if (result.length === 0) {
-      return res.status(404).json({
+      res.send(document.pdf_data);
+    } catch (error) {
+      console.error('PDF View Error:', error);
+      res.status(500).json({
         success: false,
-        error: 'Document not found',
+        error: 'Failed to view document',
       });
     }
-
-    const document = result[0];
-
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', 'inline; filename="view.pdf"');
-
-    res.send(document.pdf_data);
-  } catch (error) {
-    console.error('PDF View Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to view document',
-    });
-  }
-});
+  },
+);
 
 module.exports = router;
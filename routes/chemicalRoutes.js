@@ -0,0 +1,38 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getChemicals,
+  getChemicalById,
+  addChemical,
+  updateChemical,
+  addGoodsReceived,
+  getGoodsReceivedNotes,
+  getGoodsReceivedNote,
+  writeOffChemicalBatch,
+  getStockAlerts,
+  getConsumptionReport,
+} = require('../controllers/inventory/chemicals');
+
+// Fixed paths before /chemicals/:id
+router.get('/chemicals/alerts', guard('embalming:read'), getStockAlerts);
+router.get(
+  '/chemicals/reports/consumption',
+  guard('embalming:read'),
+  getConsumptionReport,
+);
+router.post('/chemicals/grn', guard('inventory:manage'), addGoodsReceived);
+router.get('/chemicals/grn', guard('embalming:read'), getGoodsReceivedNotes);
+router.get('/chemicals/grn/:id', guard('embalming:read'), getGoodsReceivedNote);
+router.post(
+  '/chemicals/batches/:id/write-off',
+  guard('inventory:manage'),
+  writeOffChemicalBatch,
+);
+
+router.get('/chemicals', guard('embalming:read'), getChemicals);
+router.post('/chemicals', guard('inventory:manage'), addChemical);
+router.get('/chemicals/:id', guard('embalming:read'), getChemicalById);
+router.put('/chemicals/:id', guard('inventory:manage'), updateChemical);
+
+module.exports = router;
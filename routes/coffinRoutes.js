@@ -1,4 +1,5 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const uploadCoffinImage = require('../helpers/coffinsUpload');
 const {
@@ -16,24 +17,29 @@ const {
 // Routes for coffin management
 router.post(
   '/register-coffin',
+  guard('coffin:manage'),
   uploadCoffinImage.array('coffin_images', 10),
   createCoffin,
 );
-router.get('/coffins', getAllCoffins);
-router.get('/coffins/:id', getCoffinById);
+router.get('/coffins', guard('coffin:read'), getAllCoffins);
+// Analytics route; before /coffins/:id, which would otherwise take it
+router.get('/coffins/analytics', guard('analytics:read'), getCoffinAnalytics);
+router.get('/coffins/:id', guard('coffin:read'), getCoffinById);
 router.put(
   '/coffins/:id',
+  guard('coffin:manage'),
   uploadCoffinImage.array('coffin_images', 5),
   updateCoffin,
 );
-router.delete('/coffins/:id', deleteCoffin);
-router.get('/coffins/export/excel', exportCoffinsToExcel);
+router.delete('/coffins/:id', guard('coffin:delete'), deleteCoffin);
+router.get('/coffins/export/excel', guard('coffin:read'), exportCoffinsToExcel);
 
 // Assignment routes
-router.post('/assign-coffin', assignCoffin);
-router.get('/assignments/recent', getRecentlyAssignedCoffins);
-
-// Analytics route
-router.get('/coffins/analytics', getCoffinAnalytics);
+router.post('/assign-coffin', guard('coffin:assign'), assignCoffin);
+router.get(
+  '/assignments/recent',
+  guard('coffin:read'),
+  getRecentlyAssignedCoffins,
+);
 
 module.exports = router;
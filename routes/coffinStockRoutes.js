@@ -0,0 +1,69 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getCoffinMovements,
+  addCoffinMovement,
+  returnCoffinAssignment,
+  addStockTake,
+  getStockTakes,
+  getStockTakeById,
+  getSuppliers,
+  getSupplierById,
+  addSupplier,
+  updateSupplier,
+  addPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  receivePurchaseOrderDelivery,
+  cancelPurchaseOrderById,
+} = require('../controllers/coffins/coffinStock');
+
+// Stock journal
+router.get('/coffins/:id/movements', guard('coffin:read'), getCoffinMovements);
+router.post(
+  '/coffins/:id/movements',
+  guard('coffin:manage'),
+  addCoffinMovement,
+);
+router.post(
+  '/coffin-assignments/:id/return',
+  guard('coffin:assign'),
+  returnCoffinAssignment,
+);
+
+// Stock takes
+router.post('/coffin-stock-takes', guard('coffin:manage'), addStockTake);
+router.get('/coffin-stock-takes', guard('coffin:read'), getStockTakes);
+router.get('/coffin-stock-takes/:id', guard('coffin:read'), getStockTakeById);
+
+// Suppliers
+router.get('/suppliers', guard('coffin:read'), getSuppliers);
+router.post('/suppliers', guard('purchasing:manage'), addSupplier);
+router.get('/suppliers/:id', guard('coffin:read'), getSupplierById);
+router.put('/suppliers/:id', guard('purchasing:manage'), updateSupplier);
+
+// Purchase orders
+router.post(
+  '/coffin-purchase-orders',
+  guard('purchasing:manage'),
+  addPurchaseOrder,
+);
+router.get('/coffin-purchase-orders', guard('coffin:read'), getPurchaseOrders);
+router.get(
+  '/coffin-purchase-orders/:id',
+  guard('coffin:read'),
+  getPurchaseOrderById,
+);
+router.post(
+  '/coffin-purchase-orders/:id/receive',
+  guard('purchasing:manage'),
+  receivePurchaseOrderDelivery,
+);
+router.put(
+  '/coffin-purchase-orders/:id/cancel',
+  guard('purchasing:manage'),
+  cancelPurchaseOrderById,
+);
+
+module.exports = router;
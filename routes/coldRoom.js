@@ -1,7 +1,76 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
-const { assignColdRoom } = require('../controllers/coldroom/coldroom');
+const {
+  assignColdRoom,
+  transferColdRoom,
+  releaseColdRoom,
+  getColdRoomMovements,
+  getColdRoomOccupancy,
+  getColdRooms,
+  createColdRoom,
+  updateColdRoom,
+  updateTrayStatus,
+} = require('../controllers/coldroom/coldroom');
+const {
+  ingestTemperatureReadings,
+  getRoomTemperatureReadings,
+  getTemperatureAlarms,
+  acknowledgeTemperatureAlarm,
+  getTemperatureCompliance,
+} = require('../controllers/coldroom/temperature');
 
-router.post('/assign/cold-room', assignColdRoom);
+router.post('/assign/cold-room', guard('coldroom:manage'), assignColdRoom);
+router.post('/cold-room/transfer', guard('coldroom:manage'), transferColdRoom);
+router.post('/cold-room/release', guard('coldroom:manage'), releaseColdRoom);
+router.get(
+  '/cold-room/movements/:deceased_id',
+  guard('coldroom:read'),
+  getColdRoomMovements,
+);
+
+// Occupancy map (also pushed as `coldroom_occupancy` over Socket.IO)
+router.get(
+  '/cold-rooms/occupancy',
+  guard('coldroom:read'),
+  getColdRoomOccupancy,
+);
+
+// Temperature telemetry (sensor gateways log in as a user holding coldroom:telemetry)
+router.post(
+  '/cold-rooms/telemetry',
+  guard('coldroom:telemetry'),
+  ingestTemperatureReadings,
+);
+router.get(
+  '/cold-rooms/temperature/alarms',
+  guard('coldroom:read'),
+  getTemperatureAlarms,
+);
+router.patch(
+  '/cold-rooms/temperature/alarms/:id/acknowledge',
+  guard('coldroom:manage'),
+  acknowledgeTemperatureAlarm,
+);
+router.get(
+  '/cold-rooms/temperature/compliance',
+  guard('coldroom:read'),
+  getTemperatureCompliance,
+);
+router.get(
+  '/cold-rooms/:id/temperature',
+  guard('coldroom:read'),
+  getRoomTemperatureReadings,
+);
+
+// Registry
+router.get('/cold-rooms', guard('coldroom:read'), getColdRooms);
+router.post('/cold-rooms', guard('coldroom:configure'), createColdRoom);
+router.patch('/cold-rooms/:id', guard('coldroom:configure'), updateColdRoom);
+router.patch(
+  '/cold-rooms/trays/:trayId',
+  guard('coldroom:configure'),
+  updateTrayStatus,
+);
 
 module.exports = router;
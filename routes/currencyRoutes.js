@@ -0,0 +1,28 @@
+const express = require('express');
+const multer = require('multer');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getExchangeRates,
+  convertAmount,
+  createExchangeRate,
+  importExchangeRates,
+} = require('../controllers/currency/exchangeRates');
+
+// Rate files are small; keep them in memory rather than on disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+});
+
+router.get('/exchange-rates', guard('invoice:read'), getExchangeRates);
+router.get('/exchange-rates/convert', guard('invoice:read'), convertAmount);
+router.post('/exchange-rates', guard('currency:manage'), createExchangeRate);
+router.post(
+  '/exchange-rates/import',
+  guard('currency:manage'),
+  csvUpload.single('file'),
+  importExchangeRates,
+);
+
+module.exports = router;
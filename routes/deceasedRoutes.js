@@ -6,10 +6,13 @@ const {
   updateDeceasedDispatchDate,
   getDeceasedById,
   updateDeceasedStatus,
+  getDeceasedLifecycle,
   updateDeceasedRecord,
+  deleteDeceasedRecord,
 } = require('../controllers/deceasedControllers/deceasedControl');
 const {
   nextOfKinRegister,
+  verifyNextOfKin,
 } = require('../controllers/deceasedControllers/nextOfKInControl');
 const {
   registerAutopsy,
@@ -17,47 +20,66 @@ const {
 const {
   deathCauseClassifications,
 } = require('../controllers/deceasedControllers/analysis');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 
 // Register Deceased Endpoint
-router.post('/register-deceased', registerDeceased);
-router.get('/deceased-all', getAllRegisteredDeceased);
-router.get('/deceased-id', getDeceasedById);
-router.get('/deceased/export-excel', exportDeceasedToExcel);
+router.post('/register-deceased', guard('deceased:create'), registerDeceased);
+router.get('/deceased-all', guard('deceased:read'), getAllRegisteredDeceased);
+router.get('/deceased-id', guard('deceased:read'), getDeceasedById);
+router.get(
+  '/deceased/export-excel',
+  guard('deceased:export'),
+  exportDeceasedToExcel,
+);
+
+router.put(
+  '/update-deceased/:id',
+  guard('deceased:update'),
+  updateDeceasedRecord,
+);
 
-router.put('/update-deceased/:id', updateDeceasedRecord);
+router.delete(
+  '/deceased/:deceased_id',
+  guard('deceased:delete'),
+  deleteDeceasedRecord,
+);
 
-router.put('/deceased/dispatch-date', updateDeceasedDispatchDate);
+router.put(
+  '/deceased/dispatch-date',
+  guard('deceased:update'),
+  updateDeceasedDispatchDate,
+);
 
 // next  of  ki n
-router.post('/register/kin', nextOfKinRegister);
+router.post('/register/kin', guard('kin:manage'), nextOfKinRegister);
+router.put('/kin/:id/verify', guard('kin:verify'), verifyNextOfKin);
 
 //    autopy  records
-router.post('/deceased/autopsy', registerAutopsy);
+router.post('/deceased/autopsy', guard('autopsy:manage'), registerAutopsy);
 
 //    classifications
 
-router.get('/deceased/analytics', deathCauseClassifications);
+router.get(
+  '/deceased/analytics',
+  guard('analytics:read'),
+  deathCauseClassifications,
+);
 
 // Add more routes here...
 
-router.put('/update-status', (req, res) => {
-  const { id } = req.query; // now represents the `cid`
-  const { status } = req.body;
-
-  if (!id) {
-    return res
-      .status(400)
-      .json({ error: 'Missing record ID (query param: id)' });
-  }
-
-  updateDeceasedStatus(id, status || 'Dispatched', (result) => {
-    if (result.success) {
-      res.json({ message: result.message });
-    } else {
-      res.status(400).json({ error: result.message });
-    }
-  });
-});
+// Lifecycle: the only way to change a body's status
+router.get(
+  '/deceased/:deceased_id/lifecycle',
+  guard('deceased:read'),
+  getDeceasedLifecycle,
+);
+router.put(
+  '/deceased/:deceased_id/status',
+  guard('deceased:update'),
+  updateDeceasedStatus,
+);
+// Legacy alias: ?id=<deceased_id>
+router.put('/update-status', guard('deceased:update'), updateDeceasedStatus);
 
 module.exports = router;
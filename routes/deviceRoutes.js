@@ -1,9 +1,10 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 
 const { getAllDevices } = require('../utilities/deviceMonitor');
 
-router.get('/devices', (req, res) => {
+router.get('/devices', guard('system:monitor'), (req, res) => {
   getAllDevices((devices) => {
     res.json(devices);
   });
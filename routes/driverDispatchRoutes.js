@@ -1,9 +1,10 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const {
   assignVehicleDispatch,
 } = require('../controllers/drivers/assignDriverDispstch');
 
-router.post('/dispatch', assignVehicleDispatch);
+router.post('/dispatch', guard('dispatch:manage'), assignVehicleDispatch);
 
 module.exports = router;
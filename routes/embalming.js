@@ -1,4 +1,5 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const {
   registerEmbalming,
@@ -8,15 +9,15 @@ const {
 } = require('../controllers/embalming/embalming');
 
 // Register new embalming record
-router.post('/embalming', registerEmbalming);
+router.post('/embalming', guard('embalming:manage'), registerEmbalming);
 
 // Update existing record
-router.put('/embalming/:id', updateEmbalming);
+router.put('/embalming/:id', guard('embalming:manage'), updateEmbalming);
 
 // Get all embalming records
-router.get('/embalming', getAllEmbalming);
+router.get('/embalming', guard('embalming:read'), getAllEmbalming);
 
 // Get single record
-router.get('/embalming/:id', getEmbalmingById);
+router.get('/embalming/:id', guard('embalming:read'), getEmbalmingById);
 
 module.exports = router;
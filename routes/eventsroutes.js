@@ -1,4 +1,5 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const {
   createEvents,
@@ -8,14 +9,14 @@ const {
   deleteEvent,
 } = require('../controllers/calender/events');
 
-router.post('/events/create', createEvents);
+router.post('/events/create', guard('events:manage'), createEvents);
 
-router.get('/events', getAllEvents);
+router.get('/events', guard('events:read'), getAllEvents);
 
-router.get('/events/:year/:month', getEventsByMonth);
+router.get('/events/:year/:month', guard('events:read'), getEventsByMonth);
 
-router.put('/:eventId', updateEvent);
+router.put('/:eventId', guard('events:manage'), updateEvent);
 
-router.delete('/:eventId', deleteEvent);
+router.delete('/:eventId', guard('events:manage'), deleteEvent);
 
 module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 
 const {
@@ -9,15 +10,19 @@ const {
 } = require('../controllers/extraCharges/extraCharges');
 
 // Route to add a new extra charge
-router.post('/extra-charges', addExtraCharge);
+router.post('/extra-charges', guard('payment:create'), addExtraCharge);
 
 // Route to update an existing extra charge
-router.put('/extra-charges/:id', updateExtraCharge);
+router.put('/extra-charges/:id', guard('invoice:update'), updateExtraCharge);
 
 // Route to get all extra charges for a deceased
-router.get('/extra-charges/deceased/:deceased_id', getExtraChargesForDeceased);
+router.get(
+  '/extra-charges/deceased/:deceased_id',
+  guard('invoice:read'),
+  getExtraChargesForDeceased,
+);
 
 // Route to delete an extra charge
-router.delete('/extra-charges/:id', deleteExtraCharge);
+router.delete('/extra-charges/:id', guard('invoice:delete'), deleteExtraCharge);
 
 module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 
 const {
@@ -21,8 +22,7 @@ router.get('/inquiries/:inquiry_id', getInquiryById);
 // ----------------------------------------
 // STAFF ENDPOINTS (Dashboard)
 // ----------------------------------------
-// TODO: Protect these with staff auth middleware
-// router.use('/staff', verifyStaff);
+router.use('/staff', guard('notifications:read'));
 
 router.get('/staff/inquiries', getAllInquiries);
 router.get('/staff/inquiries/stats', getInquiryStats);
@@ -1,9 +1,10 @@
 // routes/invoiceRoutes.js
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const { getInvoice } = require('../controllers/invoice/invoice');
 
 // GET invoice for a deceased person
-router.get('/invoice/:deceasedId', getInvoice);
+router.get('/invoice/:deceasedId', guard('invoice:read'), getInvoice);
 
 module.exports = router;
@@ -1,10 +1,12 @@
 // routes/invoiceRoutes.js
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const {
   getAllDeceasedWithFinancials,
   getDeceasedFinancialDetails,
   createPayment,
+  downloadPaymentReceipt,
   createExtraCharge,
   createSystemInvoice,
   createInvoice,
@@ -13,26 +15,50 @@ const {
   getInvoiceById,
   updateInvoice,
   deleteInvoice,
+  splitInvoice,
   downloadInvoice,
 } = require('../controllers/invoice/invoice'); // Fixed import path
 
 // Financial Management Routes
-router.get('/invoices/all-deceased', getAllDeceasedWithFinancials);
+router.get(
+  '/invoices/all-deceased',
+  guard('invoice:read'),
+  getAllDeceasedWithFinancials,
+);
 router.get(
   '/invoices/deceased-financials/:deceased_id',
+  guard('invoice:read'),
   getDeceasedFinancialDetails,
 );
-router.post('/invoices/system-invoice', createSystemInvoice);
-router.post('/invoices/payment', createPayment);
-router.post('/invoices/extra-charge', createExtraCharge);
+router.post(
+  '/invoices/system-invoice',
+  guard('invoice:create'),
+  createSystemInvoice,
+);
+router.post('/invoices/payment', guard('payment:create'), createPayment);
+router.get(
+  '/invoices/payment/:payment_id/receipt',
+  guard('invoice:read'),
+  downloadPaymentReceipt,
+);
+router.post(
+  '/invoices/extra-charge',
+  guard('payment:create'),
+  createExtraCharge,
+);
 
 // Invoice Management Routes
-router.post('/invoices', createInvoice);
-router.get('/invoices', getAllInvoices);
-router.get('/invoices/deceased/:deceased_id', getInvoicesByDeceased);
-router.get('/invoices/:id', getInvoiceById);
-router.put('/invoices/:id', updateInvoice);
-router.delete('/invoices/:id', deleteInvoice);
-router.get('/invoices/:id/download', downloadInvoice);
+router.post('/invoices', guard('invoice:create'), createInvoice);
+router.get('/invoices', guard('invoice:read'), getAllInvoices);
+router.get(
+  '/invoices/deceased/:deceased_id',
+  guard('invoice:read'),
+  getInvoicesByDeceased,
+);
+router.get('/invoices/:id', guard('invoice:read'), getInvoiceById);
+router.put('/invoices/:id', guard('invoice:update'), updateInvoice);
+router.delete('/invoices/:id', guard('invoice:delete'), deleteInvoice);
+router.post('/invoices/:id/split', guard('invoice:create'), splitInvoice);
+router.get('/invoices/:id/download', guard('invoice:read'), downloadInvoice);
 
 module.exports = router;
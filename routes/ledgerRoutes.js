@@ -0,0 +1,26 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getAccountStatement,
+  createRefund,
+  getLedgerTrialBalance,
+} = require('../controllers/ledger/ledger');
+
+router.get(
+  '/deceased/:deceased_id/statement',
+  guard('invoice:read'),
+  getAccountStatement,
+);
+router.post(
+  '/deceased/:deceased_id/refunds',
+  guard('payment:refund'),
+  createRefund,
+);
+router.get(
+  '/ledger/trial-balance',
+  guard('invoice:read'),
+  getLedgerTrialBalance,
+);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  createStkPush,
+  getStkStatus,
+  stkCallback,
+  c2bValidation,
+  c2bConfirmation,
+  registerC2B,
+  getTransactions,
+  getExceptions,
+  resolveMpesaException,
+  dismissMpesaException,
+} = require('../controllers/mpesa/mobileMoney');
+
+router.post('/invoices/:id/stk-push', guard('payment:create'), createStkPush);
+router.get(
+  '/mobile-money/stk/:checkout_request_id',
+  guard('invoice:read'),
+  getStkStatus,
+);
+
+// Called by Daraja (token in the URL, no login)
+router.post('/mobile-money/stk/callback/:token', stkCallback);
+router.post('/mobile-money/c2b/validation/:token', c2bValidation);
+router.post('/mobile-money/c2b/confirmation/:token', c2bConfirmation);
+
+router.post(
+  '/mobile-money/c2b/register',
+  guard('mobile-money:manage'),
+  registerC2B,
+);
+router.get(
+  '/mobile-money/transactions',
+  guard('invoice:read'),
+  getTransactions,
+);
+router.get(
+  '/mobile-money/exceptions',
+  guard('mobile-money:manage'),
+  getExceptions,
+);
+router.put(
+  '/mobile-money/exceptions/:id/resolve',
+  guard('mobile-money:manage'),
+  resolveMpesaException,
+);
+router.put(
+  '/mobile-money/exceptions/:id/dismiss',
+  guard('mobile-money:manage'),
+  dismissMpesaException,
+);
+
+module.exports = router;
@@ -1,37 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { safeQuery } = require('../configurations/sqlConfig/db');
-
-// Controller function to update mortuary rate for all records based on category
-const updateMortuaryRateForAll = async (rateCategory) => {
-  const rates = {
-    basic: 3000,
-    premium: 5000,
-  };
-
-  // Ensure the rateCategory is valid
-  if (!rates[rateCategory]) {
-    throw new Error('Invalid mortuary rate category');
-  }
-
-  const rate = rates[rateCategory];
-
-  try {
-    // Update all deceased records with the chosen rate category
-    await safeQuery(
-      `
-      UPDATE deceased
-      SET mortuary_charge = ?, rate_category = ?
-      WHERE rate_category != ?`,
-      [rate, rateCategory, rateCategory],
-    );
-    console.log(
-      `✅ All deceased with rate category '${rateCategory}' updated to KES ${rate}.`,
-    );
-  } catch (err) {
-    console.error(`❌ Error updating mortuary charges: ${err.message}`);
-    throw err;
-  }
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../configurations/sqlConfig/db');
+const { guard } = require('../middlewares/auth/permissions');
+const {
+  loadTariffs,
+  findTariff,
+  createTariff,
+} = require('../services/tariffs/tariffEngine');
+const { updateMortuaryCharges } = require('../helpers/aurtoChargeCalculations');
+
+// Day-one rate of the tariff in force today, kept on `deceased.mortuary_charge`
+// for display; storage charges themselves come from the tariff engine
+const currentDailyRate = async (rateCategory, currency = 'KES') => {
+  const tariff = findTariff(await loadTariffs({ currency }), {
+    category: rateCategory,
+    currency,
+    date: DateTime.now().setZone('Africa/Nairobi').toISODate(),
+  });
+  return tariff?.tiers[0]?.daily_rate ?? null;
 };
 
 // Controller function to register a new deceased (example)
@@ -47,7 +37,7 @@ const registerMortuary = async (req, res) => {
   }
 
   try {
-    const defaultRate = rate_category === 'premium' ? 5000 : 3000;
+    const defaultRate = await currentDailyRate(rate_category);
     await safeQuery(
       `INSERT INTO deceased (deceased_id, created_at, mortuary_charge, rate_category)
        VALUES (?, NOW(), ?, ?)`,
@@ -84,15 +74,10 @@ const updateMortuaryChargeForSingle = async (req, res) => {
     });
   }
 
-  const rates = {
-    basic: 3000,
-    premium: 5000,
-  };
-
   try {
-    const rate = rates[rate_category];
+    const rate = await currentDailyRate(rate_category);
 
-    // Update the charge for the specific deceased record
+    // Update the category for the specific deceased record
     await safeQuery(
       `
       UPDATE deceased
@@ -100,9 +85,10 @@ const updateMortuaryChargeForSingle = async (req, res) => {
       WHERE deceased_id = ?`,
       [rate, rate_category, deceased_id],
     );
+    await updateMortuaryCharges({ deceasedId: deceased_id });
 
     res.json({
-      message: `Mortuary charge for ${deceased_id} updated to KES ${rate}.`,
+      message: `Mortuary rate category for ${deceased_id} set to ${rate_category} (KES ${rate} per day today).`,
     });
   } catch (err) {
     console.error('❌ Error updating mortuary charge:', err);
@@ -115,36 +101,61 @@ const updateMortuaryChargeForSingle = async (req, res) => {
 // Routes
 
 // Register mortuary
-router.post('/register-moltuary', registerMortuary);
+router.post('/register-moltuary', guard('mortuary:manage'), registerMortuary);
 
 // Get list of mortuary ids
-router.get('/moltuary-id', getMortuaryIds);
-
-// Update mortuary rate for all records
-router.post('/update-mortuary-rate', async (req, res) => {
-  const { rateCategory } = req.body;
-
-  if (
-    !rateCategory ||
-    (rateCategory !== 'basic' && rateCategory !== 'premium')
-  ) {
-    return res.status(400).json({
-      error:
-        'Invalid or missing mortuary rate category. Choose "basic" or "premium".',
-    });
-  }
-
-  try {
-    await updateMortuaryRateForAll(rateCategory); // Update charges based on category
-    res.json({
-      message: `Mortuary rate updated to KES ${rateCategory === 'premium' ? 5000 : 3000} for all records.`,
-    });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to update mortuary rates' });
-  }
-});
+router.get('/moltuary-id', guard('deceased:read'), getMortuaryIds);
+
+// Change the rate for a category from a date onwards. Adds a new tariff
+// version; days before `effective_from` keep the rate that applied then.
+router.post(
+  '/update-mortuary-rate',
+  guard('tariff:manage'),
+  async (req, res) => {
+    const {
+      rateCategory,
+      currency,
+      daily_rate,
+      tiers,
+      effective_from,
+      grace_days,
+    } = req.body;
+
+    if (!rateCategory) {
+      return res
+        .status(400)
+        .json({ error: 'Missing mortuary rate category (rateCategory).' });
+    }
+
+    try {
+      const { tariff } = await withTransaction((tx) =>
+        createTariff(tx, req, {
+          rate_category: rateCategory,
+          currency,
+          daily_rate,
+          tiers,
+          effective_from,
+          grace_days,
+        }),
+      );
+      res.status(201).json({
+        message: `Mortuary rate for ${tariff.rate_category} updated from ${tariff.effective_from}.`,
+        tariff,
+      });
+    } catch (err) {
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      res.status(500).json({ error: 'Failed to update mortuary rates' });
+    }
+  },
+);
 
 // Update mortuary charge for a single deceased record
-router.post('/update-mortuary-charge', updateMortuaryChargeForSingle);
+router.post(
+  '/update-mortuary-charge',
+  guard('mortuary:manage'),
+  updateMortuaryChargeForSingle,
+);
 
 module.exports = router;
@@ -1,10 +1,11 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 
 const {
   getAllNotifications,
 } = require('../controllers/notifications/notifications');
 
-router.get('/notifications', getAllNotifications);
+router.get('/notifications', guard('notifications:read'), getAllNotifications);
 
 module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getPayers,
+  getPayerById,
+  addPayer,
+  updatePayer,
+  addPayerContract,
+  getBodyPayers,
+  updateBodyPayers,
+  getPayerStatement,
+  createConsolidatedInvoice,
+  getConsolidatedInvoices,
+  getConsolidatedInvoice,
+  downloadConsolidatedInvoice,
+} = require('../controllers/payers/payers');
+
+router.get('/payers', guard('invoice:read'), getPayers);
+router.post('/payers', guard('payer:manage'), addPayer);
+router.get(
+  '/payers/consolidated-invoices',
+  guard('invoice:read'),
+  getConsolidatedInvoices,
+);
+router.get(
+  '/payers/consolidated-invoices/:id',
+  guard('invoice:read'),
+  getConsolidatedInvoice,
+);
+router.get(
+  '/payers/consolidated-invoices/:id/pdf',
+  guard('invoice:read'),
+  downloadConsolidatedInvoice,
+);
+router.get('/payers/:id', guard('invoice:read'), getPayerById);
+router.put('/payers/:id', guard('payer:manage'), updatePayer);
+router.post('/payers/:id/contracts', guard('payer:manage'), addPayerContract);
+router.get('/payers/:id/statement', guard('invoice:read'), getPayerStatement);
+router.post(
+  '/payers/:id/consolidate',
+  guard('invoice:create'),
+  createConsolidatedInvoice,
+);
+
+router.get(
+  '/deceased/:deceased_id/payers',
+  guard('invoice:read'),
+  getBodyPayers,
+);
+router.put(
+  '/deceased/:deceased_id/payers',
+  guard('payer:manage'),
+  updateBodyPayers,
+);
+
+module.exports = router;
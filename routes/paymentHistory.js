@@ -1,4 +1,5 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const {
   getPaymentHistoryByDeceased,
@@ -7,6 +8,7 @@ const {
 //  GET /api/v1/restpoint/deceased/payment-history?deceased_id=123
 router.get(
   '/deceased/payment-history/:deceased_id',
+  guard('invoice:read'),
   getPaymentHistoryByDeceased,
 );
 module.exports = router;
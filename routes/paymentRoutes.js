@@ -0,0 +1,43 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getPayment,
+  allocatePaymentToInvoices,
+  requestReversal,
+  requestCreditNote,
+  getAdjustments,
+  approveAdjustment,
+  rejectAdjustment,
+} = require('../controllers/payments/payments');
+
+router.get('/invoices/payment/:payment_id', guard('invoice:read'), getPayment);
+router.post(
+  '/invoices/payment/:payment_id/allocations',
+  guard('payment:create'),
+  allocatePaymentToInvoices,
+);
+router.post(
+  '/invoices/payment/:payment_id/reverse',
+  guard('payment:refund'),
+  requestReversal,
+);
+router.post(
+  '/invoices/:id/credit-notes',
+  guard('payment:refund'),
+  requestCreditNote,
+);
+
+router.get('/payment-adjustments', guard('invoice:read'), getAdjustments);
+router.put(
+  '/payment-adjustments/:id/approve',
+  guard('refund:approve'),
+  approveAdjustment,
+);
+router.put(
+  '/payment-adjustments/:id/reject',
+  guard('refund:approve'),
+  rejectAdjustment,
+);
+
+module.exports = router;
@@ -1,15 +1,150 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { guard } = require('../middlewares/auth/permissions');
+const {
+  portalSession,
+  otpRequestLimiter,
+  otpVerifyLimiter,
+  paymentLimiter,
+} = require('../middlewares/auth/portalAuth');
 const router = express.Router();
 const {
-  getPortalDeceasedById,
+  requestPortalCode,
+  verifyPortalCode,
+  getPortalDeceased,
+  logoutPortal,
   downloadAutopsyPDF,
   getMinisterDeceasedRecords,
 } = require('../controllers/portal/portal');
+const {
+  getPortalAccount,
+  payPortalBalance,
+  getPortalPayment,
+  getPortalDocuments,
+  downloadPortalInvoice,
+  downloadPortalReleaseForm,
+  downloadPortalBurialNotification,
+  uploadPortalDocuments,
+  getPortalCoffins,
+  choosePortalCoffin,
+  getPortalViewingSlots,
+  getPortalViewings,
+  bookPortalViewing,
+  cancelPortalViewing,
+  addDocumentRequest,
+  getDocumentRequests,
+  cancelDocumentRequestById,
+  getPendingCoffinChoices,
+} = require('../controllers/portal/selfService');
+
+// Family uploads go to the body's folder in the documents store, like staff
+// uploads (routes/uploadDocument.js), but only as PDFs and pictures
+const FAMILY_UPLOAD_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+];
+
+const familyUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const folder = path.join(
+        __dirname,
+        `../uploads/documents/${req.portal.deceased_id}`,
+      );
+      fs.promises
+        .mkdir(folder, { recursive: true })
+        .then(() => cb(null, folder), cb);
+    },
+    filename: (req, file, cb) =>
+      cb(null, uuidv4() + path.extname(file.originalname).toLowerCase()),
+  }),
+  fileFilter: (req, file, cb) =>
+    cb(null, FAMILY_UPLOAD_TYPES.includes(file.mimetype)),
+  limits: { fileSize: 10 * 1024 * 1024, files: 5 },
+});
+
+const familyFiles = (req, res, next) =>
+  familyUpload.array('files', 5)(req, res, (err) => {
+    if (!err) return next();
+    res.status(400).json({
+      success: false,
+      code: 'DOCUMENT_INVALID',
+      message: `Upload up to 5 PDFs or pictures of 10 MB each (${err.message})`,
+    });
+  });
 
-router.get('/portal/deceased', getPortalDeceasedById);
+// Family sign-in with a one-time code
+router.post('/portal/request-code', otpRequestLimiter, requestPortalCode);
+router.post('/portal/verify-code', otpVerifyLimiter, verifyPortalCode);
+router.post('/portal/logout', portalSession, logoutPortal);
 
-router.post('/portal/download-autopsy', downloadAutopsyPDF);
+router.get('/portal/deceased', portalSession, getPortalDeceased);
 
-router.get('/portal/ministers', getMinisterDeceasedRecords);
+// Balance and M-Pesa payments
+router.get('/portal/account', portalSession, getPortalAccount);
+router.post('/portal/pay', portalSession, paymentLimiter, payPortalBalance);
+router.get('/portal/payments/:id', portalSession, getPortalPayment);
+
+// Documents to download and documents the mortuary asked for
+router.get('/portal/documents', portalSession, getPortalDocuments);
+router.post(
+  '/portal/documents',
+  portalSession,
+  familyFiles,
+  uploadPortalDocuments,
+);
+router.get('/portal/invoices/:id/pdf', portalSession, downloadPortalInvoice);
+router.get(
+  '/portal/release-forms/:id/pdf',
+  portalSession,
+  downloadPortalReleaseForm,
+);
+router.get(
+  '/portal/burial-notification/pdf',
+  portalSession,
+  downloadPortalBurialNotification,
+);
+router.post('/portal/download-autopsy', portalSession, downloadAutopsyPDF);
+
+// Coffin choice and viewing bookings
+router.get('/portal/coffins', portalSession, getPortalCoffins);
+router.post('/portal/coffin-choice', portalSession, choosePortalCoffin);
+router.get('/portal/viewing-slots', portalSession, getPortalViewingSlots);
+router.get('/portal/viewings', portalSession, getPortalViewings);
+router.post('/portal/viewings', portalSession, bookPortalViewing);
+router.delete('/portal/viewings/:id', portalSession, cancelPortalViewing);
+
+// Staff side of the portal
+router.post(
+  '/deceased/:deceasedId/document-requests',
+  guard('documents:upload'),
+  addDocumentRequest,
+);
+router.get(
+  '/deceased/:deceasedId/document-requests',
+  guard('documents:read'),
+  getDocumentRequests,
+);
+router.put(
+  '/document-requests/:id/cancel',
+  guard('documents:upload'),
+  cancelDocumentRequestById,
+);
+router.get(
+  '/portal-coffin-choices',
+  guard('coffin:read'),
+  getPendingCoffinChoices,
+);
+
+router.get(
+  '/portal/ministers',
+  guard('deceased:read'),
+  getMinisterDeceasedRecords,
+);
 
 module.exports = router;
@@ -1,9 +1,10 @@
 // routes/invoiceRoutes.js or your main router
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const { printInvoice } = require('../controllers/invoice/printinvoice');
 
 // Make sure this comes AFTER /invoices/:id or any similar route
-router.post('/invoices/:id/print', printInvoice);
+router.post('/invoices/:id/print', guard('invoice:read'), printInvoice);
 
 module.exports = router;
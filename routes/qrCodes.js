@@ -1,7 +1,9 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const { generateQRCodeForDeceased } = require('../controllers/qrCodes/qrCode');
-router.get('/qr-code/:deceasedId', async (req, res) => {
+const { branchCondition } = require('../middlewares/tenancy/branchScope');
+router.get('/qr-code/:deceasedId', guard('tags:print'), async (req, res) => {
   const { deceasedId } = req.params;
 
   console.log({
@@ -10,12 +12,17 @@ router.get('/qr-code/:deceasedId', async (req, res) => {
   });
 
   try {
-    const qrCode = await generateQRCodeForDeceased(deceasedId);
+    const qrCode = await generateQRCodeForDeceased(
+      deceasedId,
+      branchCondition(req),
+    );
     console.log('✅ QR code generated');
     res.json({ success: true, qrCode });
   } catch (error) {
     console.error('❌ Error generating QR:', error.message);
-    res.status(500).json({ success: false, message: error.message });
+    res
+      .status(error.statusCode || 500)
+      .json({ success: false, message: error.message });
   }
 });
 
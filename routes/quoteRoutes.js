@@ -0,0 +1,37 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getServicePackages,
+  updateServicePackage,
+  previewQuote,
+  addQuote,
+  getQuotes,
+  getQuoteById,
+  downloadQuote,
+  acceptQuote,
+  declineQuote,
+  convertQuoteToInvoice,
+} = require('../controllers/quotes/quotations');
+
+router.get('/service-packages', guard('invoice:read'), getServicePackages);
+router.put(
+  '/service-packages/:code',
+  guard('package:manage'),
+  updateServicePackage,
+);
+
+router.post('/quotes/estimate', guard('quote:create'), previewQuote);
+router.post('/quotes', guard('quote:create'), addQuote);
+router.get('/quotes', guard('invoice:read'), getQuotes);
+router.get('/quotes/:id', guard('invoice:read'), getQuoteById);
+router.get('/quotes/:id/pdf', guard('invoice:read'), downloadQuote);
+router.put('/quotes/:id/accept', guard('quote:create'), acceptQuote);
+router.put('/quotes/:id/decline', guard('quote:create'), declineQuote);
+router.post(
+  '/quotes/:id/convert',
+  guard('invoice:create'),
+  convertQuoteToInvoice,
+);
+
+module.exports = router;
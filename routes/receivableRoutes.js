@@ -0,0 +1,59 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getAgingReport,
+  getPayerAgingReport,
+  getDebtor,
+  logFollowup,
+  remindNextOfKin,
+  updateReminderPause,
+  addPaymentPlan,
+  getPaymentPlans,
+  getPaymentPlan,
+  cancelPaymentPlan,
+  updatePlanRelease,
+} = require('../controllers/receivables/receivables');
+
+router.get('/receivables/aging', guard('invoice:read'), getAgingReport);
+router.get(
+  '/receivables/payers/aging',
+  guard('invoice:read'),
+  getPayerAgingReport,
+);
+router.get('/receivables/:deceased_id', guard('invoice:read'), getDebtor);
+router.post(
+  '/receivables/:deceased_id/follow-ups',
+  guard('receivables:manage'),
+  logFollowup,
+);
+router.post(
+  '/receivables/:deceased_id/remind',
+  guard('receivables:manage'),
+  remindNextOfKin,
+);
+router.put(
+  '/receivables/:deceased_id/reminders',
+  guard('receivables:manage'),
+  updateReminderPause,
+);
+
+router.post(
+  '/deceased/:deceased_id/payment-plans',
+  guard('receivables:manage'),
+  addPaymentPlan,
+);
+router.get('/payment-plans', guard('invoice:read'), getPaymentPlans);
+router.get('/payment-plans/:id', guard('invoice:read'), getPaymentPlan);
+router.put(
+  '/payment-plans/:id/cancel',
+  guard('receivables:manage'),
+  cancelPaymentPlan,
+);
+router.put(
+  '/payment-plans/:id/release',
+  guard('release:approve'),
+  updatePlanRelease,
+);
+
+module.exports = router;
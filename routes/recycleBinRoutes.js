@@ -0,0 +1,16 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getRecycleBin,
+  restoreFromRecycleBin,
+} = require('../controllers/recycleBin/recycleBin');
+
+router.get('/recycle-bin', guard('recycle:read'), getRecycleBin);
+router.post(
+  '/recycle-bin/:entity/:id/restore',
+  guard('recycle:restore'),
+  restoreFromRecycleBin,
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 // routes/invoices.js
 
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 
 const {
@@ -13,9 +14,17 @@ const {
 // -----------------------------------------
 
 // Send invoice PDF to WhatsApp
-router.post('/invoices/send-whatsapp', sendInvoiceWhatsApp);
+router.post(
+  '/invoices/send-whatsapp',
+  guard('notifications:send'),
+  sendInvoiceWhatsApp,
+);
 
 // Get next of kin by deceased ID
-router.get('/deceased/:id/next-of-kin', getNextOfKinByDeceased);
+router.get(
+  '/deceased/:id/next-of-kin',
+  guard('deceased:read'),
+  getNextOfKinByDeceased,
+);
 
 module.exports = router;
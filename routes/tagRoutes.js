@@ -1,7 +1,8 @@
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
 const router = express.Router();
 const { printTagHandler } = require('../controllers/zebraTags/printTag');
 
-router.post('/print-tag/:deceasedId', printTagHandler);
+router.post('/print-tag/:deceasedId', guard('tags:print'), printTagHandler);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getTariffs,
+  addTariff,
+  getDeceasedStorageCharges,
+  getWaivers,
+  addWaiver,
+  approveWaiver,
+  rejectWaiver,
+} = require('../controllers/tariffs/tariffs');
+
+router.get('/tariffs', guard('invoice:read'), getTariffs);
+router.post('/tariffs', guard('tariff:manage'), addTariff);
+
+router.get(
+  '/deceased/:deceased_id/storage-charges',
+  guard('invoice:read'),
+  getDeceasedStorageCharges,
+);
+
+router.get('/waivers', guard('invoice:read'), getWaivers);
+router.post(
+  '/deceased/:deceased_id/waivers',
+  guard('waiver:request'),
+  addWaiver,
+);
+router.put('/waivers/:id/approve', guard('waiver:approve'), approveWaiver);
+router.put('/waivers/:id/reject', guard('waiver:approve'), rejectWaiver);
+
+module.exports = router;
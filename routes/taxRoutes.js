@@ -0,0 +1,18 @@
+const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const router = express.Router();
+const {
+  getTaxCodes,
+  updateTaxCode,
+  fiscaliseInvoiceNow,
+} = require('../controllers/tax/taxCodes');
+
+router.get('/tax-codes', guard('invoice:read'), getTaxCodes);
+router.put('/tax-codes/:service_type', guard('tax:manage'), updateTaxCode);
+router.post(
+  '/invoices/:id/fiscalise',
+  guard('invoice:create'),
+  fiscaliseInvoiceNow,
+);
+
+module.exports = router;
@@ -4,8 +4,13 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { safeQuery } = require('../configurations/sqlConfig/db');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../configurations/sqlConfig/db');
 const { getKenyaTimeISO } = require('../utilities/timeStamps/timeStamps');
+const { guard } = require('../middlewares/auth/permissions');
+const { softDelete } = require('../services/recycleBin/softDelete');
 const nodemailer = require('nodemailer');
 
 // Enhanced file type detection with categories
@@ -221,6 +226,7 @@ const upload = multer({
 
 router.post(
   '/deceased/:deceasedId/documents',
+  guard('documents:upload'),
   upload.array('files', 20),
   async (req, res) => {
     try {
@@ -332,144 +338,154 @@ router.post(
 );
 
 // Enhanced get documents with search and filtering
-router.get('/documents/:deceasedId', async (req, res) => {
-  try {
-    const { deceasedId } = req.params;
-    const {
-      search,
-      category,
-      sortBy = 'uploaded_at',
-      sortOrder = 'DESC',
-    } = req.query;
-
-    let query = `
+router.get(
+  '/documents/:deceasedId',
+  guard('documents:read'),
+  async (req, res) => {
+    try {
+      const { deceasedId } = req.params;
+      const {
+        search,
+        category,
+        sortBy = 'uploaded_at',
+        sortOrder = 'DESC',
+      } = req.query;
+
+      let query = `
       SELECT document_id, document_type, category, file_name, file_path, mime_type, 
              uploaded_by, uploaded_at, created_at, version
       FROM documents
-      WHERE deceased_id = ?
+      WHERE deceased_id = ? AND deleted_at IS NULL
     `;
-    const params = [deceasedId];
+      const params = [deceasedId];
 
-    // Add search filter
-    if (search) {
-      query += ` AND (file_name LIKE ? OR category LIKE ? OR document_type LIKE ?)`;
-      const searchTerm = `%${search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
-    }
+      // Add search filter
+      if (search) {
+        query += ` AND (file_name LIKE ? OR category LIKE ? OR document_type LIKE ?)`;
+        const searchTerm = `%${search}%`;
+        params.push(searchTerm, searchTerm, searchTerm);
+      }
 
-    // Add category filter
-    if (category && category !== 'all') {
-      query += ` AND category = ?`;
-      params.push(category);
-    }
+      // Add category filter
+      if (category && category !== 'all') {
+        query += ` AND category = ?`;
+        params.push(category);
+      }
 
-    // Add sorting
-    const validSortFields = [
-      'uploaded_at',
-      'file_name',
-      'category',
-      'document_type',
-    ];
-    const validSortOrders = ['ASC', 'DESC'];
+      // Add sorting
+      const validSortFields = [
+        'uploaded_at',
+        'file_name',
+        'category',
+        'document_type',
+      ];
+      const validSortOrders = ['ASC', 'DESC'];
 
-    const sortField = validSortFields.includes(sortBy) ? sortBy : 'uploaded_at';
-    const sortDir = validSortOrders.includes(sortOrder.toUpperCase())
-      ? sortOrder.toUpperCase()
-      : 'DESC';
+      const sortField = validSortFields.includes(sortBy)
+        ? sortBy
+        : 'uploaded_at';
+      const sortDir = validSortOrders.includes(sortOrder.toUpperCase())
+        ? sortOrder.toUpperCase()
+        : 'DESC';
 
-    query += ` ORDER BY ${sortField} ${sortDir}`;
+      query += ` ORDER BY ${sortField} ${sortDir}`;
 
-    const documents = await safeQuery(query, params);
+      const documents = await safeQuery(query, params);
 
-    if (documents.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'No documents found for this deceased ID',
-      });
-    }
-
-    // Get file sizes and enhance data
-    const files = await Promise.all(
-      documents.map(async (doc) => {
-        const absolutePath = path.join(__dirname, '..', doc.file_path);
-        let fileSize = null;
-
-        try {
-          const stats = await fs.promises.stat(absolutePath);
-          fileSize = stats.size;
-        } catch (error) {
-          console.log(
-            `Could not get file size for ${doc.file_name}:`,
-            error.message,
-          );
-        }
+      if (documents.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'No documents found for this deceased ID',
+        });
+      }
 
-        return {
-          documentId: doc.document_id,
-          originalName: doc.file_name,
-          mimeType: doc.mime_type,
-          detectedType: doc.document_type,
-          category: doc.category || 'Unknown', // <-- fallback if null
-          uploadedAt: doc.uploaded_at,
-          uploadedBy: doc.uploaded_by || 'System', // <-- fallback if null
-          sizeKB: fileSize ? Math.round(fileSize / 1024) : null,
-          url: doc.file_path.replace(/\\/g, '/'),
-          version: doc.version,
-        };
-      }),
-    );
+      // Get file sizes and enhance data
+      const files = await Promise.all(
+        documents.map(async (doc) => {
+          const absolutePath = path.join(__dirname, '..', doc.file_path);
+          let fileSize = null;
+
+          try {
+            const stats = await fs.promises.stat(absolutePath);
+            fileSize = stats.size;
+          } catch (error) {
+            console.log(
+              `Could not get file size for ${doc.file_name}:`,
+              error.message,
+            );
+          }
+
+          return {
+            documentId: doc.document_id,
+            originalName: doc.file_name,
+            mimeType: doc.mime_type,
+            detectedType: doc.document_type,
+            category: doc.category || 'Unknown', // <-- fallback if null
+            uploadedAt: doc.uploaded_at,
+            uploadedBy: doc.uploaded_by || 'System', // <-- fallback if null
+            sizeKB: fileSize ? Math.round(fileSize / 1024) : null,
+            url: doc.file_path.replace(/\\/g, '/'),
+            version: doc.version,
+          };
+        }),
+      );
 
-    return res.json({
-      success: true,
-      deceasedId,
-      files,
-      total: files.length,
-      filters: {
-        search,
-        category,
-        sortBy,
-        sortOrder,
-      },
-    });
-  } catch (err) {
-    console.error('Fetch documents error:', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
+      return res.json({
+        success: true,
+        deceasedId,
+        files,
+        total: files.length,
+        filters: {
+          search,
+          category,
+          sortBy,
+          sortOrder,
+        },
+      });
+    } catch (err) {
+      console.error('Fetch documents error:', err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  },
+);
 
 // Get document history
-router.get('/documents/:documentId/history', async (req, res) => {
-  try {
-    const { documentId } = req.params;
+router.get(
+  '/documents/:documentId/history',
+  guard('documents:read'),
+  async (req, res) => {
+    try {
+      const { documentId } = req.params;
 
-    const history = await safeQuery(
-      `SELECT action, user, details, timestamp, version
+      const history = await safeQuery(
+        `SELECT action, user, details, timestamp, version
        FROM document_history
        WHERE document_id = ?
        ORDER BY timestamp DESC`,
-      [documentId],
-    );
+        [documentId],
+      );
 
-    return res.json({
-      success: true,
-      documentId,
-      history,
-    });
-  } catch (err) {
-    console.error('Fetch document history error:', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
+      return res.json({
+        success: true,
+        documentId,
+        history,
+      });
+    } catch (err) {
+      console.error('Fetch document history error:', err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  },
+);
 
 // Share document endpoint
-router.post('/documents/share', async (req, res) => {
+router.post('/documents/share', guard('documents:share'), async (req, res) => {
   try {
     const { documentId, recipientEmail, method, message, documentName } =
       req.body;
 
     // Get document details
     const document = await safeQuery(
-      `SELECT file_path, file_name FROM documents WHERE document_id = ?`,
+      `SELECT file_path, file_name FROM documents WHERE document_id = ? AND deleted_at IS NULL`,
       [documentId],
     );
 
@@ -551,199 +567,195 @@ router.post('/documents/share', async (req, res) => {
 });
 
 // Update document category
-router.patch('/documents/:documentId/category', async (req, res) => {
-  try {
-    const { documentId } = req.params;
-    const { category, updatedBy = 'System' } = req.body;
-
-    // Update category
-    await safeQuery(`UPDATE documents SET category = ? WHERE document_id = ?`, [
-      category,
-      documentId,
-    ]);
-
-    // Log category change
-    await safeQuery(
-      `INSERT INTO document_history 
+router.patch(
+  '/documents/:documentId/category',
+  guard('documents:upload'),
+  async (req, res) => {
+    try {
+      const { documentId } = req.params;
+      const { category, updatedBy = 'System' } = req.body;
+
+      // Update category
+      await safeQuery(
+        `UPDATE documents SET category = ? WHERE document_id = ?`,
+        [category, documentId],
+      );
+
+      // Log category change
+      await safeQuery(
+        `INSERT INTO document_history 
         (document_id, action, user, details, timestamp) 
        VALUES (?, ?, ?, ?, ?)`,
-      [
-        documentId,
-        'CATEGORY_UPDATED',
-        updatedBy,
-        `Category changed to: ${category}`,
-        getKenyaTimeISO(),
-      ],
-    );
+        [
+          documentId,
+          'CATEGORY_UPDATED',
+          updatedBy,
+          `Category changed to: ${category}`,
+          getKenyaTimeISO(),
+        ],
+      );
 
-    return res.json({
-      success: true,
-      message: 'Document category updated successfully',
-    });
-  } catch (err) {
-    console.error('Update category error:', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
+      return res.json({
+        success: true,
+        message: 'Document category updated successfully',
+      });
+    } catch (err) {
+      console.error('Update category error:', err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  },
+);
 
 // Enhanced download with tracking
-router.get('/documents/download/:documentId', async (req, res) => {
-  try {
-    const { documentId } = req.params;
-    const { downloadedBy = 'System' } = req.query;
+router.get(
+  '/documents/download/:documentId',
+  guard('documents:read'),
+  async (req, res) => {
+    try {
+      const { documentId } = req.params;
+      const { downloadedBy = 'System' } = req.query;
 
-    const document = await safeQuery(
-      `SELECT document_id, file_name, file_path, mime_type
+      const document = await safeQuery(
+        `SELECT document_id, file_name, file_path, mime_type
        FROM documents
-       WHERE document_id = ?`,
-      [documentId],
-    );
+       WHERE document_id = ? AND deleted_at IS NULL`,
+        [documentId],
+      );
 
-    if (document.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Document not found',
-      });
-    }
+      if (document.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found',
+        });
+      }
 
-    const doc = document[0];
-    const absolutePath = path.join(__dirname, '..', doc.file_path);
+      const doc = document[0];
+      const absolutePath = path.join(__dirname, '..', doc.file_path);
 
-    if (!fs.existsSync(absolutePath)) {
-      return res.status(404).json({
-        success: false,
-        message: 'File not found on server',
-      });
-    }
+      if (!fs.existsSync(absolutePath)) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found on server',
+        });
+      }
 
-    // Log download action
-    await safeQuery(
-      `INSERT INTO document_history 
+      // Log download action
+      await safeQuery(
+        `INSERT INTO document_history 
         (document_id, action, user, details, timestamp) 
        VALUES (?, ?, ?, ?, ?)`,
-      [
-        documentId,
-        'DOWNLOADED',
-        downloadedBy,
-        `Document downloaded`,
-        getKenyaTimeISO(),
-      ],
-    );
-
-    // Set appropriate headers
-    res.setHeader('Content-Type', doc.mime_type);
-    res.setHeader('Content-Disposition', `inline; filename="${doc.file_name}"`);
-
-    // Stream the file
-    const fileStream = fs.createReadStream(absolutePath);
-    fileStream.pipe(res);
-  } catch (err) {
-    console.error('Download document error:', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
-
-// Enhanced delete with audit logging
-router.delete('/documents/:documentId', async (req, res) => {
-  try {
-    const { documentId } = req.params;
-    const { deletedBy = 'System' } = req.body;
+        [
+          documentId,
+          'DOWNLOADED',
+          downloadedBy,
+          `Document downloaded`,
+          getKenyaTimeISO(),
+        ],
+      );
 
-    // Get document details first
-    const document = await safeQuery(
-      `SELECT document_id, file_path, file_name
-       FROM documents
-       WHERE document_id = ?`,
-      [documentId],
-    );
+      // Set appropriate headers
+      res.setHeader('Content-Type', doc.mime_type);
+      res.setHeader(
+        'Content-Disposition',
+        `inline; filename="${doc.file_name}"`,
+      );
 
-    if (document.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Document not found',
-      });
+      // Stream the file
+      const fileStream = fs.createReadStream(absolutePath);
+      fileStream.pipe(res);
+    } catch (err) {
+      console.error('Download document error:', err);
+      return res.status(500).json({ success: false, error: err.message });
     }
+  },
+);
 
-    const doc = document[0];
-    const absolutePath = path.join(__dirname, '..', doc.file_path);
-
-    // Log deletion before actually deleting
-    await safeQuery(
-      `INSERT INTO document_history 
-        (document_id, action, user, details, timestamp) 
-       VALUES (?, ?, ?, ?, ?)`,
-      [
-        documentId,
-        'DELETED',
-        deletedBy,
-        `Document permanently deleted: ${doc.file_name}`,
-        getKenyaTimeISO(),
-      ],
-    );
+// Soft delete: the file stays on disk until the recycle bin purges it
+router.delete(
+  '/documents/:documentId',
+  guard('documents:delete'),
+  async (req, res) => {
+    try {
+      const { documentId } = req.params;
+      const { deletedBy = 'System' } = req.body || {};
 
-    // Delete from database
-    await safeQuery(`DELETE FROM documents WHERE document_id = ?`, [
-      documentId,
-    ]);
+      const doc = await withTransaction(async (tx) => {
+        const deleted = await softDelete(tx, req, 'document', documentId);
+        await tx.query(
+          `INSERT INTO document_history 
+          (document_id, action, user, details, timestamp) 
+         VALUES (?, ?, ?, ?, ?)`,
+          [
+            documentId,
+            'DELETED',
+            deletedBy,
+            `Document moved to recycle bin: ${deleted.file_name}`,
+            getKenyaTimeISO(),
+          ],
+        );
+        return deleted;
+      });
 
-    // Delete physical file
-    try {
-      if (fs.existsSync(absolutePath)) {
-        await fs.promises.unlink(absolutePath);
+      return res.json({
+        success: true,
+        message: 'Document deleted successfully',
+        document_id: doc.document_id,
+      });
+    } catch (err) {
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({
+          success: false,
+          message: 'Document not found',
+        });
       }
-    } catch (fileError) {
-      console.warn(`Could not delete physical file: ${fileError.message}`);
-      // Continue even if file deletion fails
+      console.error('Delete document error:', err);
+      return res.status(500).json({ success: false, error: err.message });
     }
-
-    return res.json({
-      success: true,
-      message: 'Document deleted successfully',
-    });
-  } catch (err) {
-    console.error('Delete document error:', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
+  },
+);
 
 // Get document statistics
-router.get('/documents/:deceasedId/stats', async (req, res) => {
-  try {
-    const { deceasedId } = req.params;
+router.get(
+  '/documents/:deceasedId/stats',
+  guard('documents:read'),
+  async (req, res) => {
+    try {
+      const { deceasedId } = req.params;
 
-    const stats = await safeQuery(
-      `
+      const stats = await safeQuery(
+        `
       SELECT 
         COUNT(*) as total_documents,
         COUNT(DISTINCT category) as categories_count,
         SUM(size_kb) as total_size_kb,
         MAX(uploaded_at) as last_upload
       FROM documents 
-      WHERE deceased_id = ?
+      WHERE deceased_id = ? AND deleted_at IS NULL
     `,
-      [deceasedId],
-    );
+        [deceasedId],
+      );
 
-    const categoryStats = await safeQuery(
-      `
+      const categoryStats = await safeQuery(
+        `
       SELECT category, COUNT(*) as count
       FROM documents 
-      WHERE deceased_id = ?
+      WHERE deceased_id = ? AND deleted_at IS NULL
       GROUP BY category
       ORDER BY count DESC
     `,
-      [deceasedId],
-    );
+        [deceasedId],
+      );
 
-    return res.json({
-      success: true,
-      stats: stats[0],
-      categories: categoryStats,
-    });
-  } catch (err) {
-    console.error('Get document stats error:', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
+      return res.json({
+        success: true,
+        stats: stats[0],
+        categories: categoryStats,
+      });
+    } catch (err) {
+      console.error('Get document stats error:', err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  },
+);
 
 module.exports = router;
@@ -10,17 +10,38 @@ const {
   toggleUserStatus,
   deleteUser,
 } = require('../controllers/users/usersControl');
+const {
+  getPermissionCatalogue,
+  getAllRolePermissions,
+  getPermissionsForRole,
+  setPermissionsForRole,
+} = require('../controllers/users/rolePermissions');
+const { guard } = require('../middlewares/auth/permissions');
 
 // ✅ Authentication Routes
-router.post('/users/register', registerUser);
+router.post('/users/register', guard('users:manage'), registerUser);
 router.post('/login', loginUser);
 
-router.post('/logout', logoutUser);
+router.post('/logout', guard(), logoutUser);
 
 // ✅ Worker Management Routes
-router.get('/users', getAllUsers); // Get all users
-router.put('/users/:id/password', updateUserPassword); // Change password
-router.put('/users/:id/status', toggleUserStatus); // Toggle active/inactive
-router.delete('/users/:id', deleteUser); // Delete user
+router.get('/users', guard('users:manage'), getAllUsers); // Get all users
+router.put('/users/:id/password', guard('users:manage'), updateUserPassword); // Change password
+router.put('/users/:id/status', guard('users:manage'), toggleUserStatus); // Toggle active/inactive
+router.delete('/users/:id', guard('users:manage'), deleteUser); // Delete user
+
+// ✅ Role & Permission Management Routes
+router.get('/permissions', guard('roles:manage'), getPermissionCatalogue);
+router.get('/roles/permissions', guard('roles:manage'), getAllRolePermissions);
+router.get(
+  '/roles/:role/permissions',
+  guard('roles:manage'),
+  getPermissionsForRole,
+);
+router.put(
+  '/roles/:role/permissions',
+  guard('roles:manage'),
+  setPermissionsForRole,
+);
 
 module.exports = router;
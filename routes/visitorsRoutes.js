@@ -1,5 +1,7 @@
 // backend/routes/visitorRoutes.js
 const express = require('express');
+const { guard } = require('../middlewares/auth/permissions');
+const { selfBookingLimiter } = require('../middlewares/auth/portalAuth');
 const router = express.Router();
 const {
   registerVisitor,
@@ -7,11 +9,59 @@ const {
   getOnlineBookings,
   processBooking,
 } = require('../controllers/visitors/visitorsControl');
+const {
+  getViewingRooms,
+  addViewingRoom,
+  editViewingRoom,
+  getViewingSchedule,
+  getViewingWaitlist,
+  getViewingNoShows,
+  bookViewingForVisitor,
+  checkInViewing,
+  getViewingQr,
+  markViewingNoShow,
+  getViewingAvailability,
+  selfBookViewing,
+  cancelSelfBooking,
+} = require('../controllers/visitors/viewingSchedule');
 
 // Register the routes
-router.post('/register-visitor', registerVisitor);
-router.get('/recent-visitors', getRecentVisitors);
-router.get('/online-bookings', getOnlineBookings);
-router.post('/process-booking/:id', processBooking);
+router.post('/register-visitor', guard('visitors:manage'), registerVisitor);
+router.get('/recent-visitors', guard('visitors:read'), getRecentVisitors);
+router.get('/online-bookings', guard('visitors:read'), getOnlineBookings);
+router.post('/process-booking/:id', guard('visitors:manage'), processBooking);
+
+// Viewing rooms and their schedule
+router.get('/viewing-rooms', guard('visitors:read'), getViewingRooms);
+router.post('/viewing-rooms', guard('visitors:configure'), addViewingRoom);
+router.patch(
+  '/viewing-rooms/:id',
+  guard('visitors:configure'),
+  editViewingRoom,
+);
+router.get('/viewing-schedule', guard('visitors:read'), getViewingSchedule);
+router.get('/viewing-waitlist', guard('visitors:read'), getViewingWaitlist);
+router.get('/viewing-no-shows', guard('visitors:read'), getViewingNoShows);
+router.post(
+  '/viewing-bookings',
+  guard('visitors:manage'),
+  bookViewingForVisitor,
+);
+router.get('/viewing-bookings/:id/qr', guard('visitors:read'), getViewingQr);
+router.put(
+  '/viewing-bookings/:id/no-show',
+  guard('visitors:manage'),
+  markViewingNoShow,
+);
+router.post('/viewing-checkin', guard('visitors:manage'), checkInViewing);
+
+// Visitors booking themselves (no sign-in)
+router.get('/viewing-availability', selfBookingLimiter, getViewingAvailability);
+router.post('/viewing-bookings/self', selfBookingLimiter, selfBookViewing);
+router.post(
+  '/viewing-bookings/self/cancel',
+  selfBookingLimiter,
+  cancelSelfBooking,
+);
 
 module.exports = router;
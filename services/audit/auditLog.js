@@ -0,0 +1,292 @@
+// ----------------- Audit Log -----------------
+// Append-only record of who changed what. Each entry stores the actor, IP,
+// route and before/after snapshots, plus `hash = sha256(prev_hash + entry)`.
+// Editing or deleting a row breaks every hash after it, which
+// verifyAuditChain() reports.
+//
+// Appends lock the single `audit_chain_head` row, so entries are chained in
+// commit order even when requests run side by side.
+const crypto = require('crypto');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+
+const GENESIS_HASH = '0'.repeat(64);
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Never copied into the log
+const REDACTED_FIELDS = [
+  'password',
+  'password_hash',
+  'token',
+  'refresh_token',
+  'reset_token',
+  'otp',
+];
+
+// Fields hashed in this order; changing it invalidates existing chains
+const HASHED_FIELDS = [
+  'entity',
+  'entity_id',
+  'action',
+  'actor_id',
+  'actor_role',
+  'branch_id',
+  'ip_address',
+  'user_agent',
+  'method',
+  'path',
+  'before_data',
+  'after_data',
+  'changes',
+  'created_at',
+];
+
+/** JSON with sorted keys, so the same record always serialises the same way. */
+function canonicalJSON(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Buffer.isBuffer(value)) return JSON.stringify(value.toString('base64'));
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  return `{${Object.keys(value)
+    .filter((k) => value[k] !== undefined)
+    .sort()
+    .map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`)
+    .join(',')}}`;
+}
+
+/** Copy of `value` with REDACTED_FIELDS masked in nested objects and arrays too. */
+function redactValue(value) {
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (
+    !value ||
+    typeof value !== 'object' ||
+    value instanceof Date ||
+    Buffer.isBuffer(value)
+  ) {
+    return value;
+  }
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = REDACTED_FIELDS.includes(key.toLowerCase())
+      ? '[REDACTED]'
+      : redactValue(field);
+  }
+  return copy;
+}
+
+function redact(record) {
+  return record == null ? null : redactValue(record);
+}
+
+/** Field-level changes between two row snapshots: `{ field: { from, to } }`. */
+function diffRecords(before, after) {
+  const changes = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const key of keys) {
+    const from = before ? (before[key] ?? null) : null;
+    const to = after ? (after[key] ?? null) : null;
+    if (canonicalJSON(from) !== canonicalJSON(to)) changes[key] = { from, to };
+  }
+  return changes;
+}
+
+function computeHash(prevHash, entry) {
+  const payload = HASHED_FIELDS.map((f) =>
+    entry[f] === null || entry[f] === undefined ? '' : String(entry[f]),
+  ).join('|');
+  return crypto
+    .createHash('sha256')
+    .update(`${prevHash}|${payload}`)
+    .digest('hex');
+}
+
+const getClientIP = (req) =>
+  req.headers?.['x-forwarded-for']?.split(',')[0].trim() ||
+  req.ip ||
+  req.socket?.remoteAddress ||
+  null;
+
+/** Who / where a request came from, as stored on each entry. */
+function auditContext(req) {
+  return {
+    actor_id: req?.user?.id != null ? String(req.user.id) : null,
+    actor_role: req?.user?.role || null,
+    branch_id: req?.branchScope?.writeBranchId ?? req?.user?.branch_id ?? null,
+    ip_address: req ? getClientIP(req) : null,
+    user_agent: req?.headers?.['user-agent']?.slice(0, 255) || null,
+    method: req?.method || null,
+    path: req?.originalUrl?.split('?')[0].slice(0, 255) || null,
+  };
+}
+
+async function appendEntry(tx, entry) {
+  const head = await tx.queryOne(
+    'SELECT last_hash FROM audit_chain_head WHERE id = 1 FOR UPDATE',
+  );
+  if (!head) {
+    throw new Error('audit_chain_head is missing; run the audit log migration');
+  }
+
+  const row = { ...entry, created_at: getKenyaTimeISO() };
+  const prevHash = head.last_hash || GENESIS_HASH;
+  const hash = computeHash(prevHash, row);
+
+  const result = await tx.query(
+    `INSERT INTO audit_log
+     (entity, entity_id, action, actor_id, actor_role, branch_id, ip_address,
+      user_agent, method, path, before_data, after_data, changes,
+      prev_hash, hash, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.entity,
+      row.entity_id,
+      row.action,
+      row.actor_id,
+      row.actor_role,
+      row.branch_id,
+      row.ip_address,
+      row.user_agent,
+      row.method,
+      row.path,
+      row.before_data,
+      row.after_data,
+      row.changes,
+      prevHash,
+      hash,
+      row.created_at,
+    ],
+  );
+
+  await tx.query(
+    'UPDATE audit_chain_head SET last_id = ?, last_hash = ? WHERE id = 1',
+    [result.insertId, hash],
+  );
+
+  return { id: result.insertId, hash };
+}
+
+/**
+ * Append an audit entry. Pass the caller's `tx` so the entry commits or rolls
+ * back with the change it describes; with `tx = null` it runs on its own.
+ *
+ *   await recordAudit(tx, req, {
+ *     entity: 'invoice', entityId: id, action: 'delete', before: invoice,
+ *   });
+ */
+async function recordAudit(
+  tx,
+  req,
+  { entity, entityId, action, before, after },
+) {
+  if (!AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`Unknown audit action: ${action}`);
+  }
+
+  const beforeData = redact(before);
+  const afterData = redact(after);
+  const context = auditContext(req);
+
+  const entry = {
+    ...context,
+    entity,
+    entity_id: entityId != null ? String(entityId) : null,
+    action,
+    branch_id:
+      beforeData?.branch_id ?? afterData?.branch_id ?? context.branch_id,
+    before_data: beforeData ? canonicalJSON(beforeData) : null,
+    after_data: afterData ? canonicalJSON(afterData) : null,
+    changes: canonicalJSON(diffRecords(beforeData, afterData)),
+  };
+
+  // Tells the auditTrail middleware this request is already covered
+  if (req) req.auditRecorded = true;
+
+  return tx
+    ? appendEntry(tx, entry)
+    : withTransaction((own) => appendEntry(own, entry));
+}
+
+/**
+ * Recompute hashes in id order. Returns the first row whose stored hash or
+ * link doesn't match, or `valid: true` when the checked range is intact.
+ */
+async function verifyAuditChain({ fromId = 1, limit = 10000 } = {}) {
+  const BATCH = 500;
+  let checked = 0;
+  let lastId = Math.max(parseInt(fromId, 10) || 1, 1) - 1;
+
+  const previous = await safeQuery(
+    'SELECT hash FROM audit_log WHERE id <= ? ORDER BY id DESC LIMIT 1',
+    [lastId],
+  );
+  let expectedPrev = previous[0]?.hash || GENESIS_HASH;
+
+  while (checked < limit) {
+    const rows = await safeQuery(
+      `SELECT * FROM audit_log WHERE id > ? ORDER BY id LIMIT ${Math.min(BATCH, limit - checked)}`,
+      [lastId],
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      if (row.prev_hash !== expectedPrev) {
+        return {
+          valid: false,
+          checked,
+          broken_at: row.id,
+          reason:
+            'prev_hash does not match the previous entry (row removed or reordered)',
+        };
+      }
+      if (computeHash(row.prev_hash, row) !== row.hash) {
+        return {
+          valid: false,
+          checked,
+          broken_at: row.id,
+          reason: 'hash does not match the entry contents (row edited)',
+        };
+      }
+      expectedPrev = row.hash;
+      lastId = row.id;
+      checked++;
+    }
+  }
+
+  // Rows removed from the end leave the head pointing past the last row
+  const [head] = await safeQuery(
+    'SELECT last_id, last_hash FROM audit_chain_head WHERE id = 1',
+  );
+  const reachedEnd = checked < limit;
+  if (reachedEnd && head?.last_hash && head.last_hash !== expectedPrev) {
+    return {
+      valid: false,
+      checked,
+      broken_at: head.last_id,
+      reason: 'chain head points to an entry that is missing or altered',
+    };
+  }
+
+  return {
+    valid: true,
+    checked,
+    last_checked_id: lastId || null,
+    complete: reachedEnd,
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  canonicalJSON,
+  diffRecords,
+  computeHash,
+  auditContext,
+  recordAudit,
+  verifyAuditChain,
+};
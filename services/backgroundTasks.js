@@ -9,6 +9,19 @@ const {
 } = require('../controllers/updates/sendNotificationUpdates');
 const { safeQuery } = require('../configurations/sqlConfig/db');
 const { updateMortuaryCharges } = require('../helpers/aurtoChargeCalculations');
+const { escalateStaleExcursions } = require('./coldroom/temperatureMonitor');
+const { purgeExpired, RETENTION_DAYS } = require('./recycleBin/softDelete');
+const { expireStkRequests } = require('./mpesa/mobileMoney');
+const { pendingFiscalInvoices } = require('./etims/fiscalInvoices');
+const { expireQuotes } = require('./quotes/quotations');
+const { consolidateLastMonth } = require('./payers/payerBilling');
+const { refreshOpenPlans } = require('./receivables/paymentPlans');
+const { runReminders } = require('./receivables/receivables');
+const { runStockAlerts } = require('./inventory/chemicalInventory');
+const { fiscaliseInvoice } = require('../controllers/invoice/invoice');
+const { expireSessions } = require('./portal/portalAuth');
+const { closePastBookings } = require('./visitors/viewingSchedule');
+const { runViewingReminders } = require('./visitors/visitorMessages');
 
 // ----------------- Real-Time Notification Polling -----------------
 let lastNotificationTime = new Date(0);
@@ -106,6 +119,138 @@ async function initBackgroundTasks(io) {
     }
   });
 
+  // ----------------- Cold Room Temperature Escalation -----------------
+  cron.schedule('* * * * *', async () => {
+    try {
+      await escalateStaleExcursions(io);
+    } catch (err) {
+      logMainServerError(err, 'Temperature escalation cron failed');
+    }
+  });
+
+  // ----------------- Recycle Bin Purge -----------------
+  cron.schedule('30 2 * * *', async () => {
+    try {
+      const purged = await purgeExpired();
+      console.log(
+        `🗑️ Recycle bin purge (older than ${RETENTION_DAYS} days):`,
+        purged,
+      );
+    } catch (err) {
+      logMainServerError(err, 'Recycle bin purge cron failed');
+    }
+  });
+
+  // ----------------- Unanswered M-Pesa STK Pushes -----------------
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await expireStkRequests();
+    } catch (err) {
+      logMainServerError(err, 'M-Pesa STK expiry cron failed');
+    }
+  });
+
+  // ----------------- Quote Expiry -----------------
+  cron.schedule('5 0 * * *', async () => {
+    try {
+      const expired = await expireQuotes();
+      if (expired) console.log(`📄 ${expired} quote(s) expired`);
+    } catch (err) {
+      logMainServerError(err, 'Quote expiry cron failed');
+    }
+  });
+
+  // ----------------- Payer Monthly Invoices -----------------
+  // Last month's invoices for payers billed monthly, on the 1st
+  cron.schedule('30 0 1 * *', async () => {
+    try {
+      const created = await consolidateLastMonth();
+      created.forEach((c) =>
+        console.log(
+          `🏢 Consolidated invoice ${c.invoice_number}: ${c.invoice_count} invoice(s) for payer ${c.payer_id}`,
+        ),
+      );
+    } catch (err) {
+      logMainServerError(err, 'Payer consolidation cron failed');
+    }
+  });
+
+  // ----------------- Debt Follow-up -----------------
+  // Instalment statuses first, so the reminders see what is overdue today
+  cron.schedule('0 9 * * *', async () => {
+    try {
+      const changed = await refreshOpenPlans();
+      changed
+        .filter((p) => p.status !== 'Active')
+        .forEach((p) =>
+          console.log(`📅 Payment plan ${p.plan_number} is ${p.status}`),
+        );
+      const sent = await runReminders();
+      if (sent) console.log(`📨 Sent ${sent} payment reminder(s)`);
+    } catch (err) {
+      logMainServerError(err, 'Debt follow-up cron failed');
+    }
+  });
+
+  // ----------------- Chemical Stock Alerts -----------------
+  cron.schedule('0 7 * * *', async () => {
+    try {
+      const alerts = await runStockAlerts();
+      if (alerts.length) {
+        console.log(`🧪 ${alerts.length} chemical stock alert(s) raised`);
+      }
+    } catch (err) {
+      logMainServerError(err, 'Chemical stock alert cron failed');
+    }
+  });
+
+  // ----------------- eTIMS Retries -----------------
+  // Invoices eTIMS could not sign when they were raised, one at a time.
+  // Stops at the first unreachable control unit rather than flooding it.
+  cron.schedule('*/10 * * * *', async () => {
+    try {
+      for (const id of await pendingFiscalInvoices()) {
+        try {
+          await fiscaliseInvoice(null, id);
+        } catch (err) {
+          console.warn(
+            `⚠️ [ETIMS] Invoice ${id} still not signed: ${err.message}`,
+          );
+          if (err.code === 'ETIMS_REQUEST_FAILED') break;
+        }
+      }
+    } catch (err) {
+      logMainServerError(err, 'eTIMS retry cron failed');
+    }
+  });
+
+  // ----------------- Portal Sessions -----------------
+  // Marks family portal sessions inactive once their token has expired
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await expireSessions();
+    } catch (err) {
+      logMainServerError(err, 'Portal session expiry cron failed');
+    }
+  });
+
+  // ----------------- Viewing Bookings -----------------
+  // Reminders before confirmed viewings; no-shows and lapsed requests after
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const sent = await runViewingReminders();
+      if (sent) console.log(`📨 Sent ${sent} viewing reminder(s)`);
+      const { no_shows, lapsed } = await closePastBookings();
+      if (no_shows || lapsed) {
+        console.log(
+          `🕯️ Viewings closed: ${no_shows} no-show(s), ${lapsed} lapsed`,
+        );
+      }
+    } catch (err) {
+      logMainServerError(err, 'Viewing booking cron failed');
+    }
+  });
+
   setTimeout(
     async () => {
       try {
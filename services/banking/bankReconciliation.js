@@ -0,0 +1,684 @@
+// ----------------- Bank Reconciliation -----------------
+// Imported bank statements and the payments their lines turn into. Each
+// credit line moves through:
+//
+//   Unmatched  nothing on our books looks like it
+//   Proposed   candidate invoices / bodies scored; waiting for a person
+//   Matched    confirmed: posted as a new payment, or linked to one that
+//              was already keyed in by hand (payment_id)
+//   Ignored    closed without posting, with a note (e.g. a loan drawdown)
+//
+// Debit lines (money out) are kept for the report but never matched.
+// Nothing is posted without a confirmation; the scores only order the
+// suggestions.
+const crypto = require('crypto');
+const natural = require('natural');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const { toCurrencyCode } = require('../currency/currency');
+const {
+  loadPayment,
+  recordPayment,
+  allocateToInvoiceFirst,
+} = require('../payments/paymentAllocation');
+const { parseStatement } = require('./statementParsers');
+const { CENT, round2, actorOf } = require('../../utilities/helpers/helpers');
+const {
+  allBranches,
+  orAllBranches,
+} = require('../../middlewares/tenancy/branchScope');
+
+const LINE_STATUSES = ['Unmatched', 'Proposed', 'Matched', 'Ignored', 'Debit'];
+const OPEN_STATUSES = ['Unmatched', 'Proposed'];
+// Suggestions below this score are not worth a person's time
+const MIN_SCORE = 40;
+const MAX_CANDIDATES = 3;
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// "INV 2026/0042" and "inv-2026-0042" compare equal
+const compact = (value) =>
+  String(value || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+
+const nameTokens = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter((t) => t.length >= 3);
+
+// ----------------- Import -----------------
+
+/**
+ * Store a statement and propose matches for its credit lines. Lines already
+ * imported from an overlapping statement are skipped (same account, date,
+ * amount and bank reference), and the same file twice is refused.
+ */
+async function importStatement(
+  req,
+  { text, fileName, format, currency, branchId },
+) {
+  if (!text || !String(text).trim()) {
+    throw codedError('The statement file is empty', 'STATEMENT_UNREADABLE');
+  }
+  const parsed = parseStatement(text, { format, fileName });
+  if (!parsed.lines.length) {
+    const err = codedError(
+      'No transactions could be read from the statement',
+      'STATEMENT_UNREADABLE',
+      422,
+    );
+    err.details = parsed.errors;
+    throw err;
+  }
+
+  const statementCurrency =
+    parsed.currency || toCurrencyCode(currency) || 'KES';
+  const fileHash = sha256(String(text));
+
+  const statement = await withTransaction(async (tx) => {
+    const existing = await tx.queryOne(
+      'SELECT id, file_name, imported_at FROM bank_statements WHERE file_hash = ?',
+      [fileHash],
+    );
+    if (existing) {
+      throw codedError(
+        `This statement was already imported (statement ${existing.id}, ${existing.imported_at})`,
+        'STATEMENT_DUPLICATE',
+        409,
+      );
+    }
+
+    const now = getKenyaTimeISO();
+    const result = await tx.query(
+      `INSERT INTO bank_statements
+       (file_name, format, account_number, currency, period_from, period_to,
+        opening_balance, closing_balance, line_count, file_hash, branch_id,
+        imported_by, imported_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fileName ? String(fileName).slice(0, 255) : null,
+        parsed.format,
+        parsed.account,
+        statementCurrency,
+        parsed.period_from,
+        parsed.period_to,
+        parsed.opening_balance,
+        parsed.closing_balance,
+        parsed.lines.length,
+        fileHash,
+        branchId ?? null,
+        actorOf(req),
+        now,
+      ],
+    );
+    const statementId = result.insertId;
+
+    let imported = 0;
+    for (const line of parsed.lines) {
+      const fingerprint = sha256(
+        [
+          parsed.account || '',
+          statementCurrency,
+          line.posted_on,
+          line.amount.toFixed(2),
+          line.bank_ref || line.reference || line.description || '',
+        ].join('|'),
+      );
+      const inserted = await tx.query(
+        `INSERT IGNORE INTO bank_statement_lines
+         (statement_id, line_number, posted_on, value_date, amount, currency,
+          reference, bank_ref, payer_name, description, type, fingerprint, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          statementId,
+          line.line_number,
+          line.posted_on,
+          line.value_date,
+          line.amount,
+          statementCurrency,
+          line.reference,
+          line.bank_ref,
+          line.payer_name,
+          line.description,
+          line.type,
+          fingerprint,
+          line.amount > 0 ? 'Unmatched' : 'Debit',
+        ],
+      );
+      imported += inserted.affectedRows ? 1 : 0;
+    }
+
+    await recordAudit(tx, req, {
+      entity: 'bank_statement',
+      entityId: statementId,
+      action: 'create',
+      after: {
+        file_name: fileName || null,
+        format: parsed.format,
+        account_number: parsed.account,
+        currency: statementCurrency,
+        lines: imported,
+      },
+    });
+
+    return {
+      id: statementId,
+      format: parsed.format,
+      account_number: parsed.account,
+      currency: statementCurrency,
+      period_from: parsed.period_from,
+      period_to: parsed.period_to,
+      lines_read: parsed.lines.length,
+      lines_imported: imported,
+      lines_skipped: parsed.lines.length - imported,
+      errors: parsed.errors,
+    };
+  });
+
+  statement.proposed = await proposeMatches(statement.id);
+  return statement;
+}
+
+// ----------------- Matching -----------------
+
+// Open invoices (and their bodies) a statement's lines can be matched to
+async function openInvoices(tx, statement) {
+  const scope =
+    statement.branch_id != null
+      ? { sql: 'd.branch_id = ?', params: [statement.branch_id] }
+      : allBranches();
+  const invoices = await tx.query(
+    `SELECT i.id AS invoice_id, i.invoice_number, i.total_amount, i.amount_paid,
+            i.amount_credited, i.currency, d.id AS deceased_row_id, d.deceased_id,
+            d.admission_number, d.full_name,
+            (SELECT GROUP_CONCAT(nk.full_name SEPARATOR '|')
+             FROM next_of_kin nk WHERE nk.deceased_id = d.deceased_id) AS kin_names
+     FROM invoices i
+     JOIN deceased d ON d.id = i.deceased_id
+     WHERE i.deleted_at IS NULL AND d.deleted_at IS NULL
+       AND i.payment_status IN ('Unpaid', 'Partial') AND ${scope.sql}`,
+    scope.params,
+  );
+  return invoices
+    .filter((i) => (toCurrencyCode(i.currency) || 'KES') === statement.currency)
+    .map((i) => ({
+      ...i,
+      outstanding: round2(
+        parseFloat(i.total_amount) -
+          parseFloat(i.amount_paid || 0) -
+          parseFloat(i.amount_credited || 0),
+      ),
+      names: [i.full_name, ...String(i.kin_names || '').split('|')].filter(
+        Boolean,
+      ),
+    }));
+}
+
+/**
+ * How alike a line's payer is to `name`, 0..1: Dice similarity against the
+ * payer name, or the share of the name's words found in the narrative (banks
+ * often put the payer there and nowhere else).
+ */
+function nameSimilarity(line, name) {
+  const target = nameTokens(name);
+  if (!target.length) return 0;
+  const payer = nameTokens(line.payer_name).join(' ');
+  const dice = payer ? natural.DiceCoefficient(payer, target.join(' ')) : 0;
+  const words = new Set(
+    nameTokens(`${line.payer_name || ''} ${line.description || ''}`),
+  );
+  const found = target.filter((t) => words.has(t)).length / target.length;
+  return Math.max(dice, found);
+}
+
+/** Score one credit line against one open invoice: `{ score, reasons }`. */
+function scoreInvoice(line, invoice) {
+  const amount = parseFloat(line.amount);
+  const text = compact(
+    `${line.reference || ''} ${line.bank_ref || ''} ${line.description || ''}`,
+  );
+  const reasons = [];
+  let score = 0;
+
+  if (Math.abs(amount - invoice.outstanding) < CENT) {
+    score += 40;
+    reasons.push('Amount equals what the invoice still owes');
+  } else if (Math.abs(amount - parseFloat(invoice.total_amount)) < CENT) {
+    score += 30;
+    reasons.push('Amount equals the invoice total');
+  } else if (
+    Math.abs(amount - invoice.outstanding) <=
+    invoice.outstanding * 0.02
+  ) {
+    score += 20;
+    reasons.push('Amount within 2% of what the invoice still owes');
+  } else if (amount < invoice.outstanding) {
+    score += 15;
+    reasons.push('Amount is a part payment of the invoice');
+  }
+
+  const invoiceRef = compact(invoice.invoice_number);
+  const bodyRefs = [invoice.admission_number, invoice.deceased_id]
+    .map(compact)
+    .filter((r) => r.length >= 4);
+  if (invoiceRef.length >= 4 && text.includes(invoiceRef)) {
+    score += 50;
+    reasons.push(`Reference contains invoice ${invoice.invoice_number}`);
+  } else if (bodyRefs.some((r) => text.includes(r))) {
+    score += 40;
+    reasons.push("Reference contains the body's number");
+  }
+
+  let best = { similarity: 0, name: null };
+  for (const name of invoice.names) {
+    const similarity = nameSimilarity(line, name);
+    if (similarity > best.similarity) best = { similarity, name };
+  }
+  if (best.similarity >= 0.6) {
+    score += Math.round(25 * best.similarity);
+    reasons.push(`Payer looks like ${best.name}`);
+  }
+
+  return { score: Math.min(score, 100), reasons };
+}
+
+/**
+ * Score every open credit line of a statement against the open invoices and
+ * keep the best few candidates per line. Safe to run again, e.g. after new
+ * invoices are raised. Returns how many lines have a proposal.
+ */
+async function proposeMatches(statementId, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  return withTransaction(async (tx) => {
+    const statement = await tx.queryOne(
+      `SELECT * FROM bank_statements s
+       WHERE s.id = ? AND (${scope.sql} OR s.branch_id IS NULL)`,
+      [statementId, ...scope.params],
+    );
+    if (!statement) throw new AppError('Bank statement not found', 404);
+
+    const lines = await tx.query(
+      `SELECT * FROM bank_statement_lines
+       WHERE statement_id = ? AND status IN ('Unmatched', 'Proposed')
+       FOR UPDATE`,
+      [statementId],
+    );
+    if (!lines.length) return 0;
+    const invoices = await openInvoices(tx, statement);
+
+    let proposed = 0;
+    for (const line of lines) {
+      const candidates = invoices
+        .map((invoice) => ({ invoice, ...scoreInvoice(line, invoice) }))
+        .filter((c) => c.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+
+      await tx.query('DELETE FROM bank_line_candidates WHERE line_id = ?', [
+        line.id,
+      ]);
+      for (const c of candidates) {
+        await tx.query(
+          `INSERT INTO bank_line_candidates
+           (line_id, invoice_id, deceased_id, score, reasons)
+           VALUES (?, ?, ?, ?, ?)`,
+          [
+            line.id,
+            c.invoice.invoice_id,
+            c.invoice.deceased_id,
+            c.score,
+            JSON.stringify(c.reasons),
+          ],
+        );
+      }
+      await tx.query(
+        'UPDATE bank_statement_lines SET status = ? WHERE id = ?',
+        [candidates.length ? 'Proposed' : 'Unmatched', line.id],
+      );
+      if (candidates.length) proposed++;
+    }
+    return proposed;
+  });
+}
+
+// ----------------- Confirmation -----------------
+
+// Lock a line that can still be matched or ignored. `scope` is on the
+// statement's branch (s.branch_id); statements without one are shared.
+async function lockOpenLine(tx, lineId, scope) {
+  const line = await tx.queryOne(
+    `SELECT l.*, s.branch_id
+     FROM bank_statement_lines l
+     JOIN bank_statements s ON s.id = l.statement_id
+     WHERE l.id = ? AND (${scope.sql} OR s.branch_id IS NULL)
+     FOR UPDATE`,
+    [lineId, ...scope.params],
+  );
+  if (!line) throw new AppError('Statement line not found', 404);
+  if (!OPEN_STATUSES.includes(line.status)) {
+    throw codedError(
+      `Line is ${line.status.toLowerCase()}, not waiting for a match`,
+      'LINE_NOT_OPEN',
+      409,
+    );
+  }
+  return line;
+}
+
+async function closeLine(tx, req, before, changes) {
+  const after = {
+    ...before,
+    ...changes,
+    confirmed_by: actorOf(req),
+    confirmed_at: getKenyaTimeISO(),
+  };
+  await tx.query(
+    `UPDATE bank_statement_lines
+     SET status = ?, payment_id = ?, matched_invoice_id = ?, matched_deceased_id = ?,
+         confirmed_by = ?, confirmed_at = ?, note = ?
+     WHERE id = ?`,
+    [
+      after.status,
+      after.payment_id ?? null,
+      after.matched_invoice_id ?? null,
+      after.matched_deceased_id ?? null,
+      after.confirmed_by,
+      after.confirmed_at,
+      after.note ?? null,
+      before.id,
+    ],
+  );
+  await recordAudit(tx, req, {
+    entity: 'bank_statement_line',
+    entityId: before.id,
+    action: 'update',
+    before,
+    after,
+  });
+  return after;
+}
+
+/**
+ * Confirm what a credit line pays for. With `invoice_id` or `deceased_id`
+ * the line is recorded as a new payment, through the same path as
+ * `POST /invoices/payment`, and settles that invoice first. With
+ * `payment_id` it is linked to a payment already keyed in by hand, which
+ * must be for the same amount. `branch` (on s.branch_id) and `bodyBranch`
+ * (on d.branch_id) limit the lookups to the caller's branch.
+ */
+async function confirmLine(
+  req,
+  lineId,
+  { invoice_id, deceased_id, payment_id, note, branch, bodyBranch },
+) {
+  const scope = orAllBranches(bodyBranch);
+  if (!invoice_id && !deceased_id && !payment_id) {
+    throw codedError(
+      'invoice_id, deceased_id or payment_id is required',
+      'MATCH_TARGET_REQUIRED',
+    );
+  }
+
+  return withTransaction(async (tx) => {
+    const before = await lockOpenLine(tx, lineId, orAllBranches(branch));
+    const amount = parseFloat(before.amount);
+    if (amount <= 0) {
+      throw codedError('Only money received can be matched', 'LINE_NOT_CREDIT');
+    }
+    const noteText = note ? String(note).trim().slice(0, 255) : null;
+
+    if (payment_id) {
+      const payment = await loadPayment(tx, payment_id, {
+        lock: true,
+        branch: scope,
+      });
+      if (!payment) throw new AppError('Payment not found', 404);
+      const linked = await tx.queryOne(
+        'SELECT id FROM bank_statement_lines WHERE payment_id = ? AND id <> ?',
+        [payment.payment_id, before.id],
+      );
+      if (linked) {
+        throw codedError(
+          `Payment ${payment.receipt_number || payment.payment_id} is already matched to statement line ${linked.id}`,
+          'PAYMENT_ALREADY_MATCHED',
+          409,
+        );
+      }
+      const paidCurrency =
+        toCurrencyCode(payment.paid_currency) || payment.currency;
+      const paidAmount = parseFloat(payment.paid_amount ?? payment.amount);
+      if (
+        payment.status === 'Reversed' ||
+        paidCurrency !== before.currency ||
+        Math.abs(paidAmount - amount) >= CENT
+      ) {
+        throw codedError(
+          `Payment ${payment.receipt_number || payment.payment_id} is not a ${before.currency} ${amount.toFixed(2)} payment`,
+          'MATCH_AMOUNT_MISMATCH',
+          422,
+        );
+      }
+      return closeLine(tx, req, before, {
+        status: 'Matched',
+        payment_id: payment.payment_id,
+        matched_deceased_id: payment.account_id,
+        note: noteText,
+      });
+    }
+
+    let invoice = null;
+    if (invoice_id) {
+      invoice = await tx.queryOne(
+        `SELECT i.id, i.deceased_id FROM invoices i
+         JOIN deceased d ON d.id = i.deceased_id
+         WHERE i.id = ? AND i.deleted_at IS NULL AND ${scope.sql}`,
+        [invoice_id, ...scope.params],
+      );
+      if (!invoice) throw new AppError('Invoice not found', 404);
+    }
+    const deceased = await tx.queryOne(
+      `SELECT d.id, d.deceased_id, d.branch_id, d.currency FROM deceased d
+       WHERE ${invoice ? 'd.id = ?' : '(d.deceased_id = ? OR d.id = ?)'}
+         AND d.deleted_at IS NULL AND ${scope.sql}
+       FOR UPDATE`,
+      [
+        ...(invoice ? [invoice.deceased_id] : [deceased_id, deceased_id]),
+        ...scope.params,
+      ],
+    );
+    if (!deceased) throw new AppError('Deceased not found', 404);
+
+    const reference = before.bank_ref || before.reference;
+    const payment = await recordPayment(tx, req, deceased, {
+      amount,
+      currency: before.currency,
+      method: before.type === 'cheque' ? 'Cheque' : 'Bank Transfer',
+      reference,
+      description:
+        `Bank ${before.type === 'cheque' ? 'cheque' : 'transfer'} ${reference || ''} ${before.payer_name || before.description || ''}`
+          .replace(/\s+/g, ' ')
+          .trim()
+          .slice(0, 255),
+      deposit: true,
+      paidAt: `${before.posted_on} 00:00:00`,
+    });
+    await allocateToInvoiceFirst(
+      tx,
+      req,
+      payment.payment_id,
+      invoice ? invoice.id : null,
+    );
+
+    const after = await closeLine(tx, req, before, {
+      status: 'Matched',
+      payment_id: payment.payment_id,
+      matched_invoice_id: invoice ? invoice.id : null,
+      matched_deceased_id: deceased.deceased_id,
+      note: noteText,
+    });
+    return { ...after, payment };
+  });
+}
+
+/** Close a line without posting it; a note saying why is required. */
+async function ignoreLine(req, lineId, { note, branch }) {
+  if (!note || !String(note).trim()) {
+    throw codedError(
+      'A note explaining why the line is ignored is required',
+      'MATCH_NOTE_REQUIRED',
+    );
+  }
+  const scope = orAllBranches(branch);
+
+  return withTransaction(async (tx) => {
+    const before = await lockOpenLine(tx, lineId, scope);
+    return closeLine(tx, req, before, {
+      status: 'Ignored',
+      note: String(note).trim().slice(0, 255),
+    });
+  });
+}
+
+// ----------------- Reading -----------------
+
+/** Imported statements, newest first, with how far each is reconciled. */
+async function listStatements({ branch, limit = 100 } = {}) {
+  const scope = orAllBranches(branch);
+  return safeQuery(
+    `SELECT s.id, s.file_name, s.format, s.account_number, s.currency,
+            s.period_from, s.period_to, s.opening_balance, s.closing_balance,
+            s.line_count, s.branch_id, s.imported_by, s.imported_at,
+            SUM(l.status = 'Matched') AS matched,
+            SUM(l.status = 'Proposed') AS proposed,
+            SUM(l.status = 'Unmatched') AS unmatched,
+            SUM(l.status = 'Ignored') AS ignored
+     FROM bank_statements s
+     LEFT JOIN bank_statement_lines l ON l.statement_id = s.id
+     WHERE (${scope.sql} OR s.branch_id IS NULL)
+     GROUP BY s.id
+     ORDER BY s.imported_at DESC, s.id DESC
+     LIMIT ${Math.min(parseInt(limit, 10) || 100, 1000)}`,
+    scope.params,
+  );
+}
+
+/** One statement with its lines and each open line's candidates. */
+async function getStatement(statementId, { branch, status } = {}) {
+  const scope = orAllBranches(branch);
+  const [statement] = await safeQuery(
+    `SELECT * FROM bank_statements s
+     WHERE s.id = ? AND (${scope.sql} OR s.branch_id IS NULL)`,
+    [statementId, ...scope.params],
+  );
+  if (!statement) throw new AppError('Bank statement not found', 404);
+  delete statement.file_hash;
+
+  if (status && !LINE_STATUSES.includes(status)) {
+    throw codedError(
+      `status must be one of ${LINE_STATUSES.join(', ')}`,
+      'STATEMENT_FILTER_INVALID',
+    );
+  }
+  const lines = await safeQuery(
+    `SELECT l.id, l.line_number, l.posted_on, l.value_date, l.amount, l.currency,
+            l.reference, l.bank_ref, l.payer_name, l.description, l.type, l.status,
+            l.payment_id, p.receipt_number, l.matched_invoice_id,
+            l.matched_deceased_id, l.confirmed_by, l.confirmed_at, l.note
+     FROM bank_statement_lines l
+     LEFT JOIN payments p ON p.payment_id = l.payment_id
+     WHERE l.statement_id = ? ${status ? 'AND l.status = ?' : ''}
+     ORDER BY l.posted_on, l.line_number`,
+    status ? [statementId, status] : [statementId],
+  );
+
+  const candidates = await safeQuery(
+    `SELECT c.line_id, c.invoice_id, i.invoice_number, c.deceased_id,
+            d.full_name, c.score, c.reasons
+     FROM bank_line_candidates c
+     JOIN bank_statement_lines l ON l.id = c.line_id
+     LEFT JOIN invoices i ON i.id = c.invoice_id
+     LEFT JOIN deceased d ON d.deceased_id = c.deceased_id
+     WHERE l.statement_id = ? AND l.status = 'Proposed'
+     ORDER BY c.score DESC`,
+    [statementId],
+  );
+  const byLine = {};
+  for (const c of candidates) {
+    (byLine[c.line_id] = byLine[c.line_id] || []).push({
+      invoice_id: c.invoice_id,
+      invoice_number: c.invoice_number,
+      deceased_id: c.deceased_id,
+      full_name: c.full_name,
+      score: c.score,
+      reasons:
+        typeof c.reasons === 'string' ? JSON.parse(c.reasons) : c.reasons,
+    });
+  }
+
+  return {
+    ...statement,
+    lines: lines.map((l) => ({
+      ...l,
+      candidates: l.status === 'Proposed' ? byLine[l.id] || [] : undefined,
+    })),
+  };
+}
+
+/**
+ * Matched and unmatched lines of a statement with totals per status, for
+ * the reconciliation sign-off.
+ */
+async function reconciliationReport(statementId, { branch } = {}) {
+  const statement = await getStatement(statementId, { branch });
+  const totals = Object.fromEntries(
+    LINE_STATUSES.map((s) => [s.toLowerCase(), { count: 0, amount: 0 }]),
+  );
+  let credits = 0;
+  let debits = 0;
+  for (const line of statement.lines) {
+    const amount = parseFloat(line.amount);
+    const bucket = totals[line.status.toLowerCase()];
+    bucket.count++;
+    bucket.amount = round2(bucket.amount + amount);
+    if (amount > 0) credits = round2(credits + amount);
+    else debits = round2(debits - amount);
+  }
+
+  const { lines, ...header } = statement;
+  return {
+    statement: header,
+    summary: {
+      credits,
+      debits,
+      net: round2(credits - debits),
+      ...totals,
+      // Money received that is not yet on anyone's account
+      unreconciled: round2(totals.unmatched.amount + totals.proposed.amount),
+    },
+    matched: lines.filter((l) => l.status === 'Matched'),
+    unmatched: lines.filter((l) => OPEN_STATUSES.includes(l.status)),
+    ignored: lines.filter((l) => l.status === 'Ignored'),
+    debits: lines.filter((l) => l.status === 'Debit'),
+  };
+}
+
+module.exports = {
+  LINE_STATUSES,
+  importStatement,
+  proposeMatches,
+  confirmLine,
+  ignoreLine,
+  listStatements,
+  getStatement,
+  reconciliationReport,
+};
@@ -0,0 +1,476 @@
+// ----------------- Bank Statement Parsers -----------------
+// Turn a bank's export into one shape:
+//
+//   { format, account, currency, opening_balance, closing_balance,
+//     period_from, period_to, lines: [...], errors: [{ line, message }] }
+//
+// Each line is `{ line_number, posted_on, amount, reference, bank_ref,
+// payer_name, description, type }`: money in is positive, money out
+// negative, `posted_on` is yyyy-LL-dd and `type` is 'transfer' or 'cheque'.
+// Supported: CSV (column names vary by bank), OFX 1.x/2.x and SWIFT MT940.
+const { DateTime } = require('luxon');
+const { toCurrencyCode } = require('../currency/currency');
+const { round2 } = require('../../utilities/helpers/helpers');
+
+const ZONE = 'Africa/Nairobi';
+const STATEMENT_FORMATS = ['csv', 'ofx', 'mt940'];
+
+const clean = (value, max = 255) => {
+  const text = String(value ?? '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text ? text.slice(0, max) : null;
+};
+
+// Day-first formats come before month-first: Kenyan banks write 05/10/2026
+const DATE_FORMATS = [
+  'yyyy-LL-dd',
+  'dd/LL/yyyy',
+  'd/L/yyyy',
+  'dd-LL-yyyy',
+  'dd.LL.yyyy',
+  'dd-LLL-yyyy',
+  'd-LLL-yyyy',
+  'dd LLL yyyy',
+  'd LLL yyyy',
+  'dd-LLL-yy',
+  'dd/LL/yy',
+  'yyyyLLdd',
+];
+
+/** yyyy-LL-dd for a statement date, or null. */
+function parseStatementDate(value) {
+  const text = String(value || '')
+    .trim()
+    .split(/[ T](?=\d{1,2}:)/)[0];
+  if (!text) return null;
+  for (const format of DATE_FORMATS) {
+    const dt = DateTime.fromFormat(text, format, { zone: ZONE });
+    if (dt.isValid) return dt.toISODate();
+  }
+  return null;
+}
+
+/**
+ * "1,250.00" → 1250, "(500.00)" / "-500" / "500.00 DR" → -500. Returns null
+ * for anything that is not an amount.
+ */
+function parseAmount(value) {
+  let text = String(value ?? '').trim();
+  if (!text) return null;
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\s*DR$/i.test(text)) {
+    sign = -1;
+    text = text.replace(/\s*DR$/i, '');
+  }
+  text = text.replace(/\s*CR$/i, '').replace(/^[A-Z]{3}\s*/i, '');
+  text = text.replace(/,/g, '').replace(/\s/g, '');
+  if (!/^[-+]?\d+(\.\d+)?$/.test(text)) return null;
+  return round2(sign * parseFloat(text));
+}
+
+// ----------------- CSV -----------------
+
+/** Split one CSV record, honouring quotes ("a, b" and "" escapes). */
+function splitCSVLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Header names seen in Kenyan bank exports, per field
+const CSV_COLUMNS = {
+  date: [
+    'date',
+    'transaction date',
+    'trans date',
+    'txn date',
+    'posting date',
+    'posted date',
+    'booking date',
+    'tran date',
+  ],
+  value_date: ['value date'],
+  description: [
+    'description',
+    'narrative',
+    'narration',
+    'details',
+    'particulars',
+    'transaction details',
+    'remarks',
+  ],
+  reference: [
+    'reference',
+    'ref',
+    'ref no',
+    'reference number',
+    'customer reference',
+    'transaction reference',
+  ],
+  bank_ref: ['bank reference', 'transaction id', 'txn id', 'tran id'],
+  cheque: ['cheque', 'cheque no', 'cheque number', 'chq no', 'check number'],
+  payer: ['payer', 'payer name', 'name', 'remitter', 'sender', 'counterparty'],
+  amount: ['amount', 'transaction amount'],
+  credit: ['credit', 'credits', 'money in', 'deposit', 'deposits', 'cr'],
+  debit: ['debit', 'debits', 'money out', 'withdrawal', 'withdrawals', 'dr'],
+  currency: ['currency', 'ccy'],
+};
+
+function parseCSV(text) {
+  const rows = text.split(/\r?\n/);
+  const errors = [];
+
+  // The header is the first row naming a date and an amount column; banks
+  // often put the account details above it
+  let headerIndex = -1;
+  let delimiter = ',';
+  let columns;
+  for (let i = 0; i < Math.min(rows.length, 30) && headerIndex === -1; i++) {
+    for (const candidate of [',', ';', '\t']) {
+      const header = splitCSVLine(rows[i], candidate).map((h) =>
+        h
+          .toLowerCase()
+          .replace(/[.:#()]/g, '')
+          .replace(/\s+/g, ' ')
+          .trim(),
+      );
+      const find = (names) => header.findIndex((h) => names.includes(h));
+      const found = Object.fromEntries(
+        Object.entries(CSV_COLUMNS).map(([key, names]) => [key, find(names)]),
+      );
+      if (
+        found.date !== -1 &&
+        (found.amount !== -1 || found.credit !== -1 || found.debit !== -1)
+      ) {
+        headerIndex = i;
+        delimiter = candidate;
+        columns = found;
+        break;
+      }
+    }
+  }
+  if (headerIndex === -1) {
+    return {
+      lines: [],
+      errors: [
+        {
+          line: 1,
+          message:
+            'No header row with a date and an amount (or credit/debit) column',
+        },
+      ],
+    };
+  }
+
+  const cell = (cells, key) =>
+    columns[key] === -1 ? '' : (cells[columns[key]] ?? '');
+
+  const lines = [];
+  let currency = null;
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    if (!row.trim()) return;
+    const lineNo = headerIndex + i + 2;
+    const cells = splitCSVLine(row, delimiter);
+
+    const postedOn = parseStatementDate(cell(cells, 'date'));
+    if (!postedOn) {
+      // Footers ("Closing balance", totals) have no date; skip them quietly
+      if (!cell(cells, 'date').trim()) return;
+      errors.push({
+        line: lineNo,
+        message: `Unreadable date: ${cell(cells, 'date')}`,
+      });
+      return;
+    }
+
+    let amount = parseAmount(cell(cells, 'amount'));
+    if (amount === null) {
+      const credit = parseAmount(cell(cells, 'credit'));
+      const debit = parseAmount(cell(cells, 'debit'));
+      if (credit) amount = Math.abs(credit);
+      else if (debit) amount = -Math.abs(debit);
+    }
+    if (amount === null || amount === 0) {
+      errors.push({ line: lineNo, message: 'No amount on this line' });
+      return;
+    }
+
+    currency = currency || toCurrencyCode(cell(cells, 'currency'));
+    const cheque = clean(cell(cells, 'cheque'), 50);
+    lines.push({
+      line_number: lineNo,
+      posted_on: postedOn,
+      value_date: parseStatementDate(cell(cells, 'value_date')),
+      amount,
+      reference: clean(cell(cells, 'reference'), 100) || cheque,
+      bank_ref: clean(cell(cells, 'bank_ref'), 100),
+      payer_name: clean(cell(cells, 'payer'), 150),
+      description: clean(cell(cells, 'description')),
+      type:
+        cheque || /\bche?que\b|\bchq\b/i.test(cell(cells, 'description'))
+          ? 'cheque'
+          : 'transfer',
+    });
+  });
+
+  return { currency, lines, errors };
+}
+
+// ----------------- OFX -----------------
+
+// Value of an OFX element: `<TAG>value` (SGML, 1.x) or `<TAG>value</TAG>` (XML, 2.x)
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+// 20261019[120000[.000]][[+3:EAT]] → yyyy-LL-dd
+const ofxDate = (value) =>
+  value ? parseStatementDate(value.slice(0, 8)) : null;
+
+function parseOFX(text) {
+  const errors = [];
+  const lines = [];
+  const blocks = text.split(/<STMTTRN>/i).slice(1);
+
+  blocks.forEach((raw, i) => {
+    const block = raw.split(/<\/STMTTRN>/i)[0];
+    const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+    const postedOn = ofxDate(ofxValue(block, 'DTPOSTED'));
+    if (amount === null || !postedOn) {
+      errors.push({
+        line: i + 1,
+        message: 'Transaction without a valid TRNAMT or DTPOSTED',
+      });
+      return;
+    }
+    const cheque = ofxValue(block, 'CHECKNUM');
+    const type = (ofxValue(block, 'TRNTYPE') || '').toUpperCase();
+    lines.push({
+      line_number: i + 1,
+      posted_on: postedOn,
+      value_date: ofxDate(ofxValue(block, 'DTAVAIL')),
+      amount,
+      reference: clean(ofxValue(block, 'REFNUM') || cheque, 100),
+      bank_ref: clean(ofxValue(block, 'FITID'), 100),
+      payer_name: clean(ofxValue(block, 'NAME'), 150),
+      description: clean(ofxValue(block, 'MEMO')),
+      type: cheque || type === 'CHECK' ? 'cheque' : 'transfer',
+    });
+  });
+
+  const ledger = text.split(/<LEDGERBAL>/i)[1] || '';
+  return {
+    account: clean(ofxValue(text, 'ACCTID'), 50),
+    currency: toCurrencyCode(ofxValue(text, 'CURDEF')),
+    closing_balance: parseAmount(ofxValue(ledger, 'BALAMT')),
+    period_from: ofxDate(ofxValue(text, 'DTSTART')),
+    period_to: ofxDate(ofxValue(text, 'DTEND')),
+    lines,
+    errors,
+  };
+}
+
+// ----------------- MT940 -----------------
+
+// 60F / 62F balance: C|D, YYMMDD, currency, amount with a decimal comma
+const mt940Balance = (value) => {
+  const match = /^([CD])(\d{6})([A-Z]{3})([\d,]+)/.exec(value || '');
+  if (!match) return {};
+  const amount = parseFloat(match[4].replace(',', '.'));
+  return {
+    date: parseStatementDate(`20${match[2]}`),
+    currency: toCurrencyCode(match[3]),
+    amount: round2(match[1] === 'D' ? -amount : amount),
+  };
+};
+
+// :61: YYMMDD[MMDD] [R]C|D [funds code] amount N|F|S+type reference[//bank ref]
+const MT940_LINE =
+  /^(\d{6})(\d{4})?(R?[CD])([A-Z])?([\d,]+)([NFS][A-Z0-9]{3})([^/\n]*)(?:\/\/([^\n]*))?/;
+
+// Entry date (MMDD) of a :61: line in the value date's year, moved a year
+// when the two straddle New Year (value 31 Dec, booked 2 Jan)
+function mt940EntryDate(valueDate, entry) {
+  if (!valueDate || !entry) return valueDate;
+  const value = DateTime.fromISO(valueDate, { zone: ZONE });
+  let posted = DateTime.fromFormat(`${value.year}${entry}`, 'yyyyMMdd', {
+    zone: ZONE,
+  });
+  if (!posted.isValid) return valueDate;
+  if (posted.diff(value, 'months').months > 6) {
+    posted = posted.minus({ years: 1 });
+  } else if (value.diff(posted, 'months').months > 6) {
+    posted = posted.plus({ years: 1 });
+  }
+  return posted.toISODate();
+}
+
+// Remitter name from a structured :86: (/NAME/..., ?32..?33 or ORDP/)
+const mt940Payer = (info) => {
+  const match =
+    /\/(?:NAME|ORDP(?:\/\/NAME)?)\/([^/]+)/i.exec(info) ||
+    /\?3[23]([^?]+)/.exec(info);
+  return match ? clean(match[1], 150) : null;
+};
+
+function parseMT940(text) {
+  const errors = [];
+  const lines = [];
+
+  // Fields start with :NN[A]: at the start of a line; continuation lines
+  // belong to the field above
+  const fields = [];
+  for (const row of text.split(/\r?\n/)) {
+    const match = /^:(\d{2}[A-Z]?):(.*)$/.exec(row);
+    if (match) fields.push({ tag: match[1], value: match[2] });
+    else if (fields.length && row.trim() && !/^-\}?$/.test(row.trim())) {
+      fields[fields.length - 1].value += `\n${row}`;
+    }
+  }
+
+  let account = null;
+  let opening = {};
+  let closing = {};
+  for (const field of fields) {
+    if (field.tag === '25') account = clean(field.value, 50);
+    else if (field.tag === '60F' || field.tag === '60M') {
+      if (!opening.date) opening = mt940Balance(field.value);
+    } else if (field.tag === '62F' || field.tag === '62M') {
+      closing = mt940Balance(field.value);
+    } else if (field.tag === '61') {
+      const [first, ...rest] = field.value.split('\n');
+      const match = MT940_LINE.exec(first);
+      if (!match) {
+        errors.push({
+          line: lines.length + errors.length + 1,
+          message: `Unreadable :61: line: ${first}`,
+        });
+        continue;
+      }
+      const amount = parseFloat(match[5].replace(',', '.'));
+      // RC / RD reverse a credit or debit
+      const credit = match[3] === 'C' || match[3] === 'RD';
+      const valueDate = parseStatementDate(`20${match[1]}`);
+      lines.push({
+        line_number: lines.length + errors.length + 1,
+        posted_on: mt940EntryDate(valueDate, match[2]),
+        value_date: valueDate,
+        amount: round2(credit ? amount : -amount),
+        reference: clean(match[7] === 'NONREF' ? '' : match[7], 100),
+        bank_ref: clean(match[8] || rest.join(' '), 100),
+        payer_name: null,
+        description: null,
+        type: match[6].endsWith('CHK') ? 'cheque' : 'transfer',
+      });
+    } else if (field.tag === '86' && lines.length) {
+      // Information for the line above
+      const line = lines[lines.length - 1];
+      if (!line.description) {
+        line.description = clean(field.value.replace(/\n/g, ' '));
+        line.payer_name = mt940Payer(field.value.replace(/\n/g, ''));
+      }
+    }
+  }
+
+  return {
+    account,
+    currency: opening.currency || closing.currency || null,
+    opening_balance: opening.amount ?? null,
+    closing_balance: closing.amount ?? null,
+    period_from: opening.date || null,
+    period_to: closing.date || null,
+    lines,
+    errors,
+  };
+}
+
+// ----------------- Detection -----------------
+
+/** 'ofx', 'mt940' or 'csv' from the file name, then the content. */
+function detectFormat(text, fileName = '') {
+  const ext = String(fileName).toLowerCase().split('.').pop();
+  if (['ofx', 'qfx'].includes(ext)) return 'ofx';
+  if (['sta', 'mt940', '940'].includes(ext)) return 'mt940';
+  if (/OFXHEADER|<OFX>/i.test(text)) return 'ofx';
+  if (/^:20:/m.test(text) && /^:61:/m.test(text)) return 'mt940';
+  return 'csv';
+}
+
+/**
+ * Parse a statement file. `format` overrides detection. Balances and period
+ * are filled in from the lines when the file does not state them.
+ */
+function parseStatement(text, { format, fileName } = {}) {
+  const body = String(text || '').replace(/^\uFEFF/, '');
+  const kind = format
+    ? String(format).toLowerCase()
+    : detectFormat(body, fileName);
+  if (!STATEMENT_FORMATS.includes(kind)) {
+    return {
+      format: kind,
+      lines: [],
+      errors: [
+        {
+          line: 1,
+          message: `format must be one of ${STATEMENT_FORMATS.join(', ')}`,
+        },
+      ],
+    };
+  }
+
+  const parsed =
+    kind === 'ofx'
+      ? parseOFX(body)
+      : kind === 'mt940'
+        ? parseMT940(body)
+        : parseCSV(body);
+
+  const dates = parsed.lines.map((l) => l.posted_on).sort();
+  return {
+    format: kind,
+    account: parsed.account || null,
+    currency: parsed.currency || null,
+    opening_balance: parsed.opening_balance ?? null,
+    closing_balance: parsed.closing_balance ?? null,
+    period_from: parsed.period_from || dates[0] || null,
+    period_to: parsed.period_to || dates[dates.length - 1] || null,
+    lines: parsed.lines,
+    errors: parsed.errors,
+  };
+}
+
+module.exports = {
+  STATEMENT_FORMATS,
+  parseStatement,
+  parseStatementDate,
+  parseAmount,
+  splitCSVLine,
+};
@@ -0,0 +1,575 @@
+// ----------------- Coffin Stock -----------------
+// Every change to `coffins.quantity` is a row in the `coffin_movements`
+// journal, posted by postMovement() in the same transaction:
+//
+//   opening      stock held before the journal existed (first touch only)
+//   receipt      +n  received on a purchase order, or entered with a new coffin
+//   assignment   -1  given to a body
+//   return       +1  an assignment undone; the coffin is back in stock
+//   damage       -n  broken or unsellable stock taken off
+//   adjustment   ±n  a correction entered by hand, with a reason
+//   stock_take   ±n  the variance a physical count posted
+//
+// The journal's running total is the stock. `coffins.unit_cost` is the
+// weighted average cost of what is on hand, moved by receipts only; every
+// movement keeps the cost (and for assignments the price) at the time, so
+// margins can be worked out afterwards.
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const { nextNumber } = require('../numbering/documentNumbers');
+const { round2, actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const MOVEMENT_KINDS = [
+  'opening',
+  'receipt',
+  'assignment',
+  'return',
+  'damage',
+  'adjustment',
+  'stock_take',
+];
+// Kinds entered by hand through POST /coffins/:id/movements
+const MANUAL_KINDS = ['damage', 'adjustment'];
+
+const whole = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+};
+
+// ----------------- Journal -----------------
+
+/** Lock a coffin of the caller's branch, opening its journal if needed. */
+async function lockCoffin(tx, coffinId, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  const coffin = await tx.queryOne(
+    `SELECT c.* FROM coffins c
+     WHERE c.coffin_id = ? AND c.deleted_at IS NULL AND ${scope.sql}
+     FOR UPDATE`,
+    [coffinId, ...scope.params],
+  );
+  if (!coffin) throw new AppError('Coffin not found', 404);
+
+  const started = await tx.queryOne(
+    'SELECT id FROM coffin_movements WHERE coffin_id = ? LIMIT 1',
+    [coffin.coffin_id],
+  );
+  if (!started && parseInt(coffin.quantity, 10)) {
+    await tx.query(
+      `INSERT INTO coffin_movements
+       (coffin_id, branch_id, kind, quantity, balance_after, unit_cost, reason, created_at)
+       VALUES (?, ?, 'opening', ?, ?, ?, 'Stock before the journal', ?)`,
+      [
+        coffin.coffin_id,
+        coffin.branch_id,
+        coffin.quantity,
+        coffin.quantity,
+        coffin.unit_cost ?? null,
+        getKenyaTimeISO(),
+      ],
+    );
+  }
+  return coffin;
+}
+
+/**
+ * Post one movement for a coffin locked by lockCoffin() and move its stock.
+ * `quantity` is signed. Stock can't go below 0 (`409 COFFIN_OUT_OF_STOCK`).
+ * Receipts with a `unitCost` move the coffin's weighted average cost.
+ * Updates and returns the `coffin` object.
+ */
+async function postMovement(
+  tx,
+  coffin,
+  {
+    kind,
+    quantity,
+    unitCost,
+    unitPrice = null,
+    reason = null,
+    actor = null,
+    refs = {},
+  },
+) {
+  if (!MOVEMENT_KINDS.includes(kind)) {
+    throw new Error(`Unknown coffin movement: ${kind}`);
+  }
+  const onHand = parseInt(coffin.quantity, 10) || 0;
+  const balance = onHand + quantity;
+  if (balance < 0) {
+    throw codedError(
+      `Only ${onHand} of coffin ${coffin.custom_id || coffin.coffin_id} in stock`,
+      'COFFIN_OUT_OF_STOCK',
+      409,
+    );
+  }
+
+  let averageCost =
+    coffin.unit_cost != null ? parseFloat(coffin.unit_cost) : null;
+  if (kind === 'receipt' && unitCost != null && quantity > 0) {
+    averageCost =
+      onHand > 0 && averageCost != null
+        ? round2((onHand * averageCost + quantity * unitCost) / balance)
+        : round2(unitCost);
+  }
+
+  await tx.query(
+    `INSERT INTO coffin_movements
+     (coffin_id, branch_id, kind, quantity, balance_after, unit_cost, unit_price,
+      purchase_order_id, purchase_order_line_id, assignment_id, deceased_id,
+      stock_take_id, reason, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      coffin.coffin_id,
+      coffin.branch_id,
+      kind,
+      quantity,
+      balance,
+      unitCost ?? averageCost,
+      unitPrice,
+      refs.purchaseOrderId ?? null,
+      refs.purchaseOrderLineId ?? null,
+      refs.assignmentId ?? null,
+      refs.deceasedId ?? null,
+      refs.stockTakeId ?? null,
+      reason ? String(reason).slice(0, 255) : null,
+      actor != null ? String(actor) : null,
+      getKenyaTimeISO(),
+    ],
+  );
+  await tx.query(
+    'UPDATE coffins SET quantity = ?, unit_cost = ?, updated_at = NOW() WHERE coffin_id = ?',
+    [balance, averageCost, coffin.coffin_id],
+  );
+  coffin.quantity = balance;
+  coffin.unit_cost = averageCost;
+  return coffin;
+}
+
+/** A coffin's journal, newest first. */
+async function listMovements(coffinId, { branch, from, to, kind } = {}) {
+  const scope = orAllBranches(branch);
+  const where = ['m.coffin_id = ?', scope.sql];
+  const params = [coffinId, ...scope.params];
+  if (kind) {
+    where.push('m.kind = ?');
+    params.push(kind);
+  }
+  if (from) {
+    where.push('m.created_at >= ?');
+    params.push(`${from} 00:00:00`);
+  }
+  if (to) {
+    where.push('m.created_at <= ?');
+    params.push(`${to} 23:59:59`);
+  }
+  return safeQuery(
+    `SELECT m.*, po.po_number, st.stock_take_number, d.full_name
+     FROM coffin_movements m
+     JOIN coffins c ON c.coffin_id = m.coffin_id
+     LEFT JOIN coffin_purchase_orders po ON po.id = m.purchase_order_id
+     LEFT JOIN coffin_stock_takes st ON st.id = m.stock_take_id
+     LEFT JOIN deceased d ON d.deceased_id = m.deceased_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY m.created_at DESC, m.id DESC`,
+    params,
+  );
+}
+
+/** Take damaged stock off, or correct stock by hand. Both need a reason. */
+async function recordManualMovement(
+  req,
+  coffinId,
+  { kind, quantity, reason, branch } = {},
+) {
+  if (!MANUAL_KINDS.includes(kind)) {
+    throw codedError(
+      `kind must be one of ${MANUAL_KINDS.join(', ')}`,
+      'MOVEMENT_INVALID',
+    );
+  }
+  const amount = whole(quantity);
+  if (!amount || (kind === 'damage' && amount < 0)) {
+    throw codedError(
+      kind === 'damage'
+        ? 'quantity must be a whole number above 0'
+        : 'quantity must be a whole number other than 0',
+      'MOVEMENT_INVALID',
+    );
+  }
+  if (!reason || !String(reason).trim()) {
+    throw codedError('A reason is required', 'MOVEMENT_INVALID');
+  }
+
+  return withTransaction(async (tx) => {
+    const coffin = await lockCoffin(tx, coffinId, { branch });
+    const before = { ...coffin };
+    await postMovement(tx, coffin, {
+      kind,
+      quantity: kind === 'damage' ? -amount : amount,
+      reason: String(reason).trim(),
+      actor: actorOf(req),
+    });
+    await recordAudit(tx, req, {
+      entity: 'coffin',
+      entityId: coffin.coffin_id,
+      action: 'update',
+      before: { quantity: before.quantity },
+      after: { quantity: coffin.quantity, kind, reason },
+    });
+    return coffin;
+  });
+}
+
+// ----------------- Returns -----------------
+
+/**
+ * Undo a coffin assignment: the coffin goes back into stock, or is taken
+ * off as damaged when `damaged`. The body keeps its lifecycle status; its
+ * `coffin_status` goes back to `Not Assigned` when it has no other coffin.
+ */
+async function returnAssignment(
+  req,
+  assignmentId,
+  { reason, damaged = false, branch } = {},
+) {
+  if (!reason || !String(reason).trim()) {
+    throw codedError('A reason is required', 'MOVEMENT_INVALID');
+  }
+  const note = String(reason).trim().slice(0, 255);
+
+  return withTransaction(async (tx) => {
+    const assignment = await tx.queryOne(
+      'SELECT * FROM deceased_coffin WHERE id = ? FOR UPDATE',
+      [assignmentId],
+    );
+    if (!assignment) throw new AppError('Assignment not found', 404);
+    if (assignment.returned_at) {
+      throw codedError(
+        'This coffin has already been returned',
+        'ALREADY_RETURNED',
+        409,
+      );
+    }
+
+    const coffin = await lockCoffin(tx, assignment.coffin_id, { branch });
+    const refs = {
+      assignmentId: assignment.id,
+      deceasedId: assignment.deceased_id,
+    };
+    await postMovement(tx, coffin, {
+      kind: 'return',
+      quantity: 1,
+      reason: note,
+      actor: actorOf(req),
+      refs,
+    });
+    if (damaged) {
+      await postMovement(tx, coffin, {
+        kind: 'damage',
+        quantity: -1,
+        reason: `Returned damaged: ${note}`.slice(0, 255),
+        actor: actorOf(req),
+        refs,
+      });
+    }
+
+    const now = getKenyaTimeISO();
+    await tx.query(
+      `UPDATE deceased_coffin SET returned_at = ?, returned_by = ?, return_reason = ?
+       WHERE id = ?`,
+      [now, actorOf(req), note, assignment.id],
+    );
+    const other = await tx.queryOne(
+      `SELECT id FROM deceased_coffin
+       WHERE deceased_id = ? AND returned_at IS NULL LIMIT 1`,
+      [assignment.deceased_id],
+    );
+    if (!other) {
+      await tx.query(
+        'UPDATE deceased SET coffin_status = ? WHERE deceased_id = ?',
+        ['Not Assigned', assignment.deceased_id],
+      );
+    }
+
+    const after = {
+      ...assignment,
+      returned_at: now,
+      returned_by: actorOf(req),
+      return_reason: note,
+    };
+    await recordAudit(tx, req, {
+      entity: 'deceased_coffin',
+      entityId: assignment.id,
+      action: 'update',
+      before: assignment,
+      after,
+    });
+    return {
+      ...after,
+      coffin_quantity: coffin.quantity,
+      coffin_branch_id: coffin.branch_id,
+      damaged: !!damaged,
+    };
+  });
+}
+
+// ----------------- Stock Takes -----------------
+
+/**
+ * Record a physical count: `counts` is `[{ coffin_id, counted }]`. Each
+ * count is compared with the journal's balance and any difference is posted
+ * as a `stock_take` movement, which makes the stock what was counted.
+ * `recorded_quantity` is what `coffins.quantity` held before, so any drift
+ * from writes outside the journal shows up too.
+ */
+async function recordStockTake(req, { counts, note, branch, branchId } = {}) {
+  if (!Array.isArray(counts) || !counts.length) {
+    throw codedError('counts must list what was counted', 'STOCK_TAKE_INVALID');
+  }
+  const seen = new Set();
+  const parsed = counts.map((line, i) => {
+    const counted = whole(line?.counted);
+    if (!line?.coffin_id || !(counted >= 0)) {
+      throw codedError(
+        `counts[${i}] needs a coffin_id and a whole counted number of 0 or more`,
+        'STOCK_TAKE_INVALID',
+      );
+    }
+    const key = String(line.coffin_id);
+    if (seen.has(key)) {
+      throw codedError(`Coffin ${key} is counted twice`, 'STOCK_TAKE_INVALID');
+    }
+    seen.add(key);
+    return { coffinId: line.coffin_id, counted };
+  });
+  // Lock in id order so two stock takes can't deadlock
+  parsed.sort((a, b) => Number(a.coffinId) - Number(b.coffinId));
+
+  return withTransaction(async (tx) => {
+    const now = getKenyaTimeISO();
+    const take = {
+      stock_take_number: await nextNumber(tx, 'stock_take'),
+      branch_id: branchId ?? null,
+      note: note ? String(note).slice(0, 255) : null,
+      counted_by: actorOf(req),
+      counted_at: now,
+    };
+    const columns = Object.keys(take);
+    const result = await tx.query(
+      `INSERT INTO coffin_stock_takes (${columns.join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => take[c]),
+    );
+    const stockTakeId = result.insertId;
+
+    const lines = [];
+    for (const { coffinId, counted } of parsed) {
+      const coffin = await lockCoffin(tx, coffinId, { branch });
+      const journal = await tx.queryOne(
+        'SELECT COALESCE(SUM(quantity), 0) AS balance FROM coffin_movements WHERE coffin_id = ?',
+        [coffin.coffin_id],
+      );
+      const expected = parseInt(journal.balance, 10);
+      const recorded = parseInt(coffin.quantity, 10) || 0;
+      const variance = counted - expected;
+      const unitCost =
+        coffin.unit_cost != null ? parseFloat(coffin.unit_cost) : null;
+
+      // Bring `coffins.quantity` back to the journal before posting
+      coffin.quantity = expected;
+      if (variance) {
+        await postMovement(tx, coffin, {
+          kind: 'stock_take',
+          quantity: variance,
+          reason: `Stock take ${take.stock_take_number}`,
+          actor: actorOf(req),
+          refs: { stockTakeId },
+        });
+      } else if (recorded !== expected) {
+        await tx.query('UPDATE coffins SET quantity = ? WHERE coffin_id = ?', [
+          expected,
+          coffin.coffin_id,
+        ]);
+      }
+
+      const line = {
+        stock_take_id: stockTakeId,
+        coffin_id: coffin.coffin_id,
+        recorded_quantity: recorded,
+        expected,
+        counted,
+        variance,
+        unit_cost: unitCost,
+        variance_value: unitCost != null ? round2(variance * unitCost) : null,
+      };
+      const lineColumns = Object.keys(line);
+      await tx.query(
+        `INSERT INTO coffin_stock_take_lines (${lineColumns.join(', ')})
+         VALUES (${lineColumns.map(() => '?').join(', ')})`,
+        lineColumns.map((c) => line[c]),
+      );
+      lines.push({
+        ...line,
+        custom_id: coffin.custom_id,
+        type: coffin.type,
+        branch_id: coffin.branch_id,
+      });
+    }
+
+    const summary = {
+      coffins_counted: lines.length,
+      with_variance: lines.filter((l) => l.variance).length,
+      units_variance: lines.reduce((s, l) => s + l.variance, 0),
+      value_variance: round2(
+        lines.reduce((s, l) => s + (l.variance_value || 0), 0),
+      ),
+    };
+    await tx.query(
+      `UPDATE coffin_stock_takes SET units_variance = ?, value_variance = ?
+       WHERE id = ?`,
+      [summary.units_variance, summary.value_variance, stockTakeId],
+    );
+
+    const created = { id: stockTakeId, ...take, ...summary, lines };
+    await recordAudit(tx, req, {
+      entity: 'coffin_stock_take',
+      entityId: stockTakeId,
+      action: 'create',
+      before: null,
+      after: created,
+    });
+    return created;
+  });
+}
+
+/** Stock takes, newest first. */
+async function listStockTakes({ branch } = {}) {
+  const scope = orAllBranches(branch);
+  return safeQuery(
+    `SELECT st.*,
+            (SELECT COUNT(*) FROM coffin_stock_take_lines l WHERE l.stock_take_id = st.id) AS coffins_counted
+     FROM coffin_stock_takes st
+     WHERE ${scope.sql}
+     ORDER BY st.counted_at DESC, st.id DESC`,
+    scope.params,
+  );
+}
+
+/** One stock take with every line counted. */
+async function getStockTake(stockTakeId, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  const [take] = await safeQuery(
+    `SELECT st.* FROM coffin_stock_takes st WHERE st.id = ? AND ${scope.sql}`,
+    [stockTakeId, ...scope.params],
+  );
+  if (!take) throw new AppError('Stock take not found', 404);
+  take.lines = await safeQuery(
+    `SELECT l.*, c.custom_id, c.type, c.material
+     FROM coffin_stock_take_lines l JOIN coffins c ON c.coffin_id = l.coffin_id
+     WHERE l.stock_take_id = ?
+     ORDER BY ABS(l.variance) DESC, c.type`,
+    [stockTakeId],
+  );
+  return take;
+}
+
+// ----------------- Analytics -----------------
+
+/**
+ * Stock movement and margin figures for the coffin analytics: units moved
+ * per kind, each model's price against its average cost, and the margin
+ * actually made on coffins assigned since `since` (yyyy-mm-dd). `branch`
+ * is on `c.branch_id`, `stockTakeBranch` on `st.branch_id`.
+ */
+async function stockAnalytics({ branch, stockTakeBranch, since }) {
+  const scope = orAllBranches(branch);
+  const takeScope = orAllBranches(stockTakeBranch);
+  const [movements, models, [realised], [lastTake]] = await Promise.all([
+    safeQuery(
+      `SELECT m.kind, COUNT(*) AS entries, SUM(m.quantity) AS units,
+              SUM(m.quantity * COALESCE(m.unit_cost, 0)) AS cost_value
+       FROM coffin_movements m JOIN coffins c ON c.coffin_id = m.coffin_id
+       WHERE m.created_at >= ? AND ${scope.sql}
+       GROUP BY m.kind`,
+      [since, ...scope.params],
+    ),
+    safeQuery(
+      `SELECT c.coffin_id, c.custom_id, c.type, c.material, c.quantity,
+              c.exact_price, c.unit_cost,
+              c.exact_price - c.unit_cost AS margin_per_unit,
+              CASE WHEN c.exact_price > 0
+                   THEN ROUND((c.exact_price - c.unit_cost) / c.exact_price * 100, 1)
+              END AS margin_percent
+       FROM coffins c
+       WHERE c.deleted_at IS NULL AND c.unit_cost IS NOT NULL AND ${scope.sql}
+       ORDER BY margin_per_unit DESC
+       LIMIT 50`,
+      scope.params,
+    ),
+    safeQuery(
+      `SELECT COUNT(*) AS units,
+              SUM(COALESCE(m.unit_price, 0)) AS revenue,
+              SUM(COALESCE(m.unit_cost, 0)) AS cost,
+              SUM(CASE WHEN m.unit_cost IS NULL THEN 1 ELSE 0 END) AS uncosted_units
+       FROM coffin_movements m JOIN coffins c ON c.coffin_id = m.coffin_id
+       WHERE m.kind = 'assignment' AND m.created_at >= ? AND ${scope.sql}
+         AND m.assignment_id NOT IN (
+           SELECT r.assignment_id FROM coffin_movements r
+           WHERE r.kind = 'return' AND r.assignment_id IS NOT NULL)`,
+      [since, ...scope.params],
+    ),
+    safeQuery(
+      `SELECT st.* FROM coffin_stock_takes st
+       WHERE ${takeScope.sql}
+       ORDER BY st.counted_at DESC, st.id DESC LIMIT 1`,
+      takeScope.params,
+    ),
+  ]);
+
+  const revenue = round2(realised?.revenue || 0);
+  const cost = round2(realised?.cost || 0);
+  return {
+    since,
+    movements: movements.map((m) => ({
+      kind: m.kind,
+      entries: m.entries,
+      units: parseInt(m.units, 10) || 0,
+      cost_value: round2(m.cost_value || 0),
+    })),
+    margin_by_model: models,
+    realised_margin: {
+      units: realised?.units || 0,
+      revenue,
+      cost,
+      margin: round2(revenue - cost),
+      margin_percent: revenue
+        ? round2(((revenue - cost) / revenue) * 100)
+        : null,
+      uncosted_units: parseInt(realised?.uncosted_units, 10) || 0,
+    },
+    last_stock_take: lastTake || null,
+  };
+}
+
+module.exports = {
+  MOVEMENT_KINDS,
+  MANUAL_KINDS,
+  lockCoffin,
+  postMovement,
+  listMovements,
+  recordManualMovement,
+  returnAssignment,
+  recordStockTake,
+  listStockTakes,
+  getStockTake,
+  stockAnalytics,
+};
@@ -0,0 +1,475 @@
+// ----------------- Coffin Purchasing -----------------
+// Suppliers and the purchase orders (POs) coffins are bought on. A PO
+// lists coffin models with the quantity ordered and the agreed unit cost
+// (KES). Deliveries are received against it line by line, in as many
+// parts as they arrive; each receipt is a `receipt` movement in the coffin
+// journal (see coffinStock.js) at the line's cost.
+//
+//   Open → Partially Received → Received
+//        ↘ Cancelled (what was received before stays in stock)
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  safeQueryOne,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const { nextNumber } = require('../numbering/documentNumbers');
+const { lockCoffin, postMovement } = require('./coffinStock');
+const { round2, actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const PO_STATUSES = ['Open', 'Partially Received', 'Received', 'Cancelled'];
+
+const toISODate = (value) => (value ? String(value).slice(0, 10) : null);
+
+const given = (value) => value !== undefined && value !== null && value !== '';
+
+// ----------------- Suppliers -----------------
+
+/** Suppliers, active ones only unless `all`, with what is still on order. */
+async function listSuppliers({ all = false } = {}) {
+  return safeQuery(
+    `SELECT s.*,
+            (SELECT COUNT(*) FROM coffin_purchase_orders po
+             WHERE po.supplier_id = s.id
+               AND po.status IN ('Open', 'Partially Received')) AS open_orders
+     FROM suppliers s
+     ${all ? '' : 'WHERE s.active = 1'}
+     ORDER BY s.name`,
+  );
+}
+
+/** One supplier with its recent purchase orders. */
+async function getSupplier(supplierId) {
+  const [supplier] = await safeQuery('SELECT * FROM suppliers WHERE id = ?', [
+    supplierId,
+  ]);
+  if (!supplier) throw new AppError('Supplier not found', 404);
+  supplier.purchase_orders = await safeQuery(
+    `SELECT id, po_number, status, total_cost, ordered_at, expected_on
+     FROM coffin_purchase_orders WHERE supplier_id = ?
+     ORDER BY ordered_at DESC, id DESC LIMIT 50`,
+    [supplierId],
+  );
+  return supplier;
+}
+
+function supplierRow(payload, before) {
+  const pick = (field) =>
+    payload[field] !== undefined ? payload[field] : before?.[field];
+
+  const name = String(pick('name') || '').trim();
+  if (!name) throw codedError('name is required', 'SUPPLIER_INVALID');
+  const terms = given(pick('payment_terms_days'))
+    ? parseInt(pick('payment_terms_days'), 10)
+    : null;
+  if (terms !== null && !(terms >= 0 && terms <= 365)) {
+    throw codedError('payment_terms_days must be 0-365', 'SUPPLIER_INVALID');
+  }
+  const text = (field, max) =>
+    given(pick(field)) ? String(pick(field)).trim().slice(0, max) : null;
+
+  return {
+    name: name.slice(0, 150),
+    kra_pin: text('kra_pin', 11)?.toUpperCase() ?? null,
+    contact_person: text('contact_person', 100),
+    email: text('email', 150),
+    phone: text('phone', 30),
+    address: text('address', 255),
+    payment_terms_days: terms,
+    notes: text('notes', 255),
+    active: pick('active') === false || pick('active') === 0 ? 0 : 1,
+  };
+}
+
+/** Create a supplier, or change one when `supplierId` is given. */
+async function saveSupplier(req, supplierId, payload) {
+  return withTransaction(async (tx) => {
+    const before = supplierId
+      ? await tx.queryOne('SELECT * FROM suppliers WHERE id = ? FOR UPDATE', [
+          supplierId,
+        ])
+      : null;
+    if (supplierId && !before) throw new AppError('Supplier not found', 404);
+
+    const row = supplierRow(payload, before);
+    const now = getKenyaTimeISO();
+    let id = supplierId;
+    if (before) {
+      const columns = Object.keys(row);
+      await tx.query(
+        `UPDATE suppliers SET ${columns.map((c) => `${c} = ?`).join(', ')}, updated_at = ?
+         WHERE id = ?`,
+        [...columns.map((c) => row[c]), now, supplierId],
+      );
+    } else {
+      Object.assign(row, { created_by: actorOf(req), created_at: now });
+      const columns = Object.keys(row);
+      const result = await tx.query(
+        `INSERT INTO suppliers (${columns.join(', ')})
+         VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map((c) => row[c]),
+      );
+      id = result.insertId;
+    }
+
+    const after = await tx.queryOne('SELECT * FROM suppliers WHERE id = ?', [
+      id,
+    ]);
+    await recordAudit(tx, req, {
+      entity: 'supplier',
+      entityId: id,
+      action: before ? 'update' : 'create',
+      before,
+      after,
+    });
+    return after;
+  });
+}
+
+// ----------------- Purchase Orders -----------------
+
+/**
+ * Raise a purchase order:
+ * `{ supplier_id, expected_on?, notes?, lines: [{ coffin_id, quantity, unit_cost }] }`.
+ * Every coffin must belong to the caller's branch.
+ */
+async function createPurchaseOrder(
+  req,
+  payload = {},
+  { branch, branchId } = {},
+) {
+  const expectedOn = toISODate(payload.expected_on);
+  if (expectedOn && !DateTime.fromISO(expectedOn).isValid) {
+    throw codedError('expected_on must be yyyy-mm-dd', 'PO_INVALID');
+  }
+  if (!Array.isArray(payload.lines) || !payload.lines.length) {
+    throw codedError('lines must list what is ordered', 'PO_INVALID');
+  }
+  const lines = payload.lines.map((line, i) => {
+    const quantity = Number(line?.quantity);
+    const unitCost = round2(line?.unit_cost);
+    if (!line?.coffin_id) {
+      throw codedError(`lines[${i}].coffin_id is required`, 'PO_INVALID');
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw codedError(
+        `lines[${i}].quantity must be a whole number above 0`,
+        'PO_INVALID',
+      );
+    }
+    if (!(unitCost >= 0)) {
+      throw codedError(`lines[${i}].unit_cost must be 0 or more`, 'PO_INVALID');
+    }
+    return { coffin_id: line.coffin_id, quantity, unit_cost: unitCost };
+  });
+
+  const scope = orAllBranches(branch);
+  return withTransaction(async (tx) => {
+    const supplier = await tx.queryOne(
+      'SELECT id, name, active FROM suppliers WHERE id = ?',
+      [payload.supplier_id],
+    );
+    if (!supplier || !supplier.active) {
+      throw codedError('supplier_id must be an active supplier', 'PO_INVALID');
+    }
+    for (const [i, line] of lines.entries()) {
+      const coffin = await tx.queryOne(
+        `SELECT c.coffin_id FROM coffins c
+         WHERE c.coffin_id = ? AND c.deleted_at IS NULL AND ${scope.sql}`,
+        [line.coffin_id, ...scope.params],
+      );
+      if (!coffin) {
+        throw codedError(
+          `lines[${i}].coffin_id ${line.coffin_id} is not a coffin of this branch`,
+          'PO_INVALID',
+        );
+      }
+    }
+
+    const now = getKenyaTimeISO();
+    const order = {
+      po_number: await nextNumber(tx, 'purchase_order'),
+      supplier_id: supplier.id,
+      branch_id: branchId ?? null,
+      status: 'Open',
+      total_cost: round2(
+        lines.reduce((s, l) => s + l.quantity * l.unit_cost, 0),
+      ),
+      expected_on: expectedOn,
+      notes: payload.notes ? String(payload.notes).slice(0, 255) : null,
+      ordered_by: actorOf(req),
+      ordered_at: now,
+    };
+    const columns = Object.keys(order);
+    const result = await tx.query(
+      `INSERT INTO coffin_purchase_orders (${columns.join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => order[c]),
+    );
+    const orderId = result.insertId;
+    for (const line of lines) {
+      await tx.query(
+        `INSERT INTO coffin_purchase_order_lines
+         (purchase_order_id, coffin_id, quantity_ordered, quantity_received, unit_cost)
+         VALUES (?, ?, ?, 0, ?)`,
+        [orderId, line.coffin_id, line.quantity, line.unit_cost],
+      );
+    }
+
+    const created = await loadOrder(tx, orderId);
+    await recordAudit(tx, req, {
+      entity: 'purchase_order',
+      entityId: orderId,
+      action: 'create',
+      before: null,
+      after: created,
+    });
+    return created;
+  });
+}
+
+async function loadOrder(run, orderId, { branch, lock = false } = {}) {
+  const scope = orAllBranches(branch);
+  const order = await run.queryOne(
+    `SELECT po.*, s.name AS supplier_name
+     FROM coffin_purchase_orders po JOIN suppliers s ON s.id = po.supplier_id
+     WHERE po.id = ? AND ${scope.sql}${lock ? ' FOR UPDATE' : ''}`,
+    [orderId, ...scope.params],
+  );
+  if (!order) throw new AppError('Purchase order not found', 404);
+  order.lines = await run.query(
+    `SELECT l.*, l.quantity_ordered - l.quantity_received AS quantity_outstanding,
+            c.custom_id, c.type, c.material, c.exact_price
+     FROM coffin_purchase_order_lines l JOIN coffins c ON c.coffin_id = l.coffin_id
+     WHERE l.purchase_order_id = ?
+     ORDER BY l.id${lock ? ' FOR UPDATE' : ''}`,
+    [orderId],
+  );
+  return order;
+}
+
+// Outside a transaction, loadOrder() reads through the pool
+const reader = { query: safeQuery, queryOne: safeQueryOne };
+
+/** One purchase order with its lines and what is still to come. */
+async function getPurchaseOrder(orderId, { branch } = {}) {
+  const order = await loadOrder(reader, orderId, { branch });
+  order.receipts = await safeQuery(
+    `SELECT m.id, m.coffin_id, m.purchase_order_line_id, m.quantity, m.unit_cost,
+            m.reason, m.created_by, m.created_at
+     FROM coffin_movements m
+     WHERE m.purchase_order_id = ? AND m.kind = 'receipt'
+     ORDER BY m.created_at, m.id`,
+    [orderId],
+  );
+  return order;
+}
+
+/** Purchase orders, newest first. */
+async function listPurchaseOrders({ branch, status, supplierId } = {}) {
+  const scope = orAllBranches(branch);
+  const where = [scope.sql];
+  const params = [...scope.params];
+  if (status) {
+    where.push('po.status = ?');
+    params.push(status);
+  }
+  if (supplierId) {
+    where.push('po.supplier_id = ?');
+    params.push(supplierId);
+  }
+  return safeQuery(
+    `SELECT po.*, s.name AS supplier_name,
+            (SELECT SUM(l.quantity_ordered) FROM coffin_purchase_order_lines l
+             WHERE l.purchase_order_id = po.id) AS units_ordered,
+            (SELECT SUM(l.quantity_received) FROM coffin_purchase_order_lines l
+             WHERE l.purchase_order_id = po.id) AS units_received
+     FROM coffin_purchase_orders po JOIN suppliers s ON s.id = po.supplier_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY po.ordered_at DESC, po.id DESC`,
+    params,
+  );
+}
+
+/**
+ * Receive a delivery against a PO: `lines` is `[{ line_id, quantity }]`.
+ * A line can't receive more than is still outstanding on it. Each line
+ * received is a `receipt` movement at the line's unit cost.
+ */
+async function receivePurchaseOrder(
+  req,
+  orderId,
+  { lines, delivery_note: deliveryNote, branch } = {},
+) {
+  if (!Array.isArray(lines) || !lines.length) {
+    throw codedError('lines must list what was delivered', 'RECEIPT_INVALID');
+  }
+
+  return withTransaction(async (tx) => {
+    const before = await loadOrder(tx, orderId, { branch, lock: true });
+    if (!['Open', 'Partially Received'].includes(before.status)) {
+      throw codedError(
+        `${before.po_number} is ${before.status}`,
+        'PO_CLOSED',
+        409,
+      );
+    }
+
+    const reason = deliveryNote
+      ? `${before.po_number}, delivery note ${String(deliveryNote).slice(0, 50)}`
+      : before.po_number;
+    const received = new Map();
+    for (const [i, entry] of lines.entries()) {
+      const line = before.lines.find(
+        (l) => String(l.id) === String(entry?.line_id),
+      );
+      const quantity = Number(entry?.quantity);
+      if (!line) {
+        throw codedError(
+          `lines[${i}].line_id is not a line of ${before.po_number}`,
+          'RECEIPT_INVALID',
+        );
+      }
+      const outstanding =
+        line.quantity_ordered -
+        line.quantity_received -
+        (received.get(line.id) || 0);
+      if (
+        !Number.isInteger(quantity) ||
+        quantity <= 0 ||
+        quantity > outstanding
+      ) {
+        throw codedError(
+          `lines[${i}].quantity must be a whole number from 1 to the ${outstanding} outstanding`,
+          'RECEIPT_INVALID',
+        );
+      }
+      received.set(line.id, (received.get(line.id) || 0) + quantity);
+    }
+
+    // Coffins in id order so concurrent deliveries can't deadlock
+    const entries = before.lines
+      .filter((l) => received.has(l.id))
+      .sort((a, b) => Number(a.coffin_id) - Number(b.coffin_id));
+    for (const line of entries) {
+      const quantity = received.get(line.id);
+      const coffin = await lockCoffin(tx, line.coffin_id);
+      await postMovement(tx, coffin, {
+        kind: 'receipt',
+        quantity,
+        unitCost: parseFloat(line.unit_cost),
+        reason,
+        actor: actorOf(req),
+        refs: { purchaseOrderId: before.id, purchaseOrderLineId: line.id },
+      });
+      await tx.query(
+        `UPDATE coffin_purchase_order_lines
+         SET quantity_received = quantity_received + ? WHERE id = ?`,
+        [quantity, line.id],
+      );
+    }
+
+    const outstanding = before.lines.reduce(
+      (s, l) =>
+        s +
+        l.quantity_ordered -
+        l.quantity_received -
+        (received.get(l.id) || 0),
+      0,
+    );
+    const status = outstanding ? 'Partially Received' : 'Received';
+    await tx.query(
+      `UPDATE coffin_purchase_orders
+       SET status = ?, received_at = ?, updated_at = ? WHERE id = ?`,
+      [
+        status,
+        outstanding ? null : getKenyaTimeISO(),
+        getKenyaTimeISO(),
+        before.id,
+      ],
+    );
+
+    const after = await loadOrder(tx, before.id);
+    await recordAudit(tx, req, {
+      entity: 'purchase_order',
+      entityId: before.id,
+      action: 'update',
+      before,
+      after,
+    });
+    return after;
+  });
+}
+
+/** Cancel what is still to come on a PO; stock already received stays. */
+async function cancelPurchaseOrder(req, orderId, { reason, branch } = {}) {
+  if (!reason || !String(reason).trim()) {
+    throw codedError('A reason is required', 'PO_INVALID');
+  }
+  return withTransaction(async (tx) => {
+    const before = await loadOrder(tx, orderId, { branch, lock: true });
+    if (!['Open', 'Partially Received'].includes(before.status)) {
+      throw codedError(
+        `${before.po_number} is ${before.status}`,
+        'PO_CLOSED',
+        409,
+      );
+    }
+    const now = getKenyaTimeISO();
+    await tx.query(
+      `UPDATE coffin_purchase_orders
+       SET status = 'Cancelled', cancelled_by = ?, cancelled_at = ?,
+           cancel_reason = ?, updated_at = ?
+       WHERE id = ?`,
+      [actorOf(req), now, String(reason).trim().slice(0, 255), now, before.id],
+    );
+    const after = await loadOrder(tx, before.id);
+    await recordAudit(tx, req, {
+      entity: 'purchase_order',
+      entityId: before.id,
+      action: 'update',
+      before,
+      after,
+    });
+    return after;
+  });
+}
+
+/** Open and partly received orders: how many and what is still to come. */
+async function openOrderSummary({ branch } = {}) {
+  const scope = orAllBranches(branch);
+  const [summary] = await safeQuery(
+    `SELECT COUNT(DISTINCT po.id) AS open_orders,
+            COALESCE(SUM(l.quantity_ordered - l.quantity_received), 0) AS units_outstanding,
+            COALESCE(SUM((l.quantity_ordered - l.quantity_received) * l.unit_cost), 0) AS value_outstanding
+     FROM coffin_purchase_orders po
+     JOIN coffin_purchase_order_lines l ON l.purchase_order_id = po.id
+     WHERE po.status IN ('Open', 'Partially Received') AND ${scope.sql}`,
+    scope.params,
+  );
+  return {
+    open_orders: summary?.open_orders || 0,
+    units_outstanding: parseInt(summary?.units_outstanding, 10) || 0,
+    value_outstanding: round2(summary?.value_outstanding || 0),
+  };
+}
+
+module.exports = {
+  PO_STATUSES,
+  listSuppliers,
+  getSupplier,
+  saveSupplier,
+  createPurchaseOrder,
+  getPurchaseOrder,
+  listPurchaseOrders,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  openOrderSummary,
+};
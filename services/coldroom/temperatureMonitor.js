@@ -0,0 +1,592 @@
+// ----------------- Cold Room Temperature Monitor -----------------
+// Stores sensor readings as a time series and tracks excursions (periods a
+// room spends outside its range). An excursion opens on the first
+// out-of-range reading and closes on the first reading back in range.
+// Each new excursion raises a notification. It escalates to email when it
+// goes critical or stays open for ESCALATE_AFTER_MINUTES.
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { sendEmail } = require('../emailservices/sharedocuments');
+const { emitToBranch } = require('../../middlewares/tenancy/branchRooms');
+
+const ZONE = 'Africa/Nairobi';
+const SQL_FORMAT = 'yyyy-LL-dd HH:mm:ss';
+
+// Default safe range (°C) per temperature class; rooms may override
+const TEMPERATURE_LIMITS = {
+  Chilled: { min: 2, max: 6 },
+  Frozen: { min: -30, max: -15 },
+  Isolation: { min: 2, max: 4 },
+};
+// This far past a limit is critical and escalates straight away
+const CRITICAL_MARGIN_C = 3;
+const ESCALATE_AFTER_MINUTES = 15;
+const MAX_BATCH_SIZE = 1000;
+
+const getLimits = (room) => {
+  const defaults =
+    TEMPERATURE_LIMITS[room.temperature_class] || TEMPERATURE_LIMITS.Chilled;
+  return {
+    min: room.min_temp_c ?? defaults.min,
+    max: room.max_temp_c ?? defaults.max,
+  };
+};
+
+/** 'ok', 'warning' or 'critical' for a reading against a room's limits. */
+function classifyReading(temperature, limits) {
+  if (temperature >= limits.min && temperature <= limits.max) return 'ok';
+  const distance =
+    temperature < limits.min
+      ? limits.min - temperature
+      : temperature - limits.max;
+  return distance >= CRITICAL_MARGIN_C ? 'critical' : 'warning';
+}
+
+const parseRecordedAt = (value) => {
+  if (!value) return DateTime.now().setZone(ZONE);
+  if (typeof value === 'number') {
+    // Unix seconds or milliseconds
+    const ms = value < 1e12 ? value * 1000 : value;
+    return DateTime.fromMillis(ms).setZone(ZONE);
+  }
+  let dt = DateTime.fromISO(String(value), { zone: ZONE });
+  if (!dt.isValid)
+    dt = DateTime.fromFormat(String(value), SQL_FORMAT, { zone: ZONE });
+  return dt.isValid ? dt.setZone(ZONE) : null;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Flatten the accepted payload shapes into plain readings:
+ *   { cold_room_id | room_number, temperature_c, ... }   single reading
+ *   { readings: [ ... ] }                                  HTTP batch
+ *   { messages: [{ topic: 'coldrooms/<id>/temperature', payload }] }
+ *                                                          MQTT-style batch
+ */
+function normalisePayload(body) {
+  if (!body || typeof body !== 'object') return [];
+
+  if (Array.isArray(body.messages)) {
+    return body.messages.map((message) => {
+      let payload = message?.payload;
+      if (typeof payload === 'string') {
+        try {
+          payload = JSON.parse(payload);
+        } catch {
+          payload = { temperature_c: payload };
+        }
+      }
+      if (typeof payload === 'number') payload = { temperature_c: payload };
+      const match = /coldrooms?\/([^/]+)/i.exec(message?.topic || '');
+      return {
+        cold_room_id: match ? match[1] : undefined,
+        ...(payload || {}),
+      };
+    });
+  }
+
+  if (Array.isArray(body.readings)) return body.readings;
+  return [body];
+}
+
+/**
+ * Validate readings and resolve their rooms. Rooms outside `branchId`
+ * (null = any branch) are rejected like unknown rooms.
+ */
+async function resolveReadings(rawReadings, branchId) {
+  const accepted = [];
+  const rejected = [];
+
+  const ids = new Set();
+  const numbers = new Set();
+  rawReadings.forEach((r) => {
+    if (r?.cold_room_id) ids.add(String(r.cold_room_id));
+    else if (r?.room_number) numbers.add(String(r.room_number));
+  });
+
+  const rooms = [];
+  const branchSql = branchId === null ? '' : 'AND branch_id = ?';
+  const branchParams = branchId === null ? [] : [branchId];
+  if (ids.size) {
+    rooms.push(
+      ...(await safeQuery(
+        `SELECT * FROM cold_rooms WHERE id IN (${[...ids].map(() => '?').join(', ')}) ${branchSql}`,
+        [...ids, ...branchParams],
+      )),
+    );
+  }
+  if (numbers.size) {
+    rooms.push(
+      ...(await safeQuery(
+        `SELECT * FROM cold_rooms WHERE room_number IN (${[...numbers].map(() => '?').join(', ')}) ${branchSql}`,
+        [...numbers, ...branchParams],
+      )),
+    );
+  }
+  const byId = new Map(rooms.map((room) => [String(room.id), room]));
+  const byNumber = new Map();
+  rooms.forEach((room) => {
+    // Room numbers only identify a room when they're unique in scope
+    const key = String(room.room_number);
+    byNumber.set(key, byNumber.has(key) ? null : room);
+  });
+
+  rawReadings.forEach((raw, index) => {
+    const room = raw?.cold_room_id
+      ? byId.get(String(raw.cold_room_id))
+      : byNumber.get(String(raw?.room_number));
+    const temperature = toNumber(raw?.temperature_c ?? raw?.value);
+    const recordedAt = parseRecordedAt(
+      raw?.recorded_at ?? raw?.timestamp ?? raw?.ts,
+    );
+
+    if (!room) {
+      rejected.push({ index, reason: 'Unknown cold room' });
+    } else if (temperature === null) {
+      rejected.push({ index, reason: 'temperature_c must be a number' });
+    } else if (!recordedAt) {
+      rejected.push({ index, reason: 'recorded_at is not a valid date' });
+    } else {
+      accepted.push({
+        room,
+        sensorId: raw.sensor_id ? String(raw.sensor_id) : null,
+        temperature,
+        humidity: toNumber(raw.humidity),
+        recordedAt: recordedAt.toFormat(SQL_FORMAT),
+      });
+    }
+  });
+
+  return { accepted, rejected };
+}
+
+/**
+ * Store readings and update each room's excursion state.
+ * Returns the excursion events (opened / escalated / closed) for notifying.
+ */
+async function ingestReadings(rawReadings, { branchId = null } = {}) {
+  const { accepted, rejected } = await resolveReadings(rawReadings, branchId);
+  if (accepted.length === 0) return { stored: 0, rejected, events: [] };
+
+  const receivedAt = getKenyaTimeISO();
+  const byRoom = new Map();
+  accepted
+    .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt))
+    .forEach((reading) => {
+      if (!byRoom.has(reading.room.id)) byRoom.set(reading.room.id, []);
+      byRoom.get(reading.room.id).push(reading);
+    });
+
+  const events = await withTransaction(async (tx) => {
+    const placeholders = accepted.map(() => '(?, ?, ?, ?, ?, ?)').join(', ');
+    await tx.query(
+      `INSERT INTO cold_room_temperature_readings
+       (cold_room_id, sensor_id, temperature_c, humidity, recorded_at, received_at)
+       VALUES ${placeholders}`,
+      accepted.flatMap((r) => [
+        r.room.id,
+        r.sensorId,
+        r.temperature,
+        r.humidity,
+        r.recordedAt,
+        receivedAt,
+      ]),
+    );
+
+    const roomEvents = [];
+    for (const [roomId, readings] of byRoom) {
+      const room = readings[0].room;
+      const limits = getLimits(room);
+
+      let open = await tx.queryOne(
+        `SELECT * FROM cold_room_temperature_excursions
+         WHERE cold_room_id = ? AND ended_at IS NULL FOR UPDATE`,
+        [roomId],
+      );
+
+      for (const reading of readings) {
+        const level = classifyReading(reading.temperature, limits);
+
+        if (level === 'ok') {
+          if (open) {
+            await tx.query(
+              'UPDATE cold_room_temperature_excursions SET ended_at = ? WHERE id = ?',
+              [reading.recordedAt, open.id],
+            );
+            roomEvents.push({
+              type: 'closed',
+              room,
+              limits,
+              excursion: { ...open, ended_at: reading.recordedAt },
+              reading,
+            });
+            open = null;
+          }
+          continue;
+        }
+
+        if (!open) {
+          const result = await tx.query(
+            `INSERT INTO cold_room_temperature_excursions
+             (cold_room_id, severity, started_at, min_temp_c, max_temp_c, peak_temp_c,
+              limit_min_c, limit_max_c, readings_count, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?)`,
+            [
+              roomId,
+              level,
+              reading.recordedAt,
+              reading.temperature,
+              reading.temperature,
+              reading.temperature,
+              limits.min,
+              limits.max,
+              receivedAt,
+            ],
+          );
+          open = {
+            id: result.insertId,
+            cold_room_id: roomId,
+            severity: level,
+            started_at: reading.recordedAt,
+            min_temp_c: reading.temperature,
+            max_temp_c: reading.temperature,
+            peak_temp_c: reading.temperature,
+            readings_count: 1,
+            escalated_at: null,
+          };
+          roomEvents.push({ type: 'opened', room, limits, excursion: open });
+        } else {
+          const worse = (a, b) =>
+            Math.abs(a - (a < limits.min ? limits.min : limits.max)) >=
+            Math.abs(b - (b < limits.min ? limits.min : limits.max))
+              ? a
+              : b;
+          open = {
+            ...open,
+            severity: open.severity === 'critical' ? 'critical' : level,
+            min_temp_c: Math.min(open.min_temp_c, reading.temperature),
+            max_temp_c: Math.max(open.max_temp_c, reading.temperature),
+            peak_temp_c: worse(Number(open.peak_temp_c), reading.temperature),
+            readings_count: Number(open.readings_count) + 1,
+          };
+          await tx.query(
+            `UPDATE cold_room_temperature_excursions
+             SET severity = ?, min_temp_c = ?, max_temp_c = ?, peak_temp_c = ?, readings_count = ?
+             WHERE id = ?`,
+            [
+              open.severity,
+              open.min_temp_c,
+              open.max_temp_c,
+              open.peak_temp_c,
+              open.readings_count,
+              open.id,
+            ],
+          );
+        }
+
+        if (!open.escalated_at && shouldEscalate(open, reading.recordedAt)) {
+          open.escalated_at = receivedAt;
+          await tx.query(
+            'UPDATE cold_room_temperature_excursions SET escalated_at = ? WHERE id = ?',
+            [receivedAt, open.id],
+          );
+          roomEvents.push({
+            type: 'escalated',
+            room,
+            limits,
+            excursion: open,
+          });
+        }
+      }
+    }
+    return roomEvents;
+  });
+
+  return { stored: accepted.length, rejected, events };
+}
+
+function shouldEscalate(excursion, asOf) {
+  if (excursion.severity === 'critical') return true;
+  const started = DateTime.fromFormat(
+    String(excursion.started_at),
+    SQL_FORMAT,
+    {
+      zone: ZONE,
+    },
+  );
+  const now = DateTime.fromFormat(String(asOf), SQL_FORMAT, { zone: ZONE });
+  return now.diff(started, 'minutes').minutes >= ESCALATE_AFTER_MINUTES;
+}
+
+// ----------------- Alerting -----------------
+const describeEvent = ({ type, room, limits, excursion, reading }) => {
+  const label = `Cold room ${room.room_number}${room.name ? ` (${room.name})` : ''}`;
+  const range = `${limits.min}°C to ${limits.max}°C`;
+  if (type === 'closed') {
+    return `${label} back in range at ${reading.temperature}°C (${range}) after excursion since ${excursion.started_at}.`;
+  }
+  const severity = excursion.severity.toUpperCase();
+  const prefix = type === 'escalated' ? 'ESCALATED' : severity;
+  return `${prefix}: ${label} at ${excursion.peak_temp_c}°C, outside ${range} since ${excursion.started_at}.`;
+};
+
+const alertRecipients = () =>
+  (process.env.COLDROOM_ALERT_EMAILS || '')
+    .split(',')
+    .map((e) => e.trim())
+    .filter(Boolean);
+
+/**
+ * Fan excursion events out to the notifications feed (picked up by the
+ * Socket.IO poller), a `coldroom_temperature_alarm` emit to the room's branch and,
+ * for escalations, email.
+ */
+async function dispatchTemperatureEvents(events, io) {
+  for (const event of events) {
+    const message = describeEvent(event);
+    const type = `coldroom_temperature_${event.type}`;
+
+    try {
+      await safeQuery(
+        `INSERT INTO notifications (deceased_id, type, message, created_at, is_read)
+         VALUES (?, ?, ?, ?, ?)`,
+        [null, type, message, getKenyaTimeISO(), 0],
+      );
+    } catch (err) {
+      console.error('❌ Temperature notification failed:', err.message);
+    }
+
+    if (io) {
+      emitToBranch(io, event.room.branch_id, 'coldroom_temperature_alarm', {
+        event: event.type,
+        cold_room_id: event.room.id,
+        room_number: event.room.room_number,
+        branch_id: event.room.branch_id,
+        excursion_id: event.excursion.id,
+        severity: event.excursion.severity,
+        message,
+      });
+    }
+
+    if (event.type === 'escalated') {
+      const to = alertRecipients();
+      if (to.length === 0) {
+        console.warn(
+          '⚠️ COLDROOM_ALERT_EMAILS not set; temperature escalation not emailed',
+        );
+        continue;
+      }
+      try {
+        await sendEmail({
+          to: to.join(', '),
+          subject: `🌡️ Cold room ${event.room.room_number} temperature alarm`,
+          text: `${message}\n\nAcknowledge the alarm in RestPoint once the room is checked.`,
+        });
+      } catch (err) {
+        console.error('❌ Temperature escalation email failed:', err.message);
+      }
+    }
+  }
+}
+
+/**
+ * Escalate excursions that have stayed open past the threshold even if no
+ * new reading has arrived (e.g. the sensor went quiet mid-excursion).
+ */
+async function escalateStaleExcursions(io) {
+  const cutoff = DateTime.now()
+    .setZone(ZONE)
+    .minus({ minutes: ESCALATE_AFTER_MINUTES })
+    .toFormat(SQL_FORMAT);
+  const now = getKenyaTimeISO();
+
+  const stale = await safeQuery(
+    `
+    SELECT e.*, r.room_number, r.name, r.branch_id, r.temperature_class,
+           r.min_temp_c AS room_min_temp_c, r.max_temp_c AS room_max_temp_c
+    FROM cold_room_temperature_excursions e
+    JOIN cold_rooms r ON e.cold_room_id = r.id
+    WHERE e.ended_at IS NULL AND e.escalated_at IS NULL AND e.started_at <= ?
+    `,
+    [cutoff],
+  );
+
+  const events = [];
+  for (const excursion of stale) {
+    // Guard against a concurrent ingest escalating the same excursion
+    const result = await safeQuery(
+      'UPDATE cold_room_temperature_excursions SET escalated_at = ? WHERE id = ? AND escalated_at IS NULL',
+      [now, excursion.id],
+    );
+    if (!result.affectedRows) continue;
+
+    const room = {
+      id: excursion.cold_room_id,
+      room_number: excursion.room_number,
+      name: excursion.name,
+      branch_id: excursion.branch_id,
+      temperature_class: excursion.temperature_class,
+      min_temp_c: excursion.room_min_temp_c,
+      max_temp_c: excursion.room_max_temp_c,
+    };
+    events.push({
+      type: 'escalated',
+      room,
+      limits: getLimits(room),
+      excursion,
+    });
+  }
+
+  await dispatchTemperatureEvents(events, io);
+  return events.length;
+}
+
+// ----------------- Compliance -----------------
+/**
+ * Per-room excursion summary for one month (`YYYY-MM`, Kenya time).
+ * Excursions are clipped to the month and to "now" while still open.
+ */
+async function getComplianceReport(month, branchId) {
+  const start = DateTime.fromFormat(month, 'yyyy-LL', { zone: ZONE });
+  if (!start.isValid) return null;
+  const end = start.plus({ months: 1 });
+  const now = DateTime.now().setZone(ZONE);
+  const windowEnd = end < now ? end : now;
+  const from = start.toFormat(SQL_FORMAT);
+  const to = end.toFormat(SQL_FORMAT);
+
+  const branchSql = branchId === null ? '' : 'WHERE r.branch_id = ?';
+  const branchParams = branchId === null ? [] : [branchId];
+
+  const rooms = await safeQuery(
+    `
+    SELECT r.id, r.branch_id, r.room_number, r.name, r.temperature_class,
+           r.min_temp_c, r.max_temp_c,
+           COUNT(t.id) AS readings,
+           MIN(t.temperature_c) AS min_temp_c_recorded,
+           MAX(t.temperature_c) AS max_temp_c_recorded,
+           AVG(t.temperature_c) AS avg_temp_c
+    FROM cold_rooms r
+    LEFT JOIN cold_room_temperature_readings t
+      ON t.cold_room_id = r.id AND t.recorded_at >= ? AND t.recorded_at < ?
+    ${branchSql}
+    GROUP BY r.id
+    ORDER BY r.room_number
+    `,
+    [from, to, ...branchParams],
+  );
+
+  const excursions = await safeQuery(
+    `
+    SELECT e.*
+    FROM cold_room_temperature_excursions e
+    JOIN cold_rooms r ON e.cold_room_id = r.id
+    WHERE e.started_at < ? AND (e.ended_at IS NULL OR e.ended_at >= ?)
+      ${branchId === null ? '' : 'AND r.branch_id = ?'}
+    ORDER BY e.started_at
+    `,
+    [to, from, ...branchParams],
+  );
+
+  const monitoredMinutes = Math.max(
+    windowEnd.diff(start, 'minutes').minutes,
+    0,
+  );
+
+  const report = rooms.map((room) => {
+    const limits = getLimits(room);
+    const roomExcursions = excursions
+      .filter((e) => e.cold_room_id === room.id)
+      .map((e) => {
+        const started = DateTime.fromFormat(String(e.started_at), SQL_FORMAT, {
+          zone: ZONE,
+        });
+        const ended = e.ended_at
+          ? DateTime.fromFormat(String(e.ended_at), SQL_FORMAT, { zone: ZONE })
+          : windowEnd;
+        const clippedStart = started < start ? start : started;
+        const clippedEnd = ended > windowEnd ? windowEnd : ended;
+        return {
+          id: e.id,
+          severity: e.severity,
+          started_at: e.started_at,
+          ended_at: e.ended_at,
+          peak_temp_c: Number(e.peak_temp_c),
+          readings_count: e.readings_count,
+          escalated_at: e.escalated_at,
+          acknowledged_by: e.acknowledged_by,
+          acknowledged_at: e.acknowledged_at,
+          minutes_in_month: Math.max(
+            Math.round(clippedEnd.diff(clippedStart, 'minutes').minutes),
+            0,
+          ),
+        };
+      });
+
+    const excursionMinutes = roomExcursions.reduce(
+      (sum, e) => sum + e.minutes_in_month,
+      0,
+    );
+
+    return {
+      cold_room_id: room.id,
+      branch_id: room.branch_id,
+      room_number: room.room_number,
+      name: room.name,
+      temperature_class: room.temperature_class,
+      limits,
+      readings: Number(room.readings) || 0,
+      min_temp_c: toNumber(room.min_temp_c_recorded),
+      max_temp_c: toNumber(room.max_temp_c_recorded),
+      avg_temp_c:
+        room.avg_temp_c === null
+          ? null
+          : Math.round(Number(room.avg_temp_c) * 100) / 100,
+      excursion_count: roomExcursions.length,
+      critical_count: roomExcursions.filter((e) => e.severity === 'critical')
+        .length,
+      excursion_minutes: excursionMinutes,
+      time_in_range_percent: monitoredMinutes
+        ? Math.round((1 - excursionMinutes / monitoredMinutes) * 1000) / 10
+        : null,
+      compliant: roomExcursions.length === 0,
+      excursions: roomExcursions,
+    };
+  });
+
+  return {
+    month,
+    from,
+    to,
+    rooms: report,
+    summary: {
+      rooms: report.length,
+      compliant_rooms: report.filter((r) => r.compliant).length,
+      excursions: report.reduce((sum, r) => sum + r.excursion_count, 0),
+      critical: report.reduce((sum, r) => sum + r.critical_count, 0),
+    },
+  };
+}
+
+module.exports = {
+  TEMPERATURE_LIMITS,
+  CRITICAL_MARGIN_C,
+  ESCALATE_AFTER_MINUTES,
+  MAX_BATCH_SIZE,
+  getLimits,
+  classifyReading,
+  normalisePayload,
+  ingestReadings,
+  dispatchTemperatureEvents,
+  escalateStaleExcursions,
+  getComplianceReport,
+};
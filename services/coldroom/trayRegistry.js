@@ -0,0 +1,262 @@
+// ----------------- Cold Room Tray Registry -----------------
+// `cold_room_trays.deceased_id` is the single source of truth for who lies
+// where. It is UNIQUE, so one body can never hold two trays, and every
+// placement locks the tray row first so two bodies can't land on one tray.
+// All helpers take the `tx` from withTransaction().
+const { safeQuery } = require('../../configurations/sqlConfig/db');
+const { AppError } = require('../../middlewares/errorHandler/errorHandler');
+
+const TEMPERATURE_CLASSES = ['Chilled', 'Frozen', 'Isolation'];
+const ROOM_STATUSES = ['Active', 'Maintenance', 'Closed'];
+const TRAY_STATUSES = ['Available', 'Maintenance'];
+const MOVEMENT_TYPES = {
+  ASSIGN: 'Assign',
+  TRANSFER: 'Transfer',
+  RELEASE: 'Release',
+};
+
+/**
+ * Lock a tray by room number + tray number inside the caller's branch.
+ * Throws 404 when the room or tray isn't registered.
+ */
+async function lockTray(tx, { branchId, roomNumber, trayNumber }) {
+  const tray = await tx.queryOne(
+    `
+    SELECT t.*, r.room_number, r.status AS room_status, r.temperature_class, r.branch_id
+    FROM cold_room_trays t
+    JOIN cold_rooms r ON t.cold_room_id = r.id
+    WHERE r.room_number = ? AND t.tray_number = ?
+      ${branchId === null ? '' : 'AND r.branch_id = ?'}
+    FOR UPDATE
+    `,
+    [
+      String(roomNumber),
+      String(trayNumber),
+      ...(branchId === null ? [] : [branchId]),
+    ],
+  );
+  if (!tray) {
+    throw new AppError(
+      `Tray ${trayNumber} in cold room ${roomNumber} is not registered`,
+      404,
+    );
+  }
+  return tray;
+}
+
+/** Lock the tray a body currently occupies, or null. */
+async function lockOccupiedTray(tx, deceasedId) {
+  return tx.queryOne(
+    `
+    SELECT t.*, r.room_number, r.branch_id
+    FROM cold_room_trays t
+    JOIN cold_rooms r ON t.cold_room_id = r.id
+    WHERE t.deceased_id = ?
+    FOR UPDATE
+    `,
+    [deceasedId],
+  );
+}
+
+/** 409 unless the tray can take a body right now. */
+function assertTrayFree(tray, deceasedId) {
+  if (tray.room_status !== 'Active') {
+    throw new AppError(
+      `Cold room ${tray.room_number} is ${tray.room_status.toLowerCase()}`,
+      409,
+    );
+  }
+  if (tray.deceased_id && tray.deceased_id !== deceasedId) {
+    const err = new AppError(
+      `Tray ${tray.tray_number} in cold room ${tray.room_number} is already occupied`,
+      409,
+    );
+    err.occupiedBy = tray.deceased_id;
+    throw err;
+  }
+  if (tray.status !== 'Available') {
+    throw new AppError(
+      `Tray ${tray.tray_number} in cold room ${tray.room_number} is under maintenance`,
+      409,
+    );
+  }
+}
+
+/**
+ * Put a body on a locked tray and mirror the placement onto
+ * cold_room_assignments and the deceased row.
+ */
+async function occupyTray(tx, tray, deceasedId, now) {
+  await tx.query(
+    'UPDATE cold_room_trays SET deceased_id = ?, occupied_since = ?, updated_at = ? WHERE id = ?',
+    [deceasedId, now, now, tray.id],
+  );
+
+  await tx.query(
+    `
+    INSERT INTO cold_room_assignments (deceased_id, cold_room_number, tray_number, date_assigned)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      cold_room_number = VALUES(cold_room_number),
+      tray_number = VALUES(tray_number),
+      date_assigned = VALUES(date_assigned)
+    `,
+    [deceasedId, tray.room_number, tray.tray_number, now],
+  );
+
+  await tx.query(
+    'UPDATE deceased SET cold_room_no = ?, tray_no = ?, updated_at = ? WHERE deceased_id = ?',
+    [tray.room_number, tray.tray_number, now, deceasedId],
+  );
+}
+
+/** Free a locked tray and clear the body's current placement. */
+async function vacateTray(tx, tray, now) {
+  await tx.query(
+    'UPDATE cold_room_trays SET deceased_id = NULL, occupied_since = NULL, updated_at = ? WHERE id = ?',
+    [now, tray.id],
+  );
+  await tx.query('DELETE FROM cold_room_assignments WHERE deceased_id = ?', [
+    tray.deceased_id,
+  ]);
+  await tx.query(
+    'UPDATE deceased SET cold_room_no = NULL, tray_no = NULL, updated_at = ? WHERE deceased_id = ?',
+    [now, tray.deceased_id],
+  );
+}
+
+async function recordMovement(
+  tx,
+  { deceasedId, type, from, to, reason, performedBy, now },
+) {
+  await tx.query(
+    `
+    INSERT INTO cold_room_movements
+    (deceased_id, movement_type, from_room, from_tray, to_room, to_tray, reason, performed_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      deceasedId,
+      type,
+      from?.room_number ?? null,
+      from?.tray_number ?? null,
+      to?.room_number ?? null,
+      to?.tray_number ?? null,
+      reason || null,
+      performedBy || null,
+      now,
+    ],
+  );
+}
+
+/**
+ * Release whatever tray the body occupies, if any. Used by the cold room
+ * release endpoint and by the checkout flow. Returns the freed tray or null.
+ */
+async function releaseBodyFromTray(
+  tx,
+  { deceasedId, reason, performedBy, now },
+) {
+  const tray = await lockOccupiedTray(tx, deceasedId);
+  if (!tray) return null;
+
+  await vacateTray(tx, tray, now);
+  await recordMovement(tx, {
+    deceasedId,
+    type: MOVEMENT_TYPES.RELEASE,
+    from: tray,
+    reason,
+    performedBy,
+    now,
+  });
+  return tray;
+}
+
+/** Rooms with their trays and occupants, for one branch or all (null). */
+async function getOccupancyMap(branchId) {
+  const rows = await safeQuery(
+    `
+    SELECT r.id AS room_id, r.branch_id, r.room_number, r.name, r.temperature_class,
+           r.capacity, r.status AS room_status,
+           t.id AS tray_id, t.tray_number, t.status AS tray_status,
+           t.deceased_id, t.occupied_since, d.full_name
+    FROM cold_rooms r
+    LEFT JOIN cold_room_trays t ON t.cold_room_id = r.id
+    LEFT JOIN deceased d ON d.deceased_id = t.deceased_id
+    ${branchId === null ? '' : 'WHERE r.branch_id = ?'}
+    ORDER BY r.room_number, CAST(t.tray_number AS UNSIGNED), t.tray_number
+    `,
+    branchId === null ? [] : [branchId],
+  );
+
+  const rooms = new Map();
+  for (const row of rows) {
+    if (!rooms.has(row.room_id)) {
+      rooms.set(row.room_id, {
+        id: row.room_id,
+        branch_id: row.branch_id,
+        room_number: row.room_number,
+        name: row.name,
+        temperature_class: row.temperature_class,
+        capacity: row.capacity,
+        status: row.room_status,
+        occupied: 0,
+        available: 0,
+        maintenance: 0,
+        trays: [],
+      });
+    }
+    if (!row.tray_id) continue;
+
+    const room = rooms.get(row.room_id);
+    const occupant = row.deceased_id
+      ? {
+          deceased_id: row.deceased_id,
+          full_name: row.full_name,
+          since: row.occupied_since,
+        }
+      : null;
+
+    if (occupant) room.occupied++;
+    else if (row.tray_status === 'Maintenance') room.maintenance++;
+    else room.available++;
+
+    room.trays.push({
+      id: row.tray_id,
+      tray_number: row.tray_number,
+      status: occupant ? 'Occupied' : row.tray_status,
+      occupant,
+    });
+  }
+
+  const list = [...rooms.values()];
+  const totals = list.reduce(
+    (acc, room) => ({
+      capacity: acc.capacity + room.trays.length,
+      occupied: acc.occupied + room.occupied,
+      available: acc.available + room.available,
+      maintenance: acc.maintenance + room.maintenance,
+    }),
+    { capacity: 0, occupied: 0, available: 0, maintenance: 0 },
+  );
+  totals.occupancy_rate = totals.capacity
+    ? Math.round((totals.occupied / totals.capacity) * 1000) / 10
+    : 0;
+
+  return { rooms: list, totals };
+}
+
+module.exports = {
+  TEMPERATURE_CLASSES,
+  ROOM_STATUSES,
+  TRAY_STATUSES,
+  MOVEMENT_TYPES,
+  lockTray,
+  lockOccupiedTray,
+  assertTrayFree,
+  occupyTray,
+  vacateTray,
+  recordMovement,
+  releaseBodyFromTray,
+  getOccupancyMap,
+};
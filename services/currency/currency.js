@@ -0,0 +1,296 @@
+// ----------------- Currency -----------------
+// One ISO 4217 code per amount (`KES`, never `KSH`) and a dated table of
+// exchange rates into Kenya shillings. A rate applies from its `rate_date`
+// until a newer one is entered, so converting "at the invoice date" uses the
+// latest rate on or before that date. Every conversion goes through KES.
+const NodeCache = require('node-cache');
+const { DateTime } = require('luxon');
+const { safeQuery } = require('../../configurations/sqlConfig/db');
+const { codedError } = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const { round2 } = require('../../utilities/helpers/helpers');
+
+const ZONE = 'Africa/Nairobi';
+const BASE_CURRENCY = 'KES';
+const SUPPORTED_CURRENCIES = ['KES', 'USD', 'GBP', 'EUR'];
+
+// Spellings found in older rows and clients
+const CURRENCY_ALIASES = { KSH: 'KES', KSHS: 'KES' };
+
+const rateCache = new NodeCache({ stdTTL: 600, checkperiod: 120 });
+
+const today = () => DateTime.now().setZone(ZONE).toISODate();
+
+/** ISO code for `value`, or null when it isn't a supported currency. */
+function toCurrencyCode(value) {
+  if (!value) return null;
+  const code = String(value).trim().toUpperCase().replace(/\./g, '');
+  const iso = CURRENCY_ALIASES[code] || code;
+  return SUPPORTED_CURRENCIES.includes(iso) ? iso : null;
+}
+
+/** toCurrencyCode() that throws 400 UNSUPPORTED_CURRENCY instead of returning null. */
+function normaliseCurrency(value, fallback = BASE_CURRENCY) {
+  if (!value) return fallback;
+  const code = toCurrencyCode(value);
+  if (!code) {
+    throw codedError(
+      `Unsupported currency: ${value}. Use one of ${SUPPORTED_CURRENCIES.join(', ')}`,
+      'UNSUPPORTED_CURRENCY',
+    );
+  }
+  return code;
+}
+
+/** yyyy-LL-dd for a date, SQL datetime or ISO string (today when empty). */
+function toRateDate(value) {
+  if (!value) return today();
+  const text = String(value).slice(0, 10);
+  const dt = DateTime.fromISO(text, { zone: ZONE });
+  return dt.isValid ? dt.toISODate() : null;
+}
+
+// ----------------- Rates -----------------
+
+/**
+ * KES per one unit of `currency` in force on `date`:
+ * `{ currency, rate, rate_date }`. Throws 422 RATE_MISSING when no rate on
+ * or before that date has been entered.
+ */
+async function getRate(currency, date) {
+  const code = normaliseCurrency(currency);
+  const on = toRateDate(date);
+  if (!on) throw codedError(`Invalid date: ${date}`, 'INVALID_DATE');
+  if (code === BASE_CURRENCY) return { currency: code, rate: 1, rate_date: on };
+
+  const cacheKey = `${code}|${on}`;
+  const cached = rateCache.get(cacheKey);
+  if (cached) return cached;
+
+  const [row] = await safeQuery(
+    `SELECT kes_per_unit, rate_date FROM exchange_rates
+     WHERE currency = ? AND rate_date <= ?
+     ORDER BY rate_date DESC LIMIT 1`,
+    [code, on],
+  );
+  if (!row) {
+    throw codedError(
+      `No ${code} exchange rate on or before ${on}`,
+      'RATE_MISSING',
+      422,
+    );
+  }
+
+  const rate = {
+    currency: code,
+    rate: parseFloat(row.kes_per_unit),
+    rate_date: String(row.rate_date).slice(0, 10),
+  };
+  rateCache.set(cacheKey, rate);
+  return rate;
+}
+
+/**
+ * Convert `amount` between currencies at the rates in force on `date`.
+ * Returns `{ amount, from, to, rate, date }` where `rate` is units of `to`
+ * per unit of `from`.
+ */
+async function convert(amount, from, to, date) {
+  const source = await getRate(from, date);
+  const target = await getRate(to, date);
+  const rate = source.rate / target.rate;
+  return {
+    amount: round2(Number(amount) * rate),
+    from: source.currency,
+    to: target.currency,
+    rate,
+    date: toRateDate(date),
+  };
+}
+
+/** `{ amount_kes, exchange_rate, rate_date }` for an amount in `currency`. */
+async function kesEquivalent(amount, currency, date) {
+  const { rate, rate_date } = await getRate(currency, date);
+  return {
+    amount_kes: round2(Number(amount) * rate),
+    exchange_rate: rate,
+    rate_date,
+  };
+}
+
+/** "USD 1,250.00" */
+function formatMoney(amount, currency = BASE_CURRENCY) {
+  return `${toCurrencyCode(currency) || currency} ${Number(
+    amount || 0,
+  ).toLocaleString('en-KE', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+function validateRate({ currency, rate_date, rate }) {
+  const code = normaliseCurrency(currency, null);
+  if (!code) {
+    throw codedError('currency is required', 'RATE_INVALID');
+  }
+  if (code === BASE_CURRENCY) {
+    throw codedError('KES is the base currency (always 1)', 'RATE_INVALID');
+  }
+  const on = toRateDate(rate_date);
+  if (!on) throw codedError(`Invalid rate_date: ${rate_date}`, 'RATE_INVALID');
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw codedError('rate must be a number above 0', 'RATE_INVALID');
+  }
+  return { currency: code, rate_date: on, kes_per_unit: value };
+}
+
+/**
+ * Store a rate inside the caller's transaction. Entering a rate for a
+ * currency and date that already has one replaces it.
+ */
+async function setRate(tx, req, payload, { source = 'manual' } = {}) {
+  const rate = validateRate(payload);
+
+  const before = await tx.queryOne(
+    'SELECT * FROM exchange_rates WHERE currency = ? AND rate_date = ? FOR UPDATE',
+    [rate.currency, rate.rate_date],
+  );
+  const now = getKenyaTimeISO();
+  const actor = req?.user?.id != null ? String(req.user.id) : null;
+
+  let id;
+  if (before) {
+    await tx.query(
+      `UPDATE exchange_rates
+       SET kes_per_unit = ?, source = ?, created_by = ?, created_at = ?
+       WHERE id = ?`,
+      [rate.kes_per_unit, source, actor, now, before.id],
+    );
+    id = before.id;
+  } else {
+    const result = await tx.query(
+      `INSERT INTO exchange_rates
+       (currency, rate_date, kes_per_unit, source, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [rate.currency, rate.rate_date, rate.kes_per_unit, source, actor, now],
+    );
+    id = result.insertId;
+  }
+
+  const after = { id, ...rate, source, created_by: actor, created_at: now };
+  await recordAudit(tx, req, {
+    entity: 'exchange_rate',
+    entityId: id,
+    action: before ? 'update' : 'create',
+    before,
+    after,
+  });
+
+  rateCache.flushAll();
+  return after;
+}
+
+/**
+ * Parse CSV text with a `currency,rate_date,rate` header (any column order,
+ * extra columns ignored). Returns `{ rows, errors }`; `errors` lists
+ * `{ line, message }` for rows that failed validation.
+ */
+function parseRatesCSV(text) {
+  const lines = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line) => line.trim());
+
+  const headerIndex = lines.findIndex((line) => line);
+  if (headerIndex === -1) {
+    return { rows: [], errors: [{ line: 1, message: 'The file is empty' }] };
+  }
+
+  const header = lines[headerIndex]
+    .split(',')
+    .map((h) => h.trim().toLowerCase());
+  const column = (names) => header.findIndex((h) => names.includes(h));
+  const columns = {
+    currency: column(['currency', 'code']),
+    rate_date: column(['rate_date', 'date']),
+    rate: column(['rate', 'kes_per_unit']),
+  };
+  const missing = Object.keys(columns).filter((k) => columns[k] === -1);
+  if (missing.length) {
+    return {
+      rows: [],
+      errors: [
+        {
+          line: headerIndex + 1,
+          message: `Missing column(s): ${missing.join(', ')}`,
+        },
+      ],
+    };
+  }
+
+  const rows = [];
+  const errors = [];
+  lines.slice(headerIndex + 1).forEach((line, i) => {
+    if (!line) return;
+    const cells = line.split(',').map((c) => c.trim());
+    const lineNo = headerIndex + i + 2;
+    try {
+      rows.push({
+        line: lineNo,
+        ...validateRate({
+          currency: cells[columns.currency],
+          rate_date: cells[columns.rate_date],
+          rate: cells[columns.rate],
+        }),
+      });
+    } catch (err) {
+      errors.push({ line: lineNo, message: err.message });
+    }
+  });
+
+  return { rows, errors };
+}
+
+/** Rates history, newest first. */
+async function listRates({ currency, from, to, limit = 500 } = {}) {
+  const where = ['1 = 1'];
+  const params = [];
+  if (currency) {
+    where.push('currency = ?');
+    params.push(normaliseCurrency(currency));
+  }
+  if (from) {
+    where.push('rate_date >= ?');
+    params.push(toRateDate(from));
+  }
+  if (to) {
+    where.push('rate_date <= ?');
+    params.push(toRateDate(to));
+  }
+
+  return safeQuery(
+    `SELECT id, currency, rate_date, kes_per_unit, source, created_by, created_at
+     FROM exchange_rates
+     WHERE ${where.join(' AND ')}
+     ORDER BY rate_date DESC, currency
+     LIMIT ${Math.min(parseInt(limit, 10) || 500, 5000)}`,
+    params,
+  );
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  toCurrencyCode,
+  normaliseCurrency,
+  toRateDate,
+  getRate,
+  convert,
+  kesEquivalent,
+  formatMoney,
+  setRate,
+  parseRatesCSV,
+  listRates,
+};
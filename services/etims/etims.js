@@ -0,0 +1,114 @@
+// ----------------- KRA eTIMS Client -----------------
+// Sends sales invoices to a KRA eTIMS control unit (OSCU / VSCU) and returns
+// what it signs them with. `ETIMS_BASE_URL` points at the control unit or
+// KRA's sandbox; set it to the mock server (services/etims/mockEtims.js) to
+// run the whole flow locally.
+const axios = require('axios');
+const { DateTime } = require('luxon');
+const { codedError } = require('../../middlewares/errorHandler/errorHandler');
+
+const ZONE = 'Africa/Nairobi';
+
+/** Settings from the environment. */
+function etimsConfig() {
+  return {
+    baseUrl: (process.env.ETIMS_BASE_URL || '').replace(/\/+$/, ''),
+    // KRA PIN of the business, branch id ("00" = head office) and the
+    // communication key issued when the device was initialised
+    pin: process.env.ETIMS_PIN,
+    branchId: process.env.ETIMS_BRANCH_ID || '00',
+    cmcKey: process.env.ETIMS_CMC_KEY,
+    qrBaseUrl: (
+      process.env.ETIMS_QR_BASE_URL ||
+      'https://etims.kra.go.ke/common/link/etims/receipt/indexEtimsReceiptData'
+    ).replace(/\/+$/, ''),
+  };
+}
+
+/** True when invoices can be sent (the base URL, PIN and key are set). */
+function isEtimsConfigured(config = etimsConfig()) {
+  return Boolean(config.baseUrl && config.pin && config.cmcKey);
+}
+
+function requireConfig(config) {
+  const missing = [
+    ['ETIMS_BASE_URL', config.baseUrl],
+    ['ETIMS_PIN', config.pin],
+    ['ETIMS_CMC_KEY', config.cmcKey],
+  ]
+    .filter(([, value]) => !value)
+    .map(([name]) => name);
+  if (missing.length) {
+    throw codedError(
+      `eTIMS is not configured (missing ${missing.join(', ')})`,
+      'ETIMS_NOT_CONFIGURED',
+      503,
+    );
+  }
+}
+
+// eTIMS timestamps: yyyyMMddHHmmss and yyyyMMdd, in Nairobi time
+const toEtimsTime = (dt) => dt.toFormat('yyyyLLddHHmmss');
+const toEtimsDate = (dt) => dt.toFormat('yyyyLLdd');
+
+/** Link printed as the invoice's QR code; KRA's page verifies it. */
+function receiptQrUrl(signature, config = etimsConfig()) {
+  return `${config.qrBaseUrl}?Data=${config.pin}${config.branchId}${signature}`;
+}
+
+/**
+ * Send one sale (`saveSales`). `sale` is built by fiscalInvoices.js in the
+ * eTIMS field names. Resolves with `{ rcptNo, intrlData, rcptSign, sdcId,
+ * mrcNo, vsdcRcptPbctDate }` once the control unit has signed it.
+ */
+async function saveSale(sale) {
+  const config = etimsConfig();
+  requireConfig(config);
+
+  const now = DateTime.now().setZone(ZONE);
+  let response;
+  try {
+    response = await axios.post(
+      `${config.baseUrl}/trnsSales/saveSales`,
+      {
+        tin: config.pin,
+        bhfId: config.branchId,
+        cfmDt: toEtimsTime(now),
+        salesDt: toEtimsDate(now),
+        ...sale,
+      },
+      {
+        headers: {
+          tin: config.pin,
+          bhfId: config.branchId,
+          cmcKey: config.cmcKey,
+        },
+        timeout: 30000,
+      },
+    );
+  } catch (err) {
+    const detail = err.response?.data;
+    throw codedError(
+      `eTIMS request failed: ${detail?.resultMsg || err.message}`,
+      'ETIMS_REQUEST_FAILED',
+      502,
+    );
+  }
+
+  const { resultCd, resultMsg, data } = response.data || {};
+  if (resultCd !== '000' || !data?.rcptSign) {
+    throw codedError(
+      `eTIMS rejected the invoice: ${resultMsg || 'no signature returned'} (${resultCd || 'no code'})`,
+      'ETIMS_REJECTED',
+      502,
+    );
+  }
+  return data;
+}
+
+module.exports = {
+  etimsConfig,
+  isEtimsConfigured,
+  receiptQrUrl,
+  saveSale,
+};
@@ -0,0 +1,257 @@
+// ----------------- Fiscal Invoices (eTIMS) -----------------
+// Every invoice raised is sent to eTIMS once it is stored. Its
+// `fiscal_status` moves through:
+//
+//   Pending     waiting to be sent (eTIMS down or not configured yet)
+//   Submitting  being sent right now
+//   Submitted   signed: control number, signature and QR link stored
+//   Failed      last attempt failed (`fiscal_error`); retried by the sweep
+//
+// Invoices from before eTIMS (fiscal_status NULL) are only sent when someone
+// asks for it. A signed invoice can no longer be edited or deleted; changes
+// go through credit notes. Payer invoices split from a body's invoice are
+// never sent: the body's invoice is the tax invoice for the full amount.
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const { toCurrencyCode } = require('../currency/currency');
+const { TAX_CATEGORIES, loadTaxCodes, applyTax } = require('../tax/taxCodes');
+const { isEtimsConfigured, receiptQrUrl, saveSale } = require('./etims');
+const { round2 } = require('../../utilities/helpers/helpers');
+
+const ZONE = 'Africa/Nairobi';
+const FISCAL_STATUSES = ['Pending', 'Submitting', 'Submitted', 'Failed'];
+// The sweep stops retrying an invoice after this many failures
+const MAX_ATTEMPTS = 10;
+// A send that has not finished after this long is assumed to have died
+const STALE_MINUTES = 10;
+// eTIMS payment type "02" (credit): an invoice is raised before it is paid
+const PAYMENT_TYPE_CREDIT = '02';
+
+const parseJSON = (value) =>
+  typeof value === 'string' ? JSON.parse(value) : value;
+
+/**
+ * The eTIMS `saveSales` body for an invoice row. eTIMS only takes KES, so
+ * foreign-currency invoices are converted at the invoice's own rate.
+ */
+function buildSale(invoice, taxed) {
+  const currency = toCurrencyCode(invoice.currency) || 'KES';
+  const rate =
+    currency === 'KES' ? 1 : parseFloat(invoice.exchange_rate) || null;
+  if (!rate) {
+    throw codedError(
+      `Invoice ${invoice.invoice_number} has no KES exchange rate`,
+      'ETIMS_NO_RATE',
+      422,
+    );
+  }
+  const kes = (n) => round2(parseFloat(n) * rate);
+
+  const itemList = taxed.items.map((item, i) => {
+    const qty = parseFloat(item.qty) || 1;
+    const total = kes(qty * parseFloat(item.amount));
+    return {
+      itemSeq: i + 1,
+      itemCd: String(item.service_type).toUpperCase().slice(0, 20),
+      itemClsCd: '99', // services
+      itemNm: String(item.service).slice(0, 200),
+      qtyUnitCd: 'U',
+      pkgUnitCd: 'NT',
+      pkg: qty,
+      qty,
+      prc: kes(item.amount),
+      splyAmt: total,
+      dcRt: 0,
+      dcAmt: 0,
+      taxTyCd: item.tax_category,
+      taxblAmt: kes(item.taxable_amount),
+      taxAmt: kes(item.tax_amount),
+      totAmt: total,
+    };
+  });
+
+  const sale = {
+    invcNo: invoice.id,
+    orgInvcNo: 0,
+    trdInvcNo: invoice.invoice_number,
+    custTin: invoice.customer_pin || null,
+    custNm: invoice.customer_name || invoice.deceased_name || null,
+    salesTyCd: 'N',
+    rcptTyCd: 'S',
+    pmtTyCd: PAYMENT_TYPE_CREDIT,
+    salesSttsCd: '02',
+    totItemCnt: itemList.length,
+    totTaxblAmt: 0,
+    totTaxAmt: 0,
+    totAmt: 0,
+    remark: `Invoice ${invoice.invoice_number}`,
+    itemList,
+  };
+  for (const [category, { rate: taxRate }] of Object.entries(TAX_CATEGORIES)) {
+    const lines = itemList.filter((l) => l.taxTyCd === category);
+    const taxable = round2(lines.reduce((s, l) => s + l.taxblAmt, 0));
+    const tax = round2(lines.reduce((s, l) => s + l.taxAmt, 0));
+    sale[`taxblAmt${category}`] = taxable;
+    sale[`taxRt${category}`] = taxRate;
+    sale[`taxAmt${category}`] = tax;
+    sale.totTaxblAmt = round2(sale.totTaxblAmt + taxable);
+    sale.totTaxAmt = round2(sale.totTaxAmt + tax);
+  }
+  sale.totAmt = round2(itemList.reduce((s, l) => s + l.totAmt, 0));
+  return sale;
+}
+
+// Claim an invoice for sending, so the sweep and a person can't both send it
+async function claimInvoice(invoiceId, { manual }) {
+  const staleBefore = DateTime.now()
+    .setZone(ZONE)
+    .minus({ minutes: STALE_MINUTES })
+    .toFormat('yyyy-LL-dd HH:mm:ss');
+  const result = await safeQuery(
+    `UPDATE invoices
+     SET fiscal_status = 'Submitting', fiscal_attempted_at = ?
+     WHERE id = ? AND deleted_at IS NULL
+       AND (fiscal_status IN ('Pending', 'Failed')
+            OR (fiscal_status = 'Submitting' AND fiscal_attempted_at < ?)
+            ${manual ? 'OR fiscal_status IS NULL' : ''})`,
+    [getKenyaTimeISO(), invoiceId, staleBefore],
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Send one invoice to eTIMS and store what comes back. `manual` (a person
+ * asked) also sends invoices from before eTIMS. Resolves with the updated
+ * invoice row; a failed attempt is recorded on the invoice and rethrown.
+ */
+async function submitInvoice(req, invoiceId, { manual = false } = {}) {
+  const [current] = await safeQuery(
+    `SELECT i.*, d.full_name AS deceased_name
+     FROM invoices i LEFT JOIN deceased d ON d.id = i.deceased_id
+     WHERE i.id = ? AND i.deleted_at IS NULL`,
+    [invoiceId],
+  );
+  if (!current) throw new AppError('Invoice not found', 404);
+  if (current.fiscal_status === 'Submitted') {
+    throw codedError(
+      `Invoice ${current.invoice_number} is already signed (${current.fiscal_control_number})`,
+      'INVOICE_ALREADY_FISCALISED',
+      409,
+    );
+  }
+  if (current.parent_invoice_id) {
+    throw codedError(
+      `Invoice ${current.invoice_number} is a payer's share of another invoice, which carries the tax`,
+      'INVOICE_IS_PAYER_SHARE',
+      409,
+    );
+  }
+  if (!(await claimInvoice(invoiceId, { manual }))) {
+    throw codedError(
+      `Invoice ${current.invoice_number} is being sent to eTIMS`,
+      'ETIMS_IN_PROGRESS',
+      409,
+    );
+  }
+
+  let signed;
+  try {
+    // Invoices from before tax codes get their VAT worked out now
+    const items = parseJSON(current.items) || [];
+    const taxed = items.every((item) => item.tax_category)
+      ? applyTax(items, {})
+      : applyTax(items, await loadTaxCodes());
+    signed = await saveSale(buildSale(current, taxed));
+  } catch (err) {
+    await safeQuery(
+      `UPDATE invoices
+       SET fiscal_status = 'Failed', fiscal_error = ?, fiscal_attempts = fiscal_attempts + 1
+       WHERE id = ?`,
+      [String(err.message).slice(0, 255), invoiceId],
+    );
+    throw err;
+  }
+
+  return withTransaction(async (tx) => {
+    const before = await tx.queryOne(
+      'SELECT * FROM invoices WHERE id = ? FOR UPDATE',
+      [invoiceId],
+    );
+    await tx.query(
+      `UPDATE invoices
+       SET fiscal_status = 'Submitted', fiscal_control_number = ?, fiscal_signature = ?,
+           fiscal_internal_data = ?, fiscal_qr_url = ?, fiscal_signed_at = ?,
+           fiscal_error = NULL, fiscal_attempts = fiscal_attempts + 1
+       WHERE id = ?`,
+      [
+        `${signed.sdcId}/${signed.rcptNo}`,
+        signed.rcptSign,
+        signed.intrlData || null,
+        receiptQrUrl(signed.rcptSign),
+        getKenyaTimeISO(),
+        invoiceId,
+      ],
+    );
+    const after = await tx.queryOne('SELECT * FROM invoices WHERE id = ?', [
+      invoiceId,
+    ]);
+    await recordAudit(tx, req, {
+      entity: 'invoice',
+      entityId: invoiceId,
+      action: 'update',
+      before,
+      after,
+    });
+    return after;
+  });
+}
+
+/**
+ * Invoices the sweep should send: waiting, failed (up to MAX_ATTEMPTS) or
+ * stuck mid-send. Returns their ids, oldest first.
+ */
+async function pendingFiscalInvoices({ limit = 50 } = {}) {
+  if (!isEtimsConfigured()) return [];
+  const staleBefore = DateTime.now()
+    .setZone(ZONE)
+    .minus({ minutes: STALE_MINUTES })
+    .toFormat('yyyy-LL-dd HH:mm:ss');
+  const rows = await safeQuery(
+    `SELECT id FROM invoices
+     WHERE deleted_at IS NULL AND fiscal_attempts < ?
+       AND (fiscal_status IN ('Pending', 'Failed')
+            OR (fiscal_status = 'Submitting' AND fiscal_attempted_at < ?))
+     ORDER BY created_at, id
+     LIMIT ${Math.min(parseInt(limit, 10) || 50, 500)}`,
+    [MAX_ATTEMPTS, staleBefore],
+  );
+  return rows.map((r) => r.id);
+}
+
+/** Throw when an invoice is signed and so may not be changed. */
+function assertNotFiscalised(invoice) {
+  if (invoice?.fiscal_status === 'Submitted') {
+    throw codedError(
+      `Invoice ${invoice.invoice_number} is signed by eTIMS (${invoice.fiscal_control_number}); raise a credit note instead`,
+      'INVOICE_FISCALISED',
+      409,
+    );
+  }
+}
+
+module.exports = {
+  FISCAL_STATUSES,
+  buildSale,
+  submitInvoice,
+  pendingFiscalInvoices,
+  assertNotFiscalised,
+};
@@ -0,0 +1,94 @@
+// ----------------- Mock eTIMS Control Unit -----------------
+// A local stand-in for a KRA eTIMS control unit, for development and
+// testing invoice fiscalisation without KRA's sandbox:
+//
+//   npm run mock:etims             (listens on MOCK_ETIMS_PORT, default 5056)
+//   ETIMS_BASE_URL=http://localhost:5056 npm run start:dev
+//
+// Sales are checked roughly as the real unit does (header keys, totals,
+// one submission per invoice number) and signed with a made-up receipt
+// signature. A customer named "REJECT" is refused, to test failures.
+const express = require('express');
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+
+const PORT = parseInt(process.env.MOCK_ETIMS_PORT, 10) || 5056;
+const SDC_ID = 'KRACU0100000001';
+const MRC_NO = 'WIS01000001';
+
+const signed = new Map();
+let receiptNo = 0;
+
+const etimsTime = () =>
+  DateTime.now().setZone('Africa/Nairobi').toFormat('yyyyLLddHHmmss');
+
+const fail = (res, resultCd, resultMsg) =>
+  res.json({ resultCd, resultMsg, resultDt: etimsTime(), data: null });
+
+function createMockEtims() {
+  const app = express();
+  app.use(express.json());
+
+  app.post('/trnsSales/saveSales', (req, res) => {
+    const sale = req.body || {};
+    if (!req.headers.tin || !req.headers.cmckey) {
+      return fail(res, '894', 'Unable to connect: missing tin or cmcKey');
+    }
+    if (
+      !sale.invcNo ||
+      !Array.isArray(sale.itemList) ||
+      !sale.itemList.length
+    ) {
+      return fail(res, '910', 'Request parameter error: invcNo and itemList');
+    }
+    if (sale.custNm === 'REJECT') {
+      return fail(res, '990', 'Customer refused by the mock');
+    }
+
+    const key = `${req.headers.tin}-${req.headers.bhfid}-${sale.invcNo}`;
+    if (signed.has(key)) {
+      // The real unit refuses a second sale with the same invoice number
+      return fail(res, '924', 'Invoice number already exists');
+    }
+    const itemTotal =
+      Math.round(sale.itemList.reduce((s, i) => s + i.totAmt, 0) * 100) / 100;
+    if (Math.abs(itemTotal - sale.totAmt) > 0.01) {
+      return fail(
+        res,
+        '910',
+        `totAmt ${sale.totAmt} does not match items ${itemTotal}`,
+      );
+    }
+
+    receiptNo += 1;
+    const data = {
+      rcptNo: receiptNo,
+      totRcptNo: receiptNo,
+      intrlData: crypto.randomBytes(13).toString('base64').replace(/\W/g, ''),
+      rcptSign: crypto.randomBytes(8).toString('hex').toUpperCase(),
+      vsdcRcptPbctDate: etimsTime(),
+      sdcId: SDC_ID,
+      mrcNo: MRC_NO,
+    };
+    signed.set(key, data);
+    console.log(
+      `🧾 Invoice ${sale.invcNo} (${sale.trdInvcNo || ''}) signed: ${SDC_ID}/${receiptNo}, total ${sale.totAmt}, VAT ${sale.totTaxAmt}`,
+    );
+    res.json({
+      resultCd: '000',
+      resultMsg: 'It is succeeded',
+      resultDt: etimsTime(),
+      data,
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  createMockEtims().listen(PORT, () =>
+    console.log(`🧪 Mock eTIMS listening on http://localhost:${PORT}`),
+  );
+}
+
+module.exports = { createMockEtims };
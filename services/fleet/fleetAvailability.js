@@ -0,0 +1,170 @@
+// ----------------- Fleet Availability -----------------
+// Shared overlap checks for hearse bookings and ad-hoc vehicle dispatches.
+// A vehicle or driver is busy when an active booking's [start, end) window
+// overlaps the requested one, or an active dispatch falls inside it.
+const { DateTime } = require('luxon');
+const { safeQuery } = require('../../configurations/sqlConfig/db');
+
+const ZONE = 'Africa/Nairobi';
+const SQL_FORMAT = 'yyyy-LL-dd HH:mm:ss';
+
+// Booking windows default to 3 hours when no end time is given
+const DEFAULT_BOOKING_HOURS = 3;
+// vehicle_dispatch rows only carry a start, so assume they hold the vehicle this long
+const DISPATCH_WINDOW_HOURS = 4;
+
+// Statuses that still hold a vehicle / driver
+const ACTIVE_BOOKING_STATUSES = ['Pending', 'Assigned', 'In Transit'];
+const ACTIVE_DISPATCH_STATUSES = ['Assigned', 'In Transit'];
+
+/** Parse an ISO or SQL datetime (Kenya time) into a luxon DateTime, or null. */
+function parseKenyaTime(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return DateTime.fromJSDate(value).setZone(ZONE);
+  }
+  const text = String(value).trim();
+  let dt = DateTime.fromISO(text, { zone: ZONE });
+  if (!dt.isValid) dt = DateTime.fromFormat(text, SQL_FORMAT, { zone: ZONE });
+  return dt.isValid ? dt : null;
+}
+
+function toSqlDateTime(dt) {
+  return dt.toFormat(SQL_FORMAT);
+}
+
+/**
+ * Normalise a requested window. Returns `{ start, end }` as SQL datetimes or
+ * `{ error }` when the input is unusable.
+ */
+function resolveWindow(startValue, endValue) {
+  const start = parseKenyaTime(startValue);
+  if (!start) return { error: 'A valid start time is required' };
+
+  const end = endValue
+    ? parseKenyaTime(endValue)
+    : start.plus({ hours: DEFAULT_BOOKING_HOURS });
+  if (!end) return { error: 'End time is not a valid date' };
+  if (end <= start) return { error: 'End time must be after start time' };
+
+  return { start: toSqlDateTime(start), end: toSqlDateTime(end) };
+}
+
+/**
+ * Lock the driver row and the vehicle's booking and dispatch rows so a
+ * conflict check and the write after it can't interleave with another
+ * booking of the same driver or vehicle. Call inside withTransaction()
+ * before findFleetConflicts(); plates have no table of their own, so the
+ * index range on the plate is what gets locked.
+ */
+async function lockFleet(tx, { vehiclePlate, driverId }) {
+  if (driverId) {
+    await tx.query('SELECT id FROM drivers WHERE id = ? FOR UPDATE', [
+      driverId,
+    ]);
+  }
+  if (vehiclePlate) {
+    await tx.query(
+      'SELECT booking_id FROM hearse_bookings WHERE vehicle_plate = ? FOR UPDATE',
+      [vehiclePlate],
+    );
+    await tx.query(
+      'SELECT id FROM vehicle_dispatch WHERE vehicle_plate = ? FOR UPDATE',
+      [vehiclePlate],
+    );
+  }
+}
+
+/**
+ * List bookings and dispatches that clash with the window for the given
+ * vehicle and/or driver. `excludeBookingId` skips the booking being edited.
+ * Pass `tx` to read inside an existing withTransaction().
+ */
+async function findFleetConflicts(
+  { start, end, vehiclePlate, driverId, driverName, excludeBookingId },
+  tx = null,
+) {
+  const query = tx ? tx.query : safeQuery;
+  const conflicts = [];
+  const activeBookings = ACTIVE_BOOKING_STATUSES.map(() => '?').join(', ');
+  const activeDispatches = ACTIVE_DISPATCH_STATUSES.map(() => '?').join(', ');
+
+  const checks = [];
+  if (vehiclePlate) checks.push({ type: 'vehicle', value: vehiclePlate });
+  if (driverId) checks.push({ type: 'driver', value: driverId });
+
+  for (const check of checks) {
+    const column = check.type === 'vehicle' ? 'vehicle_plate' : 'driver_id';
+    const rows = await query(
+      `
+      SELECT booking_id, vehicle_plate, driver_id, start_time, end_time, status
+      FROM hearse_bookings
+      WHERE ${column} = ?
+        AND status IN (${activeBookings})
+        AND start_time < ? AND end_time > ?
+        ${excludeBookingId ? 'AND booking_id != ?' : ''}
+      `,
+      [
+        check.value,
+        ...ACTIVE_BOOKING_STATUSES,
+        end,
+        start,
+        ...(excludeBookingId ? [excludeBookingId] : []),
+      ],
+    );
+    rows.forEach((row) =>
+      conflicts.push({ resource: check.type, source: 'booking', ...row }),
+    );
+  }
+
+  // Ad-hoc dispatches only know the plate and the driver's name
+  const dispatchChecks = [];
+  if (vehiclePlate)
+    dispatchChecks.push(['vehicle', 'vehicle_plate', vehiclePlate]);
+  if (driverName) dispatchChecks.push(['driver', 'driver_name', driverName]);
+
+  for (const [resource, column, value] of dispatchChecks) {
+    const rows = await query(
+      `
+      SELECT id AS dispatch_id, vehicle_plate, driver_name, dispatch_date, dispatch_time, status
+      FROM vehicle_dispatch
+      WHERE ${column} = ?
+        AND status IN (${activeDispatches})
+        AND TIMESTAMP(dispatch_date, COALESCE(dispatch_time, '00:00:00')) < ?
+        AND TIMESTAMP(dispatch_date, COALESCE(dispatch_time, '00:00:00'))
+            + INTERVAL ${DISPATCH_WINDOW_HOURS} HOUR > ?
+        AND id NOT IN (
+          SELECT dispatch_id FROM hearse_bookings WHERE dispatch_id IS NOT NULL
+        )
+      `,
+      [value, ...ACTIVE_DISPATCH_STATUSES, end, start],
+    );
+    rows.forEach((row) =>
+      conflicts.push({ resource, source: 'dispatch', ...row }),
+    );
+  }
+
+  return conflicts;
+}
+
+/** Human readable summary for 409 responses. */
+function describeConflicts(conflicts) {
+  const vehicle = conflicts.some((c) => c.resource === 'vehicle');
+  const driver = conflicts.some((c) => c.resource === 'driver');
+  if (vehicle && driver)
+    return 'Vehicle and driver are already booked in this window';
+  if (vehicle) return 'Vehicle is already booked in this window';
+  return 'Driver is already booked in this window';
+}
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  DEFAULT_BOOKING_HOURS,
+  DISPATCH_WINDOW_HOURS,
+  parseKenyaTime,
+  toSqlDateTime,
+  resolveWindow,
+  lockFleet,
+  findFleetConflicts,
+  describeConflicts,
+};
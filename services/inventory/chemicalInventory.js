@@ -0,0 +1,765 @@
+// ----------------- Chemical Inventory -----------------
+// Embalming chemicals are held in batches: each goods-received note (GRN)
+// line is a batch with its lot number, expiry date, unit cost and what is
+// left of it. `chemicals.quantity_available` is kept as the sum of its
+// batches. Every receipt, consumption and write-off is a row in
+// `chemical_movements`, so stock and cost can be traced per batch.
+//
+// Embalming takes stock first-expiry-first-out (FEFO): the batch that
+// expires soonest goes first, batches without an expiry date last, and
+// expired batches never. consumeChemicals() locks the chemicals and their
+// batches and checks every line before taking anything, so an embalming
+// either gets all its chemicals or none.
+//
+// Stock recorded before batches existed is turned into an `OPENING` batch
+// (no lot, no expiry, no cost) the first time the chemical is touched.
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { sendEmail } = require('../emailservices/sharedocuments');
+const { recordAudit } = require('../audit/auditLog');
+const { nextNumber } = require('../numbering/documentNumbers');
+const { round2, actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const ZONE = 'Africa/Nairobi';
+// Batches expiring within this many days are reported as expiring
+const EXPIRY_ALERT_DAYS =
+  parseInt(process.env.CHEMICAL_EXPIRY_ALERT_DAYS, 10) || 30;
+const OPENING_LOT = 'OPENING';
+
+// Below this, quantities are treated as equal
+const EPSILON = 0.0005;
+
+const round3 = (n) => Math.round(Number(n) * 1000) / 1000;
+
+const today = () => DateTime.now().setZone(ZONE).toISODate();
+
+const toISODate = (value) => (value ? String(value).slice(0, 10) : null);
+
+const alertRecipients = () =>
+  (process.env.INVENTORY_ALERT_EMAILS || '')
+    .split(',')
+    .map((e) => e.trim())
+    .filter(Boolean);
+
+// ----------------- Stock -----------------
+
+// Turn stock held before batches existed into an opening batch
+async function ensureOpeningBatch(tx, chemical) {
+  const batched = await tx.queryOne(
+    `SELECT COALESCE(SUM(quantity_remaining), 0) AS total
+     FROM chemical_batches WHERE chemical_id = ?`,
+    [chemical.id],
+  );
+  const missing = round3(
+    parseFloat(chemical.quantity_available || 0) - parseFloat(batched.total),
+  );
+  if (missing < EPSILON) return;
+
+  const now = getKenyaTimeISO();
+  const result = await tx.query(
+    `INSERT INTO chemical_batches
+     (chemical_id, branch_id, lot_number, quantity_received, quantity_remaining, received_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [chemical.id, chemical.branch_id, OPENING_LOT, missing, missing, now],
+  );
+  await tx.query(
+    `INSERT INTO chemical_movements
+     (kind, chemical_id, batch_id, branch_id, quantity, reason, created_at)
+     VALUES ('receipt', ?, ?, ?, ?, 'Opening stock', ?)`,
+    [chemical.id, result.insertId, chemical.branch_id, missing, now],
+  );
+}
+
+// `chemicals.quantity_available` from its batches
+async function syncStock(tx, chemicalId) {
+  await tx.query(
+    `UPDATE chemicals SET quantity_available = (
+       SELECT COALESCE(SUM(quantity_remaining), 0) FROM chemical_batches
+       WHERE chemical_id = ?)
+     WHERE id = ?`,
+    [chemicalId, chemicalId],
+  );
+}
+
+const CHEMICAL_SQL = `
+  SELECT c.*,
+         c.quantity_available - (SELECT COALESCE(SUM(b.quantity_remaining), 0)
+          FROM chemical_batches b
+          WHERE b.chemical_id = c.id AND b.expiry_date < ?) AS usable_quantity,
+         (SELECT MIN(b.expiry_date) FROM chemical_batches b
+          WHERE b.chemical_id = c.id AND b.quantity_remaining > 0 AND b.expiry_date >= ?) AS next_expiry
+  FROM chemicals c`;
+
+/** Chemicals with their usable stock; `low` only those at or below reorder level. */
+async function listChemicals({ branch, low = false } = {}) {
+  const scope = orAllBranches(branch);
+  const day = today();
+  const rows = await safeQuery(
+    `${CHEMICAL_SQL} WHERE ${scope.sql} ORDER BY c.name`,
+    [day, day, ...scope.params],
+  );
+  const chemicals = rows.map((row) => ({
+    ...row,
+    low_stock:
+      row.reorder_level != null &&
+      parseFloat(row.usable_quantity) <= parseFloat(row.reorder_level),
+  }));
+  return low ? chemicals.filter((c) => c.low_stock) : chemicals;
+}
+
+/** One chemical with its batches that still hold stock, soonest expiry first. */
+async function getChemical(chemicalId, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  const day = today();
+  const [chemical] = await safeQuery(
+    `${CHEMICAL_SQL} WHERE c.id = ? AND ${scope.sql}`,
+    [day, day, chemicalId, ...scope.params],
+  );
+  if (!chemical) throw new AppError('Chemical not found', 404);
+  chemical.batches = await safeQuery(
+    `SELECT b.*, g.grn_number, g.supplier
+     FROM chemical_batches b LEFT JOIN goods_received_notes g ON g.id = b.grn_id
+     WHERE b.chemical_id = ? AND b.quantity_remaining > 0
+     ORDER BY b.expiry_date IS NULL, b.expiry_date, b.received_at, b.id`,
+    [chemicalId],
+  );
+  return chemical;
+}
+
+/** Add a chemical (`chemicalId` null) or change its name, unit or reorder levels. */
+async function saveChemical(
+  req,
+  chemicalId,
+  payload = {},
+  { branch, branchId } = {},
+) {
+  const fields = {};
+  if (payload.name !== undefined) {
+    const name = String(payload.name || '').trim();
+    if (!name) throw codedError('name is required', 'CHEMICAL_INVALID');
+    fields.name = name.slice(0, 100);
+  }
+  if (payload.unit !== undefined) {
+    fields.unit = String(payload.unit || 'L').slice(0, 20);
+  }
+  for (const key of ['reorder_level', 'reorder_quantity']) {
+    if (payload[key] === undefined) continue;
+    const value = payload[key] === null ? null : round3(payload[key]);
+    if (value !== null && !(value >= 0)) {
+      throw codedError(`${key} must be 0 or more`, 'CHEMICAL_INVALID');
+    }
+    fields[key] = value;
+  }
+
+  return withTransaction(async (tx) => {
+    if (!chemicalId) {
+      if (!fields.name) {
+        throw codedError('name is required', 'CHEMICAL_INVALID');
+      }
+      const row = {
+        unit: 'L',
+        ...fields,
+        branch_id: branchId ?? null,
+        quantity_available: 0,
+      };
+      const columns = Object.keys(row);
+      const result = await tx.query(
+        `INSERT INTO chemicals (${columns.join(', ')})
+         VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map((c) => row[c]),
+      );
+      const created = { id: result.insertId, ...row };
+      await recordAudit(tx, req, {
+        entity: 'chemical',
+        entityId: result.insertId,
+        action: 'create',
+        before: null,
+        after: created,
+      });
+      return created;
+    }
+
+    const scope = orAllBranches(branch);
+    const before = await tx.queryOne(
+      `SELECT c.* FROM chemicals c WHERE c.id = ? AND ${scope.sql} FOR UPDATE`,
+      [chemicalId, ...scope.params],
+    );
+    if (!before) throw new AppError('Chemical not found', 404);
+    const columns = Object.keys(fields);
+    if (columns.length) {
+      await tx.query(
+        `UPDATE chemicals SET ${columns.map((c) => `${c} = ?`).join(', ')}
+         WHERE id = ?`,
+        [...columns.map((c) => fields[c]), chemicalId],
+      );
+    }
+    const after = { ...before, ...fields };
+    await recordAudit(tx, req, {
+      entity: 'chemical',
+      entityId: chemicalId,
+      action: 'update',
+      before,
+      after,
+    });
+    return after;
+  });
+}
+
+// ----------------- Goods Received -----------------
+
+/**
+ * Receive stock against a goods-received note. Each line becomes a batch:
+ * `{ chemical_id, quantity, unit_cost, lot_number?, expiry_date? }`.
+ */
+async function receiveGoods(req, payload = {}, { branch, branchId } = {}) {
+  const lines = payload.lines;
+  if (!Array.isArray(lines) || !lines.length) {
+    throw codedError('lines must list what was received', 'GRN_INVALID');
+  }
+  const receivedAt = payload.received_at
+    ? `${toISODate(payload.received_at)} 00:00:00`
+    : getKenyaTimeISO();
+  if (!DateTime.fromSQL(receivedAt).isValid) {
+    throw codedError('received_at must be yyyy-mm-dd', 'GRN_INVALID');
+  }
+  const parsed = lines.map((line, i) => {
+    const quantity = round3(line?.quantity);
+    const unitCost = round2(line?.unit_cost ?? 0);
+    const expiry = toISODate(line?.expiry_date);
+    if (!line?.chemical_id) {
+      throw codedError(`lines[${i}].chemical_id is required`, 'GRN_INVALID');
+    }
+    if (!(quantity > 0)) {
+      throw codedError(`lines[${i}].quantity must be above 0`, 'GRN_INVALID');
+    }
+    if (!(unitCost >= 0)) {
+      throw codedError(
+        `lines[${i}].unit_cost must be 0 or more`,
+        'GRN_INVALID',
+      );
+    }
+    if (expiry && !DateTime.fromISO(expiry).isValid) {
+      throw codedError(
+        `lines[${i}].expiry_date must be yyyy-mm-dd`,
+        'GRN_INVALID',
+      );
+    }
+    return {
+      chemical_id: line.chemical_id,
+      quantity,
+      unit_cost: unitCost,
+      lot_number: line.lot_number ? String(line.lot_number).slice(0, 50) : null,
+      expiry_date: expiry,
+    };
+  });
+
+  const scope = orAllBranches(branch);
+  return withTransaction(async (tx) => {
+    const grn = {
+      grn_number: await nextNumber(tx, 'grn'),
+      branch_id: branchId ?? null,
+      supplier: payload.supplier
+        ? String(payload.supplier).slice(0, 150)
+        : null,
+      supplier_invoice: payload.supplier_invoice
+        ? String(payload.supplier_invoice).slice(0, 50)
+        : null,
+      total_cost: round2(
+        parsed.reduce((s, l) => s + l.quantity * l.unit_cost, 0),
+      ),
+      notes: payload.notes ? String(payload.notes).slice(0, 255) : null,
+      received_by: actorOf(req),
+      received_at: receivedAt,
+    };
+    const columns = Object.keys(grn);
+    const result = await tx.query(
+      `INSERT INTO goods_received_notes (${columns.join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => grn[c]),
+    );
+    const grnId = result.insertId;
+
+    const batches = [];
+    for (const [i, line] of parsed.entries()) {
+      const chemical = await tx.queryOne(
+        `SELECT c.* FROM chemicals c WHERE c.id = ? AND ${scope.sql} FOR UPDATE`,
+        [line.chemical_id, ...scope.params],
+      );
+      if (!chemical) {
+        throw codedError(
+          `lines[${i}].chemical_id ${line.chemical_id} is not a chemical of this branch`,
+          'GRN_INVALID',
+        );
+      }
+      await ensureOpeningBatch(tx, chemical);
+
+      const batch = await tx.query(
+        `INSERT INTO chemical_batches
+         (chemical_id, branch_id, grn_id, lot_number, expiry_date, quantity_received,
+          quantity_remaining, unit_cost, received_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          chemical.id,
+          chemical.branch_id,
+          grnId,
+          line.lot_number,
+          line.expiry_date,
+          line.quantity,
+          line.quantity,
+          line.unit_cost,
+          receivedAt,
+        ],
+      );
+      await tx.query(
+        `INSERT INTO chemical_movements
+         (kind, chemical_id, batch_id, branch_id, quantity, unit_cost, grn_id, created_by, created_at)
+         VALUES ('receipt', ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          chemical.id,
+          batch.insertId,
+          chemical.branch_id,
+          line.quantity,
+          line.unit_cost,
+          grnId,
+          actorOf(req),
+          receivedAt,
+        ],
+      );
+      await syncStock(tx, chemical.id);
+      // Restocked: the next shortage is alerted again
+      await tx.query(
+        'UPDATE chemicals SET low_stock_alerted_at = NULL WHERE id = ?',
+        [chemical.id],
+      );
+      batches.push({
+        id: batch.insertId,
+        ...line,
+        chemical_name: chemical.name,
+      });
+    }
+
+    const created = { id: grnId, ...grn, batches };
+    await recordAudit(tx, req, {
+      entity: 'goods_received_note',
+      entityId: grnId,
+      action: 'create',
+      before: null,
+      after: created,
+    });
+    return created;
+  });
+}
+
+/** Goods-received notes, newest first. */
+async function listGoodsReceived({ branch, from, to } = {}) {
+  const scope = orAllBranches(branch);
+  const where = [scope.sql];
+  const params = [...scope.params];
+  if (from) {
+    where.push('g.received_at >= ?');
+    params.push(`${from} 00:00:00`);
+  }
+  if (to) {
+    where.push('g.received_at <= ?');
+    params.push(`${to} 23:59:59`);
+  }
+  return safeQuery(
+    `SELECT g.*, (SELECT COUNT(*) FROM chemical_batches b WHERE b.grn_id = g.id) AS lines
+     FROM goods_received_notes g
+     WHERE ${where.join(' AND ')}
+     ORDER BY g.received_at DESC, g.id DESC`,
+    params,
+  );
+}
+
+/** One goods-received note with its batches. */
+async function getGoodsReceived(grnId, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  const [grn] = await safeQuery(
+    `SELECT g.* FROM goods_received_notes g WHERE g.id = ? AND ${scope.sql}`,
+    [grnId, ...scope.params],
+  );
+  if (!grn) throw new AppError('Goods-received note not found', 404);
+  grn.batches = await safeQuery(
+    `SELECT b.*, c.name AS chemical_name, c.unit
+     FROM chemical_batches b JOIN chemicals c ON c.id = b.chemical_id
+     WHERE b.grn_id = ? ORDER BY b.id`,
+    [grnId],
+  );
+  return grn;
+}
+
+/** Take spoilt, spilt or expired stock off a batch. */
+async function writeOffBatch(req, batchId, { quantity, reason, branch } = {}) {
+  if (!reason || !String(reason).trim()) {
+    throw codedError('A reason is required', 'WRITE_OFF_INVALID');
+  }
+  const scope = orAllBranches(branch);
+  return withTransaction(async (tx) => {
+    const before = await tx.queryOne(
+      `SELECT b.* FROM chemical_batches b WHERE b.id = ? AND ${scope.sql} FOR UPDATE`,
+      [batchId, ...scope.params],
+    );
+    if (!before) throw new AppError('Batch not found', 404);
+    const remaining = parseFloat(before.quantity_remaining);
+    const amount =
+      quantity === undefined || quantity === null
+        ? remaining
+        : round3(quantity);
+    if (!(amount > 0) || amount > remaining + EPSILON) {
+      throw codedError(
+        `quantity must be above 0 and at most the ${remaining} left in the batch`,
+        'WRITE_OFF_INVALID',
+      );
+    }
+
+    await tx.query(
+      'UPDATE chemical_batches SET quantity_remaining = quantity_remaining - ? WHERE id = ?',
+      [amount, batchId],
+    );
+    await tx.query(
+      `INSERT INTO chemical_movements
+       (kind, chemical_id, batch_id, branch_id, quantity, unit_cost, reason, created_by, created_at)
+       VALUES ('write_off', ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        before.chemical_id,
+        batchId,
+        before.branch_id,
+        amount,
+        before.unit_cost,
+        String(reason).trim().slice(0, 255),
+        actorOf(req),
+        getKenyaTimeISO(),
+      ],
+    );
+    await syncStock(tx, before.chemical_id);
+
+    const after = { ...before, quantity_remaining: round3(remaining - amount) };
+    await recordAudit(tx, req, {
+      entity: 'chemical_batch',
+      entityId: batchId,
+      action: 'update',
+      before,
+      after,
+    });
+    return after;
+  });
+}
+
+// ----------------- Embalming Consumption -----------------
+
+/**
+ * Take the chemicals an embalming used, inside the embalming's transaction.
+ * `usage` is `[{ chemical_id, quantity }]`; lines for the same chemical are
+ * added up. Every chemical and its batches are locked (in id order) and
+ * checked before anything is taken; a shortfall throws
+ * `CHEMICAL_INSUFFICIENT` listing every chemical that is short. Returns the
+ * cost per chemical.
+ */
+async function consumeChemicals(tx, { embalmingId, branchId, usage, actor }) {
+  const wanted = new Map();
+  for (const line of usage) {
+    const quantity = round3(line.quantity);
+    if (!line.chemical_id || !(quantity > 0)) {
+      throw codedError(
+        'Each chemical used needs a chemical_id and an amount above 0',
+        'CHEMICAL_INVALID',
+      );
+    }
+    const key = String(line.chemical_id);
+    wanted.set(key, round3((wanted.get(key) || 0) + quantity));
+  }
+
+  // Reserve: lock everything and check it all first
+  const day = today();
+  const plans = [];
+  const short = [];
+  const ids = [...wanted.keys()].sort((a, b) => Number(a) - Number(b));
+  for (const id of ids) {
+    const chemical = await tx.queryOne(
+      'SELECT * FROM chemicals WHERE id = ? AND branch_id = ? FOR UPDATE',
+      [id, branchId],
+    );
+    if (!chemical) {
+      throw codedError(
+        `Chemical ${id} is not stocked at this branch`,
+        'CHEMICAL_INVALID',
+      );
+    }
+    await ensureOpeningBatch(tx, chemical);
+    const batches = await tx.query(
+      `SELECT * FROM chemical_batches
+       WHERE chemical_id = ? AND quantity_remaining > 0
+         AND (expiry_date IS NULL OR expiry_date >= ?)
+       ORDER BY expiry_date IS NULL, expiry_date, received_at, id
+       FOR UPDATE`,
+      [id, day],
+    );
+    const usable = round3(
+      batches.reduce((s, b) => s + parseFloat(b.quantity_remaining), 0),
+    );
+    const quantity = wanted.get(id);
+    if (usable + EPSILON < quantity) {
+      short.push(
+        `${chemical.name || `chemical ${id}`}: ${quantity} needed, ${usable} in date`,
+      );
+    }
+    plans.push({ chemical, batches, quantity });
+  }
+  if (short.length) {
+    throw codedError(
+      `Not enough stock: ${short.join('; ')}`,
+      'CHEMICAL_INSUFFICIENT',
+      409,
+    );
+  }
+
+  // Deduct, soonest expiry first
+  const now = getKenyaTimeISO();
+  const consumed = [];
+  for (const { chemical, batches, quantity } of plans) {
+    let left = quantity;
+    let cost = 0;
+    for (const batch of batches) {
+      if (left < EPSILON) break;
+      const take = round3(Math.min(left, parseFloat(batch.quantity_remaining)));
+      await tx.query(
+        'UPDATE chemical_batches SET quantity_remaining = quantity_remaining - ? WHERE id = ?',
+        [take, batch.id],
+      );
+      await tx.query(
+        `INSERT INTO chemical_movements
+         (kind, chemical_id, batch_id, branch_id, quantity, unit_cost, embalming_id, created_by, created_at)
+         VALUES ('consumption', ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          chemical.id,
+          batch.id,
+          chemical.branch_id,
+          take,
+          batch.unit_cost,
+          embalmingId,
+          actor != null ? String(actor) : null,
+          now,
+        ],
+      );
+      cost += take * parseFloat(batch.unit_cost || 0);
+      left = round3(left - take);
+    }
+    await syncStock(tx, chemical.id);
+    consumed.push({
+      chemical_id: chemical.id,
+      chemical_name: chemical.name,
+      unit: chemical.unit,
+      quantity,
+      cost: round2(cost),
+    });
+  }
+  return consumed;
+}
+
+// ----------------- Alerts -----------------
+
+/** Chemicals at or below reorder level, and batches expiring or expired. */
+async function stockAlerts({ branch } = {}) {
+  const scope = orAllBranches(branch);
+  const day = today();
+  const horizon = DateTime.fromISO(day)
+    .plus({ days: EXPIRY_ALERT_DAYS })
+    .toISODate();
+  const [low, batches] = await Promise.all([
+    listChemicals({ branch, low: true }),
+    safeQuery(
+      `SELECT b.*, c.name AS chemical_name, c.unit
+       FROM chemical_batches b JOIN chemicals c ON c.id = b.chemical_id
+       WHERE b.quantity_remaining > 0 AND b.expiry_date IS NOT NULL
+         AND b.expiry_date <= ? AND ${scope.sql}
+       ORDER BY b.expiry_date`,
+      [horizon, ...scope.params],
+    ),
+  ]);
+  return {
+    expiry_alert_days: EXPIRY_ALERT_DAYS,
+    low_stock: low,
+    expiring: batches.filter((b) => toISODate(b.expiry_date) >= day),
+    expired: batches.filter((b) => toISODate(b.expiry_date) < day),
+  };
+}
+
+/**
+ * Daily: post a notification (and email INVENTORY_ALERT_EMAILS) for each
+ * chemical that has fallen to its reorder level and each batch coming up
+ * to or past its expiry date. Each is alerted once: a chemical again after
+ * it is restocked, a batch again once it has expired. Returns the messages.
+ */
+async function runStockAlerts() {
+  const { low_stock, expiring, expired } = await stockAlerts();
+  const now = getKenyaTimeISO();
+  const messages = [];
+
+  for (const chemical of low_stock) {
+    if (chemical.low_stock_alerted_at) continue;
+    const reorder = chemical.reorder_quantity
+      ? ` Reorder ${chemical.reorder_quantity} ${chemical.unit || ''}.`
+      : '';
+    messages.push({
+      type: 'chemical_low_stock',
+      text: `LOW STOCK: ${chemical.name} has ${round3(chemical.usable_quantity)} ${chemical.unit || ''} in date, at or below the reorder level of ${chemical.reorder_level}.${reorder}`,
+    });
+    await safeQuery(
+      'UPDATE chemicals SET low_stock_alerted_at = ? WHERE id = ?',
+      [now, chemical.id],
+    );
+  }
+  for (const [batches, stage] of [
+    [expiring, 'expiring'],
+    [expired, 'expired'],
+  ]) {
+    for (const batch of batches) {
+      if (batch.expiry_alert === stage) continue;
+      messages.push({
+        type: `chemical_${stage}`,
+        text: `${stage === 'expired' ? 'EXPIRED' : 'EXPIRING'}: ${batch.chemical_name} lot ${batch.lot_number || batch.id}, ${round3(batch.quantity_remaining)} ${batch.unit || ''} left, ${stage === 'expired' ? 'expired' : 'expires'} on ${toISODate(batch.expiry_date)}.`,
+      });
+      await safeQuery(
+        'UPDATE chemical_batches SET expiry_alert = ? WHERE id = ?',
+        [stage, batch.id],
+      );
+    }
+  }
+
+  for (const message of messages) {
+    await safeQuery(
+      `INSERT INTO notifications (deceased_id, type, message, created_at, is_read)
+       VALUES (?, ?, ?, ?, ?)`,
+      [null, message.type, message.text, now, 0],
+    );
+  }
+  const to = alertRecipients();
+  if (messages.length && to.length) {
+    try {
+      await sendEmail({
+        to: to.join(', '),
+        subject: `🧪 Embalming chemical stock: ${messages.length} alert(s)`,
+        text: messages.map((m) => `- ${m.text}`).join('\n'),
+      });
+    } catch (err) {
+      console.error('❌ Chemical stock alert email failed:', err.message);
+    }
+  }
+  return messages;
+}
+
+// ----------------- Cost Report -----------------
+
+/**
+ * What each embalming used and what it cost, from the batches it was taken
+ * from. Stock without a cost (opening batches) counts as 0 and is flagged
+ * with `uncosted_quantity`.
+ */
+async function consumptionReport({ branch, from, to } = {}) {
+  const scope = orAllBranches(branch);
+  const where = ["m.kind = 'consumption'", scope.sql];
+  const params = [...scope.params];
+  if (from) {
+    where.push('m.created_at >= ?');
+    params.push(`${from} 00:00:00`);
+  }
+  if (to) {
+    where.push('m.created_at <= ?');
+    params.push(`${to} 23:59:59`);
+  }
+  const rows = await safeQuery(
+    `SELECT m.embalming_id, e.embalming_uid, e.deceased_id, d.full_name,
+            e.embalming_cost, MIN(m.created_at) AS embalmed_at,
+            c.id AS chemical_id, c.name AS chemical_name, c.unit,
+            SUM(m.quantity) AS quantity,
+            SUM(m.quantity * COALESCE(m.unit_cost, 0)) AS cost,
+            SUM(CASE WHEN m.unit_cost IS NULL THEN m.quantity ELSE 0 END) AS uncosted_quantity
+     FROM chemical_movements m
+     JOIN chemicals c ON c.id = m.chemical_id
+     LEFT JOIN embalming_records e ON e.id = m.embalming_id
+     LEFT JOIN deceased d ON d.deceased_id = e.deceased_id
+     WHERE ${where.join(' AND ')}
+     GROUP BY m.embalming_id, e.embalming_uid, e.deceased_id, d.full_name,
+              e.embalming_cost, c.id, c.name, c.unit
+     ORDER BY embalmed_at, m.embalming_id, c.name`,
+    params,
+  );
+
+  const embalmings = new Map();
+  const chemicals = new Map();
+  for (const row of rows) {
+    const embalming =
+      embalmings.get(row.embalming_id) ||
+      embalmings
+        .set(row.embalming_id, {
+          embalming_id: row.embalming_id,
+          embalming_uid: row.embalming_uid,
+          deceased_id: row.deceased_id,
+          full_name: row.full_name,
+          embalmed_at: row.embalmed_at,
+          embalming_cost:
+            row.embalming_cost != null ? parseFloat(row.embalming_cost) : null,
+          chemical_cost: 0,
+          chemicals: [],
+        })
+        .get(row.embalming_id);
+    const line = {
+      chemical_id: row.chemical_id,
+      chemical_name: row.chemical_name,
+      unit: row.unit,
+      quantity: round3(row.quantity),
+      cost: round2(row.cost),
+      uncosted_quantity: round3(row.uncosted_quantity),
+    };
+    embalming.chemicals.push(line);
+    embalming.chemical_cost = round2(embalming.chemical_cost + line.cost);
+
+    const total = chemicals.get(row.chemical_id) || {
+      chemical_id: row.chemical_id,
+      chemical_name: row.chemical_name,
+      unit: row.unit,
+      quantity: 0,
+      cost: 0,
+      embalmings: 0,
+    };
+    total.quantity = round3(total.quantity + line.quantity);
+    total.cost = round2(total.cost + line.cost);
+    total.embalmings += 1;
+    chemicals.set(row.chemical_id, total);
+  }
+
+  const list = [...embalmings.values()];
+  const totalCost = round2(list.reduce((s, e) => s + e.chemical_cost, 0));
+  return {
+    period: { from: from || null, to: to || null },
+    embalmings: list,
+    chemicals: [...chemicals.values()],
+    total_cost: totalCost,
+    average_cost: list.length ? round2(totalCost / list.length) : 0,
+  };
+}
+
+module.exports = {
+  EXPIRY_ALERT_DAYS,
+  listChemicals,
+  getChemical,
+  saveChemical,
+  receiveGoods,
+  listGoodsReceived,
+  getGoodsReceived,
+  writeOffBatch,
+  consumeChemicals,
+  stockAlerts,
+  runStockAlerts,
+  consumptionReport,
+};
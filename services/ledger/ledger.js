@@ -0,0 +1,530 @@
+// ----------------- Ledger -----------------
+// Double-entry record of everything a body's family owes and has paid.
+// Every charge, waiver, payment and refund is a journal whose lines debit
+// and credit accounts by the same amount. The `receivable` lines for a body
+// are its account: debits raise what is owed, credits reduce it, and their
+// running sum is the authoritative balance written to `deceased.balance`.
+//
+//   charge   Dr receivable        Cr <revenue account>
+//   waiver   Dr waivers_discounts Cr receivable
+//   payment  Dr cash              Cr receivable
+//   refund   Dr receivable        Cr cash
+//
+// Charges that change over time (storage, coffins, embalming, extra charges)
+// are reconciled: the ledger is compared with the amount the source row
+// says is due and only the difference is posted. A cancelled or reduced
+// charge therefore shows up as a reversing journal, never as an edit.
+const { safeQuery } = require('../../configurations/sqlConfig/db');
+const { codedError } = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { toCurrencyCode, getRate } = require('../currency/currency');
+const { round2 } = require('../../utilities/helpers/helpers');
+
+const ACCOUNTS = {
+  RECEIVABLE: 'receivable',
+  CASH: 'cash',
+  STORAGE_REVENUE: 'storage_revenue',
+  COFFIN_REVENUE: 'coffin_revenue',
+  EMBALMING_REVENUE: 'embalming_revenue',
+  SERVICE_REVENUE: 'service_revenue',
+  WAIVERS: 'waivers_discounts',
+};
+
+// source_type -> journal type and the accounts a positive amount moves between
+const SOURCES = {
+  storage: {
+    type: 'charge',
+    debit: ACCOUNTS.RECEIVABLE,
+    credit: ACCOUNTS.STORAGE_REVENUE,
+  },
+  coffin: {
+    type: 'charge',
+    debit: ACCOUNTS.RECEIVABLE,
+    credit: ACCOUNTS.COFFIN_REVENUE,
+  },
+  embalming: {
+    type: 'charge',
+    debit: ACCOUNTS.RECEIVABLE,
+    credit: ACCOUNTS.EMBALMING_REVENUE,
+  },
+  extra_charge: {
+    type: 'charge',
+    debit: ACCOUNTS.RECEIVABLE,
+    credit: ACCOUNTS.SERVICE_REVENUE,
+  },
+  storage_waiver: {
+    type: 'waiver',
+    debit: ACCOUNTS.WAIVERS,
+    credit: ACCOUNTS.RECEIVABLE,
+  },
+  credit_note: {
+    type: 'waiver',
+    debit: ACCOUNTS.WAIVERS,
+    credit: ACCOUNTS.RECEIVABLE,
+  },
+  payment: {
+    type: 'payment',
+    debit: ACCOUNTS.CASH,
+    credit: ACCOUNTS.RECEIVABLE,
+  },
+  refund: {
+    type: 'refund',
+    debit: ACCOUNTS.RECEIVABLE,
+    credit: ACCOUNTS.CASH,
+  },
+};
+
+const JOURNAL_TYPES = ['charge', 'waiver', 'payment', 'refund'];
+
+// KES rate on the posting date, or null when none has been entered yet
+async function rateOn(currency, date) {
+  try {
+    return (await getRate(currency, date)).rate;
+  } catch (err) {
+    if (err.code !== 'RATE_MISSING') throw err;
+    return null;
+  }
+}
+
+// Reads run on the caller's transaction when given one
+const run = (tx, sql, params) =>
+  tx ? tx.query(sql, params) : safeQuery(sql, params);
+
+/**
+ * Insert a balanced journal inside the caller's transaction.
+ *
+ *   await postJournal(tx, {
+ *     deceasedId, branchId, type: 'payment', currency: 'KES',
+ *     description: 'M-Pesa QX12…', sourceType: 'payment', sourceId: 41,
+ *     lines: [{ account: 'cash', debit: 5000 },
+ *             { account: 'receivable', credit: 5000 }],
+ *   });
+ */
+async function postJournal(
+  tx,
+  {
+    deceasedId,
+    branchId = null,
+    type,
+    currency = 'KES',
+    description,
+    sourceType = null,
+    sourceId = null,
+    lines,
+    postedBy = null,
+    postedAt,
+  },
+) {
+  if (!JOURNAL_TYPES.includes(type)) {
+    throw new Error(`Unknown journal type: ${type}`);
+  }
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new Error('A journal needs at least two lines');
+  }
+
+  const clean = lines.map((line) => ({
+    account: line.account,
+    debit: round2(line.debit || 0),
+    credit: round2(line.credit || 0),
+  }));
+  for (const line of clean) {
+    if (!Object.values(ACCOUNTS).includes(line.account)) {
+      throw new Error(`Unknown ledger account: ${line.account}`);
+    }
+    if (
+      line.debit < 0 ||
+      line.credit < 0 ||
+      line.debit > 0 === line.credit > 0
+    ) {
+      throw new Error('Each line must carry either a debit or a credit');
+    }
+  }
+  const debits = round2(clean.reduce((sum, l) => sum + l.debit, 0));
+  const credits = round2(clean.reduce((sum, l) => sum + l.credit, 0));
+  if (debits !== credits) {
+    throw new Error(
+      `Unbalanced journal: debits ${debits} ≠ credits ${credits}`,
+    );
+  }
+
+  // The KES equivalent is fixed at the rate in force when the journal posts
+  const code = toCurrencyCode(currency) || 'KES';
+  const at = postedAt || getKenyaTimeISO();
+  const rate = await rateOn(code, at);
+
+  const result = await tx.query(
+    `INSERT INTO ledger_journals
+     (deceased_id, branch_id, entry_type, source_type, source_id, description,
+      currency, amount, exchange_rate, amount_kes, posted_by, posted_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      deceasedId,
+      branchId,
+      type,
+      sourceType,
+      sourceId != null ? String(sourceId) : null,
+      description ? String(description).slice(0, 255) : null,
+      code,
+      debits,
+      rate,
+      rate === null ? null : round2(debits * rate),
+      postedBy,
+      at,
+    ],
+  );
+
+  for (const line of clean) {
+    await tx.query(
+      `INSERT INTO ledger_lines (journal_id, deceased_id, account, debit, credit)
+       VALUES (?, ?, ?, ?, ?)`,
+      [result.insertId, deceasedId, line.account, line.debit, line.credit],
+    );
+  }
+
+  return result.insertId;
+}
+
+/**
+ * Post `amount` for a source. A negative amount reverses the accounts, so
+ * the journal keeps its type (a reduced charge is still a 'charge').
+ */
+function postSource(tx, { deceased, sourceType, sourceId, amount, ...rest }) {
+  const source = SOURCES[sourceType];
+  if (!source) throw new Error(`Unknown ledger source: ${sourceType}`);
+  if (!Number.isFinite(amount)) {
+    throw codedError('amount must be a number', 'LEDGER_AMOUNT_INVALID');
+  }
+
+  const value = round2(Math.abs(amount));
+  const [debit, credit] =
+    amount >= 0 ? [source.debit, source.credit] : [source.credit, source.debit];
+
+  return postJournal(tx, {
+    deceasedId: deceased.deceased_id,
+    branchId: deceased.branch_id ?? null,
+    type: source.type,
+    currency: toCurrencyCode(deceased.currency) || 'KES',
+    sourceType,
+    sourceId,
+    lines: [
+      { account: debit, debit: value },
+      { account: credit, credit: value },
+    ],
+    ...rest,
+  });
+}
+
+/** `{ 'source_type|source_id': net }` already posted for a body, per source. */
+async function postedBySource(tx, deceasedId) {
+  const rows = await tx.query(
+    `SELECT j.source_type, j.source_id, l.account, SUM(l.debit - l.credit) AS net
+     FROM ledger_lines l
+     JOIN ledger_journals j ON j.id = l.journal_id
+     WHERE j.deceased_id = ? AND j.source_type IS NOT NULL
+     GROUP BY j.source_type, j.source_id, l.account`,
+    [deceasedId],
+  );
+
+  const posted = {};
+  for (const row of rows) {
+    const source = SOURCES[row.source_type];
+    if (!source || row.account !== source.debit) continue;
+    posted[`${row.source_type}|${row.source_id}`] = round2(row.net);
+  }
+  return posted;
+}
+
+/**
+ * Bring a body's ledger in line with what its source records say is due.
+ * `targets` lists `{ sourceType, sourceId, amount, description }`; sources
+ * of type `extra_charge` or `payment` that were posted before but are no
+ * longer listed (deleted rows) are reversed to zero.
+ *
+ * Returns the journals posted.
+ */
+async function reconcile(tx, deceased, targets, { postedBy } = {}) {
+  const posted = await postedBySource(tx, deceased.deceased_id);
+  const wanted = new Map(
+    targets.map((t) => [`${t.sourceType}|${t.sourceId}`, t]),
+  );
+
+  for (const key of Object.keys(posted)) {
+    const [sourceType, sourceId] = key.split('|');
+    if (!wanted.has(key) && ['extra_charge', 'payment'].includes(sourceType)) {
+      wanted.set(key, {
+        sourceType,
+        sourceId,
+        amount: 0,
+        description: `${sourceType.replace('_', ' ')} ${sourceId} removed`,
+      });
+    }
+  }
+
+  const journals = [];
+  for (const [key, target] of wanted) {
+    const delta = round2(target.amount - (posted[key] || 0));
+    if (Math.abs(delta) < 0.01) continue;
+
+    const id = await postSource(tx, {
+      deceased,
+      sourceType: target.sourceType,
+      sourceId: target.sourceId,
+      amount: delta,
+      description:
+        delta < 0 && posted[key]
+          ? `Adjustment: ${target.description}`
+          : target.description,
+      postedBy: postedBy || 'system',
+      postedAt: target.postedAt,
+    });
+    journals.push({ id, source: key, amount: delta });
+  }
+  return journals;
+}
+
+// ----------------- Balances -----------------
+
+const SUMMARY_COLUMNS = `
+  COALESCE(SUM(CASE WHEN j.entry_type = 'charge' THEN l.debit - l.credit END), 0) AS charges,
+  COALESCE(SUM(CASE WHEN j.entry_type = 'waiver' THEN l.credit - l.debit END), 0) AS waivers,
+  COALESCE(SUM(CASE WHEN j.entry_type = 'payment' THEN l.credit - l.debit END), 0) AS payments,
+  COALESCE(SUM(CASE WHEN j.entry_type = 'refund' THEN l.debit - l.credit END), 0) AS refunds,
+  COALESCE(SUM(l.debit - l.credit), 0) AS balance`;
+
+/** Totals and balance of one body's receivable account. */
+async function getAccountSummary(deceasedId, tx = null) {
+  const rows = await run(
+    tx,
+    `SELECT ${SUMMARY_COLUMNS}
+     FROM ledger_lines l
+     JOIN ledger_journals j ON j.id = l.journal_id
+     WHERE l.deceased_id = ? AND l.account = ?`,
+    [deceasedId, ACCOUNTS.RECEIVABLE],
+  );
+  const row = rows[0] || {};
+  return {
+    charges: round2(row.charges || 0),
+    waivers: round2(row.waivers || 0),
+    payments: round2(row.payments || 0),
+    refunds: round2(row.refunds || 0),
+    balance: round2(row.balance || 0),
+  };
+}
+
+/** SQL subquery of per-body receivable totals, to LEFT JOIN on deceased_id. */
+const ACCOUNT_SUMMARY_SQL = `
+  SELECT l.deceased_id, ${SUMMARY_COLUMNS}
+  FROM ledger_lines l
+  JOIN ledger_journals j ON j.id = l.journal_id
+  WHERE l.account = '${ACCOUNTS.RECEIVABLE}'
+  GROUP BY l.deceased_id`;
+
+/** Write the ledger balance onto `deceased.balance` and return it. */
+async function syncDeceasedBalance(tx, deceased) {
+  const { balance } = await getAccountSummary(deceased.deceased_id, tx);
+  await tx.query('UPDATE deceased SET balance = ? WHERE deceased_id = ?', [
+    balance,
+    deceased.deceased_id,
+  ]);
+  return balance;
+}
+
+/** Refund money to the family: Dr receivable, Cr cash. */
+async function postRefund(
+  tx,
+  req,
+  deceased,
+  { amount, reference, method, reason },
+) {
+  const value = round2(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw codedError('amount must be greater than 0', 'REFUND_INVALID');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw codedError('A reason is required', 'REFUND_INVALID');
+  }
+
+  const { payments, refunds } = await getAccountSummary(
+    deceased.deceased_id,
+    tx,
+  );
+  if (value > round2(payments - refunds)) {
+    throw codedError(
+      `Cannot refund more than has been paid (${round2(payments - refunds)})`,
+      'REFUND_EXCEEDS_PAYMENTS',
+      409,
+    );
+  }
+
+  const journalId = await postSource(tx, {
+    deceased,
+    sourceType: 'refund',
+    sourceId: reference || `REF-${Date.now()}`,
+    amount: value,
+    description: `Refund${method ? ` (${method})` : ''}: ${String(reason).trim()}`,
+    postedBy: req?.user?.id != null ? String(req.user.id) : null,
+  });
+  const balance = await syncDeceasedBalance(tx, deceased);
+  return { journalId, balance };
+}
+
+// ----------------- Statement -----------------
+
+// Running KES total that turns null once any part of it has no rate
+const addKES = (total, amount, rate) =>
+  total === null || (rate === null && amount !== 0)
+    ? null
+    : total + amount * (rate ?? 0);
+
+/**
+ * A body's account statement: opening balance, every receivable movement in
+ * the period with a running balance, and the closing balance. Storage
+ * accruals (posted every few minutes by the charge job) are combined into
+ * one line per day.
+ *
+ * Each entry also carries its KES equivalent at the rate of its posting
+ * date (null when no rate was on file then); the closing balance is
+ * converted at today's rate.
+ */
+async function getStatement(deceased, { from, to } = {}) {
+  const rows = await safeQuery(
+    `SELECT j.id AS journal_id, j.entry_type, j.source_type, j.source_id,
+              j.description, j.posted_at, j.exchange_rate, l.debit, l.credit
+       FROM ledger_lines l
+       JOIN ledger_journals j ON j.id = l.journal_id
+       WHERE l.deceased_id = ? AND l.account = ?
+         AND (? IS NULL OR j.posted_at <= ?)
+       ORDER BY j.posted_at, j.id`,
+    [
+      deceased.deceased_id,
+      ACCOUNTS.RECEIVABLE,
+      to ? `${to} 23:59:59` : null,
+      to ? `${to} 23:59:59` : null,
+    ],
+  );
+
+  let opening = 0;
+  const entries = [];
+  for (const row of rows) {
+    const debit = parseFloat(row.debit);
+    const credit = parseFloat(row.credit);
+    const rate =
+      row.exchange_rate === null ? null : parseFloat(row.exchange_rate);
+    const day = String(row.posted_at).slice(0, 10);
+
+    if (from && day < from) {
+      opening += debit - credit;
+      continue;
+    }
+
+    const last = entries[entries.length - 1];
+    const groupable = ['storage', 'storage_waiver'].includes(row.source_type);
+    if (
+      groupable &&
+      last &&
+      last.source_type === row.source_type &&
+      last.date === day
+    ) {
+      last.debit += debit;
+      last.credit += credit;
+      last.debit_kes = addKES(last.debit_kes, debit, rate);
+      last.credit_kes = addKES(last.credit_kes, credit, rate);
+      last.journal_ids.push(row.journal_id);
+      continue;
+    }
+
+    entries.push({
+      date: day,
+      posted_at: row.posted_at,
+      journal_ids: [row.journal_id],
+      type: row.entry_type,
+      source_type: row.source_type,
+      reference: row.source_id,
+      description: groupable
+        ? row.source_type === 'storage'
+          ? 'Storage charges'
+          : 'Storage waivers and discounts'
+        : row.description,
+      debit,
+      credit,
+      debit_kes: addKES(0, debit, rate),
+      credit_kes: addKES(0, credit, rate),
+    });
+  }
+
+  let running = round2(opening);
+  const totals = { debit: 0, credit: 0 };
+  for (const entry of entries) {
+    entry.debit = round2(entry.debit);
+    entry.credit = round2(entry.credit);
+    if (entry.debit_kes !== null) entry.debit_kes = round2(entry.debit_kes);
+    if (entry.credit_kes !== null) entry.credit_kes = round2(entry.credit_kes);
+    running = round2(running + entry.debit - entry.credit);
+    entry.balance = running;
+    totals.debit += entry.debit;
+    totals.credit += entry.credit;
+  }
+
+  const currency = toCurrencyCode(deceased.currency) || 'KES';
+  let closingRate = null;
+  try {
+    closingRate = await getRate(currency);
+  } catch (err) {
+    if (err.code !== 'RATE_MISSING') throw err;
+  }
+
+  return {
+    deceased_id: deceased.deceased_id,
+    full_name: deceased.full_name,
+    currency,
+    period: { from: from || null, to: to || null },
+    opening_balance: round2(opening),
+    closing_balance: running,
+    closing_balance_kes: closingRate
+      ? round2(running * closingRate.rate)
+      : null,
+    exchange_rate: closingRate,
+    totals: { debit: round2(totals.debit), credit: round2(totals.credit) },
+    entries,
+    generated_at: getKenyaTimeISO(),
+  };
+}
+
+/** Debit and credit totals per account; they must match across the ledger. */
+async function getTrialBalance({ branchId } = {}) {
+  const scoped = branchId !== null && branchId !== undefined;
+  const rows = await safeQuery(
+    `SELECT l.account, SUM(l.debit) AS debit, SUM(l.credit) AS credit
+     FROM ledger_lines l
+     JOIN ledger_journals j ON j.id = l.journal_id
+     WHERE ${scoped ? 'j.branch_id = ?' : '1 = 1'}
+     GROUP BY l.account
+     ORDER BY l.account`,
+    scoped ? [branchId] : [],
+  );
+
+  const accounts = rows.map((row) => ({
+    account: row.account,
+    debit: round2(row.debit),
+    credit: round2(row.credit),
+    net: round2(row.debit - row.credit),
+  }));
+  const debit = round2(accounts.reduce((sum, a) => sum + a.debit, 0));
+  const credit = round2(accounts.reduce((sum, a) => sum + a.credit, 0));
+  return { accounts, debit, credit, balanced: debit === credit };
+}
+
+module.exports = {
+  ACCOUNTS,
+  SOURCES,
+  JOURNAL_TYPES,
+  ACCOUNT_SUMMARY_SQL,
+  postJournal,
+  postSource,
+  reconcile,
+  getAccountSummary,
+  syncDeceasedBalance,
+  postRefund,
+  getStatement,
+  getTrialBalance,
+};
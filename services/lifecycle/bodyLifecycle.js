@@ -0,0 +1,246 @@
+// ----------------- Body Lifecycle -----------------
+// The only code allowed to change `deceased.status`. Every change goes
+// through transitionStatus(), which checks the move is allowed, runs its
+// guards and writes an audit row to `deceased_status_transitions`.
+//
+//   Admitted → In Storage → (Autopsy) → (Embalmed) → Coffined
+//            → Release Approved → Dispatched
+//
+// Autopsy and embalming are optional steps. A body can go back from Autopsy
+// to storage, and a revoked release approval returns it to storage.
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  familyBalance,
+  planAllowsRelease,
+} = require('../receivables/paymentPlans');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const LIFECYCLE = {
+  ADMITTED: 'Admitted',
+  IN_STORAGE: 'In Storage',
+  AUTOPSY: 'Autopsy',
+  EMBALMED: 'Embalmed',
+  COFFINED: 'Coffined',
+  RELEASE_APPROVED: 'Release Approved',
+  DISPATCHED: 'Dispatched',
+};
+
+const TRANSITIONS = {
+  [LIFECYCLE.ADMITTED]: [LIFECYCLE.IN_STORAGE, LIFECYCLE.AUTOPSY],
+  [LIFECYCLE.IN_STORAGE]: [
+    LIFECYCLE.AUTOPSY,
+    LIFECYCLE.EMBALMED,
+    LIFECYCLE.COFFINED,
+    LIFECYCLE.RELEASE_APPROVED,
+  ],
+  [LIFECYCLE.AUTOPSY]: [
+    LIFECYCLE.IN_STORAGE,
+    LIFECYCLE.EMBALMED,
+    LIFECYCLE.COFFINED,
+    LIFECYCLE.RELEASE_APPROVED,
+  ],
+  [LIFECYCLE.EMBALMED]: [LIFECYCLE.COFFINED, LIFECYCLE.RELEASE_APPROVED],
+  [LIFECYCLE.COFFINED]: [LIFECYCLE.RELEASE_APPROVED],
+  [LIFECYCLE.RELEASE_APPROVED]: [LIFECYCLE.DISPATCHED, LIFECYCLE.IN_STORAGE],
+  [LIFECYCLE.DISPATCHED]: [],
+};
+
+// Statuses written before the lifecycle existed
+const LEGACY_STATUS_MAP = {
+  Received: LIFECYCLE.ADMITTED,
+  Pending: LIFECYCLE.ADMITTED,
+  Active: LIFECYCLE.IN_STORAGE,
+  UnderCare: LIFECYCLE.IN_STORAGE,
+  'Under Care': LIFECYCLE.IN_STORAGE,
+  // Set when a vehicle was dispatched with the body
+  Ready: LIFECYCLE.DISPATCHED,
+  Released: LIFECYCLE.DISPATCHED,
+  Complete: LIFECYCLE.DISPATCHED,
+};
+
+/** Lifecycle state for a stored status (null and legacy values included). */
+function normaliseStatus(status) {
+  if (!status) return LIFECYCLE.ADMITTED;
+  if (TRANSITIONS[status]) return status;
+  return LEGACY_STATUS_MAP[status] || LIFECYCLE.ADMITTED;
+}
+
+// ----------------- Guards -----------------
+// Each guard resolves to null when the move may go ahead, or a reason string.
+const GUARDS = {
+  [LIFECYCLE.COFFINED]: async (tx, deceased) => {
+    const coffin = await tx.queryOne(
+      'SELECT id FROM deceased_coffin WHERE deceased_id = ? AND returned_at IS NULL LIMIT 1',
+      [deceased.deceased_id],
+    );
+    return coffin || deceased.coffin_status === 'Assigned'
+      ? null
+      : 'No coffin has been assigned';
+  },
+
+  [LIFECYCLE.RELEASE_APPROVED]: async (tx, deceased) => {
+    const kin = await tx.queryOne(
+      'SELECT id FROM next_of_kin WHERE deceased_id = ? AND verified_at IS NOT NULL LIMIT 1',
+      [deceased.deceased_id],
+    );
+    return kin ? null : 'Next of kin has not been verified';
+  },
+
+  // What payers owe does not hold the body, nor does a balance the family
+  // is paying off on a plan that allows release
+  [LIFECYCLE.DISPATCHED]: async (tx, deceased) => {
+    const balance = await familyBalance(tx, deceased);
+    if (balance <= 0 || (await planAllowsRelease(tx, deceased))) return null;
+    return `Outstanding balance of ${balance.toFixed(2)} must be cleared`;
+  },
+};
+
+async function checkGuard(tx, deceased, to) {
+  const guard = GUARDS[to];
+  return guard ? guard(tx, deceased) : null;
+}
+
+/**
+ * Move a body to `to` inside the caller's transaction.
+ *
+ * Options:
+ *   onlyFrom  - when the body isn't in one of these states, leave it alone and
+ *               return null (for side effects like "placing on a tray moves an
+ *               admitted body into storage")
+ *   reason    - free text kept in the audit row
+ *   actor     - user id / name kept in the audit row
+ *   extra     - additional `deceased` columns to set with the status
+ *
+ * Returns `{ deceased_id, branch_id, from, to, changed_at }`, or null when
+ * nothing moved. Throws 404 when the body is missing, 409 INVALID_TRANSITION
+ * when the move isn't allowed and 409 TRANSITION_BLOCKED when a guard fails.
+ */
+async function transitionStatus(
+  tx,
+  { deceasedId, to, reason, actor, onlyFrom, extra = {}, branch },
+) {
+  if (!TRANSITIONS[to]) {
+    throw codedError(`Unknown status: ${to}`, 'INVALID_STATUS', 400);
+  }
+
+  const scope = orAllBranches(branch);
+  const deceased = await tx.queryOne(
+    `SELECT * FROM deceased
+     WHERE deceased_id = ? AND deleted_at IS NULL AND ${scope.sql}
+     FOR UPDATE`,
+    [deceasedId, ...scope.params],
+  );
+  if (!deceased) throw new AppError('Deceased record not found', 404);
+
+  const from = normaliseStatus(deceased.status);
+  if (onlyFrom && !onlyFrom.includes(from)) return null;
+  if (from === to) return null;
+
+  if (!TRANSITIONS[from].includes(to)) {
+    throw codedError(
+      `Cannot move a body from ${from} to ${to}`,
+      'INVALID_TRANSITION',
+      409,
+    );
+  }
+
+  const blocked = await checkGuard(tx, deceased, to);
+  if (blocked) {
+    throw codedError(
+      `Cannot move to ${to}: ${blocked}`,
+      'TRANSITION_BLOCKED',
+      409,
+    );
+  }
+
+  const now = getKenyaTimeISO();
+  const columns = Object.keys(extra).filter((c) => /^\w+$/.test(c));
+  await tx.query(
+    `UPDATE deceased SET status = ?, updated_at = ?${columns
+      .map((c) => `, ${c} = ?`)
+      .join('')} WHERE id = ?`,
+    [to, now, ...columns.map((c) => extra[c]), deceased.id],
+  );
+
+  await tx.query(
+    `INSERT INTO deceased_status_transitions
+     (deceased_id, from_status, to_status, reason, performed_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      deceased.deceased_id,
+      deceased.status || null,
+      to,
+      reason || null,
+      actor || null,
+      now,
+    ],
+  );
+
+  return {
+    deceased_id: deceased.deceased_id,
+    branch_id: deceased.branch_id,
+    from,
+    to,
+    changed_at: now,
+  };
+}
+
+/** transitionStatus() in its own transaction. */
+function changeStatus(options) {
+  return withTransaction((tx) => transitionStatus(tx, options));
+}
+
+/** Audit the initial Admitted state for a newly registered body. */
+async function recordAdmission(tx, { deceasedId, actor }) {
+  await tx.query(
+    `INSERT INTO deceased_status_transitions
+     (deceased_id, from_status, to_status, reason, performed_by, created_at)
+     VALUES (?, NULL, ?, 'Registered', ?, ?)`,
+    [deceasedId, LIFECYCLE.ADMITTED, actor || null, getKenyaTimeISO()],
+  );
+}
+
+/**
+ * Current state, history and every next move with whether its guard
+ * currently passes. Used by the lifecycle endpoint.
+ */
+async function describeLifecycle(deceased) {
+  const from = normaliseStatus(deceased.status);
+  const reader = {
+    queryOne: async (sql, params) => (await safeQuery(sql, params))[0] || null,
+  };
+
+  const next = [];
+  for (const to of TRANSITIONS[from]) {
+    const blocked = await checkGuard(reader, deceased, to);
+    next.push({ status: to, allowed: !blocked, blocked_by: blocked });
+  }
+
+  const history = await safeQuery(
+    `SELECT from_status, to_status, reason, performed_by, created_at
+     FROM deceased_status_transitions
+     WHERE deceased_id = ?
+     ORDER BY created_at, id`,
+    [deceased.deceased_id],
+  );
+
+  return { status: from, stored_status: deceased.status, next, history };
+}
+
+module.exports = {
+  LIFECYCLE,
+  TRANSITIONS,
+  normaliseStatus,
+  transitionStatus,
+  changeStatus,
+  recordAdmission,
+  describeLifecycle,
+};
@@ -0,0 +1,217 @@
+// ----------------- Daraja (M-Pesa API) Client -----------------
+// Thin wrapper over Safaricom's Daraja API: OAuth token, Lipa na M-Pesa
+// Online (STK push) and C2B URL registration. `MPESA_BASE_URL` points at the
+// sandbox by default; set it to the mock server (services/mpesa/mockDaraja.js)
+// to run the whole flow locally, or to https://api.safaricom.co.ke in
+// production.
+const axios = require('axios');
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const { DateTime } = require('luxon');
+const { codedError } = require('../../middlewares/errorHandler/errorHandler');
+
+const ZONE = 'Africa/Nairobi';
+
+const tokenCache = new NodeCache({ checkperiod: 120 });
+
+/** Settings from the environment; callback URLs carry the shared token. */
+function darajaConfig() {
+  const callbackBase = (process.env.MPESA_CALLBACK_BASE_URL || '').replace(
+    /\/+$/,
+    '',
+  );
+  const token = process.env.MPESA_CALLBACK_TOKEN || '';
+  return {
+    baseUrl: (
+      process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke'
+    ).replace(/\/+$/, ''),
+    consumerKey: process.env.MPESA_CONSUMER_KEY,
+    consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+    shortCode: process.env.MPESA_SHORTCODE,
+    passkey: process.env.MPESA_PASSKEY,
+    // Till numbers use CustomerBuyGoodsOnline; paybills CustomerPayBillOnline
+    transactionType:
+      process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline',
+    callbackToken: token,
+    stkCallbackUrl: `${callbackBase}/mobile-money/stk/callback/${token}`,
+    c2bValidationUrl: `${callbackBase}/mobile-money/c2b/validation/${token}`,
+    c2bConfirmationUrl: `${callbackBase}/mobile-money/c2b/confirmation/${token}`,
+  };
+}
+
+function requireConfig(config) {
+  const missing = [
+    ['MPESA_CONSUMER_KEY', config.consumerKey],
+    ['MPESA_CONSUMER_SECRET', config.consumerSecret],
+    ['MPESA_SHORTCODE', config.shortCode],
+    ['MPESA_PASSKEY', config.passkey],
+    ['MPESA_CALLBACK_BASE_URL', process.env.MPESA_CALLBACK_BASE_URL],
+    ['MPESA_CALLBACK_TOKEN', config.callbackToken],
+  ]
+    .filter(([, value]) => !value)
+    .map(([name]) => name);
+  if (missing.length) {
+    throw codedError(
+      `M-Pesa is not configured (missing ${missing.join(', ')})`,
+      'MPESA_NOT_CONFIGURED',
+      503,
+    );
+  }
+}
+
+/** True when `token` (from a callback URL) matches MPESA_CALLBACK_TOKEN. */
+function isCallbackTokenValid(token) {
+  const expected = process.env.MPESA_CALLBACK_TOKEN;
+  if (!expected || !token) return false;
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/** 07XX / 7XX / +2547XX / 2541XX → 2547XXXXXXXX, or null. */
+function normalisePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  const local = digits.replace(/^(254|0)/, '');
+  return /^[17]\d{8}$/.test(local) ? `254${local}` : null;
+}
+
+// Daraja's yyyyMMddHHmmss timestamps, in Nairobi time
+const darajaTimestamp = () =>
+  DateTime.now().setZone(ZONE).toFormat('yyyyLLddHHmmss');
+
+/** "20261019143005" → "2026-10-19 14:30:05" (now when unparseable). */
+function parseDarajaTime(value) {
+  const dt = DateTime.fromFormat(String(value || ''), 'yyyyLLddHHmmss', {
+    zone: ZONE,
+  });
+  return (dt.isValid ? dt : DateTime.now().setZone(ZONE)).toFormat(
+    'yyyy-LL-dd HH:mm:ss',
+  );
+}
+
+async function request(config, method, path, data) {
+  try {
+    const response = await axios({
+      method,
+      url: `${config.baseUrl}${path}`,
+      data,
+      headers: { Authorization: `Bearer ${await getAccessToken(config)}` },
+      timeout: 30000,
+    });
+    return response.data;
+  } catch (err) {
+    if (err.isOperational) throw err;
+    const detail = err.response?.data;
+    throw codedError(
+      `M-Pesa request failed: ${detail?.errorMessage || err.message}`,
+      'MPESA_REQUEST_FAILED',
+      502,
+    );
+  }
+}
+
+/** OAuth token, cached until shortly before it expires. */
+async function getAccessToken(config = darajaConfig()) {
+  const cached = tokenCache.get(config.consumerKey);
+  if (cached) return cached;
+
+  let response;
+  try {
+    response = await axios.get(
+      `${config.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+      {
+        auth: {
+          username: config.consumerKey,
+          password: config.consumerSecret,
+        },
+        timeout: 30000,
+      },
+    );
+  } catch (err) {
+    throw codedError(
+      `M-Pesa authentication failed: ${err.response?.data?.errorMessage || err.message}`,
+      'MPESA_AUTH_FAILED',
+      502,
+    );
+  }
+
+  const { access_token, expires_in } = response.data || {};
+  if (!access_token) {
+    throw codedError(
+      'M-Pesa returned no access token',
+      'MPESA_AUTH_FAILED',
+      502,
+    );
+  }
+  tokenCache.set(
+    config.consumerKey,
+    access_token,
+    Math.max(60, (parseInt(expires_in, 10) || 3599) - 60),
+  );
+  return access_token;
+}
+
+/**
+ * Send an STK push prompt to `phone`. Resolves with Daraja's
+ * `{ MerchantRequestID, CheckoutRequestID, ResponseCode, ... }` once the
+ * request is accepted; the outcome arrives later on the callback URL.
+ */
+async function stkPush({ phone, amount, accountReference, description }) {
+  const config = darajaConfig();
+  requireConfig(config);
+
+  const timestamp = darajaTimestamp();
+  const data = await request(
+    config,
+    'post',
+    '/mpesa/stkpush/v1/processrequest',
+    {
+      BusinessShortCode: config.shortCode,
+      Password: Buffer.from(
+        `${config.shortCode}${config.passkey}${timestamp}`,
+      ).toString('base64'),
+      Timestamp: timestamp,
+      TransactionType: config.transactionType,
+      Amount: amount,
+      PartyA: phone,
+      PartyB: config.shortCode,
+      PhoneNumber: phone,
+      CallBackURL: config.stkCallbackUrl,
+      // Daraja limits: 12 and 13 characters
+      AccountReference: String(accountReference).slice(0, 12),
+      TransactionDesc: String(description || 'Payment').slice(0, 13),
+    },
+  );
+
+  if (String(data?.ResponseCode) !== '0') {
+    throw codedError(
+      `M-Pesa rejected the request: ${data?.ResponseDescription || data?.errorMessage || 'unknown error'}`,
+      'MPESA_REQUEST_REJECTED',
+      502,
+    );
+  }
+  return data;
+}
+
+/** Register this server's C2B validation and confirmation URLs. */
+async function registerC2BUrls({ responseType = 'Completed' } = {}) {
+  const config = darajaConfig();
+  requireConfig(config);
+
+  return request(config, 'post', '/mpesa/c2b/v1/registerurl', {
+    ShortCode: config.shortCode,
+    ResponseType: responseType,
+    ConfirmationURL: config.c2bConfirmationUrl,
+    ValidationURL: config.c2bValidationUrl,
+  });
+}
+
+module.exports = {
+  darajaConfig,
+  isCallbackTokenValid,
+  normalisePhone,
+  parseDarajaTime,
+  getAccessToken,
+  stkPush,
+  registerC2BUrls,
+};
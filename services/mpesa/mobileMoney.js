@@ -0,0 +1,648 @@
+// ----------------- Mobile Money (M-Pesa) -----------------
+// Every M-Pesa payment, whether prompted by an STK push or paid straight to
+// the paybill (C2B), is a row in `mpesa_transactions`:
+//
+//   Pending    STK push sent, waiting for the customer
+//   Failed     STK push cancelled, timed out or rejected
+//   Posted     recorded as a payment against a body (payment_id)
+//   Exception  money received but not matched to an account
+//   Dismissed  exception closed without posting (e.g. paid to us by mistake)
+//   Duplicate  an M-Pesa receipt number that was already recorded
+//
+// C2B payments are matched by bill reference: an invoice number first, then
+// the body's admission number or deceased_id. Anything that does not match
+// exactly one account waits in the exception queue for a person to assign.
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const { convert } = require('../currency/currency');
+const {
+  recordPayment,
+  allocateToInvoiceFirst,
+} = require('../payments/paymentAllocation');
+const { normalisePhone, parseDarajaTime, stkPush } = require('./daraja');
+const { round2, actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const ZONE = 'Africa/Nairobi';
+const MPESA_STATUSES = [
+  'Pending',
+  'Failed',
+  'Posted',
+  'Exception',
+  'Dismissed',
+  'Duplicate',
+];
+const PAYMENT_METHOD = 'M-Pesa';
+// Pending STK pushes older than this are marked Failed by the sweep
+const STK_TIMEOUT_MINUTES = 5;
+
+// ----------------- Posting -----------------
+
+/**
+ * Record a received transaction as a payment for `deceased` (locked by the
+ * caller). With `invoiceId` the payment settles that invoice first; the rest
+ * goes to the body's other open invoices and then stays on account.
+ */
+async function postTransaction(tx, req, txn, deceased, invoiceId) {
+  const recorded = await recordPayment(tx, req, deceased, {
+    amount: parseFloat(txn.amount),
+    currency: 'KES',
+    method: PAYMENT_METHOD,
+    reference: txn.trans_id,
+    description: `M-Pesa ${txn.trans_id} from ${txn.phone || 'unknown number'}`,
+    deposit: true,
+    paidAt: txn.paid_at || undefined,
+  });
+
+  await allocateToInvoiceFirst(tx, req, recorded.payment_id, invoiceId);
+
+  await tx.query(
+    `UPDATE mpesa_transactions
+     SET status = 'Posted', payment_id = ?, deceased_id = ?, branch_id = ?,
+         invoice_id = COALESCE(?, invoice_id), exception_reason = NULL
+     WHERE id = ?`,
+    [
+      recorded.payment_id,
+      deceased.deceased_id,
+      deceased.branch_id ?? null,
+      invoiceId || null,
+      txn.id,
+    ],
+  );
+  return recorded;
+}
+
+// Park a transaction in the exception queue (own transaction, so it survives
+// a failed posting attempt)
+async function markException(id, reason) {
+  await safeQuery(
+    `UPDATE mpesa_transactions SET status = 'Exception', exception_reason = ?
+     WHERE id = ? AND status IN ('Pending', 'Exception')`,
+    [String(reason).slice(0, 255), id],
+  );
+}
+
+/**
+ * Which body (and invoice) a bill reference points at:
+ * `{ deceased, invoiceId }` or `{ reason }` when it matches none or several.
+ * Comparisons rely on the tables' case-insensitive collation.
+ */
+async function matchBillRef(tx, billRef) {
+  const ref = String(billRef || '')
+    .trim()
+    .replace(/\s+/g, '');
+  if (!ref) return { reason: 'No account number given' };
+
+  const invoices = await tx.query(
+    `SELECT i.id AS invoice_id, d.id, d.deceased_id, d.branch_id, d.currency
+     FROM invoices i
+     JOIN deceased d ON d.id = i.deceased_id
+     WHERE i.invoice_number = ? AND i.deleted_at IS NULL AND d.deleted_at IS NULL`,
+    [ref],
+  );
+  if (invoices.length === 1) {
+    const { invoice_id, ...deceased } = invoices[0];
+    return { deceased, invoiceId: invoice_id };
+  }
+
+  const bodies = await tx.query(
+    `SELECT id, deceased_id, branch_id, currency FROM deceased
+     WHERE (admission_number = ? OR deceased_id = ?) AND deleted_at IS NULL`,
+    [ref, ref],
+  );
+  if (bodies.length === 1) return { deceased: bodies[0], invoiceId: null };
+  if (bodies.length > 1 || invoices.length > 1) {
+    return { reason: `Account number ${ref} matches more than one account` };
+  }
+  return { reason: `Account number ${ref} matches no invoice or body` };
+}
+
+/**
+ * Post a received transaction to the account it points at (the invoice it was
+ * requested for, or its bill reference). Failures park it as an exception.
+ */
+async function settleTransaction(req, id) {
+  try {
+    return await withTransaction(async (tx) => {
+      const txn = await tx.queryOne(
+        'SELECT * FROM mpesa_transactions WHERE id = ? FOR UPDATE',
+        [id],
+      );
+      if (!txn || !['Pending', 'Exception'].includes(txn.status)) return txn;
+
+      let target;
+      if (txn.invoice_id) {
+        const deceased = await tx.queryOne(
+          `SELECT d.id, d.deceased_id, d.branch_id, d.currency
+           FROM invoices i JOIN deceased d ON d.id = i.deceased_id
+           WHERE i.id = ? AND d.deleted_at IS NULL`,
+          [txn.invoice_id],
+        );
+        target = deceased
+          ? { deceased, invoiceId: txn.invoice_id }
+          : { reason: 'The invoice it was requested for no longer exists' };
+      } else {
+        target = await matchBillRef(tx, txn.bill_ref);
+      }
+      if (!target.deceased) {
+        throw codedError(target.reason, 'MPESA_UNMATCHED', 422);
+      }
+
+      await tx.queryOne('SELECT id FROM deceased WHERE id = ? FOR UPDATE', [
+        target.deceased.id,
+      ]);
+      await postTransaction(tx, req, txn, target.deceased, target.invoiceId);
+      return tx.queryOne('SELECT * FROM mpesa_transactions WHERE id = ?', [id]);
+    });
+  } catch (err) {
+    console.warn(`⚠️ [MPESA] Transaction ${id} not posted: ${err.message}`);
+    await markException(id, err.message);
+    const [row] = await safeQuery(
+      'SELECT * FROM mpesa_transactions WHERE id = ?',
+      [id],
+    );
+    return row;
+  }
+}
+
+// ----------------- STK Push -----------------
+
+/**
+ * Prompt `phone` to pay an invoice. `amount` (whole KES) defaults to what is
+ * still owed, converted to KES when the invoice is in another currency.
+ * `branch` limits the invoice lookup to the caller's branch.
+ */
+async function requestStkPush(req, invoiceId, { phone, amount, branch }) {
+  const msisdn = normalisePhone(phone);
+  if (!msisdn) {
+    throw codedError(
+      'phone must be a Kenyan mobile number (07XX XXX XXX)',
+      'INVALID_PHONE',
+    );
+  }
+
+  const scope = orAllBranches(branch);
+  const [invoice] = await safeQuery(
+    `SELECT i.id, i.invoice_number, i.total_amount, i.currency, i.amount_paid,
+            i.amount_credited, i.amount_covered, d.deceased_id, d.branch_id
+     FROM invoices i
+     JOIN deceased d ON d.id = i.deceased_id
+     WHERE i.id = ? AND i.deleted_at IS NULL AND ${scope.sql}`,
+    [invoiceId, ...scope.params],
+  );
+  if (!invoice) throw new AppError('Invoice not found', 404);
+
+  const outstanding = round2(
+    parseFloat(invoice.total_amount) -
+      parseFloat(invoice.amount_paid || 0) -
+      parseFloat(invoice.amount_credited || 0) -
+      parseFloat(invoice.amount_covered || 0),
+  );
+  let value;
+  if (amount !== undefined && amount !== null && amount !== '') {
+    value = Number(amount);
+    if (!Number.isInteger(value) || value < 1) {
+      throw codedError(
+        'amount must be a whole number of shillings',
+        'MPESA_AMOUNT_INVALID',
+      );
+    }
+  } else {
+    if (outstanding <= 0) {
+      throw codedError(
+        `Invoice ${invoice.invoice_number} has nothing left to pay`,
+        'INVOICE_SETTLED',
+        409,
+      );
+    }
+    // M-Pesa only takes whole shillings; round up so the invoice is cleared
+    const kes = await convert(outstanding, invoice.currency, 'KES');
+    value = Math.ceil(kes.amount);
+  }
+
+  const now = getKenyaTimeISO();
+  const insert = await safeQuery(
+    `INSERT INTO mpesa_transactions
+     (kind, status, phone, amount, bill_ref, invoice_id, deceased_id, branch_id,
+      requested_by, created_at)
+     VALUES ('stk', 'Pending', ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      msisdn,
+      value,
+      invoice.deceased_id,
+      invoice.id,
+      invoice.deceased_id,
+      invoice.branch_id ?? null,
+      actorOf(req),
+      now,
+    ],
+  );
+  const id = insert.insertId;
+
+  let response;
+  try {
+    response = await stkPush({
+      phone: msisdn,
+      amount: value,
+      accountReference: invoice.deceased_id,
+      description: `Invoice ${invoice.id}`,
+    });
+  } catch (err) {
+    await safeQuery(
+      `UPDATE mpesa_transactions SET status = 'Failed', result_desc = ?, completed_at = ?
+       WHERE id = ?`,
+      [err.message.slice(0, 255), getKenyaTimeISO(), id],
+    );
+    throw err;
+  }
+
+  await safeQuery(
+    `UPDATE mpesa_transactions
+     SET merchant_request_id = ?, checkout_request_id = ?, result_desc = ?
+     WHERE id = ?`,
+    [
+      response.MerchantRequestID,
+      response.CheckoutRequestID,
+      response.CustomerMessage || response.ResponseDescription || null,
+      id,
+    ],
+  );
+
+  return {
+    id,
+    status: 'Pending',
+    checkout_request_id: response.CheckoutRequestID,
+    invoice_id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    phone: msisdn,
+    amount: value,
+    currency: 'KES',
+    message: response.CustomerMessage || 'Request sent to the phone',
+  };
+}
+
+// CallbackMetadata.Item ([{ Name, Value }]) as an object
+const callbackItems = (metadata) =>
+  Object.fromEntries(
+    (metadata?.Item || []).map(({ Name, Value }) => [Name, Value]),
+  );
+
+/** Handle Daraja's STK push result. Safe to call again for the same result. */
+async function handleStkCallback(req, body) {
+  const callback = body?.Body?.stkCallback;
+  if (!callback?.CheckoutRequestID) {
+    throw codedError('Not an STK push callback', 'MPESA_CALLBACK_INVALID');
+  }
+
+  const [txn] = await safeQuery(
+    'SELECT * FROM mpesa_transactions WHERE checkout_request_id = ?',
+    [callback.CheckoutRequestID],
+  );
+  const resultCode = Number(callback.ResultCode);
+  const items = callbackItems(callback.CallbackMetadata);
+  const now = getKenyaTimeISO();
+
+  if (!txn) {
+    // Money for a push we have no record of still needs a home
+    if (resultCode !== 0) return null;
+    const result = await safeQuery(
+      `INSERT IGNORE INTO mpesa_transactions
+       (kind, status, merchant_request_id, checkout_request_id, trans_id, phone,
+        amount, result_code, result_desc, exception_reason, payload, paid_at,
+        created_at, completed_at)
+       VALUES ('stk', 'Exception', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        callback.MerchantRequestID || null,
+        callback.CheckoutRequestID,
+        items.MpesaReceiptNumber || null,
+        normalisePhone(items.PhoneNumber) || null,
+        items.Amount || 0,
+        resultCode,
+        callback.ResultDesc || null,
+        'No STK push on record for this payment',
+        JSON.stringify(body),
+        parseDarajaTime(items.TransactionDate),
+        now,
+        now,
+      ],
+    );
+    return result.insertId
+      ? { id: result.insertId, status: 'Exception' }
+      : null;
+  }
+  if (txn.status !== 'Pending') return txn;
+
+  if (resultCode !== 0) {
+    await safeQuery(
+      `UPDATE mpesa_transactions
+       SET status = 'Failed', result_code = ?, result_desc = ?, payload = ?, completed_at = ?
+       WHERE id = ? AND status = 'Pending'`,
+      [
+        resultCode,
+        callback.ResultDesc || null,
+        JSON.stringify(body),
+        now,
+        txn.id,
+      ],
+    );
+    return { ...txn, status: 'Failed' };
+  }
+
+  const receipt = items.MpesaReceiptNumber || null;
+  const [seen] = receipt
+    ? await safeQuery(
+        'SELECT id FROM mpesa_transactions WHERE trans_id = ? AND id <> ?',
+        [receipt, txn.id],
+      )
+    : [];
+  await safeQuery(
+    `UPDATE mpesa_transactions
+     SET status = ?, trans_id = ?, amount = ?, phone = COALESCE(?, phone),
+         result_code = ?, result_desc = ?, payload = ?, paid_at = ?, completed_at = ?
+     WHERE id = ? AND status = 'Pending'`,
+    [
+      seen ? 'Duplicate' : 'Pending',
+      seen ? null : receipt,
+      items.Amount ?? txn.amount,
+      normalisePhone(items.PhoneNumber),
+      resultCode,
+      callback.ResultDesc || null,
+      JSON.stringify(body),
+      parseDarajaTime(items.TransactionDate),
+      now,
+      txn.id,
+    ],
+  );
+  if (seen) return { ...txn, status: 'Duplicate' };
+
+  return settleTransaction(req, txn.id);
+}
+
+// ----------------- C2B -----------------
+
+/**
+ * Handle a C2B confirmation (money paid straight to the paybill). The
+ * transaction is stored first, so a repeated confirmation is a no-op.
+ */
+async function handleC2BConfirmation(req, body) {
+  if (!body?.TransID || body.TransAmount === undefined) {
+    throw codedError('Not a C2B confirmation', 'MPESA_CALLBACK_INVALID');
+  }
+
+  const payer = [body.FirstName, body.MiddleName, body.LastName]
+    .filter(Boolean)
+    .join(' ');
+  const now = getKenyaTimeISO();
+  const result = await safeQuery(
+    `INSERT IGNORE INTO mpesa_transactions
+     (kind, status, trans_id, phone, payer_name, amount, bill_ref, payload,
+      paid_at, created_at, completed_at)
+     VALUES ('c2b', 'Pending', ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      String(body.TransID),
+      // Daraja masks or hashes MSISDN on some accounts; keep whatever arrives
+      normalisePhone(body.MSISDN) || String(body.MSISDN || '').slice(0, 64),
+      payer.slice(0, 100) || null,
+      parseFloat(body.TransAmount),
+      body.BillRefNumber ? String(body.BillRefNumber).slice(0, 50) : null,
+      JSON.stringify(body),
+      parseDarajaTime(body.TransTime),
+      now,
+      now,
+    ],
+  );
+  if (!result.affectedRows) return null;
+
+  return settleTransaction(req, result.insertId);
+}
+
+// ----------------- Exception Queue -----------------
+
+/**
+ * Assign an exception to a body (and optionally one of its invoices) and
+ * post it. `branch` limits the exception and the body to the caller's
+ * branch; exceptions not yet matched to a branch stay open to everyone.
+ */
+async function resolveException(
+  req,
+  id,
+  { deceased_id, invoice_id, note, branch },
+) {
+  if (!deceased_id) {
+    throw codedError('deceased_id is required', 'MPESA_RESOLVE_INVALID');
+  }
+  const scope = orAllBranches(branch);
+
+  return withTransaction(async (tx) => {
+    const before = await tx.queryOne(
+      `SELECT * FROM mpesa_transactions
+       WHERE id = ? AND (${scope.sql} OR branch_id IS NULL) FOR UPDATE`,
+      [id, ...scope.params],
+    );
+    if (!before) throw new AppError('M-Pesa transaction not found', 404);
+    if (before.status !== 'Exception') {
+      throw codedError(
+        `Transaction is ${before.status.toLowerCase()}, not an exception`,
+        'MPESA_NOT_EXCEPTION',
+        409,
+      );
+    }
+
+    const deceased = await tx.queryOne(
+      `SELECT id, deceased_id, branch_id, currency FROM deceased
+       WHERE (deceased_id = ? OR id = ?) AND deleted_at IS NULL AND ${scope.sql}
+       FOR UPDATE`,
+      [deceased_id, deceased_id, ...scope.params],
+    );
+    if (!deceased) throw new AppError('Deceased not found', 404);
+
+    if (invoice_id) {
+      const invoice = await tx.queryOne(
+        'SELECT id FROM invoices WHERE id = ? AND deceased_id = ? AND deleted_at IS NULL',
+        [invoice_id, deceased.id],
+      );
+      if (!invoice) {
+        throw codedError(
+          'invoice_id must be an invoice of this body',
+          'MPESA_RESOLVE_INVALID',
+        );
+      }
+    }
+
+    const payment = await postTransaction(
+      tx,
+      req,
+      before,
+      deceased,
+      invoice_id || null,
+    );
+    const resolvedAt = getKenyaTimeISO();
+    await tx.query(
+      `UPDATE mpesa_transactions
+       SET resolved_by = ?, resolved_at = ?, resolution_note = ?
+       WHERE id = ?`,
+      [actorOf(req), resolvedAt, note ? String(note).slice(0, 255) : null, id],
+    );
+
+    const after = await tx.queryOne(
+      'SELECT * FROM mpesa_transactions WHERE id = ?',
+      [id],
+    );
+    await recordAudit(tx, req, {
+      entity: 'mpesa_transaction',
+      entityId: id,
+      action: 'update',
+      before,
+      after,
+    });
+    return { ...after, payment };
+  });
+}
+
+/**
+ * Close an exception without posting it; a note saying why is required.
+ * `branch` works as in resolveException.
+ */
+async function dismissException(req, id, { note, branch }) {
+  if (!note || !String(note).trim()) {
+    throw codedError(
+      'A note explaining the dismissal is required',
+      'MPESA_RESOLVE_INVALID',
+    );
+  }
+  const scope = orAllBranches(branch);
+
+  return withTransaction(async (tx) => {
+    const before = await tx.queryOne(
+      `SELECT * FROM mpesa_transactions
+       WHERE id = ? AND (${scope.sql} OR branch_id IS NULL) FOR UPDATE`,
+      [id, ...scope.params],
+    );
+    if (!before) throw new AppError('M-Pesa transaction not found', 404);
+    if (before.status !== 'Exception') {
+      throw codedError(
+        `Transaction is ${before.status.toLowerCase()}, not an exception`,
+        'MPESA_NOT_EXCEPTION',
+        409,
+      );
+    }
+
+    const after = {
+      ...before,
+      status: 'Dismissed',
+      resolved_by: actorOf(req),
+      resolved_at: getKenyaTimeISO(),
+      resolution_note: String(note).trim().slice(0, 255),
+    };
+    await tx.query(
+      `UPDATE mpesa_transactions
+       SET status = ?, resolved_by = ?, resolved_at = ?, resolution_note = ?
+       WHERE id = ?`,
+      [
+        after.status,
+        after.resolved_by,
+        after.resolved_at,
+        after.resolution_note,
+        id,
+      ],
+    );
+    await recordAudit(tx, req, {
+      entity: 'mpesa_transaction',
+      entityId: id,
+      action: 'update',
+      before,
+      after,
+    });
+    return after;
+  });
+}
+
+/**
+ * Mark STK pushes that never got a callback as Failed, so the queue only
+ * holds live requests. Run from the background tasks.
+ */
+async function expireStkRequests() {
+  const cutoff = DateTime.now()
+    .setZone(ZONE)
+    .minus({ minutes: STK_TIMEOUT_MINUTES })
+    .toFormat('yyyy-LL-dd HH:mm:ss');
+  const result = await safeQuery(
+    `UPDATE mpesa_transactions
+     SET status = 'Failed', result_desc = 'No response from M-Pesa', completed_at = ?
+     WHERE kind = 'stk' AND status = 'Pending' AND trans_id IS NULL AND created_at < ?`,
+    [getKenyaTimeISO(), cutoff],
+  );
+  return result.affectedRows || 0;
+}
+
+/** Transactions, newest first. `branch` keeps unmatched ones visible. */
+async function listTransactions({
+  status,
+  kind,
+  from,
+  to,
+  branch,
+  limit = 500,
+} = {}) {
+  const scope = orAllBranches(branch);
+  const where = [`(${scope.sql} OR branch_id IS NULL)`];
+  const params = [...scope.params];
+
+  if (status) {
+    if (!MPESA_STATUSES.includes(status)) {
+      throw codedError(
+        `status must be one of ${MPESA_STATUSES.join(', ')}`,
+        'MPESA_FILTER_INVALID',
+      );
+    }
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (kind) {
+    if (!['stk', 'c2b'].includes(kind)) {
+      throw codedError('kind must be stk or c2b', 'MPESA_FILTER_INVALID');
+    }
+    where.push('kind = ?');
+    params.push(kind);
+  }
+  if (from) {
+    where.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    where.push('created_at < ? + INTERVAL 1 DAY');
+    params.push(to);
+  }
+
+  return safeQuery(
+    `SELECT id, kind, status, trans_id, checkout_request_id, phone, payer_name,
+            amount, bill_ref, invoice_id, deceased_id, branch_id, payment_id,
+            result_code, result_desc, exception_reason, paid_at, created_at,
+            completed_at, resolved_by, resolved_at, resolution_note
+     FROM mpesa_transactions
+     WHERE ${where.join(' AND ')}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${Math.min(parseInt(limit, 10) || 500, 5000)}`,
+    params,
+  );
+}
+
+module.exports = {
+  MPESA_STATUSES,
+  requestStkPush,
+  handleStkCallback,
+  handleC2BConfirmation,
+  resolveException,
+  dismissException,
+  expireStkRequests,
+  listTransactions,
+};
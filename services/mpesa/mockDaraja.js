@@ -0,0 +1,190 @@
+// ----------------- Mock Daraja Server -----------------
+// A local stand-in for Safaricom's Daraja API, for development and testing
+// the M-Pesa flow end to end without the sandbox:
+//
+//   npm run mock:daraja            (listens on MOCK_DARAJA_PORT, default 5055)
+//   MPESA_BASE_URL=http://localhost:5055 npm run start:dev
+//
+// STK pushes are answered on the callback URL after MOCK_DARAJA_DELAY_MS.
+// The phone number picks the outcome: ending in 1 the customer cancels,
+// ending in 2 there is no answer at all, anything else pays in full.
+// `POST /mpesa/c2b/v1/simulate` sends a paybill payment to the registered
+// validation and confirmation URLs, as the sandbox does.
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+
+const PORT = parseInt(process.env.MOCK_DARAJA_PORT, 10) || 5055;
+const DELAY_MS = parseInt(process.env.MOCK_DARAJA_DELAY_MS, 10) || 2000;
+const ACCESS_TOKEN = 'mock-daraja-token';
+
+const registeredUrls = {};
+
+const darajaTime = () =>
+  DateTime.now().setZone('Africa/Nairobi').toFormat('yyyyLLddHHmmss');
+
+const receiptNumber = () =>
+  `MK${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+const requestId = () =>
+  `ws_CO_${darajaTime()}${crypto.randomInt(100000, 999999)}`;
+
+async function post(url, body) {
+  try {
+    const response = await axios.post(url, body, { timeout: 15000 });
+    console.log(`↪️  ${url} → ${response.status}`, response.data);
+    return response.data;
+  } catch (err) {
+    console.error(
+      `❌ ${url} →`,
+      err.response ? `${err.response.status}` : err.message,
+      err.response?.data || '',
+    );
+    return null;
+  }
+}
+
+function createMockDaraja() {
+  const app = express();
+  app.use(express.json());
+
+  const requireToken = (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${ACCESS_TOKEN}`) {
+      return res.status(401).json({
+        errorCode: '404.001.03',
+        errorMessage: 'Invalid Access Token',
+      });
+    }
+    next();
+  };
+
+  app.get('/oauth/v1/generate', (req, res) => {
+    if (!req.headers.authorization?.startsWith('Basic ')) {
+      return res.status(400).json({ errorMessage: 'Invalid Authentication' });
+    }
+    res.json({ access_token: ACCESS_TOKEN, expires_in: '3599' });
+  });
+
+  app.post('/mpesa/stkpush/v1/processrequest', requireToken, (req, res) => {
+    const { Amount, PhoneNumber, CallBackURL, BusinessShortCode, Password } =
+      req.body || {};
+    if (!Amount || !PhoneNumber || !CallBackURL || !Password) {
+      return res.status(400).json({
+        errorCode: '400.002.02',
+        errorMessage: 'Bad Request - Invalid request body',
+      });
+    }
+
+    const MerchantRequestID = `${crypto.randomInt(10000, 99999)}-${Date.now()}`;
+    const CheckoutRequestID = requestId();
+    res.json({
+      MerchantRequestID,
+      CheckoutRequestID,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing',
+    });
+
+    const phone = String(PhoneNumber);
+    if (phone.endsWith('2')) {
+      console.log(`⏳ ${CheckoutRequestID}: no answer from ${phone}`);
+      return;
+    }
+    const paid = !phone.endsWith('1');
+    setTimeout(() => {
+      const stkCallback = {
+        MerchantRequestID,
+        CheckoutRequestID,
+        ResultCode: paid ? 0 : 1032,
+        ResultDesc: paid
+          ? 'The service request is processed successfully.'
+          : 'Request cancelled by user',
+      };
+      if (paid) {
+        stkCallback.CallbackMetadata = {
+          Item: [
+            { Name: 'Amount', Value: Number(Amount) },
+            { Name: 'MpesaReceiptNumber', Value: receiptNumber() },
+            { Name: 'Balance' },
+            { Name: 'TransactionDate', Value: Number(darajaTime()) },
+            { Name: 'PhoneNumber', Value: Number(phone) },
+          ],
+        };
+      }
+      console.log(
+        `📲 ${CheckoutRequestID} (${BusinessShortCode}): ${stkCallback.ResultDesc}`,
+      );
+      post(CallBackURL, { Body: { stkCallback } });
+    }, DELAY_MS);
+  });
+
+  app.post('/mpesa/c2b/v1/registerurl', requireToken, (req, res) => {
+    const { ShortCode, ConfirmationURL, ValidationURL } = req.body || {};
+    if (!ShortCode || !ConfirmationURL || !ValidationURL) {
+      return res.status(400).json({
+        errorCode: '400.002.02',
+        errorMessage: 'Bad Request - Invalid request body',
+      });
+    }
+    registeredUrls[ShortCode] = { ConfirmationURL, ValidationURL };
+    res.json({
+      OriginatorCoversationID: crypto.randomUUID(),
+      ResponseCode: '0',
+      ResponseDescription: 'Success',
+    });
+  });
+
+  app.post('/mpesa/c2b/v1/simulate', requireToken, async (req, res) => {
+    const { ShortCode, Amount, Msisdn, BillRefNumber, CommandID } =
+      req.body || {};
+    const urls = registeredUrls[ShortCode];
+    if (!urls) {
+      return res.status(400).json({
+        errorCode: '400.002.02',
+        errorMessage: `No URLs registered for ${ShortCode}`,
+      });
+    }
+
+    const payment = {
+      TransactionType:
+        CommandID === 'CustomerBuyGoodsOnline' ? 'Buy Goods' : 'Pay Bill',
+      TransID: receiptNumber(),
+      TransTime: darajaTime(),
+      TransAmount: String(Amount),
+      BusinessShortCode: String(ShortCode),
+      BillRefNumber: BillRefNumber || '',
+      InvoiceNumber: '',
+      OrgAccountBalance: '',
+      ThirdPartyTransID: '',
+      MSISDN: String(Msisdn),
+      FirstName: 'John',
+      MiddleName: '',
+      LastName: 'Doe',
+    };
+    const validation = await post(urls.ValidationURL, payment);
+    if (validation && String(validation.ResultCode) !== '0') {
+      return res.json({
+        ResponseCode: '1',
+        ResponseDescription: `Rejected by validation: ${validation.ResultDesc}`,
+      });
+    }
+    await post(urls.ConfirmationURL, payment);
+    res.json({
+      OriginatorCoversationID: crypto.randomUUID(),
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.',
+      TransID: payment.TransID,
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  createMockDaraja().listen(PORT, () =>
+    console.log(`🧪 Mock Daraja listening on http://localhost:${PORT}`),
+  );
+}
+
+module.exports = { createMockDaraja };
@@ -0,0 +1,46 @@
+// ----------------- Document Numbers -----------------
+// Gap-free numbers for issued documents, e.g. `RCT-000042`. Each document
+// kind has its own row in `document_sequences`; register a new kind here.
+
+const SEQUENCE_PREFIXES = {
+  receipt: 'RCT',
+  refund: 'RF',
+  credit_note: 'CN',
+  reversal: 'RV',
+  quote: 'QT',
+  consolidated: 'CI',
+  payment_plan: 'PP',
+  cashier_session: 'CS',
+  grn: 'GRN',
+  purchase_order: 'PO',
+  stock_take: 'ST',
+};
+
+/**
+ * Next number in a document sequence. The sequence row is locked until the
+ * caller's transaction ends, so numbers are issued in order and a
+ * rolled-back transaction gives its number back.
+ */
+async function nextNumber(tx, name) {
+  const prefix = SEQUENCE_PREFIXES[name];
+  if (!prefix) throw new Error(`Unknown document sequence: ${name}`);
+
+  await tx.query(
+    'INSERT IGNORE INTO document_sequences (name, next_value) VALUES (?, 1)',
+    [name],
+  );
+  const row = await tx.queryOne(
+    'SELECT next_value FROM document_sequences WHERE name = ? FOR UPDATE',
+    [name],
+  );
+  await tx.query(
+    'UPDATE document_sequences SET next_value = next_value + 1 WHERE name = ?',
+    [name],
+  );
+  return `${prefix}-${String(row.next_value).padStart(6, '0')}`;
+}
+
+module.exports = {
+  SEQUENCE_PREFIXES,
+  nextNumber,
+};
@@ -0,0 +1,1024 @@
+// ----------------- Payer Billing -----------------
+// Bodies are often paid for partly by SHA (formerly NHIF), insurers,
+// employers or county governments. Each of these is a payer account with
+// contracts, a credit limit and payment terms.
+//
+// A body's charges are split by its payer splits, in priority order:
+//
+//   { payer_id: 3, kind: 'percent', value: 60 }   60% of each invoice
+//   { payer_id: 7, kind: 'amount', value: 20000 } up to 20,000 per invoice
+//
+// When an invoice is raised for the body, each payer gets its own invoice
+// for its share (`payer_id`, `parent_invoice_id`). The body's invoice keeps
+// every line, and what the payers cover (`amount_covered`) comes off what
+// the family owes. A share is capped by the contract's `max_per_body` and
+// the payer's remaining credit; the family pays anything above that.
+//
+// Payers with `consolidated` billing also get one invoice per month
+// listing all their invoices for that month.
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const {
+  SUPPORTED_CURRENCIES,
+  toCurrencyCode,
+} = require('../currency/currency');
+const { applyTax } = require('../tax/taxCodes');
+const {
+  refreshInvoice,
+  releaseInvoiceAllocations,
+} = require('../payments/paymentAllocation');
+const { nextNumber } = require('../numbering/documentNumbers');
+const { softDelete } = require('../recycleBin/softDelete');
+const { CENT, round2, actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const ZONE = 'Africa/Nairobi';
+const PAYER_KINDS = ['sha', 'insurer', 'employer', 'county', 'other'];
+const SPLIT_KINDS = ['percent', 'amount'];
+const DEFAULT_TERMS_DAYS = 30;
+
+const parseJSON = (value) =>
+  typeof value === 'string' ? JSON.parse(value) : value;
+
+const toISODate = (value) => (value ? String(value).slice(0, 10) : null);
+
+const given = (value) => value !== undefined && value !== null && value !== '';
+
+// ----------------- Payers -----------------
+
+/** Payers with what they owe, active ones only unless `all`. */
+async function listPayers({ all = false, kind } = {}) {
+  const where = [all ? '1 = 1' : 'p.active = 1'];
+  const params = [];
+  if (kind) {
+    where.push('p.kind = ?');
+    params.push(kind);
+  }
+  const rows = await safeQuery(
+    `SELECT p.*,
+            COALESCE(SUM(i.total_amount - i.amount_credited - i.amount_paid), 0) AS outstanding
+     FROM payers p
+     LEFT JOIN invoices i ON i.payer_id = p.id AND i.deleted_at IS NULL
+       AND i.currency = p.currency
+     WHERE ${where.join(' AND ')}
+     GROUP BY p.id
+     ORDER BY p.name`,
+    params,
+  );
+  return rows.map(withCredit);
+}
+
+function withCredit(payer) {
+  const outstanding = round2(payer.outstanding || 0);
+  const limit =
+    payer.credit_limit == null ? null : parseFloat(payer.credit_limit);
+  return {
+    ...payer,
+    consolidated: Boolean(payer.consolidated),
+    active: Boolean(payer.active),
+    credit_limit: limit,
+    outstanding,
+    available_credit: limit === null ? null : round2(limit - outstanding),
+  };
+}
+
+/** What a payer still owes on its invoices, in its own currency. */
+async function payerOutstanding(run, payerId) {
+  const [row] = await run(
+    `SELECT COALESCE(SUM(i.total_amount - i.amount_credited - i.amount_paid), 0) AS outstanding
+     FROM invoices i JOIN payers p ON p.id = i.payer_id
+     WHERE i.payer_id = ? AND i.deleted_at IS NULL AND i.currency = p.currency`,
+    [payerId],
+  );
+  return round2(row?.outstanding || 0);
+}
+
+/** One payer with its contracts and credit position. */
+async function getPayer(payerId) {
+  const [payer] = await safeQuery('SELECT * FROM payers WHERE id = ?', [
+    payerId,
+  ]);
+  if (!payer) throw new AppError('Payer not found', 404);
+  const contracts = await safeQuery(
+    'SELECT * FROM payer_contracts WHERE payer_id = ? ORDER BY starts_on DESC, id DESC',
+    [payerId],
+  );
+  return {
+    ...withCredit({
+      ...payer,
+      outstanding: await payerOutstanding(safeQuery, payerId),
+    }),
+    contracts,
+  };
+}
+
+function payerRow(payload, before) {
+  const pick = (field) =>
+    payload[field] !== undefined ? payload[field] : before?.[field];
+
+  const name = String(pick('name') || '').trim();
+  if (!name) throw codedError('name is required', 'PAYER_INVALID');
+  const kind = String(pick('kind') || 'other').toLowerCase();
+  if (!PAYER_KINDS.includes(kind)) {
+    throw codedError(
+      `kind must be one of ${PAYER_KINDS.join(', ')}`,
+      'PAYER_INVALID',
+    );
+  }
+  const currency = toCurrencyCode(pick('currency') || 'KES');
+  if (!currency) {
+    throw codedError(
+      `currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`,
+      'PAYER_INVALID',
+    );
+  }
+  const creditLimit = given(pick('credit_limit'))
+    ? Number(pick('credit_limit'))
+    : null;
+  if (creditLimit !== null && !(creditLimit >= 0)) {
+    throw codedError('credit_limit must be 0 or more', 'PAYER_INVALID');
+  }
+  const terms = given(pick('payment_terms_days'))
+    ? parseInt(pick('payment_terms_days'), 10)
+    : DEFAULT_TERMS_DAYS;
+  if (!(terms >= 0 && terms <= 365)) {
+    throw codedError('payment_terms_days must be 0-365', 'PAYER_INVALID');
+  }
+  const text = (field, max) =>
+    given(pick(field)) ? String(pick(field)).trim().slice(0, max) : null;
+
+  return {
+    name: name.slice(0, 150),
+    kind,
+    kra_pin: text('kra_pin', 11)?.toUpperCase() ?? null,
+    contact_person: text('contact_person', 100),
+    email: text('email', 150),
+    phone: text('phone', 30),
+    address: text('address', 255),
+    currency,
+    credit_limit: creditLimit,
+    payment_terms_days: terms,
+    consolidated: pick('consolidated') ? 1 : 0,
+    active: pick('active') === false || pick('active') === 0 ? 0 : 1,
+  };
+}
+
+/** Create a payer, or change one when `payerId` is given. */
+async function savePayer(req, payerId, payload) {
+  return withTransaction(async (tx) => {
+    const before = payerId
+      ? await tx.queryOne('SELECT * FROM payers WHERE id = ? FOR UPDATE', [
+          payerId,
+        ])
+      : null;
+    if (payerId && !before) throw new AppError('Payer not found', 404);
+
+    const row = payerRow(payload, before);
+    const now = getKenyaTimeISO();
+    let id = payerId;
+    if (before) {
+      const columns = Object.keys(row);
+      await tx.query(
+        `UPDATE payers SET ${columns.map((c) => `${c} = ?`).join(', ')}, updated_at = ?
+         WHERE id = ?`,
+        [...columns.map((c) => row[c]), now, payerId],
+      );
+    } else {
+      Object.assign(row, { created_by: actorOf(req), created_at: now });
+      const columns = Object.keys(row);
+      const result = await tx.query(
+        `INSERT INTO payers (${columns.join(', ')})
+         VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map((c) => row[c]),
+      );
+      id = result.insertId;
+    }
+
+    const after = await tx.queryOne('SELECT * FROM payers WHERE id = ?', [id]);
+    await recordAudit(tx, req, {
+      entity: 'payer',
+      entityId: id,
+      action: before ? 'update' : 'create',
+      before,
+      after,
+    });
+    return after;
+  });
+}
+
+/** Add a contract (reference, dates and an optional cap per body). */
+async function addContract(req, payerId, payload) {
+  const startsOn = toISODate(payload.starts_on);
+  const endsOn = toISODate(payload.ends_on);
+  const valid = (d) => !d || DateTime.fromISO(d).isValid;
+  if (!startsOn || !valid(startsOn) || !valid(endsOn)) {
+    throw codedError(
+      'starts_on (and ends_on, if given) must be yyyy-mm-dd dates',
+      'CONTRACT_INVALID',
+    );
+  }
+  if (endsOn && endsOn < startsOn) {
+    throw codedError(
+      'ends_on must be on or after starts_on',
+      'CONTRACT_INVALID',
+    );
+  }
+  const maxPerBody = given(payload.max_per_body)
+    ? Number(payload.max_per_body)
+    : null;
+  if (maxPerBody !== null && !(maxPerBody > 0)) {
+    throw codedError('max_per_body must be above 0', 'CONTRACT_INVALID');
+  }
+
+  return withTransaction(async (tx) => {
+    const payer = await tx.queryOne(
+      'SELECT id FROM payers WHERE id = ? FOR UPDATE',
+      [payerId],
+    );
+    if (!payer) throw new AppError('Payer not found', 404);
+
+    const row = {
+      payer_id: payer.id,
+      reference: payload.reference
+        ? String(payload.reference).slice(0, 50)
+        : null,
+      starts_on: startsOn,
+      ends_on: endsOn,
+      max_per_body: maxPerBody,
+      notes: payload.notes ? String(payload.notes).slice(0, 255) : null,
+      created_by: actorOf(req),
+      created_at: getKenyaTimeISO(),
+    };
+    const columns = Object.keys(row);
+    const result = await tx.query(
+      `INSERT INTO payer_contracts (${columns.join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => row[c]),
+    );
+    const created = { id: result.insertId, ...row };
+    await recordAudit(tx, req, {
+      entity: 'payer_contract',
+      entityId: result.insertId,
+      action: 'create',
+      before: null,
+      after: created,
+    });
+    return created;
+  });
+}
+
+// The contract in force for a payer on `date` (yyyy-mm-dd), latest first
+async function contractOn(run, payerId, date) {
+  const [contract] = await run(
+    `SELECT * FROM payer_contracts
+     WHERE payer_id = ? AND starts_on <= ? AND (ends_on IS NULL OR ends_on >= ?)
+     ORDER BY starts_on DESC, id DESC LIMIT 1`,
+    [payerId, date, date],
+  );
+  return contract || null;
+}
+
+// ----------------- Body Payer Splits -----------------
+
+/** A body's payer splits in the order they are applied. */
+async function listBodyPayers(run, deceasedId) {
+  return run(
+    `SELECT s.*, p.name AS payer_name, p.kind AS payer_kind, p.currency AS payer_currency,
+            p.credit_limit, p.kra_pin, p.payment_terms_days, p.active AS payer_active
+     FROM deceased_payers s JOIN payers p ON p.id = s.payer_id
+     WHERE s.deceased_id = ?
+     ORDER BY s.priority, s.id`,
+    [deceasedId],
+  );
+}
+
+/**
+ * Replace a body's payer splits. Each payer needs a contract in force
+ * today; percentages may not add up to more than 100. An empty list leaves
+ * the family paying everything. Invoices already raised are not changed.
+ */
+async function setBodyPayers(tx, req, deceased, splits) {
+  if (!Array.isArray(splits)) {
+    throw codedError('splits must be an array', 'SPLIT_INVALID');
+  }
+  const today = DateTime.now().setZone(ZONE).toISODate();
+
+  const rows = [];
+  let percent = 0;
+  for (const [i, split] of splits.entries()) {
+    const kind = split?.kind;
+    const value = Number(split?.value);
+    if (!SPLIT_KINDS.includes(kind)) {
+      throw codedError(
+        `splits[${i}].kind must be one of ${SPLIT_KINDS.join(', ')}`,
+        'SPLIT_INVALID',
+      );
+    }
+    if (!Number.isFinite(value) || value <= 0) {
+      throw codedError(`splits[${i}].value must be above 0`, 'SPLIT_INVALID');
+    }
+    if (kind === 'percent') percent += value;
+
+    const payer = await tx.queryOne(
+      'SELECT id, name, active FROM payers WHERE id = ?',
+      [split.payer_id],
+    );
+    if (!payer || !payer.active) {
+      throw codedError(
+        `Payer ${split.payer_id} not found or inactive`,
+        'PAYER_NOT_FOUND',
+        404,
+      );
+    }
+    const contract = await contractOn(tx.query, payer.id, today);
+    if (!contract) {
+      throw codedError(
+        `${payer.name} has no contract in force`,
+        'PAYER_NO_CONTRACT',
+        409,
+      );
+    }
+    rows.push({
+      deceased_id: deceased.deceased_id,
+      payer_id: payer.id,
+      kind,
+      value: round2(value),
+      member_number: split.member_number
+        ? String(split.member_number).slice(0, 50)
+        : null,
+      priority: i + 1,
+      created_by: actorOf(req),
+      created_at: getKenyaTimeISO(),
+    });
+  }
+  if (percent > 100 + CENT) {
+    throw codedError(
+      `Percentage splits add up to ${percent}%`,
+      'SPLIT_INVALID',
+    );
+  }
+
+  const before = await tx.query(
+    'SELECT * FROM deceased_payers WHERE deceased_id = ? ORDER BY priority, id',
+    [deceased.deceased_id],
+  );
+  await tx.query('DELETE FROM deceased_payers WHERE deceased_id = ?', [
+    deceased.deceased_id,
+  ]);
+  for (const row of rows) {
+    const columns = Object.keys(row);
+    await tx.query(
+      `INSERT INTO deceased_payers (${columns.join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => row[c]),
+    );
+  }
+  await recordAudit(tx, req, {
+    entity: 'deceased_payers',
+    entityId: deceased.deceased_id,
+    action: 'update',
+    before,
+    after: rows,
+  });
+  return listBodyPayers(tx.query, deceased.deceased_id);
+}
+
+// ----------------- Splitting Invoices -----------------
+
+/**
+ * Work out each payer's share of a new invoice for a body, before it is
+ * stored. `run` is `tx.query` or `safeQuery`. Payers are applied in
+ * priority order; each share is capped by what is left of the invoice,
+ * the contract's `max_per_body` and the payer's remaining credit.
+ *
+ * Returns `{ shares, skipped, family_amount }`. Payers whose currency
+ * differs from the invoice, or without a contract in force, are skipped.
+ */
+async function planPayerSplit(run, deceased, { total, currency, date }) {
+  const day = toISODate(date) || DateTime.now().setZone(ZONE).toISODate();
+  const splits = deceased?.deceased_id
+    ? await listBodyPayers(run, deceased.deceased_id)
+    : [];
+
+  const shares = [];
+  const skipped = [];
+  let remaining = round2(total);
+  for (const split of splits) {
+    const skip = (reason) =>
+      skipped.push({
+        payer_id: split.payer_id,
+        payer_name: split.payer_name,
+        reason,
+      });
+    if (!split.payer_active) {
+      skip('inactive');
+      continue;
+    }
+    if (toCurrencyCode(split.payer_currency) !== currency) {
+      skip('currency');
+      continue;
+    }
+    const contract = await contractOn(run, split.payer_id, day);
+    if (!contract) {
+      skip('no_contract');
+      continue;
+    }
+
+    const value = parseFloat(split.value);
+    let amount = Math.min(
+      split.kind === 'percent' ? (total * value) / 100 : value,
+      remaining,
+    );
+    let capped = null;
+
+    if (contract.max_per_body != null) {
+      const [billed] = await run(
+        `SELECT COALESCE(SUM(total_amount - amount_credited), 0) AS billed
+         FROM invoices
+         WHERE payer_id = ? AND deceased_id = ? AND deleted_at IS NULL`,
+        [split.payer_id, deceased.id],
+      );
+      const room =
+        parseFloat(contract.max_per_body) -
+        parseFloat(billed.billed) -
+        shares
+          .filter((s) => s.payer_id === split.payer_id)
+          .reduce((sum, s) => sum + s.amount, 0);
+      if (amount > room) {
+        amount = Math.max(room, 0);
+        capped = 'contract_limit';
+      }
+    }
+    if (split.credit_limit != null) {
+      const room =
+        parseFloat(split.credit_limit) -
+        (await payerOutstanding(run, split.payer_id)) -
+        shares
+          .filter((s) => s.payer_id === split.payer_id)
+          .reduce((sum, s) => sum + s.amount, 0);
+      if (amount > room) {
+        amount = Math.max(room, 0);
+        capped = 'credit_limit';
+      }
+    }
+
+    amount = round2(amount);
+    if (amount < CENT) {
+      skip(capped || 'nothing_left');
+      continue;
+    }
+    shares.push({
+      payer_id: split.payer_id,
+      payer_name: split.payer_name,
+      kra_pin: split.kra_pin,
+      member_number: split.member_number,
+      contract_id: contract.id,
+      contract_reference: contract.reference,
+      payment_terms_days: split.payment_terms_days,
+      kind: split.kind,
+      value,
+      amount,
+      capped,
+    });
+    remaining = round2(remaining - amount);
+  }
+
+  return { shares, skipped, family_amount: remaining };
+}
+
+// A payer's share of each invoice line, one line per service; rounding is
+// settled on the largest line so the lines add up to the share
+function shareItems(items, total, amount) {
+  const factor = total > 0 ? amount / total : 0;
+  const lines = items.map((item) => ({
+    service: item.service,
+    service_type: item.service_type,
+    tax_category: item.tax_category,
+    qty: 1,
+    amount: round2((parseFloat(item.qty) || 1) * item.amount * factor),
+  }));
+  const diff = round2(amount - lines.reduce((s, l) => s + l.amount, 0));
+  if (lines.length && Math.abs(diff) >= 0.01) {
+    const largest = lines.reduce((a, b) => (b.amount > a.amount ? b : a));
+    largest.amount = round2(largest.amount + diff);
+  }
+  return lines;
+}
+
+/**
+ * Store one invoice per share of `plan` for the body's invoice `master`,
+ * which must already be inserted. Payer invoices are not sent to eTIMS:
+ * the body's invoice is the tax invoice for the whole amount. Returns the
+ * payer invoices.
+ */
+async function createPayerInvoices(tx, req, master, plan) {
+  const created = [];
+  if (!plan?.shares?.length) return created;
+
+  const items = parseJSON(master.items) || [];
+  const total = parseFloat(master.total_amount);
+  const rate = master.exchange_rate ? parseFloat(master.exchange_rate) : null;
+  const invoiceDate = master.created_at || getKenyaTimeISO();
+
+  for (const [i, share] of plan.shares.entries()) {
+    const taxed = applyTax(shareItems(items, total, share.amount), {});
+    const dueDate = DateTime.fromISO(toISODate(invoiceDate), { zone: ZONE })
+      .plus({ days: share.payment_terms_days ?? DEFAULT_TERMS_DAYS })
+      .toISODate();
+    const row = {
+      deceased_id: master.deceased_id,
+      invoice_number: `${master.invoice_number}-P${i + 1}`,
+      items: JSON.stringify(taxed.items),
+      total_amount: share.amount,
+      subtotal: taxed.subtotal,
+      tax_amount: taxed.tax_amount,
+      tax_breakdown: JSON.stringify(taxed.tax_breakdown),
+      currency: master.currency,
+      exchange_rate: master.exchange_rate ?? null,
+      rate_date: master.rate_date ?? null,
+      total_kes: rate ? round2(share.amount * rate) : null,
+      customer_name: String(share.payer_name).slice(0, 150),
+      customer_pin: share.kra_pin || null,
+      payer_id: share.payer_id,
+      parent_invoice_id: master.id,
+      member_number: share.member_number || null,
+      due_date: dueDate,
+      created_at: invoiceDate,
+      branch_id: master.branch_id ?? null,
+    };
+    const columns = Object.keys(row);
+    const result = await tx.query(
+      `INSERT INTO invoices (${columns.join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => row[c]),
+    );
+    await refreshInvoice(tx, result.insertId);
+    created.push({
+      id: result.insertId,
+      ...row,
+      items: taxed.items,
+      tax_breakdown: taxed.tax_breakdown,
+      capped: share.capped,
+    });
+  }
+
+  await refreshInvoice(tx, master.id);
+  return created;
+}
+
+/**
+ * Split an invoice raised before its body had payers. Only the body's own
+ * invoice can be split, and only once.
+ */
+async function splitExistingInvoice(tx, req, invoiceId, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  const master = await tx.queryOne(
+    `SELECT i.* FROM invoices i
+     WHERE i.id = ? AND i.deleted_at IS NULL AND ${scope.sql}
+     FOR UPDATE`,
+    [invoiceId, ...scope.params],
+  );
+  if (!master) throw new AppError('Invoice not found', 404);
+  if (master.payer_id || master.parent_invoice_id) {
+    throw codedError(
+      `Invoice ${master.invoice_number} is already billed to a payer`,
+      'INVOICE_IS_PAYER_INVOICE',
+      409,
+    );
+  }
+  const existing = await tx.queryOne(
+    'SELECT COUNT(*) AS count FROM invoices WHERE parent_invoice_id = ? AND deleted_at IS NULL',
+    [master.id],
+  );
+  if (existing.count > 0) {
+    throw codedError(
+      `Invoice ${master.invoice_number} is already split`,
+      'INVOICE_ALREADY_SPLIT',
+      409,
+    );
+  }
+  const deceased = await tx.queryOne(
+    'SELECT id, deceased_id FROM deceased WHERE id = ?',
+    [master.deceased_id],
+  );
+
+  const plan = await planPayerSplit(tx.query, deceased, {
+    total: parseFloat(master.total_amount),
+    currency: toCurrencyCode(master.currency) || 'KES',
+    date: master.created_at,
+  });
+  if (!plan.shares.length) {
+    throw codedError(
+      `No payer covers invoice ${master.invoice_number}`,
+      'SPLIT_NOTHING',
+      409,
+    );
+  }
+  const invoices = await createPayerInvoices(tx, req, master, plan);
+  await recordAudit(tx, req, {
+    entity: 'invoice',
+    entityId: master.id,
+    action: 'update',
+    before: master,
+    after: { ...master, payer_invoices: invoices.map((i) => i.id) },
+  });
+  return { master, plan, invoices };
+}
+
+/**
+ * Throw when an invoice is split with payers, or is a payer's share, and so
+ * may not be edited: delete it and raise it again instead.
+ */
+async function assertNotSplit(run, invoice) {
+  const [children] = await run(
+    'SELECT COUNT(*) AS count FROM invoices WHERE parent_invoice_id = ? AND deleted_at IS NULL',
+    [invoice.id],
+  );
+  if (invoice.parent_invoice_id || children.count > 0) {
+    throw codedError(
+      `Invoice ${invoice.invoice_number} is split with payers; delete it and raise it again`,
+      'INVOICE_SPLIT',
+      409,
+    );
+  }
+}
+
+/**
+ * Soft-delete the payer invoices split from a body's invoice and put their
+ * payments back on account. Returns the deleted rows.
+ */
+async function deletePayerInvoices(tx, req, invoiceId) {
+  const children = await tx.query(
+    `SELECT id, invoice_number, consolidated_invoice_id FROM invoices
+     WHERE parent_invoice_id = ? AND deleted_at IS NULL FOR UPDATE`,
+    [invoiceId],
+  );
+  for (const child of children) {
+    assertNotConsolidated(child);
+    await softDelete(tx, req, 'invoice', child.id);
+    await releaseInvoiceAllocations(tx, req, child.id);
+  }
+  return children;
+}
+
+/** Throw when a payer invoice is already on a consolidated invoice. */
+function assertNotConsolidated(invoice) {
+  if (invoice?.consolidated_invoice_id) {
+    throw codedError(
+      `Invoice ${invoice.invoice_number} is on a consolidated invoice already sent to the payer`,
+      'INVOICE_CONSOLIDATED',
+      409,
+    );
+  }
+}
+
+/**
+ * What payers still owe on a body's invoices (numeric `deceased.id`). Uses
+ * `tx.queryOne` only.
+ */
+async function bodyPayerOutstanding(tx, deceasedId) {
+  const row = await tx.queryOne(
+    `SELECT COALESCE(SUM(total_amount - amount_credited - amount_paid), 0) AS outstanding
+     FROM invoices
+     WHERE deceased_id = ? AND payer_id IS NOT NULL AND deleted_at IS NULL`,
+    [deceasedId],
+  );
+  return round2(row?.outstanding || 0);
+}
+
+/** Payer shares of a body's invoices and what the payers still owe. */
+async function bodyPayerPosition(deceased) {
+  const [payers, [owed]] = await Promise.all([
+    listBodyPayers(safeQuery, deceased.deceased_id),
+    safeQuery(
+      `SELECT COALESCE(SUM(total_amount - amount_credited), 0) AS billed,
+              COALESCE(SUM(total_amount - amount_credited - amount_paid), 0) AS outstanding
+       FROM invoices
+       WHERE deceased_id = ? AND payer_id IS NOT NULL AND deleted_at IS NULL`,
+      [deceased.id],
+    ),
+  ]);
+  return {
+    payers,
+    billed_to_payers: round2(owed.billed),
+    payer_outstanding: round2(owed.outstanding),
+  };
+}
+
+// ----------------- Statements -----------------
+
+/**
+ * A payer's statement in its own currency: its invoices as debits, the
+ * payments allocated to them and approved credit notes as credits.
+ * Shaped like a body's ledger statement so the same PDF layout prints it.
+ */
+async function payerStatement(payerId, { from, to, branch } = {}) {
+  const payer = await getPayer(payerId);
+  const scope = orAllBranches(branch);
+  const base = `i.payer_id = ? AND i.deleted_at IS NULL AND i.currency = ? AND ${scope.sql}`;
+  const params = [payer.id, payer.currency, ...scope.params];
+
+  const [invoices, allocations, credits] = await Promise.all([
+    safeQuery(
+      `SELECT i.id, i.invoice_number, i.created_at AS posted_at, i.total_amount AS amount,
+              d.full_name, d.deceased_id
+       FROM invoices i LEFT JOIN deceased d ON d.id = i.deceased_id
+       WHERE ${base}`,
+      params,
+    ),
+    safeQuery(
+      `SELECT a.id, a.amount, a.created_at AS posted_at, i.invoice_number,
+              p.receipt_number, p.payment_method, p.reference_code
+       FROM payment_allocations a
+       JOIN invoices i ON i.id = a.invoice_id
+       JOIN payments p ON p.payment_id = a.payment_id
+       WHERE ${base}`,
+      params,
+    ),
+    safeQuery(
+      `SELECT c.id, c.amount, c.decided_at AS posted_at, c.adjustment_number, i.invoice_number
+       FROM payment_adjustments c
+       JOIN invoices i ON i.id = c.invoice_id
+       WHERE c.kind = 'credit_note' AND c.status = 'Approved' AND ${base}`,
+      params,
+    ),
+  ]);
+
+  const movements = [
+    ...invoices.map((r) => ({
+      posted_at: String(r.posted_at),
+      type: 'invoice',
+      reference: r.invoice_number,
+      description: `Invoice ${r.invoice_number}: ${r.full_name || r.deceased_id || ''}`,
+      debit: parseFloat(r.amount),
+      credit: 0,
+    })),
+    ...allocations.map((r) => {
+      const amount = parseFloat(r.amount);
+      return {
+        posted_at: String(r.posted_at),
+        type: 'payment',
+        reference: r.receipt_number,
+        description:
+          `${amount < 0 ? 'Released' : 'Payment'} ${r.receipt_number || ''} ${r.reference_code || r.payment_method || ''} on ${r.invoice_number}`
+            .replace(/\s+/g, ' ')
+            .trim(),
+        debit: amount < 0 ? -amount : 0,
+        credit: amount > 0 ? amount : 0,
+      };
+    }),
+    ...credits.map((r) => ({
+      posted_at: String(r.posted_at),
+      type: 'credit_note',
+      reference: r.adjustment_number,
+      description: `Credit note ${r.adjustment_number} on ${r.invoice_number}`,
+      debit: 0,
+      credit: parseFloat(r.amount),
+    })),
+  ].sort((a, b) => a.posted_at.localeCompare(b.posted_at));
+
+  let opening = 0;
+  let balance = 0;
+  const totals = { debit: 0, credit: 0 };
+  const entries = [];
+  for (const m of movements) {
+    const day = m.posted_at.slice(0, 10);
+    if (to && day > to) continue;
+    if (from && day < from) {
+      opening = round2(opening + m.debit - m.credit);
+      balance = opening;
+      continue;
+    }
+    balance = round2(balance + m.debit - m.credit);
+    totals.debit = round2(totals.debit + m.debit);
+    totals.credit = round2(totals.credit + m.credit);
+    entries.push({
+      ...m,
+      date: day,
+      debit_kes: null,
+      credit_kes: null,
+      balance,
+    });
+  }
+
+  return {
+    payer_id: payer.id,
+    full_name: payer.name,
+    holder_label: 'Payer',
+    account: `PAYER-${payer.id}`,
+    currency: payer.currency,
+    period: { from: from || null, to: to || null },
+    opening_balance: opening,
+    entries,
+    totals,
+    closing_balance: balance,
+    closing_balance_kes: null,
+    credit_limit: payer.credit_limit,
+    available_credit: payer.available_credit,
+    generated_at: getKenyaTimeISO(),
+  };
+}
+
+// ----------------- Consolidated Invoices -----------------
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Gather a consolidated-billing payer's invoices raised in `period`
+ * (yyyy-mm) that are not on a consolidated invoice yet into one.
+ * `branch` limits it to the caller's branch; `branchId` is stored on it.
+ */
+async function consolidateInvoices(
+  req,
+  payerId,
+  period,
+  { branch, branchId = null } = {},
+) {
+  if (!PERIOD_PATTERN.test(String(period || ''))) {
+    throw codedError('period must be yyyy-mm', 'PERIOD_INVALID');
+  }
+  const scope = orAllBranches(branch);
+  const start = DateTime.fromISO(`${period}-01`, { zone: ZONE });
+  const end = start.plus({ months: 1 });
+
+  return withTransaction(async (tx) => {
+    const payer = await tx.queryOne(
+      'SELECT * FROM payers WHERE id = ? FOR UPDATE',
+      [payerId],
+    );
+    if (!payer) throw new AppError('Payer not found', 404);
+    if (!payer.consolidated) {
+      throw codedError(
+        `${payer.name} is not billed monthly`,
+        'PAYER_NOT_CONSOLIDATED',
+        409,
+      );
+    }
+
+    const invoices = await tx.query(
+      `SELECT i.id, i.total_amount, i.amount_credited
+       FROM invoices i
+       WHERE i.payer_id = ? AND i.deleted_at IS NULL AND i.consolidated_invoice_id IS NULL
+         AND i.currency = ? AND i.created_at >= ? AND i.created_at < ? AND ${scope.sql}
+       FOR UPDATE`,
+      [
+        payer.id,
+        payer.currency,
+        start.toFormat('yyyy-LL-dd'),
+        end.toFormat('yyyy-LL-dd'),
+        ...scope.params,
+      ],
+    );
+    if (!invoices.length) {
+      throw codedError(
+        `No ${period} invoices for ${payer.name} left to consolidate`,
+        'CONSOLIDATION_EMPTY',
+        409,
+      );
+    }
+
+    const row = {
+      invoice_number: await nextNumber(tx, 'consolidated'),
+      payer_id: payer.id,
+      period,
+      currency: payer.currency,
+      total_amount: round2(
+        invoices.reduce(
+          (sum, i) =>
+            sum + parseFloat(i.total_amount) - parseFloat(i.amount_credited),
+          0,
+        ),
+      ),
+      invoice_count: invoices.length,
+      branch_id: branchId,
+      due_date: end
+        .plus({ days: payer.payment_terms_days ?? DEFAULT_TERMS_DAYS })
+        .toISODate(),
+      created_by: actorOf(req) || 'system',
+      created_at: getKenyaTimeISO(),
+    };
+    const columns = Object.keys(row);
+    const result = await tx.query(
+      `INSERT INTO consolidated_invoices (${columns.join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => row[c]),
+    );
+    await tx.query(
+      `UPDATE invoices SET consolidated_invoice_id = ?
+       WHERE id IN (${invoices.map(() => '?').join(', ')})`,
+      [result.insertId, ...invoices.map((i) => i.id)],
+    );
+
+    const created = { id: result.insertId, ...row };
+    await recordAudit(tx, req, {
+      entity: 'consolidated_invoice',
+      entityId: result.insertId,
+      action: 'create',
+      before: null,
+      after: { ...created, invoice_ids: invoices.map((i) => i.id) },
+    });
+    return created;
+  });
+}
+
+/** Consolidated invoices, newest first. */
+async function listConsolidated({ payerId, branch } = {}) {
+  const scope = orAllBranches(branch);
+  return safeQuery(
+    `SELECT c.*, p.name AS payer_name
+     FROM consolidated_invoices c JOIN payers p ON p.id = c.payer_id
+     WHERE (? IS NULL OR c.payer_id = ?) AND ${scope.sql}
+     ORDER BY c.id DESC`,
+    [payerId ?? null, payerId ?? null, ...scope.params],
+  );
+}
+
+/** One consolidated invoice with the invoices on it. */
+async function getConsolidated(id, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  const [row] = await safeQuery(
+    `SELECT c.*, p.name AS payer_name, p.kra_pin, p.address, p.contact_person
+     FROM consolidated_invoices c JOIN payers p ON p.id = c.payer_id
+     WHERE c.id = ? AND ${scope.sql}`,
+    [id, ...scope.params],
+  );
+  if (!row) throw new AppError('Consolidated invoice not found', 404);
+
+  const invoices = await safeQuery(
+    `SELECT i.id, i.invoice_number, i.created_at, i.total_amount, i.amount_credited,
+            i.amount_paid, i.payment_status, i.member_number, i.tax_breakdown,
+            d.full_name, d.deceased_id
+     FROM invoices i LEFT JOIN deceased d ON d.id = i.deceased_id
+     WHERE i.consolidated_invoice_id = ? AND i.deleted_at IS NULL
+     ORDER BY i.created_at, i.id`,
+    [id],
+  );
+  return {
+    ...row,
+    invoices: invoices.map((i) => ({
+      ...i,
+      tax_breakdown: parseJSON(i.tax_breakdown) || [],
+      outstanding: round2(
+        parseFloat(i.total_amount) -
+          parseFloat(i.amount_credited) -
+          parseFloat(i.amount_paid),
+      ),
+    })),
+  };
+}
+
+/**
+ * Consolidate last month for every active consolidated-billing payer. Run
+ * on the 1st; payers with nothing to bill are passed over.
+ */
+async function consolidateLastMonth() {
+  const period = DateTime.now()
+    .setZone(ZONE)
+    .minus({ months: 1 })
+    .toFormat('yyyy-LL');
+  const payers = await safeQuery(
+    'SELECT id FROM payers WHERE consolidated = 1 AND active = 1',
+  );
+  const created = [];
+  for (const { id } of payers) {
+    try {
+      created.push(await consolidateInvoices(null, id, period));
+    } catch (err) {
+      if (err.code !== 'CONSOLIDATION_EMPTY') throw err;
+    }
+  }
+  return created;
+}
+
+module.exports = {
+  PAYER_KINDS,
+  SPLIT_KINDS,
+  listPayers,
+  getPayer,
+  savePayer,
+  addContract,
+  listBodyPayers,
+  setBodyPayers,
+  planPayerSplit,
+  createPayerInvoices,
+  splitExistingInvoice,
+  assertNotSplit,
+  assertNotConsolidated,
+  deletePayerInvoices,
+  bodyPayerOutstanding,
+  bodyPayerPosition,
+  payerStatement,
+  consolidateInvoices,
+  listConsolidated,
+  getConsolidated,
+  consolidateLastMonth,
+};
@@ -0,0 +1,574 @@
+// ----------------- Cashier Sessions -----------------
+// A cashier opens a session with the float in the drawer, takes payments
+// in it, and closes it by counting what they hold for each payment method.
+// A supervisor then signs the cash-up off.
+//
+//   Open        taking payments; POST /invoices/payment attaches them here
+//   Closed      counted; expected and counted amounts and the variance stored
+//   Signed Off  checked by someone other than the cashier; the session's
+//               payments are locked (`payments.locked_at`) and can no longer
+//               be reversed
+//
+// Expected amounts are what was handed over (`paid_amount` in
+// `paid_currency`), per method and currency, leaving out reversed payments.
+// Cash in the session's currency also expects the opening float back.
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const { toCurrencyCode, formatMoney } = require('../currency/currency');
+const { nextNumber } = require('../numbering/documentNumbers');
+const { round2, actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const SESSION_STATUSES = ['Open', 'Closed', 'Signed Off'];
+// Width of a line on the 80mm thermal printer
+const SLIP_WIDTH = 42;
+
+const isCash = (method) =>
+  String(method || '')
+    .trim()
+    .toLowerCase() === 'cash';
+
+const countKey = (method, currency) =>
+  `${String(method).trim().toLowerCase()}|${currency}`;
+
+/** The caller's open session, if any. */
+async function openSessionOf(run, req, { lock = false } = {}) {
+  const actor = actorOf(req);
+  if (!actor) return null;
+  return run.queryOne(
+    `SELECT * FROM cashier_sessions WHERE cashier_id = ? AND status = 'Open'
+     LIMIT 1 ${lock ? 'FOR UPDATE' : ''}`,
+    [actor],
+  );
+}
+
+/**
+ * The session a payment taken by the caller belongs to, inside the
+ * payment's transaction. Cash can only be taken in an open session; other
+ * methods are attached when the caller has one.
+ */
+async function sessionForPayment(tx, req, method) {
+  const session = await openSessionOf(tx, req, { lock: true });
+  if (!session && isCash(method)) {
+    throw codedError(
+      'Open a cashier session before taking cash',
+      'SESSION_REQUIRED',
+      409,
+    );
+  }
+  return session ? session.id : null;
+}
+
+/** Open a session for the caller with the float in the drawer. */
+async function openSession(req, { openingFloat, currency, notes, branchId }) {
+  const float = round2(openingFloat ?? 0);
+  if (!Number.isFinite(float) || float < 0) {
+    throw codedError('opening_float must be 0 or more', 'SESSION_INVALID');
+  }
+  const actor = actorOf(req);
+  if (!actor) {
+    throw codedError('Sessions belong to a signed-in user', 'SESSION_INVALID');
+  }
+
+  return withTransaction(async (tx) => {
+    const open = await openSessionOf(tx, req, { lock: true });
+    if (open) {
+      throw codedError(
+        `Session ${open.session_number} is still open`,
+        'SESSION_OPEN',
+        409,
+      );
+    }
+
+    const row = {
+      session_number: await nextNumber(tx, 'cashier_session'),
+      branch_id: branchId ?? null,
+      cashier_id: actor,
+      currency: toCurrencyCode(currency) || 'KES',
+      opening_float: float,
+      status: 'Open',
+      notes: notes ? String(notes).slice(0, 255) : null,
+      opened_at: getKenyaTimeISO(),
+    };
+    const columns = Object.keys(row);
+    const result = await tx.query(
+      `INSERT INTO cashier_sessions (${columns.join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => row[c]),
+    );
+    const created = { id: result.insertId, ...row };
+    await recordAudit(tx, req, {
+      entity: 'cashier_session',
+      entityId: result.insertId,
+      action: 'create',
+      before: null,
+      after: created,
+    });
+    return created;
+  });
+}
+
+// What the session's payments add up to, per method and currency, with the
+// float on the cash line
+async function expectedAmounts(run, session) {
+  const rows = await run.query(
+    `SELECT payment_method,
+            COALESCE(paid_currency, currency) AS currency,
+            COUNT(*) AS payments,
+            COALESCE(SUM(COALESCE(paid_amount, amount)), 0) AS total
+     FROM payments
+     WHERE cashier_session_id = ? AND (status IS NULL OR status = 'Active')
+     GROUP BY payment_method, COALESCE(paid_currency, currency)`,
+    [session.id],
+  );
+
+  const lines = new Map();
+  for (const row of rows) {
+    const currency = toCurrencyCode(row.currency) || 'KES';
+    const method = String(row.payment_method || 'Unknown').trim();
+    const key = countKey(method, currency);
+    const line = lines.get(key) || {
+      method: isCash(method) ? 'Cash' : method,
+      currency,
+      payments: 0,
+      taken: 0,
+    };
+    line.payments += Number(row.payments);
+    line.taken = round2(line.taken + parseFloat(row.total));
+    lines.set(key, line);
+  }
+
+  const cashKey = countKey('cash', session.currency);
+  if (!lines.has(cashKey)) {
+    lines.set(cashKey, {
+      method: 'Cash',
+      currency: session.currency,
+      payments: 0,
+      taken: 0,
+    });
+  }
+  for (const [key, line] of lines) {
+    line.expected =
+      key === cashKey
+        ? round2(line.taken + parseFloat(session.opening_float))
+        : line.taken;
+  }
+  return [...lines.values()];
+}
+
+async function reversedPayments(run, sessionId) {
+  return run.queryOne(
+    `SELECT COUNT(*) AS payments,
+            COALESCE(SUM(COALESCE(paid_amount, amount)), 0) AS total
+     FROM payments WHERE cashier_session_id = ? AND status = 'Reversed'`,
+    [sessionId],
+  );
+}
+
+// Expected against counted for every line; store them and the cash totals
+async function storeCounts(tx, session, counted) {
+  const lines = await expectedAmounts(tx, session);
+  const keys = new Set(lines.map((l) => countKey(l.method, l.currency)));
+  for (const [key, count] of counted) {
+    if (!keys.has(key)) {
+      lines.push({
+        method: count.method,
+        currency: count.currency,
+        payments: 0,
+        taken: 0,
+        expected: 0,
+      });
+    }
+  }
+
+  await tx.query('DELETE FROM cashier_session_counts WHERE session_id = ?', [
+    session.id,
+  ]);
+  let cash = null;
+  for (const line of lines) {
+    const key = countKey(line.method, line.currency);
+    line.counted = counted.get(key)?.counted ?? 0;
+    line.variance = round2(line.counted - line.expected);
+    await tx.query(
+      `INSERT INTO cashier_session_counts
+       (session_id, method, currency, payments, expected, counted, variance)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        session.id,
+        line.method,
+        line.currency,
+        line.payments,
+        line.expected,
+        line.counted,
+        line.variance,
+      ],
+    );
+    if (key === countKey('cash', session.currency)) cash = line;
+  }
+
+  await tx.query(
+    `UPDATE cashier_sessions
+     SET expected_cash = ?, counted_cash = ?, cash_variance = ?
+     WHERE id = ?`,
+    [cash.expected, cash.counted, cash.variance, session.id],
+  );
+  return lines;
+}
+
+function parseCounts(counts, session) {
+  if (!Array.isArray(counts) || !counts.length) {
+    throw codedError(
+      'counts must list what was counted for each payment method',
+      'SESSION_INVALID',
+    );
+  }
+  const parsed = new Map();
+  counts.forEach((count, i) => {
+    const method = String(count?.method || '').trim();
+    const counted = round2(count?.counted);
+    if (!method) {
+      throw codedError(`counts[${i}].method is required`, 'SESSION_INVALID');
+    }
+    if (!Number.isFinite(counted) || counted < 0) {
+      throw codedError(
+        `counts[${i}].counted must be 0 or more`,
+        'SESSION_INVALID',
+      );
+    }
+    const currency = toCurrencyCode(count.currency) || session.currency;
+    parsed.set(countKey(method, currency), {
+      method: isCash(method) ? 'Cash' : method,
+      currency,
+      counted,
+    });
+  });
+  return parsed;
+}
+
+async function lockSession(tx, sessionId, branch) {
+  const scope = orAllBranches(branch);
+  const session = await tx.queryOne(
+    `SELECT s.* FROM cashier_sessions s WHERE s.id = ? AND ${scope.sql} FOR UPDATE`,
+    [sessionId, ...scope.params],
+  );
+  if (!session) throw new AppError('Cashier session not found', 404);
+  return session;
+}
+
+/**
+ * Close a session with what the cashier counted, e.g.
+ * `[{ method: 'Cash', counted: 15200 }, { method: 'M-Pesa', counted: 8000 }]`.
+ * Methods with payments that are not in `counts` are counted as 0. Only the
+ * cashier, or a supervisor (`supervisor: true`), may close it.
+ */
+async function closeSession(
+  req,
+  sessionId,
+  { counts, note, branch, supervisor = false },
+) {
+  return withTransaction(async (tx) => {
+    const before = await lockSession(tx, sessionId, branch);
+    if (before.status !== 'Open') {
+      throw codedError(
+        `Session ${before.session_number} is ${before.status}`,
+        'SESSION_CLOSED',
+        409,
+      );
+    }
+    if (!supervisor && before.cashier_id !== actorOf(req)) {
+      throw codedError(
+        'Only the cashier or a supervisor can close this session',
+        'SESSION_NOT_YOURS',
+        403,
+      );
+    }
+
+    const lines = await storeCounts(tx, before, parseCounts(counts, before));
+    await tx.query(
+      `UPDATE cashier_sessions
+       SET status = 'Closed', closed_by = ?, closed_at = ?, closing_note = ?
+       WHERE id = ?`,
+      [
+        actorOf(req),
+        getKenyaTimeISO(),
+        note ? String(note).slice(0, 255) : null,
+        sessionId,
+      ],
+    );
+
+    const after = await tx.queryOne(
+      'SELECT * FROM cashier_sessions WHERE id = ?',
+      [sessionId],
+    );
+    await recordAudit(tx, req, {
+      entity: 'cashier_session',
+      entityId: sessionId,
+      action: 'update',
+      before,
+      after,
+    });
+    return { ...after, counts: lines };
+  });
+}
+
+/**
+ * Sign a closed session off. The expected amounts are worked out again (a
+ * payment may have been reversed since the count), then the session's
+ * payments are locked. The cashier cannot sign off their own session.
+ */
+async function signOffSession(req, sessionId, { note, branch }) {
+  return withTransaction(async (tx) => {
+    const before = await lockSession(tx, sessionId, branch);
+    if (before.status !== 'Closed') {
+      throw codedError(
+        before.status === 'Open'
+          ? `Session ${before.session_number} must be closed and counted first`
+          : `Session ${before.session_number} is already signed off`,
+        'SESSION_NOT_CLOSED',
+        409,
+      );
+    }
+    const actor = actorOf(req);
+    if (actor && before.cashier_id === actor) {
+      throw codedError(
+        'A cash-up must be signed off by someone other than the cashier',
+        'SESSION_SELF_SIGN_OFF',
+        403,
+      );
+    }
+
+    const counted = await tx.query(
+      'SELECT method, currency, counted FROM cashier_session_counts WHERE session_id = ?',
+      [sessionId],
+    );
+    const lines = await storeCounts(
+      tx,
+      before,
+      new Map(
+        counted.map((c) => [
+          countKey(c.method, c.currency),
+          { ...c, counted: parseFloat(c.counted) },
+        ]),
+      ),
+    );
+
+    const now = getKenyaTimeISO();
+    await tx.query(
+      `UPDATE cashier_sessions
+       SET status = 'Signed Off', signed_off_by = ?, signed_off_at = ?, sign_off_note = ?
+       WHERE id = ?`,
+      [actor, now, note ? String(note).slice(0, 255) : null, sessionId],
+    );
+    await tx.query(
+      'UPDATE payments SET locked_at = ? WHERE cashier_session_id = ?',
+      [now, sessionId],
+    );
+
+    const after = await tx.queryOne(
+      'SELECT * FROM cashier_sessions WHERE id = ?',
+      [sessionId],
+    );
+    await recordAudit(tx, req, {
+      entity: 'cashier_session',
+      entityId: sessionId,
+      action: 'update',
+      before,
+      after,
+    });
+    return { ...after, counts: lines };
+  });
+}
+
+const SESSION_SQL = `
+  SELECT s.*, u.name AS cashier_name, sv.name AS signed_off_by_name,
+         (SELECT COUNT(*) FROM payments p WHERE p.cashier_session_id = s.id) AS payments
+  FROM cashier_sessions s
+  LEFT JOIN users u ON u.id = s.cashier_id
+  LEFT JOIN users sv ON sv.id = s.signed_off_by`;
+
+/**
+ * One session with its lines per method and its payments. An open session
+ * shows what is expected so far; a closed one what was counted.
+ */
+async function getSession(sessionId, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  const run = {
+    query: safeQuery,
+    queryOne: async (sql, params) => (await safeQuery(sql, params))[0] || null,
+  };
+  const session = await run.queryOne(
+    `${SESSION_SQL} WHERE s.id = ? AND ${scope.sql}`,
+    [sessionId, ...scope.params],
+  );
+  if (!session) throw new AppError('Cashier session not found', 404);
+
+  const [counts, reversed, payments] = await Promise.all([
+    session.status === 'Open'
+      ? expectedAmounts(run, session)
+      : safeQuery(
+          'SELECT * FROM cashier_session_counts WHERE session_id = ? ORDER BY id',
+          [sessionId],
+        ),
+    reversedPayments(run, sessionId),
+    safeQuery(
+      `SELECT p.payment_id, p.receipt_number, p.payment_method, p.reference_code,
+              COALESCE(p.paid_amount, p.amount) AS paid_amount,
+              COALESCE(p.paid_currency, p.currency) AS paid_currency,
+              p.status, p.payment_date, d.deceased_id, d.full_name
+       FROM payments p
+       LEFT JOIN deceased d ON d.id = p.deceased_id
+       WHERE p.cashier_session_id = ?
+       ORDER BY p.payment_date, p.payment_id`,
+      [sessionId],
+    ),
+  ]);
+  return {
+    ...session,
+    counts,
+    reversed: {
+      payments: Number(reversed.payments),
+      total: round2(reversed.total),
+    },
+    payment_list: payments,
+  };
+}
+
+/** The caller's open session, or null. */
+async function currentSession(req) {
+  const [open] = await safeQuery(
+    "SELECT id FROM cashier_sessions WHERE cashier_id = ? AND status = 'Open'",
+    [actorOf(req)],
+  );
+  return open ? getSession(open.id) : null;
+}
+
+/** Sessions, newest first. Filters: status, cashier, opened from/to dates. */
+async function listSessions({ branch, status, cashierId, from, to } = {}) {
+  const scope = orAllBranches(branch);
+  const where = [scope.sql];
+  const params = [...scope.params];
+  if (status) {
+    where.push('s.status = ?');
+    params.push(status);
+  }
+  if (cashierId) {
+    where.push('s.cashier_id = ?');
+    params.push(String(cashierId));
+  }
+  if (from) {
+    where.push('s.opened_at >= ?');
+    params.push(`${from} 00:00:00`);
+  }
+  if (to) {
+    where.push('s.opened_at <= ?');
+    params.push(`${to} 23:59:59`);
+  }
+  return safeQuery(
+    `${SESSION_SQL} WHERE ${where.join(' AND ')} ORDER BY s.opened_at DESC, s.id DESC`,
+    params,
+  );
+}
+
+// ----------------- Z-Report -----------------
+
+// "label ........ value" on one slip line
+const slipLine = (label, value = '') => {
+  const gap = Math.max(SLIP_WIDTH - label.length - value.length, 1);
+  return `${label}${' '.repeat(gap)}${value}`;
+};
+
+const slipTime = (value) =>
+  value
+    ? DateTime.fromSQL(String(value).slice(0, 19)).toFormat('dd/LL/yyyy HH:mm')
+    : '-';
+
+/**
+ * The Z-report of a closed or signed-off session as slip text for the
+ * thermal printer: `{ title, content }`.
+ */
+function zReport(session) {
+  if (session.status === 'Open') {
+    throw codedError(
+      `Session ${session.session_number} must be closed first`,
+      'SESSION_NOT_CLOSED',
+      409,
+    );
+  }
+  const rule = '-'.repeat(SLIP_WIDTH);
+  const amount = (n) =>
+    Number(n || 0).toLocaleString('en-KE', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+
+  const lines = [
+    'LEE FUNERAL HOME',
+    `Z-REPORT ${session.session_number}`,
+    rule,
+    slipLine('Cashier', String(session.cashier_name || session.cashier_id)),
+    slipLine('Opened', slipTime(session.opened_at)),
+    slipLine('Closed', slipTime(session.closed_at)),
+    slipLine('Payments', String(session.payments)),
+    slipLine(
+      'Opening float',
+      formatMoney(session.opening_float, session.currency),
+    ),
+    rule,
+  ];
+  for (const count of session.counts) {
+    lines.push(
+      `${count.method} (${count.currency}) x${count.payments}`,
+      slipLine('  Expected', amount(count.expected)),
+      slipLine('  Counted', amount(count.counted)),
+      slipLine('  Variance', amount(count.variance)),
+    );
+  }
+  lines.push(rule);
+  if (session.reversed.payments > 0) {
+    lines.push(
+      slipLine(
+        `Reversed x${session.reversed.payments}`,
+        amount(session.reversed.total),
+      ),
+    );
+  }
+  lines.push(
+    slipLine(
+      'CASH VARIANCE',
+      formatMoney(session.cash_variance, session.currency),
+    ),
+    rule,
+    session.status === 'Signed Off'
+      ? slipLine(
+          'Signed off',
+          `${session.signed_off_by_name || session.signed_off_by} ${slipTime(session.signed_off_at)}`,
+        )
+      : 'NOT SIGNED OFF',
+  );
+  if (session.closing_note) lines.push(`Note: ${session.closing_note}`);
+  return {
+    title: `Z-Report ${session.session_number}`,
+    content: lines.join('\n'),
+  };
+}
+
+module.exports = {
+  SESSION_STATUSES,
+  sessionForPayment,
+  openSession,
+  closeSession,
+  signOffSession,
+  getSession,
+  currentSession,
+  listSessions,
+  zReport,
+};
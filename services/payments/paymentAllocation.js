@@ -0,0 +1,982 @@
+// ----------------- Payment Allocation -----------------
+// A payment is spread over the invoices and extra charges it settles. Each
+// allocation is a row in `payment_allocations`; releasing money (a refund or
+// reversal) adds a negative row rather than editing the old one. Whatever
+// is not allocated stays on account as a deposit and is applied to the
+// body's next invoice.
+//
+// An invoice's status follows from its allocations and approved credit notes:
+//
+//   Unpaid    nothing allocated
+//   Partial   allocated < total - credited
+//   Paid      allocated = total - credited
+//   Overpaid  allocated > total - credited
+//
+// When a body's invoice is split with payers (insurers, employers...), what
+// the payers' own invoices cover is counted like a credit on the body's one.
+//
+// Refunds, credit notes and payment reversals are requested first and only
+// touch the ledger once someone other than the requester approves them.
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const {
+  toCurrencyCode,
+  normaliseCurrency,
+  convert,
+  kesEquivalent,
+  formatMoney,
+} = require('../currency/currency');
+const {
+  postSource,
+  postRefund,
+  syncDeceasedBalance,
+} = require('../ledger/ledger');
+const { nextNumber } = require('../numbering/documentNumbers');
+const { CENT, round2, actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const INVOICE_STATUSES = ['Unpaid', 'Partial', 'Paid', 'Overpaid'];
+const ADJUSTMENT_KINDS = ['refund', 'credit_note', 'reversal'];
+const ADJUSTMENT_STATUSES = ['Pending', 'Approved', 'Rejected'];
+
+/** Status of an invoice from its total, allocated payments and credit notes. */
+function invoiceStatus(total, paid, credited = 0) {
+  const due = round2(total - credited);
+  if (paid > due + CENT) return 'Overpaid';
+  if (due - paid < CENT) return 'Paid';
+  if (paid < CENT) return 'Unpaid';
+  return 'Partial';
+}
+
+// ----------------- Payments -----------------
+
+/**
+ * A payment with its body. Payments reference either the numeric
+ * `deceased.id` or, in older rows, the string `deceased_id`.
+ */
+async function loadPayment(tx, paymentId, { lock = false, branch } = {}) {
+  const scope = orAllBranches(branch);
+  const payment = await tx.queryOne(
+    `SELECT p.*, d.id AS deceased_row_id, d.deceased_id AS account_id,
+            d.full_name, d.branch_id, d.currency AS billing_currency
+     FROM payments p
+     JOIN deceased d ON d.id = p.deceased_id OR d.deceased_id = p.deceased_id
+     WHERE p.payment_id = ? AND ${scope.sql}
+     LIMIT 1
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [paymentId, ...scope.params],
+  );
+  if (!payment) return null;
+
+  payment.currency =
+    toCurrencyCode(payment.currency || payment.billing_currency) || 'KES';
+  return payment;
+}
+
+/** How much of a payment is allocated, refunded and still on account. */
+async function paymentPosition(tx, payment) {
+  const allocated = await tx.queryOne(
+    `SELECT COALESCE(SUM(amount), 0) AS total
+     FROM payment_allocations WHERE payment_id = ?`,
+    [payment.payment_id],
+  );
+  const refunded = await tx.queryOne(
+    `SELECT COALESCE(SUM(amount), 0) AS total
+     FROM payment_adjustments
+     WHERE payment_id = ? AND kind = 'refund' AND status = 'Approved'`,
+    [payment.payment_id],
+  );
+
+  const amount = parseFloat(payment.amount);
+  const position = {
+    amount,
+    allocated: round2(allocated.total),
+    refunded: round2(refunded.total),
+    reversed: payment.status === 'Reversed',
+  };
+  position.unallocated = position.reversed
+    ? 0
+    : round2(amount - position.allocated - position.refunded);
+  return position;
+}
+
+/** Net allocations of a payment, one row per invoice or charge. */
+async function paymentAllocations(tx, paymentId) {
+  return tx.query(
+    `SELECT a.invoice_id, a.extra_charge_id, SUM(a.amount) AS amount,
+            MAX(a.id) AS last_id, i.invoice_number, e.charge_type
+     FROM payment_allocations a
+     LEFT JOIN invoices i ON i.id = a.invoice_id
+     LEFT JOIN extra_charges e ON e.id = a.extra_charge_id
+     WHERE a.payment_id = ?
+     GROUP BY a.invoice_id, a.extra_charge_id, i.invoice_number, e.charge_type
+     HAVING SUM(a.amount) > 0
+     ORDER BY last_id`,
+    [paymentId],
+  );
+}
+
+// ----------------- Invoice & Charge Status -----------------
+
+/**
+ * Recompute an invoice's paid / credited totals and its status. Payer
+ * invoices split from it count as `amount_covered`; refreshing a payer
+ * invoice refreshes the body's invoice too.
+ */
+async function refreshInvoice(tx, invoiceId) {
+  const invoice = await tx.queryOne(
+    `SELECT id, invoice_number, total_amount, parent_invoice_id
+     FROM invoices WHERE id = ?`,
+    [invoiceId],
+  );
+  if (!invoice) return null;
+
+  const paid = await tx.queryOne(
+    `SELECT COALESCE(SUM(amount), 0) AS total
+     FROM payment_allocations WHERE invoice_id = ?`,
+    [invoiceId],
+  );
+  const credited = await tx.queryOne(
+    `SELECT COALESCE(SUM(amount), 0) AS total
+     FROM payment_adjustments
+     WHERE invoice_id = ? AND kind = 'credit_note' AND status = 'Approved'`,
+    [invoiceId],
+  );
+  const covered = await tx.queryOne(
+    `SELECT COALESCE(SUM(total_amount - amount_credited), 0) AS total
+     FROM invoices WHERE parent_invoice_id = ? AND deleted_at IS NULL`,
+    [invoiceId],
+  );
+
+  const total = parseFloat(invoice.total_amount);
+  const amountPaid = round2(paid.total);
+  const amountCredited = round2(credited.total);
+  const amountCovered = round2(covered.total);
+  const status = invoiceStatus(
+    total,
+    amountPaid,
+    amountCredited + amountCovered,
+  );
+
+  await tx.query(
+    `UPDATE invoices
+     SET amount_paid = ?, amount_credited = ?, amount_covered = ?, payment_status = ?
+     WHERE id = ?`,
+    [amountPaid, amountCredited, amountCovered, status, invoiceId],
+  );
+  // A credit note on a payer invoice changes what it covers
+  if (invoice.parent_invoice_id) {
+    await refreshInvoice(tx, invoice.parent_invoice_id);
+  }
+
+  return {
+    invoice_id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    total_amount: total,
+    amount_paid: amountPaid,
+    amount_credited: amountCredited,
+    amount_covered: amountCovered,
+    outstanding: round2(total - amountCredited - amountCovered - amountPaid),
+    payment_status: status,
+  };
+}
+
+/**
+ * An extra charge paid in full directly is marked `Paid`; releasing the
+ * payment puts it back to `Pending` so it is billed again.
+ */
+async function refreshCharge(tx, chargeId) {
+  const charge = await tx.queryOne(
+    `SELECT e.id, e.amount, e.status,
+            COALESCE(SUM(a.amount), 0) AS paid, COUNT(a.id) AS allocations
+     FROM extra_charges e
+     LEFT JOIN payment_allocations a ON a.extra_charge_id = e.id
+     WHERE e.id = ?
+     GROUP BY e.id, e.amount, e.status`,
+    [chargeId],
+  );
+  if (!charge || charge.status === 'Cancelled') return charge;
+
+  const settled = parseFloat(charge.paid) >= parseFloat(charge.amount) - CENT;
+  let status = charge.status;
+  if (settled && status !== 'Paid') status = 'Paid';
+  if (!settled && status === 'Paid' && charge.allocations > 0) {
+    status = 'Pending';
+  }
+  if (status !== charge.status) {
+    await tx.query('UPDATE extra_charges SET status = ? WHERE id = ?', [
+      status,
+      chargeId,
+    ]);
+  }
+  return { ...charge, status };
+}
+
+async function refreshTargets(tx, rows) {
+  const invoices = [];
+  const charges = [];
+  const seen = new Set();
+  for (const row of rows) {
+    const key = row.invoice_id
+      ? `i${row.invoice_id}`
+      : `c${row.extra_charge_id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (row.invoice_id) invoices.push(await refreshInvoice(tx, row.invoice_id));
+    else charges.push(await refreshCharge(tx, row.extra_charge_id));
+  }
+  return { invoices, charges };
+}
+
+// ----------------- Allocation -----------------
+
+// Open invoices of the payment's body, oldest first, in its currency.
+// Payer invoices are only paid by naming them.
+async function autoAllocations(tx, payment, available) {
+  const open = await tx.query(
+    `SELECT id, total_amount, amount_paid, amount_credited, amount_covered, currency
+     FROM invoices
+     WHERE deceased_id = ? AND deleted_at IS NULL AND payer_id IS NULL
+       AND payment_status IN ('Unpaid', 'Partial')
+     ORDER BY created_at, id
+     FOR UPDATE`,
+    [payment.deceased_row_id],
+  );
+
+  const lines = [];
+  let left = available;
+  for (const invoice of open) {
+    if (left < CENT) break;
+    if ((toCurrencyCode(invoice.currency) || 'KES') !== payment.currency) {
+      continue;
+    }
+    const outstanding = round2(
+      parseFloat(invoice.total_amount) -
+        parseFloat(invoice.amount_credited || 0) -
+        parseFloat(invoice.amount_covered || 0) -
+        parseFloat(invoice.amount_paid || 0),
+    );
+    if (outstanding < CENT) continue;
+    const amount = round2(Math.min(left, outstanding));
+    lines.push({ invoice_id: invoice.id, amount });
+    left = round2(left - amount);
+  }
+  return lines;
+}
+
+async function checkTarget(tx, payment, line) {
+  if (line.invoice_id) {
+    const invoice = await tx.queryOne(
+      `SELECT id, deceased_id, currency FROM invoices
+       WHERE id = ? AND deleted_at IS NULL FOR UPDATE`,
+      [line.invoice_id],
+    );
+    if (
+      !invoice ||
+      String(invoice.deceased_id) !== String(payment.deceased_row_id)
+    ) {
+      throw codedError(
+        `Invoice ${line.invoice_id} is not an open invoice for this body`,
+        'ALLOCATION_INVALID',
+      );
+    }
+    if ((toCurrencyCode(invoice.currency) || 'KES') !== payment.currency) {
+      throw codedError(
+        `Invoice ${line.invoice_id} is in ${invoice.currency}; the payment is in ${payment.currency}`,
+        'CURRENCY_MISMATCH',
+        409,
+      );
+    }
+    return;
+  }
+
+  const charge = await tx.queryOne(
+    'SELECT id, deceased_id, status FROM extra_charges WHERE id = ? FOR UPDATE',
+    [line.extra_charge_id],
+  );
+  if (
+    !charge ||
+    charge.status === 'Cancelled' ||
+    String(charge.deceased_id) !== String(payment.account_id)
+  ) {
+    throw codedError(
+      `Extra charge ${line.extra_charge_id} is not an open charge for this body`,
+      'ALLOCATION_INVALID',
+    );
+  }
+}
+
+/**
+ * Allocate part of a payment. `lines` is `[{ invoice_id | extra_charge_id,
+ * amount }]`; without lines the payment goes to the body's open invoices,
+ * oldest first. Allocations may not exceed what is still on account.
+ */
+async function allocatePayment(tx, req, payment, lines) {
+  if (payment.status === 'Reversed') {
+    throw codedError('Payment has been reversed', 'PAYMENT_REVERSED', 409);
+  }
+
+  const before = await paymentPosition(tx, payment);
+  const requested =
+    Array.isArray(lines) && lines.length
+      ? lines
+      : await autoAllocations(tx, payment, before.unallocated);
+
+  let available = before.unallocated;
+  const rows = [];
+  const now = getKenyaTimeISO();
+  for (const line of requested) {
+    const amount = round2(line.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw codedError(
+        'Each allocation needs an amount above 0',
+        'ALLOCATION_INVALID',
+      );
+    }
+    if (!line.invoice_id === !line.extra_charge_id) {
+      throw codedError(
+        'Each allocation needs either invoice_id or extra_charge_id',
+        'ALLOCATION_INVALID',
+      );
+    }
+    if (amount > available + CENT) {
+      throw codedError(
+        `Only ${available} of this payment is unallocated`,
+        'ALLOCATION_EXCEEDS_PAYMENT',
+        409,
+      );
+    }
+
+    await checkTarget(tx, payment, line);
+    const row = {
+      payment_id: payment.payment_id,
+      invoice_id: line.invoice_id || null,
+      extra_charge_id: line.extra_charge_id || null,
+      amount,
+      note: line.note ? String(line.note).slice(0, 255) : null,
+      created_by: actorOf(req),
+      created_at: now,
+    };
+    const result = await tx.query(
+      `INSERT INTO payment_allocations
+       (payment_id, invoice_id, extra_charge_id, amount, note, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        row.payment_id,
+        row.invoice_id,
+        row.extra_charge_id,
+        row.amount,
+        row.note,
+        row.created_by,
+        row.created_at,
+      ],
+    );
+    rows.push({ id: result.insertId, ...row });
+    available = round2(available - amount);
+  }
+
+  const targets = await refreshTargets(tx, rows);
+  if (rows.length) {
+    await recordAudit(tx, req, {
+      entity: 'payment',
+      entityId: payment.payment_id,
+      action: 'update',
+      before: { allocated: before.allocated, unallocated: before.unallocated },
+      after: {
+        allocated: round2(before.allocated + before.unallocated - available),
+        unallocated: available,
+        allocations: rows,
+      },
+    });
+  }
+
+  return { allocations: rows, unallocated: available, ...targets };
+}
+
+/**
+ * Allocate a payment to one invoice up to what it still owes, then the rest
+ * to the body's other open invoices; anything left stays on account. Used
+ * when money arrives for an invoice but its amount was set by the payer.
+ */
+async function allocateToInvoiceFirst(tx, req, paymentId, invoiceId) {
+  const payment = await loadPayment(tx, paymentId, { lock: true });
+  const invoice =
+    invoiceId &&
+    (await tx.queryOne(
+      'SELECT currency FROM invoices WHERE id = ? AND deleted_at IS NULL',
+      [invoiceId],
+    ));
+  const status = invoice && (await refreshInvoice(tx, invoiceId));
+  const { unallocated } = await paymentPosition(tx, payment);
+
+  if (
+    status &&
+    status.outstanding > 0 &&
+    (toCurrencyCode(invoice.currency) || 'KES') === payment.currency
+  ) {
+    await allocatePayment(tx, req, payment, [
+      {
+        invoice_id: invoiceId,
+        amount: Math.min(unallocated, status.outstanding),
+      },
+    ]);
+  }
+  return allocatePayment(tx, req, payment);
+}
+
+/**
+ * Record a payment for a body the caller has locked, post it to the ledger
+ * and allocate it. `amount` is what was handed over, in `currency` (default:
+ * the body's billing currency); the ledger gets its value in the billing
+ * currency at the payment date. It is allocated to `allocations`, to
+ * `invoiceId` / `extraChargeId` in full, or to the oldest open invoices;
+ * `deposit` keeps it all on account.
+ */
+async function recordPayment(
+  tx,
+  req,
+  deceased,
+  {
+    amount,
+    currency,
+    method,
+    reference,
+    description,
+    allocations,
+    invoiceId,
+    extraChargeId,
+    deposit = false,
+    paidAt,
+    sessionId = null,
+  },
+) {
+  const paymentDate = paidAt || getKenyaTimeISO();
+  const billingCurrency = toCurrencyCode(deceased.currency) || 'KES';
+  const paidCurrency = normaliseCurrency(currency, billingCurrency);
+  const applied = await convert(
+    amount,
+    paidCurrency,
+    billingCurrency,
+    paymentDate,
+  );
+  const { amount_kes } = await kesEquivalent(amount, paidCurrency, paymentDate);
+  const receiptNumber = await nextNumber(tx, 'receipt');
+
+  const result = await tx.query(
+    `INSERT INTO payments
+     (deceased_id, receipt_number, amount, currency, paid_amount, paid_currency, exchange_rate,
+      amount_kes, payment_method, reference_code, description, payment_date, cashier_session_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      deceased.id,
+      receiptNumber,
+      applied.amount,
+      billingCurrency,
+      amount,
+      paidCurrency,
+      applied.rate,
+      amount_kes,
+      method,
+      reference || `PAY-${Date.now()}`,
+      description || 'Mortuary Services Payment',
+      paymentDate,
+      sessionId,
+    ],
+  );
+
+  const paidNote =
+    paidCurrency === billingCurrency
+      ? ''
+      : ` (${formatMoney(amount, paidCurrency)})`;
+  await postSource(tx, {
+    deceased,
+    sourceType: 'payment',
+    sourceId: result.insertId,
+    amount: applied.amount,
+    description:
+      `Payment ${receiptNumber} ${method} ${reference || ''}`.trim() + paidNote,
+    postedBy: actorOf(req),
+    postedAt: paymentDate,
+  });
+
+  let lines = allocations;
+  if (!lines && (invoiceId || extraChargeId)) {
+    lines = [
+      {
+        invoice_id: invoiceId || null,
+        extra_charge_id: invoiceId ? null : extraChargeId,
+        amount: applied.amount,
+      },
+    ];
+  }
+  const payment = await loadPayment(tx, result.insertId);
+  const allocation = deposit
+    ? { allocations: [], unallocated: applied.amount, invoices: [] }
+    : await allocatePayment(tx, req, payment, lines);
+
+  return {
+    payment_id: result.insertId,
+    receipt_number: receiptNumber,
+    amount: applied.amount,
+    currency: billingCurrency,
+    paid_amount: amount,
+    paid_currency: paidCurrency,
+    amount_kes,
+    cashier_session_id: sessionId,
+    allocations: allocation.allocations,
+    unallocated: allocation.unallocated,
+    invoices: allocation.invoices,
+    balance: await syncDeceasedBalance(tx, deceased),
+  };
+}
+
+/**
+ * Release up to `amount` (all when omitted) of a payment's allocations,
+ * newest first, by adding negative allocation rows. Returns the amount
+ * released.
+ */
+async function releaseAllocations(tx, req, paymentId, amount = Infinity, note) {
+  const current = await paymentAllocations(tx, paymentId);
+  const rows = [];
+  let left = amount;
+  const now = getKenyaTimeISO();
+
+  for (const allocation of current.reverse()) {
+    if (left < CENT) break;
+    const release = round2(Math.min(left, parseFloat(allocation.amount)));
+    await tx.query(
+      `INSERT INTO payment_allocations
+       (payment_id, invoice_id, extra_charge_id, amount, note, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        paymentId,
+        allocation.invoice_id,
+        allocation.extra_charge_id,
+        -release,
+        note ? String(note).slice(0, 255) : null,
+        actorOf(req),
+        now,
+      ],
+    );
+    rows.push(allocation);
+    left = round2(left - release);
+  }
+
+  await refreshTargets(tx, rows);
+  return amount === Infinity
+    ? round2(current.reduce((sum, a) => sum + parseFloat(a.amount), 0))
+    : round2(amount - left);
+}
+
+/** Put every payment allocated to an invoice back on account (invoice deleted). */
+async function releaseInvoiceAllocations(tx, req, invoiceId) {
+  const rows = await tx.query(
+    `SELECT payment_id, SUM(amount) AS amount FROM payment_allocations
+     WHERE invoice_id = ? GROUP BY payment_id HAVING SUM(amount) > 0`,
+    [invoiceId],
+  );
+  const now = getKenyaTimeISO();
+  for (const row of rows) {
+    await tx.query(
+      `INSERT INTO payment_allocations
+       (payment_id, invoice_id, extra_charge_id, amount, note, created_by, created_at)
+       VALUES (?, ?, NULL, ?, ?, ?, ?)`,
+      [
+        row.payment_id,
+        invoiceId,
+        -round2(row.amount),
+        'Invoice deleted',
+        actorOf(req),
+        now,
+      ],
+    );
+  }
+  if (rows.length) await refreshInvoice(tx, invoiceId);
+  return rows.length;
+}
+
+/**
+ * Apply money the body has on account (deposits and overpayments) to a new
+ * invoice, oldest payment first.
+ */
+async function applyAccountCredit(tx, req, deceased, invoiceId) {
+  let invoice = await refreshInvoice(tx, invoiceId);
+  const payments = await tx.query(
+    `SELECT payment_id FROM payments
+     WHERE deceased_id IN (?, ?) AND (status IS NULL OR status = 'Active')
+     ORDER BY payment_date, payment_id`,
+    [String(deceased.id), deceased.deceased_id],
+  );
+
+  for (const { payment_id } of payments) {
+    if (!invoice || invoice.outstanding < CENT) break;
+    const payment = await loadPayment(tx, payment_id, { lock: true });
+    const { unallocated } = await paymentPosition(tx, payment);
+    if (unallocated < CENT) continue;
+
+    const invoiceRow = await tx.queryOne(
+      'SELECT currency FROM invoices WHERE id = ?',
+      [invoiceId],
+    );
+    if ((toCurrencyCode(invoiceRow.currency) || 'KES') !== payment.currency) {
+      continue;
+    }
+
+    await allocatePayment(tx, req, payment, [
+      {
+        invoice_id: invoiceId,
+        amount: Math.min(unallocated, invoice.outstanding),
+        note: 'Applied from account credit',
+      },
+    ]);
+    invoice = await refreshInvoice(tx, invoiceId);
+  }
+  return invoice;
+}
+
+// ----------------- Refunds, Credit Notes & Reversals -----------------
+
+// A payment in a signed-off cash-up stays as it was counted
+function assertNotLocked(payment) {
+  if (payment.locked_at) {
+    throw codedError(
+      `Payment ${payment.receipt_number || payment.payment_id} is in a signed-off cash-up and cannot be reversed`,
+      'PAYMENT_LOCKED',
+      409,
+    );
+  }
+}
+
+async function validateAdjustment(tx, deceased, kind, payload) {
+  if (kind === 'credit_note') {
+    const invoice = await tx.queryOne(
+      `SELECT id, total_amount, amount_credited, amount_covered FROM invoices
+       WHERE id = ? AND deceased_id = ? AND deleted_at IS NULL FOR UPDATE`,
+      [payload.invoice_id, deceased.id],
+    );
+    if (!invoice) {
+      throw codedError(
+        'invoice_id must be an invoice of this body',
+        'ADJUSTMENT_INVALID',
+      );
+    }
+    const creditable = round2(
+      parseFloat(invoice.total_amount) -
+        parseFloat(invoice.amount_credited || 0) -
+        parseFloat(invoice.amount_covered || 0),
+    );
+    const amount = round2(payload.amount);
+    if (amount > creditable + CENT) {
+      throw codedError(
+        `Cannot credit more than ${creditable} on this invoice`,
+        'CREDIT_EXCEEDS_INVOICE',
+        409,
+      );
+    }
+    return { amount, invoiceId: invoice.id, paymentId: null };
+  }
+
+  const payment = payload.payment_id
+    ? await loadPayment(tx, payload.payment_id, { lock: true })
+    : null;
+  if (!payment || payment.account_id !== deceased.deceased_id) {
+    throw codedError(
+      'payment_id must be a payment of this body',
+      'ADJUSTMENT_INVALID',
+    );
+  }
+  if (payment.status === 'Reversed') {
+    throw codedError('Payment has been reversed', 'PAYMENT_REVERSED', 409);
+  }
+  const position = await paymentPosition(tx, payment);
+
+  if (kind === 'reversal') {
+    assertNotLocked(payment);
+    if (position.refunded > 0) {
+      throw codedError(
+        'A payment that has been partly refunded cannot be reversed',
+        'PAYMENT_REFUNDED',
+        409,
+      );
+    }
+    return {
+      amount: position.amount,
+      invoiceId: null,
+      paymentId: payment.payment_id,
+    };
+  }
+
+  const amount = round2(payload.amount);
+  const refundable = round2(position.amount - position.refunded);
+  if (amount > refundable + CENT) {
+    throw codedError(
+      `Cannot refund more than ${refundable} of this payment`,
+      'REFUND_EXCEEDS_PAYMENTS',
+      409,
+    );
+  }
+  return { amount, invoiceId: null, paymentId: payment.payment_id };
+}
+
+/**
+ * Request a refund (`payment_id`, `amount`), credit note (`invoice_id`,
+ * `amount`) or payment reversal (`payment_id`). Nothing is posted until the
+ * request is approved.
+ */
+async function requestAdjustment(tx, req, deceased, kind, payload = {}) {
+  if (!ADJUSTMENT_KINDS.includes(kind)) {
+    throw codedError(
+      `kind must be one of ${ADJUSTMENT_KINDS.join(', ')}`,
+      'ADJUSTMENT_INVALID',
+    );
+  }
+  if (kind !== 'reversal') {
+    const amount = Number(payload.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw codedError('amount must be greater than 0', 'ADJUSTMENT_INVALID');
+    }
+  }
+  if (!payload.reason || !String(payload.reason).trim()) {
+    throw codedError('A reason is required', 'ADJUSTMENT_INVALID');
+  }
+
+  const { amount, invoiceId, paymentId } = await validateAdjustment(
+    tx,
+    deceased,
+    kind,
+    payload,
+  );
+
+  const pending =
+    kind === 'reversal' &&
+    (await tx.queryOne(
+      `SELECT id FROM payment_adjustments
+       WHERE kind = 'reversal' AND status = 'Pending' AND payment_id = ?`,
+      [paymentId],
+    ));
+  if (pending) {
+    throw codedError(
+      'A reversal of this payment is already waiting for approval',
+      'ADJUSTMENT_PENDING',
+      409,
+    );
+  }
+
+  const row = {
+    adjustment_number: await nextNumber(tx, kind),
+    kind,
+    deceased_id: deceased.deceased_id,
+    payment_id: paymentId,
+    invoice_id: invoiceId,
+    amount,
+    currency: toCurrencyCode(deceased.currency) || 'KES',
+    method: payload.method ? String(payload.method).slice(0, 50) : null,
+    reason: String(payload.reason).trim().slice(0, 255),
+    status: 'Pending',
+    requested_by: actorOf(req),
+    requested_at: getKenyaTimeISO(),
+  };
+
+  const result = await tx.query(
+    `INSERT INTO payment_adjustments
+     (adjustment_number, kind, deceased_id, payment_id, invoice_id, amount,
+      currency, method, reason, status, requested_by, requested_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.adjustment_number,
+      row.kind,
+      row.deceased_id,
+      row.payment_id,
+      row.invoice_id,
+      row.amount,
+      row.currency,
+      row.method,
+      row.reason,
+      row.status,
+      row.requested_by,
+      row.requested_at,
+    ],
+  );
+
+  const created = { id: result.insertId, ...row };
+  await recordAudit(tx, req, {
+    entity: 'payment_adjustment',
+    entityId: result.insertId,
+    action: 'create',
+    before: null,
+    after: created,
+  });
+  return created;
+}
+
+// Post an approved adjustment and update the payment / invoice it concerns
+async function applyAdjustment(tx, req, adjustment, deceased) {
+  const amount = parseFloat(adjustment.amount);
+  const postedBy = actorOf(req);
+
+  if (adjustment.kind === 'credit_note') {
+    // The credit counts towards the invoice once approved
+    await tx.query(
+      `UPDATE payment_adjustments SET status = 'Approved' WHERE id = ?`,
+      [adjustment.id],
+    );
+    const journalId = await postSource(tx, {
+      deceased,
+      sourceType: 'credit_note',
+      sourceId: adjustment.adjustment_number,
+      amount,
+      description: `Credit note ${adjustment.adjustment_number}: ${adjustment.reason}`,
+      postedBy,
+    });
+    await refreshInvoice(tx, adjustment.invoice_id);
+    return journalId;
+  }
+
+  const payment = await loadPayment(tx, adjustment.payment_id, { lock: true });
+  if (!payment || payment.status === 'Reversed') {
+    throw codedError('Payment has been reversed', 'PAYMENT_REVERSED', 409);
+  }
+  const position = await paymentPosition(tx, payment);
+
+  if (adjustment.kind === 'refund') {
+    // Money comes off what is still on account first, then the newest allocations
+    if (amount > position.unallocated + CENT) {
+      await releaseAllocations(
+        tx,
+        req,
+        payment.payment_id,
+        round2(amount - position.unallocated),
+        `Refund ${adjustment.adjustment_number}`,
+      );
+    }
+    // postRefund() re-checks the refund against what has been paid
+    const { journalId } = await postRefund(tx, req, deceased, {
+      amount,
+      reference: adjustment.adjustment_number,
+      method: adjustment.method,
+      reason: adjustment.reason,
+    });
+    return journalId;
+  }
+
+  // Reversal: the payment no longer counts anywhere
+  assertNotLocked(payment);
+  await releaseAllocations(
+    tx,
+    req,
+    payment.payment_id,
+    Infinity,
+    `Reversal ${adjustment.adjustment_number}`,
+  );
+  await tx.query(
+    `UPDATE payments SET status = 'Reversed', reversed_at = ? WHERE payment_id = ?`,
+    [getKenyaTimeISO(), payment.payment_id],
+  );
+  return postSource(tx, {
+    deceased,
+    sourceType: 'payment',
+    sourceId: payment.payment_id,
+    amount: -position.amount,
+    description: `Reversal ${adjustment.adjustment_number}: ${adjustment.reason}`,
+    postedBy,
+  });
+}
+
+/**
+ * Approve or reject a pending refund, credit note or reversal. The person
+ * who requested it cannot decide it. `branch` limits the lookup to the
+ * caller's branch.
+ */
+async function decideAdjustment(tx, req, id, { approve, note, branch }) {
+  const scope = orAllBranches(branch);
+  const before = await tx.queryOne(
+    `SELECT * FROM payment_adjustments
+     WHERE id = ? AND ${scope.sql}
+     FOR UPDATE`,
+    [id, ...scope.params],
+  );
+  if (!before) throw new AppError('Adjustment not found', 404);
+  if (before.status !== 'Pending') {
+    throw codedError(
+      `${before.adjustment_number} is already ${before.status.toLowerCase()}`,
+      'ADJUSTMENT_DECIDED',
+      409,
+    );
+  }
+
+  const actor = actorOf(req);
+  if (actor && before.requested_by === actor) {
+    throw codedError(
+      'A refund, credit note or reversal must be approved by someone other than the requester',
+      'ADJUSTMENT_SELF_APPROVAL',
+      403,
+    );
+  }
+
+  let journalId = null;
+  let balance = null;
+  if (approve) {
+    const deceased = await tx.queryOne(
+      `SELECT id, deceased_id, branch_id, currency FROM deceased
+       WHERE deceased_id = ? FOR UPDATE`,
+      [before.deceased_id],
+    );
+    if (!deceased) throw new AppError('Deceased record not found', 404);
+
+    journalId = await applyAdjustment(tx, req, before, deceased);
+    balance = await syncDeceasedBalance(tx, deceased);
+  }
+
+  const after = {
+    ...before,
+    status: approve ? 'Approved' : 'Rejected',
+    decided_by: actor,
+    decided_at: getKenyaTimeISO(),
+    decision_note: note ? String(note).slice(0, 255) : null,
+    journal_id: journalId,
+  };
+  await tx.query(
+    `UPDATE payment_adjustments
+     SET status = ?, decided_by = ?, decided_at = ?, decision_note = ?, journal_id = ?
+     WHERE id = ?`,
+    [
+      after.status,
+      after.decided_by,
+      after.decided_at,
+      after.decision_note,
+      after.journal_id,
+      id,
+    ],
+  );
+
+  await recordAudit(tx, req, {
+    entity: 'payment_adjustment',
+    entityId: id,
+    action: 'update',
+    before,
+    after,
+  });
+  return { ...after, balance };
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  ADJUSTMENT_KINDS,
+  ADJUSTMENT_STATUSES,
+  invoiceStatus,
+  loadPayment,
+  paymentPosition,
+  paymentAllocations,
+  refreshInvoice,
+  allocatePayment,
+  allocateToInvoiceFirst,
+  recordPayment,
+  releaseInvoiceAllocations,
+  applyAccountCredit,
+  requestAdjustment,
+  decideAdjustment,
+};
@@ -0,0 +1,269 @@
+// ----------------- Family Portal: Account and Documents -----------------
+// What a signed-in family can see and pay on the body of their portal
+// session. Every lookup is scoped to `session.deceased_id`, so an id from
+// another body reads as not found.
+//
+// Families see and pay their own invoices only. Invoices billed to an
+// insurer, employer or SHA (`payer_id`) are settled by the payer and are
+// left out, as they are from the family balance.
+const fs = require('fs');
+const path = require('path');
+const {
+  safeQuery,
+  safeQueryOne,
+} = require('../../configurations/sqlConfig/db');
+const { codedError } = require('../../middlewares/errorHandler/errorHandler');
+const { normalisePhone } = require('../mpesa/daraja');
+const { requestStkPush } = require('../mpesa/mobileMoney');
+const { familyBalance } = require('../receivables/paymentPlans');
+const {
+  generateInvoicePDFBuffer,
+  invoicePDFData,
+} = require('../../controllers/invoice/invoice');
+const {
+  loadBurialNotification,
+  generateBurialNotificationPDF,
+} = require('../../controllers/notifications/burilNotification');
+const { round2 } = require('../../utilities/helpers/helpers');
+
+const AUTOPSY_DIR = path.join(__dirname, '../../private/autopsy_reports');
+
+const reader = { query: safeQuery, queryOne: safeQueryOne };
+
+/** The session's body; 404 once it has been removed. */
+async function loadBody(session) {
+  const body = await safeQueryOne(
+    `SELECT id, deceased_id, full_name, branch_id, balance, status,
+            coffin_status, currency
+     FROM deceased WHERE deceased_id = ? AND deleted_at IS NULL`,
+    [session.deceased_id],
+  );
+  if (!body) {
+    throw codedError('Record not found', 'PORTAL_RECORD_CLOSED', 404);
+  }
+  return body;
+}
+
+// ----------------- Balance and Payments -----------------
+
+const FAMILY_INVOICES = `deceased_id = ? AND payer_id IS NULL AND deleted_at IS NULL`;
+
+/** Balance due, invoices, payments and M-Pesa prompts of the session's body. */
+async function getAccount(session) {
+  const body = await loadBody(session);
+  const [balance, invoices, payments, prompts] = await Promise.all([
+    familyBalance(reader, body),
+    safeQuery(
+      `SELECT id, invoice_number, created_at, due_date, currency, total_amount,
+              amount_paid, amount_credited, amount_covered
+       FROM invoices WHERE ${FAMILY_INVOICES}
+       ORDER BY created_at, id`,
+      [body.id],
+    ),
+    safeQuery(
+      `SELECT payment_id, receipt_number, amount, currency, payment_method,
+              payment_date
+       FROM payments
+       WHERE (deceased_id = ? OR deceased_id = ?) AND status = 'Active'
+       ORDER BY payment_date DESC, payment_id DESC
+       LIMIT 50`,
+      [body.id, body.deceased_id],
+    ),
+    safeQuery(
+      `SELECT id, status, amount, invoice_id, result_desc, created_at, completed_at
+       FROM mpesa_transactions
+       WHERE kind = 'stk' AND deceased_id = ?
+       ORDER BY created_at DESC
+       LIMIT 10`,
+      [body.deceased_id],
+    ),
+  ]);
+
+  return {
+    balance_due: Math.max(balance, 0),
+    currency: body.currency || 'KES',
+    invoices: invoices.map((invoice) => ({
+      ...invoice,
+      outstanding: round2(
+        parseFloat(invoice.total_amount) -
+          parseFloat(invoice.amount_paid || 0) -
+          parseFloat(invoice.amount_credited || 0) -
+          parseFloat(invoice.amount_covered || 0),
+      ),
+    })),
+    payments,
+    mpesa_requests: prompts,
+  };
+}
+
+/**
+ * Prompt a phone to pay by M-Pesa. Without `invoiceId` the oldest unpaid
+ * invoice is paid; without `phone` the prompt goes to the signed-in kin.
+ */
+async function startPayment(req, session, { invoiceId, phone, amount }) {
+  const body = await loadBody(session);
+
+  let target = invoiceId;
+  if (!target) {
+    const open = await safeQueryOne(
+      `SELECT id FROM invoices
+       WHERE ${FAMILY_INVOICES}
+         AND total_amount - amount_paid - amount_credited - amount_covered > 0.005
+       ORDER BY created_at, id
+       LIMIT 1`,
+      [body.id],
+    );
+    if (!open) {
+      throw codedError('There is nothing to pay', 'NOTHING_TO_PAY', 409);
+    }
+    target = open.id;
+  }
+
+  let msisdn = phone;
+  if (!msisdn) {
+    const kin = await safeQueryOne(
+      'SELECT contact FROM next_of_kin WHERE id = ?',
+      [session.kin_id],
+    );
+    msisdn = normalisePhone(kin?.contact);
+  }
+
+  // The invoice must belong to this body and be billed to the family
+  return requestStkPush(req, target, {
+    phone: msisdn,
+    amount,
+    branch: {
+      sql: 'd.deceased_id = ? AND i.payer_id IS NULL',
+      params: [body.deceased_id],
+    },
+  });
+}
+
+/** The state of one of the body's M-Pesa prompts. */
+async function getPaymentStatus(session, id) {
+  const row = await safeQueryOne(
+    `SELECT id, status, amount, invoice_id, trans_id, result_desc, created_at,
+            completed_at
+     FROM mpesa_transactions
+     WHERE id = ? AND kind = 'stk' AND deceased_id = ?`,
+    [id, session.deceased_id],
+  );
+  if (!row) throw codedError('Payment not found', 'NOT_FOUND', 404);
+  return row;
+}
+
+// ----------------- Documents -----------------
+
+/** What the family can download for the session's body. */
+async function listDocuments(session) {
+  const body = await loadBody(session);
+  const [invoices, releases, notification, uploads] = await Promise.all([
+    safeQuery(
+      `SELECT id, invoice_number, created_at, total_amount, currency
+       FROM invoices WHERE ${FAMILY_INVOICES}
+       ORDER BY created_at DESC, id DESC`,
+      [body.id],
+    ),
+    safeQuery(
+      `SELECT id, document_id, recipient_name, created_at
+       FROM releases WHERE deceased_id = ? AND deleted_at IS NULL
+       ORDER BY created_at DESC`,
+      [body.deceased_id],
+    ),
+    safeQueryOne(
+      `SELECT notification_number, issued_at FROM burial_notifications
+       WHERE deceased_id = ? LIMIT 1`,
+      [body.deceased_id],
+    ),
+    safeQuery(
+      `SELECT document_id, file_name, category, uploaded_at
+       FROM documents
+       WHERE deceased_id = ? AND uploaded_by LIKE 'Family portal%'
+         AND deleted_at IS NULL
+       ORDER BY uploaded_at DESC`,
+      [body.deceased_id],
+    ),
+  ]);
+
+  return {
+    invoices,
+    release_forms: releases,
+    burial_notification: notification || null,
+    autopsy_report: fs.existsSync(
+      path.join(AUTOPSY_DIR, `${body.deceased_id}.pdf`),
+    ),
+    uploads,
+  };
+}
+
+/** `{ filename, buffer }` or `{ filename, filePath }` for an invoice PDF. */
+async function invoicePdf(session, invoiceId) {
+  const body = await loadBody(session);
+  const invoice = await safeQueryOne(
+    `SELECT * FROM invoices WHERE id = ? AND ${FAMILY_INVOICES}`,
+    [invoiceId, body.id],
+  );
+  if (!invoice) throw codedError('Invoice not found', 'NOT_FOUND', 404);
+
+  const filename = `invoice-${invoice.invoice_number}.pdf`;
+  if (invoice.pdf_url && fs.existsSync(invoice.pdf_url)) {
+    return { filename, filePath: invoice.pdf_url };
+  }
+  return {
+    filename,
+    buffer: await generateInvoicePDFBuffer(await invoicePDFData(invoice)),
+  };
+}
+
+async function releaseFormPdf(session, id) {
+  const release = await safeQueryOne(
+    `SELECT document_id, pdf_data FROM releases
+     WHERE id = ? AND deceased_id = ? AND deleted_at IS NULL`,
+    [id, session.deceased_id],
+  );
+  if (!release?.pdf_data) {
+    throw codedError('Release form not found', 'NOT_FOUND', 404);
+  }
+  return {
+    filename: `release-${release.document_id}.pdf`,
+    buffer: release.pdf_data,
+  };
+}
+
+// Only once staff have issued it; the portal never issues one
+async function burialNotificationPdf(session) {
+  const data = await loadBurialNotification(session.deceased_id, {
+    create: false,
+  });
+  if (!data) {
+    throw codedError(
+      'No burial notification has been issued yet',
+      'NOT_FOUND',
+      404,
+    );
+  }
+  return {
+    filename: `burial-notification-${data.notification_number}.pdf`,
+    buffer: await generateBurialNotificationPDF(data),
+  };
+}
+
+function autopsyReportPath(session) {
+  const filePath = path.join(AUTOPSY_DIR, `${session.deceased_id}.pdf`);
+  if (!fs.existsSync(filePath)) {
+    throw codedError('Autopsy report not found', 'NOT_FOUND', 404);
+  }
+  return filePath;
+}
+
+module.exports = {
+  loadBody,
+  getAccount,
+  startPayment,
+  getPaymentStatus,
+  listDocuments,
+  invoicePdf,
+  releaseFormPdf,
+  burialNotificationPdf,
+  autopsyReportPath,
+};
@@ -0,0 +1,257 @@
+// ----------------- Family Portal: Requested Documents -----------------
+// Staff ask the family for documents (an ID copy, a burial permit, ...) as
+// rows in `portal_document_requests`. The family uploads them through the
+// portal into the same `documents` store staff uploads use, with
+// `uploaded_by` = "Family portal (<kin name>)". An upload against a request
+// marks it received; families can also upload without a request.
+const fs = require('fs');
+const {
+  safeQuery,
+  safeQueryOne,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const DEFAULT_CATEGORY = 'General';
+
+// Same public path as staff uploads (routes/uploadDocument.js)
+const normalizePath = (filePath) =>
+  filePath
+    ? filePath.replace(
+        /^.*[\\/]uploads[\\/]documents[\\/]/,
+        '/uploads/documents/',
+      )
+    : null;
+
+// ----------------- Staff Side -----------------
+
+/** Ask the family of `deceasedId` for a document. */
+async function createDocumentRequest(req, deceasedId, payload, { branch }) {
+  const title = String(payload.title || '').trim();
+  if (!title) {
+    throw codedError(
+      'title is required (e.g. "ID copy of next of kin")',
+      'DOCUMENT_REQUEST_INVALID',
+    );
+  }
+  const scope = orAllBranches(branch);
+  const body = await safeQueryOne(
+    `SELECT deceased_id FROM deceased d
+     WHERE d.deceased_id = ? AND d.deleted_at IS NULL AND ${scope.sql}`,
+    [deceasedId, ...scope.params],
+  );
+  if (!body) throw new AppError('Deceased not found', 404);
+
+  const now = getKenyaTimeISO();
+  const result = await safeQuery(
+    `INSERT INTO portal_document_requests
+       (deceased_id, title, category, note, status, requested_by, created_at)
+     VALUES (?, ?, ?, ?, 'Requested', ?, ?)`,
+    [
+      body.deceased_id,
+      title.slice(0, 150),
+      String(payload.category || DEFAULT_CATEGORY).slice(0, 50),
+      payload.note ? String(payload.note).slice(0, 500) : null,
+      actorOf(req),
+      now,
+    ],
+  );
+  return getDocumentRequest(result.insertId);
+}
+
+async function getDocumentRequest(id) {
+  const row = await safeQueryOne(
+    `SELECT r.*, doc.file_name
+     FROM portal_document_requests r
+     LEFT JOIN documents doc ON doc.document_id = r.document_id
+     WHERE r.id = ?`,
+    [id],
+  );
+  if (!row) throw codedError('Document request not found', 'NOT_FOUND', 404);
+  return row;
+}
+
+/** Requests for a body, open ones first. */
+async function listDocumentRequests(deceasedId, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  return safeQuery(
+    `SELECT r.id, r.title, r.category, r.note, r.status, r.requested_by,
+            r.created_at, r.document_id, r.received_at, r.cancelled_at,
+            doc.file_name
+     FROM portal_document_requests r
+     JOIN deceased d ON d.deceased_id = r.deceased_id
+     LEFT JOIN documents doc ON doc.document_id = r.document_id
+     WHERE r.deceased_id = ? AND ${scope.sql}
+     ORDER BY r.status = 'Requested' DESC, r.created_at DESC`,
+    [deceasedId, ...scope.params],
+  );
+}
+
+async function cancelDocumentRequest(req, id, { branch }) {
+  const scope = orAllBranches(branch);
+  const result = await safeQuery(
+    `UPDATE portal_document_requests r
+     JOIN deceased d ON d.deceased_id = r.deceased_id
+     SET r.status = 'Cancelled', r.cancelled_at = ?, r.cancelled_by = ?
+     WHERE r.id = ? AND r.status = 'Requested' AND ${scope.sql}`,
+    [getKenyaTimeISO(), actorOf(req), id, ...scope.params],
+  );
+  if (!result.affectedRows) {
+    throw codedError(
+      'Only an open document request can be cancelled',
+      'DOCUMENT_REQUEST_CLOSED',
+      409,
+    );
+  }
+  return getDocumentRequest(id);
+}
+
+// ----------------- Family Side -----------------
+
+/** Open and received requests for the session's body. */
+async function listFamilyRequests(session) {
+  return safeQuery(
+    `SELECT id, title, category, note, status, created_at, received_at
+     FROM portal_document_requests
+     WHERE deceased_id = ? AND status != 'Cancelled'
+     ORDER BY status = 'Requested' DESC, created_at DESC`,
+    [session.deceased_id],
+  );
+}
+
+const removeFiles = (files) =>
+  files.forEach((file) => fs.promises.unlink(file.path).catch(() => {}));
+
+/**
+ * Record files multer has stored under uploads/documents/<deceased_id>.
+ * With `requestId` they answer that request and take its category.
+ */
+async function saveFamilyUploads(session, files, { requestId }) {
+  if (!files?.length) {
+    throw codedError('No files uploaded', 'DOCUMENT_MISSING');
+  }
+
+  try {
+    return await withTransaction(async (tx) => {
+      const kin = await tx.queryOne(
+        'SELECT full_name FROM next_of_kin WHERE id = ?',
+        [session.kin_id],
+      );
+      const uploadedBy = `Family portal (${kin?.full_name || 'next of kin'})`;
+
+      let request = null;
+      if (requestId) {
+        request = await tx.queryOne(
+          `SELECT * FROM portal_document_requests
+           WHERE id = ? AND deceased_id = ? FOR UPDATE`,
+          [requestId, session.deceased_id],
+        );
+        if (!request) {
+          throw codedError('Document request not found', 'NOT_FOUND', 404);
+        }
+        if (request.status !== 'Requested') {
+          throw codedError(
+            `This request is already ${request.status.toLowerCase()}`,
+            'DOCUMENT_REQUEST_CLOSED',
+            409,
+          );
+        }
+      }
+
+      const now = getKenyaTimeISO();
+      const saved = [];
+      for (const file of files) {
+        const existing = await tx.queryOne(
+          `SELECT version FROM documents
+           WHERE deceased_id = ? AND file_name = ?
+           ORDER BY version DESC LIMIT 1`,
+          [session.deceased_id, file.originalname],
+        );
+        const version = existing ? existing.version + 1 : 1;
+        const category = request?.category || DEFAULT_CATEGORY;
+        const relativePath = normalizePath(file.path);
+
+        const result = await tx.query(
+          `INSERT INTO documents
+             (deceased_id, document_type, category, file_name, file_path, mime_type,
+              uploaded_by, uploaded_at, created_at, updated_at, version)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            session.deceased_id,
+            file.mimetype === 'application/pdf' ? 'PDF Document' : 'Image',
+            category,
+            file.originalname,
+            relativePath,
+            file.mimetype,
+            uploadedBy,
+            now,
+            now,
+            now,
+            version,
+          ],
+        );
+        await tx.query(
+          `INSERT INTO document_history
+             (document_id, action, user, details, timestamp)
+           VALUES (?, ?, ?, ?, ?)`,
+          [
+            result.insertId,
+            'UPLOAD',
+            uploadedBy,
+            request
+              ? `Uploaded through the family portal for "${request.title}"`
+              : 'Uploaded through the family portal',
+            now,
+          ],
+        );
+        saved.push({
+          document_id: result.insertId,
+          file_name: file.originalname,
+          category,
+          size_kb: Math.round(file.size / 1024),
+          version,
+        });
+      }
+
+      if (request) {
+        await tx.query(
+          `UPDATE portal_document_requests
+           SET status = 'Received', document_id = ?, received_at = ?
+           WHERE id = ?`,
+          [saved[0].document_id, now, request.id],
+        );
+      }
+      await tx.query(
+        `INSERT INTO notifications (deceased_id, type, message, created_at, is_read)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          session.deceased_id,
+          'portal',
+          `${uploadedBy} uploaded ${saved.length} document(s)${request ? ` for "${request.title}"` : ''}`,
+          now,
+          0,
+        ],
+      );
+
+      return { request_id: request?.id || null, files: saved };
+    });
+  } catch (err) {
+    // Nothing was recorded, so the stored files would be orphans
+    removeFiles(files);
+    throw err;
+  }
+}
+
+module.exports = {
+  createDocumentRequest,
+  listDocumentRequests,
+  cancelDocumentRequest,
+  listFamilyRequests,
+  saveFamilyUploads,
+};
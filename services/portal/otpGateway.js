@@ -0,0 +1,144 @@
+// ----------------- Portal OTP Gateway -----------------
+// Delivers family portal login codes. Each channel is an adapter with a
+// send(phone, message) function. `PORTAL_OTP_CHANNELS` lists the channels
+// families may choose from, the first one being the default:
+//
+//   sms       Africa's Talking bulk SMS (`SMS_BASE_URL`, `SMS_USERNAME`,
+//             `SMS_API_KEY`, `SMS_SENDER_ID`)
+//   whatsapp  Twilio WhatsApp (utilities/watsApp/send.js)
+//   console   Writes the code to the server log - refused when
+//             NODE_ENV is production
+//
+// Another provider is added with registerGateway(name, send).
+const axios = require('axios');
+const { codedError } = require('../../middlewares/errorHandler/errorHandler');
+
+async function sendSms(phone, message) {
+  const baseUrl = (
+    process.env.SMS_BASE_URL || 'https://api.africastalking.com'
+  ).replace(/\/+$/, '');
+  const { SMS_USERNAME, SMS_API_KEY, SMS_SENDER_ID } = process.env;
+  if (!SMS_USERNAME || !SMS_API_KEY) {
+    throw codedError(
+      'SMS is not configured (missing SMS_USERNAME or SMS_API_KEY)',
+      'OTP_GATEWAY_NOT_CONFIGURED',
+      503,
+    );
+  }
+
+  const form = new URLSearchParams({
+    username: SMS_USERNAME,
+    to: `+${phone}`,
+    message,
+  });
+  if (SMS_SENDER_ID) form.append('from', SMS_SENDER_ID);
+
+  const { data } = await axios.post(
+    `${baseUrl}/version1/messaging`,
+    form.toString(),
+    {
+      headers: {
+        apiKey: SMS_API_KEY,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      timeout: 15000,
+    },
+  );
+  const recipient = data?.SMSMessageData?.Recipients?.[0];
+  if (!recipient || recipient.status !== 'Success') {
+    throw codedError(
+      `SMS was not accepted: ${recipient?.status || data?.SMSMessageData?.Message || 'no recipient'}`,
+      'OTP_SEND_FAILED',
+      502,
+    );
+  }
+  return recipient.messageId;
+}
+
+async function sendWhatsApp(phone, message) {
+  // Loaded on first use so the Twilio client is only built when needed
+  const { sendWhatsAppNotification } = require('../../utilities/watsApp/send');
+  const msg = await sendWhatsAppNotification(`+${phone}`, message);
+  return msg?.sid || null;
+}
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+async function sendToConsole(phone, message) {
+  // Codes in the server log would let anyone with log access sign in
+  if (isProduction()) {
+    throw codedError(
+      'The console OTP channel is disabled in production',
+      'OTP_CHANNEL_INVALID',
+      400,
+    );
+  }
+  console.log(`📟 [PORTAL-OTP] to ${phone}: ${message}`);
+  return null;
+}
+
+const gateways = {
+  sms: sendSms,
+  whatsapp: sendWhatsApp,
+  console: sendToConsole,
+};
+
+/** Add or replace a channel; `send(phone, message)` resolves to a message id. */
+function registerGateway(name, send) {
+  gateways[name] = send;
+}
+
+/** Channels families may pick, the default first. */
+function enabledChannels() {
+  const listed = (process.env.PORTAL_OTP_CHANNELS || 'sms')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => gateways[name])
+    .filter((name) => name !== 'console' || !isProduction());
+  return listed.length ? listed : ['sms'];
+}
+
+/** Resolve a requested channel, or the default when none is given. */
+function resolveChannel(channel) {
+  const channels = enabledChannels();
+  if (!channel) return channels[0];
+  const name = String(channel).trim().toLowerCase();
+  if (!channels.includes(name)) {
+    throw codedError(
+      `channel must be one of ${channels.join(', ')}`,
+      'OTP_CHANNEL_INVALID',
+      400,
+    );
+  }
+  return name;
+}
+
+/** Send `message` to a 254XXXXXXXXX phone through `channel`. */
+async function sendOtp(channel, phone, message) {
+  const send = gateways[channel];
+  if (!send) {
+    throw codedError(
+      `No OTP gateway for ${channel}`,
+      'OTP_CHANNEL_INVALID',
+      400,
+    );
+  }
+  try {
+    return await send(phone, message);
+  } catch (err) {
+    if (err.isOperational) throw err;
+    throw codedError(
+      `Could not send the code by ${channel}: ${err.message}`,
+      'OTP_SEND_FAILED',
+      502,
+    );
+  }
+}
+
+module.exports = {
+  registerGateway,
+  enabledChannels,
+  resolveChannel,
+  sendOtp,
+};
@@ -0,0 +1,453 @@
+// ----------------- Family Portal Login -----------------
+// Families sign in with a one-time code instead of just typing an
+// admission or phone number:
+//
+//   1. requestCode() - the family gives a phone number or admission number.
+//      A 6-digit code goes to the next of kin's phone on record (never to a
+//      number that is not on record) through the OTP gateway.
+//   2. verifyCode() - the code is exchanged for a short-lived portal token
+//      scoped to that one body. The session behind it is a row in
+//      `portal_sessions`, so logging out ends it before the token expires.
+//
+// Every request gets a request id and the same answer, whether or not the
+// identifier matched, so the portal does not reveal who is in the mortuary.
+// Codes are stored only as HMACs, expire after a few minutes and are locked
+// after too many wrong guesses. Requests per identifier and per phone are
+// capped per hour on top of the per-IP limits on the routes.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  safeQueryOne,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { codedError } = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { normalisePhone } = require('../mpesa/daraja');
+const { familyBalance } = require('../receivables/paymentPlans');
+const { resolveChannel, sendOtp } = require('./otpGateway');
+
+const ZONE = 'Africa/Nairobi';
+const PORTAL_JWT_SECRET =
+  process.env.PORTAL_JWT_SECRET || 'supersecretportalkey';
+const OTP_TTL_MINUTES = parseInt(process.env.PORTAL_OTP_TTL_MINUTES, 10) || 5;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.PORTAL_OTP_MAX_ATTEMPTS, 10) || 5;
+// Codes that may be requested for one identifier (or sent to one phone) per hour
+const OTP_MAX_PER_HOUR = parseInt(process.env.PORTAL_OTP_MAX_PER_HOUR, 10) || 3;
+const SESSION_MINUTES = parseInt(process.env.PORTAL_SESSION_MINUTES, 10) || 30;
+// People who may have the same body open at once
+const MAX_ACTIVE_SESSIONS = 2;
+
+const ADMISSION_PATTERN = /^[A-Z0-9-]{3,20}$/i;
+const CODE_PATTERN = /^\d{6}$/;
+const REQUEST_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+const timestampIn = (minutes) =>
+  DateTime.now()
+    .setZone(ZONE)
+    .plus({ minutes })
+    .toFormat('yyyy-LL-dd HH:mm:ss');
+
+const hashCode = (requestId, code) =>
+  crypto
+    .createHmac('sha256', PORTAL_JWT_SECRET)
+    .update(`${requestId}:${code}`)
+    .digest('hex');
+
+/** "254712345678" → "2547****5678", for logs and the portal view. */
+const maskPhone = (phone) =>
+  phone ? `${phone.slice(0, 4)}****${phone.slice(-4)}` : null;
+
+// The ways a Kenyan number may have been typed into next_of_kin.contact
+const phoneVariants = (phone) => [
+  phone,
+  `+${phone}`,
+  `0${phone.slice(3)}`,
+  phone.slice(3),
+];
+
+const LOGIN_BLOCKED = `(p.status = 'completed' OR d.has_certificate = 1)`;
+
+// The body and the kin to send the code to, or null when nothing matches
+async function findRecipient(identifier) {
+  const phone = normalisePhone(identifier);
+
+  if (phone) {
+    const variants = phoneVariants(phone);
+    const row = await safeQueryOne(
+      `SELECT d.deceased_id, k.id AS kin_id, ${LOGIN_BLOCKED} AS blocked
+       FROM next_of_kin k
+       JOIN deceased d ON d.deceased_id = k.deceased_id
+       LEFT JOIN portal_tracking p ON p.deceased_id = d.deceased_id
+       WHERE k.contact IN (?, ?, ?, ?) AND d.deleted_at IS NULL
+       ORDER BY d.date_admitted DESC, k.created_at DESC
+       LIMIT 1`,
+      variants,
+    );
+    return row ? { ...row, phone } : null;
+  }
+
+  const body = await safeQueryOne(
+    `SELECT d.deceased_id, ${LOGIN_BLOCKED} AS blocked
+     FROM deceased d
+     LEFT JOIN portal_tracking p ON p.deceased_id = d.deceased_id
+     WHERE (d.deceased_id = ? OR d.admission_number = ?)
+       AND d.deleted_at IS NULL
+     LIMIT 1`,
+    [identifier, identifier],
+  );
+  if (!body) return null;
+
+  // Verified kin first, then the most recently registered
+  const kin = await safeQuery(
+    `SELECT id, contact FROM next_of_kin
+     WHERE deceased_id = ?
+     ORDER BY verified_at IS NULL, created_at DESC`,
+    [body.deceased_id],
+  );
+  const reachable = kin.find((row) => normalisePhone(row.contact));
+  if (!reachable) return null;
+  return {
+    deceased_id: body.deceased_id,
+    kin_id: reachable.id,
+    blocked: body.blocked,
+    phone: normalisePhone(reachable.contact),
+  };
+}
+
+async function requestsInLastHour(column, value) {
+  const [{ count }] = await safeQuery(
+    `SELECT COUNT(*) AS count FROM portal_otp_requests
+     WHERE ${column} = ? AND created_at > ?`,
+    [value, timestampIn(-60)],
+  );
+  return count;
+}
+
+/**
+ * Send a login code for a phone or admission number. Always resolves to the
+ * same shape; `outcome` is for the server log only, never the response.
+ */
+async function requestCode({ identifier, channel, ip }) {
+  const raw = String(identifier || '').trim();
+  const phone = normalisePhone(raw);
+  if (!phone && !ADMISSION_PATTERN.test(raw)) {
+    throw codedError(
+      'Use a valid phone number or admission number',
+      'PORTAL_IDENTIFIER_INVALID',
+    );
+  }
+  const chosen = resolveChannel(channel);
+  const key = phone || raw.toUpperCase();
+
+  if ((await requestsInLastHour('identifier', key)) >= OTP_MAX_PER_HOUR) {
+    throw codedError(
+      'Too many codes requested. Try again in an hour',
+      'OTP_RATE_LIMITED',
+      429,
+    );
+  }
+
+  const requestId = crypto.randomBytes(16).toString('hex');
+  const now = getKenyaTimeISO();
+  const recipient = await findRecipient(key);
+
+  let status = 'unmatched';
+  let code = null;
+  if (recipient && !recipient.blocked) {
+    status =
+      (await requestsInLastHour('phone', recipient.phone)) >= OTP_MAX_PER_HOUR
+        ? 'throttled'
+        : 'sent';
+    if (status === 'sent') {
+      code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    }
+  }
+
+  await safeQuery(
+    `INSERT INTO portal_otp_requests
+       (request_id, identifier, deceased_id, kin_id, phone, channel,
+        code_hash, status, ip, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      requestId,
+      key,
+      recipient?.deceased_id || null,
+      recipient?.kin_id || null,
+      recipient?.phone || null,
+      chosen,
+      code ? hashCode(requestId, code) : null,
+      status,
+      ip || null,
+      timestampIn(OTP_TTL_MINUTES),
+      now,
+    ],
+  );
+
+  if (code) {
+    try {
+      await sendOtp(
+        chosen,
+        recipient.phone,
+        `Your family portal code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it.`,
+      );
+    } catch (err) {
+      // The family sees the same answer; staff see the failure here
+      console.error(
+        `❌ [PORTAL] Code for ${maskPhone(recipient.phone)} not sent:`,
+        err.message,
+      );
+      await safeQuery(
+        `UPDATE portal_otp_requests SET status = 'send_failed' WHERE request_id = ?`,
+        [requestId],
+      );
+      status = 'send_failed';
+    }
+  }
+
+  return {
+    request_id: requestId,
+    channel: chosen,
+    expires_in_minutes: OTP_TTL_MINUTES,
+    outcome: status,
+  };
+}
+
+/**
+ * Exchange a code for a portal token. Wrong guesses count against the
+ * request; the code is spent only once the session has been opened.
+ */
+async function verifyCode({ requestId, code, ip }) {
+  if (!REQUEST_ID_PATTERN.test(String(requestId || ''))) {
+    throw codedError('request_id is required', 'OTP_REQUEST_INVALID');
+  }
+  if (!CODE_PATTERN.test(String(code || ''))) {
+    throw codedError('code must be 6 digits', 'OTP_INVALID');
+  }
+
+  return withTransaction(async (tx) => {
+    const request = await tx.queryOne(
+      `SELECT * FROM portal_otp_requests WHERE request_id = ? FOR UPDATE`,
+      [requestId],
+    );
+    if (!request) {
+      throw codedError('Code is incorrect or has expired', 'OTP_INVALID');
+    }
+    const now = getKenyaTimeISO();
+    if (request.status === 'locked') {
+      throw codedError(
+        'Too many wrong codes. Request a new one',
+        'OTP_LOCKED',
+        429,
+      );
+    }
+    if (request.status === 'verified' || request.expires_at <= now) {
+      throw codedError('Code is incorrect or has expired', 'OTP_EXPIRED');
+    }
+
+    // Unmatched requests have no hash and fail exactly like a wrong code
+    const expected = Buffer.from(request.code_hash || '0'.repeat(64), 'hex');
+    const given = Buffer.from(hashCode(requestId, code), 'hex');
+    if (!request.code_hash || !crypto.timingSafeEqual(expected, given)) {
+      const attempts = request.attempts + 1;
+      const locked = attempts >= OTP_MAX_ATTEMPTS;
+      await tx.query(
+        `UPDATE portal_otp_requests SET attempts = ?, status = ?
+         WHERE request_id = ?`,
+        [attempts, locked ? 'locked' : request.status, requestId],
+      );
+      // Thrown after the transaction commits so the attempt is kept
+      return {
+        failed: locked
+          ? codedError(
+              'Too many wrong codes. Request a new one',
+              'OTP_LOCKED',
+              429,
+            )
+          : codedError(
+              `Code is incorrect. ${OTP_MAX_ATTEMPTS - attempts} attempt(s) left`,
+              'OTP_INVALID',
+            ),
+      };
+    }
+
+    const body = await tx.queryOne(
+      `SELECT d.deceased_id, ${LOGIN_BLOCKED} AS blocked
+       FROM deceased d
+       LEFT JOIN portal_tracking p ON p.deceased_id = d.deceased_id
+       WHERE d.deceased_id = ? AND d.deleted_at IS NULL
+       FOR UPDATE`,
+      [request.deceased_id],
+    );
+    if (!body || body.blocked) {
+      throw codedError(
+        'This record is no longer available on the portal',
+        'PORTAL_RECORD_CLOSED',
+        403,
+      );
+    }
+
+    const [{ count }] = await tx.query(
+      `SELECT COUNT(*) AS count FROM portal_sessions
+       WHERE deceased_id = ? AND active = TRUE AND expires_at > ?`,
+      [request.deceased_id, now],
+    );
+    if (count >= MAX_ACTIVE_SESSIONS) {
+      throw codedError(
+        'Too many people are viewing this profile right now',
+        'PORTAL_SESSIONS_FULL',
+        403,
+      );
+    }
+
+    const sessionKey = crypto.randomBytes(16).toString('hex');
+    const expiresAt = timestampIn(SESSION_MINUTES);
+    await tx.query(
+      `INSERT INTO portal_sessions
+         (deceased_id, session_key, kin_id, otp_request_id, ip,
+          logged_in_at, last_seen_at, expires_at, active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, TRUE)`,
+      [
+        request.deceased_id,
+        sessionKey,
+        request.kin_id,
+        requestId,
+        ip || null,
+        now,
+        now,
+        expiresAt,
+      ],
+    );
+    await tx.query(
+      `UPDATE portal_otp_requests
+       SET status = 'verified', attempts = attempts + 1, verified_at = ?
+       WHERE request_id = ?`,
+      [now, requestId],
+    );
+
+    const token = jwt.sign(
+      { scope: 'portal', sid: sessionKey, deceased_id: request.deceased_id },
+      PORTAL_JWT_SECRET,
+      { expiresIn: `${SESSION_MINUTES}m` },
+    );
+    return { token, expires_at: expiresAt, deceased_id: request.deceased_id };
+  }).then((result) => {
+    if (result.failed) throw result.failed;
+    return result;
+  });
+}
+
+/** The open session behind a portal token, or null. */
+async function loadSession(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, PORTAL_JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (claims.scope !== 'portal' || !claims.sid) return null;
+
+  const now = getKenyaTimeISO();
+  const session = await safeQueryOne(
+    `SELECT session_key, deceased_id, kin_id, expires_at
+     FROM portal_sessions
+     WHERE session_key = ? AND active = TRUE AND expires_at > ?`,
+    [claims.sid, now],
+  );
+  if (!session || session.deceased_id !== claims.deceased_id) return null;
+
+  await safeQuery(
+    `UPDATE portal_sessions SET last_seen_at = ? WHERE session_key = ?`,
+    [now, session.session_key],
+  );
+  return session;
+}
+
+async function endSession(sessionKey) {
+  await safeQuery(
+    `UPDATE portal_sessions SET active = FALSE, logged_out_at = ?
+     WHERE session_key = ? AND active = TRUE`,
+    [getKenyaTimeISO(), sessionKey],
+  );
+}
+
+/** Close sessions past their expiry so they stop counting as active. */
+async function expireSessions() {
+  const result = await safeQuery(
+    `UPDATE portal_sessions SET active = FALSE
+     WHERE active = TRUE AND (expires_at IS NULL OR expires_at <= ?)`,
+    [getKenyaTimeISO()],
+  );
+  return result.affectedRows || 0;
+}
+
+/**
+ * What a family sees: progress, dates and what they owe. Cause of death,
+ * postmortem findings and other kin's contacts stay with staff.
+ */
+async function portalView(session) {
+  const rec = await safeQueryOne(
+    `SELECT d.id, d.deceased_id, d.full_name, d.date_of_death,
+            d.date_admitted, d.dispatch_date, d.status, d.coffin_status,
+            d.total_mortuary_charge, d.balance,
+            TIMESTAMPDIFF(DAY, d.date_admitted, NOW()) AS days_in_morgue,
+            p.status AS portal_status, p.remarks AS portal_remarks
+     FROM deceased d
+     LEFT JOIN portal_tracking p ON p.deceased_id = d.deceased_id
+     WHERE d.deceased_id = ? AND d.deleted_at IS NULL
+     LIMIT 1`,
+    [session.deceased_id],
+  );
+  if (!rec) {
+    throw codedError('Record not found', 'PORTAL_RECORD_CLOSED', 404);
+  }
+
+  const [kin, mort, balance] = await Promise.all([
+    safeQueryOne(
+      `SELECT full_name, relationship, contact FROM next_of_kin WHERE id = ?`,
+      [session.kin_id],
+    ),
+    safeQueryOne(`SELECT name, phone, address FROM mortuaries LIMIT 1`),
+    familyBalance({ query: safeQuery, queryOne: safeQueryOne }, rec),
+  ]);
+
+  return {
+    deceased_id: rec.deceased_id,
+    deceased_name: rec.full_name,
+    date_of_death: rec.date_of_death,
+    date_admitted: rec.date_admitted,
+    days_in_morgue: rec.days_in_morgue,
+    dispatch_date: rec.dispatch_date,
+    stage: rec.status,
+    coffin_status: rec.coffin_status,
+    status: rec.portal_status || 'pending',
+    remarks: rec.portal_remarks || null,
+    charges: {
+      total: parseFloat(rec.total_mortuary_charge || 0),
+      balance_due: Math.max(balance, 0),
+    },
+    kin: kin
+      ? {
+          full_name: kin.full_name,
+          relationship: kin.relationship,
+          contact: maskPhone(normalisePhone(kin.contact)),
+        }
+      : null,
+    mortuary: {
+      name: mort?.name || 'N/A',
+      phone: mort?.phone || 'N/A',
+      address: mort?.address || 'N/A',
+    },
+    session_expires_at: session.expires_at,
+  };
+}
+
+module.exports = {
+  requestCode,
+  verifyCode,
+  loadSession,
+  endSession,
+  expireSessions,
+  portalView,
+};
@@ -0,0 +1,253 @@
+// ----------------- Family Portal: Coffin and Viewing -----------------
+// Service choices a family makes from the portal. Neither changes stock or
+// the body on its own; staff act on them:
+//
+//   Coffin   The family picks a coffin from the catalogue of the body's
+//            branch. The choice waits in `portal_coffin_choices` until staff
+//            assign a coffin (POST /assign-coffin), which settles it as
+//            `assigned` (that coffin) or `declined` (another one).
+//   Viewing  The family books a slot in one of the branch's viewing rooms
+//            (services/visitors/viewingSchedule.js). It waits as pending
+//            until staff confirm it, like any other online booking.
+const {
+  safeQuery,
+  safeQueryOne,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { codedError } = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const {
+  roomAvailability,
+  freeSlotTimes,
+  createBooking,
+  cancelBooking,
+} = require('../visitors/viewingSchedule');
+const { loadBody } = require('./familyAccount');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const notifyStaff = (tx, deceasedId, message) =>
+  tx.query(
+    `INSERT INTO notifications (deceased_id, type, message, created_at, is_read)
+     VALUES (?, ?, ?, ?, ?)`,
+    [deceasedId, 'portal', message, getKenyaTimeISO(), 0],
+  );
+
+// ----------------- Coffin -----------------
+
+/** Coffins in stock at the body's branch, with prices and pictures. */
+async function coffinCatalogue(session) {
+  const body = await loadBody(session);
+  const rows = await safeQuery(
+    `SELECT c.coffin_id, c.custom_id, c.type, c.material, c.color, c.size,
+            c.category, c.exact_price, c.currency,
+            (SELECT GROUP_CONCAT(ci.image_url)
+               FROM coffin_images ci WHERE ci.coffin_id = c.coffin_id) AS images
+     FROM coffins c
+     WHERE c.deleted_at IS NULL AND c.quantity > 0 AND c.branch_id <=> ?
+     ORDER BY c.exact_price, c.type`,
+    [body.branch_id],
+  );
+  return rows.map((row) => ({
+    ...row,
+    images: row.images ? row.images.split(',') : [],
+  }));
+}
+
+/** The family's latest coffin choice, or null. */
+function currentCoffinChoice(session) {
+  return safeQueryOne(
+    `SELECT ch.id, ch.coffin_id, c.custom_id, c.type, c.material,
+            ch.quoted_price, ch.currency, ch.note, ch.status, ch.created_at,
+            ch.settled_at
+     FROM portal_coffin_choices ch
+     JOIN coffins c ON c.coffin_id = ch.coffin_id
+     WHERE ch.deceased_id = ?
+     ORDER BY ch.created_at DESC, ch.id DESC
+     LIMIT 1`,
+    [session.deceased_id],
+  );
+}
+
+/** Choose a coffin; replaces the family's earlier pending choice. */
+async function chooseCoffin(session, { coffinId, note }) {
+  if (!coffinId) {
+    throw codedError('coffin_id is required', 'COFFIN_CHOICE_INVALID');
+  }
+
+  await withTransaction(async (tx) => {
+    const body = await tx.queryOne(
+      `SELECT deceased_id, branch_id, coffin_status FROM deceased
+       WHERE deceased_id = ? AND deleted_at IS NULL FOR UPDATE`,
+      [session.deceased_id],
+    );
+    if (!body) {
+      throw codedError('Record not found', 'PORTAL_RECORD_CLOSED', 404);
+    }
+    if (body.coffin_status === 'Assigned') {
+      throw codedError(
+        'A coffin has already been assigned. Please call the mortuary to change it',
+        'COFFIN_ALREADY_ASSIGNED',
+        409,
+      );
+    }
+
+    const coffin = await tx.queryOne(
+      `SELECT coffin_id, custom_id, type, exact_price, currency, quantity
+       FROM coffins
+       WHERE coffin_id = ? AND deleted_at IS NULL AND branch_id <=> ?`,
+      [coffinId, body.branch_id],
+    );
+    if (!coffin) throw codedError('Coffin not found', 'NOT_FOUND', 404);
+    if (coffin.quantity <= 0) {
+      throw codedError(
+        `${coffin.type} is out of stock`,
+        'COFFIN_OUT_OF_STOCK',
+        409,
+      );
+    }
+
+    const now = getKenyaTimeISO();
+    await tx.query(
+      `UPDATE portal_coffin_choices SET status = 'replaced', settled_at = ?
+       WHERE deceased_id = ? AND status = 'pending'`,
+      [now, body.deceased_id],
+    );
+    await tx.query(
+      `INSERT INTO portal_coffin_choices
+         (deceased_id, coffin_id, kin_id, quoted_price, currency, note, status,
+          created_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)`,
+      [
+        body.deceased_id,
+        coffin.coffin_id,
+        session.kin_id,
+        coffin.exact_price,
+        coffin.currency || 'KES',
+        note ? String(note).slice(0, 500) : null,
+        now,
+      ],
+    );
+    await notifyStaff(
+      tx,
+      body.deceased_id,
+      `Family chose coffin ${coffin.custom_id} (${coffin.type}) for ${body.deceased_id}`,
+    );
+  });
+
+  return currentCoffinChoice(session);
+}
+
+/**
+ * Settle a body's pending choice when staff assign a coffin, inside the
+ * assignment's transaction.
+ */
+async function settleCoffinChoice(tx, { deceasedId, coffinId, assignmentId }) {
+  await tx.query(
+    `UPDATE portal_coffin_choices
+     SET status = IF(coffin_id = ?, 'assigned', 'declined'),
+         assignment_id = ?, settled_at = ?
+     WHERE deceased_id = ? AND status = 'pending'`,
+    [coffinId, assignmentId, getKenyaTimeISO(), deceasedId],
+  );
+}
+
+/** Pending choices for staff, oldest first. */
+function listPendingCoffinChoices({ branch } = {}) {
+  const scope = orAllBranches(branch);
+  return safeQuery(
+    `SELECT ch.id, ch.deceased_id, d.full_name AS deceased_name, ch.coffin_id,
+            c.custom_id, c.type, c.quantity AS in_stock, ch.quoted_price,
+            ch.currency, ch.note, k.full_name AS chosen_by, ch.created_at
+     FROM portal_coffin_choices ch
+     JOIN deceased d ON d.deceased_id = ch.deceased_id
+     JOIN coffins c ON c.coffin_id = ch.coffin_id
+     LEFT JOIN next_of_kin k ON k.id = ch.kin_id
+     WHERE ch.status = 'pending' AND d.deleted_at IS NULL AND ${scope.sql}
+     ORDER BY ch.created_at`,
+    scope.params,
+  );
+}
+
+// ----------------- Viewing -----------------
+
+/** Start times on `date` with how many viewing rooms are free at each. */
+async function viewingSlots(session, date) {
+  const body = await loadBody(session);
+  return freeSlotTimes(
+    await roomAvailability({ branchId: body.branch_id, date }),
+  );
+}
+
+/** The body's portal viewings, latest first. */
+function listViewings(session) {
+  return safeQuery(
+    `SELECT ob.id, ob.visit_date, ob.visit_time, ob.start_time, ob.end_time,
+            r.name AS room_name, ob.visitors_count, ob.status, ob.checkin_code,
+            ob.created_at
+     FROM online_bookings ob
+     LEFT JOIN viewing_rooms r ON r.id = ob.room_id
+     WHERE ob.deceased_id = ? AND ob.booked_via = 'portal'
+     ORDER BY ob.visit_date DESC, ob.visit_time DESC`,
+    [session.deceased_id],
+  );
+}
+
+/**
+ * Book a viewing as the signed-in next of kin; one upcoming portal viewing
+ * per body at a time. `waitlist` joins the waitlist when the slot is full.
+ */
+async function bookViewing(
+  session,
+  { date, time, visitors, roomId, waitlist },
+) {
+  const kin = await safeQueryOne(
+    `SELECT full_name, contact, email, relationship
+     FROM next_of_kin WHERE id = ?`,
+    [session.kin_id],
+  );
+  const booking = await createBooking(
+    null,
+    {
+      deceasedId: session.deceased_id,
+      fullName: kin?.full_name || 'Next of kin',
+      contact: kin?.contact,
+      email: kin?.email,
+      relationship: kin?.relationship,
+      date,
+      time,
+      visitors,
+      roomId,
+      waitlist: Boolean(waitlist),
+    },
+    { source: 'portal' },
+  );
+  return {
+    id: booking.id,
+    visit_date: booking.visit_date,
+    visit_time: booking.visit_time,
+    start_time: booking.start_time,
+    end_time: booking.end_time,
+    room_name: booking.room_name,
+    visitors_count: booking.visitors_count,
+    status: booking.status,
+    checkin_code: booking.checkin_code,
+    created_at: booking.created_at,
+  };
+}
+
+/** Cancel one of the body's open portal viewings. */
+function cancelViewing(session, id) {
+  return cancelBooking({ id, deceasedId: session.deceased_id });
+}
+
+module.exports = {
+  coffinCatalogue,
+  currentCoffinChoice,
+  chooseCoffin,
+  settleCoffinChoice,
+  listPendingCoffinChoices,
+  viewingSlots,
+  listViewings,
+  bookViewing,
+  cancelViewing,
+};
@@ -0,0 +1,741 @@
+// ----------------- Quotations -----------------
+// Estimates for families before a body is admitted. A quote is built from:
+//
+//   storage     expected days priced by the storage tariff engine
+//   embalming   a flat price
+//   coffin      a coffin from the catalogue at its current price
+//   hearse      kilometres × a rate per km
+//   extras      any other charges, e.g. { charge_type: 'Tent Hire', amount }
+//
+// A named service package (basic, standard, premium, …) fills in any of
+// these the request leaves out. A quote is valid until `valid_until`:
+//
+//   Open  → Accepted → Converted   (once the body is registered)
+//        ↘ Declined / Expired
+//
+// Converting an accepted quote bills its agreed lines as extra charges on
+// the body and sets its rate category. Storage is not billed from the
+// quote: the tariff engine charges the days the body actually stays.
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const {
+  SUPPORTED_CURRENCIES,
+  toCurrencyCode,
+  convert,
+} = require('../currency/currency');
+const {
+  DEFAULT_CATEGORY,
+  loadTariffs,
+  calculateStorageCharges,
+} = require('../tariffs/tariffEngine');
+const { toServiceType, loadTaxCodes, applyTax } = require('../tax/taxCodes');
+const { postSource, syncDeceasedBalance } = require('../ledger/ledger');
+const { nextNumber } = require('../numbering/documentNumbers');
+const { round2, actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const ZONE = 'Africa/Nairobi';
+const QUOTE_STATUSES = ['Open', 'Accepted', 'Declined', 'Expired', 'Converted'];
+// How long a quote is honoured when the request doesn't say
+const DEFAULT_VALID_DAYS = 14;
+const MAX_VALID_DAYS = 90;
+const MAX_STORAGE_DAYS = 365;
+
+const parseJSON = (value) =>
+  typeof value === 'string' ? JSON.parse(value) : value;
+
+const today = () => DateTime.now().setZone(ZONE).toISODate();
+
+const given = (value) => value !== undefined && value !== null && value !== '';
+
+/** A number of 0 or more, or QUOTE_INVALID naming the field. */
+function amountOf(value, field) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw codedError(`${field} must be a number of 0 or more`, 'QUOTE_INVALID');
+  }
+  return n;
+}
+
+// ----------------- Service Packages -----------------
+
+function toPackage(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    storage_days: row.storage_days == null ? null : Number(row.storage_days),
+    embalming: Boolean(row.embalming),
+    embalming_price:
+      row.embalming_price == null ? null : parseFloat(row.embalming_price),
+    hearse_km: row.hearse_km == null ? null : parseFloat(row.hearse_km),
+    hearse_rate_per_km:
+      row.hearse_rate_per_km == null
+        ? null
+        : parseFloat(row.hearse_rate_per_km),
+    extras: parseJSON(row.extras) || [],
+    active: Boolean(row.active),
+  };
+}
+
+/** Service packages, active ones only unless `all`. */
+async function listPackages({ all = false } = {}) {
+  const rows = await safeQuery(
+    `SELECT * FROM service_packages
+     ${all ? '' : 'WHERE active = 1'}
+     ORDER BY code`,
+  );
+  return rows.map(toPackage);
+}
+
+async function findPackage(code) {
+  const [row] = await safeQuery(
+    'SELECT * FROM service_packages WHERE code = ? AND active = 1',
+    [String(code).toLowerCase()],
+  );
+  if (!row) {
+    throw codedError(
+      `No active service package "${code}"`,
+      'PACKAGE_NOT_FOUND',
+      404,
+    );
+  }
+  return toPackage(row);
+}
+
+// Extras as stored on packages and quotes: [{ charge_type, description, qty, amount }]
+function normaliseExtras(extras) {
+  if (!given(extras)) return [];
+  if (!Array.isArray(extras)) {
+    throw codedError('extras must be an array', 'QUOTE_INVALID');
+  }
+  return extras.map((extra, i) => {
+    const chargeType = String(extra?.charge_type || '').trim();
+    if (!chargeType) {
+      throw codedError(`extras[${i}] needs a charge_type`, 'QUOTE_INVALID');
+    }
+    const qty = given(extra.qty) ? amountOf(extra.qty, `extras[${i}].qty`) : 1;
+    return {
+      charge_type: chargeType.slice(0, 100),
+      description: extra.description
+        ? String(extra.description).slice(0, 255)
+        : null,
+      qty: qty || 1,
+      amount: round2(amountOf(extra.amount, `extras[${i}].amount`)),
+    };
+  });
+}
+
+/** Create or change a service package. */
+async function setPackage(req, code, payload) {
+  const key = String(code || '')
+    .trim()
+    .toLowerCase();
+  if (!/^[a-z0-9_-]{1,30}$/.test(key)) {
+    throw codedError(
+      'Package code must be 1-30 letters, digits, "-" or "_"',
+      'PACKAGE_INVALID',
+    );
+  }
+  const currency = toCurrencyCode(payload.currency || 'KES');
+  if (!currency) {
+    throw codedError(
+      `currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`,
+      'PACKAGE_INVALID',
+    );
+  }
+  const storageDays = given(payload.storage_days)
+    ? parseInt(payload.storage_days, 10)
+    : null;
+  if (
+    storageDays !== null &&
+    !(storageDays >= 0 && storageDays <= MAX_STORAGE_DAYS)
+  ) {
+    throw codedError(
+      `storage_days must be 0-${MAX_STORAGE_DAYS}`,
+      'PACKAGE_INVALID',
+    );
+  }
+  const price = (field) =>
+    given(payload[field]) ? round2(amountOf(payload[field], field)) : null;
+
+  const row = {
+    code: key,
+    name: String(payload.name || key).slice(0, 100),
+    description: payload.description
+      ? String(payload.description).slice(0, 255)
+      : null,
+    rate_category: payload.rate_category
+      ? String(payload.rate_category).trim().toLowerCase()
+      : key,
+    currency,
+    storage_days: storageDays,
+    embalming: payload.embalming ? 1 : 0,
+    embalming_price: price('embalming_price'),
+    coffin_id: payload.coffin_id ? String(payload.coffin_id) : null,
+    hearse_km: price('hearse_km'),
+    hearse_rate_per_km: price('hearse_rate_per_km'),
+    extras: JSON.stringify(normaliseExtras(payload.extras)),
+    active: payload.active === false || payload.active === 0 ? 0 : 1,
+    updated_by: actorOf(req),
+    updated_at: getKenyaTimeISO(),
+  };
+  if (row.embalming && row.embalming_price === null) {
+    throw codedError(
+      'A package with embalming needs an embalming_price',
+      'PACKAGE_INVALID',
+    );
+  }
+
+  return withTransaction(async (tx) => {
+    const before = await tx.queryOne(
+      'SELECT * FROM service_packages WHERE code = ? FOR UPDATE',
+      [key],
+    );
+    const columns = Object.keys(row);
+    await tx.query(
+      `INSERT INTO service_packages (${columns.join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})
+       ON DUPLICATE KEY UPDATE ${columns
+         .filter((c) => c !== 'code')
+         .map((c) => `${c} = VALUES(${c})`)
+         .join(', ')}`,
+      columns.map((c) => row[c]),
+    );
+    const after = toPackage(row);
+    await recordAudit(tx, req, {
+      entity: 'service_package',
+      entityId: key,
+      action: before ? 'update' : 'create',
+      before: toPackage(before),
+      after,
+    });
+    return after;
+  });
+}
+
+// ----------------- Estimates -----------------
+
+// Catalogue price of a coffin in the quote's currency, converted the way
+// the charge job does it
+async function coffinLine(coffinId, currency, coffinBranch) {
+  const scope = orAllBranches(coffinBranch);
+  const [coffin] = await safeQuery(
+    `SELECT coffin_id, type, material, exact_price, currency, exchange_rate, quantity
+     FROM coffins
+     WHERE coffin_id = ? AND deleted_at IS NULL AND ${scope.sql}`,
+    [coffinId, ...scope.params],
+  );
+  if (!coffin) {
+    throw codedError(`Coffin ${coffinId} not found`, 'COFFIN_NOT_FOUND', 404);
+  }
+
+  const priceKES = parseFloat(coffin.exact_price || 0);
+  const price =
+    toCurrencyCode(coffin.currency) === currency
+      ? currency === 'KES'
+        ? priceKES
+        : priceKES / (parseFloat(coffin.exchange_rate) || 1)
+      : (await convert(priceKES, 'KES', currency)).amount;
+
+  return {
+    service: `Coffin: ${[coffin.type, coffin.material].filter(Boolean).join(', ')}`,
+    charge_type: 'Coffin',
+    coffin_id: coffin.coffin_id,
+    qty: 1,
+    amount: round2(price),
+    // Quotes don't reserve stock; this only warns the person quoting
+    in_stock: Number(coffin.quantity) > 0,
+  };
+}
+
+/**
+ * Price a quote without saving it. Anything the request leaves out comes
+ * from `package`. `coffinBranch` limits the coffin to the caller's stock.
+ *
+ * Returns the options used and the priced lines, with VAT worked out the
+ * same way as on invoices.
+ */
+async function estimateQuote(payload, { branchId = null, coffinBranch } = {}) {
+  const pkg = payload.package ? await findPackage(payload.package) : null;
+  const pick = (field) =>
+    given(payload[field]) ? payload[field] : pkg?.[field];
+
+  const currency = toCurrencyCode(payload.currency || pkg?.currency || 'KES');
+  if (!currency) {
+    throw codedError(
+      `currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`,
+      'QUOTE_INVALID',
+    );
+  }
+  if (pkg && pkg.currency !== currency) {
+    throw codedError(
+      `Package ${pkg.code} is priced in ${pkg.currency}`,
+      'QUOTE_INVALID',
+    );
+  }
+
+  const expected = given(payload.expected_admission)
+    ? DateTime.fromISO(String(payload.expected_admission), { zone: ZONE })
+    : DateTime.now().setZone(ZONE).startOf('day');
+  if (!expected.isValid) {
+    throw codedError('Invalid expected_admission date', 'QUOTE_INVALID');
+  }
+  const storageDays = parseInt(pick('storage_days') ?? 0, 10);
+  if (!(storageDays >= 0 && storageDays <= MAX_STORAGE_DAYS)) {
+    throw codedError(
+      `storage_days must be 0-${MAX_STORAGE_DAYS}`,
+      'QUOTE_INVALID',
+    );
+  }
+  const rateCategory = String(pick('rate_category') || DEFAULT_CATEGORY)
+    .trim()
+    .toLowerCase();
+
+  const items = [];
+
+  // Storage, priced by the tariffs in force over the expected stay
+  if (storageDays > 0) {
+    const start = expected.startOf('day');
+    const storage = calculateStorageCharges(
+      {
+        date_admitted: start.toISO(),
+        rate_category: rateCategory,
+        currency,
+        branch_id: branchId,
+      },
+      {
+        tariffs: await loadTariffs({ currency, branchId }),
+        until: start.plus({ days: storageDays }).toISO(),
+      },
+    );
+    if (storage.missing_tariff_days > 0) {
+      throw codedError(
+        `No ${rateCategory} ${currency} storage tariff for ${storage.missing_tariff_days} of the ${storageDays} days`,
+        'QUOTE_NO_TARIFF',
+        422,
+      );
+    }
+    items.push({
+      service: `Storage: ${storageDays} day${storageDays === 1 ? '' : 's'} (${rateCategory})`,
+      service_type: 'mortuary',
+      storage: true,
+      qty: 1,
+      amount: storage.total,
+    });
+  }
+
+  const embalming = given(payload.embalming)
+    ? Boolean(payload.embalming) && payload.embalming !== 'false'
+    : Boolean(pkg?.embalming);
+  if (embalming) {
+    const price = pick('embalming_price');
+    if (!given(price)) {
+      throw codedError('embalming_price is required', 'QUOTE_INVALID');
+    }
+    items.push({
+      service: 'Embalming Services',
+      charge_type: 'Embalming',
+      qty: 1,
+      amount: round2(amountOf(price, 'embalming_price')),
+    });
+  }
+
+  const coffinId = pick('coffin_id');
+  if (coffinId) {
+    items.push(await coffinLine(coffinId, currency, coffinBranch));
+  }
+
+  const hearseKm = given(pick('hearse_km'))
+    ? amountOf(pick('hearse_km'), 'hearse_km')
+    : 0;
+  if (hearseKm > 0) {
+    const rate = pick('hearse_rate_per_km');
+    if (!given(rate)) {
+      throw codedError('hearse_rate_per_km is required', 'QUOTE_INVALID');
+    }
+    items.push({
+      service: `Hearse Hire: ${hearseKm} km`,
+      charge_type: 'Hearse Hire',
+      qty: hearseKm,
+      amount: round2(amountOf(rate, 'hearse_rate_per_km')),
+    });
+  }
+
+  const extras = given(payload.extras)
+    ? normaliseExtras(payload.extras)
+    : pkg?.extras || [];
+  extras.forEach((extra) =>
+    items.push({
+      service: extra.charge_type,
+      charge_type: extra.charge_type,
+      description: extra.description,
+      qty: extra.qty,
+      amount: extra.amount,
+    }),
+  );
+
+  if (items.length === 0) {
+    throw codedError('Nothing to quote', 'QUOTE_INVALID');
+  }
+
+  const taxed = applyTax(
+    items.map((item) => ({
+      ...item,
+      service_type: item.service_type || toServiceType(item.charge_type),
+    })),
+    await loadTaxCodes(),
+  );
+
+  return {
+    package_code: pkg?.code || null,
+    package_name: pkg?.name || null,
+    currency,
+    rate_category: rateCategory,
+    expected_admission: expected.toISODate(),
+    storage_days: storageDays,
+    items: taxed.items,
+    subtotal: taxed.subtotal,
+    tax_amount: taxed.tax_amount,
+    tax_breakdown: taxed.tax_breakdown,
+    total_amount: taxed.total,
+  };
+}
+
+// ----------------- Quotes -----------------
+
+function toQuote(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    items: parseJSON(row.items) || [],
+    tax_breakdown: parseJSON(row.tax_breakdown) || [],
+  };
+}
+
+/** Price and save a quote for a family. */
+async function createQuote(req, payload, { branchId = null, coffinBranch }) {
+  const clientName = String(payload.client_name || '').trim();
+  if (!clientName) {
+    throw codedError('client_name is required', 'QUOTE_INVALID');
+  }
+  const validDays = given(payload.valid_days)
+    ? parseInt(payload.valid_days, 10)
+    : DEFAULT_VALID_DAYS;
+  if (!(validDays >= 1 && validDays <= MAX_VALID_DAYS)) {
+    throw codedError(`valid_days must be 1-${MAX_VALID_DAYS}`, 'QUOTE_INVALID');
+  }
+
+  const estimate = await estimateQuote(payload, { branchId, coffinBranch });
+
+  return withTransaction(async (tx) => {
+    const row = {
+      quote_number: await nextNumber(tx, 'quote'),
+      branch_id: branchId,
+      package_code: estimate.package_code,
+      client_name: clientName.slice(0, 150),
+      client_phone: payload.client_phone
+        ? String(payload.client_phone).slice(0, 30)
+        : null,
+      client_email: payload.client_email
+        ? String(payload.client_email).slice(0, 150)
+        : null,
+      deceased_name: payload.deceased_name
+        ? String(payload.deceased_name).slice(0, 150)
+        : null,
+      expected_admission: estimate.expected_admission,
+      storage_days: estimate.storage_days,
+      rate_category: estimate.rate_category,
+      currency: estimate.currency,
+      items: JSON.stringify(estimate.items),
+      subtotal: estimate.subtotal,
+      tax_amount: estimate.tax_amount,
+      tax_breakdown: JSON.stringify(estimate.tax_breakdown),
+      total_amount: estimate.total_amount,
+      valid_until: DateTime.now()
+        .setZone(ZONE)
+        .plus({ days: validDays })
+        .toISODate(),
+      status: 'Open',
+      notes: payload.notes ? String(payload.notes).slice(0, 255) : null,
+      created_by: actorOf(req),
+      created_at: getKenyaTimeISO(),
+    };
+    const columns = Object.keys(row);
+    const result = await tx.query(
+      `INSERT INTO quotes (${columns.join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => row[c]),
+    );
+
+    const created = toQuote({ id: result.insertId, ...row });
+    await recordAudit(tx, req, {
+      entity: 'quote',
+      entityId: result.insertId,
+      action: 'create',
+      before: null,
+      after: created,
+    });
+    return { ...created, package_name: estimate.package_name };
+  });
+}
+
+/** Quotes, newest first. */
+async function listQuotes({ branch, status, search, limit = 200 } = {}) {
+  const scope = orAllBranches(branch);
+  const where = [scope.sql];
+  const params = [...scope.params];
+  if (status) {
+    where.push('q.status = ?');
+    params.push(status);
+  }
+  if (search) {
+    where.push(
+      '(q.quote_number LIKE ? OR q.client_name LIKE ? OR q.deceased_name LIKE ?)',
+    );
+    params.push(...Array(3).fill(`%${search}%`));
+  }
+
+  const rows = await safeQuery(
+    `SELECT q.id, q.quote_number, q.package_code, q.client_name, q.client_phone,
+            q.deceased_name, q.currency, q.total_amount, q.valid_until, q.status,
+            q.deceased_id, q.invoice_id, q.created_by, q.created_at
+     FROM quotes q
+     WHERE ${where.join(' AND ')}
+     ORDER BY q.id DESC
+     LIMIT ${Math.min(parseInt(limit, 10) || 200, 1000)}`,
+    params,
+  );
+  return rows;
+}
+
+/** One quote with its lines. */
+async function getQuote(quoteId, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  const [row] = await safeQuery(
+    `SELECT q.*, p.name AS package_name
+     FROM quotes q LEFT JOIN service_packages p ON p.code = q.package_code
+     WHERE q.id = ? AND ${scope.sql}`,
+    [quoteId, ...scope.params],
+  );
+  if (!row) throw new AppError('Quote not found', 404);
+  return toQuote(row);
+}
+
+async function lockQuote(tx, quoteId, branch) {
+  const scope = orAllBranches(branch);
+  const quote = await tx.queryOne(
+    `SELECT q.* FROM quotes q WHERE q.id = ? AND ${scope.sql} FOR UPDATE`,
+    [quoteId, ...scope.params],
+  );
+  if (!quote) throw new AppError('Quote not found', 404);
+  return quote;
+}
+
+/**
+ * The family accepts or declines an open quote. A quote past its
+ * `valid_until` can no longer be accepted; price it again instead.
+ */
+async function decideQuote(req, quoteId, { accept, note, branch }) {
+  return withTransaction(async (tx) => {
+    const before = await lockQuote(tx, quoteId, branch);
+    if (before.status !== 'Open') {
+      throw codedError(
+        `Quote ${before.quote_number} is ${before.status.toLowerCase()}`,
+        'QUOTE_CLOSED',
+        409,
+      );
+    }
+    if (accept && String(before.valid_until).slice(0, 10) < today()) {
+      throw codedError(
+        `Quote ${before.quote_number} expired on ${String(before.valid_until).slice(0, 10)}`,
+        'QUOTE_EXPIRED',
+        409,
+      );
+    }
+
+    const after = {
+      ...before,
+      status: accept ? 'Accepted' : 'Declined',
+      decided_by: actorOf(req),
+      decided_at: getKenyaTimeISO(),
+      decision_note: note ? String(note).slice(0, 255) : null,
+    };
+    await tx.query(
+      `UPDATE quotes SET status = ?, decided_by = ?, decided_at = ?, decision_note = ?
+       WHERE id = ?`,
+      [
+        after.status,
+        after.decided_by,
+        after.decided_at,
+        after.decision_note,
+        before.id,
+      ],
+    );
+    await recordAudit(tx, req, {
+      entity: 'quote',
+      entityId: before.id,
+      action: 'update',
+      before,
+      after,
+    });
+    return toQuote(after);
+  });
+}
+
+/**
+ * Bill an accepted quote to the body it was for, once registered. Each
+ * quoted line except storage becomes an extra charge (posted to the
+ * ledger), and the body takes the quote's rate category. The caller then
+ * raises the system invoice. `bodyBranch` limits the body to the caller's
+ * branch. Resolves with the quote and the charges created.
+ */
+async function convertQuote(req, quoteId, { deceasedId, branch, bodyBranch }) {
+  if (!deceasedId) {
+    throw codedError('deceased_id is required', 'QUOTE_INVALID');
+  }
+  const scope = orAllBranches(bodyBranch);
+
+  return withTransaction(async (tx) => {
+    const before = await lockQuote(tx, quoteId, branch);
+    if (before.status !== 'Accepted') {
+      throw codedError(
+        before.status === 'Converted'
+          ? `Quote ${before.quote_number} is already billed to ${before.deceased_id}`
+          : `Quote ${before.quote_number} must be accepted first (it is ${before.status.toLowerCase()})`,
+        'QUOTE_NOT_ACCEPTED',
+        409,
+      );
+    }
+
+    const deceased = await tx.queryOne(
+      `SELECT d.id, d.deceased_id, d.full_name, d.branch_id, d.currency, d.rate_category
+       FROM deceased d
+       WHERE d.id = ? AND d.deleted_at IS NULL AND ${scope.sql}
+       FOR UPDATE`,
+      [deceasedId, ...scope.params],
+    );
+    if (!deceased) throw new AppError('Deceased not found', 404);
+    const bodyCurrency = toCurrencyCode(deceased.currency) || 'KES';
+    if (bodyCurrency !== before.currency) {
+      throw codedError(
+        `Quote ${before.quote_number} is in ${before.currency} but ${deceased.deceased_id} is billed in ${bodyCurrency}`,
+        'QUOTE_CURRENCY_MISMATCH',
+        409,
+      );
+    }
+
+    const now = getKenyaTimeISO();
+    const charges = [];
+    for (const item of parseJSON(before.items) || []) {
+      if (item.storage) continue;
+      const amount = round2(
+        (parseFloat(item.qty) || 1) * parseFloat(item.amount),
+      );
+      if (!(amount > 0)) continue;
+
+      const description = `${item.description || item.service} (quote ${before.quote_number})`;
+      const result = await tx.query(
+        `INSERT INTO extra_charges
+         (deceased_id, charge_type, amount, description, notes, service_date, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          deceased.deceased_id,
+          item.charge_type || item.service,
+          amount,
+          description.slice(0, 255),
+          `Quote ${before.quote_number}`,
+          now,
+          now,
+        ],
+      );
+      await postSource(tx, {
+        deceased,
+        sourceType: 'extra_charge',
+        sourceId: result.insertId,
+        amount,
+        description,
+        postedBy: actorOf(req),
+      });
+      charges.push({
+        id: result.insertId,
+        charge_type: item.charge_type || item.service,
+        amount,
+      });
+    }
+
+    if (
+      before.rate_category &&
+      before.rate_category !== deceased.rate_category
+    ) {
+      await tx.query('UPDATE deceased SET rate_category = ? WHERE id = ?', [
+        before.rate_category,
+        deceased.id,
+      ]);
+    }
+
+    const after = {
+      ...before,
+      status: 'Converted',
+      deceased_id: deceased.deceased_id,
+      converted_by: actorOf(req),
+      converted_at: now,
+    };
+    await tx.query(
+      `UPDATE quotes SET status = 'Converted', deceased_id = ?, converted_by = ?, converted_at = ?
+       WHERE id = ?`,
+      [after.deceased_id, after.converted_by, after.converted_at, before.id],
+    );
+    await recordAudit(tx, req, {
+      entity: 'quote',
+      entityId: before.id,
+      action: 'update',
+      before,
+      after,
+    });
+    const balance = await syncDeceasedBalance(tx, deceased);
+
+    return { quote: toQuote(after), deceased, charges, balance };
+  });
+}
+
+/** Remember which invoice a converted quote was billed on. */
+async function linkQuoteInvoice(quoteId, invoiceId) {
+  await safeQuery('UPDATE quotes SET invoice_id = ? WHERE id = ?', [
+    invoiceId,
+    quoteId,
+  ]);
+}
+
+/** Mark open quotes past their `valid_until` as expired. */
+async function expireQuotes() {
+  const result = await safeQuery(
+    `UPDATE quotes SET status = 'Expired'
+     WHERE status = 'Open' AND valid_until < ?`,
+    [today()],
+  );
+  return result.affectedRows || 0;
+}
+
+module.exports = {
+  QUOTE_STATUSES,
+  DEFAULT_VALID_DAYS,
+  listPackages,
+  setPackage,
+  estimateQuote,
+  createQuote,
+  listQuotes,
+  getQuote,
+  decideQuote,
+  convertQuote,
+  linkQuoteInvoice,
+  expireQuotes,
+};
@@ -0,0 +1,465 @@
+// ----------------- Payment Plans -----------------
+// A family that cannot clear a balance at once can agree to pay it in
+// instalments. A plan holds the agreed total in the body's billing currency
+// and its instalments with due dates.
+//
+// Instalments are not paid directly. Everything the family pays after the
+// plan is agreed (payments less refunds, from the body's ledger, leaving out
+// what went to payer invoices) is applied to the instalments in order:
+//
+//   Pending   not due yet, nothing paid
+//   Partial   part paid, not due yet
+//   Paid      paid in full
+//   Overdue   past its due date and not paid in full
+//
+// A plan is `Completed` once every instalment is paid, and `Defaulted` while
+// an instalment is more than PLAN_DEFAULT_GRACE_DAYS overdue. Someone who
+// may approve releases can let the body go before the balance is cleared
+// while the plan has nothing overdue (`release_allowed`).
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const { toCurrencyCode } = require('../currency/currency');
+const { nextNumber } = require('../numbering/documentNumbers');
+const { bodyPayerOutstanding } = require('../payers/payerBilling');
+const { CENT, round2, actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const ZONE = 'Africa/Nairobi';
+const PLAN_STATUSES = ['Active', 'Completed', 'Defaulted', 'Cancelled'];
+const PLAN_FREQUENCIES = {
+  weekly: { weeks: 1 },
+  fortnightly: { weeks: 2 },
+  monthly: { months: 1 },
+};
+const MAX_INSTALMENTS = 24;
+const PLAN_DEFAULT_GRACE_DAYS =
+  parseInt(process.env.PLAN_DEFAULT_GRACE_DAYS, 10) || 14;
+
+const today = () => DateTime.now().setZone(ZONE).toISODate();
+
+const toISODate = (value) => (value ? String(value).slice(0, 10) : null);
+
+/** What the family owes on a body: its balance less what payers owe. */
+async function familyBalance(tx, deceased) {
+  const payers = await bodyPayerOutstanding(tx, deceased.id);
+  return round2(parseFloat(deceased.balance || 0) - payers);
+}
+
+// Due dates and amounts: either given, or `instalment_count` equal parts
+// every `frequency` from `first_due_date`, the rounding on the last one
+function scheduleInstalments(total, payload) {
+  if (Array.isArray(payload.instalments) && payload.instalments.length) {
+    const rows = payload.instalments.map((item, i) => {
+      const dueDate = toISODate(item?.due_date);
+      const amount = round2(item?.amount);
+      if (!dueDate || !DateTime.fromISO(dueDate).isValid) {
+        throw codedError(
+          `instalments[${i}].due_date must be yyyy-mm-dd`,
+          'PLAN_INVALID',
+        );
+      }
+      if (!(amount > 0)) {
+        throw codedError(
+          `instalments[${i}].amount must be above 0`,
+          'PLAN_INVALID',
+        );
+      }
+      return { due_date: dueDate, amount };
+    });
+    rows.sort((a, b) => a.due_date.localeCompare(b.due_date));
+    const sum = round2(rows.reduce((s, r) => s + r.amount, 0));
+    if (Math.abs(sum - total) >= CENT) {
+      throw codedError(
+        `Instalments add up to ${sum}, not the plan total of ${total}`,
+        'PLAN_INVALID',
+      );
+    }
+    return rows;
+  }
+
+  const count = parseInt(payload.instalment_count, 10);
+  const step = PLAN_FREQUENCIES[payload.frequency || 'monthly'];
+  const first = toISODate(payload.first_due_date) || today();
+  if (!step) {
+    throw codedError(
+      `frequency must be one of ${Object.keys(PLAN_FREQUENCIES).join(', ')}`,
+      'PLAN_INVALID',
+    );
+  }
+  if (!DateTime.fromISO(first).isValid) {
+    throw codedError('first_due_date must be yyyy-mm-dd', 'PLAN_INVALID');
+  }
+  if (!(count >= 1)) {
+    throw codedError('Give instalments or an instalment_count', 'PLAN_INVALID');
+  }
+
+  const part = Math.floor((total / count) * 100) / 100;
+  const start = DateTime.fromISO(first, { zone: ZONE });
+  const [[unit, size]] = Object.entries(step);
+  return Array.from({ length: count }, (_, i) => ({
+    due_date: start.plus({ [unit]: size * i }).toISODate(),
+    amount: i === count - 1 ? round2(total - part * (count - 1)) : part,
+  }));
+}
+
+/**
+ * Agree a plan for a body, inside the caller's transaction. The total
+ * defaults to what the family owes now. Only one plan can be open per body.
+ */
+async function createPlan(tx, req, deceased, payload = {}) {
+  const open = await tx.queryOne(
+    `SELECT plan_number FROM payment_plans
+     WHERE deceased_id = ? AND status IN ('Active', 'Defaulted') LIMIT 1`,
+    [deceased.deceased_id],
+  );
+  if (open) {
+    throw codedError(
+      `Plan ${open.plan_number} is still open for this body`,
+      'PLAN_EXISTS',
+      409,
+    );
+  }
+
+  const owed = await familyBalance(tx, deceased);
+  const total =
+    payload.total_amount !== undefined && payload.total_amount !== null
+      ? round2(payload.total_amount)
+      : owed;
+  if (!(total > 0)) {
+    throw codedError('Nothing is owed to put on a plan', 'PLAN_INVALID');
+  }
+  if (total > owed + CENT) {
+    throw codedError(
+      `The plan total cannot be more than the ${owed} the family owes`,
+      'PLAN_INVALID',
+    );
+  }
+  const instalments = scheduleInstalments(total, payload);
+  if (instalments.length > MAX_INSTALMENTS) {
+    throw codedError(
+      `A plan can have at most ${MAX_INSTALMENTS} instalments`,
+      'PLAN_INVALID',
+    );
+  }
+
+  const now = getKenyaTimeISO();
+  const row = {
+    plan_number: await nextNumber(tx, 'payment_plan'),
+    deceased_id: deceased.deceased_id,
+    branch_id: deceased.branch_id ?? null,
+    currency: toCurrencyCode(deceased.currency) || 'KES',
+    total_amount: total,
+    instalment_count: instalments.length,
+    frequency: payload.instalments?.length
+      ? null
+      : payload.frequency || 'monthly',
+    status: 'Active',
+    notes: payload.notes ? String(payload.notes).slice(0, 255) : null,
+    created_by: actorOf(req),
+    created_at: now,
+  };
+  const columns = Object.keys(row);
+  const result = await tx.query(
+    `INSERT INTO payment_plans (${columns.join(', ')})
+     VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map((c) => row[c]),
+  );
+  for (const [i, item] of instalments.entries()) {
+    await tx.query(
+      `INSERT INTO payment_plan_instalments (plan_id, seq, due_date, amount)
+       VALUES (?, ?, ?, ?)`,
+      [result.insertId, i + 1, item.due_date, item.amount],
+    );
+  }
+
+  const plan = await refreshPlan(tx, result.insertId);
+  await recordAudit(tx, req, {
+    entity: 'payment_plan',
+    entityId: result.insertId,
+    action: 'create',
+    before: null,
+    after: plan,
+  });
+  return plan;
+}
+
+// What the family has paid towards a body since `since`, in its currency
+async function paidSince(tx, deceased, since) {
+  const ledger = await tx.queryOne(
+    `SELECT COALESCE(SUM(l.credit - l.debit), 0) AS paid
+     FROM ledger_lines l JOIN ledger_journals j ON j.id = l.journal_id
+     WHERE l.deceased_id = ? AND l.account = 'receivable'
+       AND j.entry_type IN ('payment', 'refund') AND j.posted_at >= ?`,
+    [deceased.deceased_id, since],
+  );
+  const payers = await tx.queryOne(
+    `SELECT COALESCE(SUM(a.amount), 0) AS paid
+     FROM payment_allocations a JOIN invoices i ON i.id = a.invoice_id
+     WHERE i.deceased_id = ? AND i.payer_id IS NOT NULL AND a.created_at >= ?`,
+    [deceased.id, since],
+  );
+  return round2(parseFloat(ledger.paid) - parseFloat(payers.paid));
+}
+
+/**
+ * Apply what the family has paid since the plan was agreed to its
+ * instalments and store the resulting statuses. `tx` needs `query` and
+ * `queryOne`. Returns the plan with its instalments.
+ */
+async function refreshPlan(tx, planId) {
+  const plan = await tx.queryOne('SELECT * FROM payment_plans WHERE id = ?', [
+    planId,
+  ]);
+  if (!plan) return null;
+  const instalments = await tx.query(
+    'SELECT * FROM payment_plan_instalments WHERE plan_id = ? ORDER BY seq',
+    [planId],
+  );
+  if (plan.status === 'Cancelled') return { ...plan, instalments };
+
+  const deceased = await tx.queryOne(
+    'SELECT id, deceased_id FROM deceased WHERE deceased_id = ?',
+    [plan.deceased_id],
+  );
+  const day = today();
+  const graceDay = DateTime.fromISO(day)
+    .minus({ days: PLAN_DEFAULT_GRACE_DAYS })
+    .toISODate();
+
+  let left = Math.max(await paidSince(tx, deceased, plan.created_at), 0);
+  let paidTotal = 0;
+  let overdueAmount = 0;
+  let defaulted = false;
+  let nextDue = null;
+  for (const item of instalments) {
+    const amount = parseFloat(item.amount);
+    const paid = round2(Math.min(left, amount));
+    left = round2(left - paid);
+    paidTotal = round2(paidTotal + paid);
+
+    const dueDate = toISODate(item.due_date);
+    let status = 'Pending';
+    if (amount - paid < CENT) status = 'Paid';
+    else if (dueDate < day) status = 'Overdue';
+    else if (paid >= CENT) status = 'Partial';
+
+    if (status === 'Overdue') {
+      overdueAmount = round2(overdueAmount + amount - paid);
+      if (dueDate < graceDay) defaulted = true;
+    }
+    if (status !== 'Paid' && !nextDue) nextDue = dueDate;
+
+    if (
+      status !== item.status ||
+      Math.abs(paid - parseFloat(item.paid_amount || 0)) >= CENT
+    ) {
+      await tx.query(
+        `UPDATE payment_plan_instalments SET paid_amount = ?, status = ?
+         WHERE id = ?`,
+        [paid, status, item.id],
+      );
+    }
+    Object.assign(item, { paid_amount: paid, status });
+  }
+
+  let status = 'Active';
+  if (instalments.every((i) => i.status === 'Paid')) status = 'Completed';
+  else if (defaulted) status = 'Defaulted';
+  if (status !== plan.status) {
+    await tx.query(
+      `UPDATE payment_plans SET status = ?, completed_at = ? WHERE id = ?`,
+      [status, status === 'Completed' ? getKenyaTimeISO() : null, planId],
+    );
+  }
+
+  return {
+    ...plan,
+    status,
+    amount_paid: paidTotal,
+    outstanding: round2(parseFloat(plan.total_amount) - paidTotal),
+    overdue_amount: overdueAmount,
+    next_due_date: nextDue,
+    instalments,
+  };
+}
+
+/** One plan, refreshed. `branch` limits it to the caller's branch. */
+async function getPlan(planId, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  const [row] = await safeQuery(
+    `SELECT p.id FROM payment_plans p WHERE p.id = ? AND ${scope.sql}`,
+    [planId, ...scope.params],
+  );
+  if (!row) throw new AppError('Payment plan not found', 404);
+  return withTransaction((tx) => refreshPlan(tx, row.id));
+}
+
+/** Plans with their body, newest first, without instalments. */
+async function listPlans({ branch, status, deceasedId } = {}) {
+  const scope = orAllBranches(branch);
+  const where = [scope.sql];
+  const params = [...scope.params];
+  if (status) {
+    where.push('p.status = ?');
+    params.push(status);
+  }
+  if (deceasedId) {
+    where.push('p.deceased_id = ?');
+    params.push(deceasedId);
+  }
+  return safeQuery(
+    `SELECT p.*, d.full_name,
+            COALESCE(SUM(i.paid_amount), 0) AS amount_paid,
+            COALESCE(SUM(CASE WHEN i.status = 'Overdue' THEN i.amount - i.paid_amount END), 0) AS overdue_amount,
+            MIN(CASE WHEN i.status != 'Paid' THEN i.due_date END) AS next_due_date
+     FROM payment_plans p
+     JOIN deceased d ON d.deceased_id = p.deceased_id
+     LEFT JOIN payment_plan_instalments i ON i.plan_id = p.id
+     WHERE ${where.join(' AND ')}
+     GROUP BY p.id
+     ORDER BY p.id DESC`,
+    params,
+  );
+}
+
+/** Cancel an open plan; what was paid stays paid. */
+async function cancelPlan(req, planId, { reason, branch } = {}) {
+  if (!reason || !String(reason).trim()) {
+    throw codedError('A reason is required', 'PLAN_INVALID');
+  }
+  const scope = orAllBranches(branch);
+  return withTransaction(async (tx) => {
+    const before = await tx.queryOne(
+      `SELECT p.* FROM payment_plans p WHERE p.id = ? AND ${scope.sql} FOR UPDATE`,
+      [planId, ...scope.params],
+    );
+    if (!before) throw new AppError('Payment plan not found', 404);
+    if (!['Active', 'Defaulted'].includes(before.status)) {
+      throw codedError(
+        `Plan ${before.plan_number} is ${before.status}`,
+        'PLAN_CLOSED',
+        409,
+      );
+    }
+    await tx.query(
+      `UPDATE payment_plans
+       SET status = 'Cancelled', release_allowed = 0, cancelled_by = ?, cancelled_at = ?,
+           cancel_reason = ?
+       WHERE id = ?`,
+      [
+        actorOf(req),
+        getKenyaTimeISO(),
+        String(reason).trim().slice(0, 255),
+        planId,
+      ],
+    );
+    const after = await tx.queryOne(
+      'SELECT * FROM payment_plans WHERE id = ?',
+      [planId],
+    );
+    await recordAudit(tx, req, {
+      entity: 'payment_plan',
+      entityId: planId,
+      action: 'update',
+      before,
+      after,
+    });
+    return after;
+  });
+}
+
+/** Let the body be released while the plan is kept up, or withdraw that. */
+async function setReleaseAllowed(req, planId, { allow, branch } = {}) {
+  const scope = orAllBranches(branch);
+  return withTransaction(async (tx) => {
+    const before = await tx.queryOne(
+      `SELECT p.* FROM payment_plans p WHERE p.id = ? AND ${scope.sql} FOR UPDATE`,
+      [planId, ...scope.params],
+    );
+    if (!before) throw new AppError('Payment plan not found', 404);
+    if (allow && before.status !== 'Active') {
+      throw codedError(
+        `Plan ${before.plan_number} is ${before.status}`,
+        'PLAN_CLOSED',
+        409,
+      );
+    }
+    await tx.query(
+      `UPDATE payment_plans SET release_allowed = ?, release_allowed_by = ?, release_allowed_at = ?
+       WHERE id = ?`,
+      [
+        allow ? 1 : 0,
+        allow ? actorOf(req) : null,
+        allow ? getKenyaTimeISO() : null,
+        planId,
+      ],
+    );
+    const plan = await refreshPlan(tx, planId);
+    await recordAudit(tx, req, {
+      entity: 'payment_plan',
+      entityId: planId,
+      action: 'update',
+      before,
+      after: plan,
+    });
+    return plan;
+  });
+}
+
+/**
+ * Whether a plan lets the body leave with a balance: an active plan with
+ * `release_allowed` and its instalments due so far paid. Uses `tx.queryOne`
+ * only, so the lifecycle guards can call it with a read-only runner.
+ */
+async function planAllowsRelease(tx, deceased) {
+  const plan = await tx.queryOne(
+    `SELECT p.id, p.created_at,
+            (SELECT COALESCE(SUM(i.amount), 0) FROM payment_plan_instalments i
+             WHERE i.plan_id = p.id AND i.due_date < ?) AS due
+     FROM payment_plans p
+     WHERE p.deceased_id = ? AND p.status = 'Active' AND p.release_allowed = 1
+     LIMIT 1`,
+    [today(), deceased.deceased_id],
+  );
+  if (!plan) return false;
+  const paid = await paidSince(tx, deceased, plan.created_at);
+  return parseFloat(plan.due) - paid < CENT;
+}
+
+/** Refresh every open plan; run daily so overdue instalments show up. */
+async function refreshOpenPlans() {
+  const plans = await safeQuery(
+    "SELECT id FROM payment_plans WHERE status IN ('Active', 'Defaulted')",
+  );
+  const changed = [];
+  for (const { id } of plans) {
+    const plan = await withTransaction((tx) => refreshPlan(tx, id));
+    if (plan.overdue_amount > 0 || plan.status !== 'Active') {
+      changed.push(plan);
+    }
+  }
+  return changed;
+}
+
+module.exports = {
+  PLAN_STATUSES,
+  PLAN_FREQUENCIES,
+  familyBalance,
+  createPlan,
+  refreshPlan,
+  getPlan,
+  listPlans,
+  cancelPlan,
+  setReleaseAllowed,
+  planAllowsRelease,
+  refreshOpenPlans,
+};
@@ -0,0 +1,601 @@
+// ----------------- Accounts Receivable -----------------
+// Who owes what, how long it has been owing, and chasing it.
+//
+// A body's balance is aged from its ledger: payments, waivers and credits
+// settle the oldest charges first, and whatever is left is aged by the day
+// it was posted, into the AGING_BUCKETS. What payers (insurers, employers)
+// owe is shown beside it but is not chased from the family.
+//
+// A body is held for payment when its release is approved but it cannot
+// be dispatched because the family still owes money (see the dispatch guard
+// in services/lifecycle/bodyLifecycle.js).
+//
+// Next of kin are reminded by WhatsApp and email: of the balance once it is
+// REMINDER_AFTER_DAYS old (or straight away for a held body), and of plan
+// instalments coming due or overdue. Each kind of reminder is repeated at
+// most every REMINDER_INTERVAL_DAYS. Every reminder, call, visit and
+// promise to pay is kept in `ar_followups`.
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { sendWhatsAppNotification } = require('../../utilities/watsApp/send');
+const { sendEmail } = require('../emailservices/sharedocuments');
+const { recordAudit } = require('../audit/auditLog');
+const { formatMoney, toCurrencyCode } = require('../currency/currency');
+const { normalisePhone } = require('../mpesa/daraja');
+const { LIFECYCLE, normaliseStatus } = require('../lifecycle/bodyLifecycle');
+const { planAllowsRelease } = require('./paymentPlans');
+const { CENT, round2, actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const ZONE = 'Africa/Nairobi';
+const AGING_BUCKETS = [
+  { key: 'days_0_30', label: '0-30', max: 30 },
+  { key: 'days_31_60', label: '31-60', max: 60 },
+  { key: 'days_61_90', label: '61-90', max: 90 },
+  { key: 'days_91_120', label: '91-120', max: 120 },
+  { key: 'days_over_120', label: '120+', max: Infinity },
+];
+const FOLLOWUP_KINDS = ['reminder', 'call', 'visit', 'promise', 'note'];
+const REMINDER_AFTER_DAYS =
+  parseInt(process.env.AR_REMINDER_AFTER_DAYS, 10) || 30;
+const REMINDER_INTERVAL_DAYS =
+  parseInt(process.env.AR_REMINDER_INTERVAL_DAYS, 10) || 7;
+// Instalments are reminded of this many days before they fall due
+const INSTALMENT_LEAD_DAYS =
+  parseInt(process.env.AR_INSTALMENT_LEAD_DAYS, 10) || 2;
+const CONTACT_PHONE = '+254 740 045 355';
+
+// Bodies per ledger query
+const CHUNK = 500;
+
+const today = () => DateTime.now().setZone(ZONE).startOf('day');
+
+const emptyBuckets = () =>
+  Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+
+// ----------------- Aging -----------------
+
+/**
+ * Age what is left of a body's receivable lines (oldest first): credits
+ * settle the oldest debits, the remainder is bucketed by its age in days.
+ */
+function ageLines(lines, asOf = today()) {
+  const open = [];
+  let credit = 0;
+  for (const line of lines) {
+    credit = round2(credit + parseFloat(line.credit || 0));
+    const debit = parseFloat(line.debit || 0);
+    if (debit > 0) open.push({ posted_at: line.posted_at, amount: debit });
+    while (credit >= CENT && open.length) {
+      const used = Math.min(credit, open[0].amount);
+      open[0].amount = round2(open[0].amount - used);
+      credit = round2(credit - used);
+      if (open[0].amount < CENT) open.shift();
+    }
+  }
+
+  const buckets = emptyBuckets();
+  let oldest = null;
+  for (const item of open) {
+    const days = Math.max(
+      Math.floor(
+        asOf.diff(
+          DateTime.fromSQL(String(item.posted_at).slice(0, 19), {
+            zone: ZONE,
+          }).startOf('day'),
+          'days',
+        ).days,
+      ),
+      0,
+    );
+    const bucket = AGING_BUCKETS.find((b) => days <= b.max);
+    buckets[bucket.key] = round2(buckets[bucket.key] + item.amount);
+    if (oldest === null || days > oldest) oldest = days;
+  }
+  return { buckets, oldest_days: oldest };
+}
+
+async function receivableLines(deceasedIds) {
+  const byBody = new Map(deceasedIds.map((id) => [id, []]));
+  for (let i = 0; i < deceasedIds.length; i += CHUNK) {
+    const chunk = deceasedIds.slice(i, i + CHUNK);
+    const rows = await safeQuery(
+      `SELECT l.deceased_id, l.debit, l.credit, j.posted_at
+       FROM ledger_lines l JOIN ledger_journals j ON j.id = l.journal_id
+       WHERE l.account = 'receivable' AND l.deceased_id IN (${chunk.map(() => '?').join(', ')})
+       ORDER BY j.posted_at, j.id`,
+      chunk,
+    );
+    rows.forEach((row) => byBody.get(row.deceased_id)?.push(row));
+  }
+  return byBody;
+}
+
+// A body with its kin (verified first), payer share and open plan
+const DEBTOR_SQL = `
+  SELECT d.id, d.deceased_id, d.full_name, d.status, d.branch_id, d.currency,
+         d.balance, d.date_registered, d.ar_reminders_paused_until,
+         (SELECT COALESCE(SUM(i.total_amount - i.amount_credited - i.amount_paid), 0)
+          FROM invoices i
+          WHERE i.deceased_id = d.id AND i.payer_id IS NOT NULL AND i.deleted_at IS NULL) AS payer_outstanding,
+         k.full_name AS kin_name, k.contact AS kin_contact, k.email AS kin_email,
+         p.id AS plan_id, p.plan_number, p.status AS plan_status,
+         (SELECT MAX(f.created_at) FROM ar_followups f
+          WHERE f.deceased_id = d.deceased_id AND f.kind = 'reminder' AND f.status = 'Sent') AS last_reminder_at,
+         (SELECT MAX(j.posted_at) FROM ledger_journals j
+          WHERE j.deceased_id = d.deceased_id AND j.entry_type = 'payment') AS last_payment_at
+  FROM deceased d
+  LEFT JOIN next_of_kin k ON k.id = (
+    SELECT k2.id FROM next_of_kin k2 WHERE k2.deceased_id = d.deceased_id
+    ORDER BY k2.verified_at IS NULL, k2.id LIMIT 1)
+  LEFT JOIN payment_plans p ON p.id = (
+    SELECT p2.id FROM payment_plans p2
+    WHERE p2.deceased_id = d.deceased_id AND p2.status IN ('Active', 'Defaulted')
+    ORDER BY p2.id DESC LIMIT 1)
+  WHERE d.deleted_at IS NULL`;
+
+const reader = {
+  queryOne: async (sql, params) => (await safeQuery(sql, params))[0] || null,
+};
+
+async function debtorRow(body, lines) {
+  const { buckets, oldest_days } = ageLines(lines);
+  const balance = round2(body.balance);
+  const payerOutstanding = round2(body.payer_outstanding);
+  const familyBalance = round2(balance - payerOutstanding);
+  const releaseApproved =
+    normaliseStatus(body.status) === LIFECYCLE.RELEASE_APPROVED;
+
+  return {
+    id: body.id,
+    deceased_id: body.deceased_id,
+    full_name: body.full_name,
+    status: normaliseStatus(body.status),
+    branch_id: body.branch_id,
+    currency: toCurrencyCode(body.currency) || 'KES',
+    balance,
+    payer_outstanding: payerOutstanding,
+    family_balance: familyBalance,
+    ...buckets,
+    oldest_days,
+    held_for_payment:
+      releaseApproved &&
+      familyBalance > 0 &&
+      !(await planAllowsRelease(reader, body)),
+    kin_name: body.kin_name,
+    kin_contact: body.kin_contact,
+    kin_email: body.kin_email,
+    plan_id: body.plan_id,
+    plan_number: body.plan_number,
+    plan_status: body.plan_status,
+    last_payment_at: body.last_payment_at,
+    last_reminder_at: body.last_reminder_at,
+    reminders_paused_until: body.ar_reminders_paused_until,
+  };
+}
+
+/**
+ * Every body owing money, aged, with totals per currency. Filters:
+ * `branch`, `held` (only bodies held for payment), `minDays` (oldest
+ * amount at least this old), `search` (name or id).
+ */
+async function agingReport({ branch, held, minDays, search } = {}) {
+  const scope = orAllBranches(branch);
+  const where = [scope.sql];
+  const params = [...scope.params];
+  if (search) {
+    where.push('(d.full_name LIKE ? OR d.deceased_id LIKE ?)');
+    params.push(`%${search}%`, `%${search}%`);
+  }
+  const bodies = await safeQuery(
+    `${DEBTOR_SQL} AND d.balance > ${CENT} AND ${where.join(' AND ')}
+     ORDER BY d.full_name`,
+    params,
+  );
+  const lines = await receivableLines(bodies.map((b) => b.deceased_id));
+
+  let rows = [];
+  for (const body of bodies) {
+    rows.push(await debtorRow(body, lines.get(body.deceased_id) || []));
+  }
+  if (held) rows = rows.filter((r) => r.held_for_payment);
+  if (minDays) rows = rows.filter((r) => (r.oldest_days ?? 0) >= minDays);
+  rows.sort((a, b) => (b.oldest_days ?? 0) - (a.oldest_days ?? 0));
+
+  const totals = {};
+  for (const row of rows) {
+    const t = (totals[row.currency] = totals[row.currency] || {
+      currency: row.currency,
+      bodies: 0,
+      held_for_payment: 0,
+      balance: 0,
+      payer_outstanding: 0,
+      family_balance: 0,
+      ...emptyBuckets(),
+    });
+    t.bodies += 1;
+    if (row.held_for_payment) t.held_for_payment += 1;
+    for (const key of [
+      'balance',
+      'payer_outstanding',
+      'family_balance',
+      ...AGING_BUCKETS.map((b) => b.key),
+    ]) {
+      t[key] = round2(t[key] + row[key]);
+    }
+  }
+
+  return {
+    as_of: today().toISODate(),
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    totals: Object.values(totals),
+    rows,
+  };
+}
+
+/**
+ * What each payer still owes, aged by invoice date (payer invoices are
+ * settled one by one, so each is aged on its own).
+ */
+async function payerAgingReport({ branch } = {}) {
+  const scope = orAllBranches(branch);
+  const invoices = await safeQuery(
+    `SELECT i.payer_id, p.name AS payer_name, p.kind, p.currency, i.created_at,
+            i.total_amount - i.amount_credited - i.amount_paid AS outstanding
+     FROM invoices i JOIN payers p ON p.id = i.payer_id
+     WHERE i.payer_id IS NOT NULL AND i.deleted_at IS NULL
+       AND i.total_amount - i.amount_credited - i.amount_paid > ${CENT}
+       AND ${scope.sql}
+     ORDER BY p.name, i.created_at`,
+    scope.params,
+  );
+
+  const byPayer = new Map();
+  for (const invoice of invoices) {
+    const row =
+      byPayer.get(invoice.payer_id) ||
+      byPayer
+        .set(invoice.payer_id, {
+          payer_id: invoice.payer_id,
+          payer_name: invoice.payer_name,
+          kind: invoice.kind,
+          currency: toCurrencyCode(invoice.currency) || 'KES',
+          invoices: 0,
+          outstanding: 0,
+          ...emptyBuckets(),
+          oldest_days: null,
+        })
+        .get(invoice.payer_id);
+    const { buckets, oldest_days } = ageLines([
+      { debit: invoice.outstanding, posted_at: invoice.created_at },
+    ]);
+    row.invoices += 1;
+    row.outstanding = round2(row.outstanding + parseFloat(invoice.outstanding));
+    for (const { key } of AGING_BUCKETS) {
+      row[key] = round2(row[key] + buckets[key]);
+    }
+    row.oldest_days = Math.max(row.oldest_days ?? 0, oldest_days ?? 0);
+  }
+
+  return {
+    as_of: today().toISODate(),
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    rows: [...byPayer.values()],
+  };
+}
+
+/** One body's aging, follow-ups and payment plans. */
+async function debtorDetail(deceasedId, { branch } = {}) {
+  const scope = orAllBranches(branch);
+  const [body] = await safeQuery(
+    `${DEBTOR_SQL} AND (d.deceased_id = ? OR d.id = ?) AND ${scope.sql}`,
+    [deceasedId, deceasedId, ...scope.params],
+  );
+  if (!body) throw new AppError('Deceased not found', 404);
+
+  const lines = await receivableLines([body.deceased_id]);
+  const [followups, plans] = await Promise.all([
+    safeQuery(
+      'SELECT * FROM ar_followups WHERE deceased_id = ? ORDER BY created_at DESC, id DESC',
+      [body.deceased_id],
+    ),
+    safeQuery(
+      'SELECT * FROM payment_plans WHERE deceased_id = ? ORDER BY id DESC',
+      [body.deceased_id],
+    ),
+  ]);
+  return {
+    ...(await debtorRow(body, lines.get(body.deceased_id))),
+    followups,
+    plans,
+  };
+}
+
+// ----------------- Follow-ups -----------------
+
+async function insertFollowup(run, row) {
+  const columns = Object.keys(row);
+  const result = await run(
+    `INSERT INTO ar_followups (${columns.join(', ')})
+     VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map((c) => row[c]),
+  );
+  return { id: result.insertId, ...row };
+}
+
+/** Log a call, visit, promise to pay or note against a body. */
+async function addFollowup(req, deceased, payload = {}) {
+  const kind = payload.kind;
+  if (!FOLLOWUP_KINDS.includes(kind) || kind === 'reminder') {
+    throw codedError(
+      `kind must be one of ${FOLLOWUP_KINDS.filter((k) => k !== 'reminder').join(', ')}`,
+      'FOLLOWUP_INVALID',
+    );
+  }
+  const note = String(payload.note || '').trim();
+  if (!note) throw codedError('note is required', 'FOLLOWUP_INVALID');
+
+  let promisedAmount = null;
+  let promisedDate = null;
+  if (kind === 'promise') {
+    promisedAmount = round2(payload.promised_amount);
+    promisedDate = String(payload.promised_date || '').slice(0, 10);
+    if (!(promisedAmount > 0) || !DateTime.fromISO(promisedDate).isValid) {
+      throw codedError(
+        'A promise needs promised_amount and promised_date (yyyy-mm-dd)',
+        'FOLLOWUP_INVALID',
+      );
+    }
+  }
+
+  return insertFollowup(safeQuery, {
+    deceased_id: deceased.deceased_id,
+    kind,
+    status: 'Logged',
+    message: note.slice(0, 1000),
+    promised_amount: promisedAmount,
+    promised_date: promisedDate,
+    created_by: actorOf(req),
+    created_at: getKenyaTimeISO(),
+  });
+}
+
+/** Stop automatic reminders for a body until a date, or resume them (null). */
+async function pauseReminders(req, deceased, { until, reason } = {}) {
+  const date = until ? String(until).slice(0, 10) : null;
+  if (date && !DateTime.fromISO(date).isValid) {
+    throw codedError('until must be yyyy-mm-dd', 'FOLLOWUP_INVALID');
+  }
+  return withTransaction(async (tx) => {
+    const before = await tx.queryOne(
+      'SELECT ar_reminders_paused_until FROM deceased WHERE id = ? FOR UPDATE',
+      [deceased.id],
+    );
+    await tx.query(
+      'UPDATE deceased SET ar_reminders_paused_until = ? WHERE id = ?',
+      [date, deceased.id],
+    );
+    await insertFollowup(tx.query, {
+      deceased_id: deceased.deceased_id,
+      kind: 'note',
+      status: 'Logged',
+      message: (date
+        ? `Reminders paused until ${date}${reason ? `: ${reason}` : ''}`
+        : `Reminders resumed${reason ? `: ${reason}` : ''}`
+      ).slice(0, 1000),
+      created_by: actorOf(req),
+      created_at: getKenyaTimeISO(),
+    });
+    await recordAudit(tx, req, {
+      entity: 'deceased',
+      entityId: deceased.deceased_id,
+      action: 'update',
+      before,
+      after: { ar_reminders_paused_until: date },
+    });
+    return { deceased_id: deceased.deceased_id, paused_until: date };
+  });
+}
+
+// ----------------- Reminders -----------------
+
+function reminderText(debtor, { instalment, plan } = {}) {
+  const money = (n) => formatMoney(n, debtor.currency);
+  const greeting = `Dear ${debtor.kin_name || 'family'},`;
+  const contact = `For any questions please call us on ${CONTACT_PHONE}. Lee Funeral Home.`;
+  if (instalment) {
+    const due = String(instalment.due_date).slice(0, 10);
+    const left = money(instalment.amount - instalment.paid_amount);
+    return instalment.status === 'Overdue'
+      ? `${greeting} instalment ${instalment.seq} of payment plan ${plan.plan_number} for the late ${debtor.full_name} was due on ${due}. ${left} is still outstanding. ${contact}`
+      : `${greeting} this is a reminder that instalment ${instalment.seq} of payment plan ${plan.plan_number} for the late ${debtor.full_name}, ${left}, is due on ${due}. ${contact}`;
+  }
+  return debtor.held_for_payment
+    ? `${greeting} the late ${debtor.full_name} (${debtor.deceased_id}) is ready to be released once the outstanding balance of ${money(debtor.family_balance)} is settled. Please contact us to settle it or to agree a payment plan. ${contact}`
+    : `${greeting} this is a reminder that ${money(debtor.family_balance)} is outstanding on the account of the late ${debtor.full_name} (${debtor.deceased_id}). Please contact us to settle it or to agree a payment plan. ${contact}`;
+}
+
+/**
+ * Send one reminder by every channel the next of kin can be reached on and
+ * log each attempt. Resolves with the follow-up rows; a failed channel is
+ * logged as `Failed`, not thrown.
+ */
+async function deliverReminder(req, debtor, { stage, message, instalmentId }) {
+  const attempts = [];
+  const msisdn = normalisePhone(debtor.kin_contact);
+  if (msisdn) {
+    attempts.push({
+      channel: 'whatsapp',
+      recipient: `+${msisdn}`,
+      send: () => sendWhatsAppNotification(`+${msisdn}`, message),
+    });
+  }
+  if (debtor.kin_email) {
+    attempts.push({
+      channel: 'email',
+      recipient: debtor.kin_email,
+      send: () =>
+        sendEmail({
+          to: debtor.kin_email,
+          subject: `Account of the late ${debtor.full_name}`,
+          text: message,
+        }),
+    });
+  }
+
+  const base = {
+    deceased_id: debtor.deceased_id,
+    kind: 'reminder',
+    stage,
+    message,
+    plan_instalment_id: instalmentId || null,
+    created_by: actorOf(req) || 'system',
+  };
+  if (!attempts.length) {
+    return [
+      await insertFollowup(safeQuery, {
+        ...base,
+        status: 'Failed',
+        error: 'Next of kin has no phone number or email',
+        created_at: getKenyaTimeISO(),
+      }),
+    ];
+  }
+
+  const logged = [];
+  for (const attempt of attempts) {
+    let error = null;
+    try {
+      await attempt.send();
+    } catch (err) {
+      error = String(err.message).slice(0, 255);
+    }
+    logged.push(
+      await insertFollowup(safeQuery, {
+        ...base,
+        channel: attempt.channel,
+        recipient: attempt.recipient,
+        status: error ? 'Failed' : 'Sent',
+        error,
+        created_at: getKenyaTimeISO(),
+      }),
+    );
+  }
+  return logged;
+}
+
+/** Remind a body's next of kin of its balance now, e.g. after a call. */
+async function sendReminder(req, deceasedId, { branch, message } = {}) {
+  const debtor = await debtorDetail(deceasedId, { branch });
+  if (debtor.family_balance <= 0) {
+    throw codedError(
+      'The family owes nothing on this body',
+      'NOTHING_OWED',
+      409,
+    );
+  }
+  return deliverReminder(req, debtor, {
+    stage: 'balance',
+    message: message ? String(message).slice(0, 1000) : reminderText(debtor),
+  });
+}
+
+// Whether a reminder of this stage (and instalment) went out recently
+async function remindedRecently(deceasedId, stage, instalmentId = null) {
+  const since = DateTime.now()
+    .setZone(ZONE)
+    .minus({ days: REMINDER_INTERVAL_DAYS })
+    .toFormat('yyyy-LL-dd HH:mm:ss');
+  const [row] = await safeQuery(
+    `SELECT id FROM ar_followups
+     WHERE deceased_id = ? AND kind = 'reminder' AND stage = ? AND status = 'Sent'
+       AND (plan_instalment_id <=> ?) AND created_at >= ?
+     LIMIT 1`,
+    [deceasedId, stage, instalmentId, since],
+  );
+  return Boolean(row);
+}
+
+/**
+ * The daily reminder run: balances old enough (or held bodies) and plan
+ * instalments due soon or overdue, skipping paused bodies and anything
+ * reminded within REMINDER_INTERVAL_DAYS. Returns how many were sent.
+ */
+async function runReminders() {
+  const { rows } = await agingReport();
+  const day = today();
+  const leadDay = day.plus({ days: INSTALMENT_LEAD_DAYS }).toISODate();
+  let sent = 0;
+
+  for (const debtor of rows) {
+    if (debtor.family_balance <= 0) continue;
+    const paused = debtor.reminders_paused_until;
+    if (paused && String(paused).slice(0, 10) >= day.toISODate()) continue;
+
+    const reminders = [];
+    if (debtor.plan_id) {
+      const [plan] = await safeQuery(
+        'SELECT id, plan_number FROM payment_plans WHERE id = ?',
+        [debtor.plan_id],
+      );
+      const instalments = await safeQuery(
+        `SELECT * FROM payment_plan_instalments
+         WHERE plan_id = ? AND status != 'Paid' AND due_date <= ?
+         ORDER BY seq`,
+        [plan.id, leadDay],
+      );
+      for (const instalment of instalments) {
+        const stage =
+          instalment.status === 'Overdue'
+            ? 'instalment_overdue'
+            : 'instalment_due';
+        reminders.push({
+          stage,
+          instalmentId: instalment.id,
+          message: reminderText(debtor, { instalment, plan }),
+        });
+      }
+    } else if (
+      debtor.held_for_payment ||
+      (debtor.oldest_days ?? 0) >= REMINDER_AFTER_DAYS
+    ) {
+      reminders.push({ stage: 'balance', message: reminderText(debtor) });
+    }
+
+    for (const reminder of reminders) {
+      if (
+        await remindedRecently(
+          debtor.deceased_id,
+          reminder.stage,
+          reminder.instalmentId,
+        )
+      ) {
+        continue;
+      }
+      const logged = await deliverReminder(null, debtor, reminder);
+      if (logged.some((l) => l.status === 'Sent')) sent += 1;
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  FOLLOWUP_KINDS,
+  ageLines,
+  agingReport,
+  payerAgingReport,
+  debtorDetail,
+  addFollowup,
+  pauseReminders,
+  sendReminder,
+  runReminders,
+};
@@ -0,0 +1,273 @@
+// ----------------- Soft Delete & Recycle Bin -----------------
+// Deleting a deceased record, invoice, coffin, document or release form only
+// stamps `deleted_at` / `deleted_by`. Reads filter on `deleted_at IS NULL`,
+// the recycle bin lists them, and a restore clears the stamp. Files stay on
+// disk until purgeExpired() removes rows older than the retention period.
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const { allBranches } = require('../../middlewares/tenancy/branchScope');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const ZONE = 'Africa/Nairobi';
+const SQL_FORMAT = 'yyyy-LL-dd HH:mm:ss';
+const RETENTION_DAYS =
+  parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS, 10) || 90;
+
+// key       -> column the API id refers to
+// label     -> column shown in the recycle bin listing
+// branch    -> 'branch_id' when the table has one, 'deceased' when it is
+//              scoped through its deceased_id
+// file      -> column holding a file path removed on purge
+// children  -> [table, column] rows removed with the parent on purge
+const SOFT_DELETE_ENTITIES = {
+  deceased: {
+    table: 'deceased',
+    key: 'deceased_id',
+    label: 'full_name',
+    branch: 'branch_id',
+  },
+  invoice: {
+    table: 'invoices',
+    key: 'id',
+    label: 'invoice_number',
+    branch: 'branch_id',
+    file: 'pdf_url',
+  },
+  coffin: {
+    table: 'coffins',
+    key: 'coffin_id',
+    label: 'custom_id',
+    branch: 'branch_id',
+    children: [['coffin_images', 'coffin_id']],
+  },
+  document: {
+    table: 'documents',
+    key: 'document_id',
+    label: 'file_name',
+    branch: 'deceased',
+    file: 'file_path',
+  },
+  release: {
+    table: 'releases',
+    key: 'id',
+    label: 'deceased_name',
+    branch: 'deceased',
+  },
+};
+
+function getEntity(entity) {
+  const config = SOFT_DELETE_ENTITIES[entity];
+  if (!config) {
+    throw codedError(
+      `Unknown entity: ${entity}. Use one of ${Object.keys(SOFT_DELETE_ENTITIES).join(', ')}`,
+      'UNKNOWN_ENTITY',
+    );
+  }
+  return config;
+}
+
+/** `{ sql, params }` limiting `config.table` to a branch (null = all). */
+function entityBranchCondition(config, branchId) {
+  if (branchId === null || branchId === undefined) {
+    return allBranches();
+  }
+  if (config.branch === 'branch_id') {
+    return { sql: 'branch_id = ?', params: [branchId] };
+  }
+  return {
+    sql: 'deceased_id IN (SELECT deceased_id FROM deceased WHERE branch_id = ?)',
+    params: [branchId],
+  };
+}
+
+const deletedBy = (req) =>
+  req?.user?.id != null ? String(req.user.id) : req?.user?.username || null;
+
+/**
+ * Stamp a row as deleted inside the caller's transaction and audit it.
+ * Throws 404 when the row is missing, outside the branch or already deleted.
+ */
+async function softDelete(tx, req, entity, id) {
+  const config = getEntity(entity);
+  const branch = entityBranchCondition(config, req?.branchScope?.branchId);
+
+  const before = await tx.queryOne(
+    `SELECT * FROM ${config.table}
+     WHERE ${config.key} = ? AND deleted_at IS NULL AND ${branch.sql}
+     FOR UPDATE`,
+    [id, ...branch.params],
+  );
+  if (!before) throw new AppError(`${entity} not found`, 404);
+
+  const now = getKenyaTimeISO();
+  await tx.query(
+    `UPDATE ${config.table} SET deleted_at = ?, deleted_by = ? WHERE ${config.key} = ?`,
+    [now, deletedBy(req), id],
+  );
+
+  await recordAudit(tx, req, {
+    entity,
+    entityId: id,
+    action: 'delete',
+    before,
+    after: { ...before, deleted_at: now, deleted_by: deletedBy(req) },
+  });
+
+  return before;
+}
+
+/** Clear the deleted stamp. Throws 404 when the row isn't in the recycle bin. */
+async function restore(tx, req, entity, id) {
+  const config = getEntity(entity);
+  const branch = entityBranchCondition(config, req?.branchScope?.branchId);
+
+  const before = await tx.queryOne(
+    `SELECT * FROM ${config.table}
+     WHERE ${config.key} = ? AND deleted_at IS NOT NULL AND ${branch.sql}
+     FOR UPDATE`,
+    [id, ...branch.params],
+  );
+  if (!before) throw new AppError(`${entity} not found in recycle bin`, 404);
+
+  await tx.query(
+    `UPDATE ${config.table} SET deleted_at = NULL, deleted_by = NULL WHERE ${config.key} = ?`,
+    [id],
+  );
+
+  await recordAudit(tx, req, {
+    entity,
+    entityId: id,
+    action: 'restore',
+    before,
+    after: { ...before, deleted_at: null, deleted_by: null },
+  });
+
+  return before;
+}
+
+/** Recycle bin contents, newest deletion first. */
+async function listDeleted({ entity, branchId, limit = 200 } = {}) {
+  const entities = entity ? [entity] : Object.keys(SOFT_DELETE_ENTITIES);
+  const items = [];
+
+  for (const name of entities) {
+    const config = getEntity(name);
+    const branch = entityBranchCondition(config, branchId);
+    const rows = await safeQuery(
+      `SELECT ${config.key} AS id, ${config.label} AS label, deleted_at, deleted_by
+       FROM ${config.table}
+       WHERE deleted_at IS NOT NULL AND ${branch.sql}
+       ORDER BY deleted_at DESC
+       LIMIT ${limit}`,
+      branch.params,
+    );
+    rows.forEach((row) =>
+      items.push({
+        entity: name,
+        ...row,
+        purge_after: purgeDate(row.deleted_at),
+      }),
+    );
+  }
+
+  return items
+    .sort((a, b) => String(b.deleted_at).localeCompare(String(a.deleted_at)))
+    .slice(0, limit);
+}
+
+function purgeDate(deletedAt) {
+  const dt = DateTime.fromFormat(String(deletedAt), SQL_FORMAT, { zone: ZONE });
+  return dt.isValid
+    ? dt.plus({ days: RETENTION_DAYS }).toFormat(SQL_FORMAT)
+    : null;
+}
+
+function removeFile(filePath) {
+  if (!filePath) return;
+  const absolute = path.isAbsolute(filePath)
+    ? filePath
+    : path.join(ROOT_DIR, filePath);
+  fs.promises
+    .unlink(absolute)
+    .catch((err) =>
+      console.warn(
+        `⚠️ [RECYCLE BIN] Could not remove ${absolute}:`,
+        err.message,
+      ),
+    );
+}
+
+/**
+ * Hard-delete rows that have sat in the recycle bin longer than the
+ * retention period, then remove their files. Rows still referenced by other
+ * tables fail on their own and are retried on the next run.
+ */
+async function purgeExpired({ retentionDays = RETENTION_DAYS } = {}) {
+  const cutoff = DateTime.now()
+    .setZone(ZONE)
+    .minus({ days: retentionDays })
+    .toFormat(SQL_FORMAT);
+
+  const summary = {};
+  for (const [entity, config] of Object.entries(SOFT_DELETE_ENTITIES)) {
+    const expired = await safeQuery(
+      `SELECT * FROM ${config.table}
+       WHERE deleted_at IS NOT NULL AND deleted_at < ?
+       LIMIT 500`,
+      [cutoff],
+    );
+
+    summary[entity] = 0;
+    for (const row of expired) {
+      try {
+        await withTransaction(async (tx) => {
+          for (const [table, column] of config.children || []) {
+            await tx.query(`DELETE FROM ${table} WHERE ${column} = ?`, [
+              row[config.key],
+            ]);
+          }
+          await tx.query(
+            `DELETE FROM ${config.table} WHERE ${config.key} = ? AND deleted_at IS NOT NULL`,
+            [row[config.key]],
+          );
+          await recordAudit(tx, null, {
+            entity,
+            entityId: row[config.key],
+            action: 'purge',
+            before: row,
+            after: null,
+          });
+        });
+        if (config.file) removeFile(row[config.file]);
+        summary[entity]++;
+      } catch (err) {
+        console.error(
+          `❌ [RECYCLE BIN] Could not purge ${entity} ${row[config.key]}:`,
+          err.message,
+        );
+      }
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  SOFT_DELETE_ENTITIES,
+  softDelete,
+  restore,
+  listDeleted,
+  purgeExpired,
+};
@@ -0,0 +1,698 @@
+// ----------------- Tariff Engine -----------------
+// Storage charges come from effective-dated tariffs instead of hard-coded
+// rates. A tariff belongs to a rate category and currency (optionally one
+// branch), is in force between `effective_from` and `effective_to`, and has
+// tiers priced by day of stay:
+//
+//   tiers: [{ from_day: 1, to_day: 7, daily_rate: 3000 },
+//           { from_day: 8, to_day: null, daily_rate: 4000 }]
+//
+// Every day of a stay is priced with the tariff in force on that calendar
+// day, so a rate change never re-prices days already stored. The first
+// `grace_days` of a stay (taken from the tariff in force on admission) are
+// free, and approved waivers reduce what is left.
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const {
+  AppError,
+  codedError,
+} = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const {
+  SUPPORTED_CURRENCIES,
+  toCurrencyCode,
+} = require('../currency/currency');
+const { round2 } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const ZONE = 'Africa/Nairobi';
+const SQL_FORMAT = 'yyyy-LL-dd HH:mm:ss';
+
+// Bodies without a category (or one with no tariff) are charged as basic
+const DEFAULT_CATEGORY = 'basic';
+const WAIVER_KINDS = ['full', 'percent', 'amount'];
+const WAIVER_STATUSES = ['Pending', 'Approved', 'Rejected'];
+
+// Seeded when `tariffs` is empty; these were the rates hard-coded in
+// updateMortuaryCharges() before tariffs existed
+const DEFAULT_TARIFFS = [
+  { rate_category: 'basic', currency: 'KES', daily_rate: 3000 },
+  { rate_category: 'standard', currency: 'KES', daily_rate: 3000 },
+  { rate_category: 'premium', currency: 'KES', daily_rate: 5000 },
+  { rate_category: 'basic', currency: 'USD', daily_rate: 130 },
+  { rate_category: 'standard', currency: 'USD', daily_rate: 130 },
+  { rate_category: 'premium', currency: 'USD', daily_rate: 130 },
+];
+
+const toDateTime = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return DateTime.fromJSDate(value).setZone(ZONE);
+  let dt = DateTime.fromFormat(String(value), SQL_FORMAT, { zone: ZONE });
+  if (!dt.isValid) dt = DateTime.fromISO(String(value), { zone: ZONE });
+  return dt.isValid ? dt : null;
+};
+
+const toISODate = (value) => toDateTime(value)?.toISODate() || null;
+
+// ----------------- Tariff Lookup -----------------
+
+/**
+ * Tariffs with their tiers, oldest first. Filters are optional; the charge
+ * job loads everything once per run.
+ */
+async function loadTariffs({ category, currency, branchId } = {}) {
+  const where = ['1 = 1'];
+  const params = [];
+  if (category) {
+    where.push('rate_category = ?');
+    params.push(category);
+  }
+  if (currency) {
+    where.push('currency = ?');
+    params.push(currency);
+  }
+  if (branchId !== undefined && branchId !== null) {
+    where.push('(branch_id IS NULL OR branch_id = ?)');
+    params.push(branchId);
+  }
+
+  const tariffs = await safeQuery(
+    `SELECT * FROM tariffs WHERE ${where.join(' AND ')}
+     ORDER BY effective_from, id`,
+    params,
+  );
+  if (tariffs.length === 0) return [];
+
+  const tiers = await safeQuery(
+    `SELECT tariff_id, from_day, to_day, daily_rate FROM tariff_tiers
+     WHERE tariff_id IN (${tariffs.map(() => '?').join(', ')})
+     ORDER BY tariff_id, from_day`,
+    tariffs.map((t) => t.id),
+  );
+
+  return tariffs.map((t) => ({
+    ...t,
+    effective_from: toISODate(t.effective_from),
+    effective_to: toISODate(t.effective_to),
+    grace_days: parseInt(t.grace_days || 0, 10),
+    tiers: tiers
+      .filter((tier) => tier.tariff_id === t.id)
+      .map((tier) => ({
+        from_day: tier.from_day,
+        to_day: tier.to_day,
+        daily_rate: parseFloat(tier.daily_rate),
+      })),
+  }));
+}
+
+/**
+ * The tariff in force on `date` (yyyy-LL-dd). A branch's own tariff wins
+ * over a global one; among equals the latest `effective_from` wins, which
+ * relies on loadTariffs() returning them oldest first.
+ */
+function findTariff(tariffs, { category, currency, branchId, date }) {
+  const pick = (cat) => {
+    let global = null;
+    let own = null;
+    for (const t of tariffs) {
+      if (t.rate_category !== cat || t.currency !== currency) continue;
+      if (t.effective_from > date) continue;
+      if (t.effective_to && t.effective_to < date) continue;
+      if (t.branch_id == null) global = t;
+      else if (Number(t.branch_id) === Number(branchId)) own = t;
+    }
+    return own || global;
+  };
+
+  return (
+    pick(category || DEFAULT_CATEGORY) ||
+    (category && category !== DEFAULT_CATEGORY ? pick(DEFAULT_CATEGORY) : null)
+  );
+}
+
+/** Daily rate for the `dayNumber`-th day of a stay (1 = admission day). */
+function tierFor(tariff, dayNumber) {
+  return (
+    tariff.tiers.find(
+      (tier) =>
+        tier.from_day <= dayNumber &&
+        (tier.to_day === null || tier.to_day >= dayNumber),
+    ) || null
+  );
+}
+
+// ----------------- Waivers -----------------
+
+async function loadApprovedWaivers(deceasedId) {
+  const rows = await safeQuery(
+    `SELECT * FROM charge_waivers
+     WHERE deceased_id = ? AND status = 'Approved'
+     ORDER BY id`,
+    [deceasedId],
+  );
+  return rows.map((w) => ({
+    ...w,
+    value: parseFloat(w.value || 0),
+    start_date: toISODate(w.start_date),
+    end_date: toISODate(w.end_date),
+  }));
+}
+
+const waiverCovers = (waiver, date) =>
+  (!waiver.start_date || waiver.start_date <= date) &&
+  (!waiver.end_date || waiver.end_date >= date);
+
+/**
+ * Share of a day's charge waived (0..1). Full and percentage waivers don't
+ * stack; the largest one covering the day applies.
+ */
+function waivedShare(waivers, date) {
+  let share = 0;
+  for (const w of waivers) {
+    if (!waiverCovers(w, date)) continue;
+    if (w.kind === 'full') share = 1;
+    else if (w.kind === 'percent') {
+      share = Math.max(share, Math.min(Math.max(w.value, 0), 100) / 100);
+    }
+  }
+  return share;
+}
+
+// ----------------- Charge Calculation -----------------
+
+/**
+ * Storage charge for one body from admission up to `until` (default now).
+ *
+ * The stay is split into 24-hour days counted from the admission time; the
+ * last, partial day is charged pro rata as before. Each day is priced with
+ * the tariff in force on its calendar date and the tier for its day number.
+ * `deceased.usd_charge_rate` still overrides the tier rate for USD bodies
+ * with a negotiated rate.
+ *
+ * Returns the totals and a breakdown merged into runs of days that share a
+ * tariff, tier and waiver.
+ */
+function calculateStorageCharges(
+  deceased,
+  { tariffs, waivers = [], until } = {},
+) {
+  const currency = toCurrencyCode(deceased.currency) || 'KES';
+  const start = toDateTime(deceased.date_admitted || deceased.created_at);
+  const end = until ? toDateTime(until) : DateTime.now().setZone(ZONE);
+  const lookup = {
+    category: deceased.rate_category,
+    currency,
+    branchId: deceased.branch_id,
+  };
+  const negotiated =
+    currency === 'USD' && parseFloat(deceased.usd_charge_rate) > 0
+      ? parseFloat(deceased.usd_charge_rate)
+      : null;
+
+  const result = {
+    currency,
+    days: 0,
+    gross: 0,
+    waived: 0,
+    discount: 0,
+    total: 0,
+    missing_tariff_days: 0,
+    breakdown: [],
+  };
+  if (!start || !end || end <= start) return result;
+
+  const totalDays = end.diff(start, 'days').days;
+  const admissionTariff = findTariff(tariffs, {
+    ...lookup,
+    date: start.toISODate(),
+  });
+  const graceDays = admissionTariff?.grace_days || 0;
+
+  for (let i = 0; i < Math.ceil(totalDays); i++) {
+    const dayNumber = i + 1;
+    const portion = Math.min(1, totalDays - i);
+    const date = start.plus({ days: i }).toISODate();
+    const tariff = findTariff(tariffs, { ...lookup, date });
+    const tier = tariff ? tierFor(tariff, dayNumber) : null;
+
+    let rate = 0;
+    let note = null;
+    if (dayNumber <= graceDays) note = 'grace';
+    else if (negotiated !== null) {
+      rate = negotiated;
+      note = 'negotiated';
+    } else if (tier) rate = tier.daily_rate;
+    else {
+      note = 'no tariff';
+      result.missing_tariff_days++;
+    }
+
+    const gross = rate * portion;
+    const share = waivedShare(waivers, date);
+    const waived = gross * share;
+
+    const last = result.breakdown[result.breakdown.length - 1];
+    if (
+      last &&
+      last.tariff_id === (tariff?.id ?? null) &&
+      last.tier_from_day === (tier?.from_day ?? null) &&
+      last.rate === rate &&
+      last.note === note &&
+      last.waived_share === share
+    ) {
+      last.to_date = date;
+      last.to_day = dayNumber;
+      last.days += portion;
+      last.gross += gross;
+      last.waived += waived;
+    } else {
+      result.breakdown.push({
+        from_date: date,
+        to_date: date,
+        from_day: dayNumber,
+        to_day: dayNumber,
+        days: portion,
+        tariff_id: tariff?.id ?? null,
+        tariff_name: tariff?.name ?? null,
+        tier_from_day: tier?.from_day ?? null,
+        rate,
+        note,
+        waived_share: share,
+        gross,
+        waived,
+      });
+    }
+
+    result.gross += gross;
+    result.waived += waived;
+  }
+
+  // Fixed-amount discounts come off what is left after day waivers
+  const afterWaivers = result.gross - result.waived;
+  const discount = waivers
+    .filter((w) => w.kind === 'amount')
+    .reduce((sum, w) => sum + Math.max(w.value, 0), 0);
+  result.discount = Math.min(discount, afterWaivers);
+
+  result.days = round2(totalDays);
+  result.total = round2(afterWaivers - result.discount);
+  result.gross = round2(result.gross);
+  result.waived = round2(result.waived);
+  result.discount = round2(result.discount);
+  result.breakdown = result.breakdown.map((segment) => ({
+    ...segment,
+    days: round2(segment.days),
+    gross: round2(segment.gross),
+    waived: round2(segment.waived),
+    net: round2(segment.gross - segment.waived),
+  }));
+  return result;
+}
+
+/** calculateStorageCharges() for one body, loading its tariffs and waivers. */
+async function getStorageCharges(deceased, { until } = {}) {
+  const [tariffs, waivers] = await Promise.all([
+    loadTariffs({
+      currency: toCurrencyCode(deceased.currency) || 'KES',
+      branchId: deceased.branch_id,
+    }),
+    loadApprovedWaivers(deceased.deceased_id),
+  ]);
+  return calculateStorageCharges(deceased, { tariffs, waivers, until });
+}
+
+// ----------------- Tariff Maintenance -----------------
+
+/**
+ * Validate and sort tiers. They must start at day 1, follow on without gaps
+ * and end with an open tier (`to_day: null`). A bare `daily_rate` is a
+ * single open tier.
+ */
+function normaliseTiers({ tiers, daily_rate }) {
+  const list =
+    Array.isArray(tiers) && tiers.length > 0
+      ? tiers
+      : daily_rate !== undefined
+        ? [{ from_day: 1, to_day: null, daily_rate }]
+        : null;
+  if (!list) {
+    throw codedError('Provide tiers or daily_rate', 'TARIFF_INVALID');
+  }
+
+  const sorted = list
+    .map((tier) => ({
+      from_day: parseInt(tier.from_day, 10),
+      to_day:
+        tier.to_day === null || tier.to_day === undefined || tier.to_day === ''
+          ? null
+          : parseInt(tier.to_day, 10),
+      daily_rate: Number(tier.daily_rate),
+    }))
+    .sort((a, b) => a.from_day - b.from_day);
+
+  let expected = 1;
+  sorted.forEach((tier, index) => {
+    const isLast = index === sorted.length - 1;
+    if (!Number.isFinite(tier.daily_rate) || tier.daily_rate < 0) {
+      throw codedError(
+        'daily_rate must be a number of 0 or more',
+        'TARIFF_INVALID',
+      );
+    }
+    if (tier.from_day !== expected) {
+      throw codedError(
+        `Tiers must be contiguous from day 1; expected a tier starting on day ${expected}`,
+        'TARIFF_INVALID',
+      );
+    }
+    if (isLast && tier.to_day !== null) {
+      throw codedError(
+        'The last tier must be open-ended (to_day: null)',
+        'TARIFF_INVALID',
+      );
+    }
+    if (!isLast && !(tier.to_day >= tier.from_day)) {
+      throw codedError(
+        `Tier starting on day ${tier.from_day} needs a to_day`,
+        'TARIFF_INVALID',
+      );
+    }
+    expected = (tier.to_day ?? 0) + 1;
+  });
+
+  return sorted;
+}
+
+/**
+ * Add a tariff version inside the caller's transaction. The open-ended
+ * tariff it supersedes (same category, currency and branch) is closed the
+ * day before; any other overlap is rejected with 409 TARIFF_OVERLAP.
+ */
+async function createTariff(tx, req, payload) {
+  const category = String(payload.rate_category || '')
+    .trim()
+    .toLowerCase();
+  const currency = toCurrencyCode(payload.currency || 'KES');
+  const effectiveFrom = payload.effective_from
+    ? toISODate(payload.effective_from)
+    : DateTime.now().setZone(ZONE).toISODate();
+  const effectiveTo = payload.effective_to
+    ? toISODate(payload.effective_to)
+    : null;
+  const graceDays = parseInt(payload.grace_days || 0, 10);
+  const branchId = req?.branchScope?.branchId ?? null;
+
+  if (!category) {
+    throw codedError('rate_category is required', 'TARIFF_INVALID');
+  }
+  if (!currency) {
+    throw codedError(
+      `currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`,
+      'TARIFF_INVALID',
+    );
+  }
+  if (!effectiveFrom || (payload.effective_to && !effectiveTo)) {
+    throw codedError('Invalid effective date', 'TARIFF_INVALID');
+  }
+  if (effectiveTo && effectiveTo < effectiveFrom) {
+    throw codedError(
+      'effective_to must be on or after effective_from',
+      'TARIFF_INVALID',
+    );
+  }
+  if (!Number.isInteger(graceDays) || graceDays < 0) {
+    throw codedError('grace_days must be 0 or more', 'TARIFF_INVALID');
+  }
+  const tiers = normaliseTiers(payload);
+
+  const sameKey = `rate_category = ? AND currency = ? AND branch_id <=> ?`;
+  const keyParams = [category, currency, branchId];
+
+  // Supersede the current open-ended version
+  const open = await tx.queryOne(
+    `SELECT * FROM tariffs
+     WHERE ${sameKey} AND effective_to IS NULL AND effective_from < ?
+     ORDER BY effective_from DESC LIMIT 1
+     FOR UPDATE`,
+    [...keyParams, effectiveFrom],
+  );
+  if (open) {
+    const closedOn = DateTime.fromISO(effectiveFrom)
+      .minus({ days: 1 })
+      .toISODate();
+    await tx.query('UPDATE tariffs SET effective_to = ? WHERE id = ?', [
+      closedOn,
+      open.id,
+    ]);
+    await recordAudit(tx, req, {
+      entity: 'tariff',
+      entityId: open.id,
+      action: 'update',
+      before: open,
+      after: { ...open, effective_to: closedOn },
+    });
+  }
+
+  const overlap = await tx.queryOne(
+    `SELECT id, effective_from, effective_to FROM tariffs
+     WHERE ${sameKey}
+       AND effective_from <= ?
+       AND (effective_to IS NULL OR effective_to >= ?)
+     LIMIT 1`,
+    [...keyParams, effectiveTo || '9999-12-31', effectiveFrom],
+  );
+  if (overlap) {
+    throw codedError(
+      `Overlaps tariff ${overlap.id} (${toISODate(overlap.effective_from)} to ${toISODate(overlap.effective_to) || 'open'})`,
+      'TARIFF_OVERLAP',
+      409,
+    );
+  }
+
+  const now = getKenyaTimeISO();
+  const row = {
+    name: payload.name || `${category} ${currency} from ${effectiveFrom}`,
+    rate_category: category,
+    currency,
+    branch_id: branchId,
+    effective_from: effectiveFrom,
+    effective_to: effectiveTo,
+    grace_days: graceDays,
+    notes: payload.notes || null,
+    created_by: req?.user?.id != null ? String(req.user.id) : 'system',
+    created_at: now,
+  };
+
+  const result = await tx.query(
+    `INSERT INTO tariffs
+     (name, rate_category, currency, branch_id, effective_from, effective_to,
+      grace_days, notes, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.name,
+      row.rate_category,
+      row.currency,
+      row.branch_id,
+      row.effective_from,
+      row.effective_to,
+      row.grace_days,
+      row.notes,
+      row.created_by,
+      row.created_at,
+    ],
+  );
+  for (const tier of tiers) {
+    await tx.query(
+      `INSERT INTO tariff_tiers (tariff_id, from_day, to_day, daily_rate)
+       VALUES (?, ?, ?, ?)`,
+      [result.insertId, tier.from_day, tier.to_day, tier.daily_rate],
+    );
+  }
+
+  const created = { id: result.insertId, ...row, tiers };
+  await recordAudit(tx, req, {
+    entity: 'tariff',
+    entityId: result.insertId,
+    action: 'create',
+    before: null,
+    after: created,
+  });
+
+  return { tariff: created, superseded: open ? open.id : null };
+}
+
+/** Insert DEFAULT_TARIFFS when `tariffs` is empty. */
+async function seedDefaultTariffs() {
+  try {
+    const [{ count }] = await safeQuery(
+      'SELECT COUNT(*) AS count FROM tariffs',
+    );
+    if (count > 0) return;
+
+    for (const tariff of DEFAULT_TARIFFS) {
+      await withTransaction((tx) =>
+        createTariff(tx, null, {
+          ...tariff,
+          name: `Default ${tariff.rate_category} (${tariff.currency})`,
+          effective_from: '2000-01-01',
+        }),
+      );
+    }
+    console.log('💰 Seeded default storage tariffs');
+  } catch (err) {
+    console.error('❌ Failed to seed tariffs:', err.message);
+  }
+}
+
+// ----------------- Waiver Requests -----------------
+
+/** File a pending waiver or discount against a body's storage charges. */
+async function requestWaiver(tx, req, deceasedId, payload) {
+  const kind = payload.kind;
+  const value = kind === 'full' ? 100 : Number(payload.value);
+  const startDate = payload.start_date ? toISODate(payload.start_date) : null;
+  const endDate = payload.end_date ? toISODate(payload.end_date) : null;
+
+  if (!WAIVER_KINDS.includes(kind)) {
+    throw codedError(
+      `kind must be one of ${WAIVER_KINDS.join(', ')}`,
+      'WAIVER_INVALID',
+    );
+  }
+  if (!Number.isFinite(value) || value <= 0) {
+    throw codedError('value must be greater than 0', 'WAIVER_INVALID');
+  }
+  if (kind === 'percent' && value > 100) {
+    throw codedError('A percentage cannot exceed 100', 'WAIVER_INVALID');
+  }
+  if (
+    (payload.start_date && !startDate) ||
+    (payload.end_date && !endDate) ||
+    (startDate && endDate && endDate < startDate)
+  ) {
+    throw codedError('Invalid waiver date range', 'WAIVER_INVALID');
+  }
+  if (!payload.reason || !String(payload.reason).trim()) {
+    throw codedError('A reason is required', 'WAIVER_INVALID');
+  }
+
+  const now = getKenyaTimeISO();
+  const row = {
+    deceased_id: deceasedId,
+    kind,
+    value,
+    start_date: startDate,
+    end_date: endDate,
+    reason: String(payload.reason).trim().slice(0, 255),
+    status: 'Pending',
+    requested_by: req?.user?.id != null ? String(req.user.id) : null,
+    requested_at: now,
+  };
+
+  const result = await tx.query(
+    `INSERT INTO charge_waivers
+     (deceased_id, kind, value, start_date, end_date, reason, status,
+      requested_by, requested_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.deceased_id,
+      row.kind,
+      row.value,
+      row.start_date,
+      row.end_date,
+      row.reason,
+      row.status,
+      row.requested_by,
+      row.requested_at,
+    ],
+  );
+
+  const created = { id: result.insertId, ...row };
+  await recordAudit(tx, req, {
+    entity: 'waiver',
+    entityId: result.insertId,
+    action: 'create',
+    before: null,
+    after: created,
+  });
+  return created;
+}
+
+/**
+ * Approve or reject a pending waiver. The person who asked for a waiver
+ * cannot decide it. `branch` limits the lookup to the caller's branch.
+ */
+async function decideWaiver(tx, req, waiverId, { approve, note, branch }) {
+  const scope = orAllBranches(branch);
+  const before = await tx.queryOne(
+    `SELECT * FROM charge_waivers
+     WHERE id = ? AND ${scope.sql}
+     FOR UPDATE`,
+    [waiverId, ...scope.params],
+  );
+  if (!before) throw new AppError('Waiver not found', 404);
+  if (before.status !== 'Pending') {
+    throw codedError(
+      `Waiver is already ${before.status.toLowerCase()}`,
+      'WAIVER_DECIDED',
+      409,
+    );
+  }
+
+  const actor = req?.user?.id != null ? String(req.user.id) : null;
+  if (actor && before.requested_by === actor) {
+    throw codedError(
+      'A waiver must be decided by someone other than the requester',
+      'WAIVER_SELF_APPROVAL',
+      403,
+    );
+  }
+
+  const after = {
+    ...before,
+    status: approve ? 'Approved' : 'Rejected',
+    decided_by: actor,
+    decided_at: getKenyaTimeISO(),
+    decision_note: note ? String(note).slice(0, 255) : null,
+  };
+  await tx.query(
+    `UPDATE charge_waivers
+     SET status = ?, decided_by = ?, decided_at = ?, decision_note = ?
+     WHERE id = ?`,
+    [
+      after.status,
+      after.decided_by,
+      after.decided_at,
+      after.decision_note,
+      waiverId,
+    ],
+  );
+
+  await recordAudit(tx, req, {
+    entity: 'waiver',
+    entityId: waiverId,
+    action: 'update',
+    before,
+    after,
+  });
+  return after;
+}
+
+module.exports = {
+  DEFAULT_CATEGORY,
+  WAIVER_KINDS,
+  WAIVER_STATUSES,
+  loadTariffs,
+  findTariff,
+  loadApprovedWaivers,
+  calculateStorageCharges,
+  getStorageCharges,
+  createTariff,
+  seedDefaultTariffs,
+  requestWaiver,
+  decideWaiver,
+};
@@ -0,0 +1,191 @@
+// ----------------- Tax Codes -----------------
+// VAT treatment per service type, using KRA eTIMS tax categories:
+//
+//   A  Exempt        0%   (no VAT, not part of taxable turnover)
+//   B  Standard     16%
+//   C  Zero-rated    0%   (taxable at 0%)
+//   D  Non-VAT       0%   (outside the VAT Act)
+//   E  Reduced       8%
+//
+// Prices are VAT-inclusive: what the family is charged does not change, the
+// VAT inside each line is worked out and shown. A line's service type is
+// its `service_type`, or derived from its service name ("Embalming
+// Services" → embalming); types without a row in `tax_codes` use the
+// `default` row, or category B when there is none.
+const {
+  safeQuery,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { codedError } = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const { round2 } = require('../../utilities/helpers/helpers');
+
+const TAX_CATEGORIES = {
+  A: { label: 'Exempt', rate: 0 },
+  B: { label: 'VAT 16%', rate: 16 },
+  C: { label: 'Zero-rated', rate: 0 },
+  D: { label: 'Non-VAT', rate: 0 },
+  E: { label: 'VAT 8%', rate: 8 },
+};
+const DEFAULT_SERVICE_TYPE = 'default';
+const FALLBACK_CATEGORY = 'B';
+
+/** "Basic Mortuary Services" → "basic_mortuary". */
+function toServiceType(value) {
+  return (
+    String(value || '')
+      .toLowerCase()
+      .replace(/\bservices?\b/g, '')
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 50) || DEFAULT_SERVICE_TYPE
+  );
+}
+
+/** `{ service_type: category }` from `tax_codes`. */
+async function loadTaxCodes(tx) {
+  const run = tx ? tx.query : safeQuery;
+  const rows = await run('SELECT service_type, tax_category FROM tax_codes');
+  return Object.fromEntries(rows.map((r) => [r.service_type, r.tax_category]));
+}
+
+function categoryFor(codes, serviceType) {
+  return codes[serviceType] || codes[DEFAULT_SERVICE_TYPE] || FALLBACK_CATEGORY;
+}
+
+/**
+ * Work out the VAT in each invoice line. Returns the lines with
+ * `service_type`, `tax_category`, `tax_rate`, `taxable_amount` and
+ * `tax_amount` added, the invoice `subtotal` (net of VAT), `tax_amount`,
+ * `total` and a `tax_breakdown` per category. A line's own valid
+ * `tax_category` wins over the configured one.
+ */
+function applyTax(items, codes) {
+  const breakdown = {};
+  const lines = (items || []).map((item) => {
+    const serviceType = item.service_type || toServiceType(item.service);
+    const category = TAX_CATEGORIES[item.tax_category]
+      ? item.tax_category
+      : categoryFor(codes, serviceType);
+    const { rate } = TAX_CATEGORIES[category];
+    const gross = round2(
+      (parseFloat(item.qty) || 1) * (parseFloat(item.amount) || 0),
+    );
+    const taxable = round2((gross * 100) / (100 + rate));
+    const tax = round2(gross - taxable);
+
+    const bucket = (breakdown[category] = breakdown[category] || {
+      category,
+      label: TAX_CATEGORIES[category].label,
+      rate,
+      taxable_amount: 0,
+      tax_amount: 0,
+    });
+    bucket.taxable_amount = round2(bucket.taxable_amount + taxable);
+    bucket.tax_amount = round2(bucket.tax_amount + tax);
+
+    return {
+      ...item,
+      service_type: serviceType,
+      tax_category: category,
+      tax_rate: rate,
+      taxable_amount: taxable,
+      tax_amount: tax,
+    };
+  });
+
+  const tax_breakdown = Object.values(breakdown).sort((a, b) =>
+    a.category.localeCompare(b.category),
+  );
+  const subtotal = round2(
+    tax_breakdown.reduce((sum, b) => sum + b.taxable_amount, 0),
+  );
+  const tax_amount = round2(
+    tax_breakdown.reduce((sum, b) => sum + b.tax_amount, 0),
+  );
+  return {
+    items: lines,
+    subtotal,
+    tax_amount,
+    total: round2(subtotal + tax_amount),
+    tax_breakdown,
+  };
+}
+
+/** Configured tax codes, with the category's label and rate. */
+async function listTaxCodes() {
+  const rows = await safeQuery(
+    `SELECT service_type, tax_category, description, updated_by, updated_at
+     FROM tax_codes ORDER BY service_type`,
+  );
+  return rows.map((r) => ({
+    ...r,
+    label: TAX_CATEGORIES[r.tax_category]?.label,
+    rate: TAX_CATEGORIES[r.tax_category]?.rate,
+  }));
+}
+
+/** Create or change the tax category of one service type. */
+async function setTaxCode(req, serviceType, { tax_category, description }) {
+  const type = toServiceType(serviceType);
+  const category = String(tax_category || '').toUpperCase();
+  if (!TAX_CATEGORIES[category]) {
+    throw codedError(
+      `tax_category must be one of ${Object.keys(TAX_CATEGORIES).join(', ')}`,
+      'TAX_CATEGORY_INVALID',
+    );
+  }
+
+  return withTransaction(async (tx) => {
+    const before = await tx.queryOne(
+      'SELECT * FROM tax_codes WHERE service_type = ? FOR UPDATE',
+      [type],
+    );
+    const after = {
+      service_type: type,
+      tax_category: category,
+      description: description
+        ? String(description).slice(0, 255)
+        : (before?.description ?? null),
+      updated_by: req?.user?.id != null ? String(req.user.id) : null,
+      updated_at: getKenyaTimeISO(),
+    };
+    await tx.query(
+      `INSERT INTO tax_codes (service_type, tax_category, description, updated_by, updated_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE tax_category = VALUES(tax_category),
+         description = VALUES(description), updated_by = VALUES(updated_by),
+         updated_at = VALUES(updated_at)`,
+      [
+        after.service_type,
+        after.tax_category,
+        after.description,
+        after.updated_by,
+        after.updated_at,
+      ],
+    );
+    await recordAudit(tx, req, {
+      entity: 'tax_code',
+      entityId: type,
+      action: before ? 'update' : 'create',
+      before,
+      after,
+    });
+    return {
+      ...after,
+      label: TAX_CATEGORIES[category].label,
+      rate: TAX_CATEGORIES[category].rate,
+    };
+  });
+}
+
+module.exports = {
+  TAX_CATEGORIES,
+  DEFAULT_SERVICE_TYPE,
+  toServiceType,
+  loadTaxCodes,
+  applyTax,
+  listTaxCodes,
+  setTaxCode,
+};
@@ -0,0 +1,1310 @@
+// ----------------- Viewing Room Schedule -----------------
+// Viewing rooms and the bookings that hold them. A booking is still a row in
+// `online_bookings`; a scheduled one carries a room and a [start_time,
+// end_time) window on that room's slot grid:
+//
+//   open_time | slot | buffer | slot | buffer | ... | close_time
+//
+// A room holds one booking at a time. Two bookings clash when their windows,
+// each widened by the room's buffer, overlap. Every booking locks the body
+// and then the candidate rooms, so two visitors can't take the same room.
+//
+// Statuses: pending -> confirmed -> checked-in, or no-show once the slot has
+// passed. `waitlisted` rows hold no room; the first room that frees up at
+// their time is offered to them (they become pending). `rejected` and
+// `cancelled` free the room.
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  safeQueryOne,
+  withTransaction,
+} = require('../../configurations/sqlConfig/db');
+const { codedError } = require('../../middlewares/errorHandler/errorHandler');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { recordAudit } = require('../audit/auditLog');
+const { normalisePhone } = require('../mpesa/daraja');
+const { LIFECYCLE } = require('../lifecycle/bodyLifecycle');
+const { QR_PREFIX, sendBookingMessage } = require('./visitorMessages');
+const { actorOf } = require('../../utilities/helpers/helpers');
+const { orAllBranches } = require('../../middlewares/tenancy/branchScope');
+
+const ZONE = 'Africa/Nairobi';
+const SQL_FORMAT = 'yyyy-LL-dd HH:mm:ss';
+
+// Statuses that hold a room
+const HOLDING_STATUSES = ['pending', 'confirmed', 'checked-in'];
+// Statuses a booking can still be cancelled or rejected from
+const OPEN_STATUSES = ['pending', 'confirmed', 'waitlisted'];
+const ROOM_STATUSES = ['Active', 'Closed'];
+const BOOKING_SOURCES = ['web', 'portal', 'staff', 'walk-in'];
+const VIEWING_PURPOSE = 'Viewing';
+
+// Visitors book from today up to this many days ahead
+const BOOKING_WINDOW_DAYS = 14;
+// Per-body limits; staff overrides skip them
+const MAX_PER_BODY_PER_DAY =
+  parseInt(process.env.VIEWING_MAX_PER_BODY_PER_DAY, 10) || 2;
+const MAX_UPCOMING_PER_BODY =
+  parseInt(process.env.VIEWING_MAX_UPCOMING_PER_BODY, 10) || 3;
+// A confirmed booking nobody checked in is a no-show this long after its end
+const NO_SHOW_GRACE_MINUTES = 30;
+// Visitors with this many no-shows in the look-back can't book themselves
+const NO_SHOW_LIMIT = 2;
+const NO_SHOW_LOOKBACK_DAYS = 90;
+
+const ROOM_DEFAULTS = {
+  capacity: 10,
+  open_time: '09:00:00',
+  close_time: '16:00:00',
+  open_days: '1,2,3,4,5,6',
+  slot_minutes: 30,
+  buffer_minutes: 10,
+  status: 'Active',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const now = () => DateTime.now().setZone(ZONE);
+const toSql = (dt) => dt.toFormat(SQL_FORMAT);
+const fromSql = (value) =>
+  DateTime.fromFormat(String(value), SQL_FORMAT, { zone: ZONE });
+const placeholders = (list) => list.map(() => '?').join(', ');
+
+function parseDay(date) {
+  const day = DATE_PATTERN.test(String(date || ''))
+    ? DateTime.fromISO(date, { zone: ZONE })
+    : null;
+  if (!day?.isValid) {
+    throw codedError('date must be yyyy-mm-dd', 'VIEWING_INVALID');
+  }
+  return day.startOf('day');
+}
+
+function parseTime(time, field = 'time', code = 'VIEWING_INVALID') {
+  const text = String(time || '').slice(0, 5);
+  if (!TIME_PATTERN.test(text))
+    throw codedError(`${field} must be HH:mm`, code);
+  return text;
+}
+
+// "HH:mm" or "HH:mm:ss" on `day`
+const at = (day, time) =>
+  day.set({
+    hour: Number(String(time).slice(0, 2)),
+    minute: Number(String(time).slice(3, 5)),
+  });
+
+// "VIEWING:AB12CD34EF" from a scanned QR, or the code typed in
+const normaliseCode = (code) =>
+  String(code || '')
+    .trim()
+    .toUpperCase()
+    .replace(QR_PREFIX, '');
+
+// ----------------- Rooms and Slots -----------------
+
+/** The room's slots on `day` as [{ start, end }]; none on days it is shut. */
+function roomSlots(room, day) {
+  const openDays = String(room.open_days || '')
+    .split(',')
+    .map(Number);
+  if (!openDays.includes(day.weekday)) return [];
+
+  const close = at(day, room.close_time);
+  const step = room.slot_minutes + room.buffer_minutes;
+  const slots = [];
+  for (
+    let start = at(day, room.open_time);
+    start.plus({ minutes: room.slot_minutes }) <= close;
+    start = start.plus({ minutes: step })
+  ) {
+    slots.push({ start, end: start.plus({ minutes: room.slot_minutes }) });
+  }
+  return slots;
+}
+
+// Does [start, end) clash with a booking held in the room?
+const clashes = (room, start, end, held) =>
+  held.some(
+    (b) =>
+      b.room_id === room.id &&
+      fromSql(b.start_time) < end.plus({ minutes: room.buffer_minutes }) &&
+      fromSql(b.end_time).plus({ minutes: room.buffer_minutes }) > start,
+  );
+
+function branchRooms(query, branchId, { roomId, lock = false } = {}) {
+  return query(
+    `SELECT * FROM viewing_rooms
+     WHERE branch_id <=> ? AND status = 'Active' ${roomId ? 'AND id = ?' : ''}
+     ORDER BY name, id
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [branchId, ...(roomId ? [roomId] : [])],
+  );
+}
+
+// Bookings holding any of the rooms on `day`
+async function heldBookings(query, roomIds, day, excludeId) {
+  if (!roomIds.length) return [];
+  return query(
+    `SELECT id, room_id, deceased_id, start_time, end_time, status
+     FROM online_bookings
+     WHERE room_id IN (${placeholders(roomIds)})
+       AND status IN (${placeholders(HOLDING_STATUSES)})
+       AND start_time < ? AND end_time > ?
+       ${excludeId ? 'AND id != ?' : ''}`,
+    [
+      ...roomIds,
+      ...HOLDING_STATUSES,
+      toSql(day.plus({ days: 1 })),
+      toSql(day),
+      ...(excludeId ? [excludeId] : []),
+    ],
+  );
+}
+
+function roomFields(input, { partial = false } = {}) {
+  const has = (key) =>
+    input[key] !== undefined && input[key] !== null && input[key] !== '';
+  const fields = {};
+
+  if (has('name')) fields.name = String(input.name).trim().slice(0, 100);
+  else if (!partial) {
+    throw codedError('name is required', 'VIEWING_ROOM_INVALID');
+  }
+
+  const ranges = [
+    ['capacity', 1, 200],
+    ['slot_minutes', 10, 480],
+    ['buffer_minutes', 0, 240],
+  ];
+  for (const [key, min, max] of ranges) {
+    if (!has(key)) continue;
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw codedError(
+        `${key} must be a whole number from ${min} to ${max}`,
+        'VIEWING_ROOM_INVALID',
+      );
+    }
+    fields[key] = value;
+  }
+
+  for (const key of ['open_time', 'close_time']) {
+    if (has(key)) {
+      fields[key] = `${parseTime(input[key], key, 'VIEWING_ROOM_INVALID')}:00`;
+    }
+  }
+
+  if (has('open_days')) {
+    const days = (
+      Array.isArray(input.open_days)
+        ? input.open_days
+        : String(input.open_days).split(',')
+    ).map(Number);
+    if (
+      !days.length ||
+      days.some((d) => !Number.isInteger(d) || d < 1 || d > 7)
+    ) {
+      throw codedError(
+        'open_days must list weekdays from 1 (Monday) to 7 (Sunday)',
+        'VIEWING_ROOM_INVALID',
+      );
+    }
+    fields.open_days = [...new Set(days)].sort().join(',');
+  }
+
+  if (has('status')) {
+    if (!ROOM_STATUSES.includes(input.status)) {
+      throw codedError(
+        `status must be one of: ${ROOM_STATUSES.join(', ')}`,
+        'VIEWING_ROOM_INVALID',
+      );
+    }
+    fields.status = input.status;
+  }
+  return fields;
+}
+
+function checkRoomHours(room) {
+  if (room.close_time <= room.open_time) {
+    throw codedError(
+      'close_time must be after open_time',
+      'VIEWING_ROOM_INVALID',
+    );
+  }
+  const open = at(now().startOf('day'), room.open_time);
+  if (open.plus({ minutes: room.slot_minutes }) > at(open, room.close_time)) {
+    throw codedError(
+      'The opening hours are shorter than one slot',
+      'VIEWING_ROOM_INVALID',
+    );
+  }
+}
+
+/** Viewing rooms with their upcoming bookings. */
+function listRooms({ branch } = {}) {
+  const scope = orAllBranches(branch);
+  return safeQuery(
+    `SELECT r.*,
+            (SELECT COUNT(*) FROM online_bookings ob
+             WHERE ob.room_id = r.id AND ob.status IN ('pending', 'confirmed')
+               AND ob.start_time >= ?) AS upcoming_bookings
+     FROM viewing_rooms r
+     WHERE ${scope.sql}
+     ORDER BY r.status, r.name`,
+    [toSql(now()), ...scope.params],
+  );
+}
+
+/** Add a viewing room to `branchId`; unset hours take ROOM_DEFAULTS. */
+async function createRoom(input, { branchId = null } = {}) {
+  const room = { ...ROOM_DEFAULTS, ...roomFields(input) };
+  checkRoomHours(room);
+
+  const stamp = getKenyaTimeISO();
+  try {
+    const result = await safeQuery(
+      `INSERT INTO viewing_rooms
+         (branch_id, name, capacity, open_time, close_time, open_days,
+          slot_minutes, buffer_minutes, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        branchId,
+        room.name,
+        room.capacity,
+        room.open_time,
+        room.close_time,
+        room.open_days,
+        room.slot_minutes,
+        room.buffer_minutes,
+        room.status,
+        stamp,
+        stamp,
+      ],
+    );
+    return safeQueryOne('SELECT * FROM viewing_rooms WHERE id = ?', [
+      result.insertId,
+    ]);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw codedError(
+        `A viewing room called ${room.name} already exists`,
+        'VIEWING_ROOM_EXISTS',
+        409,
+      );
+    }
+    throw err;
+  }
+}
+
+/**
+ * Change a room's hours, slots, capacity or status. Bookings already made
+ * keep their windows; a room with upcoming bookings can't be closed.
+ */
+async function updateRoom(id, input, { branch } = {}) {
+  const fields = roomFields(input, { partial: true });
+  const scope = orAllBranches(branch);
+
+  await withTransaction(async (tx) => {
+    const room = await tx.queryOne(
+      `SELECT r.* FROM viewing_rooms r WHERE r.id = ? AND ${scope.sql} FOR UPDATE`,
+      [id, ...scope.params],
+    );
+    if (!room) throw codedError('Viewing room not found', 'NOT_FOUND', 404);
+    checkRoomHours({ ...room, ...fields });
+
+    if (fields.status === 'Closed' && room.status !== 'Closed') {
+      const upcoming = await tx.queryOne(
+        `SELECT COUNT(*) AS n FROM online_bookings
+         WHERE room_id = ? AND status IN ('pending', 'confirmed')
+           AND start_time >= ?`,
+        [id, toSql(now())],
+      );
+      if (Number(upcoming.n) > 0) {
+        throw codedError(
+          `Move or cancel the room's ${upcoming.n} upcoming booking(s) before closing it`,
+          'VIEWING_ROOM_BOOKED',
+          409,
+        );
+      }
+    }
+
+    const keys = Object.keys(fields);
+    if (!keys.length) return;
+    await tx.query(
+      `UPDATE viewing_rooms SET ${keys.map((k) => `${k} = ?`).join(', ')}, updated_at = ?
+       WHERE id = ?`,
+      [...keys.map((k) => fields[k]), getKenyaTimeISO(), id],
+    );
+  });
+
+  return safeQueryOne('SELECT * FROM viewing_rooms WHERE id = ?', [id]);
+}
+
+/** Slots of the branch's open rooms on `date`; slots already started are left out. */
+async function roomAvailability({ branchId = null, date, roomId }) {
+  const day = parseDay(date);
+  const rooms = await branchRooms(safeQuery, branchId, { roomId });
+  const held = await heldBookings(
+    safeQuery,
+    rooms.map((r) => r.id),
+    day,
+  );
+  const current = now();
+
+  return rooms.map((room) => ({
+    room_id: room.id,
+    name: room.name,
+    capacity: room.capacity,
+    slots: roomSlots(room, day)
+      .filter((slot) => slot.start > current)
+      .map((slot) => ({
+        time: slot.start.toFormat('HH:mm'),
+        end_time: slot.end.toFormat('HH:mm'),
+        free: !clashes(room, slot.start, slot.end, held),
+      })),
+  }));
+}
+
+/** Start times across rooms with how many rooms are free at each. */
+function freeSlotTimes(rooms) {
+  const times = new Map();
+  for (const room of rooms) {
+    for (const slot of room.slots) {
+      times.set(slot.time, (times.get(slot.time) || 0) + (slot.free ? 1 : 0));
+    }
+  }
+  return [...times.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([time, available]) => ({ time, available }));
+}
+
+// ----------------- Bookings -----------------
+
+const BOOKING_COLUMNS = `ob.id, ob.deceased_id, d.full_name AS deceased_name,
+  ob.full_name, ob.contact, ob.email, ob.relationship, ob.purpose_of_visit,
+  ob.visit_date, ob.visit_time, ob.room_id, r.name AS room_name, ob.start_time,
+  ob.end_time, ob.visitors_count, ob.status, ob.booked_via, ob.checkin_code,
+  ob.confirmed_at, ob.checked_in_at, ob.visitor_id, ob.no_show_at,
+  ob.cancel_reason, ob.override_reason, ob.created_at`;
+
+const BOOKING_JOINS = `LEFT JOIN viewing_rooms r ON r.id = ob.room_id
+  LEFT JOIN deceased d ON d.deceased_id = ob.deceased_id`;
+
+function getBooking(id) {
+  return safeQueryOne(
+    `SELECT ${BOOKING_COLUMNS} FROM online_bookings ob ${BOOKING_JOINS}
+     WHERE ob.id = ?`,
+    [id],
+  );
+}
+
+async function lockBooking(tx, { id, code }, branch) {
+  const scope = orAllBranches(branch);
+  const row = await tx.queryOne(
+    `SELECT ob.* FROM online_bookings ob
+     WHERE ${id ? 'ob.id = ?' : 'ob.checkin_code = ?'} AND ${scope.sql}
+     FOR UPDATE`,
+    [id || code, ...scope.params],
+  );
+  if (!row) throw codedError('Booking not found', 'VIEWING_NOT_FOUND', 404);
+  return row;
+}
+
+// Per-body limits, checked with the body row locked
+async function checkBodyLimits(tx, deceasedId, day, source) {
+  const counts = await tx.queryOne(
+    `SELECT
+       SUM(status IN (${placeholders(HOLDING_STATUSES)})
+           AND start_time >= ? AND start_time < ?) AS on_day,
+       SUM(status IN ('pending', 'confirmed') AND start_time >= ?) AS upcoming,
+       SUM(status IN ('pending', 'confirmed', 'waitlisted')
+           AND booked_via = 'portal' AND start_time >= ?) AS portal_upcoming
+     FROM online_bookings
+     WHERE deceased_id = ?`,
+    [
+      ...HOLDING_STATUSES,
+      toSql(day),
+      toSql(day.plus({ days: 1 })),
+      toSql(now()),
+      toSql(now()),
+      deceasedId,
+    ],
+  );
+
+  // A family holds one portal viewing at a time
+  if (source === 'portal' && Number(counts.portal_upcoming) > 0) {
+    throw codedError(
+      'A viewing is already booked. Cancel it to book another',
+      'VIEWING_ALREADY_BOOKED',
+      409,
+    );
+  }
+  if (Number(counts.on_day) >= MAX_PER_BODY_PER_DAY) {
+    throw codedError(
+      `At most ${MAX_PER_BODY_PER_DAY} viewings a day can be booked for one body`,
+      'VIEWING_LIMIT_REACHED',
+      409,
+    );
+  }
+  if (Number(counts.upcoming) >= MAX_UPCOMING_PER_BODY) {
+    throw codedError(
+      `At most ${MAX_UPCOMING_PER_BODY} upcoming viewings can be booked for one body`,
+      'VIEWING_LIMIT_REACHED',
+      409,
+    );
+  }
+}
+
+// Another viewing of the same body at the same time, in any room
+function bodyOverlap(tx, deceasedId, start, end, excludeId) {
+  return tx.queryOne(
+    `SELECT id FROM online_bookings
+     WHERE deceased_id = ? AND status IN (${placeholders(HOLDING_STATUSES)})
+       AND start_time < ? AND end_time > ? ${excludeId ? 'AND id != ?' : ''}
+     LIMIT 1`,
+    [
+      deceasedId,
+      ...HOLDING_STATUSES,
+      toSql(end),
+      toSql(start),
+      ...(excludeId ? [excludeId] : []),
+    ],
+  );
+}
+
+async function noShowBlocked(contact) {
+  const row = await safeQueryOne(
+    `SELECT COUNT(*) AS n FROM online_bookings
+     WHERE contact = ? AND status = 'no-show' AND no_show_at >= ?`,
+    [contact, toSql(now().minus({ days: NO_SHOW_LOOKBACK_DAYS }))],
+  );
+  return Number(row?.n) >= NO_SHOW_LIMIT;
+}
+
+function notifyStaff(tx, deceasedId, type, message) {
+  return tx.query(
+    `INSERT INTO notifications (deceased_id, type, message, created_at, is_read)
+     VALUES (?, ?, ?, ?, ?)`,
+    [deceasedId, type, message, getKenyaTimeISO(), 0],
+  );
+}
+
+async function insertBooking(tx, row) {
+  const result = await tx.query(
+    `INSERT INTO online_bookings
+       (full_name, contact, email, relationship, purpose_of_visit, visit_date,
+        visit_time, deceased_id, status, visitors_count, booked_via, branch_id,
+        room_id, start_time, end_time, checkin_code, confirmed_at, confirmed_by,
+        checked_in_at, override_reason, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.full_name,
+      row.contact,
+      row.email || null,
+      row.relationship || null,
+      row.purpose_of_visit || VIEWING_PURPOSE,
+      row.start.toISODate(),
+      row.start.toFormat('HH:mm:ss'),
+      row.deceased_id,
+      row.status,
+      row.visitors_count,
+      row.booked_via,
+      row.branch_id,
+      row.room_id || null,
+      toSql(row.start),
+      toSql(row.end),
+      crypto.randomBytes(5).toString('hex').toUpperCase(),
+      row.confirmed_at || null,
+      row.confirmed_by || null,
+      row.checked_in_at || null,
+      row.override_reason || null,
+      row.created_by || null,
+      getKenyaTimeISO(),
+    ],
+  );
+  return result.insertId;
+}
+
+function visitorFields(input, source) {
+  const fullName = String(input.fullName || '').trim();
+  if (!fullName) {
+    throw codedError('full_name is required', 'VIEWING_INVALID');
+  }
+  // Visitors get WhatsApp messages, so they must give a mobile number;
+  // staff may record a landline for someone booking in person
+  const phone = normalisePhone(input.contact);
+  const contact = phone || String(input.contact || '').trim();
+  if (!contact || (!phone && source !== 'staff')) {
+    throw codedError('contact must be a valid mobile number', 'INVALID_PHONE');
+  }
+
+  const visitors =
+    input.visitors === undefined ||
+    input.visitors === null ||
+    input.visitors === ''
+      ? 1
+      : Number(input.visitors);
+  if (!Number.isInteger(visitors) || visitors < 1) {
+    throw codedError(
+      'visitors must be a positive whole number',
+      'VIEWING_INVALID',
+    );
+  }
+
+  return {
+    full_name: fullName.slice(0, 150),
+    contact,
+    email: input.email ? String(input.email).trim() : null,
+    relationship: input.relationship || null,
+    visitors_count: visitors,
+  };
+}
+
+/**
+ * Book a viewing of `deceasedId` at `date` `time`. Web and portal bookings
+ * wait for staff to confirm them; staff bookings are confirmed at once.
+ * When every fitting room is taken the booking is refused, or waitlisted
+ * with `waitlist`. Staff may `override` the hours, clashes and limits, with
+ * a reason that goes to the audit log.
+ */
+async function createBooking(
+  req,
+  input,
+  { source, override = false, overrideReason, branch } = {},
+) {
+  if (!BOOKING_SOURCES.includes(source)) {
+    throw new Error(`Unknown booking source: ${source}`);
+  }
+  const visitor = visitorFields(input, source);
+  const day = parseDay(input.date);
+  const start = at(day, parseTime(input.time));
+
+  if (override && !String(overrideReason || '').trim()) {
+    throw codedError(
+      'override_reason is required to override the schedule',
+      'VIEWING_INVALID',
+    );
+  }
+  if (!override) {
+    if (day > now().startOf('day').plus({ days: BOOKING_WINDOW_DAYS })) {
+      throw codedError(
+        `Viewings can be booked up to ${BOOKING_WINDOW_DAYS} days ahead`,
+        'VIEWING_INVALID',
+      );
+    }
+    if (start <= now()) {
+      throw codedError('That slot has already started', 'VIEWING_INVALID');
+    }
+  }
+  if (source !== 'staff' && (await noShowBlocked(visitor.contact))) {
+    throw codedError(
+      'Please call the mortuary to book a viewing',
+      'VIEWING_NO_SHOW_BLOCKED',
+      403,
+    );
+  }
+
+  const scope = orAllBranches(branch);
+  const { id, status } = await withTransaction(async (tx) => {
+    const body = await tx.queryOne(
+      `SELECT d.deceased_id, d.full_name, d.branch_id, d.status FROM deceased d
+       WHERE d.deceased_id = ? AND d.deleted_at IS NULL AND ${scope.sql}
+       FOR UPDATE`,
+      [input.deceasedId, ...scope.params],
+    );
+    if (!body) {
+      throw codedError('Deceased record not found', 'NOT_FOUND', 404);
+    }
+    if (body.status === LIFECYCLE.DISPATCHED) {
+      throw codedError(
+        'The body has been released; viewings can no longer be booked',
+        'VIEWING_UNAVAILABLE',
+        409,
+      );
+    }
+    if (!override) await checkBodyLimits(tx, body.deceased_id, day, source);
+
+    const rooms = await branchRooms(tx.query, body.branch_id, {
+      roomId: input.roomId,
+      lock: true,
+    });
+    if (!rooms.length) {
+      throw input.roomId
+        ? codedError('Viewing room not found', 'NOT_FOUND', 404)
+        : codedError(
+            'No viewing rooms are open at this branch',
+            'VIEWING_UNAVAILABLE',
+            409,
+          );
+    }
+    const held = await heldBookings(
+      tx.query,
+      rooms.map((r) => r.id),
+      day,
+    );
+
+    // Rooms with a slot starting at `time`; an override takes any room
+    const fits = rooms
+      .map((room) => {
+        const slot = override
+          ? { start, end: start.plus({ minutes: room.slot_minutes }) }
+          : roomSlots(room, day).find((s) => s.start.equals(start));
+        return slot && { room, ...slot };
+      })
+      .filter(Boolean);
+    if (!fits.length) {
+      throw codedError(
+        'time must be one of the slots from the viewing availability',
+        'VIEWING_INVALID',
+      );
+    }
+    const sized = override
+      ? fits
+      : fits.filter((f) => visitor.visitors_count <= f.room.capacity);
+    if (!sized.length) {
+      throw codedError(
+        `At most ${Math.max(...fits.map((f) => f.room.capacity))} visitors fit in a viewing room`,
+        'VIEWING_INVALID',
+      );
+    }
+    const free =
+      sized.find((f) => !clashes(f.room, f.start, f.end, held)) ||
+      (override ? sized[0] : null);
+
+    const row = {
+      ...visitor,
+      deceased_id: body.deceased_id,
+      booked_via: source,
+      branch_id: body.branch_id,
+      created_by: actorOf(req) || source,
+    };
+
+    if (!free) {
+      if (!input.waitlist) {
+        throw codedError(
+          'That slot is fully booked. Pick another or join the waitlist',
+          'VIEWING_SLOT_FULL',
+          409,
+        );
+      }
+      const waitId = await insertBooking(tx, {
+        ...row,
+        status: 'waitlisted',
+        room_id: input.roomId,
+        start: sized[0].start,
+        end: sized[0].end,
+      });
+      return { id: waitId, status: 'waitlisted' };
+    }
+
+    if (
+      !override &&
+      (await bodyOverlap(tx, body.deceased_id, free.start, free.end))
+    ) {
+      throw codedError(
+        'The body already has a viewing at that time',
+        'VIEWING_CONFLICT',
+        409,
+      );
+    }
+
+    const confirmed = source === 'staff';
+    const bookingId = await insertBooking(tx, {
+      ...row,
+      status: confirmed ? 'confirmed' : 'pending',
+      room_id: free.room.id,
+      start: free.start,
+      end: free.end,
+      confirmed_at: confirmed ? getKenyaTimeISO() : null,
+      confirmed_by: confirmed ? actorOf(req) : null,
+      override_reason: override ? String(overrideReason).slice(0, 255) : null,
+    });
+
+    if (override) {
+      await recordAudit(tx, req, {
+        entity: 'viewing_booking',
+        entityId: bookingId,
+        action: 'create',
+        after: {
+          room_id: free.room.id,
+          start_time: toSql(free.start),
+          end_time: toSql(free.end),
+          override_reason: overrideReason,
+        },
+      });
+    }
+    if (!confirmed) {
+      await notifyStaff(
+        tx,
+        body.deceased_id,
+        source === 'portal' ? 'portal' : 'visitor',
+        `Viewing of ${body.deceased_id} requested for ${day.toISODate()} ${start.toFormat('HH:mm')} in ${free.room.name} (${visitor.visitors_count} visitor(s))`,
+      );
+    }
+    return { id: bookingId, status: confirmed ? 'confirmed' : 'pending' };
+  });
+
+  if (status === 'confirmed') await sendBookingMessage(id, 'confirmation');
+  return getBooking(id);
+}
+
+/**
+ * Book a walk-in into a room from now for one slot, check them in and
+ * record them in `visitors`.
+ */
+async function walkIn(req, input, { override = false, branch } = {}) {
+  const visitor = visitorFields(input, 'staff');
+  if (!input.roomId) {
+    throw codedError('room_id is required', 'VIEWING_INVALID');
+  }
+  const scope = orAllBranches(branch);
+
+  return withTransaction(async (tx) => {
+    const body = await tx.queryOne(
+      `SELECT d.deceased_id, d.branch_id FROM deceased d
+       WHERE d.deceased_id = ? AND d.deleted_at IS NULL AND ${scope.sql}
+       FOR UPDATE`,
+      [input.deceasedId, ...scope.params],
+    );
+    if (!body) {
+      throw codedError('Deceased record not found', 'NOT_FOUND', 404);
+    }
+    const [room] = await branchRooms(tx.query, body.branch_id, {
+      roomId: input.roomId,
+      lock: true,
+    });
+    if (!room) throw codedError('Viewing room not found', 'NOT_FOUND', 404);
+
+    const start = now().startOf('minute');
+    const end = start.plus({ minutes: room.slot_minutes });
+    if (!override) {
+      if (visitor.visitors_count > room.capacity) {
+        throw codedError(
+          `At most ${room.capacity} visitors fit in ${room.name}`,
+          'VIEWING_INVALID',
+        );
+      }
+      const held = await heldBookings(
+        tx.query,
+        [room.id],
+        start.startOf('day'),
+      );
+      if (clashes(room, start, end, held)) {
+        throw codedError(
+          `${room.name} is booked until later. Pick another room`,
+          'VIEWING_SLOT_FULL',
+          409,
+        );
+      }
+    }
+
+    const stamp = getKenyaTimeISO();
+    const bookingId = await insertBooking(tx, {
+      ...visitor,
+      purpose_of_visit: input.purpose || VIEWING_PURPOSE,
+      deceased_id: body.deceased_id,
+      status: 'checked-in',
+      booked_via: 'walk-in',
+      branch_id: body.branch_id,
+      room_id: room.id,
+      start,
+      end,
+      confirmed_at: stamp,
+      confirmed_by: actorOf(req),
+      checked_in_at: stamp,
+      created_by: actorOf(req),
+    });
+    const visitorId = await recordVisitor(tx, {
+      ...visitor,
+      reason_for_visit: input.purpose || VIEWING_PURPOSE,
+      deceased_id: body.deceased_id,
+      visitor_type: 'walk-in',
+      booking_id: bookingId,
+      check_in_time: stamp,
+    });
+    await tx.query('UPDATE online_bookings SET visitor_id = ? WHERE id = ?', [
+      visitorId,
+      bookingId,
+    ]);
+    return { booking_id: bookingId, visitor_id: visitorId, room: room.name };
+  });
+}
+
+async function recordVisitor(tx, row) {
+  const result = await tx.query(
+    `INSERT INTO visitors
+       (full_name, contact, relationship, reason_for_visit, deceased_id,
+        check_in_time, visitor_type, booking_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.full_name,
+      row.contact,
+      row.relationship,
+      row.reason_for_visit,
+      row.deceased_id,
+      row.check_in_time,
+      row.visitor_type,
+      row.booking_id,
+    ],
+  );
+  return result.insertId;
+}
+
+/** Confirm a pending booking and send the visitor their check-in code. */
+async function confirmBooking(req, id, { branch } = {}) {
+  await withTransaction(async (tx) => {
+    const row = await lockBooking(tx, { id }, branch);
+    if (row.status !== 'pending') {
+      throw codedError(
+        `Only pending bookings can be confirmed; this one is ${row.status}`,
+        'VIEWING_STATUS_INVALID',
+        409,
+      );
+    }
+    await tx.query(
+      `UPDATE online_bookings SET status = 'confirmed', confirmed_at = ?, confirmed_by = ?
+       WHERE id = ?`,
+      [getKenyaTimeISO(), actorOf(req), id],
+    );
+  });
+
+  await sendBookingMessage(id, 'confirmation');
+  return getBooking(id);
+}
+
+// Close an open booking; a room it held goes to the waitlist
+async function endBooking(lookup, { status, reason, by, notify = false }) {
+  const booking = await withTransaction(async (tx) => {
+    const row = await lookup(tx);
+    if (!OPEN_STATUSES.includes(row.status)) {
+      throw codedError(
+        `The booking is already ${row.status}`,
+        'VIEWING_STATUS_INVALID',
+        409,
+      );
+    }
+    await tx.query(
+      `UPDATE online_bookings
+       SET status = ?, cancel_reason = ?, cancelled_at = ?, cancelled_by = ?
+       WHERE id = ?`,
+      [status, reason || null, getKenyaTimeISO(), by, row.id],
+    );
+    return row;
+  });
+
+  if (notify) await sendBookingMessage(booking.id, 'cancelled');
+  if (booking.status !== 'waitlisted' && booking.room_id) {
+    try {
+      await promoteWaitlist(
+        booking.branch_id,
+        booking.start_time,
+        booking.end_time,
+      );
+    } catch (err) {
+      console.error('❌ [VIEWING] Waitlist promotion failed:', err.message);
+    }
+  }
+  return getBooking(booking.id);
+}
+
+/** Staff turn a booking down; the visitor is told. */
+function rejectBooking(req, id, { branch, reason } = {}) {
+  return endBooking((tx) => lockBooking(tx, { id }, branch), {
+    status: 'rejected',
+    reason: reason ? String(reason).slice(0, 255) : null,
+    by: actorOf(req),
+    notify: true,
+  });
+}
+
+/**
+ * A visitor cancels with their check-in code and phone number, or the
+ * family cancels a portal booking of their body by id.
+ */
+function cancelBooking({ id, code, contact, deceasedId }) {
+  if (!id && !code) {
+    throw codedError('code is required', 'VIEWING_INVALID');
+  }
+  return endBooking(
+    async (tx) => {
+      const row = await lockBooking(
+        tx,
+        id ? { id } : { code: normaliseCode(code) },
+      );
+      const phone = normalisePhone(contact);
+      const owner = deceasedId
+        ? row.deceased_id === deceasedId && row.booked_via === 'portal'
+        : Boolean(phone) && row.contact === phone;
+      if (!owner) {
+        throw codedError(
+          'No open viewing with those details',
+          'VIEWING_NOT_FOUND',
+          404,
+        );
+      }
+      return row;
+    },
+    {
+      status: 'cancelled',
+      reason: 'Cancelled by the visitor',
+      by: deceasedId ? 'portal' : 'visitor',
+    },
+  );
+}
+
+/**
+ * Offer the rooms free in [from, to) to waitlisted visitors, oldest first.
+ * An offered booking becomes pending for staff to confirm.
+ */
+async function promoteWaitlist(branchId, from, to) {
+  const waiting = await safeQuery(
+    `SELECT id, deceased_id FROM online_bookings
+     WHERE status = 'waitlisted' AND branch_id <=> ?
+       AND start_time < ? AND end_time > ? AND start_time > ?
+     ORDER BY created_at, id`,
+    [branchId, to, from, toSql(now())],
+  );
+
+  const offered = [];
+  for (const candidate of waiting) {
+    const placed = await withTransaction(async (tx) => {
+      await tx.queryOne(
+        'SELECT deceased_id FROM deceased WHERE deceased_id = ? FOR UPDATE',
+        [candidate.deceased_id],
+      );
+      const row = await tx.queryOne(
+        `SELECT * FROM online_bookings WHERE id = ? AND status = 'waitlisted' FOR UPDATE`,
+        [candidate.id],
+      );
+      if (!row) return false;
+
+      const start = fromSql(row.start_time);
+      const day = start.startOf('day');
+      const rooms = await branchRooms(tx.query, row.branch_id, {
+        roomId: row.room_id,
+        lock: true,
+      });
+      const held = await heldBookings(
+        tx.query,
+        rooms.map((r) => r.id),
+        day,
+      );
+      const room = rooms.find((r) => {
+        const end = start.plus({ minutes: r.slot_minutes });
+        return (
+          row.visitors_count <= r.capacity &&
+          roomSlots(r, day).some((s) => s.start.equals(start)) &&
+          !clashes(r, start, end, held)
+        );
+      });
+      if (!room) return false;
+
+      const end = start.plus({ minutes: room.slot_minutes });
+      if (await bodyOverlap(tx, row.deceased_id, start, end, row.id)) {
+        return false;
+      }
+      await tx.query(
+        `UPDATE online_bookings SET status = 'pending', room_id = ?, end_time = ?
+         WHERE id = ?`,
+        [room.id, toSql(end), row.id],
+      );
+      await notifyStaff(
+        tx,
+        row.deceased_id,
+        'visitor',
+        `Waitlisted viewing of ${row.deceased_id} moved into ${room.name} for ${toSql(start)}`,
+      );
+      return true;
+    });
+
+    if (placed) {
+      offered.push(candidate.id);
+      await sendBookingMessage(candidate.id, 'waitlist_offer');
+    }
+  }
+  return offered;
+}
+
+/**
+ * Check a confirmed booking in on its day by id or by the code from its QR,
+ * and record the visitor in `visitors`.
+ */
+async function checkIn(req, { id, code }, { branch } = {}) {
+  if (!id && !code) throw codedError('code is required', 'VIEWING_INVALID');
+
+  const bookingId = await withTransaction(async (tx) => {
+    const row = await lockBooking(
+      tx,
+      id ? { id } : { code: normaliseCode(code) },
+      branch,
+    );
+    if (row.status === 'checked-in') {
+      throw codedError(
+        'This booking has already been checked in',
+        'VIEWING_ALREADY_CHECKED_IN',
+        409,
+      );
+    }
+    if (row.status !== 'confirmed') {
+      throw codedError(
+        `Only confirmed bookings can be checked in; this one is ${row.status}`,
+        'VIEWING_STATUS_INVALID',
+        409,
+      );
+    }
+    if (row.start_time && !fromSql(row.start_time).hasSame(now(), 'day')) {
+      throw codedError(
+        `This booking is for ${String(row.start_time).slice(0, 10)}`,
+        'VIEWING_NOT_TODAY',
+        409,
+      );
+    }
+
+    const stamp = getKenyaTimeISO();
+    const visitorId = await recordVisitor(tx, {
+      full_name: row.full_name,
+      contact: row.contact,
+      relationship: row.relationship,
+      reason_for_visit: row.purpose_of_visit,
+      deceased_id: row.deceased_id,
+      visitor_type: 'online',
+      booking_id: row.id,
+      check_in_time: stamp,
+    });
+    await tx.query(
+      `UPDATE online_bookings
+       SET status = 'checked-in', checked_in_at = ?, visitor_id = ?
+       WHERE id = ?`,
+      [stamp, visitorId, row.id],
+    );
+    return row.id;
+  });
+
+  return getBooking(bookingId);
+}
+
+/** Mark a confirmed booking whose slot has started as a no-show. */
+async function markNoShow(req, id, { branch } = {}) {
+  await withTransaction(async (tx) => {
+    const row = await lockBooking(tx, { id }, branch);
+    if (row.status !== 'confirmed') {
+      throw codedError(
+        `Only confirmed bookings can be no-shows; this one is ${row.status}`,
+        'VIEWING_STATUS_INVALID',
+        409,
+      );
+    }
+    if (row.start_time && fromSql(row.start_time) > now()) {
+      throw codedError(
+        'The viewing has not started yet',
+        'VIEWING_STATUS_INVALID',
+        409,
+      );
+    }
+    await tx.query(
+      `UPDATE online_bookings SET status = 'no-show', no_show_at = ?, cancelled_by = ?
+       WHERE id = ?`,
+      [getKenyaTimeISO(), actorOf(req), id],
+    );
+  });
+  return getBooking(id);
+}
+
+/**
+ * Housekeeping for the cron: confirmed bookings nobody checked in become
+ * no-shows, and pending or waitlisted ones whose time has passed lapse.
+ */
+async function closePastBookings() {
+  const current = now();
+  const stamp = getKenyaTimeISO();
+
+  const noShows = await safeQuery(
+    `UPDATE online_bookings SET status = 'no-show', no_show_at = ?, cancelled_by = 'system'
+     WHERE status = 'confirmed' AND end_time < ?`,
+    [stamp, toSql(current.minus({ minutes: NO_SHOW_GRACE_MINUTES }))],
+  );
+  const lapsed = await safeQuery(
+    `UPDATE online_bookings
+     SET status = 'cancelled', cancelled_at = ?, cancelled_by = 'system',
+         cancel_reason = IF(status = 'waitlisted', 'No room freed up',
+                            'Not confirmed before the viewing')
+     WHERE status IN ('pending', 'waitlisted') AND start_time < ?`,
+    [stamp, toSql(current)],
+  );
+  return {
+    no_shows: noShows.affectedRows || 0,
+    lapsed: lapsed.affectedRows || 0,
+  };
+}
+
+// ----------------- Staff Views -----------------
+
+/** Rooms with their slots and bookings on `date`, and the day's waitlist. */
+async function daySchedule({ branch, date }) {
+  const day = parseDay(date);
+  const scope = orAllBranches(branch);
+  const rooms = await safeQuery(
+    `SELECT r.* FROM viewing_rooms r
+     WHERE r.status = 'Active' AND ${scope.sql}
+     ORDER BY r.name, r.id`,
+    scope.params,
+  );
+  if (!rooms.length) return { date: day.toISODate(), rooms: [], waitlist: [] };
+
+  // Bookings in these rooms, and waitlisted ones of their branches
+  const roomIds = rooms.map((r) => r.id);
+  const branchIds = [...new Set(rooms.map((r) => r.branch_id))];
+  const bookings = await safeQuery(
+    `SELECT ${BOOKING_COLUMNS} FROM online_bookings ob ${BOOKING_JOINS}
+     WHERE ob.start_time >= ? AND ob.start_time < ?
+       AND ob.status NOT IN ('rejected', 'cancelled')
+       AND (ob.room_id IN (${placeholders(roomIds)})
+            OR (ob.status = 'waitlisted'
+                AND (ob.branch_id IN (${placeholders(branchIds)})
+                     ${branchIds.includes(null) ? 'OR ob.branch_id IS NULL' : ''})))
+     ORDER BY ob.start_time, ob.id`,
+    [toSql(day), toSql(day.plus({ days: 1 })), ...roomIds, ...branchIds],
+  );
+  const held = bookings.filter((b) => HOLDING_STATUSES.includes(b.status));
+
+  return {
+    date: day.toISODate(),
+    rooms: rooms.map((room) => ({
+      room_id: room.id,
+      name: room.name,
+      capacity: room.capacity,
+      slots: roomSlots(room, day).map((slot) => ({
+        time: slot.start.toFormat('HH:mm'),
+        end_time: slot.end.toFormat('HH:mm'),
+        free: !clashes(room, slot.start, slot.end, held),
+      })),
+      bookings: bookings.filter(
+        (b) => b.room_id === room.id && b.status !== 'waitlisted',
+      ),
+    })),
+    waitlist: bookings.filter((b) => b.status === 'waitlisted'),
+  };
+}
+
+/** Waitlisted bookings from today on, first come first served. */
+function listWaitlist({ branch } = {}) {
+  const scope = orAllBranches(branch);
+  return safeQuery(
+    `SELECT ${BOOKING_COLUMNS} FROM online_bookings ob ${BOOKING_JOINS}
+     WHERE ob.status = 'waitlisted' AND ob.start_time >= ? AND ${scope.sql}
+     ORDER BY ob.start_time, ob.created_at`,
+    [toSql(now().startOf('day')), ...scope.params],
+  );
+}
+
+/**
+ * Attendance of scheduled viewings between `from` and `to`: per room, and
+ * the visitors who missed more than one.
+ */
+async function noShowReport({ branch, from, to }) {
+  const start = from
+    ? parseDay(from)
+    : now().startOf('day').minus({ days: 30 });
+  const end = (to ? parseDay(to) : now().startOf('day')).plus({ days: 1 });
+  const scope = orAllBranches(branch);
+  const params = [toSql(start), toSql(end), ...scope.params];
+  const where = `ob.start_time >= ? AND ob.start_time < ? AND ${scope.sql}
+    AND ob.status IN ('confirmed', 'checked-in', 'no-show')`;
+
+  const [rooms, repeat] = await Promise.all([
+    safeQuery(
+      `SELECT ob.room_id, r.name AS room_name,
+              COUNT(*) AS booked,
+              SUM(ob.status = 'checked-in') AS checked_in,
+              SUM(ob.status = 'no-show') AS no_shows
+       FROM online_bookings ob
+       LEFT JOIN viewing_rooms r ON r.id = ob.room_id
+       WHERE ${where} AND ob.booked_via != 'walk-in'
+       GROUP BY ob.room_id, r.name
+       ORDER BY r.name`,
+      params,
+    ),
+    safeQuery(
+      `SELECT ob.contact, MAX(ob.full_name) AS full_name,
+              SUM(ob.status = 'no-show') AS no_shows,
+              MAX(ob.no_show_at) AS last_no_show
+       FROM online_bookings ob
+       WHERE ${where}
+       GROUP BY ob.contact
+       HAVING no_shows > 1
+       ORDER BY no_shows DESC, last_no_show DESC`,
+      params,
+    ),
+  ]);
+
+  return {
+    from: start.toISODate(),
+    to: end.minus({ days: 1 }).toISODate(),
+    rooms: rooms.map((row) => {
+      const booked = Number(row.booked);
+      const noShows = Number(row.no_shows);
+      return {
+        ...row,
+        booked,
+        checked_in: Number(row.checked_in),
+        no_shows: noShows,
+        no_show_rate: booked ? Math.round((noShows / booked) * 1000) / 10 : 0,
+      };
+    }),
+    repeat_no_shows: repeat.map((row) => ({
+      ...row,
+      no_shows: Number(row.no_shows),
+    })),
+  };
+}
+
+/**
+ * A visitor booking themselves names the body by admission number and the
+ * deceased's name, each word of which must appear in the record's name.
+ */
+async function findBodyForVisitor(admissionNumber, deceasedName) {
+  const words = String(deceasedName || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  const body =
+    admissionNumber && words.length
+      ? await safeQueryOne(
+          `SELECT deceased_id, full_name FROM deceased
+           WHERE (deceased_id = ? OR admission_number = ?) AND deleted_at IS NULL`,
+          [String(admissionNumber).trim(), String(admissionNumber).trim()],
+        )
+      : null;
+  const name = String(body?.full_name || '')
+    .toLowerCase()
+    .split(/\s+/);
+  if (!body || !words.every((word) => name.includes(word))) {
+    throw codedError('No record matches those details', 'NOT_FOUND', 404);
+  }
+  return body.deceased_id;
+}
+
+module.exports = {
+  VIEWING_PURPOSE,
+  listRooms,
+  createRoom,
+  updateRoom,
+  roomAvailability,
+  freeSlotTimes,
+  getBooking,
+  createBooking,
+  walkIn,
+  confirmBooking,
+  rejectBooking,
+  cancelBooking,
+  checkIn,
+  markNoShow,
+  closePastBookings,
+  daySchedule,
+  listWaitlist,
+  noShowReport,
+  findBodyForVisitor,
+};
@@ -0,0 +1,225 @@
+// ----------------- Visitor Messages -----------------
+// Messages to whoever booked a viewing, by WhatsApp and email like payment
+// reminders. Every attempt is logged in `visitor_messages`, and a failed
+// send never fails the booking it is about.
+//
+//   confirmation    Staff confirmed the booking; carries the check-in code
+//   reminder        VIEWING_REMINDER_HOURS before the viewing
+//   waitlist_offer  A room freed up for a waitlisted visitor
+//   cancelled       Staff turned the booking down
+//
+// Emails carry the check-in code as a QR picture that reception scans.
+const QRCode = require('qrcode');
+const { DateTime } = require('luxon');
+const {
+  safeQuery,
+  safeQueryOne,
+} = require('../../configurations/sqlConfig/db');
+const { getKenyaTimeISO } = require('../../utilities/timeStamps/timeStamps');
+const { sendWhatsAppNotification } = require('../../utilities/watsApp/send');
+const { sendEmail } = require('../emailservices/sharedocuments');
+const { normalisePhone } = require('../mpesa/daraja');
+
+const ZONE = 'Africa/Nairobi';
+const SQL_FORMAT = 'yyyy-LL-dd HH:mm:ss';
+const REMINDER_HOURS = parseInt(process.env.VIEWING_REMINDER_HOURS, 10) || 24;
+const MESSAGE_KINDS = [
+  'confirmation',
+  'reminder',
+  'waitlist_offer',
+  'cancelled',
+];
+// Check-in QR codes read "VIEWING:<code>"
+const QR_PREFIX = 'VIEWING:';
+
+function loadBooking(id) {
+  return safeQueryOne(
+    `SELECT ob.*, r.name AS room_name, d.full_name AS deceased_name
+     FROM online_bookings ob
+     LEFT JOIN viewing_rooms r ON r.id = ob.room_id
+     LEFT JOIN deceased d ON d.deceased_id = ob.deceased_id
+     WHERE ob.id = ?`,
+    [id],
+  );
+}
+
+// Unscheduled bookings from before rooms only carry visit_date / visit_time
+function whenText(booking) {
+  if (!booking.start_time) {
+    return `${booking.visit_date} at ${String(booking.visit_time || '').slice(0, 5)}`;
+  }
+  return DateTime.fromFormat(String(booking.start_time), SQL_FORMAT, {
+    zone: ZONE,
+  }).toFormat("ccc d LLL yyyy 'at' HH:mm");
+}
+
+function messageText(booking, kind) {
+  const late = `the late ${booking.deceased_name || booking.deceased_id}`;
+  const when = whenText(booking);
+  const room = booking.room_name ? ` in ${booking.room_name}` : '';
+  const code = booking.checkin_code
+    ? ` Show this code at reception: ${booking.checkin_code}.`
+    : '';
+
+  switch (kind) {
+    case 'confirmation':
+      return `Your viewing of ${late} is confirmed for ${when}${room}, for up to ${booking.visitors_count || 1} visitor(s).${code}`;
+    case 'reminder':
+      return `Reminder: your viewing of ${late} is on ${when}${room}.${code}`;
+    case 'waitlist_offer':
+      return `A viewing slot has opened for ${late} on ${when}${room}. The mortuary will confirm it shortly.`;
+    case 'cancelled':
+      return `Your viewing of ${late} on ${when} cannot go ahead${booking.cancel_reason ? `: ${booking.cancel_reason}` : ''}. Please contact the mortuary to book another time.`;
+    default:
+      throw new Error(`Unknown visitor message: ${kind}`);
+  }
+}
+
+/** PNG of the QR code reception scans to check a booking in. */
+function checkinQr(code) {
+  return QRCode.toBuffer(`${QR_PREFIX}${code}`, {
+    type: 'png',
+    width: 300,
+    margin: 1,
+  });
+}
+
+async function logMessage(row) {
+  await safeQuery(
+    `INSERT INTO visitor_messages
+       (booking_id, kind, channel, recipient, status, error, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.booking_id,
+      row.kind,
+      row.channel || null,
+      row.recipient || null,
+      row.status,
+      row.error || null,
+      getKenyaTimeISO(),
+    ],
+  );
+  return row;
+}
+
+/**
+ * Send a booking message by WhatsApp and email and log each attempt.
+ * Resolves to the logged attempts; never throws.
+ */
+async function sendBookingMessage(bookingId, kind) {
+  try {
+    if (!MESSAGE_KINDS.includes(kind)) {
+      throw new Error(`Unknown visitor message: ${kind}`);
+    }
+    const booking = await loadBooking(bookingId);
+    if (!booking) return [];
+    const message = messageText(booking, kind);
+
+    const attempts = [];
+    const msisdn = normalisePhone(booking.contact);
+    if (msisdn) {
+      attempts.push({
+        channel: 'whatsapp',
+        recipient: `+${msisdn}`,
+        send: () => sendWhatsAppNotification(`+${msisdn}`, message),
+      });
+    }
+    if (booking.email) {
+      attempts.push({
+        channel: 'email',
+        recipient: booking.email,
+        send: async () => {
+          const attachments =
+            booking.checkin_code && kind !== 'cancelled'
+              ? [
+                  {
+                    filename: `viewing-${booking.checkin_code}.png`,
+                    content: await checkinQr(booking.checkin_code),
+                  },
+                ]
+              : [];
+          return sendEmail({
+            to: booking.email,
+            subject: `Viewing of the late ${booking.deceased_name || booking.deceased_id}`,
+            text: message,
+            attachments,
+          });
+        },
+      });
+    }
+
+    const base = { booking_id: booking.id, kind };
+    if (!attempts.length) {
+      return [
+        await logMessage({
+          ...base,
+          status: 'Failed',
+          error: 'Visitor has no mobile number or email',
+        }),
+      ];
+    }
+
+    const logged = [];
+    for (const attempt of attempts) {
+      let error = null;
+      try {
+        await attempt.send();
+      } catch (err) {
+        error = String(err.message).slice(0, 255);
+      }
+      logged.push(
+        await logMessage({
+          ...base,
+          channel: attempt.channel,
+          recipient: attempt.recipient,
+          status: error ? 'Failed' : 'Sent',
+          error,
+        }),
+      );
+    }
+    return logged;
+  } catch (err) {
+    console.error(
+      `❌ [VIEWING] ${kind} message for booking ${bookingId}:`,
+      err.message,
+    );
+    return [];
+  }
+}
+
+/**
+ * Remind visitors of confirmed viewings starting within REMINDER_HOURS.
+ * Bookings confirmed inside that window already had their confirmation.
+ */
+async function runViewingReminders() {
+  const now = DateTime.now().setZone(ZONE);
+  const due = await safeQuery(
+    `SELECT id FROM online_bookings
+     WHERE status = 'confirmed' AND reminded_at IS NULL
+       AND start_time > ? AND start_time <= ?
+       AND confirmed_at <= start_time - INTERVAL ? HOUR`,
+    [
+      now.toFormat(SQL_FORMAT),
+      now.plus({ hours: REMINDER_HOURS }).toFormat(SQL_FORMAT),
+      REMINDER_HOURS,
+    ],
+  );
+
+  let sent = 0;
+  for (const { id } of due) {
+    const logged = await sendBookingMessage(id, 'reminder');
+    await safeQuery('UPDATE online_bookings SET reminded_at = ? WHERE id = ?', [
+      getKenyaTimeISO(),
+      id,
+    ]);
+    if (logged.some((l) => l.status === 'Sent')) sent += 1;
+  }
+  return sent;
+}
+
+module.exports = {
+  QR_PREFIX,
+  checkinQr,
+  sendBookingMessage,
+  runViewingReminders,
+};
@@ -0,0 +1,17 @@
+// ----------------- Shared Helpers -----------------
+// Small helpers the money and stock services all need.
+
+// Below this, amounts are treated as equal
+const CENT = 0.005;
+
+/** Round to cents. */
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+/** Id of the signed-in user as stored in `*_by` columns, or null. */
+const actorOf = (req) => (req?.user?.id != null ? String(req.user.id) : null);
+
+module.exports = {
+  CENT,
+  round2,
+  actorOf,
+};